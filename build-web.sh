@@ -128,8 +128,8 @@ NIM_OPTS="c
   $RELEASE_MODE
   --nimcache:nimcache_wasm
   --passL:-s --passL:ALLOW_MEMORY_GROWTH=1
-  --passL:-s --passL:EXPORTED_FUNCTIONS=['_malloc','_free','_emInit','_emUpdate','_emResize','_emGetCell','_emGetCellFgR','_emGetCellFgG','_emGetCellFgB','_emGetCellBgR','_emGetCellBgG','_emGetCellBgB','_emGetCellBold','_emGetCellItalic','_emGetCellUnderline','_emGetCellWidth','_emHandleKeyPress','_emHandleTextInput','_emHandleMouseClick','_emHandleMouseRelease','_emHandleMouseMove','_emHandleMouseWheel','_emSetWaitingForGist','_emLoadMarkdownFromJS','_emCheckDropTarget','_emHandleDroppedFile','_emscripten_setParam_internal','_invokeComputeCallback']
-  --passL:-s --passL:EXPORTED_RUNTIME_METHODS=['ccall','cwrap','allocateUTF8','UTF8ToString','lengthBytesUTF8','stringToUTF8']
+  --passL:-s --passL:EXPORTED_FUNCTIONS=['_malloc','_free','_emInit','_emUpdate','_emResize','_emGetCell','_emGetCellFgR','_emGetCellFgG','_emGetCellFgB','_emGetCellBgR','_emGetCellBgG','_emGetCellBgB','_emGetCellBold','_emGetCellItalic','_emGetCellUnderline','_emGetCellWidth','_emPackCells','_emGetTextCursorX','_emGetTextCursorY','_emHandleKeyPress','_emHandleKeyEvent','_emHandleTextInput','_emHandleMouseClick','_emHandleMouseRelease','_emHandleMouseMove','_emHandleMouseWheel','_emSetWaitingForGist','_emLoadMarkdownFromJS','_emCheckDropTarget','_emCheckTextSelection','_emHandleDroppedFile','_emscripten_setParam_internal','_invokeComputeCallback']
+  --passL:-s --passL:EXPORTED_RUNTIME_METHODS=['ccall','cwrap','allocateUTF8','UTF8ToString','lengthBytesUTF8','stringToUTF8','HEAPU32']
   --passL:-s --passL:MODULARIZE=0
   --passL:-s --passL:EXPORT_NAME='Module'
   --passL:-s --passL:ENVIRONMENT=web
@@ -204,6 +204,15 @@ if [ ! -f "$OUTPUT_DIR/tstorie-webgl.js" ]; then
     fi
 fi
 
+# Copy shared renderer support (cell buffer, selection, screen-reader mirror, terminal host,
+# Canvas2D backend, shader package parser, shader chain access, section transitions, shader tweak panel)
+for file in "tstorie-cell-buffer.js" "tstorie-selection.js" "tstorie-accessibility.js" "tstorie-terminal-host.js" "tstorie-canvas2d.js" "tstorie-shader-package.js" "tstorie-shader-diagnostics.js" "tstorie-shader-chain.js" "tstorie-shader-transition.js" "tstorie-shader-tweak.js"; do
+    if [ -f "web/$file" ]; then
+        cp "web/$file" "$OUTPUT_DIR/$file"
+        echo "  - $OUTPUT_DIR/$file (renderer support - copied)"
+    fi
+done
+
 # Copy WebGPU files for progressive enhancement (WebGPU → WebGL fallback)
 for file in "webgpu_bridge.js" "webgpu_shader_system.js" "tstorie-webgpu-render.js" "tstorie-hybrid-renderer.js" "webgpu_wasm_bridge.js" "wgsl_runtime.js"; do
     if [ -f "web/$file" ]; then
@@ -9,6 +9,44 @@ mergeInto(LibraryManager.library, {
     }
   },
 
+  tStorie_setAccessibility: function(enabled) {
+    if (typeof window !== 'undefined' && window.terminal &&
+        window.terminal.setAccessibilityMirror) {
+      window.terminal.setAccessibilityMirror(!!enabled);
+    }
+  },
+
+  tStorie_setShaderUniformOverrides: function(textPtr) {
+    if (typeof window !== 'undefined' && window.setShaderUniformOverrides) {
+      window.setShaderUniformOverrides(UTF8ToString(textPtr));
+    }
+  },
+
+  tStorie_setShaderTransition: function(namePtr, durationPtr, easingPtr) {
+    if (typeof window !== 'undefined' && window.setShaderTransition) {
+      window.setShaderTransition(UTF8ToString(namePtr), UTF8ToString(durationPtr), UTF8ToString(easingPtr));
+    }
+  },
+
+  tStorie_playShaderTransition: function(namePtr) {
+    if (typeof window !== 'undefined' && window.playShaderTransition) {
+      return window.playShaderTransition(UTF8ToString(namePtr)) ? 1 : 0;
+    }
+    return 0;
+  },
+
+  tStorie_startShaderTransitionChain: function() {
+    if (typeof window !== 'undefined' && window.startShaderTransitionChain) {
+      window.startShaderTransitionChain();
+    }
+  },
+
+  tStorie_setDocumentShaders: function(jsonPtr) {
+    if (typeof window !== 'undefined' && window.setDocumentShaders) {
+      window.setDocumentShaders(UTF8ToString(jsonPtr));
+    }
+  },
+
   // Generic function callers for browser API
   tStorie_callFunction: function(funcNamePtr) {
     if (!funcNamePtr) return allocateUTF8('');
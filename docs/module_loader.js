@@ -1,8 +1,25 @@
 /**
  * Module Loader for tstorie WASM
  * 
- * Provides JavaScript-side support for loading Nim modules from GitHub gists
+ * Provides JavaScript-side support for loading Nim modules at runtime
  * Works with the emRequireModule and emLoadGistCode exports from tstorie
+ * 
+ * Module references are handed to resolver plugins, tried in order:
+ *   gist:ID/file.nim              latest revision of a gist file
+ *   gist:ID@REVISION/file.nim     a file pinned to one gist revision
+ *   https://host/path/file.nim    any URL
+ *   pkg:name@1.2.0/file.nim       a module registry (configureModuleLoader({ registry }))
+ *   ./lib/file.nim, lib/file.nim  a file next to the document
+ * registerModuleResolver() adds sources in front of these.
+ * 
+ * Modules can be locked to integrity hashes (requireModule(ref, { integrity })
+ * or a ```lock block in the document, see setModuleLock()); the code is
+ * checked with SubtleCrypto before it reaches the runtime.
+ * 
+ * A module's own require("...") calls are its dependencies: they are
+ * fetched too and loaded first (relative paths resolve next to the module
+ * that requires them). Fetched sources persist in IndexedDB, so pinned or
+ * locked modules load without the network once they have been fetched.
  */
 
 /**
@@ -10,10 +27,66 @@
  */
 const moduleCache = new Map();
 
+/**
+ * Locked integrity hashes (moduleRef -> "sha256-..."), from setModuleLock()
+ */
+const moduleLock = new Map();
+
+/**
+ * SubtleCrypto digests for the integrity prefixes
+ */
+const INTEGRITY_ALGORITHMS = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+/**
+ * Thrown when a module's code doesn't match its integrity hash
+ */
+class ModuleIntegrityError extends Error {
+  constructor(moduleRef, expected, actual) {
+    super(`Integrity check failed for ${moduleRef}: expected ${expected}, got ${actual}. ` +
+      'The module changed since it was locked; review it, then update its lock entry.');
+    this.name = 'ModuleIntegrityError';
+    this.moduleRef = moduleRef;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Where references resolve to; change with configureModuleLoader()
+ */
+const moduleLoaderConfig = {
+  // Relative references resolve against this (defaults to the page)
+  baseUrl: null,
+  // Raw gist files, and the API that serves pinned revisions; point these
+  // at a mirror (or a test server) to stand in for GitHub
+  gistBase: 'https://gist.githubusercontent.com',
+  gistApiBase: 'https://api.github.com',
+  // Module registry for pkg: references: <registry>/<name>/<version>/<file>
+  registry: null,
+  // fetch() implementation (defaults to the global one)
+  fetch: null,
+  // Persistent source cache ({ get(key), put(record), clear() }); left
+  // undefined it is IndexedDB where the browser has it, null turns it off
+  store: undefined
+};
+
+/**
+ * Resolver plugins, tried in order; the first one that matches a
+ * reference resolves it. A resolver is:
+ *   {
+ *     name: 'gist',
+ *     matches(moduleRef) -> boolean,
+ *     resolve(moduleRef, config) -> { url, read(response)? }
+ *   }
+ * `read` turns the fetch() response into the module code (defaults to
+ * response.text()).
+ */
+const moduleResolvers = [];
+
 /**
  * Parse a module reference into gist components
- * @param {string} moduleRef - Reference like "gist:abc123/file.nim"
- * @returns {Object|null} - {gistId, filename} or null if not a gist
+ * @param {string} moduleRef - Reference like "gist:abc123/file.nim" or "gist:abc123@rev/file.nim"
+ * @returns {Object|null} - {gistId, revision, filename} or null if not a gist
  */
 function parseGistRef(moduleRef) {
   if (!moduleRef.startsWith('gist:')) {
@@ -21,63 +94,664 @@ function parseGistRef(moduleRef) {
   }
   
   const parts = moduleRef.substring(5).split('/');
-  if (parts.length !== 2) {
-    throw new Error(`Invalid gist format: ${moduleRef}. Use: gist:ID/file.nim`);
+  if (parts.length !== 2 || !parts[1]) {
+    throw new Error(`Invalid gist format: ${moduleRef}. Use: gist:ID/file.nim or gist:ID@REVISION/file.nim`);
+  }
+  
+  const [gistId, revision = null] = parts[0].split('@');
+  if (!/^[A-Za-z0-9]+$/.test(gistId)) {
+    throw new Error(`Invalid gist ID in ${moduleRef}`);
+  }
+  if (revision !== null && !/^[0-9a-f]{7,40}$/i.test(revision)) {
+    throw new Error(`Invalid gist revision in ${moduleRef} (expected a commit hash)`);
   }
   
   return {
-    gistId: parts[0],
+    gistId,
+    revision,
     filename: parts[1]
   };
 }
 
+/**
+ * Parse a registry reference
+ * @param {string} moduleRef - Reference like "pkg:canvas@1.2.0" or "pkg:canvas@1.2.0/shapes.nim"
+ * @returns {Object|null} - {name, version, filename} or null if not a registry reference
+ */
+function parseRegistryRef(moduleRef) {
+  if (!moduleRef.startsWith('pkg:')) {
+    return null;
+  }
+  
+  const match = /^pkg:([A-Za-z0-9][A-Za-z0-9._-]*)(?:@([A-Za-z0-9][A-Za-z0-9._-]*))?(?:\/([A-Za-z0-9._-]+\.nim))?$/.exec(moduleRef);
+  if (!match) {
+    throw new Error(`Invalid registry format: ${moduleRef}. Use: pkg:name@version or pkg:name@version/file.nim`);
+  }
+  
+  return {
+    name: match[1],
+    version: match[2] || 'latest',
+    filename: match[3] || `${match[1]}.nim`
+  };
+}
+
+function trimSlash(url) {
+  return String(url).replace(/\/+$/, '');
+}
+
+/**
+ * Gist files: the raw file for the latest revision, the revision from
+ * the gist API when pinned
+ */
+const gistResolver = {
+  name: 'gist',
+  matches: moduleRef => moduleRef.startsWith('gist:'),
+  resolve(moduleRef, config) {
+    const { gistId, revision, filename } = parseGistRef(moduleRef);
+    if (revision === null) {
+      return { url: `${trimSlash(config.gistBase)}/raw/${gistId}/${filename}` };
+    }
+    
+    return {
+      url: `${trimSlash(config.gistApiBase)}/gists/${gistId}/${revision}`,
+      async read(response) {
+        const gist = await response.json();
+        const file = gist.files && gist.files[filename];
+        if (!file) {
+          throw new Error(`${filename} not found in gist ${gistId} at revision ${revision}`);
+        }
+        // The API truncates large files; the raw URL has all of it
+        if (file.truncated && file.raw_url) {
+          return fetchText(file.raw_url, config);
+        }
+        return file.content;
+      }
+    };
+  }
+};
+
+/**
+ * Plain URLs
+ */
+const urlResolver = {
+  name: 'url',
+  matches: moduleRef => /^https?:\/\//i.test(moduleRef),
+  resolve: moduleRef => ({ url: moduleRef })
+};
+
+/**
+ * pkg: references, from the configured registry (or mirror)
+ */
+const registryResolver = {
+  name: 'registry',
+  matches: moduleRef => moduleRef.startsWith('pkg:'),
+  resolve(moduleRef, config) {
+    if (!config.registry) {
+      throw new Error(`No module registry configured for ${moduleRef} (configureModuleLoader({ registry }))`);
+    }
+    const { name, version, filename } = parseRegistryRef(moduleRef);
+    return { url: `${trimSlash(config.registry)}/${name}/${version}/${filename}` };
+  }
+};
+
+/**
+ * Paths, relative to the document (any reference without a scheme)
+ */
+const pathResolver = {
+  name: 'path',
+  matches: moduleRef => !/^[A-Za-z][A-Za-z0-9+.-]*:/.test(moduleRef),
+  resolve(moduleRef, config) {
+    const base = config.baseUrl ||
+      (typeof document !== 'undefined' ? document.baseURI : null);
+    if (!base) {
+      throw new Error(`Can't resolve ${moduleRef}: no document URL (configureModuleLoader({ baseUrl }))`);
+    }
+    return { url: new URL(moduleRef, base).href };
+  }
+};
+
+const builtinModuleResolvers = [gistResolver, urlResolver, registryResolver, pathResolver];
+
+/**
+ * Change where references resolve to
+ * @param {Object} options - Any of baseUrl, gistBase, gistApiBase, registry, fetch
+ */
+function configureModuleLoader(options = {}) {
+  for (const key of Object.keys(options)) {
+    if (!(key in moduleLoaderConfig)) {
+      throw new Error(`Unknown module loader option: ${key}`);
+    }
+    moduleLoaderConfig[key] = options[key];
+  }
+}
+
+/**
+ * Add a resolver plugin; it is tried before the ones already registered,
+ * so it can take over references a built-in resolver would handle
+ * @param {Object} resolver - {name, matches(moduleRef), resolve(moduleRef, config)}
+ */
+function registerModuleResolver(resolver) {
+  if (!resolver || typeof resolver.name !== 'string' ||
+      typeof resolver.matches !== 'function' || typeof resolver.resolve !== 'function') {
+    throw new Error('A module resolver needs a name, matches() and resolve()');
+  }
+  unregisterModuleResolver(resolver.name);
+  moduleResolvers.unshift(resolver);
+}
+
+/**
+ * Remove a resolver plugin by name
+ * @param {string} name - The resolver's name
+ * @returns {boolean} - Whether it was registered
+ */
+function unregisterModuleResolver(name) {
+  const index = moduleResolvers.findIndex(resolver => resolver.name === name);
+  if (index < 0) {
+    return false;
+  }
+  moduleResolvers.splice(index, 1);
+  return true;
+}
+
+/**
+ * Find the source of a module reference
+ * @param {string} moduleRef - Module reference
+ * @returns {Object} - {resolver, url, read?}
+ */
+function resolveModule(moduleRef) {
+  const resolvers = moduleResolvers.concat(builtinModuleResolvers);
+  const resolver = resolvers.find(r => r.matches(moduleRef));
+  if (!resolver) {
+    throw new Error(`No module resolver for ${moduleRef}`);
+  }
+  
+  const resolved = resolver.resolve(moduleRef, moduleLoaderConfig);
+  if (!resolved || typeof resolved.url !== 'string') {
+    throw new Error(`Module resolver "${resolver.name}" returned no URL for ${moduleRef}`);
+  }
+  return { resolver: resolver.name, ...resolved };
+}
+
+async function fetchOk(url, config) {
+  const response = await (config.fetch || fetch)(url);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+  return response;
+}
+
+async function fetchText(url, config) {
+  return (await fetchOk(url, config)).text();
+}
+
+/**
+ * Fetch the code of a module
+ * @param {string} moduleRef - Module reference
+ * @returns {Promise<string>} - The file contents
+ */
+async function fetchModuleSource(moduleRef) {
+  const resolved = resolveModule(moduleRef);
+  
+  try {
+    const response = await fetchOk(resolved.url, moduleLoaderConfig);
+    return resolved.read ? await resolved.read(response) : await response.text();
+  } catch (error) {
+    throw new Error(`Failed to fetch module ${moduleRef} (${resolved.url}): ${error.message}`);
+  }
+}
+
 /**
  * Fetch a file from a GitHub gist
  * @param {string} gistId - The gist ID
  * @param {string} filename - The filename within the gist
+ * @param {string|null} revision - Gist revision to pin to (latest when null)
  * @returns {Promise<string>} - The file contents
  */
-async function fetchGistFile(gistId, filename) {
-  const url = `https://gist.githubusercontent.com/raw/${gistId}/${filename}`;
+async function fetchGistFile(gistId, filename, revision = null) {
+  return fetchModuleSource(`gist:${gistId}${revision ? '@' + revision : ''}/${filename}`);
+}
+
+/**
+ * Integrity hash of module code, in Subresource Integrity form
+ * @param {string} code - Module code
+ * @param {string} algorithm - sha256, sha384 or sha512
+ * @returns {Promise<string>} - e.g. "sha256-<base64 digest>"
+ */
+async function computeIntegrity(code, algorithm = 'sha256') {
+  const digestName = INTEGRITY_ALGORITHMS[algorithm];
+  if (!digestName) {
+    throw new Error(`Unsupported integrity algorithm: ${algorithm} (use sha256, sha384 or sha512)`);
+  }
+  const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+  if (!subtle) {
+    throw new Error('Module integrity checks need SubtleCrypto (serve the page over https or from localhost)');
+  }
   
+  const digest = new Uint8Array(await subtle.digest(digestName, new TextEncoder().encode(code)));
+  let binary = '';
+  for (const byte of digest) {
+    binary += String.fromCharCode(byte);
+  }
+  return `${algorithm}-${btoa(binary)}`;
+}
+
+/**
+ * Check module code against an integrity value: one hash, or several
+ * separated by spaces (any of them matching passes)
+ * @param {string} moduleRef - Module reference (for the error)
+ * @param {string} code - Module code
+ * @param {string} integrity - e.g. "sha256-<base64 digest>"
+ * @returns {Promise<void>}
+ * @throws {ModuleIntegrityError} when no hash matches
+ */
+async function verifyIntegrity(moduleRef, code, integrity) {
+  const hashes = String(integrity).trim().split(/\s+/);
+  let actual = null;
+  for (const hash of hashes) {
+    const match = /^(sha256|sha384|sha512)-[A-Za-z0-9+/]+={0,2}$/.exec(hash);
+    if (!match) {
+      throw new Error(`Invalid integrity value for ${moduleRef}: ${hash} (use sha256-<base64 digest>)`);
+    }
+    actual = await computeIntegrity(code, match[1]);
+    if (actual === hash) {
+      return;
+    }
+  }
+  throw new ModuleIntegrityError(moduleRef, hashes.join(' '), actual);
+}
+
+/**
+ * Read the ```lock blocks of a document. Each line is
+ * `<moduleRef> <integrity>`; # starts a comment.
+ * @param {string} markdown - Document text
+ * @returns {Map<string, string>} - moduleRef -> integrity
+ */
+function parseModuleLock(markdown) {
+  const lock = new Map();
+  const lines = String(markdown || '').split('\n');
+  let inLock = false;
+  
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (line.startsWith('```')) {
+      inLock = !inLock && line.slice(3).trim() === 'lock';
+      return;
+    }
+    if (!inLock) {
+      return;
+    }
+    
+    const entry = line.replace(/#.*$/, '').trim();
+    if (!entry) {
+      return;
+    }
+    const parts = entry.split(/\s+/);
+    if (parts.length !== 2) {
+      throw new Error(`Invalid lock entry (line ${i + 1}): expected "<module> <integrity>"`);
+    }
+    if (lock.has(parts[0])) {
+      throw new Error(`Invalid lock entry (line ${i + 1}): ${parts[0]} is locked twice`);
+    }
+    lock.set(parts[0], parts[1]);
+  });
+  return lock;
+}
+
+/**
+ * Use a document's lock: requireModule() then checks every module it
+ * lists. Replaces the previous lock.
+ * @param {string|Map|Object} lock - Document text with ```lock blocks, or moduleRef -> integrity
+ */
+function setModuleLock(lock) {
+  const entries = typeof lock === 'string' ? parseModuleLock(lock) :
+    lock instanceof Map ? lock : new Map(Object.entries(lock || {}));
+  moduleLock.clear();
+  for (const [moduleRef, integrity] of entries) {
+    moduleLock.set(moduleRef, integrity);
+  }
+}
+
+/**
+ * Modules a document or module requires: the string literals passed to
+ * require() / requireModule() in its code
+ * @param {string} source - Document text or module code
+ * @returns {string[]} - Module references, in order of first use
+ */
+function findModuleRefs(source) {
+  const refs = [];
+  const pattern = /\brequire(?:Module)?\(\s*["']([^"']+)["']/g;
+  let match;
+  while ((match = pattern.exec(String(source || ''))) !== null) {
+    if (!refs.includes(match[1])) {
+      refs.push(match[1]);
+    }
+  }
+  return refs;
+}
+
+/**
+ * Whether a reference always names the same code: a gist revision or an
+ * exact registry version
+ * @param {string} moduleRef - Module reference
+ * @returns {boolean}
+ */
+function isPinnedRef(moduleRef) {
+  if (moduleRef.startsWith('gist:')) {
+    return parseGistRef(moduleRef).revision !== null;
+  }
+  if (moduleRef.startsWith('pkg:')) {
+    return parseRegistryRef(moduleRef).version !== 'latest';
+  }
+  return false;
+}
+
+/**
+ * Where a module's dependency comes from: paths are relative to the
+ * module (a file of the same gist, or next to its URL), other references
+ * stand on their own
+ * @param {Object} parent - Graph node of the requiring module
+ * @param {string} moduleRef - Reference as written in the parent
+ * @returns {string} - Reference to fetch
+ */
+function dependencyRef(parent, moduleRef) {
+  if (!pathResolver.matches(moduleRef) || !parent) {
+    return moduleRef;
+  }
+  
+  const gist = parseGistRef(parent.fetchRef);
+  if (gist) {
+    const filename = moduleRef.replace(/^\.\//, '');
+    if (filename.includes('/')) {
+      throw new Error(`${parent.ref} requires ${moduleRef}, but gists have no directories`);
+    }
+    return `gist:${gist.gistId}${gist.revision ? '@' + gist.revision : ''}/${filename}`;
+  }
+  return new URL(moduleRef, parent.url).href;
+}
+
+/**
+ * Module sources in IndexedDB. Records are
+ *   { key: "<source>#sha256-...", ref: source, integrity, code, savedAt }
+ * plus { key: "<source>#latest", ref: source, integrity } for the last one
+ * fetched, where the source is the module's URL (its gist reference for
+ * pinned gist files).
+ */
+class IndexedDBModuleStore {
+  constructor(name = 'tstorie-modules') {
+    this.name = name;
+    this.db = null;
+  }
+  
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('modules', { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+  
+  async transaction(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('modules', mode);
+      const request = action(tx.objectStore('modules'));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+  
+  get(key) {
+    return this.transaction('readonly', modules => modules.get(key));
+  }
+  
+  put(record) {
+    return this.transaction('readwrite', modules => modules.put(record));
+  }
+  
+  clear() {
+    return this.transaction('readwrite', modules => modules.clear());
+  }
+}
+
+let defaultModuleStore = null;
+
+/**
+ * The persistent store in use, or null
+ */
+function moduleStore() {
+  if (moduleLoaderConfig.store !== undefined) {
+    return moduleLoaderConfig.store;
+  }
+  if (typeof indexedDB === 'undefined') {
+    return null;
+  }
+  if (!defaultModuleStore) {
+    defaultModuleStore = new IndexedDBModuleStore();
+  }
+  return defaultModuleStore;
+}
+
+/**
+ * Stored code for a reference: a copy matching `integrity` when given,
+ * else the last one fetched. Null when there is none (or the store fails).
+ */
+async function readStoredModule(store, key, integrity) {
   try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch gist: ${response.status} ${response.statusText}`);
+    const keys = [];
+    if (integrity) {
+      for (const hash of String(integrity).trim().split(/\s+/)) {
+        if (hash.startsWith('sha256-')) {
+          keys.push(`${key}#${hash}`);
+        }
+      }
+    }
+    const latest = await store.get(`${key}#latest`);
+    if (latest) {
+      keys.push(`${key}#${latest.integrity}`);
+    }
+    
+    for (const recordKey of keys) {
+      const record = await store.get(recordKey);
+      if (!record) {
+        continue;
+      }
+      if (integrity) {
+        try {
+          await verifyIntegrity(key, record.code, integrity);
+        } catch (error) {
+          continue;
+        }
+      }
+      return record.code;
     }
-    return await response.text();
   } catch (error) {
-    throw new Error(`Failed to fetch gist ${gistId}/${filename}: ${error.message}`);
+    console.warn(`Module store unavailable: ${error.message}`);
+  }
+  return null;
+}
+
+async function writeStoredModule(store, key, code) {
+  try {
+    const integrity = await computeIntegrity(code);
+    await store.put({ key: `${key}#${integrity}`, ref: key, integrity, code, savedAt: Date.now() });
+    await store.put({ key: `${key}#latest`, ref: key, integrity });
+  } catch (error) {
+    console.warn(`Couldn't store module ${key}: ${error.message}`);
   }
 }
 
 /**
- * Require a Nim module at runtime
- * Automatically fetches from gist if needed, then compiles via WASM
- * 
- * @param {string} moduleRef - Module reference (e.g., "gist:abc123/canvas.nim")
- * @returns {Promise<void>}
+ * Code of one module. Pinned and locked modules come from the store when
+ * it has them; the rest are fetched, with the stored copy as the fallback
+ * when the network fails. Code is verified before it is stored or used.
  */
-async function requireModule(moduleRef) {
-  // Check if already cached
-  if (moduleCache.has(moduleRef)) {
-    return;
+async function readModuleSource(node) {
+  const store = moduleStore();
+  if (store && (node.pinned || node.integrity)) {
+    const stored = await readStoredModule(store, node.storeKey, node.integrity);
+    if (stored !== null) {
+      return stored;
+    }
+  }
+  
+  let code;
+  try {
+    console.log(`Fetching module: ${node.ref}`);
+    code = await fetchModuleSource(node.fetchRef);
+  } catch (error) {
+    const stored = store ? await readStoredModule(store, node.storeKey, node.integrity) : null;
+    if (stored === null) {
+      throw error;
+    }
+    console.warn(`Using the stored copy of ${node.ref}: ${error.message}`);
+    return stored;
   }
   
-  const gistInfo = parseGistRef(moduleRef);
+  if (node.integrity) {
+    await verifyIntegrity(node.ref, code, node.integrity);
+  }
+  if (store) {
+    await writeStoredModule(store, node.storeKey, code);
+  }
+  return code;
+}
+
+/**
+ * Fetch modules and everything they require, in parallel
+ * @param {Object[]} roots - [{ref, integrity?}]
+ * @param {Object} options - {locked: false} ignores the document lock
+ * @returns {Promise<Map<string, Object>>} - ref -> {ref, fetchRef, url, code, deps}
+ */
+async function collectModuleGraph(roots, { locked = true } = {}) {
+  const nodes = new Map();
+  const pending = [];
   
-  if (gistInfo) {
-    // It's a gist reference - fetch the code
-    console.log(`Fetching module: ${moduleRef}`);
-    const code = await fetchGistFile(gistInfo.gistId, gistInfo.filename);
+  const visit = (moduleRef, parent, integrity) => {
+    const fetchRef = dependencyRef(parent, moduleRef);
+    const resolved = resolveModule(fetchRef);
+    const url = resolved.url;
+    const existing = nodes.get(moduleRef);
+    if (existing) {
+      // Nim caches modules by the reference as written, so it must name one file
+      if (existing.url !== url) {
+        throw new Error(`${moduleRef} names two modules: ${existing.url} and ${url} (required by ${parent ? parent.ref : 'the document'})`);
+      }
+      return;
+    }
+    
+    const node = {
+      ref: moduleRef,
+      fetchRef,
+      url,
+      // Stored under the URL, unless one URL serves several modules (gist revisions)
+      storeKey: resolved.read ? fetchRef : url,
+      integrity: integrity || (locked ? moduleLock.get(moduleRef) : null) || null,
+      // Paths inside a pinned module are as fixed as the module
+      pinned: isPinnedRef(fetchRef) || Boolean(parent && parent.pinned && pathResolver.matches(moduleRef)),
+      code: null,
+      deps: []
+    };
+    nodes.set(moduleRef, node);
+    
+    const loaded = (async () => {
+      if (moduleCache.has(moduleRef)) {
+        // Loaded before this hash was asked for: check it too
+        node.code = moduleCache.get(moduleRef);
+        if (node.integrity) {
+          await verifyIntegrity(moduleRef, node.code, node.integrity);
+        }
+      } else {
+        node.code = await readModuleSource(node);
+      }
+      node.deps = findModuleRefs(node.code);
+      for (const dep of node.deps) {
+        visit(dep, node, null);
+      }
+    })();
+    loaded.catch(() => {});
+    pending.push(loaded);
+  };
+  
+  for (const root of roots) {
+    visit(root.ref, null, root.integrity || null);
+  }
+  // Visits add more work as modules arrive
+  let waited = 0;
+  while (waited < pending.length) {
+    const batch = pending.slice(waited);
+    waited = pending.length;
+    await Promise.all(batch);
+  }
+  return nodes;
+}
+
+/**
+ * Load order for a module graph: dependencies before the modules that
+ * require them
+ * @param {Map<string, Object>} nodes - From collectModuleGraph()
+ * @param {string[]} rootRefs - Where to start
+ * @returns {string[]} - Module references
+ * @throws {Error} on a dependency cycle, naming it
+ */
+function sortModuleGraph(nodes, rootRefs) {
+  const order = [];
+  const done = new Set();
+  const path = [];
+  
+  const walk = moduleRef => {
+    if (done.has(moduleRef)) {
+      return;
+    }
+    const index = path.indexOf(moduleRef);
+    if (index >= 0) {
+      const cycle = path.slice(index).concat(moduleRef);
+      throw new Error(`Module dependency cycle: ${cycle.join(' -> ')}`);
+    }
     
-    // Pass the code to the WASM module
-    if (typeof Module._emLoadGistCode === 'function') {
-      Module._emLoadGistCode(moduleRef, code);
-      moduleCache.set(moduleRef, code);
-    } else {
-      throw new Error('WASM module not properly initialized (missing emLoadGistCode)');
+    path.push(moduleRef);
+    for (const dep of nodes.get(moduleRef).deps) {
+      walk(dep);
     }
+    path.pop();
+    done.add(moduleRef);
+    order.push(moduleRef);
+  };
+  
+  rootRefs.forEach(walk);
+  return order;
+}
+
+/**
+ * Lock block for a document's dependencies as they are now, including the
+ * modules they require: fetches each module and hashes it
+ * @param {string|string[]} markdownOrRefs - Document text, or module references
+ * @param {string} algorithm - sha256, sha384 or sha512
+ * @returns {Promise<string>} - A ```lock block to paste into the document
+ */
+async function generateModuleLock(markdownOrRefs, algorithm = 'sha256') {
+  const refs = Array.isArray(markdownOrRefs) ? markdownOrRefs : findModuleRefs(markdownOrRefs);
+  const nodes = await collectModuleGraph(refs.map(ref => ({ ref })), { locked: false });
+  const lines = [];
+  for (const moduleRef of sortModuleGraph(nodes, refs)) {
+    lines.push(`${moduleRef} ${await computeIntegrity(nodes.get(moduleRef).code, algorithm)}`);
+  }
+  return ['```lock', ...lines, '```'].join('\n');
+}
+
+/**
+ * Hand a module to the WASM runtime and compile it
+ */
+function loadIntoRuntime(moduleRef, code) {
+  // Pass the code to the WASM module
+  if (typeof Module._emLoadGistCode === 'function') {
+    Module._emLoadGistCode(moduleRef, code);
+  } else {
+    throw new Error('WASM module not properly initialized (missing emLoadGistCode)');
   }
   
   // Now try to compile/load the module
@@ -87,37 +761,67 @@ async function requireModule(moduleRef) {
     if (result.startsWith('error:')) {
       throw new Error(`Failed to load module ${moduleRef}: ${result.substring(7)}`);
     } else if (result === 'fetch_needed') {
-      // This shouldn't happen if we fetched above, but handle it
-      if (gistInfo) {
-        throw new Error(`Module fetch failed for ${moduleRef}`);
-      } else {
-        throw new Error(`Local module not found: ${moduleRef}`);
-      }
+      // This shouldn't happen since we fetched above, but handle it
+      throw new Error(`Module fetch failed for ${moduleRef}`);
     }
     // result === 'loaded' - success!
+    moduleCache.set(moduleRef, code);
     console.log(`Module loaded: ${moduleRef}`);
   } else {
     throw new Error('WASM module not properly initialized (missing emRequireModule)');
   }
 }
 
+/**
+ * Fetch modules with their dependencies, then compile them in dependency
+ * order
+ */
+async function loadModules(roots) {
+  const nodes = await collectModuleGraph(roots);
+  for (const moduleRef of sortModuleGraph(nodes, roots.map(root => root.ref))) {
+    if (!moduleCache.has(moduleRef)) {
+      loadIntoRuntime(moduleRef, nodes.get(moduleRef).code);
+    }
+  }
+}
+
+/**
+ * Require a Nim module at runtime
+ * Fetches the code and the modules it requires through the resolvers,
+ * checks each against its integrity hash (the option for this module, the
+ * lock for all of them), then compiles via WASM, dependencies first
+ * 
+ * @param {string} moduleRef - Module reference (e.g., "gist:abc123/canvas.nim")
+ * @param {Object} options - {integrity: "sha256-..."}
+ * @returns {Promise<void>}
+ */
+async function requireModule(moduleRef, options = {}) {
+  await loadModules([{ ref: moduleRef, integrity: options.integrity || null }]);
+}
+
 /**
  * Preload multiple modules before starting the application
- * Useful for loading dependencies before init
+ * Useful for loading dependencies before init; shared dependencies are
+ * fetched once
  * 
  * @param {string[]} moduleRefs - Array of module references
  * @returns {Promise<void>}
  */
 async function preloadModules(moduleRefs) {
-  const promises = moduleRefs.map(ref => requireModule(ref));
-  await Promise.all(promises);
+  await loadModules(moduleRefs.map(ref => ({ ref })));
 }
 
 /**
  * Clear the module cache (useful for development)
+ * @param {Object} options - {persistent: true} also empties the stored sources
+ * @returns {Promise<void>}
  */
-function clearModuleCache() {
+async function clearModuleCache({ persistent = false } = {}) {
   moduleCache.clear();
+  const store = persistent ? moduleStore() : null;
+  if (store) {
+    await store.clear();
+  }
 }
 
 // Export for use in browser or Node.js
@@ -126,8 +830,24 @@ if (typeof window !== 'undefined') {
     requireModule,
     preloadModules,
     clearModuleCache,
+    configureModuleLoader,
+    registerModuleResolver,
+    unregisterModuleResolver,
+    setModuleLock,
+    parseModuleLock,
+    findModuleRefs,
+    generateModuleLock,
+    collectModuleGraph,
+    sortModuleGraph,
+    IndexedDBModuleStore,
+    computeIntegrity,
+    verifyIntegrity,
+    ModuleIntegrityError,
+    resolveModule,
+    fetchModuleSource,
     fetchGistFile,
-    parseGistRef
+    parseGistRef,
+    parseRegistryRef
   };
 }
 
@@ -136,7 +856,23 @@ if (typeof module !== 'undefined' && module.exports) {
     requireModule,
     preloadModules,
     clearModuleCache,
+    configureModuleLoader,
+    registerModuleResolver,
+    unregisterModuleResolver,
+    setModuleLock,
+    parseModuleLock,
+    findModuleRefs,
+    generateModuleLock,
+    collectModuleGraph,
+    sortModuleGraph,
+    IndexedDBModuleStore,
+    computeIntegrity,
+    verifyIntegrity,
+    ModuleIntegrityError,
+    resolveModule,
+    fetchModuleSource,
     fetchGistFile,
-    parseGistRef
+    parseGistRef,
+    parseRegistryRef
   };
 }
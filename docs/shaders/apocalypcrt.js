@@ -166,27 +166,27 @@ function getShaderConfig() {
             }
         `,
         uniforms: {
-            grilleLvl: 0.95,
-            grilleDensity: 800.0,
-            scanlineLvl: 0.8,
-            scanlines: 2.0,
-            rgbOffset: 0.001,
-            noiseLevel: 0.025,
-            flicker: 0.1,
-            hSync: 0.01,
-            vignetteStart: 0.25,
-            vignetteLvl: 40.0,
-            curveStrength: 0.95,
-            frameSize: 20.0,
-            frameHue: 0.025,
-            frameSat: 0.0,
-            frameLight: 0.01,
-            frameReflect: 0.15,
-            frameGrain: 0.25,
-            borderSize: 2.0,
-            borderHue: 0.0,
-            borderSat: 0.0,
-            borderLight: 0.0
+            grilleLvl: { type: 'f32', default: 0.95, min: 0.0, max: 1.0, step: 0.01, label: 'Grille Level' },
+            grilleDensity: { type: 'f32', default: 800.0, min: 100.0, max: 2000.0, step: 10.0, label: 'Grille Density' },
+            scanlineLvl: { type: 'f32', default: 0.8, min: 0.0, max: 1.0, step: 0.01, label: 'Scanline Level' },
+            scanlines: { type: 'f32', default: 2.0, min: 0.5, max: 8.0, step: 0.5, label: 'Scanline Spacing' },
+            rgbOffset: { type: 'f32', default: 0.001, min: 0.0, max: 0.01, step: 0.0005, label: 'RGB Offset' },
+            noiseLevel: { type: 'f32', default: 0.025, min: 0.0, max: 0.2, step: 0.005, label: 'Noise Level' },
+            flicker: { type: 'f32', default: 0.1, min: 0.0, max: 1.0, step: 0.01, label: 'Flicker' },
+            hSync: { type: 'f32', default: 0.01, min: 0.0, max: 0.1, step: 0.005, label: 'Horizontal Sync' },
+            vignetteStart: { type: 'f32', default: 0.25, min: 0.0, max: 1.0, step: 0.01, label: 'Vignette Start' },
+            vignetteLvl: { type: 'f32', default: 40.0, min: 0.0, max: 100.0, step: 1.0, label: 'Vignette Level' },
+            curveStrength: { type: 'f32', default: 0.95, min: 0.0, max: 1.0, step: 0.01, label: 'Curve Strength' },
+            frameSize: { type: 'f32', default: 20.0, min: 0.0, max: 60.0, step: 1.0, label: 'Frame Size' },
+            frameHue: { type: 'f32', default: 0.025, min: 0.0, max: 1.0, step: 0.005, label: 'Frame Hue' },
+            frameSat: { type: 'f32', default: 0.0, min: 0.0, max: 1.0, step: 0.01, label: 'Frame Saturation' },
+            frameLight: { type: 'f32', default: 0.01, min: 0.0, max: 1.0, step: 0.01, label: 'Frame Lightness' },
+            frameReflect: { type: 'f32', default: 0.15, min: 0.0, max: 1.0, step: 0.01, label: 'Frame Reflection' },
+            frameGrain: { type: 'f32', default: 0.25, min: 0.0, max: 1.0, step: 0.01, label: 'Frame Grain' },
+            borderSize: { type: 'f32', default: 2.0, min: 0.0, max: 20.0, step: 1.0, label: 'Border Size' },
+            borderHue: { type: 'f32', default: 0.0, min: 0.0, max: 1.0, step: 0.005, label: 'Border Hue' },
+            borderSat: { type: 'f32', default: 0.0, min: 0.0, max: 1.0, step: 0.01, label: 'Border Saturation' },
+            borderLight: { type: 'f32', default: 0.0, min: 0.0, max: 1.0, step: 0.01, label: 'Border Lightness' }
         }
     };
 }
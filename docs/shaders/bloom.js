@@ -111,11 +111,11 @@ function getShaderConfig() {
         `,
         
         uniforms: {
-            bloomIntensity: 0.15,
-            bloomRadius: 22.0,
-            bloomSpread: 1.0,
-            bloomThreshold: 0.15,
-            bloomSoftness: 1.5
+            bloomIntensity: { type: 'f32', default: 0.15, min: 0.0, max: 2.0, step: 0.01, label: 'Bloom Intensity' },
+            bloomRadius: { type: 'f32', default: 22.0, min: 1.0, max: 40.0, step: 0.5, label: 'Bloom Radius' },
+            bloomSpread: { type: 'f32', default: 1.0, min: 0.5, max: 2.0, step: 0.05, label: 'Bloom Spread' },
+            bloomThreshold: { type: 'f32', default: 0.15, min: 0.0, max: 1.0, step: 0.01, label: 'Bloom Threshold' },
+            bloomSoftness: { type: 'f32', default: 1.5, min: 0.0, max: 3.0, step: 0.05, label: 'Bloom Softness' }
         }
     };
 }
\ No newline at end of file
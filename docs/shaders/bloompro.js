@@ -111,11 +111,11 @@ function getShaderConfig() {
         `,
         
         uniforms: {
-            bloomIntensity: 0.15,      // How strong the bloom effect is
-            bloomRadius: 22.0,         // Maximum reach of the bloom halo
-            bloomSpread: 1.0,          // Distance between sample rings (0.5-2.0)
-            bloomThreshold: 0.15,      // Brightness threshold
-            bloomSoftness: 1.5         // Smoothness of threshold falloff
+            bloomIntensity: { type: 'f32', default: 0.15, min: 0.0, max: 2.0, step: 0.01, label: 'Bloom Intensity' },  // How strong the bloom effect is
+            bloomRadius: { type: 'f32', default: 22.0, min: 1.0, max: 40.0, step: 0.5, label: 'Bloom Radius' },        // Maximum reach of the bloom halo
+            bloomSpread: { type: 'f32', default: 1.0, min: 0.5, max: 2.0, step: 0.05, label: 'Bloom Spread' },         // Distance between sample rings
+            bloomThreshold: { type: 'f32', default: 0.15, min: 0.0, max: 1.0, step: 0.01, label: 'Bloom Threshold' },  // Brightness threshold
+            bloomSoftness: { type: 'f32', default: 1.5, min: 0.0, max: 3.0, step: 0.05, label: 'Bloom Softness' }      // Smoothness of threshold falloff
         }
     };
 }
\ No newline at end of file
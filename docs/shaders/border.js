@@ -53,8 +53,8 @@ function getShaderConfig() {
         `,
         
         uniforms: {
-            borderSize: 20.0,                    // Border thickness in pixels
-            backgroundColor: [0.0, 0.0, 0.0]     // Border color (RGB, black by default)
+            borderSize: { type: 'f32', default: 20.0, min: 0.0, max: 60.0, step: 1.0, label: 'Border Size' },                    // Border thickness in pixels
+            backgroundColor: { type: 'color', default: [0.0, 0.0, 0.0], min: 0.0, max: 1.0, step: 0.01, label: 'Border Color' }  // Border color (RGB, black by default)
         }
     };
 }
\ No newline at end of file
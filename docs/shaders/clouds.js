@@ -123,13 +123,13 @@ function getShaderConfig() {
         `,
         
         uniforms: {
-    cloudDensity: 0.5,
-    cloudScale: 0.5,
-    cloudSpeed: 0.075,
-    cloudDirection: [1.15, -0.3],
-    cloudSoftness: 0.01,
-    cloudColor: [0.7, 0.75, 0.8],
-    layerCount: 2.0
+    cloudDensity: { type: 'f32', default: 0.5, min: 0.0, max: 1.0, step: 0.01, label: 'Cloud Density' },
+    cloudScale: { type: 'f32', default: 0.5, min: 0.1, max: 3.0, step: 0.05, label: 'Cloud Scale' },
+    cloudSpeed: { type: 'f32', default: 0.075, min: 0.0, max: 0.5, step: 0.005, label: 'Cloud Speed' },
+    cloudDirection: { type: 'vec2', default: [1.15, -0.3], min: -2.0, max: 2.0, step: 0.05, label: 'Cloud Direction' },
+    cloudSoftness: { type: 'f32', default: 0.01, min: 0.0, max: 0.5, step: 0.005, label: 'Cloud Softness' },
+    cloudColor: { type: 'color', default: [0.7, 0.75, 0.8], min: 0.0, max: 1.0, step: 0.01, label: 'Cloud Color' },
+    layerCount: { type: 'f32', default: 2.0, min: 1.0, max: 4.0, step: 1.0, label: 'Layer Count' }
         }
     };
 }
\ No newline at end of file
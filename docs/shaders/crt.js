@@ -116,13 +116,13 @@ function getShaderConfig() {
         `,
         
         uniforms: {
-            curveStrength: 0.95,      // CRT screen curvature (0.0 = flat, 1.0 = curved)
-            frameSize: 20.0,          // Outer frame thickness in pixels
-            frameHue: 0.025,          // Frame color hue (0.0-1.0)
-            frameSat: 0.0,            // Frame color saturation (0.0-1.0)
-            frameLight: 0.01,         // Frame base brightness (0.0-1.0)
-            frameReflect: 0.35,       // Screen reflection on frame (0.0-1.0)
-            frameGrain: 0.25          // Frame texture grain (0.0-1.0)
+            curveStrength: { type: 'f32', default: 0.95, min: 0.0, max: 1.0, step: 0.01, label: 'Curve Strength' },   // CRT screen curvature (0.0 = flat, 1.0 = curved)
+            frameSize: { type: 'f32', default: 20.0, min: 0.0, max: 60.0, step: 1.0, label: 'Frame Size' },           // Outer frame thickness in pixels
+            frameHue: { type: 'f32', default: 0.025, min: 0.0, max: 1.0, step: 0.005, label: 'Frame Hue' },           // Frame color hue
+            frameSat: { type: 'f32', default: 0.0, min: 0.0, max: 1.0, step: 0.01, label: 'Frame Saturation' },       // Frame color saturation
+            frameLight: { type: 'f32', default: 0.01, min: 0.0, max: 1.0, step: 0.01, label: 'Frame Lightness' },     // Frame base brightness
+            frameReflect: { type: 'f32', default: 0.35, min: 0.0, max: 1.0, step: 0.01, label: 'Frame Reflection' },  // Screen reflection on frame
+            frameGrain: { type: 'f32', default: 0.25, min: 0.0, max: 1.0, step: 0.01, label: 'Frame Grain' }          // Frame texture grain
         }
     };
 }
\ No newline at end of file
@@ -174,11 +174,11 @@ function getShaderConfig() {
         `,
         
         uniforms: {
-            glowIntensity: 1.2,         // Heavy glow (0.5-3.0)
-            glowRadius: 18.0,           // Glow spread distance
-            glowThreshold: 0.1,         // Lower = more things glow
-            saturationBoost: 1.8,       // Cyberpunk color saturation (1.0-3.0)
-            chromaticAberration: 1.5    // Color fringing effect (0.0-3.0)
+            glowIntensity: { type: 'f32', default: 1.2, min: 0.5, max: 3.0, step: 0.05, label: 'Glow Intensity' },             // Heavy glow
+            glowRadius: { type: 'f32', default: 18.0, min: 1.0, max: 40.0, step: 0.5, label: 'Glow Radius' },                  // Glow spread distance
+            glowThreshold: { type: 'f32', default: 0.1, min: 0.0, max: 1.0, step: 0.01, label: 'Glow Threshold' },             // Lower = more things glow
+            saturationBoost: { type: 'f32', default: 1.8, min: 1.0, max: 3.0, step: 0.05, label: 'Saturation Boost' },         // Cyberpunk color saturation
+            chromaticAberration: { type: 'f32', default: 1.5, min: 0.0, max: 3.0, step: 0.05, label: 'Chromatic Aberration' }  // Color fringing effect
         }
     };
 }
@@ -122,18 +122,18 @@ function getShaderConfig() {
         `,
         uniforms: {
             // Scratch timing
-            scratchInterval: 1.5,        // How often new scratches appear (0.1-4.0, higher = less frequent)
-            scratchLifetime: 0.1,        // How long scratches persist (0.1-1.0, fraction of interval)
+            scratchInterval: { type: 'f32', default: 1.5, min: 0.1, max: 4.0, step: 0.1, label: 'Scratch Interval' },   // How often new scratches appear (higher = less frequent)
+            scratchLifetime: { type: 'f32', default: 0.1, min: 0.1, max: 1.0, step: 0.05, label: 'Scratch Lifetime' },  // How long scratches persist (fraction of interval)
             
             // Scratch appearance
-            minAlpha: 0.4,               // Minimum scratch opacity (0.0-1.0)
-            maxAlpha: 0.8,               // Maximum scratch opacity (0.0-1.0)
-            minLength: 0.005,            // Minimum scratch length (0.0-1.0)
-            maxLength: 0.5,              // Maximum scratch length (0.0-3.0)
-            straightness: 0.8,           // Probability of straight scratches (0.0-1.0, higher = straighter)
-            noisiness: 0.001,            // Edge roughness (0.0-0.015, higher = rougher)
-            minWidth: 0.0,               // Minimum scratch width (0.0-0.005)
-            maxWidth: 0.0002              // Maximum scratch width (0.0-0.015)
+            minAlpha: { type: 'f32', default: 0.4, min: 0.0, max: 1.0, step: 0.01, label: 'Min Opacity' },            // Minimum scratch opacity
+            maxAlpha: { type: 'f32', default: 0.8, min: 0.0, max: 1.0, step: 0.01, label: 'Max Opacity' },            // Maximum scratch opacity
+            minLength: { type: 'f32', default: 0.005, min: 0.0, max: 1.0, step: 0.005, label: 'Min Length' },         // Minimum scratch length
+            maxLength: { type: 'f32', default: 0.5, min: 0.0, max: 3.0, step: 0.01, label: 'Max Length' },            // Maximum scratch length
+            straightness: { type: 'f32', default: 0.8, min: 0.0, max: 1.0, step: 0.01, label: 'Straightness' },       // Probability of straight scratches (higher = straighter)
+            noisiness: { type: 'f32', default: 0.001, min: 0.0, max: 0.015, step: 0.0005, label: 'Edge Roughness' },  // Edge roughness (higher = rougher)
+            minWidth: { type: 'f32', default: 0.0, min: 0.0, max: 0.005, step: 0.0001, label: 'Min Width' },          // Minimum scratch width
+            maxWidth: { type: 'f32', default: 0.0002, min: 0.0, max: 0.015, step: 0.0001, label: 'Max Width' }        // Maximum scratch width
         }
     };
 }
\ No newline at end of file
@@ -105,11 +105,11 @@ function getShaderConfig() {
         `,
         uniforms: {
             // Scratch controls
-            scratchDensity: 0.05,        // Number of scratches (0.0-1.0, higher = more scratches)
-            scratchWidth: 0.0005,         // Base scratch thickness (0.001-0.01)
-            scratchIntensity: 0.3,       // Scratch brightness (0.0-1.0)
-            scratchSpeed: 3.0,           // How often scratches change (0.1-2.0)
-            verticalVariation: 0.002,    // Subtle horizontal drift (0.0-0.01, higher = more wavy)
+            scratchDensity: { type: 'f32', default: 0.05, min: 0.0, max: 1.0, step: 0.01, label: 'Scratch Density' },            // Number of scratches (higher = more scratches)
+            scratchWidth: { type: 'f32', default: 0.0005, min: 0.0, max: 0.01, step: 0.0001, label: 'Scratch Width' },           // Base scratch thickness
+            scratchIntensity: { type: 'f32', default: 0.3, min: 0.0, max: 1.0, step: 0.01, label: 'Scratch Intensity' },         // Scratch brightness
+            scratchSpeed: { type: 'f32', default: 3.0, min: 0.1, max: 5.0, step: 0.1, label: 'Scratch Speed' },                  // How often scratches change
+            verticalVariation: { type: 'f32', default: 0.002, min: 0.0, max: 0.01, step: 0.0005, label: 'Vertical Variation' },  // Subtle horizontal drift (higher = more wavy)
         }
     };
 }
\ No newline at end of file
@@ -120,17 +120,25 @@ function getShaderConfig() {
         
         uniforms: {
             // Focus area (center of sharpness)
-            focusPoint: [0.5, 0.5],      // Center of screen (0.0-1.0 range)
-            focusRadius: 0.2,            // Radius of perfectly sharp area (0.0-1.0)
+            focusPoint: { type: 'vec2', default: [0.5, 0.5], min: 0.0, max: 1.0, step: 0.01, label: 'Focus Point' },  // Center of screen
+            focusRadius: { type: 'f32', default: 0.2, min: 0.0, max: 1.0, step: 0.01, label: 'Focus Radius' },        // Radius of perfectly sharp area
             
             // Blur intensity
-            blurRadius: 1.5,             // Maximum blur radius in pixels at edges
+            blurRadius: { type: 'f32', default: 1.5, min: 0.0, max: 10.0, step: 0.1, label: 'Blur Radius' },  // Maximum blur radius in pixels at edges
             
             // Falloff control
-            falloffPower: 1.5,           // How quickly blur increases (1.0 = linear, 2.0 = quadratic)
+            falloffPower: { type: 'f32', default: 1.5, min: 0.5, max: 4.0, step: 0.05, label: 'Falloff Power' },  // How quickly blur increases (1.0 = linear, 2.0 = quadratic)
             
             // Performance control
-            sampleCount: 5.0             // Number of samples: 1 (none), 5 (fast), 9 (balanced), 13 (quality)
+            sampleCount: {
+                type: 'f32', default: 5.0, label: 'Sample Count', description: 'Number of blur samples',
+                options: [
+                    { value: 1, label: '1 (none)' },
+                    { value: 5, label: '5 (fast)' },
+                    { value: 9, label: '9 (balanced)' },
+                    { value: 13, label: '13 (quality)' }
+                ]
+            }
         }
     };
 }
@@ -78,16 +78,16 @@ function getShaderConfig() {
         `,
         uniforms: {
             // Cell size (set dynamically by terminal, then doubled for double-width chars)
-            cellSize: [10.0, 20.0],     // Will be updated by terminal
+            cellSize: { type: 'vec2', default: [10.0, 20.0], min: 1.0, max: 200.0, step: 0.5, label: 'Cell Size' },  // Will be updated by terminal
             
             // Grid appearance
-            gridColor: [0.1, 0.1, 0.12], // Very dark, almost black with slight blue tint
-            gridAlpha: 0.2,              // Overall grid opacity (0.0-1.0)
+            gridColor: { type: 'color', default: [0.1, 0.1, 0.12], min: 0.0, max: 1.0, step: 0.01, label: 'Grid Color' },  // Very dark, almost black with slight blue tint
+            gridAlpha: { type: 'f32', default: 0.2, min: 0.0, max: 1.0, step: 0.01, label: 'Grid Opacity' },               // Overall grid opacity
             
             // Softness control
-            coreThickness: 0.7,          // Core line thickness in pixels (sharp)
-            softThickness: 0.7,          // Additional soft halo thickness in pixels
-            haloAlpha: 0.1               // Opacity of soft halo relative to core (0.0-1.0)
+            coreThickness: { type: 'f32', default: 0.7, min: 0.0, max: 4.0, step: 0.1, label: 'Core Thickness' },  // Core line thickness in pixels (sharp)
+            softThickness: { type: 'f32', default: 0.7, min: 0.0, max: 4.0, step: 0.1, label: 'Halo Thickness' },  // Additional soft halo thickness in pixels
+            haloAlpha: { type: 'f32', default: 0.1, min: 0.0, max: 1.0, step: 0.01, label: 'Halo Opacity' }        // Opacity of soft halo relative to core
         }
     };
 }
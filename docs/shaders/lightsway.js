@@ -93,15 +93,15 @@ function getShaderConfig() {
         `,
         
         uniforms: {
-            lightPosition: [0.47, 0.6],           // Center area (UV space)
-            lightColor: [1.0, 0.95, 0.85],       // Warm white (slightly yellow)
-            lightIntensity: 0.45,                 // Brightness multiplier
-            lightRadius: 3.0,                     // Coverage area in UV space
-            falloffPower: 5.0,                    // Attenuation sharpness (2.0-5.0 realistic)
-            ambientLevel: 0.85,                   // Ambient light level
-            lightHeight: 1.62,                    // Simulated height (1.0-2.0)
-            swayAmount: 0.6,                     // Horizontal sway range (0.0-0.2)
-            swaySpeed: 0.9                        // Sway speed (0.5-2.0)
+            lightPosition: { type: 'vec2', default: [0.47, 0.6], min: 0.0, max: 1.0, step: 0.01, label: 'Light Position' },   // Center area (UV space)
+            lightColor: { type: 'color', default: [1.0, 0.95, 0.85], min: 0.0, max: 1.0, step: 0.01, label: 'Light Color' },  // Warm white (slightly yellow)
+            lightIntensity: { type: 'f32', default: 0.45, min: 0.0, max: 3.0, step: 0.05, label: 'Light Intensity' },         // Brightness multiplier
+            lightRadius: { type: 'f32', default: 3.0, min: 0.05, max: 5.0, step: 0.01, label: 'Light Radius' },               // Coverage area in UV space
+            falloffPower: { type: 'f32', default: 5.0, min: 0.5, max: 8.0, step: 0.1, label: 'Falloff Power' },               // Attenuation sharpness (2.0-5.0 realistic)
+            ambientLevel: { type: 'f32', default: 0.85, min: 0.0, max: 1.0, step: 0.01, label: 'Ambient Level' },             // Ambient light level
+            lightHeight: { type: 'f32', default: 1.62, min: 0.5, max: 3.0, step: 0.01, label: 'Light Height' },               // Simulated height
+            swayAmount: { type: 'f32', default: 0.6, min: 0.0, max: 1.0, step: 0.01, label: 'Sway Amount' },                  // Horizontal sway range
+            swaySpeed: { type: 'f32', default: 0.9, min: 0.0, max: 3.0, step: 0.05, label: 'Sway Speed' }                     // Sway speed
         }
     };
 }
\ No newline at end of file
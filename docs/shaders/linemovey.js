@@ -49,13 +49,13 @@ function getShaderConfig() {
         `,
         uniforms: {
             // Line appearance
-            lineColor: [0.9, 0.9, 0.95],  // Very light, almost white with slight blue tint
-            lineAlpha: 0.05,               // Line opacity (0.0-1.0)
-            lineWidth: 0.002,              // Line softness/width (in UV space, 0.0-1.0)
+            lineColor: { type: 'color', default: [0.9, 0.9, 0.95], min: 0.0, max: 1.0, step: 0.01, label: 'Line Color' },  // Very light, almost white with slight blue tint
+            lineAlpha: { type: 'f32', default: 0.05, min: 0.0, max: 1.0, step: 0.01, label: 'Line Opacity' },              // Line opacity
+            lineWidth: { type: 'f32', default: 0.002, min: 0.0, max: 0.05, step: 0.001, label: 'Line Width' },             // Line softness/width (in UV space, 0.0-1.0)
             
             // Animation
-            speed: 0.3,                    // Movement speed (higher = faster)
-            loopDuration: 10.0             // Duration for one complete loop in seconds
+            speed: { type: 'f32', default: 0.3, min: 0.0, max: 2.0, step: 0.05, label: 'Speed' },                 // Movement speed (higher = faster)
+            loopDuration: { type: 'f32', default: 10.0, min: 1.0, max: 60.0, step: 1.0, label: 'Loop Duration' }  // Duration for one complete loop in seconds
         }
     };
 }
\ No newline at end of file
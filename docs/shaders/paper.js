@@ -44,9 +44,9 @@ function getShaderConfig() {
             }
         `,
         uniforms: {
-            paperNoise: 0.40,         // Paper texture on/off (0.0-1.0)
-            noiseIntensity: 0.18,    // How strong the noise pattern is
-            noiseMix: 0.74            // How much noise blends with color
+            paperNoise: { type: 'f32', default: 0.40, min: 0.0, max: 1.0, step: 0.01, label: 'Paper Noise' },          // Paper texture on/off
+            noiseIntensity: { type: 'f32', default: 0.18, min: 0.0, max: 1.0, step: 0.01, label: 'Noise Intensity' },  // How strong the noise pattern is
+            noiseMix: { type: 'f32', default: 0.74, min: 0.0, max: 1.0, step: 0.01, label: 'Noise Mix' }               // How much noise blends with color
         }
     };
 }
\ No newline at end of file
@@ -165,15 +165,15 @@ function getShaderConfig() {
         `,
         uniforms: {
             // Paper
-            paperNoise: 0.22,
-            noiseIntensity: 0.28,
-            noiseMix: 0.74,
+            paperNoise: { type: 'f32', default: 0.22, min: 0.0, max: 1.0, step: 0.01, label: 'Paper Noise' },
+            noiseIntensity: { type: 'f32', default: 0.28, min: 0.0, max: 1.0, step: 0.01, label: 'Noise Intensity' },
+            noiseMix: { type: 'f32', default: 0.74, min: 0.0, max: 1.0, step: 0.01, label: 'Noise Mix' },
 
             // Dirt
-            dirtAmount: 0.32,
-            dirtScale: 1.1,
-            dirtContrast: 0.92,
-            dirtColor: [0.25, 0.18, 0.12] // warm dirt / sepia
+            dirtAmount: { type: 'f32', default: 0.32, min: 0.0, max: 1.0, step: 0.01, label: 'Dirt Amount' },
+            dirtScale: { type: 'f32', default: 1.1, min: 0.1, max: 3.0, step: 0.01, label: 'Dirt Scale' },
+            dirtContrast: { type: 'f32', default: 0.92, min: 0.0, max: 2.0, step: 0.01, label: 'Dirt Contrast' },
+            dirtColor: { type: 'color', default: [0.25, 0.18, 0.12], min: 0.0, max: 1.0, step: 0.01, label: 'Dirt Color' }  // warm dirt / sepia
         }
     };
 }
@@ -205,20 +205,20 @@ function getShaderConfig() {
         `,
         uniforms: {
             // Paper grain
-            paperNoise: 0.4,
-            noiseIntensity: 0.18,
-            noiseMix: 0.64,
+            paperNoise: { type: 'f32', default: 0.4, min: 0.0, max: 1.0, step: 0.01, label: 'Paper Noise' },
+            noiseIntensity: { type: 'f32', default: 0.18, min: 0.0, max: 1.0, step: 0.01, label: 'Noise Intensity' },
+            noiseMix: { type: 'f32', default: 0.64, min: 0.0, max: 1.0, step: 0.01, label: 'Noise Mix' },
 
             // Dirt stains
-            dirtAmount: 0.15,
-            dirtScale: 0.97,
-            dirtContrast: 0.96,
-            dirtColor: [0.95, 0.98, 0.92], // warm dirt / sepia
+            dirtAmount: { type: 'f32', default: 0.15, min: 0.0, max: 1.0, step: 0.01, label: 'Dirt Amount' },
+            dirtScale: { type: 'f32', default: 0.97, min: 0.1, max: 3.0, step: 0.01, label: 'Dirt Scale' },
+            dirtContrast: { type: 'f32', default: 0.96, min: 0.0, max: 2.0, step: 0.01, label: 'Dirt Contrast' },
+            dirtColor: { type: 'color', default: [0.95, 0.98, 0.92], min: 0.0, max: 1.0, step: 0.01, label: 'Dirt Color' },  // warm dirt / sepia
 
             // Linen texture
-            linenStrength: 0.18,   // Very subtle for premium look
-            linenScale: 300.0,     // Thread density
-            linenSoftness: 3.5     // Thread thickness/softness
+            linenStrength: { type: 'f32', default: 0.18, min: 0.0, max: 1.0, step: 0.01, label: 'Linen Strength' },  // Very subtle for premium look
+            linenScale: { type: 'f32', default: 300.0, min: 50.0, max: 600.0, step: 10.0, label: 'Linen Scale' },    // Thread density
+            linenSoftness: { type: 'f32', default: 3.5, min: 0.5, max: 8.0, step: 0.1, label: 'Linen Softness' }     // Thread thickness/softness
         }
     };
 }
\ No newline at end of file
@@ -0,0 +1,46 @@
+// Phosphor Persistence Shader for t|Storie
+// Bright text fades out slowly, leaving trails like a long-persistence CRT
+
+function getShaderConfig() {
+    return {
+        vertexShader: `
+            attribute vec2 position;
+            varying vec2 vUv;
+            
+            void main() {
+                vUv = position * 0.5 + 0.5;
+                vUv.y = 1.0 - vUv.y;  // Flip vertically
+                gl_Position = vec4(position, 0.0, 1.0);
+            }
+        `,
+        
+        fragmentShader: `
+            precision mediump float;
+            
+            uniform sampler2D contentTexture;
+            uniform sampler2D previousFrame;
+            uniform float time;
+            uniform vec2 resolution;
+            uniform float persistence;
+            
+            varying vec2 vUv;
+            
+            void main() {
+                vec4 color = texture2D(contentTexture, vUv);
+                
+                // This pass's own output from the last frame, slightly dimmer
+                vec4 trail = texture2D(previousFrame, vUv) * persistence;
+                
+                gl_FragColor = vec4(max(color.rgb, trail.rgb), color.a);
+            }
+        `,
+        
+        uniforms: {
+            persistence: { type: 'f32', default: 0.85, min: 0.0, max: 0.98, step: 0.01, label: 'Persistence' },  // Trail brightness kept each frame, higher = longer trails
+        },
+        
+        inputs: {
+            previousFrame: 'feedback'
+        }
+    };
+}
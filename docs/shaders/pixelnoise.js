@@ -100,13 +100,13 @@ function getShaderConfig() {
         `,
         uniforms: {
             // Sand grain controls
-            sandScale: 0.3,              // Sand grain size (0.1-1.0, higher = smaller grains)
-            sandDensity: 0.08,           // Coverage amount (0.0-0.5, higher = more sand visible)
-            temporalSpeed: 0.5,          // How fast sand shifts (0.0-2.0)
+            sandScale: { type: 'f32', default: 0.3, min: 0.1, max: 1.0, step: 0.01, label: 'Sand Scale' },           // Sand grain size (higher = smaller grains)
+            sandDensity: { type: 'f32', default: 0.08, min: 0.0, max: 0.5, step: 0.001, label: 'Sand Density' },     // Coverage amount (higher = more sand visible)
+            temporalSpeed: { type: 'f32', default: 0.5, min: 0.0, max: 2.0, step: 0.05, label: 'Animation Speed' },  // How fast sand shifts
             
             // Visual appearance
-            colorVariation: 0.15,        // Color diversity (0.0-0.3)
-            sandIntensity: 0.6           // Overall effect strength (0.0-1.0)
+            colorVariation: { type: 'f32', default: 0.15, min: 0.0, max: 1.0, step: 0.01, label: 'Color Variation' },  // Color diversity
+            sandIntensity: { type: 'f32', default: 0.6, min: 0.0, max: 1.0, step: 0.01, label: 'Sand Intensity' }      // Overall effect strength
         }
     };
 }
\ No newline at end of file
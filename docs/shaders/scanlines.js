@@ -45,9 +45,9 @@ function getShaderConfig() {
         `,
         
         uniforms: {
-            scanlineStrength: 0.7,    // 0.0 = black lines, 1.0 = no effect
-            scanlineWidth: 1.5,       // Pixels per scanline pair
-            scanlineSpeed: 0.0        // 0.0 = static, 0.01 = slow scroll
+            scanlineStrength: { type: 'f32', default: 0.7, min: 0.0, max: 1.0, step: 0.01, label: 'Scanline Strength' },  // 0.0 = black lines, 1.0 = no effect
+            scanlineWidth: { type: 'f32', default: 1.5, min: 0.5, max: 8.0, step: 0.1, label: 'Scanline Width' },         // Pixels per scanline pair
+            scanlineSpeed: { type: 'f32', default: 0.0, min: 0.0, max: 0.1, step: 0.005, label: 'Scanline Speed' }        // 0.0 = static, 0.01 = slow scroll
         }
     };
 }
\ No newline at end of file
@@ -165,15 +165,15 @@ function getShaderConfig() {
         `,
         uniforms: {
             // Paper
-            paperNoise: 0.24,
-            noiseIntensity: 0.18,
-            noiseMix: 0.64,
+            paperNoise: { type: 'f32', default: 0.24, min: 0.0, max: 1.0, step: 0.01, label: 'Paper Noise' },
+            noiseIntensity: { type: 'f32', default: 0.18, min: 0.0, max: 1.0, step: 0.01, label: 'Noise Intensity' },
+            noiseMix: { type: 'f32', default: 0.64, min: 0.0, max: 1.0, step: 0.01, label: 'Noise Mix' },
 
             // Dirt
-            dirtAmount: .15,
-            dirtScale: 0.97,
-            dirtContrast: 0.96,
-            dirtColor: [0.95, 0.98, 0.92] // warm dirt / sepia
+            dirtAmount: { type: 'f32', default: .15, min: 0.0, max: 1.0, step: 0.01, label: 'Dirt Amount' },
+            dirtScale: { type: 'f32', default: 0.97, min: 0.1, max: 3.0, step: 0.01, label: 'Dirt Scale' },
+            dirtContrast: { type: 'f32', default: 0.96, min: 0.0, max: 2.0, step: 0.01, label: 'Dirt Contrast' },
+            dirtColor: { type: 'color', default: [0.95, 0.98, 0.92], min: 0.0, max: 1.0, step: 0.01, label: 'Dirt Color' }  // warm dirt / sepia
         }
     };
 }
@@ -140,14 +140,14 @@ function getShaderConfig() {
         `,
         uniforms: {
             // Sand grain appearance
-            grainStrength: 0.25,        // Overall grain visibility (0.0-1.0, higher = more visible)
-            grainScale: 0.03,            // Grain detail scale (0.05-0.3, smaller = finer grain)
+            grainStrength: { type: 'f32', default: 0.25, min: 0.0, max: 1.0, step: 0.01, label: 'Grain Strength' },  // Overall grain visibility (higher = more visible)
+            grainScale: { type: 'f32', default: 0.03, min: 0.005, max: 0.3, step: 0.005, label: 'Grain Scale' },     // Grain detail scale (smaller = finer grain)
             
             // Color and atmosphere
-            colorVariation: 0.5,       // Subtle color shifts across sand (0.0-0.2, higher = more variation)
+            colorVariation: { type: 'f32', default: 0.5, min: 0.0, max: 1.0, step: 0.01, label: 'Color Variation' },  // Subtle color shifts across sand (higher = more variation)
             
             // Displacement for terminal content
-            displacementStrength: 2.0   // Content displacement amount (0.0-3.0, higher = more distortion)
+            displacementStrength: { type: 'f32', default: 2.0, min: 0.0, max: 3.0, step: 0.1, label: 'Displacement Strength' }  // Content displacement amount (higher = more distortion)
         }
     };
 }
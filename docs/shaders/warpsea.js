@@ -109,15 +109,15 @@ function getShaderConfig() {
         `,
         uniforms: {
             // Distortion controls
-            distortionStrength: 1.0,     // Wave distortion amount (0.0-5.0, higher = more wavy)
+            distortionStrength: { type: 'f32', default: 1.0, min: 0.0, max: 5.0, step: 0.1, label: 'Distortion Strength' },  // Wave distortion amount (higher = more wavy)
             
             // Caustic controls
-            causticIntensity: 1.0,       // Brightness of water highlights (0.0-2.0)
-            causticScale: 0.85,           // Caustic pattern size (0.5-3.0, higher = smaller patterns)
+            causticIntensity: { type: 'f32', default: 1.0, min: 0.0, max: 2.0, step: 0.05, label: 'Caustic Intensity' },  // Brightness of water highlights
+            causticScale: { type: 'f32', default: 0.85, min: 0.5, max: 3.0, step: 0.05, label: 'Caustic Scale' },         // Caustic pattern size (higher = smaller patterns)
             
             // Animation controls
-            waterSpeed: 0.01,             // Overall animation speed (0.1-2.0)
-            waveDensity: 0.5             // Wave pattern density (0.5-2.0)
+            waterSpeed: { type: 'f32', default: 0.01, min: 0.0, max: 2.0, step: 0.01, label: 'Water Speed' },  // Overall animation speed
+            waveDensity: { type: 'f32', default: 0.5, min: 0.5, max: 2.0, step: 0.05, label: 'Wave Density' }  // Wave pattern density
         }
     };
 }
\ No newline at end of file
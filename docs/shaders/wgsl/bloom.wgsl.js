@@ -110,10 +110,10 @@ fn fragmentMain(
 `,
         
         uniforms: {
-            bloomIntensity: 0.4,      // Bloom strength (0.0-1.0+)
-            bloomRadius: 3.0,         // Blur radius in pixels
-            bloomThreshold: 0.6,      // Brightness threshold (0.0-1.0)
-            bloomSoftness: 0.2        // Threshold softness
+            bloomIntensity: { type: 'f32', default: 0.4, min: 0.0, max: 2.0, step: 0.01, label: 'Bloom Intensity' },  // Bloom strength
+            bloomRadius: { type: 'f32', default: 3.0, min: 1.0, max: 40.0, step: 0.5, label: 'Bloom Radius' },        // Blur radius in pixels
+            bloomThreshold: { type: 'f32', default: 0.6, min: 0.0, max: 1.0, step: 0.01, label: 'Bloom Threshold' },  // Brightness threshold
+            bloomSoftness: { type: 'f32', default: 0.2, min: 0.0, max: 3.0, step: 0.05, label: 'Bloom Softness' }     // Threshold softness
         }
     };
 }
\ No newline at end of file
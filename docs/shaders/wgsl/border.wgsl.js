@@ -82,13 +82,13 @@ fn fragmentMain(
         
         uniforms: {
             // This is auto-filled by the shader system at runtime.
-            cellSize: [10.0, 20.0],
+            cellSize: { type: 'vec2', default: [10.0, 20.0], min: 1.0, max: 200.0, step: 0.5, label: 'Cell Size' },
 
             // Set to 'theme' to pull the active theme background color from the app.
             // Or override with an explicit vec3 like [0.0, 0.0, 0.0].
-            backgroundColor: 'theme',
+            backgroundColor: { type: 'color', default: 'theme', min: 0.0, max: 1.0, step: 0.01, label: 'Border Color' },
 
-            borderSize: 3.0                      // Border thickness in terminal cells
+            borderSize: { type: 'f32', default: 3.0, min: 0.0, max: 60.0, step: 1.0, label: 'Border Size' }  // Border thickness in terminal cells
         }
     };
 }
\ No newline at end of file
@@ -156,14 +156,14 @@ fn fragmentMain(
         
         uniforms: {
     // Vectors first (keeps uniform buffer alignment compatible with the JS packer)
-    cloudDirection: [1.15, -0.3],
-    cloudColor: [0.7, 0.75, 0.8],
-
-    cloudDensity: 0.5,
-    cloudScale: 0.5,
-    cloudSpeed: 0.075,
-    cloudSoftness: 0.01,
-    layerCount: 2.0
+    cloudDirection: { type: 'vec2', default: [1.15, -0.3], min: -2.0, max: 2.0, step: 0.05, label: 'Cloud Direction' },
+    cloudColor: { type: 'color', default: [0.7, 0.75, 0.8], min: 0.0, max: 1.0, step: 0.01, label: 'Cloud Color' },
+
+    cloudDensity: { type: 'f32', default: 0.5, min: 0.0, max: 1.0, step: 0.01, label: 'Cloud Density' },
+    cloudScale: { type: 'f32', default: 0.5, min: 0.1, max: 3.0, step: 0.05, label: 'Cloud Scale' },
+    cloudSpeed: { type: 'f32', default: 0.075, min: 0.0, max: 0.5, step: 0.005, label: 'Cloud Speed' },
+    cloudSoftness: { type: 'f32', default: 0.01, min: 0.0, max: 0.5, step: 0.005, label: 'Cloud Softness' },
+    layerCount: { type: 'f32', default: 2.0, min: 1.0, max: 4.0, step: 1.0, label: 'Layer Count' }
         }
     };
 }
\ No newline at end of file
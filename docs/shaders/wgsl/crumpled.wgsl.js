@@ -160,23 +160,23 @@ fn fragmentMain(
         
         uniforms: {
             // Noise parameters
-            noiseScale: 0.35,
-            noiseBrightness: -0.6,
-            noiseSeed: [1.5, 2.3],
-            noiseFrequency: [8.0, 10.0],
+            noiseScale: { type: 'f32', default: 0.35, min: 0.0, max: 2.0, step: 0.01, label: 'Noise Scale' },
+            noiseBrightness: { type: 'f32', default: -0.6, min: -1.0, max: 1.0, step: 0.01, label: 'Noise Brightness' },
+            noiseSeed: { type: 'vec2', default: [1.5, 2.3], min: 0.0, max: 10.0, step: 0.1, label: 'Noise Seed' },
+            noiseFrequency: { type: 'vec2', default: [8.0, 10.0], min: 1.0, max: 30.0, step: 0.5, label: 'Noise Frequency' },
             
             // Crease parameters
-            creaseSharpness: 50.0,
-            creaseDarkness: 0.64,
+            creaseSharpness: { type: 'f32', default: 50.0, min: 1.0, max: 100.0, step: 1.0, label: 'Crease Sharpness' },
+            creaseDarkness: { type: 'f32', default: 0.64, min: 0.0, max: 1.0, step: 0.01, label: 'Crease Darkness' },
             
             // Distortion parameter
-            textureDistortion: 0.01,
+            textureDistortion: { type: 'f32', default: 0.01, min: 0.0, max: 0.1, step: 0.001, label: 'Texture Distortion' },
             
             // Paper tint
-            paperTint: [0.75, 0.75, 0.75],
+            paperTint: { type: 'color', default: [0.75, 0.75, 0.75], min: 0.0, max: 1.0, step: 0.01, label: 'Paper Tint' },
             
             // Blend control
-            paperBlend: 0.27  // 0.0 = no effect, 1.0 = full paper effect
+            paperBlend: { type: 'f32', default: 0.27, min: 0.0, max: 1.0, step: 0.01, label: 'Paper Blend' }  // 0.0 = no effect, 1.0 = full paper effect
         }
     };
 }
\ No newline at end of file
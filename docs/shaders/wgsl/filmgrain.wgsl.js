@@ -99,14 +99,14 @@ fn fragmentMain(
 `,
         uniforms: {
             // Grain intensity
-            grainIntensity: 0.06,        // Base grain intensity (0.0-0.1, higher = more visible grain)
-            grainAdaptive: 0.3,         // Additional grain in dark areas (0.0-0.1, higher = more visible in shadows)
+            grainIntensity: { type: 'f32', default: 0.06, min: 0.0, max: 0.1, step: 0.005, label: 'Grain Intensity' },  // Base grain intensity (higher = more visible grain)
+            grainAdaptive: { type: 'f32', default: 0.3, min: 0.0, max: 0.5, step: 0.01, label: 'Shadow Grain' },        // Additional grain in dark areas (higher = more visible in shadows)
             
             // Temporal animation
-            temporalSpeed: 0.5,          // Animation speed (0.0-2.0, higher = faster grain movement)
+            temporalSpeed: { type: 'f32', default: 0.5, min: 0.0, max: 2.0, step: 0.05, label: 'Animation Speed' },  // Animation speed (higher = faster grain movement)
             
             // Grain frequency (simplified to single control)
-            grainFreq: 600.0,            // Grain scale (200.0-1000.0, higher = smaller grain)
+            grainFreq: { type: 'f32', default: 600.0, min: 200.0, max: 1000.0, step: 10.0, label: 'Grain Frequency' },  // Grain scale (higher = smaller grain)
         }
     };
 }
\ No newline at end of file
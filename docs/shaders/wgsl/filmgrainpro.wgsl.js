@@ -120,20 +120,20 @@ fn fragmentMain(
 `,
         uniforms: {
             // Grain intensity
-            grainIntensity: 0.07,        // Base grain intensity (0.0-0.1, higher = more visible grain)
-            grainAdaptive: 0.02,         // Additional grain in dark areas (0.0-0.1, higher = more visible in shadows)
+            grainIntensity: { type: 'f32', default: 0.07, min: 0.0, max: 0.1, step: 0.005, label: 'Grain Intensity' },  // Base grain intensity (higher = more visible grain)
+            grainAdaptive: { type: 'f32', default: 0.02, min: 0.0, max: 0.5, step: 0.01, label: 'Shadow Grain' },       // Additional grain in dark areas (higher = more visible in shadows)
             
             // Temporal animation
-            temporalSpeed: 0.5,          // Animation speed (0.0-2.0, higher = faster grain movement)
+            temporalSpeed: { type: 'f32', default: 0.5, min: 0.0, max: 2.0, step: 0.05, label: 'Animation Speed' },  // Animation speed (higher = faster grain movement)
             
             // Grain frequencies
-            fineGrainFreq: 800.0,        // Fine grain scale (200.0-1200.0, higher = smaller grain)
-            mediumGrainFreq: 400.0,      // Medium grain scale (100.0-600.0, higher = smaller grain)
-            coarseGrainFreq: 150.0,      // Coarse grain scale (50.0-300.0, higher = smaller grain)
+            fineGrainFreq: { type: 'f32', default: 800.0, min: 200.0, max: 1200.0, step: 10.0, label: 'Fine Grain Frequency' },     // Fine grain scale (higher = smaller grain)
+            mediumGrainFreq: { type: 'f32', default: 400.0, min: 100.0, max: 600.0, step: 10.0, label: 'Medium Grain Frequency' },  // Medium grain scale (higher = smaller grain)
+            coarseGrainFreq: { type: 'f32', default: 150.0, min: 50.0, max: 300.0, step: 5.0, label: 'Coarse Grain Frequency' },    // Coarse grain scale (higher = smaller grain)
             
             // Color and atmosphere
-            chromaticStrength: 0.7,      // Color separation strength (0.0-1.0, higher = more chromatic aberration)
-            vignetteStrength: 0.35       // Edge darkening (0.0-0.5, higher = darker edges)
+            chromaticStrength: { type: 'f32', default: 0.7, min: 0.0, max: 1.0, step: 0.01, label: 'Chromatic Strength' },  // Color separation strength (higher = more chromatic aberration)
+            vignetteStrength: { type: 'f32', default: 0.35, min: 0.0, max: 0.5, step: 0.01, label: 'Vignette Strength' }    // Edge darkening (higher = darker edges)
         }
     };
 }
\ No newline at end of file
@@ -136,15 +136,28 @@ fn fragmentMain(
 `,
         uniforms: {
             // Corner colors
-            topLeftColor: [1.0, 0.92, 0.96],        // Red
-            topRightColor: [0.6, 0.5, 0.6],      // Yellow
-            bottomLeftColor: [0.4, 0.9, 0.5],     // Green
-            bottomRightColor: [0.7, 0.6, 1.0],    // Blue
+            topLeftColor: { type: 'color', default: [1.0, 0.92, 0.96], min: 0.0, max: 1.0, step: 0.01, label: 'Top Left Color' },        // Red
+            topRightColor: { type: 'color', default: [0.6, 0.5, 0.6], min: 0.0, max: 1.0, step: 0.01, label: 'Top Right Color' },        // Yellow
+            bottomLeftColor: { type: 'color', default: [0.4, 0.9, 0.5], min: 0.0, max: 1.0, step: 0.01, label: 'Bottom Left Color' },    // Green
+            bottomRightColor: { type: 'color', default: [0.7, 0.6, 1.0], min: 0.0, max: 1.0, step: 0.01, label: 'Bottom Right Color' },  // Blue
 
             // Blend controls
-            blendAmount: 0.25,      // How much of the gradient to apply
-            gradientSoftness: 1.2,  // Higher = softer, more circular gradient
-            blendMode: 5            // 0=Normal, 1=Multiply, 2=Screen, 3=Overlay, 4=SoftLight, 5=ColorDodge, 6=ColorBurn, 7=LinearDodge, 8=Add
+            blendAmount: { type: 'f32', default: 0.25, min: 0.0, max: 1.0, step: 0.01, label: 'Blend Amount' },           // How much of the gradient to apply
+            gradientSoftness: { type: 'f32', default: 1.2, min: 0.1, max: 3.0, step: 0.05, label: 'Gradient Softness' },  // Higher = softer, more circular gradient
+            blendMode: {
+                type: 'int', default: 5, label: 'Blend Mode',
+                options: [
+                    { value: 0, label: 'Normal' },
+                    { value: 1, label: 'Multiply' },
+                    { value: 2, label: 'Screen' },
+                    { value: 3, label: 'Overlay' },
+                    { value: 4, label: 'Soft Light' },
+                    { value: 5, label: 'Color Dodge' },
+                    { value: 6, label: 'Color Burn' },
+                    { value: 7, label: 'Linear Dodge' },
+                    { value: 8, label: 'Add' }
+                ]
+            }
         }
     };
 }
\ No newline at end of file
@@ -108,17 +108,25 @@ fn fragmentMain(
 
         uniforms: {
             // Focus area (center of sharpness)
-            focusPoint: [0.5, 0.5],
-            focusRadius: 0.2,
+            focusPoint: { type: 'vec2', default: [0.5, 0.5], min: 0.0, max: 1.0, step: 0.01, label: 'Focus Point' },
+            focusRadius: { type: 'f32', default: 0.2, min: 0.0, max: 1.0, step: 0.01, label: 'Focus Radius' },
 
             // Blur intensity (pixels at edges)
-            blurRadius: 2.5,
+            blurRadius: { type: 'f32', default: 2.5, min: 0.0, max: 10.0, step: 0.1, label: 'Blur Radius' },
 
             // Falloff control
-            falloffPower: 1.15,
+            falloffPower: { type: 'f32', default: 1.15, min: 0.5, max: 4.0, step: 0.05, label: 'Falloff Power' },
 
             // Performance / quality: 1, 5, 9, 13
-            sampleCount: 13.0
+            sampleCount: {
+                type: 'f32', default: 13.0, label: 'Sample Count', description: 'Number of blur samples',
+                options: [
+                    { value: 1, label: '1 (none)' },
+                    { value: 5, label: '5 (fast)' },
+                    { value: 9, label: '9 (balanced)' },
+                    { value: 13, label: '13 (quality)' }
+                ]
+            }
         }
     };
 }
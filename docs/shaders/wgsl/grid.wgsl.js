@@ -108,16 +108,16 @@ fn fragmentMain(
 `,
         uniforms: {
             // Cell size (set dynamically by terminal, then doubled for double-width chars)
-            cellSize: [10.0, 20.0],     // Will be updated by terminal
+            cellSize: { type: 'vec2', default: [10.0, 20.0], min: 1.0, max: 200.0, step: 0.5, label: 'Cell Size' },  // Will be updated by terminal
             
             // Grid appearance - TESTING: much more visible
-            gridColor: [0.0, 0.5, 1.0],  // Bright blue for testing
-            gridAlpha: 0.8,              // Overall grid opacity (0.0-1.0) - increased
+            gridColor: { type: 'color', default: [0.0, 0.5, 1.0], min: 0.0, max: 1.0, step: 0.01, label: 'Grid Color' },  // Bright blue for testing
+            gridAlpha: { type: 'f32', default: 0.8, min: 0.0, max: 1.0, step: 0.01, label: 'Grid Opacity' },              // Overall grid opacity - increased
             
             // Softness control
-            coreThickness: 2.0,          // Core line thickness in pixels (sharp) - increased
-            softThickness: 2.0,          // Additional soft halo thickness in pixels - increased
-            haloAlpha: 0.5               // Opacity of soft halo relative to core (0.0-1.0) - increased
+            coreThickness: { type: 'f32', default: 2.0, min: 0.0, max: 4.0, step: 0.1, label: 'Core Thickness' },  // Core line thickness in pixels (sharp) - increased
+            softThickness: { type: 'f32', default: 2.0, min: 0.0, max: 4.0, step: 0.1, label: 'Halo Thickness' },  // Additional soft halo thickness in pixels - increased
+            haloAlpha: { type: 'f32', default: 0.5, min: 0.0, max: 1.0, step: 0.01, label: 'Halo Opacity' }        // Opacity of soft halo relative to core - increased
         }
     };
 }
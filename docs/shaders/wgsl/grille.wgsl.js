@@ -115,14 +115,26 @@ fn fragmentMain(
 `,
         
         uniforms: {
-            scanlineIntensity: 0.3,
-            scanlineSharpness: 2.0,
-            bloomAmount: 0.5,
-            phosphorSharpness: 0.2,
-            grilleBrightness: 0.50,
-            maskStrength: 0.7,
-            enableScanlines: 0.0,
-            enableApertureGrille: 1.0
+            scanlineIntensity: { type: 'f32', default: 0.3, min: 0.0, max: 1.0, step: 0.01, label: 'Scanline Intensity' },
+            scanlineSharpness: { type: 'f32', default: 2.0, min: 0.5, max: 8.0, step: 0.1, label: 'Scanline Sharpness' },
+            bloomAmount: { type: 'f32', default: 0.5, min: 0.0, max: 1.0, step: 0.01, label: 'Bloom Amount' },
+            phosphorSharpness: { type: 'f32', default: 0.2, min: 0.0, max: 1.0, step: 0.01, label: 'Phosphor Sharpness' },
+            grilleBrightness: { type: 'f32', default: 0.50, min: 0.0, max: 1.0, step: 0.01, label: 'Grille Brightness' },
+            maskStrength: { type: 'f32', default: 0.7, min: 0.0, max: 1.0, step: 0.01, label: 'Mask Strength' },
+            enableScanlines: {
+                type: 'f32', default: 0.0, label: 'Scanlines',
+                options: [
+                    { value: 0, label: 'Off' },
+                    { value: 1, label: 'On' }
+                ]
+            },
+            enableApertureGrille: {
+                type: 'f32', default: 1.0, label: 'Aperture Grille',
+                options: [
+                    { value: 0, label: 'Off' },
+                    { value: 1, label: 'On' }
+                ]
+            }
         }
     };
 }
\ No newline at end of file
@@ -80,13 +80,13 @@ fn fragmentMain(
 `,
         
         uniforms: {
-            lightPosition: [0.47, 0.6],           // Top-left area (UV space)
-            lightColor: [1.0, 0.95, 0.85],       // Warm white (slightly yellow)
-            lightIntensity: 1.2,                  // Brightness multiplier
-            lightRadius: 0.96,                     // Coverage area in UV space
-            falloffPower: 1.5,                    // Attenuation sharpness (2.0-5.0 realistic)
-            ambientLevel: 0.15,                   // Dark ambient for dramatic spotlight
-            lightHeight: 1.5                      // Simulated height (1.0-2.0)
+            lightPosition: { type: 'vec2', default: [0.47, 0.6], min: 0.0, max: 1.0, step: 0.01, label: 'Light Position' },   // Top-left area (UV space)
+            lightColor: { type: 'color', default: [1.0, 0.95, 0.85], min: 0.0, max: 1.0, step: 0.01, label: 'Light Color' },  // Warm white (slightly yellow)
+            lightIntensity: { type: 'f32', default: 1.2, min: 0.0, max: 3.0, step: 0.05, label: 'Light Intensity' },          // Brightness multiplier
+            lightRadius: { type: 'f32', default: 0.96, min: 0.05, max: 5.0, step: 0.01, label: 'Light Radius' },              // Coverage area in UV space
+            falloffPower: { type: 'f32', default: 1.5, min: 0.5, max: 8.0, step: 0.1, label: 'Falloff Power' },               // Attenuation sharpness (2.0-5.0 realistic)
+            ambientLevel: { type: 'f32', default: 0.15, min: 0.0, max: 1.0, step: 0.01, label: 'Ambient Level' },             // Dark ambient for dramatic spotlight
+            lightHeight: { type: 'f32', default: 1.5, min: 0.5, max: 3.0, step: 0.01, label: 'Light Height' }                 // Simulated height
         }
     };
 }
\ No newline at end of file
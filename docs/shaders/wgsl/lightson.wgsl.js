@@ -77,11 +77,11 @@ fn fragmentMain(
 
         uniforms: {
             // IMPORTANT: insertion order here must match Uniforms fields after resolution
-            lightPos: [0.5, 0.5], // Center of screen
-            radius: 0.25,
-            softness: 0.25,
-            intensity: 1.25,
-            ambient: 0.25
+            lightPos: { type: 'vec2', default: [0.5, 0.5], min: 0.0, max: 1.0, step: 0.01, label: 'Light Position' },  // Center of screen
+            radius: { type: 'f32', default: 0.25, min: 0.0, max: 1.0, step: 0.01, label: 'Radius' },
+            softness: { type: 'f32', default: 0.25, min: 0.0, max: 1.0, step: 0.01, label: 'Softness' },
+            intensity: { type: 'f32', default: 1.25, min: 0.0, max: 3.0, step: 0.05, label: 'Intensity' },
+            ambient: { type: 'f32', default: 0.25, min: 0.0, max: 1.0, step: 0.01, label: 'Ambient Level' }
         }
     };
 }
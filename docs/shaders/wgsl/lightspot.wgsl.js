@@ -62,12 +62,12 @@ fn fragmentMain(
 }
 `,
         uniforms: {
-            lightPosition: [0.5, 0.5],      // Center of screen
-            lightColor: [1.0, 0.98, 0.92], // Slightly warm white
-            lightIntensity: 1.2,           // Spotlight strength
-            lightRadius: 0.35,             // Radius in UV space (0.0-1.0)
-            falloffSoftness: 0.18,         // Edge softness (0.0-0.5)
-            ambientLevel: 0.08             // Very dark ambient
+            lightPosition: { type: 'vec2', default: [0.5, 0.5], min: 0.0, max: 1.0, step: 0.01, label: 'Light Position' },    // Center of screen
+            lightColor: { type: 'color', default: [1.0, 0.98, 0.92], min: 0.0, max: 1.0, step: 0.01, label: 'Light Color' },  // Slightly warm white
+            lightIntensity: { type: 'f32', default: 1.2, min: 0.0, max: 3.0, step: 0.05, label: 'Light Intensity' },          // Spotlight strength
+            lightRadius: { type: 'f32', default: 0.35, min: 0.05, max: 5.0, step: 0.01, label: 'Light Radius' },              // Radius in UV space
+            falloffSoftness: { type: 'f32', default: 0.18, min: 0.0, max: 0.5, step: 0.01, label: 'Falloff Softness' },       // Edge softness
+            ambientLevel: { type: 'f32', default: 0.08, min: 0.0, max: 1.0, step: 0.01, label: 'Ambient Level' }              // Very dark ambient
         }
     };
 }
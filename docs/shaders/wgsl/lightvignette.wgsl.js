@@ -62,8 +62,8 @@ fn fragmentMain(
 `,
         
         uniforms: {
-            vignetteStart: 0.25,  // Controls the power curve (lower = softer falloff)
-            vignetteLvl: 40.0     // Controls intensity (higher = stronger effect)
+            vignetteStart: { type: 'f32', default: 0.25, min: 0.0, max: 1.0, step: 0.01, label: 'Vignette Start' },  // Controls the power curve (lower = softer falloff)
+            vignetteLvl: { type: 'f32', default: 40.0, min: 0.0, max: 100.0, step: 1.0, label: 'Vignette Level' }    // Controls intensity (higher = stronger effect)
         }
     };
 }
\ No newline at end of file
@@ -110,11 +110,17 @@ fn fragmentMain(
 `,
         
         uniforms: {
-            edgeLevel: 0.25,          // Edge detection sensitivity (0.1-1.0)
-            edgeInvert: 0.0,          // 0.0 = dark lines, 1.0 = light lines
-            sourceMix: 0.75,           // 0.0 = pure edges, 1.0 = original image
-            sourceLight: 1.5,         // Brightness multiplier (0.5-3.0)
-            sourceEmboss: 8.0,        // Posterize/emboss strength (0.0-20.0)
+            edgeLevel: { type: 'f32', default: 0.25, min: 0.05, max: 1.0, step: 0.05, label: 'Edge Level' },  // Edge detection sensitivity
+            edgeInvert: {
+                type: 'f32', default: 0.0, label: 'Edge Lines',
+                options: [
+                    { value: 0, label: 'Dark' },
+                    { value: 1, label: 'Light' }
+                ]
+            },
+            sourceMix: { type: 'f32', default: 0.75, min: 0.0, max: 1.0, step: 0.01, label: 'Source Mix' },          // 0.0 = pure edges, 1.0 = original image
+            sourceLight: { type: 'f32', default: 1.5, min: 0.5, max: 3.0, step: 0.05, label: 'Source Brightness' },  // Brightness multiplier
+            sourceEmboss: { type: 'f32', default: 8.0, min: 0.0, max: 20.0, step: 0.5, label: 'Emboss Strength' },   // Posterize/emboss strength
         }
     };
 }
\ No newline at end of file
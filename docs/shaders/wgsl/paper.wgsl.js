@@ -90,9 +90,9 @@ fn fragmentMain(
 }
 `,
         uniforms: {
-            paperNoise: 0.2,          // Paper texture on/off (0.0-1.0) - TESTING: maxed
-            noiseIntensity: 0.5,      // How strong the noise pattern is - TESTING: increased
-            noiseMix: 0.5            // How much noise blends with color - TESTING: increased
+            paperNoise: { type: 'f32', default: 0.2, min: 0.0, max: 1.0, step: 0.01, label: 'Paper Noise' },          // Paper texture on/off - TESTING: maxed
+            noiseIntensity: { type: 'f32', default: 0.5, min: 0.0, max: 1.0, step: 0.01, label: 'Noise Intensity' },  // How strong the noise pattern is - TESTING: increased
+            noiseMix: { type: 'f32', default: 0.5, min: 0.0, max: 1.0, step: 0.01, label: 'Noise Mix' }               // How much noise blends with color - TESTING: increased
         }
     };
 }
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Phosphor Persistence Shader for t|Storie
+// Bright text fades out slowly, leaving trails like a long-persistence CRT
+
+function getShaderConfig() {
+    return {
+        vertexShader: `struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;  // Flip vertically
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+`,
+        
+        fragmentShader: `@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    persistence: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// First extra input (inputs.previousFrame)
+@group(0) @binding(3) var previousFrame: texture_2d<f32>;
+@group(0) @binding(4) var previousFrameSampler: sampler;
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let color = textureSample(contentTexture, contentTextureSampler, vUv);
+    
+    // This pass's own output from the last frame, slightly dimmer
+    let trail = textureSample(previousFrame, previousFrameSampler, vUv) * uniforms.persistence;
+    
+    return vec4f(max(color.rgb, trail.rgb), color.a);
+}
+`,
+        
+        uniforms: {
+            persistence: { type: 'f32', default: 0.85, min: 0.0, max: 0.98, step: 0.01, label: 'Persistence' },  // Trail brightness kept each frame, higher = longer trails
+        },
+        
+        inputs: {
+            previousFrame: 'feedback'
+        }
+    };
+}
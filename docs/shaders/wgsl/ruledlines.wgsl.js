@@ -128,24 +128,24 @@ fn fragmentMain(
 `,
         uniforms: {
             // Cell size (set dynamically from terminal/game engine)
-            cellSize: [10.0, 20.0],
+            cellSize: { type: 'vec2', default: [10.0, 20.0], min: 1.0, max: 200.0, step: 0.5, label: 'Cell Size' },
 
             // IMPORTANT: the legacy WebGPU uniform packer packs custom uniforms
             // strictly in insertion order. Keep this object in the same order as
             // the WGSL `Uniforms` struct fields after `cellSize`.
 
             // Line spacing (relative to cellSize.y)
-            lightLineSpacing: 0.2,       // Light lines every 20% of line height
-            darkLineSpacing: 1.0,        // Dark lines every 100% of line height
-            alternatingLineSpacing: 2.0, // Alternating tint every 2 lines
+            lightLineSpacing: { type: 'f32', default: 0.2, min: 0.05, max: 4.0, step: 0.05, label: 'Light Line Spacing' },            // Light lines every 20% of line height
+            darkLineSpacing: { type: 'f32', default: 1.0, min: 0.05, max: 4.0, step: 0.05, label: 'Dark Line Spacing' },              // Dark lines every 100% of line height
+            alternatingLineSpacing: { type: 'f32', default: 2.0, min: 1.0, max: 8.0, step: 1.0, label: 'Alternating Line Spacing' },  // Alternating tint every 2 lines
 
             // Line opacity
-            lineOpacity: 0.6,
+            lineOpacity: { type: 'f32', default: 0.6, min: 0.0, max: 1.0, step: 0.01, label: 'Line Opacity' },
             
             // Line colors (for multiply blend - values < 1.0 darken)
-            lightLineColor: [0.92, 0.94, 0.96],  // Subtle gray-blue
-            darkLineColor: [0.7, 0.75, 0.8],     // Medium gray-blue
-            alternatingTint: [0.96, 0.96, 0.96]  // Very subtle darkening
+            lightLineColor: { type: 'color', default: [0.92, 0.94, 0.96], min: 0.0, max: 1.0, step: 0.01, label: 'Light Line Color' },  // Subtle gray-blue
+            darkLineColor: { type: 'color', default: [0.7, 0.75, 0.8], min: 0.0, max: 1.0, step: 0.01, label: 'Dark Line Color' },      // Medium gray-blue
+            alternatingTint: { type: 'color', default: [0.96, 0.96, 0.96], min: 0.0, max: 1.0, step: 0.01, label: 'Alternating Tint' }  // Very subtle darkening
         }
     };
 }
\ No newline at end of file
@@ -160,11 +160,11 @@ fn fragmentMain(
 `,
         
         uniforms: {
-            sketchRoughness: 0.6,      // Overall imperfection level (0.4-0.8)
-            lineWobble: 0.4,           // How much lines wiggle (0.2-0.6)
-            edgeThreshold: 0.85,       // Edge sensitivity (0.1-0.25)
-            doubleLine: 0.3,           // Double-line effect strength (0.2-0.5)
-            lineWeight: 0.42            // Line thickness (0.8-1.5)
+            sketchRoughness: { type: 'f32', default: 0.6, min: 0.0, max: 1.0, step: 0.01, label: 'Sketch Roughness' },  // Overall imperfection level
+            lineWobble: { type: 'f32', default: 0.4, min: 0.0, max: 1.0, step: 0.01, label: 'Line Wobble' },            // How much lines wiggle
+            edgeThreshold: { type: 'f32', default: 0.85, min: 0.0, max: 1.0, step: 0.01, label: 'Edge Threshold' },     // Edge sensitivity
+            doubleLine: { type: 'f32', default: 0.3, min: 0.0, max: 1.0, step: 0.01, label: 'Double Line' },            // Double-line effect strength
+            lineWeight: { type: 'f32', default: 0.42, min: 0.1, max: 2.0, step: 0.01, label: 'Line Weight' }            // Line thickness
         }
     };
 }
\ No newline at end of file
@@ -78,8 +78,19 @@ window.TStorieThemes = {
    * Build theme URL parameter from color object
    * Input: {bgPrimary: "001111", bgSecondary: "09343a", ...}
    * Output: "#001111#09343a#e0e0e0#909090#00d98e#ffff00#ff006e"
+   * A v2 theme (createTheme()) gives the 27 or 35 color string instead.
    */
   buildThemeString(colors) {
+    // v2 themes: 11 roles + 16 ANSI colors (+ 8 dim colors), see parseTheme()
+    if (colors.version === 2) {
+      const v2 = [
+        ...this.roleNames.map(role => colors.roles[role]),
+        ...colors.ansi,
+        ...(colors.dim || [])
+      ].map(c => this.validateHexColor(c));
+      return v2.includes(null) ? null : '#' + v2.join('#');
+    }
+
     const parts = [
       this.validateHexColor(colors.bgPrimary),
       this.validateHexColor(colors.bgSecondary),
@@ -172,6 +183,742 @@ window.TStorieThemes = {
     };
   },
 
+  /**
+   * Theme format v2
+   *
+   * A v2 theme names its colors by role and carries the 16-color ANSI
+   * palette that ANSI art documents are drawn with:
+   *   {
+   *     version: 2,
+   *     name: "Neotopia",
+   *     roles: {background: "001111", surface: "09343A", ...},
+   *     ansi: ["000000", "CD3131", ...],   // 16 colors, see ansiNames
+   *     dim: null                          // or 8 colors for SGR 2 (faint)
+   *   }
+   * Colors are normalized the way validateHexColor() returns them.
+   */
+  roleNames: [
+    'background', 'surface', 'foreground', 'muted',
+    'accent1', 'accent2', 'accent3',
+    'cursor', 'cursorText', 'selection', 'selectionText'
+  ],
+
+  /**
+   * The 7-color format's colors and the roles they became
+   * (the first 7 roles, in the same order)
+   */
+  legacyRoles: {
+    bgPrimary: 'background',
+    bgSecondary: 'surface',
+    fgPrimary: 'foreground',
+    fgSecondary: 'muted',
+    accent1: 'accent1',
+    accent2: 'accent2',
+    accent3: 'accent3'
+  },
+
+  /**
+   * ANSI palette slots: 0-7 normal, 8-15 bright
+   */
+  ansiNames: [
+    'black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white',
+    'brightBlack', 'brightRed', 'brightGreen', 'brightYellow',
+    'brightBlue', 'brightMagenta', 'brightCyan', 'brightWhite'
+  ],
+
+  /**
+   * ANSI palette for themes that don't bring their own
+   * (the one ansi8ToRgb() in lib/ansi_parser.nim uses)
+   */
+  defaultAnsi: [
+    '000000', 'CD3131', '0DBC79', 'E5E510', '2472C8', 'BC3FBC', '11A8CD', 'E5E5E5',
+    '666666', 'F14C4C', '23D18B', 'F5F543', '3B8EEA', 'D670D6', '29B8DB', 'FFFFFF'
+  ],
+
+  /**
+   * Build a complete v2 theme
+   * Input: {name?, roles: {background, foreground, ...}, ansi?, dim?}
+   * Only background and foreground are required; the other roles are
+   * derived from them and the ANSI palette.
+   * Returns the theme or null if a color is invalid
+   */
+  createTheme(spec = {}) {
+    const given = spec.roles || {};
+    const color = (value, fallback) => value === undefined || value === null
+      ? fallback
+      : this.validateHexColor(value);
+
+    const ansi = spec.ansi ? spec.ansi.map(c => this.validateHexColor(c)) : this.defaultAnsi.slice();
+    const dim = spec.dim ? spec.dim.map(c => this.validateHexColor(c)) : null;
+    if (ansi.length !== 16 || ansi.includes(null) || (dim && (dim.length !== 8 || dim.includes(null)))) {
+      return null;
+    }
+
+    const roles = {};
+    roles.background = color(given.background, null);
+    roles.foreground = color(given.foreground, null);
+    if (!roles.background || !roles.foreground) {
+      return null;
+    }
+    roles.surface = color(given.surface, this.mixColors(roles.background, roles.foreground, 0.12));
+    roles.muted = color(given.muted, this.mixColors(roles.foreground, roles.background, 0.4));
+    roles.accent1 = color(given.accent1, ansi[6]);
+    roles.accent2 = color(given.accent2, ansi[5]);
+    roles.accent3 = color(given.accent3, ansi[3]);
+    roles.cursor = color(given.cursor, roles.foreground);
+    roles.cursorText = color(given.cursorText, roles.background);
+    roles.selection = color(given.selection, roles.surface);
+    roles.selectionText = color(given.selectionText, roles.foreground);
+    if (Object.values(roles).includes(null)) {
+      return null;
+    }
+
+    const theme = { version: 2, roles: {}, ansi, dim };
+    if (spec.name) {
+      theme.name = spec.name;
+    }
+    // Keep roles in roleNames order
+    this.roleNames.forEach(role => { theme.roles[role] = roles[role]; });
+    return theme;
+  },
+
+  /**
+   * Upgrade a 7-color theme (parseCustomTheme() result) to v2
+   */
+  fromLegacyTheme(colors) {
+    const roles = {};
+    for (const [key, role] of Object.entries(this.legacyRoles)) {
+      roles[role] = colors[key];
+    }
+    return this.createTheme({ roles });
+  },
+
+  /**
+   * The 7-color theme object for a v2 theme
+   */
+  toLegacyTheme(theme) {
+    const colors = {};
+    for (const [key, role] of Object.entries(this.legacyRoles)) {
+      colors[key] = theme.roles[role];
+    }
+    return colors;
+  },
+
+  /**
+   * Parse a theme string in either format
+   *   7 colors:  bg, bgAlt, fg, fgAlt, accent1-3 (parseCustomTheme format)
+   *   27 colors: the 11 roles (roleNames order), then the 16 ANSI colors
+   *   35 colors: as 27, then 8 dim colors
+   * Colors are separated by # or + (a space when URL-decoded), like the
+   * runtime accepts. Always returns a v2 theme, or null.
+   */
+  parseTheme(themeString) {
+    if (!themeString) {
+      return null;
+    }
+
+    const parts = themeString.trim().split(/[#+ ]/).filter(p => p.length > 0);
+    const colors = parts.map(p => this.validateHexColor(p));
+    if (colors.includes(null)) {
+      return null;
+    }
+
+    const roleCount = this.roleNames.length;
+    if (colors.length === 7) {
+      return this.fromLegacyTheme(this.parseCustomTheme('#' + colors.join('#')));
+    }
+    if (colors.length !== roleCount + 16 && colors.length !== roleCount + 24) {
+      return null;
+    }
+
+    const roles = {};
+    this.roleNames.forEach((role, i) => { roles[role] = colors[i]; });
+    return this.createTheme({
+      roles,
+      ansi: colors.slice(roleCount, roleCount + 16),
+      dim: colors.length > roleCount + 16 ? colors.slice(roleCount + 16) : null
+    });
+  },
+
+  /**
+   * A color of the theme's ANSI palette
+   * index: 0-7, variant: 'normal', 'bright' or 'dim'
+   * Dim colors the theme doesn't set are the normal color halfway to the
+   * background.
+   */
+  ansiColor(theme, index, variant = 'normal') {
+    const slot = index % 8;
+    if (variant === 'bright') {
+      return theme.ansi[slot + 8];
+    }
+    if (variant === 'dim') {
+      return (theme.dim && theme.dim[slot]) || this.mixColors(theme.ansi[slot], theme.roles.background, 0.5);
+    }
+    return theme.ansi[slot];
+  },
+
+  /**
+   * Blend two hex colors: amount 0 is a, 1 is b
+   */
+  mixColors(a, b, amount) {
+    const from = this.hexToRgb(a);
+    const to = this.hexToRgb(b);
+    const mix = key => from[key] + (to[key] - from[key]) * amount;
+    return this.rgbToHex(mix('r'), mix('g'), mix('b')).toUpperCase();
+  },
+
+  /**
+   * Theme file formats importTheme() / exportTheme() understand
+   */
+  themeFormats: ['tstorie', 'itermcolors', 'windows-terminal', 'base16', 'url'],
+
+  /**
+   * Guess the format of a theme file from its text
+   * Returns one of themeFormats or null
+   */
+  detectThemeFormat(text) {
+    const trimmed = (text || '').trim();
+    if (trimmed.startsWith('<')) {
+      return 'itermcolors';
+    }
+    if (trimmed.startsWith('{')) {
+      try {
+        return JSON.parse(trimmed).format === 'tstorie-theme' ? 'tstorie' : 'windows-terminal';
+      } catch (e) {
+        return null;
+      }
+    }
+    if (/^\s*base0[0-9A-F]\s*:/im.test(trimmed)) {
+      return 'base16';
+    }
+    if (/^[#+ 0-9A-Fa-f]+$/.test(trimmed)) {
+      return 'url';
+    }
+    return null;
+  },
+
+  /**
+   * Import a theme file: TStorie theme JSON, iTerm2 .itermcolors,
+   * a Windows Terminal color scheme (or settings.json with schemes;
+   * options.name picks one) or a Base16 scheme YAML.
+   * Returns a v2 theme or null
+   */
+  importTheme(text, format = null, options = {}) {
+    format = format || this.detectThemeFormat(text);
+    try {
+      switch (format) {
+        case 'tstorie':
+          return this.createTheme(JSON.parse(text));
+        case 'itermcolors':
+          return this.importItermColors(text);
+        case 'windows-terminal':
+          return this.importWindowsTerminal(JSON.parse(text), options.name);
+        case 'base16':
+          return this.importBase16(text);
+        case 'url':
+          return this.parseTheme(text);
+        default:
+          return null;
+      }
+    } catch (e) {
+      console.error('Failed to import theme:', e);
+      return null;
+    }
+  },
+
+  /**
+   * Write a v2 theme in one of themeFormats
+   * Base16 has no slots for the bright colors or cursor, so that export
+   * keeps the closest colors rather than all of them.
+   */
+  exportTheme(theme, format = 'tstorie') {
+    switch (format) {
+      case 'tstorie':
+        return JSON.stringify({
+          format: 'tstorie-theme',
+          version: 2,
+          name: theme.name || 'Custom',
+          roles: Object.fromEntries(Object.entries(theme.roles).map(([role, c]) => [role, '#' + c])),
+          ansi: theme.ansi.map(c => '#' + c),
+          ...(theme.dim ? { dim: theme.dim.map(c => '#' + c) } : {})
+        }, null, 2);
+      case 'itermcolors':
+        return this.exportItermColors(theme);
+      case 'windows-terminal':
+        return JSON.stringify(this.exportWindowsTerminal(theme), null, 2);
+      case 'base16':
+        return this.exportBase16(theme);
+      case 'url':
+        return this.buildThemeString(theme);
+      default:
+        throw new Error(`Unknown theme format: ${format}`);
+    }
+  },
+
+  /**
+   * iTerm2 .itermcolors keys for the theme's roles
+   */
+  itermRoles: {
+    background: 'Background Color',
+    foreground: 'Foreground Color',
+    cursor: 'Cursor Color',
+    cursorText: 'Cursor Text Color',
+    selection: 'Selection Color',
+    selectionText: 'Selected Text Color'
+  },
+
+  importItermColors(xml) {
+    // Top-level <key>Name</key><dict>...components...</dict> pairs
+    const colors = {};
+    const entry = /<key>([^<]+)<\/key>\s*<dict>([\s\S]*?)<\/dict>/g;
+    let match;
+    while ((match = entry.exec(xml)) !== null) {
+      const components = {};
+      const component = /<key>(\w+) Component<\/key>\s*<(?:real|integer)>([^<]*)<\//g;
+      let c;
+      while ((c = component.exec(match[2])) !== null) {
+        components[c[1]] = parseFloat(c[2]);
+      }
+      if (['Red', 'Green', 'Blue'].every(k => Number.isFinite(components[k]))) {
+        colors[match[1].trim()] = this.rgbToHex(components.Red * 255, components.Green * 255, components.Blue * 255);
+      }
+    }
+
+    const ansi = this.ansiNames.map((_, i) => colors[`Ansi ${i} Color`]);
+    if (ansi.includes(undefined)) {
+      return null;
+    }
+    const roles = {};
+    for (const [role, key] of Object.entries(this.itermRoles)) {
+      roles[role] = colors[key];
+    }
+    return this.createTheme({ roles, ansi });
+  },
+
+  exportItermColors(theme) {
+    const entry = (key, hex) => {
+      const { r, g, b } = this.hexToRgb(hex);
+      const real = n => (n / 255).toFixed(6);
+      return [
+        `\t<key>${key}</key>`,
+        '\t<dict>',
+        '\t\t<key>Alpha Component</key>', '\t\t<real>1</real>',
+        '\t\t<key>Blue Component</key>', `\t\t<real>${real(b)}</real>`,
+        '\t\t<key>Color Space</key>', '\t\t<string>sRGB</string>',
+        '\t\t<key>Green Component</key>', `\t\t<real>${real(g)}</real>`,
+        '\t\t<key>Red Component</key>', `\t\t<real>${real(r)}</real>`,
+        '\t</dict>'
+      ].join('\n');
+    };
+
+    const entries = theme.ansi.map((hex, i) => entry(`Ansi ${i} Color`, hex));
+    for (const [role, key] of Object.entries(this.itermRoles)) {
+      entries.push(entry(key, theme.roles[role]));
+    }
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+      '<plist version="1.0">',
+      '<dict>',
+      ...entries,
+      '</dict>',
+      '</plist>',
+      ''
+    ].join('\n');
+  },
+
+  /**
+   * Windows Terminal scheme keys for the ANSI slots (magenta is "purple")
+   */
+  windowsTerminalAnsi: [
+    'black', 'red', 'green', 'yellow', 'blue', 'purple', 'cyan', 'white',
+    'brightBlack', 'brightRed', 'brightGreen', 'brightYellow',
+    'brightBlue', 'brightPurple', 'brightCyan', 'brightWhite'
+  ],
+
+  importWindowsTerminal(json, name = null) {
+    let scheme = json;
+    if (Array.isArray(json.schemes)) {
+      scheme = name ? json.schemes.find(s => s.name === name) : json.schemes[0];
+    }
+    if (!scheme) {
+      return null;
+    }
+
+    const ansi = this.windowsTerminalAnsi.map(key => scheme[key]);
+    if (ansi.includes(undefined)) {
+      return null;
+    }
+    return this.createTheme({
+      name: scheme.name,
+      roles: {
+        background: scheme.background,
+        foreground: scheme.foreground,
+        cursor: scheme.cursorColor,
+        selection: scheme.selectionBackground
+      },
+      ansi
+    });
+  },
+
+  exportWindowsTerminal(theme) {
+    const scheme = {
+      name: theme.name || 'TStorie Custom',
+      background: '#' + theme.roles.background,
+      foreground: '#' + theme.roles.foreground,
+      cursorColor: '#' + theme.roles.cursor,
+      selectionBackground: '#' + theme.roles.selection
+    };
+    this.windowsTerminalAnsi.forEach((key, i) => { scheme[key] = '#' + theme.ansi[i]; });
+    return scheme;
+  },
+
+  /**
+   * Base16 colors for the ANSI slots (the base16-shell mapping)
+   */
+  base16Ansi: [
+    'base00', 'base08', 'base0B', 'base0A', 'base0D', 'base0E', 'base0C', 'base05',
+    'base03', 'base08', 'base0B', 'base0A', 'base0D', 'base0E', 'base0C', 'base07'
+  ],
+
+  importBase16(yaml) {
+    // Both the flat scheme files and the newer "palette:" form
+    const base = {};
+    const entry = /^\s*(base0[0-9A-F])\s*:\s*["']?#?([0-9A-Fa-f]{6})["']?/gim;
+    let match;
+    while ((match = entry.exec(yaml)) !== null) {
+      base[match[1].slice(0, 5) + match[1][5].toUpperCase()] = match[2];
+    }
+    const name = /^\s*(?:scheme|name)\s*:\s*["']?([^"'\n]+?)["']?\s*$/m.exec(yaml);
+
+    const ansi = this.base16Ansi.map(key => base[key]);
+    if (ansi.includes(undefined)) {
+      return null;
+    }
+    return this.createTheme({
+      name: name ? name[1] : undefined,
+      roles: {
+        background: base.base00,
+        surface: base.base01,
+        foreground: base.base05,
+        muted: base.base04,
+        accent1: base.base0D,
+        accent2: base.base0E,
+        accent3: base.base08,
+        selection: base.base02
+      },
+      ansi
+    });
+  },
+
+  exportBase16(theme) {
+    const { roles, ansi } = theme;
+    const base = {
+      base00: roles.background,
+      base01: roles.surface,
+      base02: roles.selection,
+      base03: ansi[8],
+      base04: roles.muted,
+      base05: roles.foreground,
+      base06: this.mixColors(roles.foreground, ansi[15], 0.5),
+      base07: ansi[15],
+      base08: ansi[1],
+      base09: this.mixColors(ansi[1], ansi[3], 0.5),
+      base0A: ansi[3],
+      base0B: ansi[2],
+      base0C: ansi[6],
+      base0D: ansi[4],
+      base0E: ansi[5],
+      base0F: this.mixColors(ansi[1], ansi[0], 0.4)
+    };
+    return [
+      `scheme: "${theme.name || 'TStorie Custom'}"`,
+      'author: "TStorie theme builder"',
+      ...Object.entries(base).map(([key, hex]) => `${key}: "${hex.toLowerCase()}"`),
+      ''
+    ].join('\n');
+  },
+
+  /**
+   * Role pairs audit() checks: text roles on the backgrounds they're drawn
+   * on. nonText pairs (the cursor block) need 3:1, the WCAG minimum for
+   * interface components, at every level.
+   */
+  contrastPairs: [
+    { foreground: 'foreground', background: 'background' },
+    { foreground: 'foreground', background: 'surface' },
+    { foreground: 'muted', background: 'background' },
+    { foreground: 'muted', background: 'surface' },
+    { foreground: 'accent1', background: 'background' },
+    { foreground: 'accent1', background: 'surface' },
+    { foreground: 'accent2', background: 'background' },
+    { foreground: 'accent2', background: 'surface' },
+    { foreground: 'accent3', background: 'background' },
+    { foreground: 'accent3', background: 'surface' },
+    { foreground: 'cursor', background: 'background', nonText: true },
+    { foreground: 'cursorText', background: 'cursor' },
+    { foreground: 'selectionText', background: 'selection' }
+  ],
+
+  /**
+   * WCAG contrast ratios for normal text
+   */
+  contrastLevels: { AA: 4.5, AAA: 7 },
+
+  /**
+   * Color vision deficiency simulations (Machado et al. 2009, severity 1),
+   * applied to linear RGB
+   */
+  colorVisionMatrices: {
+    protanopia: [
+      [0.152286, 1.052583, -0.204868],
+      [0.114503, 0.786281, 0.099216],
+      [-0.003882, -0.048116, 1.051998]
+    ],
+    deuteranopia: [
+      [0.367322, 0.860646, -0.227968],
+      [0.280085, 0.672501, 0.047413],
+      [-0.011820, 0.042940, 0.968881]
+    ],
+    tritanopia: [
+      [1.255528, -0.076749, -0.178779],
+      [-0.078411, 0.930809, 0.147602],
+      [0.004733, 0.691367, 0.303900]
+    ]
+  },
+
+  /**
+   * sRGB channel (0-255) to linear light (0-1) and back
+   */
+  toLinear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  },
+
+  fromLinear(value) {
+    const v = Math.max(0, Math.min(1, value));
+    return 255 * (v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055);
+  },
+
+  /**
+   * WCAG relative luminance of a hex color (0 black - 1 white)
+   */
+  relativeLuminance(hex) {
+    const { r, g, b } = this.hexToRgb(hex);
+    return 0.2126 * this.toLinear(r) + 0.7152 * this.toLinear(g) + 0.0722 * this.toLinear(b);
+  },
+
+  /**
+   * WCAG contrast ratio of two hex colors (1 - 21)
+   */
+  contrastRatio(a, b) {
+    const la = this.relativeLuminance(a);
+    const lb = this.relativeLuminance(b);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+  },
+
+  /**
+   * How a hex color looks with a color vision deficiency
+   * type: protanopia, deuteranopia or tritanopia
+   */
+  simulateColorVision(hex, type) {
+    const matrix = this.colorVisionMatrices[type];
+    if (!matrix) {
+      throw new Error(`Unknown color vision deficiency: ${type}`);
+    }
+    const { r, g, b } = this.hexToRgb(hex);
+    const linear = [this.toLinear(r), this.toLinear(g), this.toLinear(b)];
+    const [sr, sg, sb] = matrix.map(row => row[0] * linear[0] + row[1] * linear[1] + row[2] * linear[2]);
+    return this.rgbToHex(this.fromLinear(sr), this.fromLinear(sg), this.fromLinear(sb)).toUpperCase();
+  },
+
+  /**
+   * The theme with every color (roles, ANSI, dim) as seen with a color
+   * vision deficiency
+   */
+  simulateTheme(theme, type) {
+    theme = this.toThemeV2(theme);
+    const simulate = hex => this.simulateColorVision(hex, type);
+    return {
+      ...theme,
+      roles: Object.fromEntries(Object.entries(theme.roles).map(([role, hex]) => [role, simulate(hex)])),
+      ansi: theme.ansi.map(simulate),
+      dim: theme.dim ? theme.dim.map(simulate) : null
+    };
+  },
+
+  /**
+   * A v2 theme from a theme string, 7-color object or v2 theme
+   */
+  toThemeV2(theme) {
+    if (typeof theme === 'string') {
+      return this.parseTheme(theme);
+    }
+    if (theme && theme.version === 2) {
+      return theme;
+    }
+    return theme ? this.fromLegacyTheme(theme) : null;
+  },
+
+  /**
+   * Contrast of every role pair of a theme (see contrastPairs)
+   * Accepts a theme string, a 7-color object or a v2 theme.
+   * Options:
+   *   - level: 'AA' (default) or 'AAA'
+   *   - colorVision: true to also check each simulated deficiency
+   * Returns {level, pass, pairs: [{foreground, background, ratio, minimum, pass}],
+   *   failures, colorVision?: {protanopia: failures, ...}} or null
+   */
+  audit(theme, options = {}) {
+    theme = this.toThemeV2(theme);
+    if (!theme) {
+      return null;
+    }
+
+    const level = options.level || 'AA';
+    const textMinimum = this.contrastLevels[level];
+    if (!textMinimum) {
+      throw new Error(`Unknown contrast level: ${level}`);
+    }
+
+    const check = roles => this.contrastPairs.map(pair => {
+      const ratio = this.contrastRatio(roles[pair.foreground], roles[pair.background]);
+      const minimum = pair.nonText ? 3 : textMinimum;
+      return {
+        foreground: pair.foreground,
+        background: pair.background,
+        ratio: Math.round(ratio * 100) / 100,
+        minimum,
+        pass: ratio >= minimum
+      };
+    });
+
+    const pairs = check(theme.roles);
+    const failures = pairs.filter(p => !p.pass);
+    const report = { level, pass: failures.length === 0, pairs, failures };
+
+    if (options.colorVision) {
+      report.colorVision = {};
+      for (const type of Object.keys(this.colorVisionMatrices)) {
+        report.colorVision[type] = check(this.simulateTheme(theme, type).roles).filter(p => !p.pass);
+      }
+    }
+    return report;
+  },
+
+  /**
+   * RGB (0-255) to HSL (0-1) and back, for nudging lightness
+   */
+  rgbToHsl({ r, g, b }) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) {
+      return { h: 0, s: 0, l };
+    }
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return { h: h / 6, s, l };
+  },
+
+  hslToRgb({ h, s, l }) {
+    if (s === 0) {
+      return { r: l * 255, g: l * 255, b: l * 255 };
+    }
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const channel = t => {
+      t = (t + 1) % 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    return { r: channel(h + 1 / 3) * 255, g: channel(h) * 255, b: channel(h - 1 / 3) * 255 };
+  },
+
+  /**
+   * The color with its HSL lightness moved toward light or dark,
+   * a step at a time, until it passes against all backgrounds
+   * Returns the nudged color, or null if even the end of the range fails
+   */
+  nudgeLightness(hex, backgrounds, lighter) {
+    const hsl = this.rgbToHsl(this.hexToRgb(hex));
+    const passes = color => backgrounds.every(({ color: bg, minimum }) => this.contrastRatio(color, bg) >= minimum);
+
+    for (let l = hsl.l; lighter ? l <= 1 : l >= 0; l += lighter ? 0.01 : -0.01) {
+      const { r, g, b } = this.hslToRgb({ ...hsl, l: Math.max(0, Math.min(1, l)) });
+      const candidate = this.rgbToHex(r, g, b).toUpperCase();
+      if (passes(candidate)) {
+        return candidate;
+      }
+    }
+    const end = lighter ? 'FFFFFF' : '000000';
+    return passes(end) ? end : null;
+  },
+
+  /**
+   * Fix the pairs audit() fails by nudging lightness, keeping hue and
+   * saturation. Text roles move away from their backgrounds; if a text
+   * role can't get there alone, its background moves the other way too.
+   * Returns {theme, changes: [{role, from, to}], audit} for the fixed theme
+   */
+  fixContrast(theme, options = {}) {
+    theme = this.toThemeV2(theme);
+    if (!theme) {
+      return null;
+    }
+    const roles = { ...theme.roles };
+    const original = { ...theme.roles };
+
+    // Text roles in contrastPairs order (cursor before cursorText); a
+    // background moved for one role can need another pass for the others
+    const foregrounds = [...new Set(this.contrastPairs.map(p => p.foreground))];
+    const fixRole = role => {
+      const report = this.audit({ ...theme, roles }, { level: options.level });
+      const failing = report.pairs.filter(p => p.foreground === role && !p.pass);
+      if (failing.length === 0) {
+        return;
+      }
+
+      const backgrounds = report.pairs
+        .filter(p => p.foreground === role)
+        .map(p => ({ color: roles[p.background], minimum: p.minimum }));
+      // Go the way there's more room: lighter on dark backgrounds
+      const lighter = this.contrastRatio('FFFFFF', roles[failing[0].background]) >= this.contrastRatio('000000', roles[failing[0].background]);
+
+      const nudged = this.nudgeLightness(roles[role], backgrounds, lighter);
+      if (nudged) {
+        roles[role] = nudged;
+        return;
+      }
+
+      // Text at the end of the range: move the failing backgrounds too
+      roles[role] = lighter ? 'FFFFFF' : '000000';
+      for (const pair of failing) {
+        const moved = this.nudgeLightness(roles[pair.background], [{ color: roles[role], minimum: pair.minimum }], !lighter);
+        if (moved) {
+          roles[pair.background] = moved;
+        }
+      }
+    };
+    for (let pass = 0; pass < 3 && !this.audit({ ...theme, roles }, { level: options.level }).pass; pass++) {
+      foregrounds.forEach(fixRole);
+    }
+
+    const fixed = this.createTheme({ ...theme, roles });
+    const changes = this.roleNames
+      .filter(role => fixed.roles[role] !== original[role])
+      .map(role => ({ role, from: original[role], to: fixed.roles[role] }));
+    return { theme: fixed, changes, audit: this.audit(fixed, { level: options.level }) };
+  },
+
   /**
    * Create a shareable theme from current URL or custom colors
    */
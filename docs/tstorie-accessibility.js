@@ -0,0 +1,176 @@
+// TStorie Screen-Reader Mirror
+// Keeps a visually hidden DOM copy of the terminal grid so assistive
+// technology (and automated browser tests) can read what the canvas shows.
+//
+// - one element per row, updated from the cell buffer's dirty rows
+// - the row holding the text cursor is marked aria-current and describes
+//   the focused text input, so moving through a field reads its line
+// - changed lines are announced through a polite live region once the
+//   screen settles (animations that never settle stay quiet)
+//
+// Enabled with ?a11y=1, `accessibility: true` in front matter, or
+// terminal.setAccessibilityMirror(true).
+
+const TSTORIE_VISUALLY_HIDDEN = 'position: absolute; width: 1px; height: 1px; margin: -1px;' +
+    'padding: 0; border: 0; overflow: hidden; clip: rect(0 0 0 0); clip-path: inset(50%);' +
+    'white-space: pre;';
+
+class TStorieAccessibilityMirror {
+    constructor(host, options = {}) {
+        this.host = host;
+        this.options = {
+            label: 'Terminal',
+            announce: true,
+            announceDelay: 400,     // ms the screen has to stay unchanged
+            maxAnnouncedLines: 5,
+            ...options
+        };
+        
+        // Last text written to each row element
+        this.rowText = [];
+        this.rowElements = [];
+        
+        // Rows changed since the last announcement
+        this.pendingRows = new Set();
+        this.announceTimer = null;
+        
+        // Nothing is announced until the first full screen is mirrored
+        this.populated = false;
+        
+        this.cursorRow = -1;
+        
+        this.container = document.createElement('div');
+        this.container.className = 'tstorie-a11y';
+        this.container.setAttribute('role', 'region');
+        this.container.setAttribute('aria-label', this.options.label);
+        this.container.setAttribute('aria-roledescription', 'terminal');
+        this.container.style.cssText = TSTORIE_VISUALLY_HIDDEN;
+        
+        this.screen = document.createElement('div');
+        this.screen.className = 'tstorie-a11y-screen';
+        this.container.appendChild(this.screen);
+        
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'tstorie-a11y-live';
+        this.liveRegion.setAttribute('role', 'log');
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.liveRegion.setAttribute('aria-atomic', 'true');
+        this.container.appendChild(this.liveRegion);
+        
+        document.body.appendChild(this.container);
+    }
+    
+    /**
+     * Sync with the cell buffer after a refresh. Only dirty rows are read;
+     * only rows whose text changed touch the DOM.
+     */
+    update() {
+        const cells = this.host.cells;
+        const rows = cells.rows;
+        
+        this.setRowCount(rows);
+        
+        for (let y = 0; y < rows; y++) {
+            if (this.rowText[y] !== undefined && !cells.isRowDirty(y)) continue;
+            
+            const text = cells.getRowText(y);
+            if (text === this.rowText[y]) continue;
+            
+            this.rowText[y] = text;
+            this.rowElements[y].textContent = text;
+            if (this.populated) this.pendingRows.add(y);
+        }
+        this.populated = rows > 0;
+        
+        this.updateCursor();
+        
+        if (this.pendingRows.size > 0 && this.options.announce) {
+            clearTimeout(this.announceTimer);
+            this.announceTimer = setTimeout(() => this.announceChanges(), this.options.announceDelay);
+        }
+    }
+    
+    setRowCount(rows) {
+        while (this.rowElements.length < rows) {
+            const row = document.createElement('div');
+            row.className = 'tstorie-a11y-row';
+            row.id = `tstorie-a11y-row-${this.rowElements.length}`;
+            this.screen.appendChild(row);
+            this.rowElements.push(row);
+        }
+        while (this.rowElements.length > rows) {
+            this.rowElements.pop().remove();
+            this.rowText.pop();
+            this.pendingRows.delete(this.rowElements.length);
+        }
+        if (this.cursorRow >= rows) this.cursorRow = -1;
+    }
+    
+    /**
+     * Mark the row holding the text cursor and let the focused input
+     * describe itself with that row
+     */
+    updateCursor() {
+        const cursor = this.host.getTextCursor();
+        const row = cursor.active ? cursor.y : -1;
+        if (row === this.cursorRow) return;
+        
+        const previous = this.rowElements[this.cursorRow];
+        if (previous) previous.removeAttribute('aria-current');
+        
+        this.cursorRow = row;
+        const input = this.host.textInput;
+        const current = this.rowElements[row];
+        if (current) {
+            current.setAttribute('aria-current', 'true');
+            input.setAttribute('aria-describedby', current.id);
+        } else {
+            input.removeAttribute('aria-describedby');
+        }
+    }
+    
+    announceChanges() {
+        this.announceTimer = null;
+        
+        const lines = [...this.pendingRows]
+            .sort((a, b) => a - b)
+            .map(y => this.rowText[y])
+            .filter(text => text && text.trim() !== '');
+        this.pendingRows.clear();
+        if (lines.length === 0) return;
+        
+        const max = this.options.maxAnnouncedLines;
+        let message = lines.slice(0, max).join('\n');
+        if (lines.length > max) {
+            message += `\n(${lines.length - max} more lines changed)`;
+        }
+        this.announce(message);
+    }
+    
+    /**
+     * Read a message out through the live region
+     */
+    announce(message) {
+        this.liveRegion.textContent = message;
+    }
+    
+    /**
+     * Whole mirrored screen, one line per row
+     */
+    getText() {
+        return this.rowText.join('\n');
+    }
+    
+    destroy() {
+        clearTimeout(this.announceTimer);
+        if (this.host.textInput) {
+            this.host.textInput.removeAttribute('aria-describedby');
+        }
+        this.container.remove();
+    }
+}
+
+// Export for use in TStorie
+if (typeof window !== 'undefined') {
+    window.TStorieAccessibilityMirror = TStorieAccessibilityMirror;
+}
@@ -1,123 +1,40 @@
-// TStorie JavaScript Interface
-// Handles terminal rendering, input, and WASM module integration
+// TStorie Canvas2D Draw Backend
+// Plain 2D-context renderer. Works everywhere, used when neither WebGPU nor
+// WebGL2 is available. Input, sizing and font metrics live in
+// TStorieTerminalHost (tstorie-terminal-host.js).
 
-class TStorieTerminal {
-    constructor(canvasElement, fontFamily = null, fontSize = null) {
-        this.canvas = canvasElement;
-        this.ctx = canvasElement.getContext('2d', { 
-            alpha: false,
-            desynchronized: true
-        });
-        
-        // Disable anti-aliasing to prevent sub-pixel rendering artifacts
-        this.ctx.imageSmoothingEnabled = false;
-        
-        // Terminal dimensions in characters
-        this.cols = 80;
-        this.rows = 24;
-        
-        // Character dimensions in pixels
-        this.charWidth = 10;
-        this.charHeight = 20;
-        
-        // Font settings
-        this.fontSize = fontSize || 16;
-        this.fontFamily = fontFamily || "'3270-Regular', 'Consolas', 'Monaco', monospace";
-        
-        // Performance
-        this.lastFrameTime = 0;
-        this.frameInterval = 1000 / 60; // 60 FPS
-        
-        // Input state
-        this.keys = new Set();
-        this.mouseX = 0;
-        this.mouseY = 0;
+class TStorieCanvas2DBackend {
+    constructor() {
+        this.name = 'canvas2d';
+        this.ready = false;
+        this.host = null;
+        this.ctx = null;
         
         // Debug flags
         this.debugFirstFrame = true;
-        this.debugFirstCell = true;
-        
-        this.initFont();
-        this.setupCanvas();
-        this.setupInputHandlers();
     }
     
-    initFont() {
-        // Measure character dimensions accurately
-        this.ctx.font = `${this.fontSize}px ${this.fontFamily}`;
-        this.ctx.textBaseline = 'top';
-        
-        // Measure width using a wide character
-        const metrics = this.ctx.measureText('M');
-        this.charWidth = Math.ceil(metrics.width);
+    init(host) {
+        this.host = host;
+        this.ctx = host.canvas.getContext('2d', { 
+            alpha: false,
+            desynchronized: true
+        });
         
-        // Use fontSize directly for height to avoid gaps
-        // This matches how terminals render without inter-line spacing
-        this.charHeight = this.fontSize;
-    }
-    
-    setFontSize(newSize) {
-        // Validate font size
-        if (newSize < 8 || newSize > 72) {
-            console.warn('Font size out of range (8-72):', newSize);
-            return;
+        if (!this.ctx) {
+            throw new Error('Canvas 2D context not available');
         }
         
-        this.fontSize = newSize;
-        // Reinitialize font metrics
-        this.initFont();
-        // Trigger resize to recalculate terminal dimensions
-        this.resize();
-    }
-    
-    getCharPixelWidth() {
-        return this.charWidth;
-    }
-    
-    getCharPixelHeight() {
-        return this.charHeight;
-    }
-    
-    getViewportPixelWidth() {
-        return window.innerWidth;
-    }
-    
-    getViewportPixelHeight() {
-        return window.innerHeight;
-    }
-    
-    setFontScale(scale) {
-        // Scale the current font size
-        const newSize = Math.round(this.fontSize * scale);
-        this.setFontSize(newSize);
-    }
-    
-    setupCanvas() {
-        this.resize();
-        window.addEventListener('resize', () => this.resize());
+        // Disable anti-aliasing to prevent sub-pixel rendering artifacts
+        this.ctx.imageSmoothingEnabled = false;
+        
+        this.ready = true;
+        return true;
     }
     
-    resize() {
-        // Calculate how many characters fit in the window
-        const availWidth = window.innerWidth;
-        const availHeight = window.innerHeight;
-        
-        // Calculate terminal dimensions
-        this.cols = Math.floor(availWidth / this.charWidth);
-        this.rows = Math.floor(availHeight / this.charHeight);
-        
-        // Ensure minimum size
-        this.cols = Math.max(20, this.cols);
-        this.rows = Math.max(10, this.rows);
-        
-        // Set canvas size with device pixel ratio for sharp rendering
-        const dpr = window.devicePixelRatio || 1;
-        this.canvas.width = this.cols * this.charWidth * dpr;
-        this.canvas.height = this.rows * this.charHeight * dpr;
-        this.canvas.style.width = (this.cols * this.charWidth) + 'px';
-        this.canvas.style.height = (this.rows * this.charHeight) + 'px';
-        
+    resize(host, dpr) {
         // Scale context to match device pixel ratio
+        // (resizing the canvas already reset the transform)
         this.ctx.scale(dpr, dpr);
         
         // Improve text rendering
@@ -125,260 +42,65 @@ class TStorieTerminal {
         this.ctx.textRendering = 'geometricPrecision';
         
         // Update font after resize
-        this.ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+        this.ctx.font = `${host.fontSize}px ${host.fontFamily}`;
         this.ctx.textBaseline = 'top';
-        
-        // Notify WASM module
-        if (typeof Module !== 'undefined' && Module._emResize) {
-            Module._emResize(this.cols, this.rows);
-        }
-    }
-    
-    setupInputHandlers() {
-        // Keyboard input
-        this.canvas.addEventListener('keydown', (e) => {
-            e.preventDefault();
-            this.handleKeyDown(e);
-        });
-        
-        this.canvas.addEventListener('keypress', (e) => {
-            e.preventDefault();
-        });
-        
-        // Mouse input
-        this.canvas.addEventListener('mousedown', (e) => {
-            e.preventDefault();
-            this.handleMouseClick(e);
-        });
-        
-        this.canvas.addEventListener('mouseup', (e) => {
-            e.preventDefault();
-            this.handleMouseRelease(e);
-        });
-        
-        this.canvas.addEventListener('mousemove', (e) => {
-            this.handleMouseMove(e);
-        });
-        
-        // Prevent context menu
-        this.canvas.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-        });
-        
-        // Focus canvas on load
-        this.canvas.focus();
-        this.canvas.addEventListener('blur', (e) => {
-            // Don't refocus if user clicked on settings panel or its inputs
-            setTimeout(() => {
-                const activeElement = document.activeElement;
-                const settingsPanel = document.getElementById('settings-panel');
-                const settingsToggle = document.getElementById('settings-toggle');
-                
-                // Check if focus moved to settings panel or its children, or the toggle button
-                if (activeElement && 
-                    (activeElement === settingsPanel || 
-                     activeElement === settingsToggle ||
-                     settingsPanel?.contains(activeElement))) {
-                    // Let the settings panel keep focus
-                    return;
-                }
-                
-                // Otherwise, refocus the canvas for keyboard input
-                this.canvas.focus();
-            }, 0);
-        });
-    }
-    
-    handleKeyDown(e) {
-        if (!Module._emHandleKeyPress) {
-            console.warn('Module._emHandleKeyPress not available');
-            return;
-        }
-        
-        const shift = e.shiftKey ? 1 : 0;
-        const alt = e.altKey ? 1 : 0;
-        const ctrl = e.ctrlKey ? 1 : 0;
-        
-        let keyCode = 0;
-        
-        // Map special keys to Storie key codes
-        switch(e.key) {
-            case 'Escape': keyCode = 27; break;
-            case 'Backspace': keyCode = 127; break;
-            case ' ': keyCode = 32; break;
-            case 'Tab': keyCode = 9; break;
-            case 'Enter': keyCode = 13; break;
-            case 'Delete': keyCode = 46; break;
-            
-            case 'ArrowUp': keyCode = 10000; break;
-            case 'ArrowDown': keyCode = 10001; break;
-            case 'ArrowLeft': keyCode = 10002; break;
-            case 'ArrowRight': keyCode = 10003; break;
-            
-            case 'Home': keyCode = 10004; break;
-            case 'End': keyCode = 10005; break;
-            case 'PageUp': keyCode = 10006; break;
-            case 'PageDown': keyCode = 10007; break;
-            
-            case 'F1': keyCode = 10008; break;
-            case 'F2': keyCode = 10009; break;
-            case 'F3': keyCode = 10010; break;
-            case 'F4': keyCode = 10011; break;
-            case 'F5': keyCode = 10012; break;
-            case 'F6': keyCode = 10013; break;
-            case 'F7': keyCode = 10014; break;
-            case 'F8': keyCode = 10015; break;
-            case 'F9': keyCode = 10016; break;
-            case 'F10': keyCode = 10017; break;
-            case 'F11': keyCode = 10018; break;
-            case 'F12': keyCode = 10019; break;
-            
-            default:
-                // Handle regular character input
-                if (e.key.length === 1) {
-                    keyCode = e.key.charCodeAt(0);
-                    
-                    // Handle Ctrl+key combinations
-                    if (ctrl && keyCode >= 65 && keyCode <= 90) {
-                        // Ctrl+A through Ctrl+Z
-                        keyCode = keyCode - 64;
-                    } else if (ctrl && keyCode >= 97 && keyCode <= 122) {
-                        // Ctrl+a through Ctrl+z
-                        keyCode = keyCode - 96;
-                    }
-                }
-                break;
-        }
-        
-        if (keyCode > 0) {
-            // For printable characters, only send TextEvent to avoid duplicates
-            // For special keys, send KeyEvent
-            const isPrintableChar = e.key.length === 1 && !ctrl && !alt && keyCode >= 32 && keyCode < 127;
-            
-            if (isPrintableChar) {
-                // Send text input event only
-                const textPtr = Module.allocateUTF8(e.key);
-                Module._emHandleTextInput(textPtr);
-                Module._free(textPtr);
-            } else {
-                // Send key press event for special keys
-                Module._emHandleKeyPress(keyCode, shift, alt, ctrl);
-            }
-        }
-    }
-    
-    handleMouseClick(e) {
-        if (!Module._emHandleMouseClick) {
-            console.warn('Module._emHandleMouseClick not available');
-            return;
-        }
-        
-        const rect = this.canvas.getBoundingClientRect();
-        const x = Math.floor((e.clientX - rect.left) / this.charWidth);
-        const y = Math.floor((e.clientY - rect.top) / this.charHeight);
-        
-        const shift = e.shiftKey ? 1 : 0;
-        const alt = e.altKey ? 1 : 0;
-        const ctrl = e.ctrlKey ? 1 : 0;
-        Module._emHandleMouseClick(x, y, e.button, shift, alt, ctrl);
     }
     
-    handleMouseRelease(e) {
-        if (!Module._emHandleMouseRelease) {
-            console.warn('Module._emHandleMouseRelease not available');
-            return;
-        }
-        
-        const rect = this.canvas.getBoundingClientRect();
-        const x = Math.floor((e.clientX - rect.left) / this.charWidth);
-        const y = Math.floor((e.clientY - rect.top) / this.charHeight);
-        
-        const shift = e.shiftKey ? 1 : 0;
-        const alt = e.altKey ? 1 : 0;
-        const ctrl = e.ctrlKey ? 1 : 0;
-        
-        Module._emHandleMouseRelease(x, y, e.button, shift, alt, ctrl);
-    }
-    
-    handleMouseMove(e) {
-        if (!Module._emHandleMouseMove) return;
-        
-        const rect = this.canvas.getBoundingClientRect();
-        const x = Math.floor((e.clientX - rect.left) / this.charWidth);
-        const y = Math.floor((e.clientY - rect.top) / this.charHeight);
-        
-        if (x !== this.mouseX || y !== this.mouseY) {
-            this.mouseX = x;
-            this.mouseY = y;
-            Module._emHandleMouseMove(x, y);
-        }
+    fontChanged(host) {
+        // Glyphs are drawn straight from the font - nothing cached
     }
     
-    render() {
-        if (!Module._emGetCell) {
-            console.warn('Module._emGetCell not available');
-            return;
-        }
+    render(host) {
+        const cells = host.cells;
         
         // Debug first frame
         if (this.debugFirstFrame) {
-            console.log('First render frame - dimensions:', this.cols, 'x', this.rows);
+            console.log('First render frame - dimensions:', host.cols, 'x', host.rows);
             this.debugFirstFrame = false;
         }
         
-        // Render each cell (backgrounds cover entire canvas, no pre-clear needed)
-        for (let y = 0; y < this.rows; y++) {
-            for (let x = 0; x < this.cols; x++) {
+        // Render each cell of the dirty rows (backgrounds cover the whole row,
+        // no pre-clear needed)
+        for (let y = 0; y < host.rows; y++) {
+            if (!cells.isRowDirty(y)) continue;
+            for (let x = 0; x < host.cols; x++) {
                 this.renderCell(x, y);
             }
         }
     }
     
     renderCell(x, y) {
+        const host = this.host;
+        const cells = host.cells;
+        const ctx = this.ctx;
+        
         // Check if this cell is the second half of a double-width character
         // Do this BEFORE getting any cell data to avoid rendering over it
-        if (x > 0) {
-            const prevCh = Module.UTF8ToString(Module._emGetCell(x - 1, y));
-            if (prevCh && prevCh !== '') {
-                const prevWidth = Module._emGetCellWidth ? Module._emGetCellWidth(x - 1, y) : 1;
-                if (prevWidth === 2) {
-                    // This is the second cell of a double-width character, skip entirely
-                    return;
-                }
-            }
-        }
-        
-        // Get cell data from WASM
-        let ch = Module.UTF8ToString(Module._emGetCell(x, y));
+        if (cells.isContinuation(x, y)) return;
         
-        // Filter out middle dot (・/U+30FB) used as terminal rendering workaround
-        // It's added after arrow characters in level data to fix terminal glitches
-        // but should not be rendered in canvas. Check if previous cell has an arrow.
-        if (ch === '・' && x > 0) {
-            const prevCh = Module.UTF8ToString(Module._emGetCell(x - 1, y));
-            // If previous character is an ASCII arrow, filter the middle dot
-            if (prevCh === '>' || prevCh === '<' || prevCh === '^' || prevCh === 'v') {
-                ch = '';
-            }
-        }
+        // Get cell data (the cell buffer filters the middle-dot arrow workaround)
+        const ch = cells.getDisplayChar(x, y);
         
-        const fgR = Module._emGetCellFgR(x, y);
-        const fgG = Module._emGetCellFgG(x, y);
-        const fgB = Module._emGetCellFgB(x, y);
+        const fg = cells.getFg(x, y);
+        const fgR = (fg >> 16) & 0xFF;
+        const fgG = (fg >> 8) & 0xFF;
+        const fgB = fg & 0xFF;
         
-        const bgR = Module._emGetCellBgR(x, y);
-        const bgG = Module._emGetCellBgG(x, y);
-        const bgB = Module._emGetCellBgB(x, y);
+        const bg = cells.getBg(x, y);
+        const bgR = (bg >> 16) & 0xFF;
+        const bgG = (bg >> 8) & 0xFF;
+        const bgB = bg & 0xFF;
         
-        const bold = Module._emGetCellBold(x, y);
-        const italic = Module._emGetCellItalic(x, y);
-        const underline = Module._emGetCellUnderline(x, y);
-        const charWidth = Module._emGetCellWidth ? Module._emGetCellWidth(x, y) : 1;
+        const flags = cells.getFlags(x, y);
+        const bold = flags & CELL_FLAG_BOLD;
+        const italic = flags & CELL_FLAG_ITALIC;
+        const underline = flags & CELL_FLAG_UNDERLINE;
+        const charWidth = cells.getWidth(x, y);
         
-        const px = Math.floor(x * this.charWidth);
-        const py = Math.floor(y * this.charHeight);
-        const pxNext = Math.ceil((x + charWidth) * this.charWidth);
-        const pyNext = Math.ceil((y + 1) * this.charHeight);
+        const px = Math.floor(x * host.charWidth);
+        const py = Math.floor(y * host.charHeight);
+        const pxNext = Math.ceil((x + charWidth) * host.charWidth);
+        const pyNext = Math.ceil((y + 1) * host.charHeight);
         
         // Ensure integer dimensions for pixel-perfect rendering
         const width = Math.max(1, pxNext - px);
@@ -386,8 +108,8 @@ class TStorieTerminal {
         
         // Draw background (always draw to ensure no gaps)
         // Use integer coordinates to eliminate sub-pixel artifacts
-        this.ctx.fillStyle = `rgb(${bgR}, ${bgG}, ${bgB})`;
-        this.ctx.fillRect(px, py, width, height);
+        ctx.fillStyle = `rgb(${bgR}, ${bgG}, ${bgB})`;
+        ctx.fillRect(px, py, width, height);
         
         // If no character, we're done
         if (!ch || ch === '') return;
@@ -396,132 +118,37 @@ class TStorieTerminal {
         let fontStyle = '';
         if (italic) fontStyle += 'italic ';
         if (bold) fontStyle += 'bold ';
-        this.ctx.font = `${fontStyle}${this.fontSize}px ${this.fontFamily}`;
+        ctx.font = `${fontStyle}${host.fontSize}px ${host.fontFamily}`;
         
         // Ensure textBaseline is set (font changes may reset it)
-        this.ctx.textBaseline = 'top';
+        ctx.textBaseline = 'top';
         
         // Draw text - no scaling, just draw it normally
-        this.ctx.fillStyle = `rgb(${fgR}, ${fgG}, ${fgB})`;
-        this.ctx.fillText(ch, px, py);
+        ctx.fillStyle = `rgb(${fgR}, ${fgG}, ${fgB})`;
+        ctx.fillText(ch, px, py);
         
         // Draw underline
         if (underline) {
-            this.ctx.strokeStyle = `rgb(${fgR}, ${fgG}, ${fgB})`;
-            this.ctx.lineWidth = 1;
-            this.ctx.beginPath();
-            this.ctx.moveTo(px, py + this.charHeight - 2);
-            this.ctx.lineTo(px + charWidth * this.charWidth, py + this.charHeight - 2);
-            this.ctx.stroke();
+            ctx.strokeStyle = `rgb(${fgR}, ${fgG}, ${fgB})`;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(px, py + host.charHeight - 2);
+            ctx.lineTo(px + charWidth * host.charWidth, py + host.charHeight - 2);
+            ctx.stroke();
         }
         
         // Reset font
-        this.ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+        ctx.font = `${host.fontSize}px ${host.fontFamily}`;
     }
     
-    startAnimationLoop() {
-        const animate = (currentTime) => {
-            // Throttle to target FPS
-            const elapsed = currentTime - this.lastFrameTime;
-            
-            if (elapsed >= this.frameInterval) {
-                this.lastFrameTime = currentTime;
-                
-                // Update and render
-                if (Module._emUpdate) {
-                    Module._emUpdate(elapsed);
-                }
-                
-                this.render();
-            }
-            
-            requestAnimationFrame(animate);
-        };
-        
-        requestAnimationFrame(animate);
-    }
-}
-
-// Global terminal instance
-let terminal = null;
-
-async function inittstorie() {
-    try {
-        console.log('Initializing TStorie...');
-        
-        // Wait for fonts to load
-        if (document.fonts && document.fonts.ready) {
-            await document.fonts.ready;
-        }
-        
-        const canvas = document.getElementById('terminal');
-        const customFont = Module.customFontFamily || null;
-        const customFontSize = Module.customFontSize || null;
-        if (customFont) {
-            console.log('Using custom font:', customFont);
-        }
-        if (customFontSize) {
-            console.log('Using custom font size:', customFontSize, 'px');
-        }
-        terminal = new TStorieTerminal(canvas, customFont, customFontSize);
-        
-        // Expose terminal globally for shader system to access cell dimensions
-        window.terminal = terminal;
-        
-        console.log('Terminal created:', terminal.cols, 'x', terminal.rows);
-        
-        // Initialize WASM module
-        if (Module._emInit) {
-            console.log('Calling Module._emInit...');
-            Module._emInit(terminal.cols, terminal.rows);
-            console.log('Module._emInit completed');
-        } else {
-            throw new Error('Module._emInit not found');
-        }
-        
-        // Start animation loop
-        console.log('Starting animation loop...');
-        terminal.startAnimationLoop();
-    } catch (error) {
-        console.error('Failed to initialize TStorie:', error);
-        document.getElementById('container').innerHTML = 
-            `<div class="error">
-                <h2>Initialization Error</h2>
-                <p>${error.message}</p>
-            </div>`;
+    destroy() {
+        // A 2D context can't be released; just stop drawing
+        this.ready = false;
+        this.ctx = null;
     }
 }
 
-// Export for use in HTML
+// Export for use in TStorie
 if (typeof window !== 'undefined') {
-    window.inittstorie = inittstorie;
-    
-    // Export font metric and scaling functions globally for WASM access
-    window.getCharPixelWidth = function() {
-        return terminal ? terminal.getCharPixelWidth() : 10;
-    };
-    
-    window.getCharPixelHeight = function() {
-        return terminal ? terminal.getCharPixelHeight() : 20;
-    };
-    
-    window.getViewportPixelWidth = function() {
-        return terminal ? terminal.getViewportPixelWidth() : window.innerWidth;
-    };
-    
-    window.getViewportPixelHeight = function() {
-        return terminal ? terminal.getViewportPixelHeight() : window.innerHeight;
-    };
-    
-    window.setFontSize = function(size) {
-        if (terminal) {
-            terminal.setFontSize(size);
-        }
-    };
-    
-    window.setFontScale = function(scale) {
-        if (terminal) {
-            terminal.setFontScale(scale);
-        }
-    };
-}
\ No newline at end of file
+    window.TStorieCanvas2DBackend = TStorieCanvas2DBackend;
+}
@@ -0,0 +1,350 @@
+// TStorie Packed Cell Buffer
+// Reads the whole screen from WASM in one call and exposes per-cell accessors
+// shared by the Canvas2D, WebGL and WebGPU renderers.
+//
+// Layout (uint32 words, mirrored from emPackCells in tstorie.nim):
+//   header: [width, height, dirtyRowCount, reserved]
+//   per cell (row-major, CELL_PACK_STRIDE words):
+//     [0] codepoint of the first rune (0 = empty cell)
+//     [1] foreground 0x00RRGGBB
+//     [2] background 0x00RRGGBB
+//     [3] flags: bit0 underline, bit1 bold, bit2 italic, bit3 dim,
+//                bit4 complex (more than one rune), bits 8-15 display width
+//   per row: 1 if any cell changed since the previous emPackCells call
+//
+// A highlight (text selection) is applied on read: getFg/getBg swap colors
+// for highlighted cells, so every renderer inverts them the same way.
+
+const CELL_PACK_HEADER = 4;
+const CELL_PACK_STRIDE = 4;
+
+const CELL_FLAG_UNDERLINE = 1;
+const CELL_FLAG_BOLD = 2;
+const CELL_FLAG_ITALIC = 4;
+const CELL_FLAG_DIM = 8;
+const CELL_FLAG_COMPLEX = 16;
+
+// Style bits as consumed by the GPU shaders (underline|bold|italic)
+const CELL_STYLE_MASK = CELL_FLAG_UNDERLINE | CELL_FLAG_BOLD | CELL_FLAG_ITALIC;
+
+// Middle dot (・/U+30FB) is placed after ASCII arrows in level data as a
+// terminal rendering workaround; it should not be drawn on canvas
+const CELL_MIDDLE_DOT = 0x30FB;
+const CELL_ARROW_CODEPOINTS = new Set([0x3E, 0x3C, 0x5E, 0x76]); // > < ^ v
+
+class TStorieCellBuffer {
+    constructor() {
+        // Engine buffer dimensions (from the packed header)
+        this.cols = 0;
+        this.rows = 0;
+        
+        // Cell words, CELL_PACK_STRIDE per cell
+        this.data = null;
+        
+        // Per-row dirty flags for the last refresh
+        this.dirty = null;
+        this.dirtyCount = 0;
+        
+        // When set, every row reports dirty on the next refresh
+        // (first frame, resize, font change, context restore...)
+        this.invalidated = true;
+        this.allDirty = true;
+        
+        // Rows to repaint on the next refresh whatever WASM reports
+        // (highlight changes), and the set in effect for the current frame
+        this.pendingRows = new Set();
+        this.forcedRows = new Set();
+        
+        // Cells drawn with fg/bg swapped (text selection): any object with
+        // contains(x, y), top and bottom - see setHighlight
+        this.highlight = null;
+        
+        // True when data is a view over WASM memory (emPackCells),
+        // false when it was filled through the per-cell getters
+        this.packed = false;
+        
+        // View bookkeeping so we only rebuild it when memory moves
+        this.viewPtr = 0;
+        this.viewBuffer = null;
+        
+        // codepoint → string
+        this.charCache = new Map();
+    }
+    
+    /**
+     * Pull the current frame from WASM.
+     * Uses emPackCells when the module exports it, otherwise falls back to
+     * the per-cell getters so older builds keep working.
+     * Returns false if the module isn't ready.
+     */
+    refresh(cols, rows) {
+        if (typeof Module === 'undefined') return false;
+        
+        const prevCols = this.cols;
+        const prevRows = this.rows;
+        
+        const heap = this.getHeapU32();
+        let ok = false;
+        if (Module._emPackCells && heap) {
+            ok = this.refreshPacked(heap);
+        } else if (Module._emGetCell) {
+            ok = this.refreshLegacy(cols, rows);
+        }
+        if (!ok) return false;
+        
+        this.allDirty = this.invalidated || this.cols !== prevCols || this.rows !== prevRows;
+        this.invalidated = false;
+        
+        this.forcedRows = this.pendingRows;
+        this.pendingRows = new Set();
+        return true;
+    }
+    
+    /**
+     * Force every row dirty on the next refresh.
+     * Renderers call this when their own surface was cleared.
+     */
+    invalidate() {
+        this.invalidated = true;
+    }
+    
+    /**
+     * Repaint rows top..bottom on the next refresh even if WASM didn't
+     * change them
+     */
+    invalidateRows(top, bottom) {
+        for (let y = Math.max(0, top); y <= bottom; y++) {
+            this.pendingRows.add(y);
+        }
+    }
+    
+    /**
+     * Draw the cells of highlight inverted (null clears it). Rows covered
+     * by the old or new highlight are repainted on the next refresh.
+     */
+    setHighlight(highlight) {
+        if (this.highlight) this.invalidateRows(this.highlight.top, this.highlight.bottom);
+        if (highlight) this.invalidateRows(highlight.top, highlight.bottom);
+        this.highlight = highlight;
+    }
+    
+    isHighlighted(x, y) {
+        return this.highlight !== null && this.highlight.contains(x, y);
+    }
+    
+    /**
+     * True if anything needs repainting since the last refresh
+     */
+    hasChanges() {
+        return this.allDirty || this.dirtyCount > 0 || this.forcedRows.size > 0;
+    }
+    
+    isRowDirty(y) {
+        return this.allDirty || this.dirty[y] !== 0 || this.forcedRows.has(y);
+    }
+    
+    getHeapU32() {
+        if (Module.HEAPU32) return Module.HEAPU32;
+        if (typeof HEAPU32 !== 'undefined') return HEAPU32;
+        return null;
+    }
+    
+    refreshPacked(heap) {
+        const ptr = Module._emPackCells();
+        if (!ptr) return false;
+        
+        const base = ptr >>> 2;
+        const cols = heap[base];
+        const rows = heap[base + 1];
+        
+        // Memory growth replaces the ArrayBuffer, and a resize may move the seq
+        if (ptr !== this.viewPtr || heap.buffer !== this.viewBuffer ||
+            cols !== this.cols || rows !== this.rows || !this.packed) {
+            const cellBytes = cols * rows * CELL_PACK_STRIDE * 4;
+            this.data = new Uint32Array(
+                heap.buffer,
+                ptr + CELL_PACK_HEADER * 4,
+                cols * rows * CELL_PACK_STRIDE
+            );
+            this.dirty = new Uint32Array(
+                heap.buffer,
+                ptr + CELL_PACK_HEADER * 4 + cellBytes,
+                rows
+            );
+            this.viewPtr = ptr;
+            this.viewBuffer = heap.buffer;
+        }
+        
+        this.dirtyCount = heap[base + 2];
+        this.cols = cols;
+        this.rows = rows;
+        this.packed = true;
+        return true;
+    }
+    
+    refreshLegacy(cols, rows) {
+        const length = cols * rows * CELL_PACK_STRIDE;
+        if (this.packed || !this.data || this.data.length !== length) {
+            // Fresh storage: the dimension check in refresh() marks everything dirty
+            this.data = new Uint32Array(length);
+            this.dirty = new Uint32Array(rows);
+        }
+        this.cols = cols;
+        this.rows = rows;
+        this.packed = false;
+        
+        // Diff against the previous frame as we go, like emPackCells does
+        const data = this.data;
+        let dirtyCount = 0;
+        let o = 0;
+        for (let y = 0; y < rows; y++) {
+            let rowDirty = false;
+            for (let x = 0; x < cols; x++) {
+                const ch = Module.UTF8ToString(Module._emGetCell(x, y));
+                const cp = ch.length > 0 ? ch.codePointAt(0) : 0;
+                
+                let flags = 0;
+                if (Module._emGetCellUnderline(x, y)) flags |= CELL_FLAG_UNDERLINE;
+                if (Module._emGetCellBold(x, y)) flags |= CELL_FLAG_BOLD;
+                if (Module._emGetCellItalic(x, y)) flags |= CELL_FLAG_ITALIC;
+                if (cp > 0 && String.fromCodePoint(cp).length < ch.length) flags |= CELL_FLAG_COMPLEX;
+                const width = Module._emGetCellWidth ? Module._emGetCellWidth(x, y) : 1;
+                flags |= (width & 0xFF) << 8;
+                
+                const fg = (Module._emGetCellFgR(x, y) << 16) |
+                           (Module._emGetCellFgG(x, y) << 8) |
+                            Module._emGetCellFgB(x, y);
+                const bg = (Module._emGetCellBgR(x, y) << 16) |
+                           (Module._emGetCellBgG(x, y) << 8) |
+                            Module._emGetCellBgB(x, y);
+                
+                if (data[o] !== cp || data[o + 1] !== fg || data[o + 2] !== bg ||
+                    data[o + 3] !== flags || (flags & CELL_FLAG_COMPLEX)) {
+                    rowDirty = true;
+                }
+                
+                data[o] = cp;
+                data[o + 1] = fg;
+                data[o + 2] = bg;
+                data[o + 3] = flags;
+                o += CELL_PACK_STRIDE;
+            }
+            this.dirty[y] = rowDirty ? 1 : 0;
+            if (rowDirty) dirtyCount++;
+        }
+        this.dirtyCount = dirtyCount;
+        return true;
+    }
+    
+    /**
+     * Word offset of a cell, or -1 if outside the engine buffer
+     */
+    offset(x, y) {
+        if (x < 0 || y < 0 || x >= this.cols || y >= this.rows) return -1;
+        return (y * this.cols + x) * CELL_PACK_STRIDE;
+    }
+    
+    getCodepoint(x, y) {
+        const o = this.offset(x, y);
+        return o < 0 ? 0 : this.data[o];
+    }
+    
+    /**
+     * Foreground as 0xRRGGBB (white outside the buffer, like emGetCellFg*)
+     * Highlighted cells swap foreground and background.
+     */
+    getFg(x, y) {
+        const o = this.offset(x, y);
+        if (o < 0) return 0xFFFFFF;
+        return this.isHighlighted(x, y) ? this.data[o + 2] : this.data[o + 1];
+    }
+    
+    /**
+     * Background as 0xRRGGBB (black outside the buffer, like emGetCellBg*)
+     */
+    getBg(x, y) {
+        const o = this.offset(x, y);
+        if (o < 0) return 0;
+        return this.isHighlighted(x, y) ? this.data[o + 1] : this.data[o + 2];
+    }
+    
+    getFlags(x, y) {
+        const o = this.offset(x, y);
+        return o < 0 ? (1 << 8) : this.data[o + 3];
+    }
+    
+    getStyle(x, y) {
+        return this.getFlags(x, y) & CELL_STYLE_MASK;
+    }
+    
+    getWidth(x, y) {
+        return (this.getFlags(x, y) >>> 8) & 0xFF || 1;
+    }
+    
+    /**
+     * Full cell text. Single-rune cells are decoded locally; multi-rune
+     * clusters (combining marks, ZWJ sequences) go back to emGetCell.
+     */
+    getChar(x, y) {
+        const o = this.offset(x, y);
+        if (o < 0) return '';
+        
+        const cp = this.data[o];
+        if (cp === 0) return '';
+        
+        if (this.data[o + 3] & CELL_FLAG_COMPLEX) {
+            return Module.UTF8ToString(Module._emGetCell(x, y));
+        }
+        
+        let ch = this.charCache.get(cp);
+        if (ch === undefined) {
+            ch = String.fromCodePoint(cp);
+            this.charCache.set(cp, ch);
+        }
+        return ch;
+    }
+    
+    /**
+     * Cell text as it should be drawn (applies the middle-dot filter)
+     */
+    getDisplayChar(x, y) {
+        if (x > 0 && this.getCodepoint(x, y) === CELL_MIDDLE_DOT &&
+            CELL_ARROW_CODEPOINTS.has(this.getCodepoint(x - 1, y))) {
+            return '';
+        }
+        return this.getChar(x, y);
+    }
+    
+    /**
+     * Text of row y as drawn: wide characters once, trailing blanks trimmed
+     * (screen-reader mirror, tests)
+     */
+    getRowText(y) {
+        let line = '';
+        for (let x = 0; x < this.cols; x++) {
+            if (this.isContinuation(x, y)) continue;
+            line += this.getDisplayChar(x, y) || ' ';
+        }
+        return line.replace(/\s+$/, '');
+    }
+    
+    /**
+     * True if this cell is the second half of a double-width character
+     */
+    isContinuation(x, y) {
+        if (x <= 0) return false;
+        const o = this.offset(x - 1, y);
+        if (o < 0) return false;
+        return this.data[o] !== 0 && ((this.data[o + 3] >>> 8) & 0xFF) === 2;
+    }
+}
+
+// Export for use in TStorie
+if (typeof window !== 'undefined') {
+    window.TStorieCellBuffer = TStorieCellBuffer;
+}
+
+// Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TStorieCellBuffer };
+}
@@ -1,26 +1,48 @@
 // TStorie Hybrid Renderer
-// Progressive Enhancement: WebGPU → WebGL fallback
-// Automatically selects best available rendering backend
+// Progressive Enhancement: WebGPU → WebGL → Canvas2D fallback
+// Automatically selects best available rendering backend, can switch at
+// runtime (setBackend) and falls back when a lost GPU context doesn't recover.
+// One TStorieTerminalHost owns input and sizing; only the draw backend changes.
+
+// Backend preference order; losing a backend falls back to the next one
+const HYBRID_BACKEND_ORDER = ['webgpu', 'webgl', 'canvas2d'];
 
 class TStorieHybridRenderer {
     constructor(canvasElement, options = {}) {
-        this.canvas = canvasElement;
+        this.initialCanvas = canvasElement;
         this.options = {
             fontFamily: options.fontFamily || "'3270-Regular', 'Consolas', 'Monaco', monospace",
             fontSize: options.fontSize || 16,
             preferWebGPU: options.preferWebGPU !== false,
             webgpuBridge: options.webgpuBridge || null,  // Shared WebGPU device
-            fallbackToWebGL: options.fallbackToWebGL !== false
+            fallbackToWebGL: options.fallbackToWebGL !== false,
+            fallbackToCanvas2D: options.fallbackToCanvas2D !== false,
+            // How long a lost backend gets to rebuild itself before we fall back (ms)
+            recoveryTimeout: options.recoveryTimeout ?? 3000
         };
         
-        this.renderer = null;
-        this.backend = null;  // 'webgpu' | 'webgl' | null
+        this.renderer = null; // TStorieTerminalHost
+        this.backend = null;  // 'webgpu' | 'webgl' | 'canvas2d' | null
         this.initialized = false;
         this.initPromise = null;
+        
+        // Serializes setBackend() calls and automatic fallbacks
+        this.switchPromise = Promise.resolve();
+        
+        // Pending fallback while a lost backend tries to recover
+        this.recoveryTimer = null;
+    }
+    
+    /**
+     * The terminal canvas. Switching backends replaces the element, so
+     * always read it from here rather than keeping a reference.
+     */
+    get canvas() {
+        return this.renderer ? this.renderer.canvas : this.initialCanvas;
     }
     
     /**
-     * Initialize renderer - tries WebGPU first, falls back to WebGL
+     * Initialize renderer - tries WebGPU first, falls back to WebGL, then Canvas2D
      */
     async init() {
         if (this.initialized) return this.backend;
@@ -29,68 +51,22 @@ class TStorieHybridRenderer {
         this.initPromise = (async () => {
             console.log('[Hybrid Renderer] Initializing...');
             
-            // Try WebGPU first if preferred
-            if (this.options.preferWebGPU && this.isWebGPUAvailable()) {
-                console.log('[Hybrid Renderer] Attempting WebGPU...');
-                
-                try {
-                    // Get shared device from bridge if available
-                    let sharedDevice = null;
-                    if (this.options.webgpuBridge && this.options.webgpuBridge.isInitialized()) {
-                        sharedDevice = this.options.webgpuBridge.getDevice();
-                        console.log('[Hybrid Renderer] Using shared WebGPU device from bridge');
-                    }
-                    
-                    // Create WebGPU renderer
-                    this.renderer = new TStorieWebGPURender(
-                        this.canvas,
-                        sharedDevice,
-                        this.options.fontFamily,
-                        this.options.fontSize
-                    );
-                    
-                    // Initialize
-                    const success = await this.renderer.init();
-                    
-                    if (success) {
-                        this.backend = 'webgpu';
-                        this.initialized = true;
-                        
-                        // Register with bridge for unified device management
-                        if (this.options.webgpuBridge) {
-                            this.options.webgpuBridge.setRenderer(this.renderer);
-                        }
-                        
-                        console.log('[Hybrid Renderer] ✓ WebGPU initialized successfully');
-                        return 'webgpu';
-                    } else {
-                        console.warn('[Hybrid Renderer] WebGPU init failed');
-                    }
-                } catch (error) {
-                    console.warn('[Hybrid Renderer] WebGPU error:', error);
-                }
-            }
+            this.renderer = new TStorieTerminalHost(
+                this.initialCanvas,
+                this.options.fontFamily,
+                this.options.fontSize
+            );
+            this.renderer.onDrawBackendLost = (backend) => this.backendLost(backend);
+            this.renderer.onDrawBackendRestored = () => this.cancelFallback();
             
-            // Fall back to WebGL
-            if (this.options.fallbackToWebGL) {
-                console.log('[Hybrid Renderer] Falling back to WebGL...');
-                
-                try {
-                    this.renderer = new TStorieTerminal(
-                        this.canvas,
-                        this.options.fontFamily,
-                        this.options.fontSize
-                    );
-                    
-                    this.backend = 'webgl';
+            for (const name of this.getEnabledBackends()) {
+                console.log(`[Hybrid Renderer] Attempting ${name}...`);
+                if (await this.attachBackend(name)) {
                     this.initialized = true;
-                    console.log('[Hybrid Renderer] ✓ WebGL initialized successfully');
-                    return 'webgl';
-                } catch (error) {
-                    console.error('[Hybrid Renderer] WebGL init failed:', error);
-                    this.backend = null;
-                    return null;
+                    console.log(`[Hybrid Renderer] ✓ ${name} initialized successfully`);
+                    return name;
                 }
+                console.warn(`[Hybrid Renderer] ${name} init failed`);
             }
             
             console.error('[Hybrid Renderer] No rendering backend available');
@@ -101,13 +77,148 @@ class TStorieHybridRenderer {
         return this.initPromise;
     }
     
+    /**
+     * Backends init() will try, in order, according to the options
+     */
+    getEnabledBackends() {
+        return HYBRID_BACKEND_ORDER.filter((name) => {
+            if (name === 'webgpu') return this.options.preferWebGPU && this.isWebGPUAvailable();
+            if (name === 'webgl') return this.options.fallbackToWebGL;
+            return this.options.fallbackToCanvas2D;
+        });
+    }
+    
+    /**
+     * New, uninitialized draw backend by name (null if its script isn't loaded)
+     */
+    createDrawBackend(name) {
+        switch (name) {
+            case 'webgpu': {
+                if (typeof TStorieWebGPUBackend === 'undefined') return null;
+                
+                // Get shared device from bridge if available
+                let sharedDevice = null;
+                const bridge = this.options.webgpuBridge;
+                if (bridge && bridge.isInitialized()) {
+                    sharedDevice = bridge.getDevice();
+                    console.log('[Hybrid Renderer] Using shared WebGPU device from bridge');
+                }
+                return new TStorieWebGPUBackend(sharedDevice);
+            }
+            case 'webgl':
+                return typeof TStorieWebGLBackend !== 'undefined' ? new TStorieWebGLBackend() : null;
+            case 'canvas2d':
+                return typeof TStorieCanvas2DBackend !== 'undefined' ? new TStorieCanvas2DBackend() : null;
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * Initialize a backend and make it current. The host keeps the glyph
+     * cache, dimensions and input focus across the swap.
+     */
+    async attachBackend(name) {
+        const backend = this.createDrawBackend(name);
+        if (!backend) return false;
+        
+        if (!await this.renderer.setDrawBackend(backend)) return false;
+        
+        this.backend = name;
+        
+        // Register with bridge for unified device management
+        if (name === 'webgpu' && this.options.webgpuBridge) {
+            this.options.webgpuBridge.setRenderer(this.renderer);
+        }
+        return true;
+    }
+    
+    /**
+     * Switch the draw backend mid-session: 'webgpu' | 'webgl' | 'canvas2d'.
+     * Resolves to true if the requested backend is active afterwards;
+     * on failure the current backend keeps running.
+     */
+    setBackend(name) {
+        if (!HYBRID_BACKEND_ORDER.includes(name)) {
+            return Promise.reject(new Error(`Unknown backend: ${name}`));
+        }
+        
+        this.cancelFallback();
+        
+        const run = async () => {
+            await this.init();
+            if (!this.renderer) return false;
+            if (this.backend === name && this.renderer.drawBackend.ready) return true;
+            
+            console.log(`[Hybrid Renderer] Switching ${this.backend} → ${name}...`);
+            if (await this.attachBackend(name)) {
+                console.log(`[Hybrid Renderer] ✓ Switched to ${name}`);
+                return true;
+            }
+            
+            console.warn(`[Hybrid Renderer] Could not switch to ${name}, keeping ${this.backend}`);
+            return false;
+        };
+        
+        this.switchPromise = this.switchPromise.then(run, run);
+        return this.switchPromise;
+    }
+    
+    /**
+     * The active backend lost its context or device. Backends rebuild
+     * themselves when the context comes back (webglcontextrestored, a new
+     * GPUDevice); if that hasn't happened within recoveryTimeout we give up
+     * on it and fall back.
+     */
+    backendLost(backend) {
+        this.cancelFallback();
+        this.recoveryTimer = setTimeout(() => {
+            this.recoveryTimer = null;
+            if (!backend.ready) {
+                this.fallbackFrom(backend.name);
+            }
+        }, this.options.recoveryTimeout);
+    }
+    
+    cancelFallback() {
+        if (this.recoveryTimer) {
+            clearTimeout(this.recoveryTimer);
+            this.recoveryTimer = null;
+        }
+    }
+    
+    /**
+     * Move to the next backend in HYBRID_BACKEND_ORDER that initializes
+     */
+    fallbackFrom(name) {
+        const run = async () => {
+            // Already moved on (e.g. a setBackend() raced the loss)
+            if (this.backend !== name) return this.backend;
+            
+            const next = HYBRID_BACKEND_ORDER.slice(HYBRID_BACKEND_ORDER.indexOf(name) + 1);
+            for (const candidate of next) {
+                console.warn(`[Hybrid Renderer] ${name} lost, falling back to ${candidate}...`);
+                if (await this.attachBackend(candidate)) {
+                    console.log(`[Hybrid Renderer] ✓ Fell back to ${candidate}`);
+                    return candidate;
+                }
+            }
+            
+            console.error(`[Hybrid Renderer] ${name} lost and no fallback backend available`);
+            return this.backend;
+        };
+        
+        this.switchPromise = this.switchPromise.then(run, run);
+        return this.switchPromise;
+    }
+    
     /**
      * Check if WebGPU is available in this browser
      */
     isWebGPUAvailable() {
         return typeof navigator !== 'undefined' && 
                navigator.gpu !== undefined &&
-               typeof TStorieWebGPURender !== 'undefined';
+               typeof TStorieWebGPUBackend !== 'undefined';
     }
     
     /**
@@ -145,24 +256,31 @@ class TStorieHybridRenderer {
     }
     
     /**
-     * Render terminal cells
-     * Forwards to appropriate backend
+     * Check if renderer is using the Canvas2D fallback
+     */
+    isCanvas2D() {
+        return this.backend === 'canvas2d';
+    }
+    
+    /**
+     * Render the current frame from the packed cell buffer
+     * Returns true if anything was drawn
      */
-    render(cells) {
+    render() {
         if (!this.initialized || !this.renderer) {
             console.warn('[Hybrid Renderer] Not initialized');
-            return;
+            return false;
         }
         
-        this.renderer.render(cells);
+        return this.renderer.render();
     }
     
     /**
-     * Resize terminal
+     * Resize terminal to fit the window
      */
-    resize(cols, rows) {
+    resize() {
         if (this.renderer) {
-            this.renderer.resize(cols, rows);
+            this.renderer.resize();
         }
     }
     
@@ -203,8 +321,9 @@ class TStorieHybridRenderer {
      * Cache a character in the glyph atlas
      */
     cacheChar(char) {
-        if (this.renderer && this.renderer.cacheChar) {
-            return this.renderer.cacheChar(char);
+        const backend = this.renderer && this.renderer.drawBackend;
+        if (backend && backend.cacheChar) {
+            return backend.cacheChar(char);
         }
         return null;
     }
@@ -213,8 +332,9 @@ class TStorieHybridRenderer {
      * Cache a range of characters
      */
     cacheCharRange(start, end) {
-        if (this.renderer && this.renderer.cacheCharRange) {
-            this.renderer.cacheCharRange(start, end);
+        const backend = this.renderer && this.renderer.drawBackend;
+        if (backend && backend.cacheCharRange) {
+            backend.cacheCharRange(start, end);
         }
     }
     
@@ -247,7 +367,8 @@ class TStorieHybridRenderer {
             stats.rows = this.renderer.rows;
             stats.charWidth = this.renderer.charWidth;
             stats.charHeight = this.renderer.charHeight;
-            stats.glyphsCached = this.renderer.glyphCache ? this.renderer.glyphCache.size : 0;
+            const backend = this.renderer.drawBackend;
+            stats.glyphsCached = backend && backend.glyphCache ? backend.glyphCache.size : 0;
         }
         
         return stats;
@@ -300,6 +421,40 @@ class TStorieHybridRenderer {
         }
     }
     
+    setSwipeKey(direction, keyCode) {
+        if (this.renderer) {
+            this.renderer.setSwipeKey(direction, keyCode);
+        }
+    }
+    
+    get touchOptions() {
+        return this.renderer ? this.renderer.touchOptions : null;
+    }
+    
+    get selectionOptions() {
+        return this.renderer ? this.renderer.selectionOptions : null;
+    }
+    
+    getSelectionText() {
+        return this.renderer ? this.renderer.getSelectionText() : '';
+    }
+    
+    clearSelection() {
+        if (this.renderer) {
+            this.renderer.clearSelection();
+        }
+    }
+    
+    setAccessibilityMirror(enabled, options = {}) {
+        if (this.renderer) {
+            this.renderer.setAccessibilityMirror(enabled, options);
+        }
+    }
+    
+    getScreenText() {
+        return this.renderer ? this.renderer.getScreenText() : '';
+    }
+    
     startAnimationLoop() {
         // Delegate to underlying renderer
         if (this.renderer && this.renderer.startAnimationLoop) {
@@ -314,6 +469,7 @@ class TStorieHybridRenderer {
      * Cleanup resources
      */
     destroy() {
+        this.cancelFallback();
         if (this.renderer && this.renderer.destroy) {
             this.renderer.destroy();
         }
@@ -338,7 +494,7 @@ if (typeof window !== 'undefined') {
  *   });
  *   
  *   console.log('Using backend:', renderer.getBackend());
- *   renderer.render(cells);
+ *   renderer.startAnimationLoop();
  */
 async function createTStorieRenderer(canvas, options = {}) {
     const renderer = new TStorieHybridRenderer(canvas, options);
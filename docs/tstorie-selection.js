@@ -0,0 +1,117 @@
+// TStorie Text Selection
+// Renderer-independent selection over the terminal grid. The host feeds it
+// cells from mouse drags, the cell buffer asks it which cells to draw with
+// fg/bg swapped, and copying reads the text back from WASM (emGetCell) so
+// complex clusters survive and wide characters are copied once.
+//
+// Modes:
+//   'line'   reading order from anchor to head, like a text editor
+//   'block'  the rectangle spanned by anchor and head
+
+class TStorieSelection {
+    constructor(mode, anchor) {
+        this.mode = mode;
+        this.anchor = { x: anchor.x, y: anchor.y };
+        this.head = { x: anchor.x, y: anchor.y };
+    }
+    
+    /**
+     * Move the free end; returns false if nothing changed
+     */
+    extend(cell) {
+        if (cell.x === this.head.x && cell.y === this.head.y) return false;
+        this.head = { x: cell.x, y: cell.y };
+        return true;
+    }
+    
+    get top() {
+        return Math.min(this.anchor.y, this.head.y);
+    }
+    
+    get bottom() {
+        return Math.max(this.anchor.y, this.head.y);
+    }
+    
+    /**
+     * Anchor and head in reading order
+     */
+    ordered() {
+        const a = this.anchor;
+        const b = this.head;
+        if (a.y < b.y || (a.y === b.y && a.x <= b.x)) return [a, b];
+        return [b, a];
+    }
+    
+    isEmpty() {
+        return this.anchor.x === this.head.x && this.anchor.y === this.head.y;
+    }
+    
+    contains(x, y) {
+        if (y < this.top || y > this.bottom) return false;
+        
+        if (this.mode === 'block') {
+            return x >= Math.min(this.anchor.x, this.head.x) &&
+                   x <= Math.max(this.anchor.x, this.head.x);
+        }
+        
+        const [start, end] = this.ordered();
+        if (y === start.y && x < start.x) return false;
+        if (y === end.y && x > end.x) return false;
+        return true;
+    }
+    
+    /**
+     * Column span selected on row y ([from, to], inclusive)
+     */
+    rowSpan(y, cols) {
+        if (this.mode === 'block') {
+            return [
+                Math.max(0, Math.min(this.anchor.x, this.head.x)),
+                Math.min(cols - 1, Math.max(this.anchor.x, this.head.x))
+            ];
+        }
+        
+        const [start, end] = this.ordered();
+        return [
+            y === start.y ? Math.max(0, start.x) : 0,
+            y === end.y ? Math.min(cols - 1, end.x) : cols - 1
+        ];
+    }
+    
+    /**
+     * Selected text, one line per row with trailing blanks trimmed.
+     * A double-width character is copied once, whichever of its two cells
+     * the selection touches.
+     */
+    getText(cols, rows) {
+        if (typeof Module === 'undefined' || !Module._emGetCell) return '';
+        
+        const cellWidth = (x, y) => Module._emGetCellWidth ? Module._emGetCellWidth(x, y) : 1;
+        const lines = [];
+        
+        for (let y = Math.max(0, this.top); y <= Math.min(rows - 1, this.bottom); y++) {
+            let [from, to] = this.rowSpan(y, cols);
+            
+            // Started on the right half of a wide character - take all of it
+            if (from > 0 && cellWidth(from - 1, y) === 2) {
+                from--;
+            }
+            
+            let line = '';
+            let x = from;
+            while (x <= to) {
+                const ch = Module.UTF8ToString(Module._emGetCell(x, y));
+                line += ch === '' ? ' ' : ch;
+                x += ch === '' ? 1 : Math.max(1, cellWidth(x, y));
+            }
+            lines.push(line.replace(/\s+$/, ''));
+        }
+        
+        return lines.join('\n');
+    }
+}
+
+// Export for use in TStorie
+if (typeof window !== 'undefined') {
+    window.TStorieSelection = TStorieSelection;
+}
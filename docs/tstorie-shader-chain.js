@@ -0,0 +1,553 @@
+// TStorie Shader Chain
+// Runtime access to the active post-processing chain, whichever backend
+// built it: window.shaderSystem.pipelines (WebGPU, webgpu_shader_system.js)
+// or window.shaderSystem.shaderPrograms (WebGL, index.html). Every pass
+// carries its name, current uniform values and the uniform schema from its
+// shader package (tstorie-shader-package.js), so values set here are
+// checked and clamped the same way on both backends.
+//
+// JavaScript:  setShaderUniform('crt', 'frameHue', 0.3)
+//              listShaderUniforms('crt')  -> [{ name, type, value, min, ... }]
+// Nimini:      setShaderUniform / getShaderUniform / listShaderUniforms
+//              (through the tStorie_* text bridge below)
+// Front matter: shaderUniforms: crt.curveStrength=0.9; crt.glowColor=#66ccff
+//              (applied every time the chain is built)
+//
+// The chain itself can also change at runtime: insertShader, removeShader,
+// moveShader, setShaderEnabled (bypass) and setShaderMix (wet/dry, 0-1).
+// Passes keep their compiled program/pipeline, so only an inserted shader
+// is compiled. The backend provides createPass(shaderInfo) and
+// destroyPass(pass); its render loop draws shaderPassActive() passes.
+//
+// Passes may declare extra sampler inputs (package `inputs`): their own
+// previous frame, the raw terminal, or images under assets/ (loaded
+// once per page by loadShaderAsset and shared by both backends).
+//
+// A pass that fails to compile stays in the chain with `error` set and is
+// skipped (tstorie-shader-diagnostics.js shows why).
+//
+// Documents can define shaders inline (```shader name=wobble lang=glsl
+// blocks); loadSingleShader finds those by name before looking for a file,
+// so `shaders:` front matter and insertShader treat them like file shaders.
+
+// Messages already logged - scripts often set uniforms every frame
+const shaderChainWarnings = new Set();
+
+function warnShaderChain(message) {
+    if (shaderChainWarnings.has(message)) return;
+    shaderChainWarnings.add(message);
+    console.warn('[Shader] ' + message);
+}
+
+/**
+ * Passes of the active chain in render order ([] before it exists)
+ */
+function shaderChainPasses() {
+    const system = window.shaderSystem;
+    if (!system) return [];
+    return system.pipelines || system.shaderPrograms || [];
+}
+
+function findShaderPass(shaderName) {
+    return shaderChainPasses().find(pass => pass.name === shaderName) || null;
+}
+
+/**
+ * True if the pass draws this frame (compiled, not bypassed, mix above 0)
+ */
+function shaderPassActive(pass) {
+    return !pass.error && pass.enabled !== false && !(pass.mix <= 0);
+}
+
+/**
+ * True if the pass reads its own previous frame (a "feedback" input)
+ */
+function shaderPassUsesFeedback(pass) {
+    return Object.values(pass.inputs || {}).some(input => input.kind === 'feedback');
+}
+
+// Images for "assets/..." shader inputs, by path
+const shaderAssetImages = new Map();
+
+/**
+ * Image for an "assets/..." input. Resolves to null (with a warning) when
+ * it can't be loaded; the input then stays transparent black.
+ */
+function loadShaderAsset(path) {
+    if (!shaderAssetImages.has(path)) {
+        shaderAssetImages.set(path, new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => {
+                warnShaderChain(`Shader input image "${path}" could not be loaded`);
+                resolve(null);
+            };
+            image.src = path;
+        }));
+    }
+    return shaderAssetImages.get(path);
+}
+
+/**
+ * The chain in render order: [{ name, enabled, mix, error }], error being
+ * the compile error summary of a failed pass (null otherwise)
+ */
+function getShaderChain() {
+    return shaderChainPasses().map(pass => ({
+        name: pass.name,
+        enabled: pass.enabled !== false,
+        mix: pass.mix === undefined ? 1 : pass.mix,
+        error: pass.error ? pass.error.summary : null
+    }));
+}
+
+/**
+ * Bypass (false) or restore (true) a pass. Returns false if the shader
+ * isn't in the chain.
+ */
+function setShaderEnabled(shaderName, enabled) {
+    const pass = findShaderPass(shaderName);
+    if (!pass) {
+        warnShaderChain(`No shader "${shaderName}" in the active chain`);
+        return false;
+    }
+    pass.enabled = !!enabled;
+    shaderChainEdited(false);
+    return true;
+}
+
+/**
+ * Wet/dry factor of a pass: 0 = input unchanged, 1 = full effect.
+ * Returns the stored (clamped) factor, or undefined.
+ */
+function setShaderMix(shaderName, mix) {
+    const pass = findShaderPass(shaderName);
+    if (!pass) {
+        warnShaderChain(`No shader "${shaderName}" in the active chain`);
+        return undefined;
+    }
+    if (typeof mix !== 'number' || !Number.isFinite(mix)) {
+        warnShaderChain(`${shaderName} mix: expected a number`);
+        return undefined;
+    }
+    pass.mix = Math.min(1, Math.max(0, mix));
+    shaderChainEdited(false);
+    return pass.mix;
+}
+
+/**
+ * Move a pass to `index` in the chain (clamped; negative counts from the end)
+ */
+function moveShader(shaderName, index) {
+    const passes = shaderChainPasses();
+    const from = passes.findIndex(pass => pass.name === shaderName);
+    if (from < 0) {
+        warnShaderChain(`No shader "${shaderName}" in the active chain`);
+        return false;
+    }
+    const [pass] = passes.splice(from, 1);
+    passes.splice(chainIndex(index, passes.length + 1), 0, pass);
+    shaderChainEdited(true);
+    return true;
+}
+
+/**
+ * Take a pass out of the chain and free its GPU resources
+ */
+function removeShader(shaderName) {
+    const system = window.shaderSystem;
+    const passes = shaderChainPasses();
+    const index = passes.findIndex(pass => pass.name === shaderName);
+    if (index < 0) {
+        warnShaderChain(`No shader "${shaderName}" in the active chain`);
+        return false;
+    }
+    const [pass] = passes.splice(index, 1);
+    if (system.destroyPass) system.destroyPass(pass);
+    shaderChainEdited(true);
+    return true;
+}
+
+/**
+ * Load a shader (same names as `shaders:` front matter) and insert it at
+ * `index` (default: end of the chain). Starts a chain if there is none.
+ * Resolves to true once the pass is drawing; a shader that fails to
+ * compile is still inserted (bypassed, with its error) and resolves false.
+ */
+async function insertShader(shaderName, index = -1) {
+    if (findShaderPass(shaderName)) {
+        warnShaderChain(`Shader "${shaderName}" is already in the chain`);
+        return false;
+    }
+    if (typeof window.loadSingleShader !== 'function') {
+        warnShaderChain('Shader loading is not available on this page');
+        return false;
+    }
+    
+    try {
+        const shaderInfo = await window.loadSingleShader(shaderName);
+        const system = window.shaderSystem;
+        
+        if (!system || !system.createPass) {
+            // No chain yet: build one around this shader
+            window.shaderCodes = [shaderInfo];
+            window.shaderReady = true;
+            if (typeof window.initShaderSystem !== 'function') return false;
+            window.initShaderSystem();
+            return true;
+        }
+        
+        const pass = await system.createPass(shaderInfo);
+        
+        // Another insert (or a new chain) may have won the race meanwhile
+        if (window.shaderSystem !== system || findShaderPass(pass.name)) {
+            if (system.destroyPass) system.destroyPass(pass);
+            return false;
+        }
+        const passes = shaderChainPasses();
+        passes.splice(chainIndex(index, passes.length + 1), 0, pass);
+        shaderChainEdited(true);
+        return !pass.error;
+    } catch (error) {
+        warnShaderChain(`Could not insert "${shaderName}": ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Insert/move position: clamped into 0..length-1, negative from the end
+ */
+function chainIndex(index, length) {
+    let i = Math.trunc(Number(index));
+    if (!Number.isFinite(i)) i = length - 1;
+    if (i < 0) i += length;
+    return Math.min(Math.max(i, 0), Math.max(length - 1, 0));
+}
+
+/**
+ * Redraw after a chain edit; structural edits also notify listeners
+ */
+function shaderChainEdited(structural) {
+    const system = window.shaderSystem;
+    if (system && system.onTerminalRenderComplete) system.onTerminalRenderComplete(false);
+    if (structural) shaderChainChanged();
+}
+
+/**
+ * Set a uniform on a pass. The value is checked against the uniform's
+ * schema (wrong shape is refused, numbers are clamped/snapped). Returns
+ * the value actually stored, or undefined if nothing was set.
+ */
+function setShaderUniform(shaderName, uniformName, value) {
+    const pass = findShaderPass(shaderName);
+    if (!pass) {
+        warnShaderChain(`No shader "${shaderName}" in the active chain`);
+        return undefined;
+    }
+    const uniform = pass.schema && pass.schema[uniformName];
+    if (!uniform) {
+        warnShaderChain(`Shader "${shaderName}" has no uniform "${uniformName}"`);
+        return undefined;
+    }
+    
+    let fitted;
+    try {
+        fitted = TStorieShaderPackage.coerceValue(uniform, value);
+    } catch (error) {
+        warnShaderChain(`${shaderName}.${uniformName}: ${error.message}`);
+        return undefined;
+    }
+    
+    pass.uniforms[uniformName] = fitted;
+    return fitted;
+}
+
+function getShaderUniform(shaderName, uniformName) {
+    const pass = findShaderPass(shaderName);
+    if (!pass || !(uniformName in pass.uniforms)) return undefined;
+    return pass.uniforms[uniformName];
+}
+
+/**
+ * Uniform metadata for one pass, in declaration order - enough to build
+ * a control panel: { name, type, label, value, default, min, max, step,
+ * options, description }. Null if the shader isn't in the chain.
+ */
+function listShaderUniforms(shaderName) {
+    const pass = findShaderPass(shaderName);
+    if (!pass) return null;
+    
+    const schema = pass.schema || {};
+    return Object.keys(schema).map(name => ({
+        name,
+        ...schema[name],
+        value: pass.uniforms[name]
+    }));
+}
+
+// Values from `shaderUniforms:` front matter: [{ shader, uniform, value }]
+let shaderUniformOverrides = [];
+
+// Uniform tables the overrides were already applied to. Passes share
+// their table with the cached shader config, so a rebuilt chain (device
+// loss, backend switch) keeps values tuned since.
+let overriddenUniforms = new WeakSet();
+
+/**
+ * Parse "crt.curveStrength=0.9; crt.tint=1,0.9,0.8; crt.glowColor=#66ccff"
+ */
+function parseShaderUniformOverrides(text) {
+    const overrides = [];
+    for (const entry of String(text || '').split(';')) {
+        const match = /^\s*([\w-]+)\.(\w+)\s*=\s*(.*?)\s*$/.exec(entry);
+        if (!match) {
+            if (entry.trim()) warnShaderChain(`Ignoring shaderUniforms entry "${entry.trim()}"`);
+            continue;
+        }
+        overrides.push({ shader: match[1], uniform: match[2], value: parseShaderValueText(match[3]) });
+    }
+    return overrides;
+}
+
+/**
+ * Inverse of shaderValueText: "0.5" -> 0.5, "1,0,0" -> [1, 0, 0];
+ * true/false, "theme" and "#rrggbb" pass through for coerceValue
+ */
+function parseShaderValueText(text) {
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (text.includes(',')) return text.split(',').map(part => Number(part));
+    const number = Number(text);
+    return text !== '' && !Number.isNaN(number) ? number : text;
+}
+
+/**
+ * Replace the front matter overrides and apply them to the current chain
+ */
+function setShaderUniformOverrides(text) {
+    shaderUniformOverrides = parseShaderUniformOverrides(text);
+    overriddenUniforms = new WeakSet();
+    applyShaderUniformOverrides();
+}
+
+function applyShaderUniformOverrides() {
+    for (const pass of shaderChainPasses()) {
+        if (overriddenUniforms.has(pass.uniforms)) continue;
+        overriddenUniforms.add(pass.uniforms);
+        
+        // Overrides for shaders outside this chain (e.g. ?shaders= replaced it) are skipped
+        for (const { shader, uniform, value } of shaderUniformOverrides) {
+            if (shader === pass.name) setShaderUniform(shader, uniform, value);
+        }
+    }
+}
+
+// ```shader blocks of the current document, by name
+let documentShaders = new Map();
+
+/**
+ * Replace the document's shader blocks: JSON [{ name, language, code,
+ * line }] where line is the document line the block's code starts on
+ */
+function setDocumentShaders(text) {
+    documentShaders = new Map();
+    let blocks = [];
+    try {
+        blocks = JSON.parse(text || '[]');
+    } catch (error) {
+        warnShaderChain(`Ignoring document shaders: ${error.message}`);
+    }
+    for (const block of blocks) {
+        if (!/^[A-Za-z][A-Za-z0-9_-]{0,63}$/.test(block.name || '')) {
+            warnShaderChain(`Ignoring shader block with invalid name "${block.name}"`);
+            continue;
+        }
+        if (block.language && block.language !== 'glsl' && block.language !== 'wgsl') {
+            warnShaderChain(`Shader block "${block.name}": unknown lang "${block.language}" (glsl or wgsl)`);
+            continue;
+        }
+        if (documentShaders.has(block.name)) {
+            warnShaderChain(`Shader block "${block.name}" is defined twice; using the first one`);
+            continue;
+        }
+        documentShaders.set(block.name, block);
+    }
+}
+
+/**
+ * Shader entry (as loadSingleShader resolves it) for a block of the
+ * current document, or null. A new entry each time, like a fetched file,
+ * so its uniform values start from the block's defaults.
+ */
+function documentShaderInfo(shaderName) {
+    const block = documentShaders.get(shaderName);
+    if (!block) return null;
+    const code = String(block.code || '');
+    const language = block.language || TStorieShaderPackage.detectLanguage(code);
+    return {
+        name: block.name,
+        content: code,
+        format: 'inline',            // tstorie-shader-package.js fromInline
+        language: language,
+        source: 'document',
+        filename: 'document',
+        line: block.line || 1,       // diagnostics map errors to document lines
+        backend: language === 'wgsl' ? 'webgpu' : 'webgl',
+        fallback: false
+    };
+}
+
+/**
+ * Called by both shader systems once a chain is built (or rebuilt):
+ * applies front matter values and tells listeners (the tweak panel)
+ */
+function shaderChainChanged() {
+    applyShaderUniformOverrides();
+    window.dispatchEvent(new CustomEvent('tstorie-shader-chain', {
+        detail: { passes: shaderChainPasses() }
+    }));
+}
+
+/**
+ * Front matter reproducing the active chain and every uniform that
+ * differs from its default:
+ *   shaders: crt+bloom
+ *   shaderUniforms: crt.curveStrength=0.9; bloom.intensity=0.4
+ */
+function shaderChainFrontMatter() {
+    // Bypassed passes are left out, as they are on screen
+    const passes = shaderChainPasses().filter(shaderPassActive);
+    const entries = [];
+    for (const pass of passes) {
+        for (const u of listShaderUniforms(pass.name)) {
+            if (shaderValueText(u.value) === shaderValueText(u.default)) continue;
+            const value = Array.isArray(u.value) ? u.value.map(roundShaderValue) : roundShaderValue(u.value);
+            const text = u.type === 'color' && Array.isArray(value) ? shaderColorHex(value) : shaderValueText(value);
+            entries.push(`${pass.name}.${u.name}=${text}`);
+        }
+    }
+    
+    const lines = [];
+    if (passes.length > 0) lines.push('shaders: ' + passes.map(p => p.name).join('+'));
+    if (entries.length > 0) lines.push('shaderUniforms: ' + entries.join('; '));
+    return lines.join('\n');
+}
+
+function roundShaderValue(value) {
+    return typeof value === 'number' ? parseFloat(value.toFixed(4)) : value;
+}
+
+/**
+ * [r, g, b] in 0-1 -> "#rrggbb"
+ */
+function shaderColorHex(rgb) {
+    return '#' + rgb.map(c => Math.round(Math.min(1, Math.max(0, c)) * 255)
+        .toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Value text for the Nim bridge: 0.5, true, 1,0.5,0 or theme
+ */
+function shaderValueText(value) {
+    if (value === undefined || value === null) return '';
+    return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+// Nim bridge (runtime_api.nim): arguments arrive as JavaScript literals,
+// results go back as text
+
+function bridgeSetShaderUniform(shaderName, uniformName, value) {
+    return shaderValueText(setShaderUniform(shaderName, uniformName, value));
+}
+
+function bridgeGetShaderUniform(shaderName, uniformName) {
+    return shaderValueText(getShaderUniform(shaderName, uniformName));
+}
+
+/**
+ * One line per pass: name, enabled (true/false), mix
+ */
+function bridgeGetShaderChain() {
+    return getShaderChain().map(p => `${p.name}\t${p.enabled}\t${p.mix}`).join('\n');
+}
+
+function bridgeSetShaderEnabled(shaderName, enabled) {
+    return String(setShaderEnabled(shaderName, enabled));
+}
+
+function bridgeSetShaderMix(shaderName, mix) {
+    return shaderValueText(setShaderMix(shaderName, mix));
+}
+
+function bridgeMoveShader(shaderName, index) {
+    return String(moveShader(shaderName, index));
+}
+
+function bridgeRemoveShader(shaderName) {
+    return String(removeShader(shaderName));
+}
+
+/**
+ * Starts loading; the pass appears once compiled (see shaderChain())
+ */
+function bridgeInsertShader(shaderName, index) {
+    if (findShaderPass(shaderName)) return 'false';
+    insertShader(shaderName, index);
+    return 'true';
+}
+
+/**
+ * One line per uniform, tab-separated: name, type, label, value, default,
+ * min, max, step, option values, description
+ */
+function bridgeListShaderUniforms(shaderName) {
+    const uniforms = listShaderUniforms(shaderName);
+    if (!uniforms) return '';
+    
+    const clean = (text) => String(text === undefined ? '' : text).replace(/[\t\n\r]/g, ' ');
+    return uniforms.map(u => [
+        u.name,
+        u.type,
+        clean(u.label),
+        shaderValueText(u.value),
+        shaderValueText(u.default),
+        shaderValueText(u.min),
+        shaderValueText(u.max),
+        shaderValueText(u.step),
+        u.options ? u.options.map(o => o.value).join(',') : '',
+        clean(u.description)
+    ].join('\t')).join('\n');
+}
+
+// Export for use in TStorie
+if (typeof window !== 'undefined') {
+    window.shaderChainPasses = shaderChainPasses;
+    window.findShaderPass = findShaderPass;
+    window.shaderPassActive = shaderPassActive;
+    window.shaderPassUsesFeedback = shaderPassUsesFeedback;
+    window.loadShaderAsset = loadShaderAsset;
+    window.getShaderChain = getShaderChain;
+    window.setShaderEnabled = setShaderEnabled;
+    window.setShaderMix = setShaderMix;
+    window.moveShader = moveShader;
+    window.removeShader = removeShader;
+    window.insertShader = insertShader;
+    window.setShaderUniform = setShaderUniform;
+    window.getShaderUniform = getShaderUniform;
+    window.listShaderUniforms = listShaderUniforms;
+    window.setShaderUniformOverrides = setShaderUniformOverrides;
+    window.setDocumentShaders = setDocumentShaders;
+    window.documentShaderInfo = documentShaderInfo;
+    window.shaderChainChanged = shaderChainChanged;
+    window.shaderChainFrontMatter = shaderChainFrontMatter;
+    window.shaderColorHex = shaderColorHex;
+    
+    window.tStorie_setShaderUniform = bridgeSetShaderUniform;
+    window.tStorie_getShaderUniform = bridgeGetShaderUniform;
+    window.tStorie_listShaderUniforms = bridgeListShaderUniforms;
+    window.tStorie_getShaderChain = bridgeGetShaderChain;
+    window.tStorie_setShaderEnabled = bridgeSetShaderEnabled;
+    window.tStorie_setShaderMix = bridgeSetShaderMix;
+    window.tStorie_moveShader = bridgeMoveShader;
+    window.tStorie_removeShader = bridgeRemoveShader;
+    window.tStorie_insertShader = bridgeInsertShader;
+}
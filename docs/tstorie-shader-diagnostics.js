@@ -0,0 +1,330 @@
+// TStorie Shader Diagnostics
+// Compile errors of chain passes, mapped back to the user's source, and the
+// in-page overlay that shows them.
+//
+// A pass that fails to load or compile stays in the chain, bypassed, with
+// `pass.error` set to a diagnostic:
+//   { shader, file, summary,
+//     messages: [{ stage, line, column, message, severity,
+//                  location: "crt.js:42", excerpt: [{ line, text, marked }] }] }
+// where `line` counts in the shader source the GPU saw and the location
+// and excerpt point into the file it came from (tstorie-shader-package.js
+// records where each source starts: `config.sourceLines`). A shader entry
+// embedded in a larger file gives that file as `filename` and the line its
+// content starts on as `line`.
+//
+// Stages: "vertex", "fragment" (GLSL sources, or the WGSL vertexShader /
+// fragmentShader strings), "link", and "package" for manifests that don't
+// parse.
+
+const TSTORIE_SHADER_STAGES = { vertex: 'vertexShader', fragment: 'fragmentShader' };
+
+// Source lines shown around an error
+const TSTORIE_SHADER_EXCERPT_CONTEXT = 1;
+
+/**
+ * Thrown by the backends' compile steps: the stage and the messages
+ * parsed from the driver's log (or WGSL compilation info)
+ */
+class TStorieShaderCompileError extends Error {
+    constructor(name, stage, messages) {
+        const first = messages.find(m => m.severity === 'error') || messages[0];
+        super(`Shader "${name}" ${stage} compile failed` + (first ? ': ' + first.message : ''));
+        this.name = 'TStorieShaderCompileError';
+        this.shaderName = name;
+        this.stage = stage;
+        this.messages = messages;
+    }
+}
+
+class TStorieShaderDiagnostics {
+    /**
+     * Messages from a WebGL info log. Drivers write either
+     * "ERROR: 0:12: 'foo' : undeclared identifier" (ANGLE, Mesa) or
+     * "0(12) : error C1008: undefined variable" (NVIDIA).
+     */
+    static parseGLSLLog(log, stage) {
+        const messages = [];
+        for (const raw of String(log || '').split('\n')) {
+            const text = raw.trim().replace(/\0/g, '');
+            if (!text) continue;
+            
+            let match = /^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i.exec(text);
+            if (match) {
+                messages.push({ stage, line: Number(match[2]), column: null, message: match[3], severity: match[1].toLowerCase() });
+                continue;
+            }
+            match = /^\d+\((\d+)\)\s*:\s*(error|warning)\s*[\w]*\s*:\s*(.*)$/i.exec(text);
+            if (match) {
+                messages.push({ stage, line: Number(match[1]), column: null, message: match[3], severity: match[2].toLowerCase() });
+                continue;
+            }
+            // "ERROR: 2 compilation errors.  No code generated."
+            if (/compilation errors?\./i.test(text)) continue;
+            messages.push({ stage, line: null, column: null, message: text.replace(/^(ERROR|WARNING):\s*/i, ''), severity: 'error' });
+        }
+        return messages;
+    }
+    
+    /**
+     * Messages from WGSL getCompilationInfo(). The module is compiled as
+     * vertexShader + '\n' + fragmentShader, so module lines past the
+     * vertex source belong to the fragment source.
+     */
+    static fromWGSLMessages(compilationMessages, config) {
+        const vertexLines = String(config.vertexShader || '').split('\n').length;
+        return Array.from(compilationMessages, m => {
+            const moduleLine = m.lineNum > 0 ? m.lineNum : null;
+            const fragment = moduleLine !== null && moduleLine > vertexLines;
+            return {
+                stage: fragment ? 'fragment' : 'vertex',
+                line: moduleLine === null ? null : fragment ? moduleLine - vertexLines : moduleLine,
+                column: m.linePos > 0 ? m.linePos : null,
+                message: m.message,
+                severity: m.type === 'info' ? 'info' : m.type === 'warning' ? 'warning' : 'error'
+            };
+        });
+    }
+    
+    /**
+     * The diagnostic for a pass that failed with `error` (a
+     * TStorieShaderCompileError, a TStorieShaderPackageError, or anything
+     * else the backend threw)
+     */
+    static describe(shaderInfo, error) {
+        const name = shaderInfo.name;
+        const file = shaderInfo.filename || name;
+        let messages;
+        if (error && error.name === 'TStorieShaderCompileError') {
+            messages = error.messages.length > 0 ? error.messages :
+                [{ stage: error.stage, line: null, column: null, message: 'no details from the driver', severity: 'error' }];
+        } else {
+            // Package errors name a line of the file itself
+            const text = error && error.message ? error.message : String(error);
+            const line = /\(line (\d+):/.exec(text);
+            messages = [{
+                stage: error && error.name === 'TStorieShaderPackageError' ? 'package' : 'setup',
+                line: line ? Number(line[1]) : null,
+                column: null,
+                message: text.replace(/^Shader "[^"]*":?\s*/, ''),
+                severity: 'error',
+                inFile: true
+            }];
+        }
+        
+        const config = shaderInfo.config || null;
+        const diagnostic = {
+            shader: name,
+            file,
+            messages: messages.map(m => TStorieShaderDiagnostics.locate(shaderInfo, config, m))
+        };
+        const first = diagnostic.messages.find(m => m.severity === 'error') || diagnostic.messages[0];
+        diagnostic.summary = `${first.location}: ${first.message}`;
+        return diagnostic;
+    }
+    
+    /**
+     * Add the file location and a source excerpt to a message
+     */
+    static locate(shaderInfo, config, message) {
+        const file = shaderInfo.filename || shaderInfo.name;
+        const fileStart = shaderInfo.line || 1;
+        const result = { ...message };
+        delete result.inFile;
+        
+        // Line in the file of line 1 of the failing source (null: not mappable, e.g. JSON strings)
+        let sourceStart = null;
+        let source = null;
+        if (message.inFile) {
+            sourceStart = 1;
+            source = String(shaderInfo.content || '');
+        } else if (config && TSTORIE_SHADER_STAGES[message.stage]) {
+            const key = TSTORIE_SHADER_STAGES[message.stage];
+            source = config[key];
+            const start = config.sourceLines ? config.sourceLines[key] : null;
+            sourceStart = start === null || start === undefined ? null : start;
+        }
+        
+        if (message.line === null) {
+            result.location = file;
+        } else if (sourceStart === null) {
+            result.location = `${file} (${message.stage} source line ${message.line})`;
+        } else {
+            result.location = `${file}:${fileStart - 1 + sourceStart - 1 + message.line}`;
+        }
+        if (result.column !== null && message.line !== null && sourceStart !== null) {
+            result.location += ':' + result.column;
+        }
+        
+        result.excerpt = [];
+        if (source && message.line !== null) {
+            const lines = source.split('\n');
+            // A source ending in a newline has no line after it
+            if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+            const from = Math.max(1, message.line - TSTORIE_SHADER_EXCERPT_CONTEXT);
+            const to = Math.min(lines.length, message.line + TSTORIE_SHADER_EXCERPT_CONTEXT);
+            for (let i = from; i <= to; i++) {
+                result.excerpt.push({
+                    line: sourceStart === null ? i : fileStart - 1 + sourceStart - 1 + i,
+                    text: lines[i - 1].replace(/\s+$/, ''),
+                    marked: i === message.line
+                });
+            }
+        }
+        return result;
+    }
+    
+    /**
+     * Plain-text report (console, clipboard)
+     */
+    static format(diagnostic) {
+        const lines = [`Shader "${diagnostic.shader}" failed:`];
+        for (const m of diagnostic.messages) {
+            lines.push(`  ${m.location}: ${m.severity} (${m.stage}): ${m.message}`);
+            const width = String(Math.max(0, ...m.excerpt.map(e => e.line))).length;
+            for (const e of m.excerpt) {
+                lines.push(`    ${e.marked ? '>' : ' '} ${String(e.line).padStart(width)} | ${e.text}`);
+            }
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Record why a pass failed; from then on shaderPassActive() skips it
+ */
+function markShaderPassFailed(pass, error) {
+    pass.error = TStorieShaderDiagnostics.describe(pass.shaderInfo, error);
+    console.error('[Shader] ' + TStorieShaderDiagnostics.format(pass.error));
+    return pass;
+}
+
+/**
+ * Stand-in pass for a shader that failed to load or compile: no GPU
+ * resources, never drawn, but listed in the chain so scripts and the
+ * overlay can see what happened
+ */
+function failedShaderPass(shaderInfo, error) {
+    const config = shaderInfo.config || {};
+    return markShaderPassFailed({
+        name: shaderInfo.name,
+        shaderInfo: shaderInfo,
+        programs: {},
+        uniforms: config.uniforms || {},
+        schema: config.schema || {},
+        inputs: {},
+        history: null,
+        enabled: true,
+        mix: 1,
+        error: null
+    }, error);
+}
+
+/**
+ * Overlay listing the failed passes of the active chain. It follows the
+ * chain (tstorie-shader-chain event) and opens again when a new failure
+ * shows up after it was closed.
+ */
+class TStorieShaderErrorOverlay {
+    constructor() {
+        this.element = document.createElement('div');
+        this.element.id = 'shader-error-overlay';
+        this.element.setAttribute('role', 'alert');
+        
+        const title = document.createElement('h2');
+        title.textContent = '⚠ Shader Errors';
+        this.element.appendChild(title);
+        
+        this.body = document.createElement('div');
+        this.element.appendChild(this.body);
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'settings-buttons';
+        const copy = document.createElement('button');
+        copy.textContent = 'Copy';
+        copy.addEventListener('click', () => this.copy());
+        const close = document.createElement('button');
+        close.textContent = 'Close';
+        close.className = 'primary';
+        close.addEventListener('click', () => this.hide());
+        buttons.appendChild(copy);
+        buttons.appendChild(close);
+        this.element.appendChild(buttons);
+        
+        document.body.appendChild(this.element);
+        
+        // Errors already shown once (by shader and summary, so rebuilding
+        // the chain doesn't reopen it): closing hides them until a new one
+        this.seen = new Set();
+        this.diagnostics = [];
+        
+        window.addEventListener('tstorie-shader-chain', () => this.update());
+    }
+    
+    update() {
+        this.diagnostics = shaderChainPasses().filter(pass => pass.error).map(pass => pass.error);
+        if (this.diagnostics.length === 0) {
+            this.hide();
+            return;
+        }
+        
+        const keys = this.diagnostics.map(d => d.shader + '\n' + d.summary);
+        const fresh = keys.some(key => !this.seen.has(key));
+        keys.forEach(key => this.seen.add(key));
+        this.build();
+        if (fresh) this.element.classList.add('visible');
+    }
+    
+    build() {
+        this.body.textContent = '';
+        for (const diagnostic of this.diagnostics) {
+            const section = document.createElement('section');
+            const heading = document.createElement('h3');
+            heading.textContent = `${diagnostic.shader} - bypassed`;
+            section.appendChild(heading);
+            
+            for (const m of diagnostic.messages) {
+                const message = document.createElement('div');
+                message.className = 'shader-error-message shader-error-' + m.severity;
+                message.textContent = `${m.location} [${m.stage}] ${m.message}`;
+                section.appendChild(message);
+                
+                if (m.excerpt.length > 0) {
+                    const pre = document.createElement('pre');
+                    const width = String(Math.max(...m.excerpt.map(e => e.line))).length;
+                    for (const e of m.excerpt) {
+                        const row = document.createElement('span');
+                        if (e.marked) row.className = 'marked';
+                        row.textContent = `${String(e.line).padStart(width)} | ${e.text}\n`;
+                        pre.appendChild(row);
+                    }
+                    section.appendChild(pre);
+                }
+            }
+            this.body.appendChild(section);
+        }
+    }
+    
+    copy() {
+        const text = this.diagnostics.map(d => TStorieShaderDiagnostics.format(d)).join('\n\n');
+        if (navigator.clipboard) navigator.clipboard.writeText(text).catch(() => {});
+    }
+    
+    hide() {
+        this.element.classList.remove('visible');
+    }
+}
+
+// Export for use in TStorie
+if (typeof window !== 'undefined') {
+    window.TStorieShaderCompileError = TStorieShaderCompileError;
+    window.TStorieShaderDiagnostics = TStorieShaderDiagnostics;
+    window.TStorieShaderErrorOverlay = TStorieShaderErrorOverlay;
+    window.failedShaderPass = failedShaderPass;
+    window.markShaderPassFailed = markShaderPassFailed;
+}
+
+// Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TStorieShaderCompileError, TStorieShaderDiagnostics, failedShaderPass, markShaderPassFailed };
+}
@@ -0,0 +1,919 @@
+// TStorie Shader Packages
+// Data-only shader format. Parsing a package never executes code, so
+// shaders from gists can't run script with the page's privileges.
+//
+// Accepted inputs:
+//   JSON package     {"format": "tstorie-shader", "version": 1, ...}
+//   Fenced package   ```json manifest + ```glsl vertex/fragment or ```wgsl
+//   Legacy script    docs/shaders/*.js `function getShaderConfig() { return {...} }`
+//                    read as a literal (trusted local files only)
+//   Inline block     body of a ```shader block in a document (format: 'inline'):
+//                    `--- uniforms` / `--- vertex` / `--- fragment` sections
+//
+// Every input becomes the same config:
+//   { name, language, vertexShader, fragmentShader,
+//     uniforms: { name: default },            // what the chain builders bind
+//     schema: { name: { type, default, min, max, step, label,
+//                       description, options } },
+//     inputs: { samplerName: { kind, source, filter, wrap } },
+//     coordinateTransform,
+//     sourceLines: { vertexShader, fragmentShader } }  // line in the text where
+//                                                      // each source starts (null
+//                                                      // for JSON strings)
+//
+// tools/shader_package.js converts legacy files into JSON packages.
+
+// GLSL vertex shader for inline blocks that only give a fragment shader:
+// full-screen quad, vUv flipped to read the terminal canvas
+const TSTORIE_DEFAULT_VERTEX_SHADER = `attribute vec2 position;
+varying vec2 vUv;
+
+void main() {
+    vUv = position * 0.5 + 0.5;
+    vUv.y = 1.0 - vUv.y;
+    gl_Position = vec4(position, 0.0, 1.0);
+}
+`;
+
+// Section marker in an inline block: `--- fragment`
+const TSTORIE_INLINE_SECTION = /^---[ \t]*(uniforms|vertex|fragment)[ \t]*$/i;
+
+const TSTORIE_SHADER_FORMAT = 'tstorie-shader';
+const TSTORIE_SHADER_VERSION = 1;
+const TSTORIE_UNIFORM_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// Extra sampler inputs: "feedback" (the pass's own output last frame),
+// "terminal" (the raw terminal) or an image under docs/assets
+const TSTORIE_SHADER_MAX_INPUTS = 4;
+const TSTORIE_SHADER_ASSET = /^assets\/(?:[A-Za-z0-9_-]+\/)*[A-Za-z0-9_.-]+\.(?:png|jpe?g|webp|gif)$/i;
+
+// Uniform types: components, integer upload, implicit bounds
+const TSTORIE_UNIFORM_TYPES = {
+    f32:   { size: 1 },
+    int:   { size: 1, integer: true, step: 1 },
+    bool:  { size: 1, integer: true },
+    vec2:  { size: 2 },
+    vec3:  { size: 3 },
+    vec4:  { size: 4 },
+    color: { size: 3, min: 0, max: 1 }   // RGB 0-1
+};
+
+// Spellings borrowed from GLSL/WGSL
+const TSTORIE_UNIFORM_TYPE_ALIASES = {
+    float: 'f32',
+    i32: 'int',
+    u32: 'int',
+    vec2f: 'vec2',
+    vec3f: 'vec3',
+    vec4f: 'vec4',
+    rgb: 'color'
+};
+
+class TStorieShaderPackageError extends Error {
+    constructor(name, message) {
+        super(`Shader "${name}": ${message}`);
+        this.name = 'TStorieShaderPackageError';
+        this.shaderName = name;
+    }
+}
+
+class TStorieShaderPackage {
+    /**
+     * Parse shader file text into a config.
+     * Legacy getShaderConfig() scripts are only accepted when trusted
+     * (shipped with the page); everything else must be a package.
+     * `format: 'inline'` reads the body of a document's ```shader block
+     * (`language` from its header, detected when missing).
+     */
+    static parse(text, { name = 'shader', trusted = false, format = null, language = null } = {}) {
+        const source = String(text || '');
+        const trimmed = source.trim();
+        
+        if (format === 'inline') {
+            return TStorieShaderPackage.fromInline(source, name, language);
+        }
+        
+        if (trimmed.startsWith('{')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw new TStorieShaderPackageError(name, `invalid JSON (${error.message})`);
+            }
+            if (data.format !== TSTORIE_SHADER_FORMAT) {
+                throw new TStorieShaderPackageError(name, `"format" must be "${TSTORIE_SHADER_FORMAT}"`);
+            }
+            return TStorieShaderPackage.fromData(data, name);
+        }
+        
+        if (/^(```|~~~)/m.test(source)) {
+            return TStorieShaderPackage.fromFenced(source, name);
+        }
+        
+        if (!trusted) {
+            throw new TStorieShaderPackageError(name,
+                'only tstorie-shader packages (JSON or fenced) can be loaded from outside this site');
+        }
+        return TStorieShaderPackage.fromLegacy(source, name);
+    }
+    
+    /**
+     * Config for a loaded shader entry ({name, content, source}).
+     * Gist shaders are untrusted. The result is cached on the entry so
+     * rebuilding the chain (context loss) doesn't parse again.
+     */
+    static load(shaderInfo) {
+        if (!shaderInfo.config) {
+            shaderInfo.config = TStorieShaderPackage.parse(shaderInfo.content, {
+                name: shaderInfo.name,
+                trusted: shaderInfo.source !== 'gist',
+                format: shaderInfo.format || null,
+                language: shaderInfo.language || null
+            });
+        }
+        return shaderInfo.config;
+    }
+    
+    /**
+     * Pick the package file out of a gist's files. Returns null when there
+     * is none; a gist with only .js files is rejected rather than run.
+     */
+    static pickGistFile(files, name) {
+        const names = Object.keys(files || {});
+        const find = (suffix) => names.find(f => f.toLowerCase().endsWith(suffix));
+        const filename = find('.shader.json') || find('.shader.md') || find('.shader') || find('.json');
+        if (filename) return files[filename];
+        
+        if (find('.js')) {
+            throw new TStorieShaderPackageError(name,
+                'gist shaders must be tstorie-shader packages (.shader.json), not .js - ' +
+                'convert with tools/shader_package.js');
+        }
+        return null;
+    }
+    
+    /**
+     * Validate a package object (JSON package or fenced manifest).
+     * `sourceLines` comes from the text formats, which know where the
+     * sources sit in the file.
+     */
+    static fromData(data, name, sourceLines = null) {
+        if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+            throw new TStorieShaderPackageError(name, 'package must be an object');
+        }
+        if (data.version !== undefined &&
+            !(Number.isInteger(data.version) && data.version >= 1 && data.version <= TSTORIE_SHADER_VERSION)) {
+            throw new TStorieShaderPackageError(name, `unsupported package version ${data.version}`);
+        }
+        
+        const shaderName = typeof data.name === 'string' && data.name ? data.name : name;
+        const vertexShader = data.vertexShader === undefined ? '' : data.vertexShader;
+        const fragmentShader = data.fragmentShader === undefined ? '' : data.fragmentShader;
+        if (typeof vertexShader !== 'string' || typeof fragmentShader !== 'string') {
+            throw new TStorieShaderPackageError(shaderName, 'vertexShader and fragmentShader must be strings');
+        }
+        if (!vertexShader.trim() && !fragmentShader.trim()) {
+            throw new TStorieShaderPackageError(shaderName, 'no shader source');
+        }
+        
+        const language = data.language || TStorieShaderPackage.detectLanguage(vertexShader + fragmentShader);
+        if (language !== 'glsl' && language !== 'wgsl') {
+            throw new TStorieShaderPackageError(shaderName, `unknown language "${language}"`);
+        }
+        
+        if (data.coordinateTransform !== undefined && data.coordinateTransform !== null &&
+            typeof data.coordinateTransform !== 'string') {
+            throw new TStorieShaderPackageError(shaderName, 'coordinateTransform must be a string');
+        }
+        
+        const schema = TStorieShaderPackage.parseUniforms(data.uniforms || {}, shaderName);
+        const uniforms = {};
+        for (const key in schema) {
+            uniforms[key] = schema[key].default;
+        }
+        const inputs = TStorieShaderPackage.parseInputs(data.inputs || {}, shaderName, schema);
+        
+        return {
+            name: shaderName,
+            description: typeof data.description === 'string' ? data.description : '',
+            language,
+            vertexShader,
+            fragmentShader,
+            uniforms,
+            schema,
+            inputs,
+            coordinateTransform: data.coordinateTransform || null,
+            sourceLines: {
+                vertexShader: sourceLines && sourceLines.vertexShader || null,
+                fragmentShader: sourceLines && sourceLines.fragmentShader || null
+            }
+        };
+    }
+    
+    /**
+     * Extra sampler inputs, bound next to contentTexture: each entry is a
+     * source ("feedback", "terminal", "assets/paper.png") or
+     * { source, filter: "linear"|"nearest", wrap: "clamp"|"repeat" }
+     * (filter and wrap only change how images are sampled)
+     */
+    static parseInputs(manifest, shaderName, schema) {
+        if (typeof manifest !== 'object' || Array.isArray(manifest)) {
+            throw new TStorieShaderPackageError(shaderName, 'inputs must be an object');
+        }
+        
+        const keys = Object.keys(manifest);
+        if (keys.length > TSTORIE_SHADER_MAX_INPUTS) {
+            throw new TStorieShaderPackageError(shaderName, `at most ${TSTORIE_SHADER_MAX_INPUTS} inputs`);
+        }
+        
+        const inputs = {};
+        for (const key of keys) {
+            if (!TSTORIE_UNIFORM_NAME.test(key) || key === 'contentTexture' || schema[key]) {
+                throw new TStorieShaderPackageError(shaderName, `invalid input name "${key}"`);
+            }
+            try {
+                inputs[key] = TStorieShaderPackage.parseInput(manifest[key]);
+            } catch (error) {
+                throw new TStorieShaderPackageError(shaderName, `input "${key}": ${error.message}`);
+            }
+        }
+        return inputs;
+    }
+    
+    static parseInput(entry) {
+        if (typeof entry === 'string') {
+            entry = { source: entry };
+        }
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error('expected a source or { source, filter, wrap }');
+        }
+        
+        const source = entry.source;
+        let kind;
+        if (source === 'feedback' || source === 'terminal') {
+            kind = source;
+        } else if (typeof source === 'string' && TSTORIE_SHADER_ASSET.test(source) && !source.includes('..')) {
+            kind = 'asset';
+        } else {
+            throw new Error('source must be "feedback", "terminal" or an image under assets/');
+        }
+        
+        const filter = entry.filter === undefined ? 'linear' : entry.filter;
+        if (filter !== 'linear' && filter !== 'nearest') {
+            throw new Error('filter must be "linear" or "nearest"');
+        }
+        const wrap = entry.wrap === undefined ? 'clamp' : entry.wrap;
+        if (wrap !== 'clamp' && wrap !== 'repeat') {
+            throw new Error('wrap must be "clamp" or "repeat"');
+        }
+        
+        return { kind, source, filter, wrap };
+    }
+    
+    /**
+     * Uniform manifest: each entry is a bare default (number, bool, number
+     * array, "#rrggbb", or "theme" for the active theme background) or
+     * { type, default, min, max, step, label, description, options }
+     */
+    static parseUniforms(manifest, shaderName) {
+        if (typeof manifest !== 'object' || Array.isArray(manifest)) {
+            throw new TStorieShaderPackageError(shaderName, 'uniforms must be an object');
+        }
+        
+        const schema = {};
+        for (const key of Object.keys(manifest)) {
+            if (!TSTORIE_UNIFORM_NAME.test(key)) {
+                throw new TStorieShaderPackageError(shaderName, `invalid uniform name "${key}"`);
+            }
+            try {
+                schema[key] = TStorieShaderPackage.parseUniform(key, manifest[key]);
+            } catch (error) {
+                throw new TStorieShaderPackageError(shaderName, `uniform "${key}": ${error.message}`);
+            }
+        }
+        return schema;
+    }
+    
+    static parseUniform(key, entry) {
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+            entry = { default: entry };
+        }
+        
+        const declared = entry.type === undefined ? null :
+            TSTORIE_UNIFORM_TYPE_ALIASES[entry.type] || entry.type;
+        const type = declared || TStorieShaderPackage.inferType(entry.default, key);
+        const info = TSTORIE_UNIFORM_TYPES[type];
+        if (!info) {
+            throw new Error(declared
+                ? `unknown type "${entry.type}" (${Object.keys(TSTORIE_UNIFORM_TYPES).join(', ')})`
+                : 'needs a number, bool, number array or color default');
+        }
+        
+        const uniform = { type };
+        for (const field of ['min', 'max', 'step']) {
+            const value = entry[field] !== undefined ? entry[field] : info[field];
+            if (value === undefined) continue;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`${field} must be a number`);
+            }
+            uniform[field] = value;
+        }
+        if (uniform.min !== undefined && uniform.max !== undefined && uniform.min > uniform.max) {
+            throw new Error('min is greater than max');
+        }
+        if (uniform.step !== undefined && uniform.step <= 0) {
+            throw new Error('step must be positive');
+        }
+        
+        if (entry.options !== undefined) {
+            if (info.size !== 1 || type === 'bool') {
+                throw new Error('options only apply to f32 and int uniforms');
+            }
+            uniform.options = TStorieShaderPackage.parseOptions(entry.options);
+        }
+        
+        uniform.label = typeof entry.label === 'string' && entry.label ? entry.label : TStorieShaderPackage.labelFor(key);
+        if (typeof entry.description === 'string' && entry.description) {
+            uniform.description = entry.description;
+        }
+        
+        // Legacy comment ranges don't always cover the shipped default;
+        // widen the range rather than change how the shader looks
+        const value = entry.default;
+        if (typeof value === 'number' && info.size === 1 && type !== 'bool' && !uniform.options) {
+            if (uniform.min !== undefined && value < uniform.min) uniform.min = value;
+            if (uniform.max !== undefined && value > uniform.max) uniform.max = value;
+        }
+        
+        uniform.default = TStorieShaderPackage.coerceValue(uniform, value);
+        return uniform;
+    }
+    
+    /**
+     * Enum choices: [1, 2, 3], [{ value, label }], or { label: value }
+     */
+    static parseOptions(options) {
+        let list;
+        if (Array.isArray(options)) {
+            list = options.map(o => (o !== null && typeof o === 'object') ? o : { value: o, label: String(o) });
+        } else if (options !== null && typeof options === 'object') {
+            list = Object.keys(options).map(label => ({ value: options[label], label }));
+        } else {
+            throw new Error('options must be an array or an object');
+        }
+        
+        if (list.length === 0) throw new Error('options is empty');
+        for (const option of list) {
+            if (typeof option.value !== 'number' || !Number.isFinite(option.value)) {
+                throw new Error('option values must be numbers');
+            }
+            option.label = option.label === undefined ? String(option.value) : String(option.label);
+        }
+        return list.map(o => ({ value: o.value, label: o.label }));
+    }
+    
+    /**
+     * Check a value against a uniform's schema and bring it in range.
+     * Numbers are clamped to min/max and snapped to step; ints are
+     * rounded; colors also take "#rgb"/"#rrggbb". Throws on a value of
+     * the wrong shape.
+     */
+    static coerceValue(uniform, value) {
+        const info = TSTORIE_UNIFORM_TYPES[uniform.type];
+        
+        if (value === 'theme' && (uniform.type === 'color' || uniform.type === 'vec3')) {
+            return value;
+        }
+        
+        if (uniform.type === 'bool') {
+            if (typeof value === 'boolean') return value;
+            if (typeof value === 'number' && Number.isFinite(value)) return value !== 0;
+            throw new Error('expected true or false');
+        }
+        
+        if (info.size === 1) {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error('expected a number');
+            }
+            const number = info.integer ? Math.round(value) : value;
+            if (uniform.options) {
+                if (!uniform.options.some(o => o.value === number)) {
+                    throw new Error(`expected one of ${uniform.options.map(o => o.value).join(', ')}`);
+                }
+                return number;
+            }
+            return TStorieShaderPackage.fitNumber(uniform, number, info.integer);
+        }
+        
+        if (uniform.type === 'color' && typeof value === 'string') {
+            value = TStorieShaderPackage.parseHexColor(value);
+        }
+        if (!Array.isArray(value) || value.length !== info.size ||
+            !value.every(v => typeof v === 'number' && Number.isFinite(v))) {
+            throw new Error(`expected ${info.size} numbers`);
+        }
+        return value.map(v => TStorieShaderPackage.fitNumber(uniform, v, false));
+    }
+    
+    static fitNumber(uniform, value, integer) {
+        let v = value;
+        if (uniform.step !== undefined) {
+            const base = uniform.min !== undefined ? uniform.min : 0;
+            v = base + Math.round((v - base) / uniform.step) * uniform.step;
+            v = parseFloat(v.toFixed(10));
+        }
+        if (uniform.min !== undefined) v = Math.max(uniform.min, v);
+        if (uniform.max !== undefined) v = Math.min(uniform.max, v);
+        return integer ? Math.round(v) : v;
+    }
+    
+    static parseHexColor(text) {
+        const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(text.trim());
+        if (!match) throw new Error('expected a color like "#ff8800"');
+        let hex = match[1];
+        if (hex.length === 3) hex = hex.split('').map(c => c + c).join('');
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    }
+    
+    /**
+     * Default type for a bare value. Three-component arrays named
+     * ...Color (or ...Colour) are colors.
+     */
+    static inferType(value, key = '') {
+        if (typeof value === 'boolean') return 'bool';
+        if (typeof value === 'number') return 'f32';
+        if (value === 'theme' || (typeof value === 'string' && value.startsWith('#'))) return 'color';
+        if (Array.isArray(value) && value.length >= 2 && value.length <= 4) {
+            if (value.length === 3 && /colou?r$/i.test(key) && value.every(v => v >= 0 && v <= 1)) {
+                return 'color';
+            }
+            return `vec${value.length}`;
+        }
+        return null;
+    }
+    
+    /**
+     * "frameHue" -> "Frame Hue", "paper_noise" -> "Paper Noise"
+     */
+    static labelFor(key) {
+        return key
+            .replace(/_/g, ' ')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/\b\w/g, c => c.toUpperCase())
+            .trim();
+    }
+    
+    static detectLanguage(code) {
+        return /@fragment|@vertex|@group\s*\(/.test(code) ? 'wgsl' : 'glsl';
+    }
+    
+    /**
+     * Fenced package: a ```json manifest plus ```glsl vertex / ```glsl
+     * fragment blocks, or one ```wgsl block holding the whole module
+     */
+    static fromFenced(text, name) {
+        const fence = /^(```|~~~)[ \t]*([^\n]*)\n([\s\S]*?)^\1[ \t]*$/gm;
+        let manifest = {};
+        const sources = {};
+        const sourceLines = {};
+        let match;
+        
+        while ((match = fence.exec(text)) !== null) {
+            const [lang, role] = match[2].trim().toLowerCase().split(/\s+/);
+            const body = match[3];
+            // The body starts on the line after the opening fence
+            const bodyLine = text.slice(0, match.index).split('\n').length + 1;
+            
+            if (lang === 'json') {
+                try {
+                    manifest = JSON.parse(body);
+                } catch (error) {
+                    throw new TStorieShaderPackageError(name, `invalid JSON manifest (${error.message})`);
+                }
+                if (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest)) {
+                    throw new TStorieShaderPackageError(name, 'manifest must be an object');
+                }
+            } else if (lang === 'glsl' || lang === 'wgsl') {
+                sources.language = lang;
+                if (role === 'vertex') {
+                    sources.vertexShader = body;
+                    sourceLines.vertexShader = bodyLine;
+                } else if (role === 'fragment' || lang === 'wgsl') {
+                    sources.fragmentShader = body;
+                    sourceLines.fragmentShader = bodyLine;
+                } else {
+                    throw new TStorieShaderPackageError(name, 'glsl blocks must be marked vertex or fragment');
+                }
+            }
+        }
+        
+        return TStorieShaderPackage.fromData({ ...manifest, ...sources }, name, sourceLines);
+    }
+    
+    /**
+     * Read a legacy getShaderConfig() file as data. The file must be
+     * nothing but that function returning an object literal (strings,
+     * template literals without ${}, numbers, arrays, objects); anything
+     * else is rejected. A uniform is a bare default or a schema entry
+     * ({ type, default, min, max, step, label, ... }). A trailing
+     * `// comment` on a uniform becomes its description, and on a bare
+     * default a "(min-max)" range in it becomes min/max.
+     */
+    static fromLegacy(text, name) {
+        const parser = new TStorieLegacyShaderParser(text, name);
+        const config = parser.parseFile();
+        
+        const uniforms = {};
+        for (const key of Object.keys(config.uniforms || {})) {
+            uniforms[key] = TStorieShaderPackage.commentedUniform(config.uniforms[key], parser.comments.get(key));
+        }
+        
+        return TStorieShaderPackage.fromData({ ...config, uniforms }, name, parser.sourceLines);
+    }
+    
+    /**
+     * Uniform entry for a default with a trailing comment: a "(min-max)"
+     * range becomes min/max, the rest the description. A value that is
+     * already a schema entry keeps its own fields; the comment only
+     * fills in a missing description.
+     */
+    static commentedUniform(value, comment) {
+        const isSchema = value !== null && typeof value === 'object' && !Array.isArray(value);
+        const entry = isSchema ? { ...value } : { default: value };
+        if (comment) {
+            const range = comment.match(/\(\s*(-?\d*\.?\d+)\s*(?:-|to|\.\.)\s*(-?\d*\.?\d+)\s*\)/);
+            if (range && !isSchema) {
+                entry.min = parseFloat(range[1]);
+                entry.max = parseFloat(range[2]);
+            }
+            const description = comment.replace(range ? range[0] : '', '').trim();
+            if (description && entry.description === undefined) entry.description = description;
+        }
+        return entry;
+    }
+    
+    /**
+     * Body of a ```shader block in a document:
+     *
+     *   --- uniforms
+     *   amount = 0.5          // Wobble amount (0-1)
+     *   tint = #66ccff
+     *   --- vertex
+     *   ...
+     *   --- fragment
+     *   ...
+     *
+     * Uniforms are `name = value` lines (JSON values, or #rrggbb / theme
+     * colors) with legacy-style comments, or one JSON object in package
+     * form. A GLSL block without a vertex section gets the standard
+     * full-screen one; a WGSL module can be the whole block. A body
+     * with no sections at all is the fragment shader.
+     */
+    static fromInline(text, name, language = null) {
+        const lines = text.split('\n');
+        const fail = (line, message) => {
+            throw new TStorieShaderPackageError(name, `invalid shader block (line ${line}: ${message})`);
+        };
+        
+        // { role, start: first body line (1-based), lines }
+        const sections = [];
+        if (!lines.some(line => TSTORIE_INLINE_SECTION.test(line.trim()))) {
+            sections.push({ role: 'fragment', start: 1, lines });
+        }
+        let current = sections[0] || null;
+        if (!current) {
+            lines.forEach((line, i) => {
+                const marker = line.trim().match(TSTORIE_INLINE_SECTION);
+                if (marker) {
+                    const role = marker[1].toLowerCase();
+                    if (sections.some(section => section.role === role)) {
+                        fail(i + 1, `second --- ${role} section`);
+                    }
+                    current = { role, start: i + 2, lines: [] };
+                    sections.push(current);
+                } else if (current) {
+                    current.lines.push(line);
+                } else if (line.trim()) {
+                    fail(i + 1, 'text before the first --- section');
+                }
+            });
+        }
+        
+        const data = {};
+        const sourceLines = {};
+        for (const section of sections) {
+            const body = section.lines.join('\n');
+            if (section.role === 'uniforms') {
+                data.uniforms = TStorieShaderPackage.parseInlineUniforms(section, fail);
+            } else {
+                const key = section.role + 'Shader';
+                data[key] = body;
+                sourceLines[key] = section.start;
+            }
+        }
+        
+        data.language = language || TStorieShaderPackage.detectLanguage((data.vertexShader || '') + (data.fragmentShader || ''));
+        if (data.language === 'glsl' && data.vertexShader === undefined && data.fragmentShader !== undefined) {
+            data.vertexShader = TSTORIE_DEFAULT_VERTEX_SHADER;
+        }
+        return TStorieShaderPackage.fromData(data, name, sourceLines);
+    }
+    
+    static parseInlineUniforms(section, fail) {
+        const body = section.lines.join('\n');
+        if (body.trim().startsWith('{')) {
+            try {
+                return JSON.parse(body);
+            } catch (error) {
+                fail(section.start, `invalid uniforms JSON (${error.message})`);
+            }
+        }
+        
+        const uniforms = {};
+        section.lines.forEach((line, i) => {
+            const comment = line.indexOf('//');
+            const code = (comment < 0 ? line : line.slice(0, comment)).trim();
+            if (!code) return;
+            
+            const match = code.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*[=:]\s*(.+)$/);
+            if (!match) fail(section.start + i, 'expected `name = value`');
+            let value;
+            if (/^(#[0-9a-f]{6}|theme)$/i.test(match[2])) {
+                value = match[2];
+            } else {
+                try {
+                    value = JSON.parse(match[2]);
+                } catch (error) {
+                    fail(section.start + i, `can't read the value of "${match[1]}"`);
+                }
+            }
+            uniforms[match[1]] = TStorieShaderPackage.commentedUniform(
+                value, comment < 0 ? null : line.slice(comment + 2).trim()
+            );
+        });
+        return uniforms;
+    }
+    
+    /**
+     * JSON package for a config (what tools/shader_package.js writes)
+     */
+    static toPackage(config) {
+        const data = {
+            format: TSTORIE_SHADER_FORMAT,
+            version: TSTORIE_SHADER_VERSION,
+            name: config.name,
+            language: config.language
+        };
+        if (config.description) data.description = config.description;
+        data.vertexShader = config.vertexShader;
+        data.fragmentShader = config.fragmentShader;
+        data.uniforms = config.schema;
+        
+        const inputNames = Object.keys(config.inputs || {});
+        if (inputNames.length > 0) {
+            data.inputs = {};
+            for (const key of inputNames) {
+                const input = config.inputs[key];
+                data.inputs[key] = input.filter === 'linear' && input.wrap === 'clamp' ? input.source :
+                    { source: input.source, filter: input.filter, wrap: input.wrap };
+            }
+        }
+        if (config.coordinateTransform) data.coordinateTransform = config.coordinateTransform;
+        return data;
+    }
+}
+
+/**
+ * Literal-only reader for legacy shader files. Tokenizes the source and
+ * accepts exactly `function getShaderConfig() { return <literal>; }`.
+ */
+class TStorieLegacyShaderParser {
+    constructor(text, name) {
+        this.text = text;
+        this.name = name;
+        this.tokens = this.tokenize(text);
+        this.pos = 0;
+        
+        // Trailing line comments on uniform entries, by uniform name
+        this.comments = new Map();
+        
+        // Line of each top-level string (vertexShader, fragmentShader): the
+        // source starts on the line of its opening quote
+        this.sourceLines = {};
+    }
+    
+    fail(message) {
+        const token = this.tokens[this.pos];
+        const line = token ? token.line : '?';
+        throw new TStorieShaderPackageError(this.name, `not a declarative shader file (line ${line}: ${message})`);
+    }
+    
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+        let line = 1;
+        
+        while (i < text.length) {
+            const c = text[i];
+            
+            if (c === '\n') { line++; i++; continue; }
+            if (/\s/.test(c)) { i++; continue; }
+            
+            if (text.startsWith('//', i)) {
+                const end = text.indexOf('\n', i);
+                const stop = end < 0 ? text.length : end;
+                tokens.push({ type: 'comment', value: text.slice(i + 2, stop).trim(), line });
+                i = stop;
+                continue;
+            }
+            if (text.startsWith('/*', i)) {
+                const end = text.indexOf('*/', i + 2);
+                if (end < 0) this.failAt(line, 'unterminated comment');
+                line += (text.slice(i, end).match(/\n/g) || []).length;
+                i = end + 2;
+                continue;
+            }
+            
+            if (c === '`' || c === '"' || c === "'") {
+                const start = line;
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== c) {
+                    if (text[i] === '\\') {
+                        const next = text[i + 1];
+                        value += { n: '\n', t: '\t', r: '\r' }[next] || next;
+                        i += 2;
+                        continue;
+                    }
+                    if (c === '`' && text.startsWith('${', i)) this.failAt(line, 'template substitutions are not allowed');
+                    if (text[i] === '\n') {
+                        if (c !== '`') this.failAt(line, 'unterminated string');
+                        line++;
+                    }
+                    value += text[i++];
+                }
+                if (i >= text.length) this.failAt(start, 'unterminated string');
+                i++;
+                tokens.push({ type: 'string', value, line: start });
+                continue;
+            }
+            
+            const number = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(i, i + 40));
+            if (number && (c !== '-' || /[\d.]/.test(text[i + 1]))) {
+                tokens.push({ type: 'number', value: parseFloat(number[0]), line });
+                i += number[0].length;
+                continue;
+            }
+            
+            const word = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(text.slice(i, i + 80));
+            if (word) {
+                tokens.push({ type: 'word', value: word[0], line });
+                i += word[0].length;
+                continue;
+            }
+            
+            if ('{}[]():,;'.includes(c)) {
+                tokens.push({ type: 'punct', value: c, line });
+                i++;
+                continue;
+            }
+            
+            this.failAt(line, `unexpected "${c}"`);
+        }
+        
+        return tokens;
+    }
+    
+    failAt(line, message) {
+        throw new TStorieShaderPackageError(this.name, `not a declarative shader file (line ${line}: ${message})`);
+    }
+    
+    skipComments() {
+        while (this.tokens[this.pos] && this.tokens[this.pos].type === 'comment') this.pos++;
+    }
+    
+    peek() {
+        this.skipComments();
+        return this.tokens[this.pos];
+    }
+    
+    next() {
+        const token = this.peek();
+        if (!token) this.fail('unexpected end of file');
+        this.pos++;
+        return token;
+    }
+    
+    expect(value) {
+        const token = this.next();
+        if (token.value !== value || token.type === 'string') {
+            this.pos--;
+            this.fail(`expected "${value}"`);
+        }
+        return token;
+    }
+    
+    parseFile() {
+        for (const word of ['function', 'getShaderConfig', '(', ')', '{', 'return']) {
+            this.expect(word);
+        }
+        const config = this.parseValue(true);
+        if (this.peek() && this.peek().value === ';') this.pos++;
+        this.expect('}');
+        if (this.peek()) this.fail('unexpected code after getShaderConfig()');
+        
+        if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+            this.fail('getShaderConfig() must return an object');
+        }
+        return config;
+    }
+    
+    parseValue(topLevel = false) {
+        const token = this.next();
+        if (token.type === 'string' || token.type === 'number') return token.value;
+        if (token.type === 'word') {
+            if (token.value === 'true') return true;
+            if (token.value === 'false') return false;
+            if (token.value === 'null') return null;
+            this.pos--;
+            this.fail(`"${token.value}" is not a literal`);
+        }
+        if (token.value === '[') return this.parseArray();
+        if (token.value === '{') return this.parseObject(topLevel);
+        this.pos--;
+        this.fail(`unexpected "${token.value}"`);
+    }
+    
+    parseArray() {
+        const items = [];
+        while (this.peek() && this.peek().value !== ']') {
+            items.push(this.parseValue());
+            if (this.peek() && this.peek().value === ',') this.pos++;
+        }
+        this.expect(']');
+        return items;
+    }
+    
+    parseObject(topLevel) {
+        const object = {};
+        while (this.peek() && this.peek().value !== '}') {
+            const key = this.next();
+            if (key.type !== 'word' && key.type !== 'string') {
+                this.pos--;
+                this.fail('expected a property name');
+            }
+            this.expect(':');
+            
+            const isUniforms = topLevel && key.value === 'uniforms';
+            const start = this.peek();
+            const value = isUniforms ? this.parseUniformObject() : this.parseValue();
+            object[key.value] = value;
+            if (topLevel && start.type === 'string') this.sourceLines[key.value] = start.line;
+            
+            if (this.peek() && this.peek().value === ',') this.pos++;
+        }
+        this.expect('}');
+        return object;
+    }
+    
+    /**
+     * The uniforms object, remembering each entry's same-line comment
+     */
+    parseUniformObject() {
+        this.expect('{');
+        const uniforms = {};
+        while (this.peek() && this.peek().value !== '}') {
+            const key = this.next();
+            if (key.type !== 'word' && key.type !== 'string') {
+                this.pos--;
+                this.fail('expected a uniform name');
+            }
+            this.expect(':');
+            uniforms[key.value] = this.parseValue();
+            
+            // Look at the raw tokens: peek() would skip the comment on
+            // the last entry, which has no comma before it
+            const end = this.tokens[this.pos - 1].line;
+            const comma = this.tokens[this.pos];
+            if (comma && comma.type === 'punct' && comma.value === ',') this.pos++;
+            
+            const comment = this.tokens[this.pos];
+            if (comment && comment.type === 'comment' && comment.line === end) {
+                this.comments.set(key.value, comment.value);
+            }
+        }
+        this.expect('}');
+        return uniforms;
+    }
+}
+
+// Export for use in TStorie
+if (typeof window !== 'undefined') {
+    window.TStorieShaderPackage = TStorieShaderPackage;
+    window.TStorieShaderPackageError = TStorieShaderPackageError;
+}
+
+// Node (tools/shader_package.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TStorieShaderPackage, TStorieShaderPackageError };
+}
@@ -0,0 +1,399 @@
+// TStorie Shader Tweak Panel
+// Developer overlay listing every shader in the active chain with a control
+// per uniform, generated from the uniform schema (tstorie-shader-package.js):
+//
+// - f32/int with a range -> slider, otherwise a number field
+// - enums -> select, bool -> checkbox, color -> color picker
+// - vec2-vec4 -> one control per component
+//
+// Changes go through setShaderUniform (tstorie-shader-chain.js), so they are
+// clamped exactly like script changes and show up on the next frame.
+// "Copy as front matter" puts the tuned values on the clipboard as
+// `shaders:` / `shaderUniforms:` lines to paste back into the document.
+//
+// Toggled with Ctrl+Shift+X, opened at startup with ?tweak=1.
+
+const TSTORIE_VECTOR_SIZES = { vec2: 2, vec3: 3, vec4: 4 };
+const TSTORIE_VECTOR_COMPONENTS = ['x', 'y', 'z', 'w'];
+
+class TStorieShaderTweakPanel {
+    constructor(options = {}) {
+        this.options = {
+            hotkey: 'KeyX',     // with Ctrl+Shift
+            ...options
+        };
+        
+        this.element = document.createElement('div');
+        this.element.id = 'shader-tweak-panel';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-label', 'Shader uniforms');
+        
+        const title = document.createElement('h2');
+        title.textContent = '◐ Shader Tweaks';
+        this.element.appendChild(title);
+        
+        this.body = document.createElement('div');
+        this.element.appendChild(this.body);
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'settings-buttons';
+        buttons.appendChild(this.createButton('Reset', () => this.resetAll()));
+        buttons.appendChild(this.createButton('Copy as front matter', () => this.copyFrontMatter(), 'primary'));
+        buttons.appendChild(this.createButton('Close', () => this.hide()));
+        this.element.appendChild(buttons);
+        
+        // Shown after copying, so the text can also be copied by hand
+        this.output = document.createElement('textarea');
+        this.output.className = 'shader-tweak-output';
+        this.output.readOnly = true;
+        this.output.rows = 3;
+        this.output.hidden = true;
+        this.element.appendChild(this.output);
+        
+        this.status = document.createElement('div');
+        this.status.className = 'setting-hint';
+        this.element.appendChild(this.status);
+        
+        document.body.appendChild(this.element);
+        
+        // Controls per "shader.uniform", to show the value actually stored
+        this.controls = new Map();
+        
+        this.onKeyDown = (e) => {
+            if (e.ctrlKey && e.shiftKey && !e.altKey && !e.metaKey && e.code === this.options.hotkey) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggle();
+            }
+        };
+        this.onChainChanged = () => {
+            if (this.isVisible()) this.build();
+        };
+        // Capture phase: the terminal never sees the hotkey
+        window.addEventListener('keydown', this.onKeyDown, true);
+        window.addEventListener('tstorie-shader-chain', this.onChainChanged);
+        
+        const tweak = new URLSearchParams(window.location.search).get('tweak');
+        if (tweak && !['0', 'false', 'off', 'no'].includes(tweak.toLowerCase())) {
+            this.show();
+        }
+    }
+    
+    createButton(text, onClick, className = '') {
+        const button = document.createElement('button');
+        button.textContent = text;
+        if (className) button.className = className;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    isVisible() {
+        return this.element.classList.contains('visible');
+    }
+    
+    show() {
+        this.build();
+        this.element.classList.add('visible');
+    }
+    
+    hide() {
+        this.element.classList.remove('visible');
+    }
+    
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+    
+    /**
+     * Rebuild the controls from the active chain
+     */
+    build() {
+        this.body.textContent = '';
+        this.controls.clear();
+        
+        const passes = shaderChainPasses();
+        if (passes.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'setting-hint';
+            empty.textContent = 'No shaders active - add `shaders:` to the front matter or ?shaders= to the URL.';
+            this.body.appendChild(empty);
+            return;
+        }
+        
+        for (const pass of passes) {
+            const section = document.createElement('fieldset');
+            section.className = 'shader-tweak-shader';
+            section.appendChild(this.createPassLegend(pass));
+            if (pass.error) {
+                const failed = document.createElement('div');
+                failed.className = 'setting-hint';
+                failed.textContent = 'Failed to compile (bypassed): ' + pass.error.summary;
+                section.appendChild(failed);
+            }
+            section.appendChild(this.createMixGroup(pass));
+            
+            const uniforms = listShaderUniforms(pass.name) || [];
+            if (uniforms.length === 0) {
+                const none = document.createElement('div');
+                none.className = 'setting-hint';
+                none.textContent = 'No adjustable uniforms';
+                section.appendChild(none);
+            }
+            for (const uniform of uniforms) {
+                section.appendChild(this.createUniformGroup(pass.name, uniform));
+            }
+            this.body.appendChild(section);
+        }
+    }
+    
+    /**
+     * Shader name with a checkbox that bypasses the pass (setShaderEnabled)
+     */
+    createPassLegend(pass) {
+        const legend = document.createElement('legend');
+        const label = document.createElement('label');
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = pass.enabled !== false;
+        enabled.title = 'Bypass this shader when unchecked';
+        enabled.addEventListener('change', () => setShaderEnabled(pass.name, enabled.checked));
+        label.appendChild(enabled);
+        label.appendChild(document.createTextNode(' ' + pass.name));
+        legend.appendChild(label);
+        return legend;
+    }
+    
+    /**
+     * Wet/dry slider for the whole pass (setShaderMix)
+     */
+    createMixGroup(pass) {
+        const uniform = { name: 'mix', label: 'Mix', type: 'f32', min: 0, max: 1, step: 0.01 };
+        const group = document.createElement('div');
+        group.className = 'setting-group';
+        
+        const label = document.createElement('label');
+        label.textContent = uniform.label + ' ';
+        const readout = document.createElement('span');
+        readout.className = 'range-value';
+        label.appendChild(readout);
+        group.appendChild(label);
+        
+        const control = this.createNumberInput(uniform, (value) => {
+            const stored = setShaderMix(pass.name, value);
+            if (stored !== undefined) readout.textContent = this.formatValue(uniform, stored);
+        });
+        const mix = pass.mix === undefined ? 1 : pass.mix;
+        control.update(mix);
+        readout.textContent = this.formatValue(uniform, mix);
+        group.appendChild(control.element);
+        return group;
+    }
+    
+    createUniformGroup(shaderName, uniform) {
+        const group = document.createElement('div');
+        group.className = 'setting-group';
+        
+        const label = document.createElement('label');
+        label.textContent = uniform.label + ' ';
+        const readout = document.createElement('span');
+        readout.className = 'range-value';
+        label.appendChild(readout);
+        group.appendChild(label);
+        
+        const apply = (value) => {
+            const stored = setShaderUniform(shaderName, uniform.name, value);
+            if (stored !== undefined) control.update(stored);
+        };
+        const control = this.createControl(uniform, apply);
+        const update = control.update;
+        control.update = (value) => {
+            update(value);
+            readout.textContent = this.formatValue(uniform, value);
+        };
+        control.update(uniform.value);
+        group.appendChild(control.element);
+        
+        if (uniform.description) {
+            const hint = document.createElement('div');
+            hint.className = 'setting-hint';
+            hint.textContent = uniform.description;
+            group.appendChild(hint);
+        }
+        
+        this.controls.set(`${shaderName}.${uniform.name}`, control);
+        return group;
+    }
+    
+    /**
+     * Input element(s) for one uniform: { element, update(value) }
+     */
+    createControl(uniform, apply) {
+        if (uniform.options) {
+            const select = document.createElement('select');
+            for (const option of uniform.options) {
+                const item = document.createElement('option');
+                item.value = String(option.value);
+                item.textContent = option.label;
+                select.appendChild(item);
+            }
+            select.addEventListener('change', () => apply(Number(select.value)));
+            return { element: select, update: (value) => { select.value = String(value); } };
+        }
+        
+        if (uniform.type === 'bool') {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.addEventListener('change', () => apply(checkbox.checked));
+            return { element: checkbox, update: (value) => { checkbox.checked = !!value; } };
+        }
+        
+        if (uniform.type === 'color' || uniform.default === 'theme') {
+            return this.createColorControl(uniform, apply);
+        }
+        
+        const size = TSTORIE_VECTOR_SIZES[uniform.type] || 1;
+        if (size === 1) {
+            return this.createNumberInput(uniform, (number) => apply(number));
+        }
+        
+        // Vectors: one number control per component, applied together
+        const container = document.createElement('div');
+        container.className = 'shader-tweak-vector';
+        let current = Array.isArray(uniform.value) ? uniform.value.slice() : uniform.default.slice();
+        const inputs = [];
+        for (let i = 0; i < size; i++) {
+            const row = document.createElement('label');
+            row.textContent = TSTORIE_VECTOR_COMPONENTS[i];
+            const input = this.createNumberInput(uniform, (number) => {
+                current[i] = number;
+                apply(current.slice());
+            });
+            row.appendChild(input.element);
+            container.appendChild(row);
+            inputs.push(input);
+        }
+        return {
+            element: container,
+            update: (value) => {
+                if (!Array.isArray(value)) return;
+                current = value.slice();
+                inputs.forEach((input, i) => input.update(value[i]));
+            }
+        };
+    }
+    
+    /**
+     * Slider when the uniform has a range, number field otherwise
+     */
+    createNumberInput(uniform, onInput) {
+        const input = document.createElement('input');
+        const ranged = uniform.min !== undefined && uniform.max !== undefined;
+        input.type = ranged ? 'range' : 'number';
+        if (uniform.min !== undefined) input.min = String(uniform.min);
+        if (uniform.max !== undefined) input.max = String(uniform.max);
+        input.step = String(uniform.step !== undefined ? uniform.step
+            : ranged ? (uniform.max - uniform.min) / 100 || 'any' : 'any');
+        
+        input.addEventListener('input', () => {
+            const number = parseFloat(input.value);
+            if (Number.isFinite(number)) onInput(number);
+        });
+        return { element: input, update: (value) => { input.value = String(value); } };
+    }
+    
+    /**
+     * Color picker; uniforms that default to the theme background also get
+     * a "theme" checkbox
+     */
+    createColorControl(uniform, apply) {
+        const container = document.createElement('div');
+        container.className = 'shader-tweak-color';
+        
+        let theme = null;
+        const picker = document.createElement('input');
+        picker.type = 'color';
+        picker.addEventListener('input', () => {
+            if (theme) theme.checked = false;
+            apply(picker.value);
+        });
+        container.appendChild(picker);
+        
+        if (uniform.default === 'theme') {
+            const label = document.createElement('label');
+            theme = document.createElement('input');
+            theme.type = 'checkbox';
+            theme.addEventListener('change', () => apply(theme.checked ? 'theme' : picker.value));
+            label.appendChild(theme);
+            label.appendChild(document.createTextNode(' theme'));
+            container.appendChild(label);
+        }
+        
+        return {
+            element: container,
+            update: (value) => {
+                if (value === 'theme') {
+                    if (theme) theme.checked = true;
+                } else if (Array.isArray(value)) {
+                    if (theme) theme.checked = false;
+                    picker.value = shaderColorHex(value);
+                }
+            }
+        };
+    }
+    
+    formatValue(uniform, value) {
+        if (uniform.options) {
+            const option = uniform.options.find(o => o.value === value);
+            return option ? option.label : String(value);
+        }
+        if (uniform.type === 'color' && Array.isArray(value)) return shaderColorHex(value);
+        const round = (v) => typeof v === 'number' ? String(parseFloat(v.toFixed(4))) : String(v);
+        return Array.isArray(value) ? value.map(round).join(', ') : round(value);
+    }
+    
+    /**
+     * Put every pass back in the chain at full mix, every uniform at its default
+     */
+    resetAll() {
+        for (const pass of shaderChainPasses()) {
+            setShaderEnabled(pass.name, true);
+            setShaderMix(pass.name, 1);
+            for (const uniform of listShaderUniforms(pass.name) || []) {
+                setShaderUniform(pass.name, uniform.name, uniform.default);
+            }
+        }
+        this.build();
+        this.status.textContent = 'Reset to defaults';
+    }
+    
+    copyFrontMatter() {
+        const text = shaderChainFrontMatter();
+        this.output.value = text;
+        this.output.hidden = false;
+        this.output.select();
+        
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).then(
+                () => { this.status.textContent = 'Copied - paste into the front matter'; },
+                () => { this.status.textContent = 'Copy the text above into the front matter'; }
+            );
+        } else {
+            this.status.textContent = 'Copy the text above into the front matter';
+        }
+    }
+    
+    destroy() {
+        window.removeEventListener('keydown', this.onKeyDown, true);
+        window.removeEventListener('tstorie-shader-chain', this.onChainChanged);
+        this.element.remove();
+    }
+}
+
+// Export for use in TStorie
+if (typeof window !== 'undefined') {
+    window.TStorieShaderTweakPanel = TStorieShaderTweakPanel;
+}
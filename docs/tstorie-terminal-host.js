@@ -0,0 +1,1421 @@
+// TStorie Terminal Host
+// Backend-independent half of the terminal: input, sizing, font metrics and
+// the frame loop. Drawing is delegated to a pluggable draw backend so the
+// Canvas2D, WebGL and WebGPU renderers all behave the same way.
+//
+// Draw backend interface:
+//   name                 'canvas2d' | 'webgl' | 'webgpu'
+//   ready                false while the backend can't draw (e.g. device lost)
+//   init(host)           create context and resources on host.canvas;
+//                        returns (or resolves to) true on success
+//   resize(host, dpr)    host.canvas is already sized - reallocate per-cell storage
+//   fontChanged(host)    font metrics changed - drop cached glyphs
+//   render(host)         draw the dirty rows of host.cells (already refreshed)
+//   destroy()            release GPU/context resources
+//   onLost(reason)       set by the host; the backend calls it when its
+//                        context or device is lost
+//   onRestored()         set by the host; the backend calls it once it has
+//                        rebuilt its resources on a restored context/device
+
+const TSTORIE_DEFAULT_FONT_FAMILY = "'3270-Regular', 'Consolas', 'Monaco', monospace";
+
+// Browser key name (e.key) → tStorie key code (mirrors KEY_* in src/input)
+const TSTORIE_KEY_CODES = {
+    'Escape': 27,
+    'Backspace': 8,
+    ' ': 32,
+    'Tab': 9,
+    'Enter': 13,
+    'Delete': 127,
+    
+    'ArrowUp': 1000,
+    'ArrowDown': 1001,
+    'ArrowLeft': 1002,
+    'ArrowRight': 1003,
+    
+    'Home': 1004,
+    'End': 1005,
+    'PageUp': 1006,
+    'PageDown': 1007,
+    'Insert': 1008,
+    
+    'F1': 1100,
+    'F2': 1101,
+    'F3': 1102,
+    'F4': 1103,
+    'F5': 1104,
+    'F6': 1105,
+    'F7': 1106,
+    'F8': 1107,
+    'F9': 1108,
+    'F10': 1109,
+    'F11': 1110,
+    'F12': 1111,
+    'F13': 1112,
+    'F14': 1113,
+    'F15': 1114,
+    'F16': 1115,
+    'F17': 1116,
+    'F18': 1117,
+    'F19': 1118,
+    'F20': 1119,
+    'F21': 1120,
+    'F22': 1121,
+    'F23': 1122,
+    'F24': 1123,
+    
+    'MediaPlayPause': 1300,
+    'MediaStop': 1301,
+    'MediaTrackNext': 1302,
+    'MediaTrackPrevious': 1303,
+    'AudioVolumeUp': 1304,
+    'AudioVolumeDown': 1305,
+    'AudioVolumeMute': 1306,
+    
+    // Side-less fallbacks; TSTORIE_CODE_KEYS tells left from right
+    'Shift': 1400,
+    'Control': 1402,
+    'Alt': 1404,
+    'AltGraph': 1405,
+    'Meta': 1406,
+    'OS': 1406,
+    
+    'CapsLock': 1408,
+    'NumLock': 1409,
+    'ScrollLock': 1410,
+    'PrintScreen': 1411,
+    'Pause': 1412,
+    'ContextMenu': 1413
+};
+
+// Physical key (e.code) → tStorie key code, for keys whose e.key can't
+// tell them apart from the main row or the other side of the keyboard
+const TSTORIE_CODE_KEYS = {
+    'Numpad0': 1200,
+    'Numpad1': 1201,
+    'Numpad2': 1202,
+    'Numpad3': 1203,
+    'Numpad4': 1204,
+    'Numpad5': 1205,
+    'Numpad6': 1206,
+    'Numpad7': 1207,
+    'Numpad8': 1208,
+    'Numpad9': 1209,
+    'NumpadDecimal': 1210,
+    'NumpadDivide': 1211,
+    'NumpadMultiply': 1212,
+    'NumpadSubtract': 1213,
+    'NumpadAdd': 1214,
+    'NumpadEnter': 1215,
+    'NumpadEqual': 1216,
+    
+    'ShiftLeft': 1400,
+    'ShiftRight': 1401,
+    'ControlLeft': 1402,
+    'ControlRight': 1403,
+    'AltLeft': 1404,
+    'AltRight': 1405,
+    'MetaLeft': 1406,
+    'MetaRight': 1407,
+    'OSLeft': 1406,
+    'OSRight': 1407
+};
+
+// Physical key (e.code) → SDL3/USB HID scancode (mirrors SC_* in src/input)
+const TSTORIE_SCAN_CODES = (() => {
+    const codes = {
+        'Enter': 40, 'Escape': 41, 'Backspace': 42, 'Tab': 43, 'Space': 44,
+        'Minus': 45, 'Equal': 46, 'BracketLeft': 47, 'BracketRight': 48,
+        'Backslash': 49, 'Semicolon': 51, 'Quote': 52, 'Backquote': 53,
+        'Comma': 54, 'Period': 55, 'Slash': 56, 'CapsLock': 57,
+        'PrintScreen': 70, 'ScrollLock': 71, 'Pause': 72, 'Insert': 73,
+        'Home': 74, 'PageUp': 75, 'Delete': 76, 'End': 77, 'PageDown': 78,
+        'ArrowRight': 79, 'ArrowLeft': 80, 'ArrowDown': 81, 'ArrowUp': 82,
+        'NumLock': 83, 'NumpadDivide': 84, 'NumpadMultiply': 85,
+        'NumpadSubtract': 86, 'NumpadAdd': 87, 'NumpadEnter': 88,
+        'Numpad0': 98, 'NumpadDecimal': 99, 'IntlBackslash': 100,
+        'ContextMenu': 101, 'NumpadEqual': 103,
+        'AudioVolumeMute': 127, 'AudioVolumeUp': 128, 'AudioVolumeDown': 129,
+        'ControlLeft': 224, 'ShiftLeft': 225, 'AltLeft': 226, 'MetaLeft': 227,
+        'ControlRight': 228, 'ShiftRight': 229, 'AltRight': 230, 'MetaRight': 231,
+        'OSLeft': 227, 'OSRight': 231,
+        'MediaTrackNext': 267, 'MediaTrackPrevious': 268,
+        'MediaStop': 269, 'MediaPlayPause': 271
+    };
+    for (let i = 0; i < 26; i++) codes['Key' + String.fromCharCode(65 + i)] = 4 + i;
+    for (let i = 1; i <= 9; i++) codes['Digit' + i] = 29 + i;
+    codes['Digit0'] = 39;
+    for (let i = 1; i <= 9; i++) codes['Numpad' + i] = 88 + i;
+    for (let i = 1; i <= 12; i++) codes['F' + i] = 57 + i;
+    for (let i = 13; i <= 24; i++) codes['F' + i] = 91 + i;
+    return codes;
+})();
+
+// KeyMod bits and actions as expected by emHandleKeyEvent
+const TSTORIE_KEY_MOD_SHIFT = 1;
+const TSTORIE_KEY_MOD_CTRL = 2;
+const TSTORIE_KEY_MOD_ALT = 4;
+const TSTORIE_KEY_MOD_SUPER = 8;
+
+const TSTORIE_KEY_PRESS = 0;
+const TSTORIE_KEY_RELEASE = 1;
+const TSTORIE_KEY_REPEAT = 2;
+
+class TStorieTerminalHost {
+    constructor(canvasElement, fontFamily = null, fontSize = null) {
+        this.canvas = canvasElement;
+        
+        // Terminal dimensions in characters
+        this.cols = 80;
+        this.rows = 24;
+        
+        // Character dimensions in pixels
+        this.charWidth = 10;
+        this.charHeight = 20;
+        
+        // Font settings
+        this.fontSize = fontSize || 16;
+        this.fontFamily = fontFamily || TSTORIE_DEFAULT_FONT_FAMILY;
+        
+        // Performance
+        this.lastFrameTime = 0;
+        this.frameInterval = 1000 / 60; // 60 FPS
+        this.animationStarted = false;
+        
+        // Input state
+        // Held keys (e.code → { keyCode, scanCode }) so each release
+        // matches its press and blur can release everything still down
+        this.keys = new Map();
+        this.mouseX = 0;
+        this.mouseY = 0;
+        
+        // Touch gestures (see handleTouchStart). Swipe keys are tStorie key
+        // codes, 0 = unmapped; the defaults page through presentations.
+        this.touchOptions = {
+            swipeKeys: {
+                left: TSTORIE_KEY_CODES.ArrowRight,
+                right: TSTORIE_KEY_CODES.ArrowLeft,
+                up: 0,
+                down: 0
+            },
+            swipeDistance: 50,   // CSS px a swipe has to travel
+            swipeTime: 500,      // ms a swipe may take
+            tapSlop: 10,         // CSS px a tap may wander
+            longPress: 450,      // ms before a held finger starts a mouse drag
+            pinchStep: 1.15      // distance ratio per font scale step
+        };
+        this.touch = null;
+        
+        // Text selection (tstorie-selection.js). Dragging with `modifier`
+        // held selects line-wise, adding `blockModifier` selects a
+        // rectangle. Documents opt out with `selection: false` in front
+        // matter when they need raw mouse input.
+        this.selectionOptions = {
+            enabled: true,
+            modifier: 'shift',       // 'shift' | 'alt' | 'ctrl' | 'meta'
+            blockModifier: 'alt',
+            copyOnSelect: true
+        };
+        this.selection = null;
+        this.selecting = false;
+        
+        // Screen-reader mirror of the grid (tstorie-accessibility.js),
+        // created on demand: ?a11y=1, `accessibility: true` in front
+        // matter, or setAccessibilityMirror(true)
+        this.accessibility = null;
+        
+        // Packed cell buffer shared with WASM (tstorie-cell-buffer.js)
+        this.cells = new TStorieCellBuffer();
+        
+        // Active draw backend (see interface above)
+        this.drawBackend = null;
+        
+        // Set once a backend has taken a context from this.canvas
+        this.canvasClaimed = false;
+        
+        // Optional hooks: (backend, reason) when the backend loses its
+        // context, (backend) when it has rebuilt itself afterwards
+        this.onDrawBackendLost = null;
+        this.onDrawBackendRestored = null;
+        
+        // Font metrics are measured off-screen so every backend agrees
+        this.measureCtx = document.createElement('canvas').getContext('2d');
+        
+        this.initFont();
+        this.setupCanvas();
+        this.setupInputHandlers();
+        
+        const params = new URLSearchParams(window.location.search);
+        const a11y = params.get('a11y') || params.get('accessibility');
+        if (a11y && !['0', 'false', 'off', 'no'].includes(a11y.toLowerCase())) {
+            this.setAccessibilityMirror(true);
+        }
+    }
+    
+    initFont() {
+        // Measure character dimensions accurately
+        this.measureCtx.font = `${this.fontSize}px ${this.fontFamily}`;
+        this.measureCtx.textBaseline = 'top';
+        
+        // Measure width using a wide character
+        const metrics = this.measureCtx.measureText('M');
+        this.charWidth = Math.ceil(metrics.width);
+        
+        // Use fontSize directly for height to avoid gaps
+        // This matches how terminals render without inter-line spacing
+        this.charHeight = this.fontSize;
+    }
+    
+    /**
+     * Initialize and attach a draw backend.
+     * init() may be async (WebGPU needs an adapter). Resolves to false and
+     * keeps the current backend if the new one fails.
+     *
+     * A canvas keeps the first context type it hands out, so once the
+     * current canvas has been offered to a backend the new one is built on
+     * a fresh canvas that replaces it in the page (see adoptCanvas).
+     */
+    async setDrawBackend(backend) {
+        const previousCanvas = this.canvas;
+        const canvas = this.canvasClaimed ? this.createReplacementCanvas() : previousCanvas;
+        
+        this.canvas = canvas;
+        this.canvasClaimed = true;
+        
+        let ok = false;
+        try {
+            ok = await backend.init(this);
+        } catch (error) {
+            console.error(`[Terminal] ${backend.name} backend failed to initialize:`, error);
+        }
+        
+        if (!ok) {
+            backend.destroy();
+            this.canvas = previousCanvas;
+            return false;
+        }
+        
+        // Carry the glyph set over so the first frames don't rebuild the
+        // atlas one character at a time
+        const previous = this.drawBackend;
+        if (previous && previous.glyphCache && backend.cacheChar) {
+            for (const char of previous.glyphCache.keys()) {
+                backend.cacheChar(char);
+            }
+        }
+        
+        if (canvas !== previousCanvas) {
+            this.adoptCanvas(canvas, previousCanvas);
+        }
+        
+        this.attachDrawBackend(backend);
+        return true;
+    }
+    
+    /**
+     * Blank canvas carrying the current canvas's identity and styling
+     */
+    createReplacementCanvas() {
+        const old = this.canvas;
+        const canvas = document.createElement('canvas');
+        if (old.id) canvas.id = old.id;
+        if (old.className) canvas.className = old.className;
+        canvas.tabIndex = old.tabIndex;
+        canvas.style.cssText = old.style.cssText;
+        canvas.width = old.width;
+        canvas.height = old.height;
+        return canvas;
+    }
+    
+    /**
+     * Put a replacement canvas in the page, move input and focus over to it
+     * and tell anything holding the old element (shader systems, page
+     * scripts) through a 'tstorie-canvas-replaced' window event.
+     */
+    adoptCanvas(canvas, previous) {
+        this.detachInput(previous);
+        this.attachInput(canvas);
+        
+        if (previous.parentNode) {
+            previous.replaceWith(canvas);
+        }
+        
+        // The text input follows the new canvas's position on the next frame
+        this.textCursor = { x: -1, y: -1 };
+        
+        window.dispatchEvent(new CustomEvent('tstorie-canvas-replaced', {
+            detail: { canvas, previous }
+        }));
+    }
+    
+    /**
+     * Called by a backend whose context or device went away.
+     * The owner decides what to do through onDrawBackendLost.
+     */
+    drawBackendLost(backend, reason) {
+        // Stale notification from a backend that was already swapped out
+        if (backend !== this.drawBackend) return;
+        
+        console.warn(`[Terminal] ${backend.name} backend lost:`, reason);
+        if (this.onDrawBackendLost) {
+            this.onDrawBackendLost(backend, reason);
+        }
+    }
+    
+    /**
+     * Called by a backend that rebuilt its resources after a loss.
+     * The canvas and WASM state are untouched (no emResize, which would
+     * reallocate the engine buffers): the backend only reallocates its
+     * per-cell storage and the whole screen is repainted on the next frame.
+     */
+    drawBackendRestored(backend) {
+        if (backend !== this.drawBackend) return;
+        
+        console.log(`[Terminal] ${backend.name} backend restored`);
+        this.cells.invalidate();
+        backend.resize(this, window.devicePixelRatio || 1);
+        if (this.onDrawBackendRestored) {
+            this.onDrawBackendRestored(backend);
+        }
+    }
+    
+    /**
+     * Swap in an already initialized backend and size it
+     */
+    attachDrawBackend(backend) {
+        if (this.drawBackend && this.drawBackend !== backend) {
+            this.drawBackend.onLost = null;
+            this.drawBackend.onRestored = null;
+            this.drawBackend.destroy();
+        }
+        backend.onLost = (reason) => this.drawBackendLost(backend, reason);
+        backend.onRestored = () => this.drawBackendRestored(backend);
+        this.canvasClaimed = true;
+        this.drawBackend = backend;
+        this.resize();
+    }
+    
+    getBackendName() {
+        return this.drawBackend ? this.drawBackend.name : null;
+    }
+    
+    setFontSize(newSize) {
+        // Validate font size
+        if (newSize < 8 || newSize > 72) {
+            console.warn('Font size out of range (8-72):', newSize);
+            return;
+        }
+        
+        this.fontSize = newSize;
+        
+        // Reinitialize font metrics
+        this.initFont();
+        
+        if (this.drawBackend) {
+            this.drawBackend.fontChanged(this);
+        }
+        
+        // Trigger resize to recalculate terminal dimensions
+        this.resize();
+    }
+    
+    setFontScale(scale) {
+        // Scale the current font size
+        const newSize = Math.round(this.fontSize * scale);
+        this.setFontSize(newSize);
+    }
+    
+    getCharPixelWidth() {
+        return this.charWidth;
+    }
+    
+    getCharPixelHeight() {
+        return this.charHeight;
+    }
+    
+    getViewportPixelWidth() {
+        return window.innerWidth;
+    }
+    
+    getViewportPixelHeight() {
+        return window.innerHeight;
+    }
+    
+    setupCanvas() {
+        window.addEventListener('resize', () => this.resize());
+    }
+    
+    resize() {
+        // Nothing to size until a backend owns the canvas
+        if (!this.drawBackend) return;
+        
+        // Calculate how many characters fit in the window
+        const availWidth = window.innerWidth;
+        const availHeight = window.innerHeight;
+        
+        this.cols = Math.max(20, Math.floor(availWidth / this.charWidth));
+        this.rows = Math.max(10, Math.floor(availHeight / this.charHeight));
+        
+        // Set canvas size with device pixel ratio for sharp rendering
+        const dpr = window.devicePixelRatio || 1;
+        this.canvas.width = this.cols * this.charWidth * dpr;
+        this.canvas.height = this.rows * this.charHeight * dpr;
+        this.canvas.style.width = (this.cols * this.charWidth) + 'px';
+        this.canvas.style.height = (this.rows * this.charHeight) + 'px';
+        
+        // The backend's surface was cleared or reallocated - repaint every row
+        this.cells.invalidate();
+        this.textCursor = { x: -1, y: -1 };
+        
+        // Cells move when the grid changes
+        this.clearSelection();
+        this.drawBackend.resize(this, dpr);
+        
+        // Notify WASM module
+        if (typeof Module !== 'undefined' && Module._emResize) {
+            Module._emResize(this.cols, this.rows);
+        }
+    }
+    
+    setupInputHandlers() {
+        this.setupTextInput();
+        
+        // Listeners are kept so they can follow the terminal onto a new
+        // canvas when the draw backend is switched (see adoptCanvas)
+        this.inputListeners = {
+            // Keyboard focus lives in the hidden text input (IME support);
+            // anything focusing the canvas hands it over
+            focus: () => {
+                this.focus();
+            },
+            
+            // Mouse input
+            mousedown: (e) => {
+                e.preventDefault();
+                this.focus();
+                if (this.selectionStartsWith(e)) {
+                    this.startSelection(e);
+                    return;
+                }
+                this.clearSelection();
+                this.handleMouseClick(e);
+            },
+            mouseup: (e) => {
+                e.preventDefault();
+                if (this.selecting) {
+                    this.endSelection(e);
+                    return;
+                }
+                this.handleMouseRelease(e);
+            },
+            mousemove: (e) => {
+                if (this.selecting) {
+                    this.updateSelection(e);
+                    return;
+                }
+                this.handleMouseMove(e);
+            },
+            
+            // Mouse wheel scrolling
+            wheel: (e) => {
+                e.preventDefault();
+                this.handleMouseWheel(e);
+            },
+            
+            // Prevent context menu
+            contextmenu: (e) => {
+                e.preventDefault();
+            },
+            
+            // Touch input: taps and long-press drags become mouse events,
+            // two fingers scroll (wheel) and pinch (font scale)
+            touchstart: (e) => {
+                e.preventDefault();
+                this.handleTouchStart(e);
+            },
+            touchmove: (e) => {
+                e.preventDefault();
+                this.handleTouchMove(e);
+            },
+            touchend: (e) => {
+                e.preventDefault();
+                this.handleTouchEnd(e);
+            },
+            touchcancel: () => {
+                this.cancelTouch();
+            }
+        };
+        
+        this.keyboardListeners = {
+            keydown: (e) => {
+                // Keys the IME is handling (keyCode 229) must reach it untouched
+                if (e.isComposing || e.keyCode === 229) return;
+                e.preventDefault();
+                if (this.isCopyShortcut(e) && this.selection) {
+                    this.copySelection();
+                    return;
+                }
+                this.handleKeyDown(e);
+            },
+            keyup: (e) => {
+                if (e.isComposing) return;
+                e.preventDefault();
+                this.handleKeyUp(e);
+            },
+            keypress: (e) => {
+                e.preventDefault();
+            },
+            
+            // IME composition (CJK input)
+            compositionstart: () => {
+                this.updateTextInputPosition();
+                this.setPreedit('');
+            },
+            compositionupdate: (e) => {
+                this.setPreedit(e.data || '');
+            },
+            compositionend: (e) => {
+                this.setPreedit(null);
+                if (e.data) this.sendText(e.data);
+                this.textInput.value = '';
+            },
+            
+            // Text that arrives without a usable keydown (virtual keyboards,
+            // keyCode 229 outside a composition)
+            input: (e) => {
+                if (e.isComposing || e.inputType === 'insertCompositionText') return;
+                if (e.data) this.sendText(e.data);
+                this.textInput.value = '';
+            },
+            
+            blur: () => {
+                // Keyups won't reach us while unfocused
+                this.releaseAllKeys();
+                
+                // Don't refocus if user clicked on settings panel or its inputs
+                setTimeout(() => {
+                    const activeElement = document.activeElement;
+                    const settingsPanel = document.getElementById('settings-panel');
+                    const settingsToggle = document.getElementById('settings-toggle');
+                    
+                    // Check if focus moved to settings panel or its children, or the toggle button
+                    if (activeElement &&
+                        (activeElement === settingsPanel ||
+                         activeElement === settingsToggle ||
+                         settingsPanel?.contains(activeElement))) {
+                        // Let the settings panel keep focus
+                        return;
+                    }
+                    
+                    // Otherwise, take keyboard focus back for the terminal
+                    this.focus();
+                }, 0);
+            }
+        };
+        
+        this.attachInput(this.canvas);
+        for (const [type, listener] of Object.entries(this.keyboardListeners)) {
+            this.textInput.addEventListener(type, listener);
+        }
+        
+        // Focus terminal on load
+        this.focus();
+    }
+    
+    /**
+     * Hidden textarea that holds keyboard focus so the browser's IME can
+     * compose into it. It sits on the text cursor cell so the candidate
+     * window opens next to the text; the preedit string is drawn by an
+     * overlay in the terminal font until the composition is committed.
+     */
+    setupTextInput() {
+        const input = document.createElement('textarea');
+        input.className = 'tstorie-text-input';
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('autocorrect', 'off');
+        input.setAttribute('autocapitalize', 'off');
+        input.setAttribute('spellcheck', 'false');
+        input.setAttribute('aria-label', 'Terminal input');
+        input.style.cssText = 'position: fixed; left: 0; top: 0; width: 1px; height: 1em;' +
+            'padding: 0; border: 0; margin: 0; outline: none; resize: none; overflow: hidden;' +
+            'opacity: 0; color: transparent; background: transparent; caret-color: transparent;' +
+            'white-space: pre; pointer-events: none; z-index: -1;';
+        
+        const preedit = document.createElement('div');
+        preedit.className = 'tstorie-preedit';
+        preedit.style.cssText = 'position: fixed; display: none; white-space: pre;' +
+            'text-decoration: underline; pointer-events: none; z-index: 1000;';
+        
+        document.body.appendChild(input);
+        document.body.appendChild(preedit);
+        
+        this.textInput = input;
+        this.preeditElement = preedit;
+        
+        // Preedit text while composing, null otherwise
+        this.preedit = null;
+        
+        // Last cell the text input was moved to
+        this.textCursor = { x: -1, y: -1 };
+        
+        // True while a text field claims the cursor; otherwise the virtual
+        // keyboard stays down (inputmode none) so taps don't pop it up
+        this.textInputActive = false;
+        input.inputMode = 'none';
+    }
+    
+    focus() {
+        if (document.activeElement !== this.textInput) {
+            this.textInput.focus({ preventScroll: true });
+        }
+    }
+    
+    /**
+     * Cell typed text goes to: the focused field's cursor as reported by
+     * WASM, or the start of the bottom row when no field claims it
+     */
+    getTextCursor() {
+        if (typeof Module !== 'undefined' && Module._emGetTextCursorX) {
+            const x = Module._emGetTextCursorX();
+            const y = Module._emGetTextCursorY();
+            if (x >= 0 && y >= 0 && x < this.cols && y < this.rows) {
+                return { x, y, active: true };
+            }
+        }
+        return { x: 0, y: this.rows - 1, active: false };
+    }
+    
+    /**
+     * Keep the hidden input (and the preedit overlay) over the text cursor.
+     * Called every frame; only touches the DOM when the cell moves.
+     */
+    updateTextInputPosition(force = false) {
+        const cursor = this.getTextCursor();
+        if (cursor.active !== this.textInputActive) {
+            this.textInputActive = cursor.active;
+            this.textInput.inputMode = cursor.active ? 'text' : 'none';
+        }
+        if (!force && cursor.x === this.textCursor.x && cursor.y === this.textCursor.y) return;
+        this.textCursor = cursor;
+        
+        const grid = this.cssGrid();
+        const left = grid.left + cursor.x * grid.charWidth;
+        const top = grid.top + cursor.y * grid.charHeight;
+        
+        const input = this.textInput.style;
+        input.left = left + 'px';
+        input.top = top + 'px';
+        input.height = grid.charHeight + 'px';
+        input.font = `${this.fontSize}px ${this.fontFamily}`;
+        
+        const preedit = this.preeditElement.style;
+        preedit.left = left + 'px';
+        preedit.top = top + 'px';
+        preedit.height = grid.charHeight + 'px';
+        preedit.lineHeight = grid.charHeight + 'px';
+        preedit.font = `${this.fontSize}px ${this.fontFamily}`;
+        this.updatePreeditColors();
+    }
+    
+    /**
+     * Show the composition string at the text cursor (null hides it)
+     */
+    setPreedit(text) {
+        this.preedit = text;
+        const element = this.preeditElement;
+        
+        if (text === null || text === '') {
+            element.style.display = 'none';
+            element.textContent = '';
+            return;
+        }
+        
+        element.textContent = text;
+        element.style.display = 'block';
+        this.updateTextInputPosition(true);
+    }
+    
+    /**
+     * Preedit takes the colors of the cell it covers so it reads like
+     * text typed into the field
+     */
+    updatePreeditColors() {
+        if (this.preedit === null) return;
+        
+        const { x, y } = this.textCursor;
+        const toCss = (rgb) => '#' + rgb.toString(16).padStart(6, '0');
+        this.preeditElement.style.color = toCss(this.cells.getFg(x, y));
+        this.preeditElement.style.background = toCss(this.cells.getBg(x, y));
+    }
+    
+    sendText(text) {
+        if (typeof Module === 'undefined' || !Module._emHandleTextInput) return;
+        
+        const textPtr = Module.allocateUTF8(text);
+        Module._emHandleTextInput(textPtr);
+        Module._free(textPtr);
+    }
+    
+    attachInput(canvas) {
+        // Touch and wheel handlers call preventDefault, so they can't be passive
+        for (const [type, listener] of Object.entries(this.inputListeners)) {
+            canvas.addEventListener(type, listener, { passive: false });
+        }
+        canvas.style.touchAction = 'none';
+    }
+    
+    detachInput(canvas) {
+        for (const [type, listener] of Object.entries(this.inputListeners)) {
+            canvas.removeEventListener(type, listener);
+        }
+    }
+    
+    /**
+     * Modifier state of a key event as KeyMod bits.
+     * AltGr is reported by some platforms as Ctrl+Alt; it only selects a
+     * character, so it doesn't count as either.
+     */
+    keyModsFromEvent(e) {
+        const altGraph = e.getModifierState ? e.getModifierState('AltGraph') : false;
+        let mods = 0;
+        if (e.shiftKey) mods |= TSTORIE_KEY_MOD_SHIFT;
+        if (e.ctrlKey && !altGraph) mods |= TSTORIE_KEY_MOD_CTRL;
+        if (e.altKey && !altGraph) mods |= TSTORIE_KEY_MOD_ALT;
+        if (e.metaKey) mods |= TSTORIE_KEY_MOD_SUPER;
+        return mods;
+    }
+    
+    /**
+     * Unified tStorie key code for a key event, 0 if it has none
+     * (dead keys, IME processing, unidentified keys)
+     */
+    resolveKeyCode(e, mods) {
+        // Keypad and left/right modifiers go by physical key. With NumLock
+        // off the keypad navigates instead (e.key is ArrowUp, Home, Delete...)
+        const codeKey = TSTORIE_CODE_KEYS[e.code];
+        if (codeKey !== undefined) {
+            const navigating = e.code.startsWith('Numpad') && e.key.length > 1 && e.key !== 'Enter';
+            if (!navigating) return codeKey;
+        }
+        
+        const named = TSTORIE_KEY_CODES[e.key];
+        if (named !== undefined) return named;
+        
+        const cp = e.key.codePointAt(0);
+        if (cp === undefined || String.fromCodePoint(cp) !== e.key) return 0;
+        
+        // Ctrl/Alt/Super change e.key (Alt+S is 'ß' on macOS, Ctrl+Shift+2
+        // may be '@'), so shortcuts on letters and digits use the physical key
+        if (mods & (TSTORIE_KEY_MOD_CTRL | TSTORIE_KEY_MOD_ALT | TSTORIE_KEY_MOD_SUPER)) {
+            const m = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(e.code);
+            if (m) return (m[1] || m[2]).charCodeAt(0);
+        }
+        
+        // Letters report KEY_A..KEY_Z like the terminal backend; the
+        // TextEvent carries the actual case
+        if (cp >= 97 && cp <= 122) return cp - 32;
+        return cp;
+    }
+    
+    handleKeyDown(e) {
+        if (typeof Module === 'undefined') return;
+        
+        const mods = this.keyModsFromEvent(e);
+        const keyCode = this.resolveKeyCode(e, mods);
+        
+        // Printable characters also go through TextEvent, which is what
+        // text entry should read; the KeyEvent is for games and shortcuts
+        const commandMods = mods & (TSTORIE_KEY_MOD_CTRL | TSTORIE_KEY_MOD_ALT | TSTORIE_KEY_MOD_SUPER);
+        const isText = commandMods === 0 && keyCode !== 0 &&
+            [...e.key].length === 1 && e.key.codePointAt(0) >= 32;
+        
+        if (keyCode !== 0) {
+            const scanCode = TSTORIE_SCAN_CODES[e.code] || 0;
+            const action = e.repeat ? TSTORIE_KEY_REPEAT : TSTORIE_KEY_PRESS;
+            this.keys.set(e.code || e.key, { keyCode, scanCode });
+            this.sendKeyEvent(keyCode, scanCode, mods, action, isText);
+        }
+        
+        if (isText) {
+            this.sendText(e.key);
+        }
+    }
+    
+    handleKeyUp(e) {
+        if (typeof Module === 'undefined') return;
+        
+        const held = this.keys.get(e.code || e.key);
+        if (!held) return;
+        this.keys.delete(e.code || e.key);
+        this.sendKeyEvent(held.keyCode, held.scanCode, this.keyModsFromEvent(e), TSTORIE_KEY_RELEASE, false);
+    }
+    
+    /**
+     * Release every held key, e.g. when focus leaves the canvas and the
+     * matching keyups will never arrive
+     */
+    releaseAllKeys() {
+        if (typeof Module === 'undefined') return;
+        
+        for (const held of this.keys.values()) {
+            this.sendKeyEvent(held.keyCode, held.scanCode, 0, TSTORIE_KEY_RELEASE, false);
+        }
+        this.keys.clear();
+    }
+    
+    sendKeyEvent(keyCode, scanCode, mods, action, isText) {
+        if (Module._emHandleKeyEvent) {
+            Module._emHandleKeyEvent(keyCode, scanCode, mods, action);
+            return;
+        }
+        
+        // Older builds only know key presses; their text keys go through
+        // emHandleTextInput alone
+        if (!Module._emHandleKeyPress) {
+            console.warn('Module._emHandleKeyEvent not available');
+            return;
+        }
+        if (action === TSTORIE_KEY_RELEASE || isText) return;
+        if (keyCode === TSTORIE_CODE_KEYS.NumpadEnter) keyCode = TSTORIE_KEY_CODES.Enter;
+        if (keyCode >= 1200 && keyCode < 1300 || keyCode >= 1400) return;  // keypad, modifiers, locks
+        Module._emHandleKeyPress(
+            keyCode,
+            mods & TSTORIE_KEY_MOD_SHIFT ? 1 : 0,
+            mods & TSTORIE_KEY_MOD_ALT ? 1 : 0,
+            mods & TSTORIE_KEY_MOD_CTRL ? 1 : 0
+        );
+    }
+    
+    /**
+     * Where the grid is on the page, in CSS pixels: its top-left corner and
+     * the size of a cell. Uses getBoundingClientRect so it stays correct
+     * when the canvas is scaled by the page. The shader chain hides the
+     * canvas (display:none, an empty rect) and forwards its events from a
+     * canvas at the page origin; cells are then their unscaled size.
+     */
+    cssGrid() {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) {
+            return { left: rect.left, top: rect.top, charWidth: this.charWidth, charHeight: this.charHeight };
+        }
+        return {
+            left: rect.left,
+            top: rect.top,
+            charWidth: rect.width / this.cols,
+            charHeight: rect.height / this.rows
+        };
+    }
+    
+    /**
+     * Mouse event → terminal cell
+     */
+    cellFromEvent(e) {
+        const grid = this.cssGrid();
+        return {
+            x: Math.floor((e.clientX - grid.left) / grid.charWidth),
+            y: Math.floor((e.clientY - grid.top) / grid.charHeight)
+        };
+    }
+    
+    handleMouseClick(e) {
+        if (!Module._emHandleMouseClick) {
+            console.warn('Module._emHandleMouseClick not available');
+            return;
+        }
+        
+        const { x, y } = this.cellFromEvent(e);
+        
+        const shift = e.shiftKey ? 1 : 0;
+        const alt = e.altKey ? 1 : 0;
+        const ctrl = e.ctrlKey ? 1 : 0;
+        Module._emHandleMouseClick(x, y, e.button, shift, alt, ctrl);
+    }
+    
+    handleMouseRelease(e) {
+        if (!Module._emHandleMouseRelease) {
+            console.warn('Module._emHandleMouseRelease not available');
+            return;
+        }
+        
+        const { x, y } = this.cellFromEvent(e);
+        
+        const shift = e.shiftKey ? 1 : 0;
+        const alt = e.altKey ? 1 : 0;
+        const ctrl = e.ctrlKey ? 1 : 0;
+        
+        Module._emHandleMouseRelease(x, y, e.button, shift, alt, ctrl);
+    }
+    
+    handleMouseMove(e) {
+        if (!Module._emHandleMouseMove) return;
+        
+        const { x, y } = this.cellFromEvent(e);
+        
+        if (x !== this.mouseX || y !== this.mouseY) {
+            this.mouseX = x;
+            this.mouseY = y;
+            Module._emHandleMouseMove(x, y);
+        }
+    }
+    
+    handleMouseWheel(e) {
+        if (!Module._emHandleMouseWheel) {
+            console.warn('Module._emHandleMouseWheel not available');
+            return;
+        }
+        
+        const { x, y } = this.cellFromEvent(e);
+        
+        const shift = e.shiftKey ? 1 : 0;
+        const alt = e.altKey ? 1 : 0;
+        const ctrl = e.ctrlKey ? 1 : 0;
+        
+        Module._emHandleMouseWheel(x, y, e.deltaY, shift, alt, ctrl);
+    }
+    
+    /**
+     * True if this mousedown should start a selection instead of going to
+     * WASM: left button, the selection modifier held, and the document
+     * hasn't opted out (emCheckTextSelection reads its front matter)
+     */
+    selectionStartsWith(e) {
+        const options = this.selectionOptions;
+        if (!options.enabled || e.button !== 0) return false;
+        if (!this.modifierHeld(e, options.modifier)) return false;
+        if (typeof Module !== 'undefined' && Module._emCheckTextSelection &&
+            !Module._emCheckTextSelection()) {
+            return false;
+        }
+        return true;
+    }
+    
+    modifierHeld(e, modifier) {
+        switch (modifier) {
+            case 'shift': return e.shiftKey;
+            case 'alt': return e.altKey;
+            case 'ctrl': return e.ctrlKey;
+            case 'meta': return e.metaKey;
+            default: return false;
+        }
+    }
+    
+    /**
+     * Cmd+C on macOS, Ctrl+Shift+C elsewhere (plain Ctrl+C stays with the app)
+     */
+    isCopyShortcut(e) {
+        if (e.code !== 'KeyC' && e.key.toLowerCase() !== 'c') return false;
+        return (e.metaKey && !e.ctrlKey) || (e.ctrlKey && e.shiftKey && !e.metaKey);
+    }
+    
+    startSelection(e) {
+        const mode = this.modifierHeld(e, this.selectionOptions.blockModifier) ? 'block' : 'line';
+        this.selection = new TStorieSelection(mode, this.clampCell(this.cellFromEvent(e)));
+        this.selecting = true;
+        this.cells.setHighlight(this.selection);
+    }
+    
+    updateSelection(e) {
+        // Button released outside the canvas
+        if (e.buttons === 0) {
+            this.endSelection(e);
+            return;
+        }
+        this.extendSelection(this.cellFromEvent(e));
+    }
+    
+    extendSelection(cell) {
+        const selection = this.selection;
+        const top = selection.top;
+        const bottom = selection.bottom;
+        if (!selection.extend(this.clampCell(cell))) return;
+        
+        // Repaint rows the selection left as well as the ones it covers now
+        this.cells.invalidateRows(top, bottom);
+        this.cells.setHighlight(selection);
+    }
+    
+    endSelection(e) {
+        this.extendSelection(this.cellFromEvent(e));
+        this.selecting = false;
+        
+        // A click with the modifier but no drag selects nothing
+        if (this.selection.isEmpty()) {
+            this.clearSelection();
+            return;
+        }
+        if (this.selectionOptions.copyOnSelect) {
+            this.copySelection();
+        }
+    }
+    
+    clearSelection() {
+        if (!this.selection) return;
+        this.selection = null;
+        this.selecting = false;
+        this.cells.setHighlight(null);
+    }
+    
+    getSelectionText() {
+        return this.selection ? this.selection.getText(this.cols, this.rows) : '';
+    }
+    
+    copySelection() {
+        const text = this.getSelectionText();
+        if (!text) return false;
+        
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).catch((error) => {
+                console.warn('[Terminal] Copy failed:', error);
+            });
+            return true;
+        }
+        
+        // No async clipboard (insecure context): copy through the hidden input
+        const input = this.textInput;
+        input.value = text;
+        input.select();
+        const ok = document.execCommand('copy');
+        input.value = '';
+        return ok;
+    }
+    
+    clampCell(cell) {
+        return {
+            x: Math.min(Math.max(cell.x, 0), this.cols - 1),
+            y: Math.min(Math.max(cell.y, 0), this.rows - 1)
+        };
+    }
+    
+    /**
+     * Turn the screen-reader mirror on or off. options (see
+     * TStorieAccessibilityMirror) only apply when it is created.
+     */
+    setAccessibilityMirror(enabled, options = {}) {
+        if (!enabled) {
+            if (this.accessibility) {
+                this.accessibility.destroy();
+                this.accessibility = null;
+            }
+            return;
+        }
+        
+        if (this.accessibility) return;
+        if (typeof TStorieAccessibilityMirror === 'undefined') {
+            console.warn('[Terminal] tstorie-accessibility.js not loaded');
+            return;
+        }
+        this.accessibility = new TStorieAccessibilityMirror(this, options);
+    }
+    
+    /**
+     * Plain text of the whole grid, one line per row (trailing blanks
+     * trimmed). Reads the cell buffer, so it works with or without the
+     * mirror.
+     */
+    getScreenText() {
+        const lines = [];
+        for (let y = 0; y < this.cells.rows; y++) {
+            lines.push(this.cells.getRowText(y));
+        }
+        return lines.join('\n');
+    }
+    
+    /**
+     * Map a swipe direction ('left', 'right', 'up', 'down') to a tStorie
+     * key code; 0 turns the swipe off
+     */
+    setSwipeKey(direction, keyCode) {
+        if (!(direction in this.touchOptions.swipeKeys)) {
+            console.warn('Unknown swipe direction:', direction);
+            return;
+        }
+        this.touchOptions.swipeKeys[direction] = keyCode;
+    }
+    
+    /**
+     * One finger starts a tap, a swipe or (after a long press) a mouse
+     * drag; a second finger turns it into a scroll/pinch gesture
+     */
+    handleTouchStart(e) {
+        if (e.touches.length === 1) {
+            const t = e.touches[0];
+            this.touch = {
+                mode: 'pending',
+                startX: t.clientX,
+                startY: t.clientY,
+                startTime: performance.now(),
+                cell: this.cellFromEvent(t),
+                longPressTimer: setTimeout(() => this.startTouchDrag(), this.touchOptions.longPress)
+            };
+            return;
+        }
+        
+        // Second finger: end whatever the first one was doing
+        if (this.touch && this.touch.mode === 'drag') {
+            this.sendMouseRelease(this.touch.cell);
+        }
+        this.clearTouchTimer();
+        
+        const [a, b] = e.touches;
+        this.touch = {
+            mode: 'gesture',
+            distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY),
+            scrollY: (a.clientY + b.clientY) / 2
+        };
+    }
+    
+    handleTouchMove(e) {
+        const touch = this.touch;
+        if (!touch) return;
+        
+        if (touch.mode === 'gesture') {
+            if (e.touches.length >= 2) this.handleTouchGesture(e.touches[0], e.touches[1]);
+            return;
+        }
+        
+        const t = e.touches[0];
+        if (touch.mode === 'pending') {
+            const moved = Math.hypot(t.clientX - touch.startX, t.clientY - touch.startY);
+            if (moved > this.touchOptions.tapSlop) {
+                this.clearTouchTimer();
+                touch.mode = 'swipe';
+            }
+        } else if (touch.mode === 'drag') {
+            const cell = this.cellFromEvent(t);
+            if (cell.x !== touch.cell.x || cell.y !== touch.cell.y) {
+                touch.cell = cell;
+                this.sendMouseMove(cell);
+            }
+        }
+    }
+    
+    handleTouchEnd(e) {
+        const touch = this.touch;
+        if (!touch) return;
+        
+        // Lifting one finger of a gesture doesn't start anything new
+        if (e.touches.length > 0) return;
+        
+        this.clearTouchTimer();
+        this.touch = null;
+        
+        if (touch.mode === 'pending') {
+            this.handleTap(touch.cell);
+        } else if (touch.mode === 'drag') {
+            this.sendMouseRelease(touch.cell);
+        } else if (touch.mode === 'swipe') {
+            const t = e.changedTouches[0];
+            this.handleSwipe(t.clientX - touch.startX, t.clientY - touch.startY,
+                performance.now() - touch.startTime);
+        }
+    }
+    
+    cancelTouch() {
+        if (this.touch && this.touch.mode === 'drag') {
+            this.sendMouseRelease(this.touch.cell);
+        }
+        this.clearTouchTimer();
+        this.touch = null;
+    }
+    
+    clearTouchTimer() {
+        if (this.touch && this.touch.longPressTimer) {
+            clearTimeout(this.touch.longPressTimer);
+            this.touch.longPressTimer = null;
+        }
+    }
+    
+    startTouchDrag() {
+        const touch = this.touch;
+        if (!touch || touch.mode !== 'pending') return;
+        
+        touch.longPressTimer = null;
+        touch.mode = 'drag';
+        this.sendMouseMove(touch.cell);
+        this.sendMouseClick(touch.cell);
+    }
+    
+    handleTap(cell) {
+        // Bring up the virtual keyboard when the tap lands in a text field
+        if (this.textInputActive) this.focus();
+        
+        this.sendMouseMove(cell);
+        this.sendMouseClick(cell);
+        this.sendMouseRelease(cell);
+    }
+    
+    handleSwipe(dx, dy, duration) {
+        const options = this.touchOptions;
+        if (duration > options.swipeTime) return;
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < options.swipeDistance) return;
+        
+        const direction = Math.abs(dx) > Math.abs(dy)
+            ? (dx < 0 ? 'left' : 'right')
+            : (dy < 0 ? 'up' : 'down');
+        const keyCode = options.swipeKeys[direction];
+        if (!keyCode || typeof Module === 'undefined') return;
+        
+        this.sendKeyEvent(keyCode, 0, 0, TSTORIE_KEY_PRESS, false);
+        this.sendKeyEvent(keyCode, 0, 0, TSTORIE_KEY_RELEASE, false);
+    }
+    
+    /**
+     * Two fingers: spreading/pinching steps the font scale, moving
+     * together scrolls one wheel notch per cell height
+     */
+    handleTouchGesture(a, b) {
+        const touch = this.touch;
+        const options = this.touchOptions;
+        
+        const distance = Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+        const ratio = touch.distance > 0 ? distance / touch.distance : 1;
+        if (ratio >= options.pinchStep || ratio <= 1 / options.pinchStep) {
+            touch.distance = distance;
+            this.setFontScale(ratio);
+            return;
+        }
+        
+        const midX = (a.clientX + b.clientX) / 2;
+        const midY = (a.clientY + b.clientY) / 2;
+        const cssCharHeight = this.cssGrid().charHeight;
+        
+        // Content follows the fingers: moving up scrolls down
+        const delta = touch.scrollY - midY;
+        if (Math.abs(delta) < cssCharHeight) return;
+        
+        const steps = Math.trunc(delta / cssCharHeight);
+        touch.scrollY -= steps * cssCharHeight;
+        
+        if (typeof Module === 'undefined' || !Module._emHandleMouseWheel) return;
+        const cell = this.cellFromEvent({ clientX: midX, clientY: midY });
+        for (let i = 0; i < Math.abs(steps); i++) {
+            Module._emHandleMouseWheel(cell.x, cell.y, Math.sign(steps), 0, 0, 0);
+        }
+    }
+    
+    sendMouseMove(cell) {
+        if (typeof Module === 'undefined' || !Module._emHandleMouseMove) return;
+        this.mouseX = cell.x;
+        this.mouseY = cell.y;
+        Module._emHandleMouseMove(cell.x, cell.y);
+    }
+    
+    sendMouseClick(cell) {
+        if (typeof Module === 'undefined' || !Module._emHandleMouseClick) return;
+        Module._emHandleMouseClick(cell.x, cell.y, 0, 0, 0, 0);
+    }
+    
+    sendMouseRelease(cell) {
+        if (typeof Module === 'undefined' || !Module._emHandleMouseRelease) return;
+        Module._emHandleMouseRelease(cell.x, cell.y, 0, 0, 0, 0);
+    }
+    
+    /**
+     * Pull the frame from WASM and let the backend draw what changed.
+     * Returns true if anything was drawn.
+     */
+    render() {
+        const backend = this.drawBackend;
+        if (!backend || !backend.ready) return false;
+        
+        if (!this.cells.refresh(this.cols, this.rows)) {
+            console.warn('Module cell buffer not available');
+            return false;
+        }
+        
+        // The mirror also tracks the text cursor, which moves without
+        // dirtying any cells
+        if (this.accessibility) {
+            this.accessibility.update();
+        }
+        
+        // Nothing changed - the canvas already shows this frame
+        if (!this.cells.hasChanges()) return false;
+        
+        backend.render(this);
+        return true;
+    }
+    
+    startAnimationLoop() {
+        // One loop per host - backends come and go underneath it
+        if (this.animationStarted) return;
+        this.animationStarted = true;
+        
+        const animate = (currentTime) => {
+            // Throttle to target FPS
+            const elapsed = currentTime - this.lastFrameTime;
+            
+            if (elapsed >= this.frameInterval) {
+                this.lastFrameTime = currentTime;
+                
+                // Update and render
+                if (typeof Module !== 'undefined' && Module._emUpdate) {
+                    Module._emUpdate(elapsed);
+                }
+                
+                const changed = this.render();
+                this.updateTextInputPosition();
+                
+                // Notify shader system that terminal render is complete
+                // This ensures shader system samples a fully rendered frame
+                // (changed=false lets it skip re-uploading the terminal texture)
+                if (window.shaderSystem && window.shaderSystem.onTerminalRenderComplete) {
+                    window.shaderSystem.onTerminalRenderComplete(changed);
+                }
+            }
+            
+            requestAnimationFrame(animate);
+        };
+        
+        requestAnimationFrame(animate);
+    }
+    
+    destroy() {
+        if (this.drawBackend) {
+            this.drawBackend.destroy();
+        }
+        this.drawBackend = null;
+        
+        this.cancelTouch();
+        this.setAccessibilityMirror(false);
+        this.textInput.remove();
+        this.preeditElement.remove();
+    }
+}
+
+// Export for use in TStorie
+if (typeof window !== 'undefined') {
+    window.TStorieTerminalHost = TStorieTerminalHost;
+    window.TSTORIE_KEY_CODES = TSTORIE_KEY_CODES;
+    window.TSTORIE_CODE_KEYS = TSTORIE_CODE_KEYS;
+    window.TSTORIE_SCAN_CODES = TSTORIE_SCAN_CODES;
+    
+    // Font metric and scaling functions for WASM access (whichever terminal is active)
+    window.getCharPixelWidth = function() {
+        return window.terminal ? window.terminal.getCharPixelWidth() : 10;
+    };
+    
+    window.getCharPixelHeight = function() {
+        return window.terminal ? window.terminal.getCharPixelHeight() : 20;
+    };
+    
+    window.getViewportPixelWidth = function() {
+        return window.terminal ? window.terminal.getViewportPixelWidth() : window.innerWidth;
+    };
+    
+    window.getViewportPixelHeight = function() {
+        return window.terminal ? window.terminal.getViewportPixelHeight() : window.innerHeight;
+    };
+    
+    window.setFontSize = function(size) {
+        if (window.terminal) {
+            window.terminal.setFontSize(size);
+        }
+    };
+    
+    window.setFontScale = function(scale) {
+        if (window.terminal) {
+            window.terminal.setFontScale(scale);
+        }
+    };
+}
@@ -97,9 +97,12 @@ class WebGPUBridge {
       this.queue = this.device.queue;
 
       // Handle device lost
-      this.device.lost.then((info) => {
+      const device = this.device;
+      device.lost.then((info) => {
         console.error('[WebGPU] Device lost:', info.message);
-        this.initialized = false;
+        if (device === this.device) {
+          this.reset();
+        }
       });
 
       this.initialized = true;
@@ -110,6 +113,25 @@ class WebGPUBridge {
     return this.initPromise;
   }
 
+  /**
+   * Forget the lost device and everything created on it, so the next
+   * init() requests a new one (renderer and shader chain recovery call it)
+   */
+  reset() {
+    this.device = null;
+    this.adapter = null;
+    this.queue = null;
+    this.pipelines.clear();
+    this.buffers.clear();
+    this.bindGroups.clear();
+    this.shaderModules.clear();
+    this.currentNoiseBuffer = null;
+    this.currentNoiseResults = null;
+    this.previousNoiseResources = null;
+    this.initialized = false;
+    this.initPromise = null;
+  }
+
   /**
    * Compile a WGSL shader module
    * @param {string} name - Unique shader name
@@ -107,15 +107,19 @@ window.tStorie_injectWGSLShader = function(name, vertexCode, fragmentCode, unifo
     // Note: We combine vertex+fragment into fragmentShader field if vertex is empty
     const combinedCode = vertexCode ? vertexCode + '\n' + fragmentCode : fragmentCode;
     
+    // Stored as a data-only shader package, never as script
+    // (tstorie-shader-package.js)
     const shaderConfig = {
       name: name,
-      content: `function getShaderConfig() { 
-        return { 
-          vertexShader: \`${vertexCode}\`, 
-          fragmentShader: \`${combinedCode}\`, 
-          uniforms: ${JSON.stringify(uniforms)} 
-        }; 
-      }`
+      content: JSON.stringify({
+        format: 'tstorie-shader',
+        version: 1,
+        name: name,
+        language: 'wgsl',
+        vertexShader: vertexCode,
+        fragmentShader: combinedCode,
+        uniforms: uniforms
+      })
     };
     
     window.shaderCodes.push(shaderConfig);
@@ -28,6 +28,7 @@ import strutils, unicode
 import ../nimini/auto_bindings
 import ../src/types
 import ../src/layers
+import storie_themes  # ANSI palette of the active theme
 
 export Cell, Style, TermBuffer
 
@@ -37,35 +38,22 @@ export Cell, Style, TermBuffer
 
 proc ansi8ToRgb*(colorNum: int): Color =
   ## Convert 8-color ANSI code (0-7 or 8-15 for bright) to RGB
-  const baseColors = [
-    (0'u8, 0'u8, 0'u8),       # 0: Black
-    (205'u8, 49'u8, 49'u8),   # 1: Red
-    (13'u8, 188'u8, 121'u8),  # 2: Green
-    (229'u8, 229'u8, 16'u8),  # 3: Yellow
-    (36'u8, 114'u8, 200'u8),  # 4: Blue
-    (188'u8, 63'u8, 188'u8),  # 5: Magenta
-    (17'u8, 168'u8, 205'u8),  # 6: Cyan
-    (229'u8, 229'u8, 229'u8), # 7: White (light gray)
-  ]
-  
-  const brightColors = [
-    (102'u8, 102'u8, 102'u8), # 8: Bright Black (dark gray)
-    (241'u8, 76'u8, 76'u8),   # 9: Bright Red
-    (35'u8, 209'u8, 139'u8),  # 10: Bright Green
-    (245'u8, 245'u8, 67'u8),  # 11: Bright Yellow
-    (59'u8, 142'u8, 234'u8),  # 12: Bright Blue
-    (214'u8, 112'u8, 214'u8), # 13: Bright Magenta
-    (41'u8, 184'u8, 219'u8),  # 14: Bright Cyan
-    (255'u8, 255'u8, 255'u8), # 15: Bright White
-  ]
-  
-  let idx = colorNum mod 16
-  if idx < 8:
-    let c = baseColors[idx]
-    return Color(r: c[0], g: c[1], b: c[2])
-  else:
-    let c = brightColors[idx - 8]
-    return Color(r: c[0], g: c[1], b: c[2])
+  ## Colors come from the active theme's palette (DefaultAnsiColors unless
+  ## the theme brings its own)
+  let c = activeTheme().ansiColors()[colorNum mod 16]
+  return Color(r: c.r, g: c.g, b: c.b)
+
+proc ansiDimToRgb(slot: int): Color =
+  ## The active theme's faint (SGR 2) color for palette slot 0-7
+  let c = activeTheme().dim[slot]
+  return Color(r: c.r, g: c.g, b: c.b)
+
+proc ansiPaletteSlot(color: Color): int =
+  ## Palette slot (0-7) a foreground shows, normal or dim; -1 if none
+  for slot in 0 ..< 8:
+    if color == ansi8ToRgb(slot) or color == ansiDimToRgb(slot):
+      return slot
+  return -1
 
 proc ansi256ToRgb*(colorNum: int): Color =
   ## Convert 256-color ANSI code to RGB
@@ -98,6 +86,10 @@ proc ansi256ToRgb*(colorNum: int): Color =
 proc applySgrParams*(params: seq[int], style: var Style) =
   ## Apply SGR (Select Graphic Rendition) parameters to a style
   ## Handles colors, bold, italic, underline, dim, etc.
+  ## With a theme that has dim colors, faint text in palette colors 0-7
+  ## takes the theme's dim color (and the normal one back after SGR 22)
+  let themeDim = activeTheme().hasDim
+  var fgSlot = if themeDim: ansiPaletteSlot(style.fg) else: -1
   var i = 0
   
   while i < params.len:
@@ -112,6 +104,7 @@ proc applySgrParams*(params: seq[int], style: var Style) =
       style.italic = defaultSty.italic
       style.underline = defaultSty.underline
       style.dim = defaultSty.dim
+      fgSlot = -1
     
     # Font styles
     of 1:  # Bold
@@ -133,6 +126,7 @@ proc applySgrParams*(params: seq[int], style: var Style) =
     # Foreground colors (8-color)
     of 30..37:
       style.fg = ansi8ToRgb(code - 30)
+      fgSlot = code - 30
     
     # Background colors (8-color)
     of 40..47:
@@ -144,6 +138,7 @@ proc applySgrParams*(params: seq[int], style: var Style) =
         if params[i + 1] == 5:
           # 256-color mode: ESC[38;5;<n>m
           style.fg = ansi256ToRgb(params[i + 2])
+          fgSlot = -1
           i += 2
         elif params[i + 1] == 2 and i + 4 < params.len:
           # RGB mode: ESC[38;2;<r>;<g>;<b>m
@@ -151,6 +146,7 @@ proc applySgrParams*(params: seq[int], style: var Style) =
           let g = params[i + 3].uint8
           let b = params[i + 4].uint8
           style.fg = Color(r: r, g: g, b: b)
+          fgSlot = -1
           i += 4
     
     # Extended background color
@@ -171,6 +167,7 @@ proc applySgrParams*(params: seq[int], style: var Style) =
     # Default foreground color
     of 39:
       style.fg = white()
+      fgSlot = -1
     
     # Default background color
     of 49:
@@ -179,6 +176,7 @@ proc applySgrParams*(params: seq[int], style: var Style) =
     # Bright foreground colors (90-97)
     of 90..97:
       style.fg = ansi8ToRgb(code - 90 + 8)
+      fgSlot = -1
     
     # Bright background colors (100-107)
     of 100..107:
@@ -188,6 +186,9 @@ proc applySgrParams*(params: seq[int], style: var Style) =
       discard  # Ignore unsupported codes
     
     inc i
+  
+  if themeDim and fgSlot >= 0:
+    style.fg = if style.dim: ansiDimToRgb(fgSlot) else: ansi8ToRgb(fgSlot)
 
 # ================================================================
 # ANSI ESCAPE SEQUENCE PARSER
@@ -138,6 +138,9 @@ type
   # Callback type for executing code blocks (lifecycle hooks)
   ExecuteCodeBlockCallback* = proc(codeBlock: CodeBlock, lifecycle: string): bool
   
+  # Callback type for reacting to navigation into a different section
+  SectionChangeCallback* = proc(section: Section)
+  
   CanvasState* = ref object
     camera*: Camera
     sections*: seq[SectionLayout]
@@ -152,6 +155,7 @@ type
     lastViewportWidth*: int
     lastViewportHeight*: int
     executeCallback*: ExecuteCodeBlockCallback  # Callback to execute lifecycle hooks
+    sectionChangeCallback*: SectionChangeCallback  # Called when navigation enters a different section
     contentBuffers*: Table[string, seq[string]]  # Per-section buffers for dynamically generated content
     frontMatter*: FrontMatter  # Document front matter for global settings like hideHeadings
     currentContentBounds*: ContentBounds  # Current section's content rendering bounds (for mouse coords)
@@ -368,6 +372,10 @@ proc navigateToSection*(sectionIdx: int) =
   if not gSectionMgr.isNil and sectionIdx >= 0 and sectionIdx < gSectionMgr[].sections.len:
     gSectionMgr[].currentIndex = sectionIdx
   
+  # Let the application react to the change (e.g. play a screen transition)
+  if previousIdx != sectionIdx and not canvasState.sectionChangeCallback.isNil:
+    canvasState.sectionChangeCallback(canvasState.sections[sectionIdx].section)
+  
   canvasState.focusedLinkIdx = 0
   
   # Note: Content buffers are per-section, so no need to clear on navigation
@@ -831,6 +839,12 @@ proc setExecuteCallback*(callback: ExecuteCodeBlockCallback) =
   if not canvasState.isNil:
     canvasState.executeCallback = callback
 
+proc setSectionChangeCallback*(callback: SectionChangeCallback) =
+  ## Set the callback called with the new section whenever navigation
+  ## changes sections (after on:exit, before on:enter)
+  if not canvasState.isNil:
+    canvasState.sectionChangeCallback = callback
+
 # ================================================================
 # PUBLIC API EXPORTS
 # ================================================================
@@ -2103,4 +2117,5 @@ proc registerCanvasBindings*(buffer: ptr TermBuffer, appState: ptr AppState,
 # Export rendering functions
 export canvasRender, canvasUpdate, canvasHandleKey, canvasHandleMouse, getSectionCount
 export registerCanvasBindings, setExecuteCallback, ExecuteCodeBlockCallback
+export setSectionChangeCallback, SectionChangeCallback
 export initCanvasModule  # For import mode initialization
@@ -549,6 +549,62 @@ proc registerTstorieApis*(env: ref Env, appState: AppState) =
   env.vars["KEY_F10"] = valInt(KEY_F10.int)
   env.vars["KEY_F11"] = valInt(KEY_F11.int)
   env.vars["KEY_F12"] = valInt(KEY_F12.int)
+  env.vars["KEY_F13"] = valInt(KEY_F13.int)
+  env.vars["KEY_F14"] = valInt(KEY_F14.int)
+  env.vars["KEY_F15"] = valInt(KEY_F15.int)
+  env.vars["KEY_F16"] = valInt(KEY_F16.int)
+  env.vars["KEY_F17"] = valInt(KEY_F17.int)
+  env.vars["KEY_F18"] = valInt(KEY_F18.int)
+  env.vars["KEY_F19"] = valInt(KEY_F19.int)
+  env.vars["KEY_F20"] = valInt(KEY_F20.int)
+  env.vars["KEY_F21"] = valInt(KEY_F21.int)
+  env.vars["KEY_F22"] = valInt(KEY_F22.int)
+  env.vars["KEY_F23"] = valInt(KEY_F23.int)
+  env.vars["KEY_F24"] = valInt(KEY_F24.int)
+  
+  # Keypad
+  env.vars["KEY_KP_0"] = valInt(KEY_KP_0.int)
+  env.vars["KEY_KP_1"] = valInt(KEY_KP_1.int)
+  env.vars["KEY_KP_2"] = valInt(KEY_KP_2.int)
+  env.vars["KEY_KP_3"] = valInt(KEY_KP_3.int)
+  env.vars["KEY_KP_4"] = valInt(KEY_KP_4.int)
+  env.vars["KEY_KP_5"] = valInt(KEY_KP_5.int)
+  env.vars["KEY_KP_6"] = valInt(KEY_KP_6.int)
+  env.vars["KEY_KP_7"] = valInt(KEY_KP_7.int)
+  env.vars["KEY_KP_8"] = valInt(KEY_KP_8.int)
+  env.vars["KEY_KP_9"] = valInt(KEY_KP_9.int)
+  env.vars["KEY_KP_PERIOD"] = valInt(KEY_KP_PERIOD.int)
+  env.vars["KEY_KP_DIVIDE"] = valInt(KEY_KP_DIVIDE.int)
+  env.vars["KEY_KP_MULTIPLY"] = valInt(KEY_KP_MULTIPLY.int)
+  env.vars["KEY_KP_MINUS"] = valInt(KEY_KP_MINUS.int)
+  env.vars["KEY_KP_PLUS"] = valInt(KEY_KP_PLUS.int)
+  env.vars["KEY_KP_ENTER"] = valInt(KEY_KP_ENTER.int)
+  env.vars["KEY_KP_EQUALS"] = valInt(KEY_KP_EQUALS.int)
+  
+  # Media keys
+  env.vars["KEY_MEDIA_PLAY_PAUSE"] = valInt(KEY_MEDIA_PLAY_PAUSE.int)
+  env.vars["KEY_MEDIA_STOP"] = valInt(KEY_MEDIA_STOP.int)
+  env.vars["KEY_MEDIA_NEXT"] = valInt(KEY_MEDIA_NEXT.int)
+  env.vars["KEY_MEDIA_PREV"] = valInt(KEY_MEDIA_PREV.int)
+  env.vars["KEY_VOLUME_UP"] = valInt(KEY_VOLUME_UP.int)
+  env.vars["KEY_VOLUME_DOWN"] = valInt(KEY_VOLUME_DOWN.int)
+  env.vars["KEY_VOLUME_MUTE"] = valInt(KEY_VOLUME_MUTE.int)
+  
+  # Modifier & lock keys
+  env.vars["KEY_LSHIFT"] = valInt(KEY_LSHIFT.int)
+  env.vars["KEY_RSHIFT"] = valInt(KEY_RSHIFT.int)
+  env.vars["KEY_LCTRL"] = valInt(KEY_LCTRL.int)
+  env.vars["KEY_RCTRL"] = valInt(KEY_RCTRL.int)
+  env.vars["KEY_LALT"] = valInt(KEY_LALT.int)
+  env.vars["KEY_RALT"] = valInt(KEY_RALT.int)
+  env.vars["KEY_LSUPER"] = valInt(KEY_LSUPER.int)
+  env.vars["KEY_RSUPER"] = valInt(KEY_RSUPER.int)
+  env.vars["KEY_CAPSLOCK"] = valInt(KEY_CAPSLOCK.int)
+  env.vars["KEY_NUMLOCK"] = valInt(KEY_NUMLOCK.int)
+  env.vars["KEY_SCROLLLOCK"] = valInt(KEY_SCROLLLOCK.int)
+  env.vars["KEY_PRINTSCREEN"] = valInt(KEY_PRINTSCREEN.int)
+  env.vars["KEY_PAUSE"] = valInt(KEY_PAUSE.int)
+  env.vars["KEY_MENU"] = valInt(KEY_MENU.int)
   
   # Numbers
   env.vars["KEY_0"] = valInt(KEY_0.int)
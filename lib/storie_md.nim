@@ -412,6 +412,7 @@ proc parseMarkdownDocument*(content: string): MarkdownDocument =
   result.codeBlocks = @[]
   result.sections = @[]
   result.embeddedContent = @[]
+  result.shaderBlocks = @[]
   
   var lines = content.splitLines()
   var i = 0
@@ -634,6 +635,34 @@ proc parseMarkdownDocument*(content: string): MarkdownDocument =
           inc i
           continue
         
+        # Check for shader blocks: ```shader name=wobble lang=glsl
+        elif header == "shader":
+          var shaderBlock = ShaderBlock(
+            name: "shader_" & $(result.shaderBlocks.len + 1),
+            line: i + 2  # Body starts on the line after the fence
+          )
+          for part in headerParts[1..^1]:
+            let eq = part.find('=')
+            if eq <= 0:
+              continue
+            let value = part[eq + 1..^1].strip(chars = {'"', '\''})
+            case part[0..<eq].toLowerAscii()
+            of "name": shaderBlock.name = value
+            of "lang", "language": shaderBlock.language = value.toLowerAscii()
+            else: discard
+          # Extract shader source
+          var shaderLines: seq[string] = @[]
+          inc i
+          while i < lines.len:
+            if lines[i].strip().startsWith("```"):
+              break
+            shaderLines.add(lines[i])
+            inc i
+          shaderBlock.code = shaderLines.join("\n")
+          result.shaderBlocks.add(shaderBlock)
+          inc i
+          continue
+        
         # Check for magic blocks: ```magic name="bugs" count="100"
         elif header.toLowerAscii() == "magic":
           when not defined(release):
@@ -773,6 +802,13 @@ proc parseMarkdownDocument*(content: string): MarkdownDocument =
                   wgslShader: shader
                 ))
                 hasCurrentSection = true
+            
+            # Shader blocks from expanded content (their lines are in the
+            # expanded text, not in this document)
+            for shaderBlock in expandedDoc.shaderBlocks:
+              var expandedBlock = shaderBlock
+              expandedBlock.line = 0
+              result.shaderBlocks.add(expandedBlock)
           
           except Exception:
             # If decompression fails, skip this block
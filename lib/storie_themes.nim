@@ -17,6 +17,37 @@ type
     accent1*: tuple[r, g, b: uint8]   # Primary accent
     accent2*: tuple[r, g, b: uint8]   # Secondary accent
     accent3*: tuple[r, g, b: uint8]   # Tertiary accent
+    # Theme format v2 (see docs/theme-builder.js); only set when hasPalette,
+    # other themes get the defaults from ansiColors() / cursor and selection
+    # derived from the colors above
+    hasPalette*: bool
+    cursor*: tuple[r, g, b: uint8]
+    cursorText*: tuple[r, g, b: uint8]
+    selection*: tuple[r, g, b: uint8]
+    selectionText*: tuple[r, g, b: uint8]
+    ansi*: array[16, tuple[r, g, b: uint8]]  # 0-7 normal, 8-15 bright
+    hasDim*: bool
+    dim*: array[8, tuple[r, g, b: uint8]]    # Faint (SGR 2) colors 0-7
+
+# ANSI palette for themes that don't bring their own
+const DefaultAnsiColors*: array[16, tuple[r, g, b: uint8]] = [
+  (0'u8, 0'u8, 0'u8),       # 0: Black
+  (205'u8, 49'u8, 49'u8),   # 1: Red
+  (13'u8, 188'u8, 121'u8),  # 2: Green
+  (229'u8, 229'u8, 16'u8),  # 3: Yellow
+  (36'u8, 114'u8, 200'u8),  # 4: Blue
+  (188'u8, 63'u8, 188'u8),  # 5: Magenta
+  (17'u8, 168'u8, 205'u8),  # 6: Cyan
+  (229'u8, 229'u8, 229'u8), # 7: White (light gray)
+  (102'u8, 102'u8, 102'u8), # 8: Bright Black (dark gray)
+  (241'u8, 76'u8, 76'u8),   # 9: Bright Red
+  (35'u8, 209'u8, 139'u8),  # 10: Bright Green
+  (245'u8, 245'u8, 67'u8),  # 11: Bright Yellow
+  (59'u8, 142'u8, 234'u8),  # 12: Bright Blue
+  (214'u8, 112'u8, 214'u8), # 13: Bright Magenta
+  (41'u8, 184'u8, 219'u8),  # 14: Bright Cyan
+  (255'u8, 255'u8, 255'u8), # 15: Bright White
+]
 
 # Theme definitions
 const
@@ -184,6 +215,8 @@ proc toHexString*(theme: ThemeColors): string =
   ## Convert ThemeColors to hex string format for URL sharing
   ## Format: RRGGBB+RRGGBB+RRGGBB+RRGGBB+RRGGBB+RRGGBB+RRGGBB
   ## Order: bg, bgAlt, fg, fgAlt, accent1, accent2, accent3
+  ## Themes with a palette continue with cursor, cursorText, selection,
+  ## selectionText, the 16 ANSI colors and the 8 dim colors if they have them
   result.add(theme.bg.toHexString())
   result.add("+" & theme.bgAlt.toHexString())
   result.add("+" & theme.fg.toHexString())
@@ -191,12 +224,24 @@ proc toHexString*(theme: ThemeColors): string =
   result.add("+" & theme.accent1.toHexString())
   result.add("+" & theme.accent2.toHexString())
   result.add("+" & theme.accent3.toHexString())
+  
+  if theme.hasPalette:
+    for color in [theme.cursor, theme.cursorText, theme.selection, theme.selectionText]:
+      result.add("+" & color.toHexString())
+    for color in theme.ansi:
+      result.add("+" & color.toHexString())
+    if theme.hasDim:
+      for color in theme.dim:
+        result.add("+" & color.toHexString())
 
 proc parseCustomTheme*(hexString: string): Option[ThemeColors] =
   ## Parse custom theme from hex color string
   ## Format: RRGGBB+RRGGBB+RRGGBB+RRGGBB+RRGGBB+RRGGBB+RRGGBB (preferred)
   ##     or: #RRGGBB#RRGGBB#RRGGBB#RRGGBB#RRGGBB#RRGGBB#RRGGBB (legacy)
   ## Order: bg, bgAlt, fg, fgAlt, accent1, accent2, accent3
+  ## Theme format v2 (see docs/theme-builder.js) continues with
+  ## cursor, cursorText, selection, selectionText, the 16 ANSI colors and
+  ## optionally 8 dim colors: 27 or 35 colors in all
   ## Returns None if parsing fails
   
   # Determine separator (+ or # or space from URL-decoded +)
@@ -213,8 +258,8 @@ proc parseCustomTheme*(hexString: string): Option[ThemeColors] =
     if part.len > 0:
       parts.add(part)
   
-  # Must have exactly 7 colors
-  if parts.len != 7:
+  # 7 colors, or a v2 string: 11 roles + 16 ANSI colors (+ 8 dim colors)
+  if parts.len notin [7, 27, 35]:
     return none(ThemeColors)
   
   # Parse each hex color
@@ -232,7 +277,7 @@ proc parseCustomTheme*(hexString: string): Option[ThemeColors] =
       return none(ThemeColors)
   
   # Build ThemeColors from parsed values
-  return some(ThemeColors(
+  var theme = ThemeColors(
     bg: colors[0],
     bgAlt: colors[1],
     fg: colors[2],
@@ -240,7 +285,41 @@ proc parseCustomTheme*(hexString: string): Option[ThemeColors] =
     accent1: colors[4],
     accent2: colors[5],
     accent3: colors[6]
-  ))
+  )
+  
+  if colors.len >= 27:
+    theme.hasPalette = true
+    theme.cursor = colors[7]
+    theme.cursorText = colors[8]
+    theme.selection = colors[9]
+    theme.selectionText = colors[10]
+    for i in 0 ..< 16:
+      theme.ansi[i] = colors[11 + i]
+  if colors.len == 35:
+    theme.hasDim = true
+    for i in 0 ..< 8:
+      theme.dim[i] = colors[27 + i]
+  
+  return some(theme)
+
+proc ansiColors*(theme: ThemeColors): array[16, tuple[r, g, b: uint8]] =
+  ## The theme's 16-color ANSI palette (DefaultAnsiColors if it has none)
+  if theme.hasPalette: theme.ansi else: DefaultAnsiColors
+
+proc cursorColors*(theme: ThemeColors): tuple[fg, bg: tuple[r, g, b: uint8]] =
+  ## Text and block colors of the cursor (accent1 block if the theme has no palette)
+  if theme.hasPalette: (theme.cursorText, theme.cursor) else: (theme.bg, theme.accent1)
+
+proc selectionColors*(theme: ThemeColors): tuple[fg, bg: tuple[r, g, b: uint8]] =
+  ## Text and background colors of selected text
+  if theme.hasPalette: (theme.selectionText, theme.selection) else: (theme.fg, theme.accent2)
+
+# The theme ANSI content is drawn with (set by applyTheme)
+var gActiveTheme = Neotopia
+
+proc activeTheme*(): ThemeColors =
+  ## The theme last applied with applyTheme
+  gActiveTheme
 
 proc getTheme*(name: string): ThemeColors =
   ## Get theme colors by name (case-insensitive)
@@ -265,6 +344,8 @@ proc applyTheme*(theme: ThemeColors, themeName: string = ""): StyleSheet =
   ## Convert a theme into a StyleSheet with standard style names
   ## This creates default styles that can be overridden individually
   ## Applies theme-specific adjustments when themeName is provided
+  ## Also makes it the active theme, whose ANSI palette ANSI art uses
+  gActiveTheme = theme
   result = initTable[string, StyleConfig]()
   
   # Default body text
@@ -507,9 +588,10 @@ proc applyEditorStyles*(theme: ThemeColors): StyleSheet =
   )
   
   # Cursor
+  let cursor = theme.cursorColors()
   result["editor.cursor"] = StyleConfig(
-    fg: theme.bg,
-    bg: theme.accent1,
+    fg: cursor.fg,
+    bg: cursor.bg,
     bold: false,
     italic: false,
     underline: false,
@@ -517,9 +599,10 @@ proc applyEditorStyles*(theme: ThemeColors): StyleSheet =
   )
   
   # Text selection
+  let selection = theme.selectionColors()
   result["editor.selection"] = StyleConfig(
-    fg: theme.fg,
-    bg: theme.accent2,
+    fg: selection.fg,
+    bg: selection.bg,
     bold: false,
     italic: false,
     underline: false,
@@ -50,6 +50,14 @@ type
     kind*: EmbeddedContentKind ## Type of embedded content
     content*: string           ## The actual content data
   
+  ShaderBlock* = object
+    ## ```shader block: a post-processing shader defined in the document,
+    ## handed to the web shader chain (tstorie-shader-package.js parses it)
+    name*: string              ## name=... (what `shaders:` front matter refers to)
+    language*: string          ## lang=glsl|wgsl ("" = detect from the code)
+    code*: string              ## Block body (--- uniforms / vertex / fragment sections)
+    line*: int                 ## Document line the body starts on (1-based, 0 = unknown)
+  
   FrontMatter* = Table[string, string]
   
   MarkdownElement* = object
@@ -98,3 +106,4 @@ type
     sections*: seq[Section]           ## Structured section-based view
     embeddedContent*: seq[EmbeddedContent]  ## Embedded data blocks (figlet fonts, data files, etc.)
     wgslShaders*: seq[WGSLShader]     ## GPU compute/render shaders
+    shaderBlocks*: seq[ShaderBlock]   ## Post-processing shaders (```shader blocks)
@@ -27,6 +27,7 @@ import storie_types
 import tui_helpers
 import ../src/types
 import ../src/layers
+import ../src/input/types  # KEY_* codes
 
 # ==============================================================================
 # DATA STRUCTURES
@@ -782,41 +783,42 @@ proc handleEditorKeyPress*(state: EditorState, keyCode: int, key: string,
   let ctrl = "ctrl" in mods
   let shift = "shift" in mods
   
+  # Key codes are the unified KEY_* codes every backend sends
   case keyCode
-  of 37, 10002:  # Left arrow (browser: 37, terminal: 10002)
+  of KEY_LEFT.int:
     moveCursorLeft(state)
     return true
-  of 38, 10000:  # Up arrow (browser: 38, terminal: 10000)
+  of KEY_UP.int:
     moveCursorUp(state)
     return true
-  of 39, 10003:  # Right arrow (browser: 39, terminal: 10003)
+  of KEY_RIGHT.int:
     moveCursorRight(state)
     return true
-  of 40, 10001:  # Down arrow (browser: 40, terminal: 10001)
+  of KEY_DOWN.int:
     moveCursorDown(state)
     return true
-  of 36:  # Home
+  of KEY_HOME.int:
     if ctrl:
       moveCursorToBufferStart(state)
     else:
       moveCursorToLineStart(state)
     return true
-  of 35:  # End
+  of KEY_END.int:
     if ctrl:
       moveCursorToBufferEnd(state)
     else:
       moveCursorToLineEnd(state)
     return true
-  of 8, 127:   # Backspace (8=BS, 127=DEL - both common for backspace)
+  of KEY_BACKSPACE.int:
     backspaceAtCursor(state)
     return true
-  of 46:  # Delete (forward delete)
+  of KEY_DELETE.int:  # Forward delete
     deleteAtCursor(state)
     return true
-  of 13:  # Enter
+  of KEY_ENTER.int:
     insertNewlineAtCursor(state)
     return true
-  of 9:   # Tab
+  of KEY_TAB.int:
     insertTabAtCursor(state, useSoftTabs = true)
     return true
   else:
@@ -297,6 +297,11 @@ proc drawTextBox*(layer: int, x, y, w, h: int,
   if isFocused and cursorPos >= 0 and cursorPos <= content.len:
     let cursorX = x + 1 + min(cursorPos, maxLen - 1)
     tuiDraw(layer, cursorX, contentY, "_", tuiGetStyle("warning"))
+    
+    # Typed and IME text goes here
+    if not gAppStateRef.isNil:
+      gAppStateRef.textCursorX = cursorX
+      gAppStateRef.textCursorY = contentY
 
 proc drawTextBox*(layer: string, x, y, w, h: int, 
                  content: string, cursorPos: int,
@@ -1145,18 +1150,25 @@ proc textBox*(ui: UIContext, id: string, x, y, w, h: int): string {.autoExpose:
     state.dirty = true
   
   # Handle backspace
-  if focused and ui.keyPressed == 127 and state.cursorPos > 0:
+  if focused and ui.keyPressed == KEY_BACKSPACE.int and state.cursorPos > 0:
     let before = if state.cursorPos > 1: state.textValue[0 ..< state.cursorPos - 1] else: ""
     let after = if state.cursorPos < state.textValue.len: state.textValue[state.cursorPos .. ^1] else: ""
     state.textValue = before & after
     state.cursorPos -= 1
     state.dirty = true
   
+  # Handle delete (forward)
+  if focused and ui.keyPressed == KEY_DELETE.int and state.cursorPos < state.textValue.len:
+    let before = if state.cursorPos > 0: state.textValue[0 ..< state.cursorPos] else: ""
+    let after = if state.cursorPos + 1 < state.textValue.len: state.textValue[state.cursorPos + 1 .. ^1] else: ""
+    state.textValue = before & after
+    state.dirty = true
+  
   # Handle arrow keys for cursor movement
   if focused:
-    if ui.keyPressed == 1002 and state.cursorPos > 0:  # Left
+    if ui.keyPressed == KEY_LEFT.int and state.cursorPos > 0:
       state.cursorPos -= 1
-    elif ui.keyPressed == 1003 and state.cursorPos < state.textValue.len:  # Right
+    elif ui.keyPressed == KEY_RIGHT.int and state.cursorPos < state.textValue.len:
       state.cursorPos += 1
   
   # Render
@@ -29,6 +29,8 @@ proc newAppState*(width, height: int): AppState =
   
   result.lastMouseX = 0
   result.lastMouseY = 0
+  result.textCursorX = -1
+  result.textCursorY = -1
   result.fps = 60.0
   result.frameCount = 0
   result.totalTime = 0.0
@@ -103,3 +103,31 @@ proc getCharDisplayWidth*(ch: string): int =
   
   # Fallback
   return 1
+
+proc decodeFirstRune*(ch: string): tuple[cp, size: int] =
+  ## Decodes the first UTF-8 sequence of a cell string
+  ## Returns the codepoint and the number of bytes it occupies (0, 0 for empty)
+  if ch.len == 0:
+    return (0, 0)
+  
+  let firstByte = ch[0].ord
+  
+  if (firstByte and 0x80) == 0:
+    return (firstByte, 1)
+  
+  if (firstByte and 0xE0) == 0xC0 and ch.len >= 2:
+    return (((firstByte and 0x1F) shl 6) or (ch[1].ord and 0x3F), 2)
+  
+  if (firstByte and 0xF0) == 0xE0 and ch.len >= 3:
+    return (((firstByte and 0x0F) shl 12) or
+            ((ch[1].ord and 0x3F) shl 6) or
+            (ch[2].ord and 0x3F), 3)
+  
+  if (firstByte and 0xF8) == 0xF0 and ch.len >= 4:
+    return (((firstByte and 0x07) shl 18) or
+            ((ch[1].ord and 0x3F) shl 12) or
+            ((ch[2].ord and 0x3F) shl 6) or
+            (ch[3].ord and 0x3F), 4)
+  
+  # Malformed sequence - U+FFFD replacement character
+  return (0xFFFD, 1)
@@ -199,6 +199,78 @@ const
   KEY_F10* = KeyCode(1109)
   KEY_F11* = KeyCode(1110)
   KEY_F12* = KeyCode(1111)
+  KEY_F13* = KeyCode(1112)
+  KEY_F14* = KeyCode(1113)
+  KEY_F15* = KeyCode(1114)
+  KEY_F16* = KeyCode(1115)
+  KEY_F17* = KeyCode(1116)
+  KEY_F18* = KeyCode(1117)
+  KEY_F19* = KeyCode(1118)
+  KEY_F20* = KeyCode(1119)
+  KEY_F21* = KeyCode(1120)
+  KEY_F22* = KeyCode(1121)
+  KEY_F23* = KeyCode(1122)
+  KEY_F24* = KeyCode(1123)
+
+# ================================================================
+# KEY CONSTANTS - Keypad
+# ================================================================
+# Distinct from the main row so games can tell them apart. Backends that
+# can't see the keypad (terminal) report the main-row key instead.
+
+const
+  KEY_KP_0* = KeyCode(1200)
+  KEY_KP_1* = KeyCode(1201)
+  KEY_KP_2* = KeyCode(1202)
+  KEY_KP_3* = KeyCode(1203)
+  KEY_KP_4* = KeyCode(1204)
+  KEY_KP_5* = KeyCode(1205)
+  KEY_KP_6* = KeyCode(1206)
+  KEY_KP_7* = KeyCode(1207)
+  KEY_KP_8* = KeyCode(1208)
+  KEY_KP_9* = KeyCode(1209)
+  KEY_KP_PERIOD* = KeyCode(1210)
+  KEY_KP_DIVIDE* = KeyCode(1211)
+  KEY_KP_MULTIPLY* = KeyCode(1212)
+  KEY_KP_MINUS* = KeyCode(1213)
+  KEY_KP_PLUS* = KeyCode(1214)
+  KEY_KP_ENTER* = KeyCode(1215)
+  KEY_KP_EQUALS* = KeyCode(1216)
+
+# ================================================================
+# KEY CONSTANTS - Media Keys
+# ================================================================
+
+const
+  KEY_MEDIA_PLAY_PAUSE* = KeyCode(1300)
+  KEY_MEDIA_STOP* = KeyCode(1301)
+  KEY_MEDIA_NEXT* = KeyCode(1302)
+  KEY_MEDIA_PREV* = KeyCode(1303)
+  KEY_VOLUME_UP* = KeyCode(1304)
+  KEY_VOLUME_DOWN* = KeyCode(1305)
+  KEY_VOLUME_MUTE* = KeyCode(1306)
+
+# ================================================================
+# KEY CONSTANTS - Modifier & Lock Keys
+# ================================================================
+# Reported as keys in their own right (press/release) so games can use
+# them as buttons; they also show up in keyMods of other key events.
+
+const
+  KEY_LSHIFT* = KeyCode(1400)
+  KEY_RSHIFT* = KeyCode(1401)
+  KEY_LCTRL* = KeyCode(1402)
+  KEY_RCTRL* = KeyCode(1403)
+  KEY_LALT* = KeyCode(1404)
+  KEY_RALT* = KeyCode(1405)
+  KEY_LSUPER* = KeyCode(1406)       # Left Windows/Command key
+  KEY_RSUPER* = KeyCode(1407)
+  KEY_CAPSLOCK* = KeyCode(1408)
+  KEY_NUMLOCK* = KeyCode(1409)
+  KEY_SCROLLLOCK* = KeyCode(1410)
+  KEY_PRINTSCREEN* = KeyCode(1411)
+  KEY_PAUSE* = KeyCode(1412)
+  KEY_MENU* = KeyCode(1413)         # Context menu key
 
 # ================================================================
 # SCANCODE CONSTANTS (Physical Key Positions)
@@ -280,6 +352,80 @@ const
   SC_8* = ScanCode(37)
   SC_9* = ScanCode(38)
   SC_0* = ScanCode(39)
+  
+  # Punctuation (US layout positions)
+  SC_MINUS* = ScanCode(45)
+  SC_EQUALS* = ScanCode(46)
+  SC_LEFTBRACKET* = ScanCode(47)
+  SC_RIGHTBRACKET* = ScanCode(48)
+  SC_BACKSLASH* = ScanCode(49)
+  SC_SEMICOLON* = ScanCode(51)
+  SC_APOSTROPHE* = ScanCode(52)
+  SC_GRAVE* = ScanCode(53)
+  SC_COMMA* = ScanCode(54)
+  SC_PERIOD* = ScanCode(55)
+  SC_SLASH* = ScanCode(56)
+  SC_NONUSBACKSLASH* = ScanCode(100)
+  
+  # Locks & system keys
+  SC_CAPSLOCK* = ScanCode(57)
+  SC_PRINTSCREEN* = ScanCode(70)
+  SC_SCROLLLOCK* = ScanCode(71)
+  SC_PAUSE* = ScanCode(72)
+  SC_NUMLOCK* = ScanCode(83)
+  SC_APPLICATION* = ScanCode(101)
+  
+  # Keypad
+  SC_KP_DIVIDE* = ScanCode(84)
+  SC_KP_MULTIPLY* = ScanCode(85)
+  SC_KP_MINUS* = ScanCode(86)
+  SC_KP_PLUS* = ScanCode(87)
+  SC_KP_ENTER* = ScanCode(88)
+  SC_KP_1* = ScanCode(89)
+  SC_KP_2* = ScanCode(90)
+  SC_KP_3* = ScanCode(91)
+  SC_KP_4* = ScanCode(92)
+  SC_KP_5* = ScanCode(93)
+  SC_KP_6* = ScanCode(94)
+  SC_KP_7* = ScanCode(95)
+  SC_KP_8* = ScanCode(96)
+  SC_KP_9* = ScanCode(97)
+  SC_KP_0* = ScanCode(98)
+  SC_KP_PERIOD* = ScanCode(99)
+  SC_KP_EQUALS* = ScanCode(103)
+  
+  # Function keys F13-F24
+  SC_F13* = ScanCode(104)
+  SC_F14* = ScanCode(105)
+  SC_F15* = ScanCode(106)
+  SC_F16* = ScanCode(107)
+  SC_F17* = ScanCode(108)
+  SC_F18* = ScanCode(109)
+  SC_F19* = ScanCode(110)
+  SC_F20* = ScanCode(111)
+  SC_F21* = ScanCode(112)
+  SC_F22* = ScanCode(113)
+  SC_F23* = ScanCode(114)
+  SC_F24* = ScanCode(115)
+  
+  # Modifiers
+  SC_LCTRL* = ScanCode(224)
+  SC_LSHIFT* = ScanCode(225)
+  SC_LALT* = ScanCode(226)
+  SC_LGUI* = ScanCode(227)
+  SC_RCTRL* = ScanCode(228)
+  SC_RSHIFT* = ScanCode(229)
+  SC_RALT* = ScanCode(230)
+  SC_RGUI* = ScanCode(231)
+  
+  # Media (SDL3 scancode values)
+  SC_MUTE* = ScanCode(127)
+  SC_VOLUMEUP* = ScanCode(128)
+  SC_VOLUMEDOWN* = ScanCode(129)
+  SC_MEDIA_NEXT_TRACK* = ScanCode(267)
+  SC_MEDIA_PREVIOUS_TRACK* = ScanCode(268)
+  SC_MEDIA_STOP* = ScanCode(269)
+  SC_MEDIA_PLAY_PAUSE* = ScanCode(271)
 
 # ================================================================
 # CONVERSION HELPERS
@@ -349,6 +495,7 @@ type
       keyCode*: int
       keyMods*: set[uint8]
       keyAction*: InputAction
+      keyScanCode*: int          # Physical key (SC_* value), 0 if unknown
     of TextEvent:
       text*: string
       textMods*: set[uint8]
@@ -422,3 +569,57 @@ proc normalizeEvents*(events: seq[InputEvent]): seq[InputEvent] =
       result.add evt
     
     inc i
+
+# ================================================================
+# FULL KEYBOARD PROTOCOL
+# ================================================================
+# Backends that see the whole keyboard (WASM, SDL3) report every press,
+# repeat and release, keypad and modifier keys, and a KeyEvent for
+# printable keys alongside their TextEvent. Most apps only want what the
+# terminal gives them, so by default the stream is reduced with
+# pressOnlyKeyEvent(); apps opt into the full protocol explicitly.
+
+proc modsFromBits*(bits: int): set[uint8] =
+  ## Convert a KeyMod bitmask (kmShift, kmCtrl, kmAlt, kmSuper) to the
+  ## modifier set used by InputEvent
+  result = {}
+  if (bits and kmShift.int) != 0: result.incl ModShift
+  if (bits and kmCtrl.int) != 0: result.incl ModCtrl
+  if (bits and kmAlt.int) != 0: result.incl ModAlt
+  if (bits and kmSuper.int) != 0: result.incl ModSuper
+
+proc isModifierKey*(keyCode: int): bool =
+  ## Shift/Ctrl/Alt/Super and the lock keys on their own
+  return keyCode >= KEY_LSHIFT.int and keyCode <= KEY_NUMLOCK.int
+
+proc keypadToMainKey*(keyCode: int): int =
+  ## Map a KEY_KP_* code to the main-row key it types; other codes pass through
+  if keyCode >= KEY_KP_0.int and keyCode <= KEY_KP_9.int:
+    return ord('0') + keyCode - KEY_KP_0.int
+  if keyCode == KEY_KP_PERIOD.int: return ord('.')
+  if keyCode == KEY_KP_DIVIDE.int: return ord('/')
+  if keyCode == KEY_KP_MULTIPLY.int: return ord('*')
+  if keyCode == KEY_KP_MINUS.int: return ord('-')
+  if keyCode == KEY_KP_PLUS.int: return ord('+')
+  if keyCode == KEY_KP_ENTER.int: return KEY_ENTER.int
+  if keyCode == KEY_KP_EQUALS.int: return ord('=')
+  return keyCode
+
+proc pressOnlyKeyEvent*(event: var InputEvent): bool =
+  ## Reduce a full-protocol KeyEvent to the classic press-only stream the
+  ## terminal backend produces. Returns false if the event should be dropped:
+  ## - releases, and modifier/lock keys on their own
+  ## - printable keys without Ctrl/Alt/Super (their TextEvent carries them)
+  ## Repeats become presses and keypad keys become their main-row key.
+  if event.kind != KeyEvent:
+    return true
+  if event.keyAction == Release or isModifierKey(event.keyCode):
+    return false
+  
+  event.keyAction = Press
+  event.keyCode = keypadToMainKey(event.keyCode)
+  
+  let commandMods = event.keyMods * {ModCtrl, ModAlt, ModSuper}
+  if isPrintableKey(event.keyCode) and commandMods.len == 0:
+    return false
+  return true
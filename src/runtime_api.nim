@@ -847,6 +847,46 @@ proc nimini_disableMouse(env: ref Env; args: seq[Value]): Value {.nimini.} =
     disableMouseReporting()
   return valNil()
 
+# ================================================================
+# KEY RELEASE / FULL KEYBOARD PROTOCOL
+# ================================================================
+
+# When false (default) key events are reduced to the terminal's press-only
+# stream; when true scripts also see repeats, releases, keypad and
+# modifier keys (WASM and SDL3 backends only)
+var keyReleaseEnabled = false
+
+proc nimini_enableKeyRelease(env: ref Env; args: seq[Value]): Value {.nimini.} =
+  ## Enable the full keyboard protocol (release/repeat events, keypad,
+  ## modifier and media keys)
+  keyReleaseEnabled = true
+  return valNil()
+
+proc nimini_disableKeyRelease(env: ref Env; args: seq[Value]): Value {.nimini.} =
+  ## Go back to press-only key events
+  keyReleaseEnabled = false
+  return valNil()
+
+# ================================================================
+# TEXT CURSOR (IME)
+# ================================================================
+
+proc nimini_setTextCursor(env: ref Env; args: seq[Value]): Value {.nimini.} =
+  ## Mark the cell where typed text goes: setTextCursor(x, y)
+  ## The web build draws IME composition text there. Cleared every frame,
+  ## so call it from on:render while the field is focused.
+  if args.len < 2:
+    return valNil()
+  gAppState.textCursorX = toInt(args[0])
+  gAppState.textCursorY = toInt(args[1])
+  return valNil()
+
+proc nimini_clearTextCursor(env: ref Env; args: seq[Value]): Value {.nimini.} =
+  ## No text field is focused
+  gAppState.textCursorX = -1
+  gAppState.textCursorY = -1
+  return valNil()
+
 # ================================================================
 # BROWSER API (WASM)
 # ================================================================
@@ -903,6 +943,21 @@ proc nimini_localStorage_delete(env: ref Env; args: seq[Value]): Value {.nimini.
       return valBool(true)
   return valBool(false)
 
+proc nimini_setSwipeKey(env: ref Env; args: seq[Value]): Value {.nimini.} =
+  ## Map a touch swipe to a key. Args: direction ("left", "right", "up", "down"), keyCode
+  ## keyCode 0 turns the swipe off. Defaults: left → KEY_RIGHT, right → KEY_LEFT
+  if args.len >= 2:
+    let direction = args[0].s
+    let keyCode = toInt(args[1])
+    when defined(emscripten) and not defined(sdl3Backend):
+      let result = js_callFunctionWith2Args("tStorie_setSwipeKey".cstring, direction.cstring, ($keyCode).cstring)
+      return valBool($result == "true")
+    else:
+      discard direction
+      discard keyCode
+      return valBool(false)
+  return valBool(false)
+
 proc nimini_copyToClipboard(env: ref Env; args: seq[Value]): Value {.nimini.} =
   ## Copy text to clipboard. Args: text
   if args.len >= 1:
@@ -1048,18 +1103,94 @@ proc nimini_window_open(env: ref Env; args: seq[Value]): Value {.nimini.} =
 
 when defined(emscripten) and not defined(sdl3Backend):
   proc setDocumentTitleJS(title: cstring) {.importc: "tStorie_setDocumentTitle".}
+  proc setAccessibilityJS(enabled: cint) {.importc: "tStorie_setAccessibility".}
+  proc setShaderUniformOverridesJS(text: cstring) {.importc: "tStorie_setShaderUniformOverrides".}
+  proc setShaderTransitionJS(name: cstring, duration: cstring, easing: cstring) {.importc: "tStorie_setShaderTransition".}
+  proc playShaderTransitionJS(name: cstring): cint {.importc: "tStorie_playShaderTransition".}
+  proc startShaderTransitionChainJS() {.importc: "tStorie_startShaderTransitionChain".}
+  proc setDocumentShadersJS(json: cstring) {.importc: "tStorie_setDocumentShaders".}
 
 proc setDocumentTitle(title: string) =
   ## Set the browser tab title (emscripten only)
   when defined(emscripten) and not defined(sdl3Backend):
     setDocumentTitleJS(title.cstring)
 
+proc applyAccessibilityFrontMatter() =
+  ## Turn the web host's screen-reader mirror on or off when the front
+  ## matter has `accessibility: true|false` (emscripten only)
+  when defined(emscripten) and not defined(sdl3Backend):
+    if storieCtx.frontMatter.hasKey("accessibility"):
+      let value = storieCtx.frontMatter["accessibility"].toLowerAscii()
+      setAccessibilityJS(if value in ["true", "yes", "1", "on"]: 1 else: 0)
+
+proc applyShaderUniformsFrontMatter() =
+  ## Hand `shaderUniforms: crt.curveStrength=0.9; ...` to the web shader
+  ## chain, which applies it whenever the chain is built. Sent even when
+  ## absent so a newly loaded document drops the previous one's values.
+  when defined(emscripten) and not defined(sdl3Backend):
+    let text = storieCtx.frontMatter.getOrDefault("shaderUniforms", "")
+    setShaderUniformOverridesJS(text.cstring)
+
+proc applyShaderTransitionFrontMatter() =
+  ## Hand `transition: crossfade`, `transitionDuration: 600` (ms) and
+  ## `transitionEasing: easeOutCubic` to the web shader chain, which plays
+  ## the transition whenever canvas navigation changes sections. Sent even
+  ## when absent so a newly loaded document drops the previous one's; JS
+  ## parses the duration ("600" or "600ms").
+  when defined(emscripten) and not defined(sdl3Backend):
+    let fm = storieCtx.frontMatter
+    setShaderTransitionJS(fm.getOrDefault("transition", "").cstring,
+                          fm.getOrDefault("transitionDuration", "").cstring,
+                          fm.getOrDefault("transitionEasing", "").cstring)
+
+proc documentUsesShaderTransitions(): bool =
+  ## True if the front matter or any section heading ({"transition": "wipe"})
+  ## asks for a section transition
+  let name = storieCtx.frontMatter.getOrDefault("transition", "none")
+  if name.len > 0 and name != "none":
+    return true
+  for section in storieCtx.sectionMgr.getAllSections():
+    if section.metadata.getOrDefault("transition", "none") != "none":
+      return true
+  return false
+
+proc applyDocumentShaders() =
+  ## Hand the document's ```shader blocks to the web shader chain, where
+  ## `shaders:` front matter and insertShader find them by name before
+  ## looking for files. Must run before the front matter chain is loaded;
+  ## sent even when empty so a newly loaded document drops the previous
+  ## one's.
+  when defined(emscripten) and not defined(sdl3Backend):
+    var json = "["
+    for i, shaderBlock in storieCtx.shaderBlocks:
+      if i > 0:
+        json.add(",")
+      json.add("{\"name\":" & escapeJson(shaderBlock.name) &
+               ",\"language\":" & escapeJson(shaderBlock.language) &
+               ",\"code\":" & escapeJson(shaderBlock.code) &
+               ",\"line\":" & $shaderBlock.line & "}")
+    json.add("]")
+    setDocumentShadersJS(json.cstring)
+
+proc startShaderTransitionChain() =
+  ## Section transitions run in the web shader chain; start an empty one
+  ## for a document that uses them without any shaders
+  when defined(emscripten) and not defined(sdl3Backend):
+    startShaderTransitionChainJS()
+
+proc playSectionTransition(section: Section) =
+  ## Play the document's transition into a newly entered section; the
+  ## section's own {"transition": "..."} overrides it ("none" skips it)
+  when defined(emscripten) and not defined(sdl3Backend):
+    discard playShaderTransitionJS(section.metadata.getOrDefault("transition", "").cstring)
+
 proc registerBrowserApiFuncs*(env: ref Env) =
   ## Register browser API functions in nimini environment
   registerNative("localStorage_setItem", nimini_localStorage_setItem)
   registerNative("localStorage_getItem", nimini_localStorage_getItem)
   registerNative("localStorage_list", nimini_localStorage_list)
   registerNative("localStorage_delete", nimini_localStorage_delete)
+  registerNative("setSwipeKey", nimini_setSwipeKey)
   registerNative("copyToClipboard", nimini_copyToClipboard)
   registerNative("pasteFromClipboard", nimini_pasteFromClipboard)
   registerNative("compressToUrl", nimini_compressToUrl)
@@ -1118,6 +1249,9 @@ proc initCanvas(env: ref Env; args: seq[Value]): Value {.nimini.} =
     return false
   )
   
+  # Transition the screen whenever navigation changes sections
+  setSectionChangeCallback(playSectionTransition)
+  
   # Execute on:enter hook for the initial section
   if currentIdx >= 0 and currentIdx < sections.len:
     let initialSection = sections[currentIdx]
@@ -1145,6 +1279,7 @@ proc encodeInputEvent(event: InputEvent): Value =
   of KeyEvent:
     table["type"] = valString("key")
     table["keyCode"] = valInt(event.keyCode)
+    table["scanCode"] = valInt(event.keyScanCode)
     table["action"] = valString(case event.keyAction
       of Press: "press"
       of Release: "release"
@@ -1636,7 +1771,7 @@ when defined(emscripten):
   proc js_webgpuCancel() {.importc: "tStorie_webgpuCancel".}
   
   # Emscripten helper for running JavaScript
-  proc emscripten_run_script(script: cstring) {.importc, header: "<emscripten.h>".}
+  proc emscripten_run_script_string(script: cstring): cstring {.importc, header: "<emscripten.h>".}
 
   proc nimini_webgpuSupported(env: ref Env; args: seq[Value]): Value {.nimini.} =
     ## Check if WebGPU is supported in the browser
@@ -1696,114 +1831,228 @@ when defined(emscripten):
     js_webgpuCancel()
     return valNil()
 
-  proc nimini_setShaderUniform(env: ref Env; args: seq[Value]): Value {.nimini.} =
-    ## Set a shader uniform value: setShaderUniform("shaderName", "uniformName", value)
-    ## Value can be a number or array [x, y, z, w]
-    ## Example: setShaderUniform("paper", "paperNoise", 0.5)
-    ## Example: setShaderUniform("custom", "color", [1.0, 0.5, 0.2])
-    if args.len < 3:
-      return valNil()
-    
-    let shaderName = args[0].s
-    let uniformName = args[1].s
-    let value = args[2]
-    
-    # Convert value to JSON for JavaScript
-    var jsonValue = ""
+  proc isShaderIdent(name: string): bool =
+    ## Shader and uniform names are spliced into a script: identifiers only
+    name.len > 0 and name.len <= 64 and name.allCharsInSet(IdentChars + {'-'})
+  
+  proc isFiniteFloat(f: float): bool =
+    ## NaN and +/-Inf print as "nan"/"inf", which aren't JavaScript literals
+    f == f and f != Inf and f != NegInf
+  
+  proc shaderValueLiteral(value: Value): string =
+    ## JavaScript literal for a uniform value (number, bool or number array).
+    ## Empty for anything else, including non-finite floats.
     case value.kind
     of vkInt:
-      jsonValue = $value.i
+      result = $value.i
     of vkFloat:
-      jsonValue = $value.f
+      if isFiniteFloat(value.f):
+        result = $value.f
+    of vkBool:
+      result = $value.b
+    of vkString:
+      # Only the "theme" keyword and hex colors are strings
+      if value.s == "theme" or (value.s.len in [4, 7] and value.s[0] == '#' and
+          value.s[1..^1].allCharsInSet(HexDigits)):
+        result = "\"" & value.s & "\""
     of vkArray:
-      let arr = value.arr
       var nums: seq[string] = @[]
-      for v in arr:
+      for v in value.arr:
         if v.kind == vkInt:
           nums.add($v.i)
-        elif v.kind == vkFloat:
+        elif v.kind == vkFloat and isFiniteFloat(v.f):
           nums.add($v.f)
+        else:
+          return ""
       if nums.len > 0:
-        jsonValue = "[" & nums.join(",") & "]"
-      else:
-        return valNil()
+        result = "[" & nums.join(",") & "]"
     else:
+      result = ""
+  
+  proc shaderValueFromText(text: string): Value =
+    ## Uniform value text from tstorie-shader-chain.js: "0.5", "true",
+    ## "1,0.5,0" or "theme"
+    if text.len == 0:
+      return valNil()
+    if text == "true" or text == "false":
+      return valBool(text == "true")
+    try:
+      if ',' in text:
+        var items: seq[Value] = @[]
+        for part in text.split(','):
+          items.add(valFloat(parseFloat(part)))
+        return valArray(items)
+      return valFloat(parseFloat(text))
+    except ValueError:
+      return valString(text)
+  
+  proc callShaderChain(funcName: string, args: varargs[string]): string =
+    ## Call a tstorie-shader-chain.js bridge function; "" if it isn't loaded
+    let script = "(typeof window." & funcName & " === 'function' ? window." &
+      funcName & "(" & args.join(", ") & ") : '')"
+    return $emscripten_run_script_string(script.cstring)
+  
+  proc nimini_setShaderUniform(env: ref Env; args: seq[Value]): Value {.nimini.} =
+    ## Set a shader uniform value: setShaderUniform("shaderName", "uniformName", value)
+    ## Value can be a number, bool, array [x, y, z, w] or "#rrggbb" for colors.
+    ## It is checked against the shader's uniform schema: clamped to min/max,
+    ## snapped to step. Returns the value actually set, or nil if refused.
+    ## Example: setShaderUniform("paper", "paperNoise", 0.5)
+    ## Example: setShaderUniform("custom", "color", [1.0, 0.5, 0.2])
+    if args.len < 3:
       return valNil()
     
-    # Call JavaScript to update the shader system's uniform values
-    let jsCode = """
-      (function() {
-        try {
-          if (!window.shaderSystem) {
-            console.warn('[Shader] Shader system not initialized yet - call ignored');
-            return false;
-          }
-          if (!window.shaderSystem.pipelines) {
-            console.warn('[Shader] Shader system has no pipelines - call ignored');
-            return false;
-          }
-          const shader = window.shaderSystem.pipelines.find(s => s.name === '""" & shaderName & """');
-          if (shader && shader.uniforms) {
-            shader.uniforms['""" & uniformName & """'] = """ & jsonValue & """;
-            console.log('[Shader] Updated """ & shaderName & """.""" & uniformName & """ =', """ & jsonValue & """);
-            return true;
-          }
-          console.warn('[Shader] Could not find shader "' + '""" & shaderName & """' + '" or uniform "' + '""" & uniformName & """' + '"');
-          return false;
-        } catch (error) {
-          console.error('[Shader] Error in setShaderUniform:', error);
-          return false;
-        }
-      })()
-    """
-    emscripten_run_script(jsCode.cstring)
-    return valNil()
+    let shaderName = args[0].s
+    let uniformName = args[1].s
+    let literal = shaderValueLiteral(args[2])
+    if not isShaderIdent(shaderName) or not isShaderIdent(uniformName) or literal.len == 0:
+      return valNil()
+    
+    return shaderValueFromText(callShaderChain("tStorie_setShaderUniform",
+      "'" & shaderName & "'", "'" & uniformName & "'", literal))
 
   proc nimini_getShaderUniform(env: ref Env; args: seq[Value]): Value {.nimini.} =
     ## Get current shader uniform value: getShaderUniform("shaderName", "uniformName")
-    ## Returns the current value (number or array)
+    ## Returns the current value (number, bool or array), or nil
     ## Example: let intensity = getShaderUniform("paper", "paperNoise")
     if args.len < 2:
       return valNil()
     
     let shaderName = args[0].s
     let uniformName = args[1].s
+    if not isShaderIdent(shaderName) or not isShaderIdent(uniformName):
+      return valNil()
     
-    # For now, return nil - full implementation would need EM_JS to return values
-    # Users can track values in their own variables for now
-    return valNil()
+    return shaderValueFromText(callShaderChain("tStorie_getShaderUniform",
+      "'" & shaderName & "'", "'" & uniformName & "'"))
   
   proc nimini_listShaderUniforms(env: ref Env; args: seq[Value]): Value {.nimini.} =
-    ## List all uniform names for a shader: listShaderUniforms("shaderName")
-    ## Prints to console and returns nil
-    ## Example: listShaderUniforms("paper")
-    if args.len < 1:
-      return valNil()
-    
-    let shaderName = args[0].s
+    ## List a shader's uniforms with their metadata: listShaderUniforms("shaderName")
+    ## Returns an array of maps: name, type (f32/int/bool/vec2/vec3/vec4/color),
+    ## label, value, default, min, max, step, options, description.
+    ## Missing fields are nil; the array is empty if the shader isn't active.
+    ## Example: let uniforms = listShaderUniforms("crt")
+    result = valArray()
+    if args.len < 1 or not isShaderIdent(args[0].s):
+      return
     
-    let jsCode = """
-      (function() {
-        try {
-          if (!window.shaderSystem || !window.shaderSystem.pipelines) {
-            console.warn('[Shader] Shader system not ready');
-            return false;
-          }
-          const shader = window.shaderSystem.pipelines.find(s => s.name === '""" & shaderName & """');
-          if (shader && shader.uniforms) {
-            console.log('[Shader] Uniforms for """ & shaderName & """:', shader.uniforms);
-            return true;
-          }
-          console.warn('[Shader] Could not find shader "' + '""" & shaderName & """' + '"');
-          return false;
-        } catch (error) {
-          console.error('[Shader] Error in listShaderUniforms:', error);
-          return false;
-        }
-      })()
-    """
-    emscripten_run_script(jsCode.cstring)
-    return valNil()
+    let text = callShaderChain("tStorie_listShaderUniforms", "'" & args[0].s & "'")
+    for line in text.splitLines():
+      let fields = line.split('\t')
+      if fields.len < 10:
+        continue
+      let uniform = valMap()
+      uniform.map["name"] = valString(fields[0])
+      uniform.map["type"] = valString(fields[1])
+      uniform.map["label"] = valString(fields[2])
+      uniform.map["value"] = shaderValueFromText(fields[3])
+      uniform.map["default"] = shaderValueFromText(fields[4])
+      uniform.map["min"] = shaderValueFromText(fields[5])
+      uniform.map["max"] = shaderValueFromText(fields[6])
+      uniform.map["step"] = shaderValueFromText(fields[7])
+      var options: seq[Value] = @[]
+      if fields[8].len > 0:
+        for option in fields[8].split(','):
+          options.add(shaderValueFromText(option))
+      uniform.map["options"] = if options.len > 0: valArray(options) else: valNil()
+      uniform.map["description"] = valString(fields[9])
+      result.arr.add(uniform)
+  
+  proc nimini_shaderChain(env: ref Env; args: seq[Value]): Value {.nimini.} =
+    ## The post-processing chain in render order: shaderChain()
+    ## Returns an array of maps: name, enabled (false = bypassed), mix (0.0-1.0)
+    ## Example: for pass in shaderChain(): echo pass["name"]
+    result = valArray()
+    for line in callShaderChain("tStorie_getShaderChain").splitLines():
+      let fields = line.split('\t')
+      if fields.len < 3:
+        continue
+      let pass = valMap()
+      pass.map["name"] = valString(fields[0])
+      pass.map["enabled"] = valBool(fields[1] == "true")
+      pass.map["mix"] = shaderValueFromText(fields[2])
+      result.arr.add(pass)
+  
+  proc checkChainArgs(call, usage: string; args: seq[Value]; required: int) =
+    ## Chain procs take the shader name first. Arguments of the wrong kind
+    ## raise, like the other bindings, instead of being read as 0 or "".
+    if args.len < required:
+      raise newException(ValueError, call & "() requires " & usage)
+    if args[0].kind != vkString:
+      raise newException(ValueError, call & "() shader must be a string")
+  
+  proc nimini_setShaderEnabled(env: ref Env; args: seq[Value]): Value {.nimini.} =
+    ## Bypass or restore a pass without recompiling it: setShaderEnabled("scanlines", false)
+    ## Returns false if the shader isn't in the chain; raises if enabled isn't a bool
+    checkChainArgs("setShaderEnabled", "2 arguments: shader, enabled", args, 2)
+    if args[1].kind notin {vkBool, vkInt}:
+      raise newException(ValueError, "setShaderEnabled() enabled must be a bool")
+    if not isShaderIdent(args[0].s):
+      return valBool(false)
+    let enabled = if args[1].kind == vkBool: args[1].b else: args[1].i != 0
+    return valBool(callShaderChain("tStorie_setShaderEnabled",
+      "'" & args[0].s & "'", $enabled) == "true")
+  
+  proc nimini_setShaderMix(env: ref Env; args: seq[Value]): Value {.nimini.} =
+    ## Wet/dry factor of a pass, 0.0 (input unchanged) to 1.0 (full effect):
+    ## setShaderMix("bloom", 0.5). Returns the factor set, or nil if the shader
+    ## isn't in the chain or mix is NaN; raises if mix isn't a number.
+    ## Example: setShaderMix("bloom", fade)   # fade bloom in and out
+    checkChainArgs("setShaderMix", "2 arguments: shader, mix", args, 2)
+    if args[1].kind notin {vkFloat, vkInt}:
+      raise newException(ValueError, "setShaderMix() mix must be a number")
+    if not isShaderIdent(args[0].s):
+      return valNil()
+    let mix = if args[1].kind == vkFloat: args[1].f else: args[1].i.float
+    if mix != mix:  # NaN
+      return valNil()
+    return shaderValueFromText(callShaderChain("tStorie_setShaderMix",
+      "'" & args[0].s & "'", $clamp(mix, 0.0, 1.0)))
+  
+  proc nimini_moveShader(env: ref Env; args: seq[Value]): Value {.nimini.} =
+    ## Move a pass to a position in the chain: moveShader("crt", 0)
+    ## Negative positions count from the end (-1 = last). Returns false if the
+    ## shader isn't in the chain; raises if position isn't an integer.
+    checkChainArgs("moveShader", "2 arguments: shader, position", args, 2)
+    if args[1].kind != vkInt:
+      raise newException(ValueError, "moveShader() position must be an integer")
+    if not isShaderIdent(args[0].s):
+      return valBool(false)
+    return valBool(callShaderChain("tStorie_moveShader",
+      "'" & args[0].s & "'", $args[1].i) == "true")
+  
+  proc nimini_removeShader(env: ref Env; args: seq[Value]): Value {.nimini.} =
+    ## Take a pass out of the chain: removeShader("bloom")
+    ## Returns false if the shader isn't in the chain
+    checkChainArgs("removeShader", "1 argument: shader", args, 1)
+    if not isShaderIdent(args[0].s):
+      return valBool(false)
+    return valBool(callShaderChain("tStorie_removeShader", "'" & args[0].s & "'") == "true")
+  
+  proc nimini_insertShader(env: ref Env; args: seq[Value]): Value {.nimini.} =
+    ## Load a shader and add it to the chain: insertShader("bloom") appends,
+    ## insertShader("bloom", 0) puts it first. Only the new shader is compiled.
+    ## Loading is asynchronous: returns true once started; the pass shows up
+    ## in shaderChain() when ready. Raises if position isn't an integer.
+    checkChainArgs("insertShader", "1 or 2 arguments: shader, position", args, 1)
+    if args.len >= 2 and args[1].kind != vkInt:
+      raise newException(ValueError, "insertShader() position must be an integer")
+    if not isShaderIdent(args[0].s):
+      return valBool(false)
+    let index = if args.len >= 2: args[1].i else: -1
+    return valBool(callShaderChain("tStorie_insertShader",
+      "'" & args[0].s & "'", $index) == "true")
+  
+  proc nimini_shaderTransition(env: ref Env; args: seq[Value]): Value {.nimini.} =
+    ## Play a screen transition now, from what is on screen to whatever is
+    ## drawn next: shaderTransition("crt"). Without a name it plays the
+    ## document's `transition:`. Returns false if it can't play (no shader
+    ## chain, "none", or the user prefers reduced motion).
+    ## Transitions: crossfade, wipe, dissolve, crt, glitch
+    let name = if args.len > 0: args[0].s else: ""
+    if name.len > 0 and not isShaderIdent(name):
+      return valBool(false)
+    return valBool(callShaderChain("playShaderTransition", "'" & name & "'") == "true")
 
 proc createNiminiContext(state: AppState): NiminiContext =
   ## Create a Nimini interpreter context with exposed APIs
@@ -1940,6 +2189,14 @@ proc createNiminiContext(state: AppState): NiminiContext =
   registerNative("enableMouse", nimini_enableMouse)
   registerNative("disableMouse", nimini_disableMouse)
   
+  # Register key release handling
+  registerNative("enableKeyRelease", nimini_enableKeyRelease)
+  registerNative("disableKeyRelease", nimini_disableKeyRelease)
+  
+  # Register text cursor (IME placement)
+  registerNative("setTextCursor", nimini_setTextCursor)
+  registerNative("clearTextCursor", nimini_clearTextCursor)
+  
   # Register style functions
   registerNative("defaultStyle", nimini_defaultStyle)
   registerNative("setDefaultStyle", nimini_setDefaultStyle)
@@ -2024,6 +2281,13 @@ proc createNiminiContext(state: AppState): NiminiContext =
     registerNative("setShaderUniform", nimini_setShaderUniform)
     registerNative("getShaderUniform", nimini_getShaderUniform)
     registerNative("listShaderUniforms", nimini_listShaderUniforms)
+    registerNative("shaderChain", nimini_shaderChain)
+    registerNative("setShaderEnabled", nimini_setShaderEnabled)
+    registerNative("setShaderMix", nimini_setShaderMix)
+    registerNative("moveShader", nimini_moveShader)
+    registerNative("removeShader", nimini_removeShader)
+    registerNative("insertShader", nimini_insertShader)
+    registerNative("shaderTransition", nimini_shaderTransition)
   
   # Note: Figlet functions are now registered via exportNiminiProcs above.
   # The metadata (storieLibs, description, dependencies) for the export system
@@ -2332,6 +2596,7 @@ proc initStorieContext(state: AppState) =
   storieCtx.frontMatter = doc.frontMatter
   storieCtx.styleSheet = doc.styleSheet
   storieCtx.embeddedContent = doc.embeddedContent
+  storieCtx.shaderBlocks = doc.shaderBlocks
   
   # Debug: print embedded content
   when not defined(emscripten):
@@ -2484,6 +2749,10 @@ proc initStorieContext(state: AppState) =
   when defined(emscripten) and not defined(sdl3Backend):
     if storieCtx.frontMatter.hasKey("title"):
       setDocumentTitle(storieCtx.frontMatter["title"])
+    applyAccessibilityFrontMatter()
+    applyShaderUniformsFrontMatter()
+    applyShaderTransitionFrontMatter()
+    applyDocumentShaders()
   
   # Check for theme parameter and apply if present (overrides front matter theme)
   when defined(emscripten):
@@ -2781,10 +3050,12 @@ proc inputHandler(state: AppState, event: InputEvent): bool =
   else:
     discard
   
-  # Filter out Release events for KeyEvents - most apps only care about Press
-  # Apps that need Release events can check event.action in their handlers
-  if event.kind == KeyEvent and event.keyAction == Release:
-    return false
+  # Most apps only care about Press - reduce the full keyboard protocol to
+  # the terminal's press-only stream unless the app called enableKeyRelease()
+  var event = event
+  if event.kind == KeyEvent and not keyReleaseEnabled:
+    if not pressOnlyKeyEvent(event):
+      return false
   
   # UIContext integration: Let UI system capture input first (if any UI contexts exist)
   # This allows immediate-mode UI widgets to respond to events before user code
@@ -2823,6 +3094,11 @@ proc inputHandler(state: AppState, event: InputEvent): bool =
   
   # 3. Default handlers (only if not consumed by user code)
   
+  # Defaults always see the press-only stream, even with enableKeyRelease()
+  if event.kind == KeyEvent and keyReleaseEnabled:
+    if not pressOnlyKeyEvent(event):
+      return false
+  
   # Handle canvas input if canvas is initialized
   if not canvasState.isNil and event.kind == KeyEvent and event.keyAction == Press:
     if canvasHandleKey(event.keyCode, {}):
@@ -11,6 +11,7 @@ type
     button*: string
     action*: string
     keyCode*: int    # Matches nimini runtime API
+    scanCode*: int   # Physical key (SC_* value), 0 if unknown
     mods*: seq[string]  # Matches nimini runtime API - array of modifier strings
     text*: string
     # Canvas-relative coordinates (for mouse events, -1 if outside canvas)
@@ -26,6 +27,7 @@ proc toSimpleEvent*(evt: InputEvent): SimpleEvent =
   of KeyEvent:
     result.`type` = "key"
     result.keyCode = evt.keyCode
+    result.scanCode = evt.keyScanCode
     result.action = case evt.keyAction
       of Press: "press"
       of Release: "release"
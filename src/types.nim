@@ -183,6 +183,7 @@ type
     audioSystemPtr*: pointer  ## Points to AudioSystem (to avoid import issues)
     themeBackground*: tuple[r, g, b: uint8]  ## Theme's background color for terminal
     styleSheet*: StyleSheet  ## Styles from front matter
+    textCursorX*, textCursorY*: int  ## Cell where typed/IME text goes, -1 when no field is focused
 
 # ================================================================
 # CONTENT SOURCE TYPES
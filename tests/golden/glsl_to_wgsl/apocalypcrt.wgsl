@@ -0,0 +1,183 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    grilleLvl: f32,
+    grilleDensity: f32,
+    scanlineLvl: f32,
+    scanlines: f32,
+    rgbOffset: f32,
+    noiseLevel: f32,
+    flicker: f32,
+    hSync: f32,
+    vignetteStart: f32,
+    vignetteLvl: f32,
+    curveStrength: f32,
+    frameSize: f32,
+    frameHue: f32,
+    frameSat: f32,
+    frameLight: f32,
+    frameReflect: f32,
+    frameGrain: f32,
+    borderSize: f32,
+    borderHue: f32,
+    borderSat: f32,
+    borderLight: f32,
+    _pad5: f32,
+    _pad6: f32,
+    _pad7: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+fn random(c: vec2f) -> f32 {
+    return fract(sin(dot(c.xy, vec2f(12.9898, 78.233))) * 43758.5453);
+}
+
+fn hsl2rgb(c: vec3f) -> vec3f {
+    let K: vec4f = vec4f(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+    let p: vec3f = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+    return c.z * mix(K.xxx, clamp(p - K.xxx, vec3f(0.0), vec3f(1.0)), c.y);
+}
+
+fn rgbDistortion(uv: vec2f, offset: f32) -> vec3f {
+    var color: vec3f;
+    color.r = textureSampleLevel(contentTexture, contentTextureSampler, uv + vec2f(offset, 0.0), 0.0).r;
+    color.g = textureSampleLevel(contentTexture, contentTextureSampler, uv, 0.0).g;
+    color.b = textureSampleLevel(contentTexture, contentTextureSampler, uv - vec2f(offset, 0.0), 0.0).b;
+    return color;
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let iTime: f32 = uniforms.time;
+    let iResolution: vec2f = uniforms.resolution;
+    var uv: vec2f = vUv;
+    let center: vec2f = vec2f(0.5, 0.5);
+    let distanceFromCenter: f32 = length(uv - center);
+    let px: f32 = 1.0 / iResolution.x;
+    let border: f32 = uniforms.borderSize * px;
+    let frame: f32 = uniforms.frameSize * px;
+    let alpha: f32 = 1.0;
+    let bColor: vec3f = hsl2rgb(vec3f(uniforms.borderHue, uniforms.borderSat, uniforms.borderLight));
+    // CRT Curvature (applies to all)
+    uv = vUv + (vUv - center) * pow(distanceFromCenter, 5.0) * uniforms.curveStrength;
+    // Frame region is at the canvas edge
+    let isFrame: bool = uv.x < frame || uv.x > 1.0 - frame || uv.y < frame || uv.y > 1.0 - frame;
+    // Border is inner padding between frame and CRT content
+    let isBorder: bool = !isFrame && (uv.x < frame + border || uv.x > 1.0 - frame - border || uv.y < frame + border || uv.y > 1.0 - frame - border);
+    // CRT content region
+    var contentUV: vec2f = (uv - vec2f(frame + border, frame + border)) / (1.0 - 2.0 * (frame + border));
+    var color: vec3f;
+    if (isFrame) {
+        let frameVal: f32 = 100.0;
+        let nX: f32 = frameVal / iResolution.x;
+        let nY: f32 = frameVal / iResolution.y;
+        var intensity: f32 = 0.0;
+        let distX: f32 = min(uv.x, 1.0 - uv.x);
+        let distY: f32 = min(uv.y, 1.0 - uv.y);
+        let minDist: f32 = min(distX, distY);
+        intensity = mix(uniforms.frameLight, 0.0, minDist / max(nX, nY) * 4.0);
+        color = hsl2rgb(vec3f(uniforms.frameHue, uniforms.frameSat, intensity));
+        color *= 1.0 - uniforms.frameGrain * random(uv);
+        // Reflection: mirror, curve, and blur
+        let f: vec2f = border * vec2f(1.0) / iResolution.xy;
+        var reflectedUV: vec2f = contentUV;
+        if (reflectedUV.x < f.x) {
+            reflectedUV.x = f.x - (reflectedUV.x - f.x);
+        } else if (reflectedUV.x > 1.0 - f.x) {
+            reflectedUV.x = 1.0 - f.x - (reflectedUV.x - (1.0 - f.x));
+        }
+        if (reflectedUV.y < f.y) {
+            reflectedUV.y = f.y - (reflectedUV.y - f.y);
+        } else if (reflectedUV.y > 1.0 - f.y) {
+            reflectedUV.y = 1.0 - f.y - (reflectedUV.y - (1.0 - f.y));
+        }
+        let reflCenter: vec2f = vec2f(0.5, 0.5);
+        let reflDistFromCenter: f32 = length(reflectedUV - reflCenter);
+        // Simple blur
+        var blurred: vec3f = vec3f(0.0);
+        let blur: f32 = 2.0 / iResolution.x;
+        let frameBlur: f32 = 1.0;
+        for (var x: i32 = -1; x <= 1; x++) {
+            for (var y: i32 = -1; y <= 1; y++) {
+                let blurPos: vec2f = reflectedUV + vec2f(f32(x) * blur, f32(y) * blur);
+                blurred += rgbDistortion(blurPos, 0.0005);
+            }
+        }
+        blurred /= 9.0;
+        color += blurred * uniforms.frameReflect * 0.5;
+        // Light source
+        let lightX: f32 = 0.5 + sin(iTime * 1.75) * 0.35;
+        let lightPos: vec2f = vec2f(lightX, 0.2);
+        let lightDist: f32 = length(uv - lightPos);
+        let lightFalloff: f32 = pow(clamp(1.0 - lightDist / 1.5, 0.0, 1.0), 0.85);
+        color *= mix(0.25, 2.5, lightFalloff);
+    } else if (isBorder) {
+        color = bColor;
+    } else {
+        // Horizontal sync wave effect
+        let cyclePeriod: f32 = 2.0;
+        let randomOffset: f32 = fract(sin(floor(iTime / cyclePeriod) * 12345.67) * 43758.5453);
+        let actualCyclePeriod: f32 = cyclePeriod + randomOffset;
+        let cyclePosition: f32 = fract(iTime / actualCyclePeriod);
+        let waveDuration: f32 = 0.15;
+        var waveStrength: f32 = 0.0;
+        if (cyclePosition < waveDuration) {
+            let normalizedTime: f32 = cyclePosition / waveDuration;
+            waveStrength = sin(normalizedTime * 3.14159) * uniforms.hSync * 0.1;
+        }
+        let hWave: f32 = sin(contentUV.y * 10.0 + iTime * 5.0) * waveStrength;
+        contentUV.x += hWave;
+        if (contentUV.x < 0.0 || contentUV.x > 1.0 || contentUV.y < 0.0 || contentUV.y > 1.0) {
+            color = bColor;
+        } else {
+            color = rgbDistortion(contentUV, uniforms.rgbOffset);
+            if (uniforms.grilleLvl > 0.0) {
+                var grillePattern: f32 = sin(contentUV.x * uniforms.grilleDensity * 3.14159);
+                grillePattern = uniforms.grilleLvl + (1.0 - uniforms.grilleLvl) * grillePattern;
+                color *= 0.5 + 0.5 * grillePattern;
+            }
+            if (uniforms.scanlineLvl > 0.05) {
+                let scanlinePattern: f32 = sin(contentUV.y * iResolution.y * 3.14159 / uniforms.scanlines);
+                color *= uniforms.scanlineLvl + (1.0 - uniforms.scanlineLvl) * scanlinePattern;
+            }
+            if (uniforms.noiseLevel > 0.0) {
+                let noise: f32 = random(contentUV + iTime);
+                color += vec3f(noise * uniforms.noiseLevel * 0.5);
+            }
+            if (uniforms.flicker > 0.0) {
+                let f: f32 = 1.0 + 0.25 * sin(iTime * 60.0) * uniforms.flicker;
+                color *= f;
+            }
+        }
+        // Vignette (applies to CRT content only)
+        contentUV *= 1.0 - contentUV.yx;
+        color *= pow(contentUV.x * contentUV.y * uniforms.vignetteLvl, uniforms.vignetteStart);
+    }
+    return vec4f(color, alpha);
+}
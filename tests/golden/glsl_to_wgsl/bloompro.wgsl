@@ -0,0 +1,106 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    bloomIntensity: f32,
+    bloomRadius: f32,
+    bloomSpread: f32,
+    bloomThreshold: f32,
+    bloomSoftness: f32,
+    _pad5: f32,
+    _pad6: f32,
+    _pad7: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+const BLOOM_TAPS = 16;
+const NUM_RINGS = 5;
+
+// Calculate perceived brightness (luminance)
+fn luminance(color: vec3f) -> f32 {
+    return dot(color, vec3f(0.299, 0.587, 0.114));
+}
+
+// Soft threshold function
+fn softThreshold(value: f32, threshold: f32, softness: f32) -> f32 {
+    let edge0: f32 = threshold - softness;
+    let edge1: f32 = threshold + softness;
+    return smoothstep(edge0, edge1, value);
+}
+
+// Extract bright areas above threshold
+fn extractBrightness(color: vec3f, threshold: f32, softness: f32) -> vec3f {
+    let lum: f32 = luminance(color);
+    var contribution: f32 = softThreshold(lum, threshold, softness);
+    let brightnessFactor: f32 = max(0.0, lum - threshold);
+    contribution *= 1.0 + brightnessFactor * 2.0;
+    return color * contribution;
+}
+
+// Gaussian function
+fn gaussian(x: f32, sigma: f32) -> f32 {
+    return exp(-(x * x) / (2.0 * sigma * sigma));
+}
+
+// High-quality radial Gaussian bloom
+fn radialGaussianBloom(uv: vec2f, radius: f32, spread: f32) -> vec3f {
+    var bloom: vec3f = vec3f(0.0);
+    var totalWeight: f32 = 0.0;
+    let texelSize: vec2f = 1.0 / uniforms.resolution;
+    let sigma: f32 = radius * 0.4;
+    // Multiple rings with Gaussian distribution
+    let angleStep: f32 = 6.28318530718 / f32(BLOOM_TAPS); // 2*PI
+    for (var ring: i32 = 1; ring <= NUM_RINGS; ring++) {
+        let ringDist: f32 = f32(ring) / f32(NUM_RINGS) * radius * spread;
+        let ringWeight: f32 = gaussian(f32(ring - 1), sigma / spread);
+        for (var tap: i32 = 0; tap < BLOOM_TAPS; tap++) {
+            let angle: f32 = f32(tap) * angleStep;
+            let offset: vec2f = vec2f(cos(angle), sin(angle)) * ringDist * texelSize;
+            let samplePos: vec2f = uv + offset;
+            if (samplePos.x >= 0.0 && samplePos.x <= 1.0 && samplePos.y >= 0.0 && samplePos.y <= 1.0) {
+                let sampleColor: vec3f = textureSampleLevel(contentTexture, contentTextureSampler, samplePos, 0.0).rgb;
+                let brightColor: vec3f = extractBrightness(sampleColor, uniforms.bloomThreshold, uniforms.bloomSoftness);
+                bloom += brightColor * ringWeight;
+                totalWeight += ringWeight;
+            }
+        }
+    }
+    return select(vec3f(0.0), bloom / totalWeight, totalWeight > 0.0);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Sample the base color
+    let baseColor: vec3f = textureSample(contentTexture, contentTextureSampler, uv).rgb;
+    // Calculate smooth radial Gaussian bloom
+    let bloom: vec3f = radialGaussianBloom(uv, uniforms.bloomRadius, uniforms.bloomSpread);
+    // Combine base color with bloom
+    let finalColor: vec3f = baseColor + bloom * uniforms.bloomIntensity;
+    return vec4f(finalColor, 1.0);
+}
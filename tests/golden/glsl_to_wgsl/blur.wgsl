@@ -0,0 +1,51 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y; // Flip vertically
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Calculate blur radius (in pixels)
+    let blurRadius: f32 = 0.75;
+    let texelSize: vec2f = 1.0 / uniforms.resolution;
+    // Simple 9-sample box blur
+    var color: vec4f = vec4f(0.0);
+    var totalWeight: f32 = 0.0;
+    for (var x: f32 = -1.0; x <= 1.0; x += 1.0) {
+        for (var y: f32 = -1.0; y <= 1.0; y += 1.0) {
+            let offset: vec2f = vec2f(x, y) * texelSize * blurRadius;
+            color += textureSampleLevel(contentTexture, contentTextureSampler, uv + offset, 0.0);
+            totalWeight += 1.0;
+        }
+    }
+    color /= totalWeight;
+    return color;
+}
@@ -0,0 +1,116 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    focusPoint: vec2f,
+    _pad5: f32,
+    _pad6: f32,
+    focusRadius: f32,
+    blurRadius: f32,
+    falloffPower: f32,
+    sampleCount: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    var fragColor: vec4f;
+    let uv: vec2f = vUv;
+    // Calculate distance from focus point
+    let centerOffset: vec2f = uv - uniforms.focusPoint;
+    let distFromCenter: f32 = length(centerOffset);
+    // Calculate blur intensity with smooth falloff
+    // 0.0 at center (focusRadius), 1.0 at edges
+    var blurAmount: f32 = smoothstep(uniforms.focusRadius, uniforms.focusRadius + 0.4, distFromCenter);
+    blurAmount = pow(blurAmount, uniforms.falloffPower);
+    // Early exit: if blur amount is very low, just sample once
+    if (blurAmount < 0.05) {
+        fragColor = textureSampleLevel(contentTexture, contentTextureSampler, uv, 0.0);
+        return fragColor;
+    }
+    // Calculate actual blur radius for this pixel
+    let pixelBlurRadius: f32 = uniforms.blurRadius * blurAmount;
+    let texelSize: vec2f = 1.0 / uniforms.resolution;
+    var color: vec4f = vec4f(0.0);
+    var totalWeight: f32 = 0.0;
+    // Sample patterns based on sampleCount uniform
+    if (uniforms.sampleCount == 1.0) {
+        // Single sample (no blur)
+        color = textureSampleLevel(contentTexture, contentTextureSampler, uv, 0.0);
+        totalWeight = 1.0;
+    } else if (uniforms.sampleCount == 5.0) {
+        // 5 samples: center + 4 cardinal directions (cross pattern)
+        color += textureSampleLevel(contentTexture, contentTextureSampler, uv, 0.0);
+        totalWeight += 1.0;
+        for (var i: f32 = 0.0; i < 4.0; i += 1.0) {
+            let angle: f32 = i * 1.5708; // 90 degrees
+            let offset: vec2f = vec2f(cos(angle), sin(angle)) * texelSize * pixelBlurRadius;
+            color += textureSampleLevel(contentTexture, contentTextureSampler, uv + offset, 0.0);
+            totalWeight += 1.0;
+        }
+    } else if (uniforms.sampleCount == 9.0) {
+        // 9 samples: 3x3 box pattern
+        for (var x: f32 = -1.0; x <= 1.0; x += 1.0) {
+            for (var y: f32 = -1.0; y <= 1.0; y += 1.0) {
+                let offset: vec2f = vec2f(x, y) * texelSize * pixelBlurRadius;
+                color += textureSampleLevel(contentTexture, contentTextureSampler, uv + offset, 0.0);
+                totalWeight += 1.0;
+            }
+        }
+    } else if (uniforms.sampleCount == 13.0) {
+        // 13 samples: center + two rings (cross + diagonals)
+        color += textureSampleLevel(contentTexture, contentTextureSampler, uv, 0.0);
+        totalWeight += 1.0;
+        // Inner ring (8 samples)
+        for (var i: f32 = 0.0; i < 8.0; i += 1.0) {
+            let angle: f32 = i * 0.785398; // 45 degrees
+            let offset: vec2f = vec2f(cos(angle), sin(angle)) * texelSize * pixelBlurRadius;
+            color += textureSampleLevel(contentTexture, contentTextureSampler, uv + offset, 0.0);
+            totalWeight += 1.0;
+        }
+        // Outer ring (4 samples at corners)
+        for (var i: f32 = 0.0; i < 4.0; i += 1.0) {
+            let angle: f32 = i * 1.5708 + 0.785398; // 45° offset
+            let offset: vec2f = vec2f(cos(angle), sin(angle)) * texelSize * pixelBlurRadius * 1.414;
+            color += textureSampleLevel(contentTexture, contentTextureSampler, uv + offset, 0.0);
+            totalWeight += 1.0;
+        }
+    } else {
+        // Default: 9 samples (box pattern)
+        for (var x: f32 = -1.0; x <= 1.0; x += 1.0) {
+            for (var y: f32 = -1.0; y <= 1.0; y += 1.0) {
+                let offset: vec2f = vec2f(x, y) * texelSize * pixelBlurRadius;
+                color += textureSampleLevel(contentTexture, contentTextureSampler, uv + offset, 0.0);
+                totalWeight += 1.0;
+            }
+        }
+    }
+    color /= totalWeight;
+    fragColor = color;
+    return fragColor;
+}
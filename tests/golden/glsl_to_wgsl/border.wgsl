@@ -0,0 +1,58 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    borderSize: f32,
+    _pad5: f32,
+    _pad6: f32,
+    _pad7: f32,
+    backgroundColor: vec3f,
+    _pad8: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Calculate border in pixel space
+    let px: f32 = 1.0 / uniforms.resolution.x;
+    let border: f32 = uniforms.borderSize * px;
+    // Check if we're in the border region
+    let isBorder: bool = uv.x < border || uv.x > 1.0 - border || uv.y < border || uv.y > 1.0 - border;
+    var color: vec3f;
+    if (isBorder) {
+        // Draw border color
+        color = uniforms.backgroundColor;
+    } else {
+        // Calculate content UV (area inside border)
+        let contentUV: vec2f = (uv - vec2f(border, border)) / (1.0 - 2.0 * border);
+        // Sample the content texture
+        color = textureSampleLevel(contentTexture, contentTextureSampler, contentUV, 0.0).rgb;
+    }
+    return vec4f(color, 1.0);
+}
@@ -0,0 +1,128 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    cloudDensity: f32,
+    cloudScale: f32,
+    cloudSpeed: f32,
+    _pad5: f32,
+    cloudDirection: vec2f,
+    _pad6: f32,
+    _pad7: f32,
+    cloudSoftness: f32,
+    _pad8: f32,
+    _pad9: f32,
+    _pad10: f32,
+    cloudColor: vec3f,
+    _pad11: f32,
+    layerCount: f32,
+    _pad12: f32,
+    _pad13: f32,
+    _pad14: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// Hash function for noise generation
+fn hash(pIn: vec2f) -> vec2f {
+    var p: vec2f = pIn;
+    p = vec2f(dot(p, vec2f(127.1, 311.7)), dot(p, vec2f(269.5, 183.3)));
+    return fract(sin(p) * 43758.5453);
+}
+
+// Smooth noise function (simplified Perlin-like noise)
+fn noise(p: vec2f) -> f32 {
+    let i: vec2f = floor(p);
+    let f: vec2f = fract(p);
+    // Smooth interpolation
+    let u: vec2f = f * f * (3.0 - 2.0 * f);
+    // Four corners
+    let a: f32 = dot(hash(i + vec2f(0.0, 0.0)) - 0.5, f - vec2f(0.0, 0.0));
+    let b: f32 = dot(hash(i + vec2f(1.0, 0.0)) - 0.5, f - vec2f(1.0, 0.0));
+    let c: f32 = dot(hash(i + vec2f(0.0, 1.0)) - 0.5, f - vec2f(0.0, 1.0));
+    let d: f32 = dot(hash(i + vec2f(1.0, 1.0)) - 0.5, f - vec2f(1.0, 1.0));
+    // Bilinear interpolation
+    return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+}
+
+// Fractal Brownian Motion (FBM) for more organic cloud shapes
+fn fbm(p: vec2f, octaves: i32) -> f32 {
+    var value: f32 = 0.0;
+    var amplitude: f32 = 0.5;
+    var frequency: f32 = 1.0;
+    for (var i: i32 = 0; i < 4; i++) {
+        if (i >= octaves) {
+            break;
+        }
+        value += amplitude * noise(p * frequency);
+        frequency *= 2.0;
+        amplitude *= 0.5;
+    }
+    return value;
+}
+
+// Generate cloud pattern
+fn cloudPattern(uv: vec2f, timeOffset: f32) -> f32 {
+    // Apply cloud movement
+    let movement: vec2f = uniforms.cloudDirection * uniforms.time * uniforms.cloudSpeed + vec2f(timeOffset * 10.0, 0.0);
+    let cloudUv: vec2f = (uv + movement) * uniforms.cloudScale;
+    // Create billowy cloud shapes with FBM
+    var clouds: f32 = fbm(cloudUv, 4);
+    // Add another layer at different scale for variety
+    clouds += fbm(cloudUv * 0.5 + vec2f(100.0), 3) * 0.5;
+    // Normalize and apply softness
+    clouds = (clouds + 1.0) * 0.5; // Map from [-1,1] to [0,1]
+    clouds = smoothstep(0.5 - uniforms.cloudSoftness, 0.5 + uniforms.cloudSoftness, clouds);
+    return clouds;
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Sample base texture
+    let baseColor: vec3f = textureSample(contentTexture, contentTextureSampler, uv).rgb;
+    // Generate multiple cloud layers for depth
+    var cloudMask: f32 = 0.0;
+    let layers: i32 = i32(uniforms.layerCount);
+    for (var i: i32 = 0; i < 3; i++) {
+        if (i >= layers) {
+            break;
+        }
+        let layerOffset: f32 = f32(i) * 0.3;
+        let layerSpeed: f32 = 1.0 + f32(i) * 0.2; // Parallax effect
+        let layer: f32 = cloudPattern(uv, layerOffset) * (1.0 - f32(i) * 0.2);
+        cloudMask += layer;
+    }
+    // Normalize based on layer count
+    cloudMask /= uniforms.layerCount;
+    cloudMask = clamp(cloudMask, 0.0, 1.0);
+    // Apply cloud density
+    cloudMask *= uniforms.cloudDensity;
+    // Blend clouds over the base texture
+    let finalColor: vec3f = mix(baseColor, uniforms.cloudColor, cloudMask);
+    return vec4f(finalColor, 1.0);
+}
@@ -0,0 +1,156 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    glowIntensity: f32,
+    glowRadius: f32,
+    glowThreshold: f32,
+    saturationBoost: f32,
+    chromaticAberration: f32,
+    _pad5: f32,
+    _pad6: f32,
+    _pad7: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// High-quality luminance for glow extraction
+fn luminance(color: vec3f) -> f32 {
+    return dot(color, vec3f(0.2126, 0.7152, 0.0722));
+}
+
+// Convert RGB to HSV for saturation manipulation
+fn rgb2hsv(c: vec3f) -> vec3f {
+    let K: vec4f = vec4f(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);
+    let p: vec4f = mix(vec4f(c.bg, K.wz), vec4f(c.gb, K.xy), step(c.b, c.g));
+    let q: vec4f = mix(vec4f(p.xyw, c.r), vec4f(c.r, p.yzx), step(p.x, c.r));
+    let d: f32 = q.x - min(q.w, q.y);
+    let e: f32 = 1.0e-10;
+    return vec3f(abs(q.z + (q.w - q.y) / (6.0 * d + e)), d / (q.x + e), q.x);
+}
+
+// Convert HSV back to RGB
+fn hsv2rgb(c: vec3f) -> vec3f {
+    let K: vec4f = vec4f(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+    let p: vec3f = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+    return c.z * mix(K.xxx, clamp(p - K.xxx, vec3f(0.0), vec3f(1.0)), c.y);
+}
+
+// Boost color saturation for cyberpunk look
+fn saturateColor(color: vec3f, boost: f32) -> vec3f {
+    let hsv: vec3f = rgb2hsv(color);
+    let newSaturation: f32 = clamp(hsv.y * boost, 0.0, 1.0);
+    return hsv2rgb(vec3f(hsv.x, newSaturation, hsv.z));
+}
+
+// Extract glow-worthy colors (bright + saturated)
+fn extractGlow(color: vec3f) -> vec3f {
+    let lum: f32 = luminance(color);
+    let hsv: vec3f = rgb2hsv(color);
+    // Threshold based on brightness
+    let brightnessFactor: f32 = smoothstep(uniforms.glowThreshold, uniforms.glowThreshold + 0.2, lum);
+    // Boost highly saturated colors even if not super bright
+    let saturationFactor: f32 = hsv.y * 0.5;
+    // Combine factors
+    let glowFactor: f32 = clamp(brightnessFactor + saturationFactor, 0.0, 1.0);
+    // Extra boost for very bright pixels
+    let intensityBoost: f32 = 1.0 + max(0.0, lum - uniforms.glowThreshold) * 3.0;
+    return color * glowFactor * intensityBoost;
+}
+
+// Heavy glow with color enhancement
+fn heavyGlow(uv: vec2f) -> vec3f {
+    var glow: vec3f = vec3f(0.0);
+    let texelSize: vec2f = 1.0 / uniforms.resolution;
+    // Multiple octaves of glow at different scales
+    var weights: array<f32, 5>;
+    weights[0] = 1.0;
+    weights[1] = 0.8;
+    weights[2] = 0.6;
+    weights[3] = 0.4;
+    weights[4] = 0.3;
+    var scales: array<f32, 5>;
+    scales[0] = 1.0;
+    scales[1] = 1.5;
+    scales[2] = 2.2;
+    scales[3] = 3.2;
+    scales[4] = 4.5;
+    for (var octave: i32 = 0; octave < 5; octave++) {
+        let scale: f32 = scales[octave];
+        let weight: f32 = weights[octave];
+        let radius: f32 = uniforms.glowRadius * scale;
+        // Fast 8-tap rotated grid per octave
+        let angleStep: f32 = 0.78539816339; // PI/4
+        let samples: i32 = 8;
+        var octaveGlow: vec3f = vec3f(0.0);
+        for (var i: i32 = 0; i < samples; i++) {
+            let angle: f32 = f32(i) * angleStep;
+            let offset: vec2f = vec2f(cos(angle), sin(angle)) * radius * texelSize * 0.8;
+            let samplePos: vec2f = uv + offset;
+            if (samplePos.x >= 0.0 && samplePos.x <= 1.0 && samplePos.y >= 0.0 && samplePos.y <= 1.0) {
+                let sampleColor: vec3f = textureSampleLevel(contentTexture, contentTextureSampler, samplePos, 0.0).rgb;
+                octaveGlow += extractGlow(sampleColor);
+            }
+        }
+        octaveGlow /= f32(samples);
+        glow += octaveGlow * weight;
+    }
+    return glow / 3.5; // Normalize
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Sample base color
+    var baseColor: vec3f = textureSample(contentTexture, contentTextureSampler, uv).rgb;
+    // Calculate heavy cyberpunk glow
+    var glow: vec3f = heavyGlow(uv);
+    // Boost saturation of the glow
+    if (uniforms.saturationBoost > 1.0) {
+        glow = saturateColor(glow, uniforms.saturationBoost);
+    }
+    // Optional: boost saturation of base image too for full cyberpunk effect
+    if (uniforms.saturationBoost > 1.5) {
+        baseColor = saturateColor(baseColor, 1.0 + (uniforms.saturationBoost - 1.5) * 0.5);
+    }
+    // Combine with strong intensity
+    let finalColor: vec3f = baseColor + glow * uniforms.glowIntensity;
+    // Optional subtle chromatic fringe on very bright areas
+    if (uniforms.chromaticAberration > 0.0) {
+        let brightnessMask: f32 = smoothstep(0.7, 1.0, luminance(finalColor));
+        if (brightnessMask > 0.0) {
+            let offset: f32 = uniforms.chromaticAberration * 0.002;
+            let texelSize: vec2f = 1.0 / uniforms.resolution;
+            let rOffset: vec2f = uv + vec2f(offset, 0.0) * texelSize * brightnessMask;
+            let bOffset: vec2f = uv - vec2f(offset, 0.0) * texelSize * brightnessMask;
+            let r: f32 = textureSampleLevel(contentTexture, contentTextureSampler, rOffset, 0.0).r;
+            let b: f32 = textureSampleLevel(contentTexture, contentTextureSampler, bOffset, 0.0).b;
+            baseColor = vec3f(r, baseColor.g, b);
+        }
+    }
+    return vec4f(finalColor, 1.0);
+}
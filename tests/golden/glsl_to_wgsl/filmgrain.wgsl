@@ -0,0 +1,85 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    grainIntensity: f32,
+    grainAdaptive: f32,
+    temporalSpeed: f32,
+    grainFreq: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// High-quality hash function for grain generation
+fn hash(p: vec2f) -> f32 {
+    var p3: vec3f = fract(vec3f(p.xyx) * 0.1031);
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
+}
+
+// Improved noise with better temporal characteristics
+fn noise(p: vec2f) -> f32 {
+    let i: vec2f = floor(p);
+    let f: vec2f = fract(p);
+    // Smoother interpolation (quintic)
+    let u: vec2f = f * f * f * (f * (f * 6.0 - 15.0) + 10.0);
+    let a: f32 = hash(i);
+    let b: f32 = hash(i + vec2f(1.0, 0.0));
+    let c: f32 = hash(i + vec2f(0.0, 1.0));
+    let d: f32 = hash(i + vec2f(1.0, 1.0));
+    return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+}
+
+// Simplified two-octave grain (removed coarse layer)
+fn filmGrain(uv: vec2f, time: f32) -> f32 {
+    var grain: f32 = 0.0;
+    // Fine grain (base layer)
+    grain += noise(uv * uniforms.grainFreq + time * 5.0) * 0.6;
+    // Medium grain (adds texture)
+    grain += noise(uv * uniforms.grainFreq * 0.5 + time * 3.0) * 0.4;
+    return grain;
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    let pixelCoord: vec2f = uv * uniforms.resolution;
+    // Sample the content texture
+    let color: vec4f = textureSample(contentTexture, contentTextureSampler, uv);
+    // Generate grain with temporal variation
+    let t: f32 = uniforms.time * uniforms.temporalSpeed;
+    // Single grain value (no chromatic separation)
+    let grainValue: f32 = filmGrain(pixelCoord, t);
+    // Scale grain based on image luminance (darker = more visible grain)
+    let luminance: f32 = dot(color.rgb, vec3f(0.299, 0.587, 0.114));
+    let adaptiveGrain: f32 = uniforms.grainIntensity + (1.0 - luminance) * uniforms.grainAdaptive;
+    // Apply grain to all channels equally
+    let grain: f32 = (grainValue - 0.5) * adaptiveGrain;
+    // Composite grain with original color
+    let finalColor: vec3f = color.rgb + grain;
+    return vec4f(finalColor, color.a);
+}
@@ -0,0 +1,102 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    grainIntensity: f32,
+    grainAdaptive: f32,
+    temporalSpeed: f32,
+    fineGrainFreq: f32,
+    mediumGrainFreq: f32,
+    coarseGrainFreq: f32,
+    chromaticStrength: f32,
+    vignetteStrength: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// High-quality hash function for grain generation
+fn hash(p: vec2f) -> f32 {
+    var p3: vec3f = fract(vec3f(p.xyx) * 0.1031);
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
+}
+
+// Improved noise with better temporal characteristics
+fn noise(p: vec2f) -> f32 {
+    let i: vec2f = floor(p);
+    let f: vec2f = fract(p);
+    // Smoother interpolation (quintic)
+    let u: vec2f = f * f * f * (f * (f * 6.0 - 15.0) + 10.0);
+    let a: f32 = hash(i);
+    let b: f32 = hash(i + vec2f(1.0, 0.0));
+    let c: f32 = hash(i + vec2f(0.0, 1.0));
+    let d: f32 = hash(i + vec2f(1.0, 1.0));
+    return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+}
+
+// Layered noise for more complex grain structure
+fn filmGrain(uv: vec2f, time: f32) -> f32 {
+    var grain: f32 = 0.0;
+    // Fine grain (base layer)
+    grain += noise(uv * uniforms.fineGrainFreq + time * 5.0) * 0.5;
+    // Medium grain (adds texture)
+    grain += noise(uv * uniforms.mediumGrainFreq + time * 3.0) * 0.3;
+    // Coarse grain (analog film characteristic)
+    grain += noise(uv * uniforms.coarseGrainFreq + time * 1.5) * 0.2;
+    return grain;
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    let pixelCoord: vec2f = uv * uniforms.resolution;
+    // Sample the content texture
+    let color: vec4f = textureSample(contentTexture, contentTextureSampler, uv);
+    // Generate grain with temporal variation
+    let t: f32 = uniforms.time * uniforms.temporalSpeed;
+    // Separate grain channels for chromatic aberration effect
+    let grainR: f32 = filmGrain(pixelCoord + vec2f(0.0, 0.0), t);
+    let grainG: f32 = filmGrain(pixelCoord + vec2f(7.3, 13.1), t + 0.33);
+    let grainB: f32 = filmGrain(pixelCoord + vec2f(15.7, 3.9), t + 0.67);
+    // Luminance grain (affects all channels equally)
+    let grainL: f32 = filmGrain(pixelCoord + vec2f(23.4, 31.2), t);
+    // Scale grain based on image luminance (darker = more visible grain)
+    let luminance: f32 = dot(color.rgb, vec3f(0.299, 0.587, 0.114));
+    let adaptiveGrain: f32 = uniforms.grainIntensity + (1.0 - luminance) * uniforms.grainAdaptive;
+    // Apply chromatic and luminance grain
+    var grain: vec3f = vec3f(grainR, grainG, grainB) - 0.5;
+    grain = grain * adaptiveGrain * uniforms.chromaticStrength;
+    // Add luminance grain
+    grain += (grainL - 0.5) * adaptiveGrain;
+    // Composite grain with original color
+    var finalColor: vec3f = color.rgb + grain;
+    // Optional: Add subtle vignette to enhance film look
+    let vignetteUV: vec2f = uv * 2.0 - 1.0;
+    let vignette: f32 = 1.0 - dot(vignetteUV, vignetteUV) * uniforms.vignetteStrength;
+    finalColor *= vignette;
+    return vec4f(finalColor, color.a);
+}
@@ -0,0 +1,138 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    scratchInterval: f32,
+    scratchLifetime: f32,
+    minAlpha: f32,
+    maxAlpha: f32,
+    minLength: f32,
+    maxLength: f32,
+    straightness: f32,
+    noisiness: f32,
+    minWidth: f32,
+    maxWidth: f32,
+    _pad5: f32,
+    _pad6: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// Bezier curve function
+fn bezier(t: f32, p0: vec2f, p1: vec2f, p2: vec2f, p3: vec2f) -> vec2f {
+    let it: f32 = 1.0 - t;
+    return it * it * it * p0 + 3.0 * it * it * t * p1 + 3.0 * it * t * t * p2 + t * t * t * p3;
+}
+
+// Random function
+fn rand(co: vec2f) -> f32 {
+    return fract(sin(dot(co.xy, vec2f(12.9898, 78.233))) * 43758.5453);
+}
+
+// Distance to line segment with noise
+fn line(p1: vec2f, p2: vec2f, p: vec2f, noise: f32) -> f32 {
+    let v: vec2f = p2 - p1;
+    let w: vec2f = p - p1;
+    let c1: f32 = dot(w, v);
+    if (c1 <= 0.0) {
+        return length(w) + noise * rand(p1 + p2) - 0.5 * noise;
+    }
+    let c2: f32 = dot(v, v);
+    if (c2 <= c1) {
+        return length(p - p2) + noise * rand(p1 + p2) - 0.5 * noise;
+    }
+    let b: f32 = c1 / c2;
+    let baseDistance: f32 = length(p - (p1 + b * v));
+    return baseDistance + noise * rand(p + p1 + p2) - 0.5 * noise;
+}
+
+// GLSL mod(): the result takes the sign of y
+fn mod_f32(x: f32, y: f32) -> f32 {
+    return x - y * floor(x / y);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    var fragColor: vec4f;
+    let uv: vec2f = vUv;
+    let baseColor: vec3f = textureSample(contentTexture, contentTextureSampler, uv).rgb;
+    let lifeInterval: f32 = uniforms.scratchInterval * uniforms.scratchLifetime;
+    let currentTimeInInterval: f32 = mod_f32(uniforms.time, uniforms.scratchInterval);
+    let isLineVisible: bool = currentTimeInInterval <= lifeInterval;
+    if (!isLineVisible) {
+        fragColor = vec4f(baseColor, 1.0);
+        return fragColor;
+    }
+    let intervalIndex: f32 = floor(uniforms.time / uniforms.scratchInterval);
+    let t: f32 = intervalIndex * uniforms.scratchInterval * 0.1;
+    // Random alpha for this scratch
+    let rawAlpha: f32 = fract(sin(intervalIndex * 12.9898) * 43758.5453);
+    let lineAlpha: f32 = uniforms.minAlpha + (uniforms.maxAlpha - uniforms.minAlpha) * rawAlpha;
+    // Random length for this scratch
+    let lengthFactor: f32 = mix(uniforms.minLength, uniforms.maxLength, rand(vec2f(t, 2.5)));
+    // Start point and direction
+    let p0: vec2f = vec2f(rand(vec2f(t, 0.3)), rand(vec2f(t, 1.3)));
+    let direction: vec2f = normalize(vec2f(rand(vec2f(t, 0.7)), rand(vec2f(t, 1.7))) - p0);
+    let p3: vec2f = p0 + direction * lengthFactor;
+    // Control points for bezier curve
+    var makeStraight: bool = rand(vec2f(t, 2.0)) < uniforms.straightness;
+    if (uniforms.maxLength - uniforms.minLength < 0.1) {
+        makeStraight = true;
+    }
+    var p1: vec2f;
+    var p2: vec2f;
+    if (makeStraight) {
+        p1 = mix(p0, p3, 0.33);
+        p2 = mix(p0, p3, 0.66);
+    } else {
+        p1 = vec2f(rand(vec2f(t, 0.4)), rand(vec2f(t, 1.4)));
+        p2 = vec2f(rand(vec2f(t, 0.6)), rand(vec2f(t, 1.6)));
+    }
+    // Find minimum distance to bezier curve
+    var minDist: f32 = 1.0;
+    const segments: i32 = 20;
+    for (var i: i32 = 0; i < segments; i++) {
+        let t1: f32 = f32(i) / f32(segments);
+        let t2: f32 = f32(i + 1) / f32(segments);
+        let point1: vec2f = bezier(t1, p0, p1, p2, p3);
+        let point2: vec2f = bezier(t2, p0, p1, p2, p3);
+        minDist = min(minDist, line(point1, point2, uv, uniforms.noisiness));
+    }
+    // Random width for this scratch
+    let rawWidth: f32 = fract(sin(intervalIndex * 78.233) * 43758.5453);
+    let lineWidth: f32 = uniforms.minWidth + (uniforms.maxWidth - uniforms.minWidth) * rawWidth;
+    if (minDist < lineWidth) {
+        // Create scratch color with noise
+        let c: f32 = fract(sin(dot(uv * uniforms.resolution, vec2f(12.9898, 78.233))) * 43758.5453);
+        let lineColor: vec3f = vec3f(c + 0.25);
+        let blendedColor: vec3f = mix(baseColor, lineColor, lineAlpha);
+        fragColor = vec4f(blendedColor, 1.0);
+    } else {
+        fragColor = vec4f(baseColor, 1.0);
+    }
+    return fragColor;
+}
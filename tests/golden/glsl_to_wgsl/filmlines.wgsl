@@ -0,0 +1,106 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    scratchDensity: f32,
+    scratchWidth: f32,
+    scratchIntensity: f32,
+    scratchSpeed: f32,
+    verticalVariation: f32,
+    _pad5: f32,
+    _pad6: f32,
+    _pad7: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// Hash function
+fn hash(n: f32) -> f32 {
+    return fract(sin(n) * 43758.5453);
+}
+
+fn hash2(p: vec2f) -> f32 {
+    return fract(sin(dot(p, vec2f(127.1, 311.7))) * 43758.5453);
+}
+
+// Smooth noise for subtle variation
+fn noise(p: f32) -> f32 {
+    let i: f32 = floor(p);
+    var f: f32 = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(hash(i), hash(i + 1.0), f);
+}
+
+// Generate realistic vertical scratches
+fn verticalScratches(uv: vec2f, time: f32) -> f32 {
+    var scratches: f32 = 0.0;
+    // Slow time progression for scratch persistence
+    let timeSeed: f32 = floor(time * uniforms.scratchSpeed);
+    // Multiple scratch layers
+    for (var i: f32 = 0.0; i < 6.0; i += 1.0) {
+        // Each scratch has a unique seed
+        let scratchId: f32 = i + timeSeed * 0.3;
+        let appear: f32 = hash(scratchId * 127.3);
+        // Control scratch density
+        if (appear > uniforms.scratchDensity) {
+            continue;
+        }
+        // Random horizontal position
+        let xPos: f32 = hash(scratchId * 234.5);
+        // Subtle horizontal drift using smooth noise
+        let drift: f32 = noise(uv.y * 8.0 + scratchId) * uniforms.verticalVariation;
+        let scratchX: f32 = xPos + drift;
+        // Distance from scratch center
+        let dist: f32 = abs(uv.x - scratchX);
+        // Random width variation per scratch
+        let widthVar: f32 = hash(scratchId * 345.6) * 0.5 + 0.5;
+        let width: f32 = uniforms.scratchWidth * widthVar;
+        // Create scratch with soft falloff
+        var scratch: f32 = smoothstep(width, width * 0.3, dist);
+        // Random intensity per scratch
+        let brightness: f32 = hash(scratchId * 456.7) * 0.6 + 0.4;
+        scratch *= brightness;
+        // Vertical opacity variation (scratches fade in/out)
+        var fadePattern: f32 = noise(uv.y * 15.0 + scratchId * 10.0);
+        fadePattern = fadePattern * 0.4 + 0.6; // 60-100% opacity
+        scratch *= fadePattern;
+        // Accumulate scratches (additive)
+        scratches += scratch;
+    }
+    return min(scratches, 1.0); // Clamp to prevent over-brightening
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    let baseColor: vec3f = textureSample(contentTexture, contentTextureSampler, uv).rgb;
+    // Generate defects
+    let scratchEffect: f32 = verticalScratches(uv, uniforms.time);
+    // Apply scratches (brighten - white/light scratches)
+    let finalColor: vec3f = baseColor + scratchEffect * uniforms.scratchIntensity;
+    return vec4f(finalColor, 1.0);
+}
@@ -0,0 +1,83 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    topLeftColor: vec3f,
+    _pad5: f32,
+    topRightColor: vec3f,
+    _pad6: f32,
+    bottomLeftColor: vec3f,
+    _pad7: f32,
+    bottomRightColor: vec3f,
+    _pad8: f32,
+    blendAmount: f32,
+    gradientSoftness: f32,
+    _pad9: f32,
+    _pad10: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+fn blendColorDodge(base: vec3f, blend: vec3f) -> vec3f {
+    return min(base / (1.0 - blend + 0.001), vec3f(1.0));
+}
+
+// ------------------------------------------------------------
+// Blend mode router (using mix for GPU efficiency)
+// ------------------------------------------------------------
+fn applyBlendMode(base: vec3f, blend: vec3f) -> vec3f {
+    // 0=Normal, 1=Multiply, 2=Screen, 3=Overlay, 4=SoftLight, 5=ColorDodge, 6=ColorBurn, 7=LinearDodge, 8=Add
+    let m: f32 = 5.0;
+    var result: vec3f = base;
+    result = mix(result, blendColorDodge(base, blend), step(abs(m - 5.0), 0.1));
+    return result;
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    let baseColor: vec4f = textureSample(contentTexture, contentTextureSampler, uv);
+    // --------------------------------------------------------
+    // Create four-corner gradient
+    // --------------------------------------------------------
+    // Apply softness curve to UV (makes gradient less linear)
+    var softUv: vec2f = uv;
+    softUv = pow(softUv, vec2f(uniforms.gradientSoftness));
+    var invSoftUv: vec2f = vec2f(1.0) - softUv;
+    invSoftUv = pow(invSoftUv, vec2f(uniforms.gradientSoftness));
+    // Bilinear interpolation between four corners
+    let top: vec3f = mix(uniforms.topLeftColor, uniforms.topRightColor, softUv.x);
+    let bottom: vec3f = mix(uniforms.bottomLeftColor, uniforms.bottomRightColor, softUv.x);
+    let gradientColor: vec3f = mix(top, bottom, softUv.y);
+    // --------------------------------------------------------
+    // Apply selected blend mode
+    // --------------------------------------------------------
+    let blended: vec3f = applyBlendMode(baseColor.rgb, gradientColor);
+    // Mix based on blend amount
+    let finalColor: vec3f = mix(baseColor.rgb, blended, uniforms.blendAmount);
+    return vec4f(finalColor, 1.0);
+}
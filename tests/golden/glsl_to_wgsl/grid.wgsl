@@ -0,0 +1,83 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    cellSize: vec2f,
+    _pad5: f32,
+    _pad6: f32,
+    gridColor: vec3f,
+    _pad7: f32,
+    gridAlpha: f32,
+    coreThickness: f32,
+    softThickness: f32,
+    haloAlpha: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// GLSL mod(): the result takes the sign of y
+fn mod_vec2f(x: vec2f, y: vec2f) -> vec2f {
+    return x - y * floor(x / y);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Sample terminal content
+    let content: vec4f = textureSample(contentTexture, contentTextureSampler, uv);
+    // Double-width cell size for Stone Garden characters
+    let doubleWidthCellSize: vec2f = vec2f(uniforms.cellSize.x, uniforms.cellSize.y);
+    // Convert UV to pixel coordinates
+    let pixelCoord: vec2f = uv * uniforms.resolution;
+    // Calculate position within each cell
+    let cellPos: vec2f = mod_vec2f(pixelCoord, doubleWidthCellSize);
+    // Calculate distance to nearest grid line
+    // Distance to left/top edge
+    let distToLeft: f32 = cellPos.x;
+    let distToTop: f32 = cellPos.y;
+    // Distance to right/bottom edge
+    let distToRight: f32 = doubleWidthCellSize.x - cellPos.x;
+    let distToBottom: f32 = doubleWidthCellSize.y - cellPos.y;
+    // Minimum distance to any grid line
+    let distToVerticalLine: f32 = min(distToLeft, distToRight);
+    let distToHorizontalLine: f32 = min(distToTop, distToBottom);
+    // Calculate line intensity with soft falloff
+    // Core line (sharp, dark)
+    let verticalCore: f32 = 1.0 - smoothstep(0.0, uniforms.coreThickness, distToVerticalLine);
+    let horizontalCore: f32 = 1.0 - smoothstep(0.0, uniforms.coreThickness, distToHorizontalLine);
+    // Soft halo (gentle, lighter)
+    let verticalHalo: f32 = 1.0 - smoothstep(uniforms.coreThickness, uniforms.coreThickness + uniforms.softThickness, distToVerticalLine);
+    let horizontalHalo: f32 = 1.0 - smoothstep(uniforms.coreThickness, uniforms.coreThickness + uniforms.softThickness, distToHorizontalLine);
+    // Combine core and halo
+    let verticalLine: f32 = verticalCore + verticalHalo * uniforms.haloAlpha;
+    let horizontalLine: f32 = horizontalCore + horizontalHalo * uniforms.haloAlpha;
+    // Combine vertical and horizontal (max = at intersections)
+    let gridIntensity: f32 = max(verticalLine, horizontalLine);
+    // Blend grid color over terminal content
+    let finalColor: vec3f = mix(content.rgb, uniforms.gridColor, gridIntensity * uniforms.gridAlpha);
+    return vec4f(finalColor, 1.0);
+}
@@ -0,0 +1,84 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    cellSize: vec2f,
+    _pad5: f32,
+    _pad6: f32,
+    lineOpacity: f32,
+    lightLineSpacing: f32,
+    darkLineSpacing: f32,
+    alternatingLineSpacing: f32,
+    lightLineColor: vec3f,
+    _pad7: f32,
+    darkLineColor: vec3f,
+    _pad8: f32,
+    alternatingTint: vec3f,
+    _pad9: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+fn lineMask(screenCoord: f32, cell: f32, spacing: f32) -> f32 {
+    return step(spacing, 0.001) * 0.0 + (1.0 - step(spacing, 0.001)) * step(mod_f32(screenCoord, cell * spacing), 1.0);
+}
+
+// GLSL mod(): the result takes the sign of y
+fn mod_f32(x: f32, y: f32) -> f32 {
+    return x - y * floor(x / y);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    var color: vec4f = textureSample(contentTexture, contentTextureSampler, vUv);
+    let screenPos: vec2f = vUv * uniforms.resolution;
+    let xScreen: f32 = screenPos.x;
+    let yScreen: f32 = screenPos.y;
+    // Line indices
+    let row: f32 = floor(yScreen / uniforms.cellSize.y);
+    let col: f32 = floor(xScreen / uniforms.cellSize.x);
+    // ---------------- Light grid lines ----------------
+    let lightH: f32 = lineMask(yScreen, uniforms.cellSize.y, uniforms.lightLineSpacing);
+    let lightV: f32 = lineMask(xScreen, uniforms.cellSize.x, uniforms.lightLineSpacing);
+    let lightMask: f32 = max(lightH, lightV);
+    let lightBlend: vec3f = mix(vec3f(1.0), uniforms.lightLineColor, uniforms.lineOpacity);
+    color = vec4f(color.rgb * mix(vec3f(1.0), lightBlend, lightMask), color.a);
+    // ---------------- Alternating tint ----------------
+    let altRow: f32 = step(uniforms.alternatingLineSpacing, 0.001) * 0.0 + (1.0 - step(uniforms.alternatingLineSpacing, 0.001)) * (1.0 - step(1.0, mod_f32(row, uniforms.alternatingLineSpacing)));
+    let altCol: f32 = step(uniforms.alternatingLineSpacing, 0.001) * 0.0 + (1.0 - step(uniforms.alternatingLineSpacing, 0.001)) * (1.0 - step(1.0, mod_f32(col, uniforms.alternatingLineSpacing)));
+    let altMask: f32 = max(altRow, altCol);
+    // Invert so MOST cells remain light
+    let invertedAltMask: f32 = 1.0 - altMask;
+    color = vec4f(color.rgb * mix(vec3f(1.0), uniforms.alternatingTint, invertedAltMask), color.a);
+    // ---------------- Dark grid lines ----------------
+    let darkH: f32 = lineMask(yScreen, uniforms.cellSize.y, uniforms.darkLineSpacing);
+    let darkV: f32 = lineMask(xScreen, uniforms.cellSize.x, uniforms.darkLineSpacing);
+    let darkMask: f32 = max(darkH, darkV);
+    let darkBlend: vec3f = mix(vec3f(1.0), uniforms.darkLineColor, uniforms.lineOpacity);
+    color = vec4f(color.rgb * mix(vec3f(1.0), darkBlend, darkMask), color.a);
+    return vec4f(color.rgb, 1.0);
+}
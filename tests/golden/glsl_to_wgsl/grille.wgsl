@@ -0,0 +1,113 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    scanlineIntensity: f32,
+    scanlineSharpness: f32,
+    bloomAmount: f32,
+    phosphorSharpness: f32,
+    grilleBrightness: f32,
+    maskStrength: f32,
+    enableScanlines: f32,
+    enableApertureGrille: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// Gaussian-like falloff for scanline glow
+fn gaussianWeight(x: f32, sigma: f32) -> f32 {
+    return exp(-(x * x) / (2.0 * sigma * sigma));
+}
+
+// Aperture grille: vertical RGB stripes (Sony Trinitron style)
+fn apertureMask(pixelPos: vec2f) -> vec3f {
+    // Each pixel is divided into RGB subpixels
+    let subpixel: f32 = mod_f32(pixelPos.x, 3.0);
+    var mask: vec3f = vec3f(0.0);
+    // Red stripe
+    if (subpixel < 1.0) {
+        mask.r = 1.0;
+    } else if (subpixel < 2.0) {
+        mask.g = 1.0;
+    } else {
+        mask.b = 1.0;
+    }
+    // Apply sharpness - softer edges blend the stripes
+    let sharpness: f32 = uniforms.phosphorSharpness;
+    mask = mix(vec3f(1.0), mask, sharpness);
+    // Normalize brightness
+    mask *= uniforms.grilleBrightness;
+    return mask;
+}
+
+// Scanline with proper gaussian falloff
+fn scanlineMask(y: f32, scanlineHeight: f32) -> f32 {
+    // Calculate position within current scanline (0.0 to 1.0)
+    let linePos: f32 = mod_f32(y, scanlineHeight) / scanlineHeight;
+    // Center of scanline is at 0.5
+    let distFromCenter: f32 = abs(linePos - 0.5) * 2.0;
+    // Gaussian falloff from center of scanline
+    let sigma: f32 = 0.5 / uniforms.scanlineSharpness;
+    let intensity: f32 = gaussianWeight(distFromCenter, sigma);
+    // Mix between full brightness and the gap darkness
+    return mix(uniforms.scanlineIntensity, 1.0, intensity);
+}
+
+// GLSL mod(): the result takes the sign of y
+fn mod_f32(x: f32, y: f32) -> f32 {
+    return x - y * floor(x / y);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    let pixelPos: vec2f = uv * uniforms.resolution;
+    // Sample base color
+    var color: vec3f = textureSample(contentTexture, contentTextureSampler, uv).rgb;
+    // Calculate brightness for bloom (bright areas bleed into gaps)
+    let brightness: f32 = dot(color, vec3f(0.299, 0.587, 0.114));
+    // Apply aperture grille (vertical RGB stripes)
+    if (uniforms.enableApertureGrille > 0.5) {
+        var mask: vec3f = apertureMask(pixelPos);
+        // Bright pixels can bleed through the mask more
+        let bleedThrough: f32 = mix(1.0, 1.5, brightness * uniforms.bloomAmount);
+        mask *= bleedThrough;
+        // Apply mask with controllable strength
+        color *= mix(vec3f(1.0), mask, uniforms.maskStrength);
+    }
+    // Apply scanlines (horizontal gaps between scan lines)
+    if (uniforms.enableScanlines > 0.5) {
+        // Scanline height depends on vertical resolution
+        let scanlineHeight: f32 = 2.0;
+        var scanline: f32 = scanlineMask(pixelPos.y, scanlineHeight);
+        // Bright areas reduce the visibility of scanline gaps (bloom)
+        let bloomFactor: f32 = mix(1.0, 0.3, brightness * uniforms.bloomAmount);
+        scanline = mix(scanline, 1.0, bloomFactor);
+        color *= scanline;
+    }
+    return vec4f(color, 1.0);
+}
@@ -0,0 +1,90 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    lightPosition: vec2f,
+    _pad5: f32,
+    _pad6: f32,
+    lightColor: vec3f,
+    _pad7: f32,
+    lightIntensity: f32,
+    lightRadius: f32,
+    falloffPower: f32,
+    ambientLevel: f32,
+    lightHeight: f32,
+    swayAmount: f32,
+    swaySpeed: f32,
+    _pad8: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// Calculate distance with aspect ratio correction
+fn getDistance(uv: vec2f, lightPos: vec2f) -> f32 {
+    let aspectCorrection: vec2f = vec2f(uniforms.resolution.x / uniforms.resolution.y, 1.0);
+    let delta: vec2f = (uv - lightPos) * aspectCorrection;
+    return length(delta);
+}
+
+// Realistic inverse square falloff with artistic control
+fn calculateAttenuation(distance: f32, radius: f32, power: f32) -> f32 {
+    // Normalize distance by radius
+    let normalizedDist: f32 = distance / radius;
+    // Inverse square law with adjustable power
+    let attenuation: f32 = 1.0 / (1.0 + normalizedDist * normalizedDist * power);
+    // Smooth cutoff at radius edge
+    let edgeFade: f32 = smoothstep(radius * 1.2, radius * 0.8, distance);
+    return attenuation * edgeFade;
+}
+
+// Simulate how light height affects spread
+fn heightFactor(distance: f32, height: f32) -> f32 {
+    // Higher lights spread more evenly
+    return 1.0 + (height - 1.0) * (1.0 - distance);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Calculate swaying light position (horizontal sway)
+    let swayOffset: f32 = sin(uniforms.time * uniforms.swaySpeed) * uniforms.swayAmount;
+    let swayedLightPos: vec2f = vec2f(uniforms.lightPosition.x + swayOffset, uniforms.lightPosition.y);
+    // Sample base color
+    let baseColor: vec3f = textureSample(contentTexture, contentTextureSampler, uv).rgb;
+    // Calculate distance from swayed light
+    let dist: f32 = getDistance(uv, swayedLightPos);
+    // Calculate light attenuation
+    var attenuation: f32 = calculateAttenuation(dist, uniforms.lightRadius, uniforms.falloffPower);
+    // Apply height-based spread modification
+    attenuation *= heightFactor(dist / uniforms.lightRadius, uniforms.lightHeight);
+    // Calculate final lighting
+    let lighting: vec3f = uniforms.lightColor * uniforms.lightIntensity * attenuation;
+    // Apply lighting to base color
+    // Ambient ensures nothing goes completely black
+    let finalColor: vec3f = baseColor * (uniforms.ambientLevel + lighting);
+    return vec4f(finalColor, 1.0);
+}
@@ -0,0 +1,47 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    vignetteStart: f32,
+    vignetteLvl: f32,
+    _pad5: f32,
+    _pad6: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Sample base color
+    var color: vec3f = textureSample(contentTexture, contentTextureSampler, uv).rgb;
+    // Vignette using edge multiplication
+    let vignetteUV: vec2f = uv * (vec2f(1.0) - vec2f(uv.y, uv.x));
+    let vignette: f32 = pow(vignetteUV.x * vignetteUV.y * uniforms.vignetteLvl, uniforms.vignetteStart);
+    color *= vignette;
+    return vec4f(color, 1.0);
+}
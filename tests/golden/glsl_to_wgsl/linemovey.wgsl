@@ -0,0 +1,59 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    lineColor: vec3f,
+    _pad5: f32,
+    lineAlpha: f32,
+    lineWidth: f32,
+    speed: f32,
+    loopDuration: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// GLSL mod(): the result takes the sign of y
+fn mod_f32(x: f32, y: f32) -> f32 {
+    return x - y * floor(x / y);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Sample terminal content
+    let content: vec4f = textureSample(contentTexture, contentTextureSampler, uv);
+    // Calculate the vertical position of the line (0.0 to 1.0)
+    // Using mod to create perfect loop
+    let linePosition: f32 = mod_f32(uniforms.time * uniforms.speed, uniforms.loopDuration) / uniforms.loopDuration;
+    // Calculate distance from current pixel to the line
+    let distanceToLine: f32 = abs(uv.y - linePosition);
+    // Create soft edge with smoothstep
+    let lineIntensity: f32 = 1.0 - smoothstep(0.0, uniforms.lineWidth, distanceToLine);
+    // Blend line color over terminal content
+    let finalColor: vec3f = mix(content.rgb, uniforms.lineColor, lineIntensity * uniforms.lineAlpha);
+    return vec4f(finalColor, 1.0);
+}
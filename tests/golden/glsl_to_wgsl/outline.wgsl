@@ -0,0 +1,130 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    edgeLevel: f32,
+    edgeInvert: f32,
+    sourceMix: f32,
+    sourceLight: f32,
+    sourceEmboss: f32,
+    _pad5: f32,
+    _pad6: f32,
+    _pad7: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// HSL to RGB conversion
+fn hsl2rgb(c: vec3f) -> vec3f {
+    let K: vec4f = vec4f(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+    let p: vec3f = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+    return c.z * mix(K.xxx, clamp(p - K.xxx, vec3f(0.0), vec3f(1.0)), c.y);
+}
+
+// RGB to HSL conversion
+fn rgb2hsl(c: vec3f) -> vec3f {
+    let maxVal: f32 = max(max(c.r, c.g), c.b);
+    let minVal: f32 = min(min(c.r, c.g), c.b);
+    var h: f32;
+    var s: f32;
+    let l: f32 = (maxVal + minVal) / 2.0;
+    if (maxVal == minVal) {
+        s = 0.0;
+        h = s;
+    } else {
+        let d: f32 = maxVal - minVal;
+        s = select(d / (maxVal + minVal), d / (2.0 - maxVal - minVal), l > 0.5);
+        if (maxVal == c.r) {
+            h = (c.g - c.b) / d + select(0.0, 6.0, c.g < c.b);
+        } else if (maxVal == c.g) {
+            h = (c.b - c.r) / d + 2.0;
+        } else {
+            h = (c.r - c.g) / d + 4.0;
+        }
+        h /= 6.0;
+    }
+    return vec3f(h, s, l);
+}
+
+// Convolution matrix for edge detection
+fn convolveMatrix(uv: vec2f, kernelIn: array<f32, 9>, kernelDivisor: f32) -> vec4f {
+    var kernel: array<f32, 9> = kernelIn;
+    var sum: vec4f = vec4f(0.0);
+    let texelSize: vec2f = 1.0 / uniforms.resolution;
+    // Offsets for 3x3 kernel
+    var offsets: array<vec2f, 9>;
+    offsets[0] = vec2f(-1.0, 1.0) * texelSize;
+    offsets[1] = vec2f(0.0, 1.0) * texelSize;
+    offsets[2] = vec2f(1.0, 1.0) * texelSize;
+    offsets[3] = vec2f(-1.0, 0.0) * texelSize;
+    offsets[4] = vec2f(0.0, 0.0) * texelSize;
+    offsets[5] = vec2f(1.0, 0.0) * texelSize;
+    offsets[6] = vec2f(-1.0, -1.0) * texelSize;
+    offsets[7] = vec2f(0.0, -1.0) * texelSize;
+    offsets[8] = vec2f(1.0, -1.0) * texelSize;
+    // Apply convolution
+    for (var i: i32 = 0; i < 9; i++) {
+        let texel: vec4f = textureSampleLevel(contentTexture, contentTextureSampler, uv + offsets[i], 0.0);
+        sum += texel * kernel[i];
+    }
+    return sum / kernelDivisor;
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Sample original color
+    let color: vec4f = textureSample(contentTexture, contentTextureSampler, uv);
+    var c: vec3f = color.rgb;
+    // Posterize/emboss effect
+    let l: f32 = dot(c, vec3f(0.3, 0.59, 0.11));
+    // Manual derivative approximation instead of fwidth
+    let texelSize: vec2f = 1.0 / uniforms.resolution;
+    let lx: f32 = dot(textureSample(contentTexture, contentTextureSampler, uv + vec2f(texelSize.x, 0.0)).rgb, vec3f(0.3, 0.59, 0.11));
+    let ly: f32 = dot(textureSample(contentTexture, contentTextureSampler, uv + vec2f(0.0, texelSize.y)).rgb, vec3f(0.3, 0.59, 0.11));
+    let derivative: f32 = abs(lx - l) + abs(ly - l);
+    let f: f32 = 1.0 - uniforms.sourceEmboss * derivative;
+    c *= uniforms.sourceLight * vec3f(clamp(f, 0.0, 1.0));
+    // Edge detection kernel (Laplacian)
+    var kernel: array<f32, 9>;
+    kernel[0] = 1.0;
+    kernel[1] = 1.0;
+    kernel[2] = 1.0;
+    kernel[3] = 1.0;
+    kernel[4] = -8.0;
+    kernel[5] = 1.0;
+    kernel[6] = 1.0;
+    kernel[7] = 1.0;
+    kernel[8] = 1.0;
+    let convolved: vec4f = convolveMatrix(uv, kernel, uniforms.edgeLevel);
+    let luminance: f32 = dot(convolved.rgb, vec3f(0.299, 0.587, 0.114));
+    // Invert option
+    let inverted: f32 = mix(1.0 - luminance, luminance, uniforms.edgeInvert);
+    // Mix edge detection with original color
+    let mixed: vec3f = mix(vec3f(inverted), c, uniforms.sourceMix);
+    return vec4f(mixed, color.a);
+}
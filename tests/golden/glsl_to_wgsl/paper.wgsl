@@ -0,0 +1,56 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    paperNoise: f32,
+    noiseIntensity: f32,
+    noiseMix: f32,
+    _pad5: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// Hash function for noise
+fn hash(p: vec2f) -> f32 {
+    var p3: vec3f = fract(vec3f(p.x, p.y, p.x) * vec3f(0.1031, 0.1030, 0.0973));
+    p3 += dot(p3, p3.yxz + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    var color: vec4f = textureSample(contentTexture, contentTextureSampler, uv);
+    // Generate and apply paper texture noise
+    if (uniforms.paperNoise > 0.0) {
+        let screenPos: vec2f = uv * uniforms.resolution;
+        let noise: f32 = hash(screenPos) * uniforms.noiseIntensity;
+        let noiseColor: vec3f = vec3f(1.0) * noise;
+        color = vec4f(mix(color.rgb, noiseColor, uniforms.noiseMix * uniforms.paperNoise), color.a);
+    }
+    return vec4f(color.rgb, 1.0);
+}
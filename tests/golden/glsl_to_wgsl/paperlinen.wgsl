@@ -0,0 +1,172 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    paperNoise: f32,
+    noiseIntensity: f32,
+    noiseMix: f32,
+    dirtAmount: f32,
+    dirtScale: f32,
+    dirtContrast: f32,
+    _pad5: f32,
+    _pad6: f32,
+    dirtColor: vec3f,
+    _pad7: f32,
+    linenStrength: f32,
+    linenScale: f32,
+    linenSoftness: f32,
+    _pad8: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// ------------------------------------------------------------
+// Simplex noise for dirt stains
+// ------------------------------------------------------------
+fn mod289_vec3(x: vec3f) -> vec3f {
+    return x - floor(x * (1.0 / 289.0)) * 289.0;
+}
+
+fn mod289_vec4(x: vec4f) -> vec4f {
+    return x - floor(x * (1.0 / 289.0)) * 289.0;
+}
+
+fn permute(x: vec4f) -> vec4f {
+    return mod289_vec4((x * 34.0 + 1.0) * x);
+}
+
+fn taylorInvSqrt(r: vec4f) -> vec4f {
+    return 1.79284291400159 - 0.85373472095314 * r;
+}
+
+fn snoise(v: vec3f) -> f32 {
+    const C: vec2f = vec2f(1.0 / 6.0, 1.0 / 3.0);
+    const D: vec4f = vec4f(0.0, 0.5, 1.0, 2.0);
+    var i: vec3f = floor(v + dot(v, C.yyy));
+    let x0: vec3f = v - i + dot(i, C.xxx);
+    let g: vec3f = step(x0.yzx, x0.xyz);
+    let l: vec3f = 1.0 - g;
+    let i1: vec3f = min(g.xyz, l.zxy);
+    let i2: vec3f = max(g.xyz, l.zxy);
+    let x1: vec3f = x0 - i1 + C.xxx;
+    let x2: vec3f = x0 - i2 + C.yyy;
+    let x3: vec3f = x0 - D.yyy;
+    i = mod289_vec3(i);
+    let p: vec4f = permute(permute(permute(i.z + vec4f(0.0, i1.z, i2.z, 1.0)) + i.y + vec4f(0.0, i1.y, i2.y, 1.0)) + i.x + vec4f(0.0, i1.x, i2.x, 1.0));
+    let n_: f32 = 0.142857142857;
+    let ns: vec3f = n_ * D.wyz - D.xzx;
+    let j: vec4f = p - 49.0 * floor(p * ns.z * ns.z);
+    let x_: vec4f = floor(j * ns.z);
+    let y_: vec4f = floor(j - 7.0 * x_);
+    let x: vec4f = x_ * ns.x + ns.yyyy;
+    let y: vec4f = y_ * ns.x + ns.yyyy;
+    let h: vec4f = 1.0 - abs(x) - abs(y);
+    let b0: vec4f = vec4f(x.xy, y.xy);
+    let b1: vec4f = vec4f(x.zw, y.zw);
+    let s0: vec4f = floor(b0) * 2.0 + 1.0;
+    let s1: vec4f = floor(b1) * 2.0 + 1.0;
+    let sh: vec4f = -step(h, vec4f(0.0));
+    let a0: vec4f = b0.xzyw + s0.xzyw * sh.xxyy;
+    let a1: vec4f = b1.xzyw + s1.xzyw * sh.zzww;
+    var p0: vec3f = vec3f(a0.xy, h.x);
+    var p1: vec3f = vec3f(a0.zw, h.y);
+    var p2: vec3f = vec3f(a1.xy, h.z);
+    var p3: vec3f = vec3f(a1.zw, h.w);
+    let norm: vec4f = taylorInvSqrt(vec4f(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+    p0 *= norm.x;
+    p1 *= norm.y;
+    p2 *= norm.z;
+    p3 *= norm.w;
+    var m: vec4f = max(0.6 - vec4f(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), vec4f(0.0));
+    m = m * m;
+    return 42.0 * dot(m * m, vec4f(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+}
+
+// ------------------------------------------------------------
+// Hash noise for paper grain and linen irregularity
+// ------------------------------------------------------------
+fn hash(p: vec2f) -> f32 {
+    var p3: vec3f = fract(vec3f(p.x, p.y, p.x) * vec3f(0.1031, 0.1030, 0.0973));
+    p3 += dot(p3, p3.yxz + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
+}
+
+// ------------------------------------------------------------
+// Linen thread pattern
+// ------------------------------------------------------------
+fn thread(uv: vec2f, dir: vec2f, scale: f32) -> f32 {
+    let d: f32 = dot(uv, normalize(dir)) * scale;
+    let wave: f32 = sin(d * 6.28318);
+    return smoothstep(-uniforms.linenSoftness, uniforms.linenSoftness, wave);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    let baseColor: vec4f = textureSample(contentTexture, contentTextureSampler, uv);
+    // --------------------------------------------------------
+    // 1. Start with base content
+    // --------------------------------------------------------
+    var color: vec3f = baseColor.rgb;
+    // --------------------------------------------------------
+    // 2. Apply paper grain
+    // --------------------------------------------------------
+    if (uniforms.paperNoise > 0.0) {
+        let screenPos: vec2f = uv * uniforms.resolution;
+        let grain: f32 = hash(screenPos) * uniforms.noiseIntensity;
+        color = mix(color, vec3f(1.0) * grain, uniforms.noiseMix * uniforms.paperNoise);
+    }
+    // --------------------------------------------------------
+    // 3. Apply dirt stains
+    // --------------------------------------------------------
+    let p: vec2f = (uv - 0.5) * uniforms.dirtScale;
+    var dirt: f32 = 0.0;
+    dirt += snoise(vec3f(p * 1.5, 1.0)) * 0.6;
+    dirt += snoise(vec3f(p * 3.0, 2.0)) * 0.3;
+    dirt += snoise(vec3f(p * 6.0, 3.0)) * 0.1;
+    dirt = dirt * 0.5 + 0.5;
+    dirt = pow(dirt, uniforms.dirtContrast);
+    let mask: f32 = smoothstep(0.45, 0.75, dirt) * uniforms.dirtAmount;
+    color = mix(color, uniforms.dirtColor, mask);
+    // --------------------------------------------------------
+    // 4. Apply linen weave texture
+    // --------------------------------------------------------
+    let linenP: vec2f = uv * uniforms.linenScale;
+    // Subtle irregularity for natural look
+    let jitter: f32 = hash(floor(linenP * 0.5)) * 0.15;
+    // Two diagonal weave directions
+    let weaveA: f32 = thread(linenP + jitter, vec2f(1.0, 1.0), 1.0);
+    let weaveB: f32 = thread(linenP - jitter, vec2f(-1.0, 1.0), 1.0);
+    // Combine and soften
+    var weave: f32 = mix(weaveA, weaveB, 0.5);
+    weave = mix(0.5, weave, uniforms.linenStrength);
+    // Gentle contrast shaping
+    weave = pow(weave, 1.1);
+    // Apply as luminance modulation
+    color = color * weave;
+    return vec4f(color, 1.0);
+}
@@ -0,0 +1,46 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y; // Flip vertically
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    persistence: f32,
+    _pad5: f32,
+    _pad6: f32,
+    _pad7: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+@group(0) @binding(3) var previousFrame: texture_2d<f32>;
+@group(0) @binding(4) var previousFrameSampler: sampler;
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let color: vec4f = textureSample(contentTexture, contentTextureSampler, vUv);
+    // This pass's own output from the last frame, slightly dimmer
+    let trail: vec4f = textureSample(previousFrame, previousFrameSampler, vUv) * uniforms.persistence;
+    return vec4f(max(color.rgb, trail.rgb), color.a);
+}
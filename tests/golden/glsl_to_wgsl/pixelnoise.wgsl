@@ -0,0 +1,99 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    sandScale: f32,
+    sandDensity: f32,
+    temporalSpeed: f32,
+    colorVariation: f32,
+    sandIntensity: f32,
+    _pad5: f32,
+    _pad6: f32,
+    _pad7: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// Improved hash function (eliminates diagonal artifacts)
+fn hash2(p: vec2f) -> f32 {
+    var p3: vec3f = fract(vec3f(p.xyx) * 0.1031);
+    p3 += dot(p3, p3.yzx + 33.33);
+    return fract((p3.x + p3.y) * p3.z);
+}
+
+// Noise-based sand texture
+fn sandTexture(uv: vec2f, time: f32) -> f32 {
+    let pixelPos: vec2f = uv * uniforms.resolution;
+    // Primary sand grain pattern
+    let sandNoise: f32 = hash2(floor(pixelPos * uniforms.sandScale));
+    // Threshold to control sand density/coverage
+    let threshold: f32 = 1.0 - uniforms.sandDensity;
+    let sandMask: f32 = step(threshold, sandNoise);
+    // Slow temporal variation (sand grains shift slowly)
+    let slowTime: f32 = floor(time * uniforms.temporalSpeed);
+    let temporalNoise: f32 = hash2(floor(pixelPos * uniforms.sandScale) + vec2f(slowTime));
+    // Combine spatial and temporal
+    let sandPattern: f32 = sandMask * temporalNoise;
+    // Add finer sand detail at different scale
+    let fineScale: f32 = uniforms.sandScale * 0.5;
+    let fineNoise: f32 = hash2(floor(pixelPos * fineScale));
+    var fineSand: f32 = step(1.0 - uniforms.sandDensity * 0.8, fineNoise);
+    fineSand *= hash2(floor(pixelPos * fineScale) + vec2f(slowTime));
+    // Combine sand layers
+    let sandEffect: f32 = max(sandPattern * 0.7, fineSand * 0.4);
+    return sandEffect;
+}
+
+// Add subtle color variation
+fn colorNoise(uv: vec2f, time: f32) -> f32 {
+    let pixelPos: vec2f = uv * uniforms.resolution;
+    let slowTime: f32 = floor(time * uniforms.temporalSpeed * 0.3);
+    // Low frequency color variation
+    let colorShift: f32 = hash2(floor(pixelPos * 0.05) + vec2f(slowTime));
+    return (colorShift - 0.5) * uniforms.colorVariation;
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    let baseColor: vec3f = textureSample(contentTexture, contentTextureSampler, uv).rgb;
+    // Generate sand texture
+    let sand: f32 = sandTexture(uv, uniforms.time);
+    let colorShift: f32 = colorNoise(uv, uniforms.time);
+    // Desert sand color palette (warm sandy tones)
+    let sandColor: vec3f = vec3f(0.9, 0.85, 0.7); // Light sand
+    let darkSandColor: vec3f = vec3f(0.7, 0.6, 0.45); // Darker sand
+    // Mix sand colors with variation
+    var sandTone: vec3f = mix(darkSandColor, sandColor, sand);
+    // Apply color variation
+    sandTone += colorShift;
+    // Blend sand texture over base content
+    var finalColor: vec3f = mix(baseColor, sandTone, sand * uniforms.sandIntensity);
+    // Subtle overall warm tint
+    finalColor = mix(finalColor, finalColor * vec3f(1.0, 0.98, 0.94), 0.1);
+    return vec4f(finalColor, 1.0);
+}
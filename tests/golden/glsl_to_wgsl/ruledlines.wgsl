@@ -0,0 +1,74 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    cellSize: vec2f,
+    _pad5: f32,
+    _pad6: f32,
+    lineOpacity: f32,
+    lightLineSpacing: f32,
+    darkLineSpacing: f32,
+    alternatingLineSpacing: f32,
+    lightLineColor: vec3f,
+    _pad7: f32,
+    darkLineColor: vec3f,
+    _pad8: f32,
+    alternatingTint: vec3f,
+    _pad9: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// GLSL mod(): the result takes the sign of y
+fn mod_f32(x: f32, y: f32) -> f32 {
+    return x - y * floor(x / y);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    var color: vec4f = textureSample(contentTexture, contentTextureSampler, uv);
+    // Calculate screen position for pixel-perfect lines
+    let screenPos: vec2f = uv * uniforms.resolution;
+    let yScreen: f32 = screenPos.y;
+    let lineHeight: f32 = uniforms.cellSize.y;
+    // Calculate base line number
+    let lineNumber: f32 = floor(yScreen / lineHeight);
+    // Light lines - use multiply blend mode
+    let lightLineMask: f32 = step(uniforms.lightLineSpacing, 0.001) * 0.0 + (1.0 - step(uniforms.lightLineSpacing, 0.001)) * step(mod_f32(yScreen, lineHeight * uniforms.lightLineSpacing), 1.0);
+    let lightBlend: vec3f = mix(vec3f(1.0), uniforms.lightLineColor, uniforms.lineOpacity);
+    color = vec4f(color.rgb * mix(vec3f(1.0), lightBlend, lightLineMask), color.a);
+    // Alternating line tint - also using multiply
+    let altLineMask: f32 = step(uniforms.alternatingLineSpacing, 0.001) * 0.0 + (1.0 - step(uniforms.alternatingLineSpacing, 0.001)) * (1.0 - step(1.0, mod_f32(lineNumber, uniforms.alternatingLineSpacing)));
+    let altBlend: vec3f = mix(vec3f(1.0), uniforms.alternatingTint, 1.0);
+    color = vec4f(color.rgb * mix(vec3f(1.0), altBlend, altLineMask), color.a);
+    // Dark lines - multiply blend
+    let darkLineMask: f32 = step(uniforms.darkLineSpacing, 0.001) * 0.0 + (1.0 - step(uniforms.darkLineSpacing, 0.001)) * step(mod_f32(yScreen, lineHeight * uniforms.darkLineSpacing), 1.0);
+    let darkBlend: vec3f = mix(vec3f(1.0), uniforms.darkLineColor, uniforms.lineOpacity);
+    color = vec4f(color.rgb * mix(vec3f(1.0), darkBlend, darkLineMask), color.a);
+    return vec4f(color.rgb, 1.0);
+}
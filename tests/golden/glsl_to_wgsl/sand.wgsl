@@ -0,0 +1,117 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    grainStrength: f32,
+    grainScale: f32,
+    colorVariation: f32,
+    displacementStrength: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// High-quality noise functions
+fn hash(p: vec2f) -> f32 {
+    return fract(sin(dot(p, vec2f(127.1, 311.7))) * 43758.5453);
+}
+
+fn hash3(p: vec3f) -> f32 {
+    return fract(sin(dot(p, vec3f(127.1, 311.7, 74.7))) * 43758.5453);
+}
+
+// 2D Perlin-like noise
+fn noise(p: vec2f) -> f32 {
+    let i: vec2f = floor(p);
+    var f: vec2f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    let a: f32 = hash(i);
+    let b: f32 = hash(i + vec2f(1.0, 0.0));
+    let c: f32 = hash(i + vec2f(0.0, 1.0));
+    let d: f32 = hash(i + vec2f(1.0, 1.0));
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+}
+
+// 3D noise for temporal variation
+fn noise3(p: vec3f) -> f32 {
+    let i: vec3f = floor(p);
+    var f: vec3f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(mix(mix(hash3(i), hash3(i + vec3f(1.0, 0.0, 0.0)), f.x), mix(hash3(i + vec3f(0.0, 1.0, 0.0)), hash3(i + vec3f(1.0, 1.0, 0.0)), f.x), f.y), mix(mix(hash3(i + vec3f(0.0, 0.0, 1.0)), hash3(i + vec3f(1.0, 0.0, 1.0)), f.x), mix(hash3(i + vec3f(0.0, 1.0, 1.0)), hash3(i + vec3f(1.0, 1.0, 1.0)), f.x), f.y), f.z);
+}
+
+// Fractal Brownian Motion for layered texture
+fn fbm(p: vec2f, octaves: i32) -> f32 {
+    var value: f32 = 0.0;
+    var amplitude: f32 = 0.5;
+    var frequency: f32 = 1.0;
+    for (var i: i32 = 0; i < 8; i++) {
+        if (i >= octaves) {
+            break;
+        }
+        value += amplitude * noise(p * frequency);
+        frequency *= 2.0;
+        amplitude *= 0.5;
+    }
+    return value;
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    let screenPos: vec2f = uv * uniforms.resolution;
+    // === SUBTLE DISPLACEMENT ===
+    // Use low-frequency fbm for gentle organic displacement
+    let displaceX: f32 = fbm(uv * uniforms.resolution * uniforms.grainScale * 0.3, 3);
+    let displaceY: f32 = fbm(uv * uniforms.resolution * uniforms.grainScale * 0.3 + vec2f(100.0, 100.0), 3);
+    let displacement: vec2f = vec2f(displaceX - 0.5, displaceY - 0.5) * uniforms.displacementStrength * 0.0004;
+    let displacedUV: vec2f = uv + displacement;
+    // === SAMPLE CONTENT ===
+    let content: vec4f = textureSample(contentTexture, contentTextureSampler, displacedUV);
+    // === PAPER-LIKE GRAIN TEXTURE ===
+    // Similar to notebook.js paper noise approach
+    let paperGrain: f32 = hash(screenPos * uniforms.grainScale * 2.0);
+    // Add multi-scale noise for depth
+    let mediumNoise: f32 = noise(screenPos * uniforms.grainScale * 0.5);
+    let fineNoise: f32 = noise(screenPos * uniforms.grainScale * 4.0);
+    // Combine layers for natural texture
+    var grain: f32 = paperGrain * 0.5 + mediumNoise * 0.3 + fineNoise * 0.2;
+    grain = (grain - 0.5) * uniforms.grainStrength;
+    // === COLOR VARIATION ===
+    // Subtle organic color shifts
+    let colorShift: f32 = fbm(screenPos * 0.002, 3);
+    let colorMod: f32 = (colorShift - 0.5) * uniforms.colorVariation;
+    // === COMPOSE FINAL COLOR ===
+    var finalColor: vec3f = content.rgb;
+    // Apply grain texture
+    finalColor += grain;
+    // Apply subtle color variation
+    finalColor += colorMod;
+    // Very subtle warm sand tint overlay (barely perceptible)
+    let sandTint: vec3f = vec3f(1.0, 0.98, 0.94);
+    finalColor = mix(finalColor, finalColor * sandTint, 0.02);
+    return vec4f(finalColor, 1.0);
+}
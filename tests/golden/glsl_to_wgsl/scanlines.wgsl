@@ -0,0 +1,49 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    scanlineStrength: f32,
+    scanlineWidth: f32,
+    scanlineSpeed: f32,
+    _pad5: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Sample base color
+    var color: vec3f = textureSample(contentTexture, contentTextureSampler, uv).rgb;
+    // Calculate scanline pattern
+    var scanline: f32 = sin((uv.y + uniforms.time * uniforms.scanlineSpeed) * uniforms.resolution.y * 3.14159 / uniforms.scanlineWidth);
+    // Convert from -1,1 to 0,1 range and apply strength
+    scanline = uniforms.scanlineStrength + (1.0 - uniforms.scanlineStrength) * (scanline * 0.5 + 0.5);
+    // Apply scanlines
+    color *= scanline;
+    return vec4f(color, 1.0);
+}
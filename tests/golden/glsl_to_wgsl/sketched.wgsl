@@ -0,0 +1,138 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    sketchRoughness: f32,
+    lineWobble: f32,
+    edgeThreshold: f32,
+    doubleLine: f32,
+    lineWeight: f32,
+    _pad5: f32,
+    _pad6: f32,
+    _pad7: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+// Hash functions for randomness
+fn hash(n: f32) -> f32 {
+    return fract(sin(n) * 43758.5453123);
+}
+
+fn hash2(p: vec2f) -> f32 {
+    return fract(sin(dot(p, vec2f(127.1, 311.7))) * 43758.5453123);
+}
+
+fn hash22(pIn: vec2f) -> vec2f {
+    var p: vec2f = pIn;
+    p = vec2f(dot(p, vec2f(127.1, 311.7)), dot(p, vec2f(269.5, 183.3)));
+    return fract(sin(p) * 43758.5453);
+}
+
+// Noise function for organic variation
+fn noise(p: vec2f) -> f32 {
+    let i: vec2f = floor(p);
+    let f: vec2f = fract(p);
+    let u: vec2f = f * f * (3.0 - 2.0 * f);
+    let a: f32 = hash2(i + vec2f(0.0, 0.0));
+    let b: f32 = hash2(i + vec2f(1.0, 0.0));
+    let c: f32 = hash2(i + vec2f(0.0, 1.0));
+    let d: f32 = hash2(i + vec2f(1.0, 1.0));
+    return mix(mix(a, b, u.x), mix(c, d, u.x), u.y);
+}
+
+// Calculate luminance
+fn luminance(color: vec3f) -> f32 {
+    return dot(color, vec3f(0.299, 0.587, 0.114));
+}
+
+// Wobbly edge detection (edges aren't perfectly straight)
+fn detectWobblyEdges(uv: vec2f) -> f32 {
+    let texelSize: vec2f = 1.0 / uniforms.resolution;
+    // Add wobble to sample positions
+    let wobbleFreq: f32 = 50.0;
+    let wobble: vec2f = vec2f(noise(uv * wobbleFreq) - 0.5, noise(uv * wobbleFreq + vec2f(100.0)) - 0.5) * texelSize * uniforms.lineWobble * 2.0;
+    // Sample with wobbled positions
+    let tl: f32 = luminance(textureSampleLevel(contentTexture, contentTextureSampler, uv + vec2f(-1.0, -1.0) * texelSize + wobble, 0.0).rgb);
+    let t: f32 = luminance(textureSampleLevel(contentTexture, contentTextureSampler, uv + vec2f(0.0, -1.0) * texelSize + wobble, 0.0).rgb);
+    let tr: f32 = luminance(textureSampleLevel(contentTexture, contentTextureSampler, uv + vec2f(1.0, -1.0) * texelSize + wobble, 0.0).rgb);
+    let l: f32 = luminance(textureSampleLevel(contentTexture, contentTextureSampler, uv + vec2f(-1.0, 0.0) * texelSize + wobble, 0.0).rgb);
+    let r: f32 = luminance(textureSampleLevel(contentTexture, contentTextureSampler, uv + vec2f(1.0, 0.0) * texelSize + wobble, 0.0).rgb);
+    let bl: f32 = luminance(textureSampleLevel(contentTexture, contentTextureSampler, uv + vec2f(-1.0, 1.0) * texelSize + wobble, 0.0).rgb);
+    let b: f32 = luminance(textureSampleLevel(contentTexture, contentTextureSampler, uv + vec2f(0.0, 1.0) * texelSize + wobble, 0.0).rgb);
+    let br: f32 = luminance(textureSampleLevel(contentTexture, contentTextureSampler, uv + vec2f(1.0, 1.0) * texelSize + wobble, 0.0).rgb);
+    let gx: f32 = -tl - 2.0 * l - bl + tr + 2.0 * r + br;
+    let gy: f32 = -tl - 2.0 * t - tr + bl + 2.0 * b + br;
+    return length(vec2f(gx, gy));
+}
+
+// Double-line effect (like redrawing lines imperfectly)
+fn doubleLineEffect(uv: vec2f, edges: f32) -> f32 {
+    let texelSize: vec2f = 1.0 / uniforms.resolution;
+    let offset: vec2f = vec2f(hash2(uv * 100.0) - 0.5, hash2(uv * 100.0 + vec2f(50.0)) - 0.5) * texelSize * 2.0;
+    let secondEdge: f32 = detectWobblyEdges(uv + offset);
+    return max(edges, secondEdge * uniforms.doubleLine);
+}
+
+// Paper texture with fiber-like imperfections
+fn roughPaper(uv: vec2f) -> f32 {
+    let grain: f32 = noise(uv * uniforms.resolution * 0.5);
+    let fibers: f32 = noise(uv * uniforms.resolution * 3.0) * 0.3;
+    let spots: f32 = hash2(floor(uv * uniforms.resolution * 0.1)) * 0.1;
+    return mix(0.85, 1.0, grain + fibers + spots);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Sample base color
+    let color: vec3f = textureSample(contentTexture, contentTextureSampler, uv).rgb;
+    let brightness: f32 = luminance(color);
+    // Detect wobbly edges
+    var edges: f32 = detectWobblyEdges(uv);
+    // Add double-line imperfection
+    edges = doubleLineEffect(uv, edges);
+    // Convert edge strength to line with adjustable weight
+    var edgeLine: f32 = smoothstep(uniforms.edgeThreshold, uniforms.edgeThreshold + 0.15 * uniforms.lineWeight, edges);
+    // Add roughness to edges (gaps and irregularities)
+    let edgeRoughness: f32 = noise(uv * uniforms.resolution * 0.3);
+    edgeLine *= mix(0.7, 1.0, edgeRoughness * uniforms.sketchRoughness);
+    // Paper texture
+    let paper: f32 = roughPaper(uv);
+    // Combine elements
+    var sketch: f32 = 1.0;
+    // Apply edge lines with variation
+    sketch -= edgeLine * (0.8 + hash2(uv * 100.0) * 0.2 * uniforms.sketchRoughness) * uniforms.lineWeight;
+    // Darken based on brightness (subtle shading from original image)
+    sketch *= mix(0.6, 1.0, brightness);
+    // Apply paper texture
+    // sketch *= paper;
+    sketch = clamp(sketch, 0.0, 1.0);
+    let finalColor: vec3f = vec3f(sketch);
+    let mixed: vec3f = mix(color, finalColor, 0.35);
+    return vec4f(mixed, 1.0);
+}
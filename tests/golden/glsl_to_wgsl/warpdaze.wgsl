@@ -0,0 +1,65 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let aspectRatio: f32 = uniforms.resolution.x / uniforms.resolution.y;
+    // Start from normalized UVs
+    var uv: vec2f = vUv;
+    // Convert to -1..1 space
+    uv = uv * 2.0 - 1.0;
+    uv.x *= aspectRatio;
+    let r: f32 = 5.0;
+    let ry: f32 = r * 2.0;
+    let t: f32 = uniforms.time * 0.5;
+    let angleY: f32 = radians(mix(-r, r, sin(t) * 0.5 + 0.5));
+    let angleX: f32 = radians(mix(-ry, ry, sin(t + 1.0) * 0.5 + 0.5));
+    let rotY: mat3x3f = mat3x3f(cos(angleY), 0.0, sin(angleY), 0.0, 1.0, 0.0, -sin(angleY), 0.0, cos(angleY));
+    let rotX: mat3x3f = mat3x3f(1.0, 0.0, 0.0, 0.0, cos(angleX), -sin(angleX), 0.0, sin(angleX), cos(angleX));
+    var dir: vec3f = vec3f(uv, 0.0);
+    dir = rotY * dir;
+    dir = rotX * dir;
+    uv = dir.xy;
+    uv.x /= aspectRatio;
+    uv = uv * 0.5 + 0.5;
+    // Chromatic aberration
+    let rgbAngle: f32 = uniforms.time;
+    let rgbRadius: f32 = 0.00075;
+    let offsetR: vec2f = vec2f(cos(rgbAngle), sin(rgbAngle)) * rgbRadius;
+    let offsetG: vec2f = vec2f(cos(rgbAngle + 2.0944), sin(rgbAngle + 2.0944)) * rgbRadius;
+    let offsetB: vec2f = vec2f(cos(rgbAngle - 2.0944), sin(rgbAngle - 2.0944)) * rgbRadius;
+    let rCol: f32 = textureSample(contentTexture, contentTextureSampler, uv + offsetR).r;
+    let gCol: f32 = textureSample(contentTexture, contentTextureSampler, uv + offsetG).g;
+    let bCol: f32 = textureSample(contentTexture, contentTextureSampler, uv + offsetB).b;
+    let aCol: f32 = textureSample(contentTexture, contentTextureSampler, uv).a;
+    return vec4f(rCol, gCol, bCol, aCol);
+}
@@ -0,0 +1,102 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(
+    @location(0) position: vec2f
+) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+    distortionStrength: f32,
+    causticIntensity: f32,
+    causticScale: f32,
+    waterSpeed: f32,
+    waveDensity: f32,
+    _pad5: f32,
+    _pad6: f32,
+    _pad7: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+
+const TAU = 6.28318530718;
+
+// Optimized water caustics without loops
+fn waterCaustics(uv: vec2f, time: f32) -> vec3f {
+    let p: vec2f = mod_vec2f(uv * TAU * uniforms.waveDensity, vec2f(TAU)) - 250.0;
+    var i: vec2f = p;
+    let t: f32 = time * uniforms.waterSpeed;
+    var c: f32 = 0.0;
+    let inten: f32 = 0.005;
+    // Unrolled loop - 3 iterations for performance
+    // Iteration 1
+    let t1: f32 = t * (1.0 - 3.5 / 1.0);
+    i = p + vec2f(cos(t1 - i.x) + sin(t1 + i.y), sin(t1 - i.y) + cos(t1 + i.x));
+    c += 1.0 / length(vec2f(p.x / (sin(i.x + t1) / inten), p.y / (cos(i.y + t1) / inten)));
+    // Iteration 2
+    let t2: f32 = t * (1.0 - 3.5 / 2.0);
+    i = p + vec2f(cos(t2 - i.x) + sin(t2 + i.y), sin(t2 - i.y) + cos(t2 + i.x));
+    c += 1.0 / length(vec2f(p.x / (sin(i.x + t2) / inten), p.y / (cos(i.y + t2) / inten)));
+    // Iteration 3
+    let t3: f32 = t * (1.0 - 3.5 / 3.0);
+    i = p + vec2f(cos(t3 - i.x) + sin(t3 + i.y), sin(t3 - i.y) + cos(t3 + i.x));
+    c += 1.0 / length(vec2f(p.x / (sin(i.x + t3) / inten), p.y / (cos(i.y + t3) / inten)));
+    // Normalize and enhance
+    c /= 3.0;
+    c = 1.17 - pow(c, 1.4);
+    // Create water-colored caustics
+    var colour: vec3f = vec3f(pow(abs(c), 8.0));
+    colour = clamp(colour + vec3f(0.0, 0.35, 0.5), vec3f(0.0), vec3f(1.0));
+    return colour;
+}
+
+// Generate water distortion offset
+fn waterDistortion(uv: vec2f, time: f32) -> vec2f {
+    let t: f32 = time * uniforms.waterSpeed * 0.5;
+    // Multiple wave layers for realistic movement
+    let wave1: vec2f = vec2f(sin(uv.y * 10.0 + t) * cos(uv.x * 8.0 + t * 0.7), cos(uv.x * 12.0 + t * 0.8) * sin(uv.y * 9.0 + t * 0.6));
+    let wave2: vec2f = vec2f(cos(uv.y * 7.0 - t * 1.2) * sin(uv.x * 11.0 - t * 0.9), sin(uv.x * 8.0 - t * 1.1) * cos(uv.y * 6.0 - t * 0.7));
+    return (wave1 + wave2 * 0.5) * uniforms.distortionStrength * 0.01;
+}
+
+// GLSL mod(): the result takes the sign of y
+fn mod_vec2f(x: vec2f, y: vec2f) -> vec2f {
+    return x - y * floor(x / y);
+}
+
+@fragment
+fn fragmentMain(
+    @location(0) vUv: vec2f
+) -> @location(0) vec4f {
+    let uv: vec2f = vUv;
+    // Apply water distortion to texture coordinates
+    let distortion: vec2f = waterDistortion(uv, uniforms.time);
+    let distortedUV: vec2f = uv + distortion;
+    // Sample distorted texture
+    let baseColor: vec3f = textureSample(contentTexture, contentTextureSampler, distortedUV).rgb;
+    // Generate caustic pattern
+    let caustics: vec3f = waterCaustics(uv * uniforms.causticScale, uniforms.time);
+    // Blend caustics with base color using multiply blend
+    // This darkens the base and adds bright caustic highlights
+    var finalColor: vec3f = mix(baseColor, baseColor * (1.0 + caustics * uniforms.causticIntensity), 0.6);
+    // Add subtle blue-green water tint
+    finalColor = mix(finalColor, finalColor * vec3f(0.9, 1.0, 1.05), 0.15);
+    return vec4f(finalColor, 1.0);
+}
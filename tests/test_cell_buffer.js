@@ -0,0 +1,319 @@
+// Tests for web/tstorie-cell-buffer.js
+// Run with: node --test tests/test_cell_buffer.js
+//
+// The renderers read the screen through TStorieCellBuffer only. These drive
+// it with a fake Module: one exporting emPackCells over a HEAPU32 laid out
+// like tstorie.nim does, and an older one with just the per-cell getters.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TStorieCellBuffer } = require('../web/tstorie-cell-buffer.js');
+
+const HEADER = 4;
+const STRIDE = 4;
+const WHITE = 0xFFFFFF;
+
+// One packed cell: [codepoint, fg, bg, flags]; '' is an empty cell
+function cell(ch, { fg = WHITE, bg = 0, style = 0, width = 1 } = {}) {
+    return [ch ? ch.codePointAt(0) : 0, fg, bg, style | (width << 8)];
+}
+
+// Cells for a line of text. Wide characters take two columns, the second
+// an empty continuation cell, as emPackCells writes them.
+function line(text) {
+    const cells = [];
+    for (const ch of text) {
+        if (ch.codePointAt(0) >= 0x1100) {
+            cells.push(cell(ch, { width: 2 }), cell(''));
+        } else {
+            cells.push(cell(ch));
+        }
+    }
+    return cells;
+}
+
+// A module exporting emPackCells. frame() writes what the next call
+// returns; dirty defaults to every row, like a first frame.
+function packedModule(ptr = 64) {
+    const module = {
+        HEAPU32: new Uint32Array(1024),
+        _emPackCells: () => ptr,
+        frame(lines, dirty = lines.map(() => 1)) {
+            const heap = module.HEAPU32;
+            const base = ptr >>> 2;
+            const cols = lines[0].length;
+            heap[base] = cols;
+            heap[base + 1] = lines.length;
+            heap[base + 2] = dirty.filter(d => d).length;
+            lines.forEach((cells, y) => cells.forEach((words, x) =>
+                heap.set(words, base + HEADER + (y * cols + x) * STRIDE)));
+            heap.set(dirty, base + HEADER + cols * lines.length * STRIDE);
+        }
+    };
+    return module;
+}
+
+// An older build: per-cell getters only, reading a grid of
+// { ch, fg, bg, bold, width } objects
+function legacyModule(grid) {
+    const at = (x, y) => grid[y][x];
+    return {
+        UTF8ToString: (s) => s,
+        _emGetCell: (x, y) => at(x, y).ch,
+        _emGetCellUnderline: () => 0,
+        _emGetCellBold: (x, y) => at(x, y).bold ? 1 : 0,
+        _emGetCellItalic: () => 0,
+        _emGetCellWidth: (x, y) => at(x, y).width || 1,
+        _emGetCellFgR: (x, y) => (at(x, y).fg >> 16) & 0xFF,
+        _emGetCellFgG: (x, y) => (at(x, y).fg >> 8) & 0xFF,
+        _emGetCellFgB: (x, y) => at(x, y).fg & 0xFF,
+        _emGetCellBgR: (x, y) => (at(x, y).bg >> 16) & 0xFF,
+        _emGetCellBgG: (x, y) => (at(x, y).bg >> 8) & 0xFF,
+        _emGetCellBgB: (x, y) => at(x, y).bg & 0xFF
+    };
+}
+
+function legacyGrid(lines) {
+    return lines.map(text => Array.from(text, ch => ({ ch: ch === ' ' ? '' : ch, fg: WHITE, bg: 0 })));
+}
+
+// Row y as a renderer draws it: wide characters once, no trailing blanks
+function rowText(cells, y) {
+    let text = '';
+    for (let x = 0; x < cells.cols; x++) {
+        if (!cells.isContinuation(x, y)) text += cells.getDisplayChar(x, y) || ' ';
+    }
+    return text.trimEnd();
+}
+
+function withModule(module, fn) {
+    global.Module = module;
+    try {
+        fn();
+    } finally {
+        delete global.Module;
+    }
+}
+
+// ------------------------------------------------------------
+// Packed refresh
+// ------------------------------------------------------------
+
+test('refresh reads the packed frame from the heap', () => {
+    const module = packedModule();
+    module.frame([
+        [cell('A', { fg: 0x112233, bg: 0x445566, style: 2 }), cell('b')],
+        line('cd')
+    ]);
+
+    withModule(module, () => {
+        const cells = new TStorieCellBuffer();
+        assert.strictEqual(cells.refresh(80, 24), true);
+
+        // Dimensions come from the header, not the arguments
+        assert.strictEqual(cells.cols, 2);
+        assert.strictEqual(cells.rows, 2);
+        assert.strictEqual(cells.packed, true);
+        assert.strictEqual(cells.getChar(0, 0), 'A');
+        assert.strictEqual(cells.getFg(0, 0), 0x112233);
+        assert.strictEqual(cells.getBg(0, 0), 0x445566);
+        assert.strictEqual(cells.getStyle(0, 0), 2);
+        assert.strictEqual(rowText(cells, 1), 'cd');
+
+        // Outside the buffer: empty, white on black, width 1
+        assert.strictEqual(cells.getChar(2, 0), '');
+        assert.strictEqual(cells.getFg(-1, 0), WHITE);
+        assert.strictEqual(cells.getBg(0, 2), 0);
+        assert.strictEqual(cells.getWidth(5, 5), 1);
+    });
+});
+
+test('the packed view follows the heap and is rebuilt when memory grows', () => {
+    const module = packedModule();
+    module.frame([line('ab')]);
+
+    withModule(module, () => {
+        const cells = new TStorieCellBuffer();
+        cells.refresh();
+        const view = cells.data;
+
+        // Same pointer and buffer: the view is reused and sees new writes
+        module.frame([line('xy')]);
+        cells.refresh();
+        assert.strictEqual(cells.data, view);
+        assert.strictEqual(rowText(cells, 0), 'xy');
+
+        // Memory growth replaces the ArrayBuffer
+        module.HEAPU32 = new Uint32Array(2048);
+        module.frame([line('gr')]);
+        cells.refresh();
+        assert.notStrictEqual(cells.data, view);
+        assert.strictEqual(rowText(cells, 0), 'gr');
+    });
+});
+
+test('refresh reports a module that is not ready', () => {
+    const cells = new TStorieCellBuffer();
+    assert.strictEqual(cells.refresh(2, 1), false);
+
+    withModule({ HEAPU32: new Uint32Array(16), _emPackCells: () => 0 }, () => {
+        assert.strictEqual(cells.refresh(2, 1), false);
+    });
+    withModule({}, () => {
+        assert.strictEqual(cells.refresh(2, 1), false);
+    });
+});
+
+test('wide characters are drawn once, followed by a continuation cell', () => {
+    const module = packedModule();
+    module.frame([line('a漢b'), line('>・')]);
+
+    withModule(module, () => {
+        const cells = new TStorieCellBuffer();
+        cells.refresh();
+
+        assert.strictEqual(cells.cols, 4);
+        assert.strictEqual(cells.getWidth(1, 0), 2);
+        assert.strictEqual(cells.isContinuation(1, 0), false);
+        assert.strictEqual(cells.isContinuation(2, 0), true);
+        assert.strictEqual(cells.isContinuation(3, 0), false);
+        assert.strictEqual(cells.isContinuation(0, 0), false);
+        assert.strictEqual(rowText(cells, 0), 'a漢b');
+
+        // The middle dot after an arrow isn't drawn
+        assert.strictEqual(cells.getDisplayChar(1, 1), '');
+        assert.strictEqual(rowText(cells, 1), '>');
+    });
+});
+
+// ------------------------------------------------------------
+// Legacy fallback
+// ------------------------------------------------------------
+
+test('without emPackCells the frame is read through the per-cell getters', () => {
+    const grid = legacyGrid(['hi', 'yo']);
+    grid[0][0] = { ch: 'h', fg: 0x102030, bg: 0x405060, bold: true };
+    grid[1][0] = { ch: 'e\u0301', fg: WHITE, bg: 0 };
+
+    withModule(legacyModule(grid), () => {
+        const cells = new TStorieCellBuffer();
+        assert.strictEqual(cells.refresh(2, 2), true);
+
+        assert.strictEqual(cells.packed, false);
+        assert.strictEqual(cells.cols, 2);
+        assert.strictEqual(cells.getFg(0, 0), 0x102030);
+        assert.strictEqual(cells.getBg(0, 0), 0x405060);
+        assert.strictEqual(cells.getStyle(0, 0), 2);
+        assert.strictEqual(rowText(cells, 0), 'hi');
+
+        // Clusters are flagged complex and read back whole from emGetCell
+        assert.strictEqual(cells.getCodepoint(0, 1), 0x65);
+        assert.strictEqual(cells.getChar(0, 1), 'e\u0301');
+    });
+});
+
+// ------------------------------------------------------------
+// Dirty rows
+// ------------------------------------------------------------
+
+test('the first frame repaints everything, then only the rows WASM marks', () => {
+    const module = packedModule();
+    module.frame([line('ab'), line('cd'), line('ef')], [0, 0, 0]);
+
+    withModule(module, () => {
+        const cells = new TStorieCellBuffer();
+        cells.refresh();
+        assert.strictEqual(cells.hasChanges(), true);
+        assert.deepStrictEqual([0, 1, 2].map(y => cells.isRowDirty(y)), [true, true, true]);
+
+        module.frame([line('ab'), line('cX'), line('ef')], [0, 1, 0]);
+        cells.refresh();
+        assert.strictEqual(cells.hasChanges(), true);
+        assert.deepStrictEqual([0, 1, 2].map(y => cells.isRowDirty(y)), [false, true, false]);
+    });
+});
+
+test('a header with 0 dirty rows lets the renderer skip the frame', () => {
+    const module = packedModule();
+    module.frame([line('ab'), line('cd')]);
+
+    withModule(module, () => {
+        const cells = new TStorieCellBuffer();
+        cells.refresh();
+
+        module.frame([line('ab'), line('cd')], [0, 0]);
+        cells.refresh();
+        assert.strictEqual(cells.hasChanges(), false);
+        assert.strictEqual(cells.isRowDirty(0), false);
+        assert.strictEqual(cells.isRowDirty(1), false);
+    });
+});
+
+test('a width change forces a full repaint', () => {
+    const module = packedModule();
+    module.frame([line('ab'), line('cd')]);
+
+    withModule(module, () => {
+        const cells = new TStorieCellBuffer();
+        cells.refresh();
+        module.frame([line('ab'), line('cd')], [0, 0]);
+        cells.refresh();
+        assert.strictEqual(cells.hasChanges(), false);
+
+        // Whatever the rows report, every one is repainted at the new size
+        module.frame([line('abc'), line('cde')], [0, 0]);
+        cells.refresh();
+        assert.strictEqual(cells.cols, 3);
+        assert.strictEqual(cells.hasChanges(), true);
+        assert.strictEqual(cells.isRowDirty(0), true);
+        assert.strictEqual(cells.isRowDirty(1), true);
+
+        module.frame([line('abc'), line('cde')], [0, 0]);
+        cells.refresh();
+        assert.strictEqual(cells.hasChanges(), false);
+    });
+});
+
+test('invalidate() repaints every row on the next refresh only', () => {
+    const module = packedModule();
+    module.frame([line('ab'), line('cd')]);
+
+    withModule(module, () => {
+        const cells = new TStorieCellBuffer();
+        cells.refresh();
+
+        cells.invalidate();
+        module.frame([line('ab'), line('cd')], [0, 0]);
+        cells.refresh();
+        assert.strictEqual(cells.hasChanges(), true);
+        assert.strictEqual(cells.isRowDirty(1), true);
+
+        cells.refresh();
+        assert.strictEqual(cells.hasChanges(), false);
+    });
+});
+
+test('the per-cell fallback diffs against the previous frame', () => {
+    const module = legacyModule(legacyGrid(['ab', 'cd']));
+
+    withModule(module, () => {
+        const cells = new TStorieCellBuffer();
+        cells.refresh(2, 2);
+        assert.strictEqual(cells.hasChanges(), true);
+
+        cells.refresh(2, 2);
+        assert.strictEqual(cells.hasChanges(), false);
+
+        module._emGetCell = (x, y) => (x === 1 && y === 1 ? 'X' : 'abcd'[y * 2 + x]);
+        cells.refresh(2, 2);
+        assert.strictEqual(cells.dirtyCount, 1);
+        assert.strictEqual(cells.isRowDirty(0), false);
+        assert.strictEqual(cells.isRowDirty(1), true);
+        assert.strictEqual(rowText(cells, 1), 'cX');
+
+        // A new terminal size starts over with every row dirty
+        cells.refresh(1, 2);
+        assert.strictEqual(cells.isRowDirty(0), true);
+    });
+});
@@ -0,0 +1,373 @@
+// Tests for tools/glsl_to_wgsl.js
+// Run with: node --test tests/test_glsl_to_wgsl.js
+//
+// Every shader in docs/shaders is converted and compared with its golden
+// file in tests/golden/glsl_to_wgsl. After an intended converter change,
+// regenerate them with: UPDATE_GOLDEN=1 node --test tests/test_glsl_to_wgsl.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const GLSLtoWGSLConverter = require('../tools/glsl_to_wgsl.js');
+const { GLSLConversionError, uniformLayout } = GLSLtoWGSLConverter;
+
+const SHADER_DIR = path.join(__dirname, '..', 'docs', 'shaders');
+const GOLDEN_DIR = path.join(__dirname, 'golden', 'glsl_to_wgsl');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+const VERTEX = `
+    attribute vec2 position;
+    varying vec2 vUv;
+    void main() {
+        vUv = position * 0.5 + 0.5;
+        gl_Position = vec4(position, 0.0, 1.0);
+    }
+`;
+
+// Convert a fragment shader body with the standard vertex shader
+function convert(fragmentShader, { uniforms = {}, inputs = {} } = {}) {
+    const schema = {};
+    for (const [name, type] of Object.entries(uniforms)) schema[name] = { type };
+    return new GLSLtoWGSLConverter().convert({
+        vertexShader: VERTEX,
+        fragmentShader,
+        schema,
+        inputs
+    });
+}
+
+function fragment(body, declarations = '') {
+    return `
+        precision mediump float;
+        uniform sampler2D contentTexture;
+        uniform float time;
+        uniform vec2 resolution;
+        varying vec2 vUv;
+        ${declarations}
+        void main() {
+            ${body}
+        }
+    `;
+}
+
+// ------------------------------------------------------------
+// Golden files
+// ------------------------------------------------------------
+
+test('golden: every docs/shaders shader converts to its golden WGSL', async (t) => {
+    const files = fs.readdirSync(SHADER_DIR).filter(f => f.endsWith('.js')).sort();
+    assert.ok(files.length >= 40, `expected the full shader corpus, found ${files.length}`);
+    if (UPDATE_GOLDEN) fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+
+    for (const file of files) {
+        const name = file.replace(/\.js$/, '');
+        await t.test(name, () => {
+            const source = fs.readFileSync(path.join(SHADER_DIR, file), 'utf8');
+            const result = new GLSLtoWGSLConverter().convertSource(source, name);
+            const output = `${result.vertexShader}\n${result.fragmentShader}`;
+            const goldenPath = path.join(GOLDEN_DIR, `${name}.wgsl`);
+
+            if (UPDATE_GOLDEN) {
+                fs.writeFileSync(goldenPath, output);
+                return;
+            }
+            assert.ok(fs.existsSync(goldenPath), `missing golden file ${goldenPath} (run with UPDATE_GOLDEN=1)`);
+            assert.strictEqual(output, fs.readFileSync(goldenPath, 'utf8'));
+        });
+    }
+});
+
+test('golden: no stale golden files', () => {
+    if (UPDATE_GOLDEN) return;
+    const shaders = new Set(fs.readdirSync(SHADER_DIR).filter(f => f.endsWith('.js')).map(f => f.replace(/\.js$/, '')));
+    const stale = fs.readdirSync(GOLDEN_DIR).filter(f => !shaders.has(f.replace(/\.wgsl$/, '')));
+    assert.deepStrictEqual(stale, []);
+});
+
+// ------------------------------------------------------------
+// Conversion rules
+// ------------------------------------------------------------
+
+test('mod() keeps GLSL semantics for any divisor', () => {
+    const { fragmentShader } = convert(fragment(`
+        float a = mod(vUv.x * 10.0, 3.0);
+        vec2 b = mod(vUv * 7.0, 2.5);
+        gl_FragColor = vec4(a, b, 1.0);
+    `));
+    assert.match(fragmentShader, /mod_f32\(vUv\.x \* 10\.0, 3\.0\)/);
+    assert.match(fragmentShader, /mod_vec2f\(vUv \* 7\.0, vec2f\(2\.5\)\)/);
+    assert.match(fragmentShader, /fn mod_f32\(x: f32, y: f32\) -> f32 \{\n {4}return x - y \* floor\(x \/ y\);/);
+    assert.doesNotMatch(fragmentShader, /fract\(/);
+});
+
+test('integer literals stay integers where GLSL uses ints', () => {
+    const { fragmentShader } = convert(fragment(`
+        int count = 3;
+        float weights[4];
+        weights[2] = 0.5;
+        float total = 2.0 * float(count) + weights[2];
+        gl_FragColor = vec4(total);
+    `));
+    assert.match(fragmentShader, /let count: i32 = 3;/);
+    assert.match(fragmentShader, /weights\[2\] = 0\.5;/);
+    assert.match(fragmentShader, /2\.0 \* f32\(count\)/);
+    assert.doesNotMatch(fragmentShader, /\b3\.0\b|\[2\.0\]/);
+});
+
+test('int values meeting floats are converted', () => {
+    const { fragmentShader } = convert(fragment(`
+        float x = 1;
+        int i = 2;
+        float y = x * i;
+        gl_FragColor = vec4(y);
+    `));
+    assert.match(fragmentShader, /let x: f32 = 1\.0;/);
+    assert.match(fragmentShader, /let y: f32 = x \* f32\(i\);/);
+});
+
+test('helper functions with deeply nested braces are converted whole', () => {
+    const { fragmentShader } = convert(fragment('gl_FragColor = vec4(nested(vUv));', `
+        float nested(vec2 p) {
+            float v = 0.0;
+            for (int i = 0; i < 3; i++) {
+                if (p.x > 0.5) {
+                    if (p.y > 0.5) {
+                        v += 1.0;
+                    } else {
+                        v -= 1.0;
+                    }
+                }
+            }
+            return v;
+        }
+    `));
+    assert.match(fragmentShader, /fn nested\(p: vec2f\) -> f32 \{/);
+    assert.match(fragmentShader, / {16}v -= 1\.0;\n {12}\}\n {8}\}\n {4}\}\n {4}return v;\n\}/);
+});
+
+test('swizzles: reads, stpq, and assignment to several components', () => {
+    const { fragmentShader } = convert(fragment(`
+        vec4 c = texture2D(contentTexture, vUv);
+        c.rg = c.gr;
+        c.xz *= 0.5;
+        vec2 q = c.st;
+        gl_FragColor = vec4(q, c.ba);
+    `));
+    assert.match(fragmentShader, /c = vec4f\(c\.gr, c\.b, c\.a\);/);
+    assert.match(fragmentShader, /let swizzled: vec2f = c\.xz \* 0\.5;\n {4}c = vec4f\(swizzled\.x, c\.y, swizzled\.y, c\.w\);/);
+    assert.match(fragmentShader, /let q: vec2f = c\.xy;/);
+});
+
+test('out and inout parameters become pointers', () => {
+    const { fragmentShader } = convert(fragment(`
+        float a = 1.0;
+        vec3 b;
+        split(vUv.x, a, b);
+        gl_FragColor = vec4(b, a);
+    `, `
+        void split(float v, inout float acc, out vec3 color) {
+            acc += v;
+            color = vec3(acc);
+        }
+    `));
+    assert.match(fragmentShader, /fn split\(v: f32, acc: ptr<function, f32>, color: ptr<function, vec3f>\) \{/);
+    assert.match(fragmentShader, /\(\*acc\) \+= v;/);
+    assert.match(fragmentShader, /\(\*color\) = vec3f\(\(\*acc\)\);/);
+    assert.match(fragmentShader, /split\(vUv\.x, &a, &b\);/);
+    assert.match(fragmentShader, /var a: f32 = 1\.0;/);
+});
+
+test('parameters assigned in the body are copied', () => {
+    const { fragmentShader } = convert(fragment('gl_FragColor = vec4(wrap(vUv), 0.0, 1.0);', `
+        vec2 wrap(vec2 p) {
+            p = fract(p * 2.0);
+            return p;
+        }
+    `));
+    assert.match(fragmentShader, /fn wrap\(pIn: vec2f\) -> vec2f \{\n {4}var p: vec2f = pIn;/);
+});
+
+test('const values and arrays', () => {
+    const { fragmentShader } = convert(fragment(`
+        float weights[3] = float[3](0.25, 0.5, 0.25);
+        vec3 sum = vec3(0.0);
+        for (int i = 0; i < 3; i++) {
+            sum += texture2D(contentTexture, vUv + OFFSET * float(i - 1)).rgb * weights[i];
+        }
+        gl_FragColor = vec4(sum * SCALE, 1.0);
+    `, `
+        const vec2 OFFSET = vec2(0.01, 0.0);
+        const float SCALE = 2.0;
+    `));
+    assert.match(fragmentShader, /^const OFFSET: vec2f = vec2f\(0\.01, 0\.0\);\nconst SCALE: f32 = 2\.0;$/m);
+    assert.match(fragmentShader, /var weights: array<f32, 3> = array<f32, 3>\(0\.25, 0\.5, 0\.25\);/);
+    // Not in uniform control flow: no implicit derivatives
+    assert.match(fragmentShader, /textureSampleLevel\(contentTexture, contentTextureSampler, vUv \+ OFFSET \* f32\(i - 1\), 0\.0\)/);
+});
+
+test('#define constants, function macros and conditionals', () => {
+    const { fragmentShader } = convert(fragment(`
+        float v = 0.0;
+        for (int i = 0; i < TAPS; i++) {
+            v += SQUARE(float(i));
+        }
+        #ifdef USE_FLASH
+        v = 100.0;
+        #else
+        v *= GAIN;
+        #endif
+        #if TAPS > 4 && defined(GL_ES)
+        v += 1.0;
+        #endif
+        gl_FragColor = vec4(v);
+    `, `
+        #define TAPS 8
+        #define GAIN 0.5
+        #define SQUARE(x) ((x) * (x))
+    `));
+    assert.match(fragmentShader, /^const TAPS = 8;\nconst GAIN = 0\.5;$/m);
+    assert.match(fragmentShader, /for \(var i: i32 = 0; i < TAPS; i\+\+\)/);
+    assert.match(fragmentShader, /v \+= f32\(i\) \* f32\(i\);/);
+    assert.match(fragmentShader, /v \*= GAIN;\n {4}v \+= 1\.0;/);
+    assert.doesNotMatch(fragmentShader, /100\.0|SQUARE/);
+});
+
+test('loops: float counters, while and do-while', () => {
+    const { fragmentShader } = convert(fragment(`
+        float v = 0.0;
+        for (float x = 0.0; x < 1.0; x += 0.25) {
+            v += x;
+        }
+        for (float y = 0.0; y < 4.0; y++) {
+            v += y;
+        }
+        int n = 0;
+        while (n < 3) {
+            n++;
+        }
+        do {
+            v -= 1.0;
+        } while (v > 2.0);
+        gl_FragColor = vec4(v);
+    `));
+    assert.match(fragmentShader, /for \(var x: f32 = 0\.0; x < 1\.0; x \+= 0\.25\) \{/);
+    assert.match(fragmentShader, /for \(var y: f32 = 0\.0; y < 4\.0; y \+= 1\.0\) \{/);
+    assert.match(fragmentShader, /while \(n < 3\) \{\n {8}n\+\+;/);
+    assert.match(fragmentShader, /loop \{\n {8}v -= 1\.0;\n {8}continuing \{\n {12}break if !\(v > 2\.0\);/);
+});
+
+test('GLSL-only built-ins and operators are rewritten', () => {
+    const { fragmentShader } = convert(fragment(`
+        float a = atan(vUv.y, vUv.x);
+        float b = inversesqrt(max(vUv.x, 0.1));
+        vec2 c = clamp(vUv, 0.2, 0.8);
+        bool d = all(lessThan(vUv, vec2(0.5))) ^^ (vUv == vec2(0.0));
+        float e = vUv.x > 0.5 ? 1.0 : 0.0;
+        gl_FragColor = vec4(a, b, c.x, d ? e : 0.0);
+    `));
+    assert.match(fragmentShader, /atan2\(vUv\.y, vUv\.x\)/);
+    assert.match(fragmentShader, /inverseSqrt\(max\(vUv\.x, 0\.1\)\)/);
+    assert.match(fragmentShader, /clamp\(vUv, vec2f\(0\.2\), vec2f\(0\.8\)\)/);
+    assert.match(fragmentShader, /all\(\(vUv < vec2f\(0\.5\)\)\) != all\(vUv == vec2f\(0\.0\)\)/);
+    assert.match(fragmentShader, /select\(0\.0, 1\.0, vUv\.x > 0\.5\)/);
+});
+
+test('overloaded functions get distinct names', () => {
+    const { fragmentShader } = convert(fragment('gl_FragColor = vec4(wrap(vec3(vUv, 0.0)), wrap(vUv.x));', `
+        vec3 wrap(vec3 x) { return x - floor(x); }
+        float wrap(float x) { return x - floor(x); }
+    `));
+    assert.match(fragmentShader, /fn wrap_vec3\(x: vec3f\) -> vec3f/);
+    assert.match(fragmentShader, /fn wrap_float\(x: f32\) -> f32/);
+    assert.match(fragmentShader, /vec4f\(wrap_vec3\(vec3f\(vUv, 0\.0\)\), wrap_float\(vUv\.x\)\)/);
+});
+
+test('WGSL reserved words are renamed', () => {
+    const { fragmentShader } = convert(fragment(`
+        float filter = 0.5;
+        vec3 target = vec3(filter);
+        gl_FragColor = vec4(target, 1.0);
+    `));
+    assert.match(fragmentShader, /let filter_: f32 = 0\.5;/);
+    assert.match(fragmentShader, /let target_: vec3f = vec3f\(filter_\);/);
+});
+
+test('gl_FragColor written more than once becomes a returned variable', () => {
+    const { fragmentShader } = convert(fragment(`
+        gl_FragColor = texture2D(contentTexture, vUv);
+        if (vUv.x > 0.5) {
+            gl_FragColor.rgb = vec3(1.0);
+            return;
+        }
+    `));
+    assert.match(fragmentShader, /var fragColor: vec4f;/);
+    assert.match(fragmentShader, /fragColor = vec4f\(vec3f\(1\.0\), fragColor\.a\);\n {8}return fragColor;/);
+    assert.match(fragmentShader, /\n {4}return fragColor;\n\}/);
+});
+
+test('extra sampler inputs bind after the uniforms', () => {
+    const { fragmentShader } = convert(fragment(`
+        vec4 last = texture2D(previousFrame, vUv);
+        gl_FragColor = max(texture2D(contentTexture, vUv), last * 0.9);
+    `, 'uniform sampler2D previousFrame;'), { inputs: { previousFrame: { kind: 'feedback' } } });
+    assert.match(fragmentShader, /@group\(0\) @binding\(3\) var previousFrame: texture_2d<f32>;/);
+    assert.match(fragmentShader, /@group\(0\) @binding\(4\) var previousFrameSampler: sampler;/);
+    assert.match(fragmentShader, /textureSample\(previousFrame, previousFrameSampler, vUv\)/);
+
+    assert.throws(() => convert(fragment('gl_FragColor = texture2D(other, vUv);', 'uniform sampler2D other;')),
+        /sampler "other" must be listed in the shader's inputs/);
+});
+
+test('errors name the line', () => {
+    assert.throws(() => convert(fragment('gl_FragColor = vec4(undefinedThing);')), (error) => {
+        assert.ok(error instanceof GLSLConversionError);
+        assert.match(error.message, /^line 9: unknown identifier "undefinedThing"/);
+        return true;
+    });
+});
+
+// ------------------------------------------------------------
+// Uniform layout
+// ------------------------------------------------------------
+
+test('uniform struct padding matches the hand-written crt shader', () => {
+    const crt = fs.readFileSync(path.join(SHADER_DIR, 'wgsl', 'crt.wgsl.js'), 'utf8');
+    const handWritten = crt.match(/struct Uniforms \{([\s\S]*?)\}/)[1]
+        .split(',').map(f => f.trim()).filter(Boolean).map(f => f.split(':')[0].trim());
+
+    const source = fs.readFileSync(path.join(SHADER_DIR, 'crt.js'), 'utf8');
+    const { fragmentShader } = new GLSLtoWGSLConverter().convertSource(source, 'crt');
+    const converted = fragmentShader.match(/struct Uniforms \{([\s\S]*?)\}/)[1]
+        .split(',').map(f => f.trim()).filter(Boolean).map(f => f.split(':')[0].trim());
+
+    assert.deepStrictEqual(converted, handWritten);
+});
+
+test('uniform layout aligns vectors like WGSL', () => {
+    const layout = uniformLayout({
+        strength: { type: 'f32' },
+        offset: { type: 'vec2' },
+        tint: { type: 'color' },
+        count: { type: 'int' },
+        box: { type: 'vec4' }
+    });
+    const offsets = Object.fromEntries(layout.filter(f => !f.name.startsWith('_pad')).map(f => [f.name, f.offset]));
+    assert.deepStrictEqual(offsets, { time: 0, resolution: 4, strength: 8, offset: 10, tint: 16, count: 20, box: 24 });
+    const floats = layout.reduce((n, f) => n + ({ vec2: 2, vec3: 3, vec4: 4 }[f.type] || 1), 0);
+    assert.strictEqual(floats, 28);
+    assert.deepStrictEqual(layout.find(f => f.name === 'count').type, 'int');
+});
+
+test('int and bool uniforms are read as the declared type', () => {
+    const { fragmentShader } = convert(fragment(`
+        gl_FragColor = vec4(float(steps), invert ? 1.0 : 0.0, float(mode), 1.0);
+    `, 'uniform int steps; uniform bool invert; uniform int mode;'), {
+        uniforms: { steps: 'int', invert: 'bool', mode: 'f32' }
+    });
+    assert.match(fragmentShader, /steps: i32,\n {4}invert: i32,\n {4}mode: f32,/);
+    assert.match(fragmentShader, /f32\(uniforms\.steps\)/);
+    assert.match(fragmentShader, /select\(0\.0, 1\.0, \(uniforms\.invert != 0\)\)/);
+    assert.match(fragmentShader, /f32\(i32\(uniforms\.mode\)\)/);
+});
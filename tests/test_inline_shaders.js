@@ -0,0 +1,142 @@
+// Tests for ```shader blocks (TStorieShaderPackage format 'inline')
+// Run with: node --test tests/test_inline_shaders.js
+//
+// A document can define shaders in fenced ```shader blocks; these check the
+// block body parses into the same config a shader file would, and that
+// compile errors point at the line of the document.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TStorieShaderPackage } = require('../web/tstorie-shader-package.js');
+const {
+    TStorieShaderCompileError,
+    TStorieShaderDiagnostics
+} = require('../web/tstorie-shader-diagnostics.js');
+
+// shaderInfo the way documentShaderInfo() builds it
+function inlineShader(name, code, extra = {}) {
+    const shaderInfo = {
+        name,
+        content: code,
+        format: 'inline',
+        source: 'document',
+        filename: 'document',
+        line: 1,
+        ...extra
+    };
+    TStorieShaderPackage.load(shaderInfo);
+    return shaderInfo;
+}
+
+function parseError(code) {
+    try {
+        TStorieShaderPackage.parse(code, { name: 'bad', format: 'inline' });
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected a parse error');
+}
+
+const WOBBLE = [
+    '--- uniforms',
+    'amount = 0.4            // Wobble strength (0-1)',
+    'speed = 2.0',
+    'tint = #a8ffcf',
+    '--- fragment',
+    'precision mediump float;',
+    'uniform float amount;',
+    'varying vec2 vUv;',
+    'void main() { gl_FragColor = vec4(vUv, amount, 1.0); }',
+    ''
+].join('\n');
+
+test('sections give uniforms and the fragment shader, with their start lines', () => {
+    const config = TStorieShaderPackage.parse(WOBBLE, { name: 'wobble', format: 'inline', language: 'glsl' });
+    assert.strictEqual(config.language, 'glsl');
+    assert.strictEqual(config.fragmentShader.split('\n')[0], 'precision mediump float;');
+    assert.strictEqual(config.sourceLines.fragmentShader, 6);
+    assert.deepStrictEqual(config.uniforms, { amount: 0.4, speed: 2.0, tint: [168 / 255, 1, 207 / 255] });
+    assert.deepStrictEqual(config.schema.amount,
+        { type: 'f32', min: 0, max: 1, label: 'Amount', description: 'Wobble strength', default: 0.4 });
+    assert.strictEqual(config.schema.tint.type, 'color');
+});
+
+test('GLSL blocks without a vertex section get the full-screen quad', () => {
+    const config = TStorieShaderPackage.parse(WOBBLE, { name: 'wobble', format: 'inline' });
+    assert.strictEqual(config.language, 'glsl');
+    assert.match(config.vertexShader, /attribute vec2 position;/);
+    assert.match(config.vertexShader, /vUv\.y = 1\.0 - vUv\.y;/);
+    // Not part of the document, so not mappable
+    assert.strictEqual(config.sourceLines.vertexShader, null);
+});
+
+test('a block with no sections is the fragment shader', () => {
+    const code = 'precision mediump float;\nvoid main() { gl_FragColor = vec4(1.0); }';
+    const config = TStorieShaderPackage.parse(code, { name: 'white', format: 'inline' });
+    assert.strictEqual(config.fragmentShader, code);
+    assert.strictEqual(config.sourceLines.fragmentShader, 1);
+    assert.deepStrictEqual(config.uniforms, {});
+});
+
+test('a WGSL module can be the whole block', () => {
+    const code = [
+        '@vertex fn vs(@builtin(vertex_index) i: u32) -> @builtin(position) vec4f { return vec4f(0.0); }',
+        '@fragment fn fs() -> @location(0) vec4f { return vec4f(1.0); }'
+    ].join('\n');
+    const config = TStorieShaderPackage.parse(code, { name: 'solid', format: 'inline' });
+    assert.strictEqual(config.language, 'wgsl');
+    assert.match(config.vertexShader + '\n' + config.fragmentShader, /@vertex[\s\S]*@fragment/);
+});
+
+test('uniforms can be one JSON object in package form', () => {
+    const code = [
+        '--- uniforms',
+        '{ "glow": { "type": "f32", "default": 0.25, "min": 0, "max": 2 } }',
+        '--- fragment',
+        'precision mediump float;',
+        'uniform float glow;',
+        'void main() { gl_FragColor = vec4(glow); }'
+    ].join('\n');
+    const config = TStorieShaderPackage.parse(code, { name: 'glow', format: 'inline' });
+    assert.deepStrictEqual(config.uniforms, { glow: 0.25 });
+    assert.strictEqual(config.schema.glow.max, 2);
+    assert.strictEqual(config.sourceLines.fragmentShader, 4);
+});
+
+test('bad blocks name the line of the block', () => {
+    assert.match(parseError('void main() {}\n--- fragment\nvoid main() {}').message,
+        /line 1: text before the first --- section/);
+    assert.match(parseError('--- fragment\na\n--- fragment\nb').message,
+        /line 3: second --- fragment section/);
+    assert.match(parseError('--- uniforms\namount = 0.5\nspeed fast\n--- fragment\nx').message,
+        /line 3: expected `name = value`/);
+    assert.match(parseError('--- uniforms\nspeed = fast\n--- fragment\nx').message,
+        /line 2: can't read the value of "speed"/);
+});
+
+test('compile errors map to the line of the document', () => {
+    // Block body starts on line 20 of the document
+    const shaderInfo = inlineShader('wobble', WOBBLE, { line: 20 });
+    const error = new TStorieShaderCompileError('wobble', 'fragment', [
+        { stage: 'fragment', line: 4, column: null, message: 'syntax error', severity: 'error' }
+    ]);
+    const diagnostic = TStorieShaderDiagnostics.describe(shaderInfo, error);
+    // Fragment line 4 is block line 9: document line 20 + 9 - 1
+    assert.strictEqual(diagnostic.messages[0].location, 'document:28');
+    assert.strictEqual(diagnostic.messages[0].excerpt.find(e => e.marked).text,
+        'void main() { gl_FragColor = vec4(vUv, amount, 1.0); }');
+});
+
+test('block errors map to the line of the document', () => {
+    const shaderInfo = { name: 'bad', content: '--- uniforms\nspeed = fast', format: 'inline', filename: 'document', line: 10 };
+    let error;
+    try {
+        TStorieShaderPackage.load(shaderInfo);
+    } catch (e) {
+        error = e;
+    }
+    const diagnostic = TStorieShaderDiagnostics.describe(shaderInfo, error);
+    assert.strictEqual(diagnostic.messages[0].stage, 'package');
+    assert.strictEqual(diagnostic.messages[0].location, 'document:11');
+});
@@ -0,0 +1,66 @@
+## Full Keyboard Protocol Test
+## 
+## Tests the reduction from the full keyboard protocol (WASM/SDL3) to the
+## press-only stream scripts get by default:
+## 1. KeyMod bitmasks convert to modifier sets
+## 2. Keypad keys map to their main-row keys
+## 3. pressOnlyKeyEvent drops/rewrites events like the terminal backend
+
+import std/unittest
+import ../src/input/types
+
+proc key(code: int, mods: set[uint8] = {}, action = Press): InputEvent =
+  InputEvent(kind: KeyEvent, keyCode: code, keyMods: mods, keyAction: action)
+
+suite "Full Keyboard Protocol":
+  
+  test "modsFromBits converts KeyMod bits":
+    check modsFromBits(0) == {}
+    check modsFromBits(kmShift.int) == {ModShift}
+    check modsFromBits(kmCtrl.int or kmAlt.int) == {ModCtrl, ModAlt}
+    check modsFromBits(kmShift.int or kmCtrl.int or kmAlt.int or kmSuper.int) ==
+      {ModShift, ModCtrl, ModAlt, ModSuper}
+  
+  test "keypadToMainKey maps keypad to main row":
+    check keypadToMainKey(KEY_KP_0.int) == ord('0')
+    check keypadToMainKey(KEY_KP_9.int) == ord('9')
+    check keypadToMainKey(KEY_KP_PERIOD.int) == ord('.')
+    check keypadToMainKey(KEY_KP_PLUS.int) == ord('+')
+    check keypadToMainKey(KEY_KP_ENTER.int) == KEY_ENTER.int
+    check keypadToMainKey(KEY_UP.int) == KEY_UP.int
+  
+  test "Releases and modifier keys are dropped":
+    var release = key(KEY_UP.int, action = Release)
+    check not pressOnlyKeyEvent(release)
+    
+    var shift = key(KEY_LSHIFT.int, {ModShift})
+    check not pressOnlyKeyEvent(shift)
+    
+    var capsLock = key(KEY_CAPSLOCK.int)
+    check not pressOnlyKeyEvent(capsLock)
+  
+  test "Repeats become presses":
+    var evt = key(KEY_DOWN.int, action = Repeat)
+    check pressOnlyKeyEvent(evt)
+    check evt.keyAction == Press
+    check evt.keyCode == KEY_DOWN.int
+  
+  test "Printable keys are left to their TextEvent":
+    var letter = key(KEY_A.int, {ModShift})
+    check not pressOnlyKeyEvent(letter)
+    
+    var keypadDigit = key(KEY_KP_5.int)
+    check not pressOnlyKeyEvent(keypadDigit)
+  
+  test "Shortcuts and keypad Enter are kept":
+    var ctrlC = key(KEY_C.int, {ModCtrl})
+    check pressOnlyKeyEvent(ctrlC)
+    check ctrlC.keyCode == KEY_C.int
+    
+    var enter = key(KEY_KP_ENTER.int)
+    check pressOnlyKeyEvent(enter)
+    check enter.keyCode == KEY_ENTER.int
+  
+  test "Non-key events pass through":
+    var text = InputEvent(kind: TextEvent, text: "a")
+    check pressOnlyKeyEvent(text)
@@ -0,0 +1,408 @@
+// Tests for web/module_loader.js
+// Run with: node --test tests/test_module_loader.js
+//
+// A local HTTP server stands in for GitHub, the registry and the document's
+// host; a fake Module records what would be handed to the WASM runtime, and
+// an in-memory store stands in for IndexedDB.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+
+const loader = require('../web/module_loader.js');
+
+const REVISION = '3f2c9a1d0b7e4c8a9f6e5d4c3b2a19087f6e5d4c';
+
+// Integrity value computed independently of the loader
+function sri(code, algorithm = 'sha256') {
+    return `${algorithm}-${crypto.createHash(algorithm).update(code).digest('base64')}`;
+}
+
+// path -> [status, content type, body]
+const ROUTES = {
+    '/raw/abc123/canvas.nim': [200, 'text/plain', 'proc latest*() = discard'],
+    [`/gists/abc123/${REVISION}`]: [200, 'application/json', JSON.stringify({
+        files: {
+            'canvas.nim': { filename: 'canvas.nim', truncated: false, content: 'proc pinned*() = discard' },
+            'big.nim': { filename: 'big.nim', truncated: true, content: 'proc cut', raw_url: '/raw-full/big.nim' },
+            'main.nim': { filename: 'main.nim', truncated: false, content: 'let helpers = require("helpers.nim", state)' },
+            'helpers.nim': { filename: 'helpers.nim', truncated: false, content: 'proc help*() = discard' }
+        }
+    })],
+    '/raw-full/big.nim': [200, 'text/plain', 'proc complete*() = discard'],
+    '/registry/canvas/1.2.0/canvas.nim': [200, 'text/plain', 'proc registry*() = discard'],
+    '/registry/canvas/1.2.0/shapes.nim': [200, 'text/plain', 'proc shapes*() = discard'],
+    '/stories/lib/utils.nim': [200, 'text/plain', 'proc utils*() = discard'],
+    '/shared/colors.nim': [200, 'text/plain', 'proc colors*() = discard'],
+    // Module graph: app -> ui -> widgets -> shapes, app -> widgets
+    '/stories/app.nim': [200, 'text/plain', 'let ui = require("lib/ui.nim", state)\nlet w = require("pkg:widgets@2.0.0", state)'],
+    '/stories/lib/ui.nim': [200, 'text/plain', 'let w = require("pkg:widgets@2.0.0", state)'],
+    '/registry/widgets/2.0.0/widgets.nim': [200, 'text/plain', 'let shapes = require("./shapes.nim", state)'],
+    '/registry/widgets/2.0.0/shapes.nim': [200, 'text/plain', 'proc box*() = discard'],
+    '/stories/cycle/a.nim': [200, 'text/plain', 'let b = require("b.nim", state)'],
+    '/stories/cycle/b.nim': [200, 'text/plain', 'let a = require("a.nim", state)'],
+    '/stories/x/one.nim': [200, 'text/plain', 'let u = require("util.nim", state)'],
+    '/stories/x/util.nim': [200, 'text/plain', 'proc x*() = discard'],
+    '/stories/util.nim': [200, 'text/plain', 'proc top*() = discard']
+};
+
+let server;
+let base;
+const requests = [];
+
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const route = ROUTES[req.url];
+        if (!route) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('not found');
+            return;
+        }
+        res.writeHead(route[0], { 'Content-Type': route[1] });
+        res.end(route[2]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+
+    // raw_url comes back relative from the stub; make it absolute
+    const full = JSON.parse(ROUTES[`/gists/abc123/${REVISION}`][2]);
+    full.files['big.nim'].raw_url = base + '/raw-full/big.nim';
+    ROUTES[`/gists/abc123/${REVISION}`][2] = JSON.stringify(full);
+
+    loader.configureModuleLoader({
+        baseUrl: `${base}/stories/demo.md`,
+        gistBase: base,
+        gistApiBase: base,
+        registry: `${base}/registry/`
+    });
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+    requests.length = 0;
+    loader.clearModuleCache();
+    loader.setModuleLock({});
+});
+
+// Fake WASM runtime: records the code it's given, compiles anything
+function fakeRuntime(result = 'loaded') {
+    const runtime = { loaded: {}, required: [] };
+    global.Module = {
+        _emLoadGistCode: (moduleRef, code) => { runtime.loaded[moduleRef] = code; },
+        _emRequireModule: moduleRef => {
+            runtime.required.push(moduleRef);
+            return result;
+        }
+    };
+    return runtime;
+}
+
+test('parseGistRef reads pinned and unpinned references', () => {
+    assert.deepStrictEqual(loader.parseGistRef('gist:abc123/canvas.nim'),
+        { gistId: 'abc123', revision: null, filename: 'canvas.nim' });
+    assert.deepStrictEqual(loader.parseGistRef(`gist:abc123@${REVISION}/canvas.nim`),
+        { gistId: 'abc123', revision: REVISION, filename: 'canvas.nim' });
+    assert.strictEqual(loader.parseGistRef('lib/utils.nim'), null);
+    assert.throws(() => loader.parseGistRef('gist:abc123'), /Invalid gist format/);
+    assert.throws(() => loader.parseGistRef('gist:abc123@main/canvas.nim'), /Invalid gist revision/);
+});
+
+test('parseRegistryRef defaults the file and version', () => {
+    assert.deepStrictEqual(loader.parseRegistryRef('pkg:canvas@1.2.0'),
+        { name: 'canvas', version: '1.2.0', filename: 'canvas.nim' });
+    assert.deepStrictEqual(loader.parseRegistryRef('pkg:canvas/shapes.nim'),
+        { name: 'canvas', version: 'latest', filename: 'shapes.nim' });
+    assert.throws(() => loader.parseRegistryRef('pkg:../etc'), /Invalid registry format/);
+});
+
+test('references resolve to their source', () => {
+    const resolve = ref => {
+        const { resolver, url } = loader.resolveModule(ref);
+        return [resolver, url];
+    };
+    assert.deepStrictEqual(resolve('gist:abc123/canvas.nim'), ['gist', `${base}/raw/abc123/canvas.nim`]);
+    assert.deepStrictEqual(resolve(`gist:abc123@${REVISION}/canvas.nim`), ['gist', `${base}/gists/abc123/${REVISION}`]);
+    assert.deepStrictEqual(resolve('https://example.com/m/canvas.nim'), ['url', 'https://example.com/m/canvas.nim']);
+    assert.deepStrictEqual(resolve('pkg:canvas@1.2.0'), ['registry', `${base}/registry/canvas/1.2.0/canvas.nim`]);
+    assert.deepStrictEqual(resolve('lib/utils.nim'), ['path', `${base}/stories/lib/utils.nim`]);
+    assert.deepStrictEqual(resolve('./lib/utils.nim'), ['path', `${base}/stories/lib/utils.nim`]);
+    assert.deepStrictEqual(resolve('../shared/colors.nim'), ['path', `${base}/shared/colors.nim`]);
+    assert.throws(() => loader.resolveModule('ftp://example.com/a.nim'), /No module resolver/);
+});
+
+test('gist files are fetched latest or pinned', async () => {
+    assert.strictEqual(await loader.fetchModuleSource('gist:abc123/canvas.nim'), 'proc latest*() = discard');
+    assert.strictEqual(await loader.fetchModuleSource(`gist:abc123@${REVISION}/canvas.nim`), 'proc pinned*() = discard');
+    assert.strictEqual(await loader.fetchGistFile('abc123', 'canvas.nim', REVISION), 'proc pinned*() = discard');
+});
+
+test('truncated pinned files are read from their raw URL', async () => {
+    assert.strictEqual(await loader.fetchModuleSource(`gist:abc123@${REVISION}/big.nim`), 'proc complete*() = discard');
+});
+
+test('missing files name the reference and URL', async () => {
+    await assert.rejects(loader.fetchModuleSource(`gist:abc123@${REVISION}/gone.nim`),
+        /gone\.nim not found in gist abc123 at revision 3f2c9a1/);
+    await assert.rejects(loader.fetchModuleSource('lib/missing.nim'),
+        new RegExp(`Failed to fetch module lib/missing\\.nim \\(${base}/stories/lib/missing\\.nim\\): 404`));
+});
+
+test('registry and document-relative modules are fetched', async () => {
+    assert.strictEqual(await loader.fetchModuleSource('pkg:canvas@1.2.0'), 'proc registry*() = discard');
+    assert.strictEqual(await loader.fetchModuleSource('pkg:canvas@1.2.0/shapes.nim'), 'proc shapes*() = discard');
+    assert.strictEqual(await loader.fetchModuleSource('./lib/utils.nim'), 'proc utils*() = discard');
+    assert.strictEqual(await loader.fetchModuleSource(`${base}/shared/colors.nim`), 'proc colors*() = discard');
+});
+
+test('resolver plugins take over references', async () => {
+    loader.registerModuleResolver({
+        name: 'mirror',
+        matches: ref => ref.startsWith('gist:'),
+        resolve: ref => ({ url: `${base}/shared/colors.nim`, read: async response => 'mirrored ' + await response.text() })
+    });
+    try {
+        assert.strictEqual(loader.resolveModule('gist:abc123/canvas.nim').resolver, 'mirror');
+        assert.strictEqual(await loader.fetchModuleSource('gist:abc123/canvas.nim'), 'mirrored proc colors*() = discard');
+    } finally {
+        assert.strictEqual(loader.unregisterModuleResolver('mirror'), true);
+    }
+    assert.strictEqual(loader.resolveModule('gist:abc123/canvas.nim').resolver, 'gist');
+    assert.throws(() => loader.registerModuleResolver({ name: 'broken' }), /needs a name, matches\(\) and resolve\(\)/);
+});
+
+test('requireModule hands the code to the runtime once', async () => {
+    const runtime = fakeRuntime();
+    await loader.requireModule('lib/utils.nim');
+    await loader.requireModule('lib/utils.nim');
+    assert.deepStrictEqual(runtime.loaded, { 'lib/utils.nim': 'proc utils*() = discard' });
+    assert.deepStrictEqual(runtime.required, ['lib/utils.nim']);
+    assert.deepStrictEqual(requests, ['/stories/lib/utils.nim']);
+});
+
+test('requireModule reports compile errors and retries after them', async () => {
+    const runtime = fakeRuntime('error: unexpected token');
+    await assert.rejects(loader.requireModule('pkg:canvas@1.2.0'),
+        /Failed to load module pkg:canvas@1\.2\.0: unexpected token/);
+    await assert.rejects(loader.requireModule('pkg:canvas@1.2.0'));
+    assert.strictEqual(runtime.required.length, 2);
+});
+
+test('configureModuleLoader refuses unknown options', () => {
+    assert.throws(() => loader.configureModuleLoader({ registy: 'x' }), /Unknown module loader option: registy/);
+});
+
+test('computeIntegrity matches Subresource Integrity hashes', async () => {
+    const code = 'proc utils*() = discard';
+    assert.strictEqual(await loader.computeIntegrity(code), sri(code));
+    assert.strictEqual(await loader.computeIntegrity(code, 'sha384'), sri(code, 'sha384'));
+    await assert.rejects(loader.computeIntegrity(code, 'md5'), /Unsupported integrity algorithm: md5/);
+});
+
+test('requireModule checks the integrity option before the runtime sees the code', async () => {
+    const runtime = fakeRuntime();
+    await loader.requireModule('lib/utils.nim', { integrity: sri('proc utils*() = discard') });
+    assert.deepStrictEqual(runtime.required, ['lib/utils.nim']);
+
+    const tampered = fakeRuntime();
+    const error = await loader.requireModule('pkg:canvas@1.2.0', { integrity: sri('proc original*() = discard') })
+        .then(() => null, e => e);
+    assert.ok(error instanceof loader.ModuleIntegrityError);
+    assert.strictEqual(error.moduleRef, 'pkg:canvas@1.2.0');
+    assert.strictEqual(error.actual, sri('proc registry*() = discard'));
+    assert.match(error.message, /^Integrity check failed for pkg:canvas@1\.2\.0: expected sha256-/);
+    assert.deepStrictEqual(tampered.loaded, {});
+    assert.deepStrictEqual(tampered.required, []);
+});
+
+test('any of several hashes passes; malformed values are refused', async () => {
+    fakeRuntime();
+    await loader.requireModule('lib/utils.nim', {
+        integrity: `${sri('old code')} ${sri('proc utils*() = discard', 'sha512')}`
+    });
+    await assert.rejects(loader.requireModule('pkg:canvas@1.2.0', { integrity: 'sha256:abc' }),
+        /Invalid integrity value for pkg:canvas@1\.2\.0: sha256:abc/);
+});
+
+test('cached modules are checked against a hash asked for later', async () => {
+    fakeRuntime();
+    await loader.requireModule('lib/utils.nim');
+    await assert.rejects(loader.requireModule('lib/utils.nim', { integrity: sri('something else') }),
+        loader.ModuleIntegrityError);
+    assert.deepStrictEqual(requests, ['/stories/lib/utils.nim']);
+});
+
+const LOCKED_DOC = [
+    '# Story',
+    '',
+    '```nim global',
+    'utils = require("lib/utils.nim", state)',
+    `canvas = require("gist:abc123@${REVISION}/canvas.nim", state)`,
+    '```',
+    '',
+    '```lock',
+    '# Checked by the module loader',
+    `lib/utils.nim ${sri('proc utils*() = discard')}`,
+    `gist:abc123@${REVISION}/canvas.nim ${sri('proc pinned*() = discard')}`,
+    '```',
+    ''
+].join('\n');
+
+test('the document lock applies to requireModule', async () => {
+    loader.setModuleLock(LOCKED_DOC);
+    const runtime = fakeRuntime();
+    await loader.requireModule('lib/utils.nim');
+    await loader.requireModule(`gist:abc123@${REVISION}/canvas.nim`);
+    assert.strictEqual(runtime.required.length, 2);
+
+    loader.setModuleLock(LOCKED_DOC.replace(sri('proc utils*() = discard'), sri('proc evil*() = discard')));
+    loader.clearModuleCache();
+    await assert.rejects(loader.requireModule('lib/utils.nim'), /Integrity check failed for lib\/utils\.nim/);
+});
+
+test('parseModuleLock reads lock blocks only and names bad lines', () => {
+    const lock = loader.parseModuleLock(LOCKED_DOC);
+    assert.deepStrictEqual([...lock.keys()], ['lib/utils.nim', `gist:abc123@${REVISION}/canvas.nim`]);
+    assert.throws(() => loader.parseModuleLock('```lock\nlib/utils.nim\n```'), /line 2\): expected "<module> <integrity>"/);
+    assert.throws(() => loader.parseModuleLock('```lock\na.nim sha256-x\na.nim sha256-y\n```'), /line 3\): a\.nim is locked twice/);
+});
+
+test('generateModuleLock writes the lock for the document\'s modules', async () => {
+    assert.deepStrictEqual(loader.findModuleRefs(LOCKED_DOC), ['lib/utils.nim', `gist:abc123@${REVISION}/canvas.nim`]);
+    const block = await loader.generateModuleLock(LOCKED_DOC);
+    assert.deepStrictEqual(block.split('\n'), [
+        '```lock',
+        `lib/utils.nim ${sri('proc utils*() = discard')}`,
+        `gist:abc123@${REVISION}/canvas.nim ${sri('proc pinned*() = discard')}`,
+        '```'
+    ]);
+    // Round trip
+    assert.deepStrictEqual(loader.parseModuleLock(block), loader.parseModuleLock(LOCKED_DOC));
+});
+
+// Persistent store in memory, with the interface of IndexedDBModuleStore
+function memoryStore() {
+    const records = new Map();
+    return {
+        records,
+        get: async key => records.get(key),
+        put: async record => { records.set(record.key, record); },
+        clear: async () => records.clear()
+    };
+}
+
+test('dependencies load first, relative to the module that requires them', async () => {
+    const runtime = fakeRuntime();
+    await loader.requireModule('app.nim');
+    assert.deepStrictEqual(runtime.required, ['./shapes.nim', 'pkg:widgets@2.0.0', 'lib/ui.nim', 'app.nim']);
+    assert.strictEqual(runtime.loaded['./shapes.nim'], 'proc box*() = discard');
+    // widgets is required twice but fetched once
+    assert.deepStrictEqual([...requests].sort(), [
+        '/registry/widgets/2.0.0/shapes.nim',
+        '/registry/widgets/2.0.0/widgets.nim',
+        '/stories/app.nim',
+        '/stories/lib/ui.nim'
+    ]);
+
+    // Already loaded: nothing is fetched or compiled again
+    requests.length = 0;
+    await loader.preloadModules(['lib/ui.nim', 'app.nim']);
+    assert.deepStrictEqual(requests, []);
+    assert.strictEqual(runtime.required.length, 4);
+});
+
+test('gist modules require files of the same gist', async () => {
+    const runtime = fakeRuntime();
+    await loader.requireModule(`gist:abc123@${REVISION}/main.nim`);
+    assert.deepStrictEqual(runtime.required, ['helpers.nim', `gist:abc123@${REVISION}/main.nim`]);
+    assert.strictEqual(runtime.loaded['helpers.nim'], 'proc help*() = discard');
+});
+
+test('dependency cycles are refused before anything is compiled', async () => {
+    const runtime = fakeRuntime();
+    await assert.rejects(loader.requireModule('cycle/a.nim'), /Module dependency cycle: b\.nim -> a\.nim -> b\.nim/);
+    assert.deepStrictEqual(runtime.required, []);
+});
+
+test('one reference can\'t name two files', async () => {
+    fakeRuntime();
+    await assert.rejects(loader.preloadModules(['x/one.nim', 'util.nim']),
+        /util\.nim names two modules: .*\/stories\/util\.nim and .*\/stories\/x\/util\.nim \(required by x\/one\.nim\)/);
+});
+
+test('the lock covers dependencies', async () => {
+    loader.setModuleLock({ './shapes.nim': sri('proc evil*() = discard') });
+    const runtime = fakeRuntime();
+    await assert.rejects(loader.requireModule('pkg:widgets@2.0.0'), /Integrity check failed for \.\/shapes\.nim/);
+    assert.deepStrictEqual(runtime.required, []);
+});
+
+test('generateModuleLock includes the modules that modules require', async () => {
+    const block = await loader.generateModuleLock(['pkg:widgets@2.0.0']);
+    assert.deepStrictEqual(block.split('\n'), [
+        '```lock',
+        `./shapes.nim ${sri('proc box*() = discard')}`,
+        `pkg:widgets@2.0.0 ${sri('let shapes = require("./shapes.nim", state)')}`,
+        '```'
+    ]);
+});
+
+test('pinned modules load from the store without the network', async () => {
+    const store = memoryStore();
+    loader.configureModuleLoader({ store });
+    try {
+        fakeRuntime();
+        await loader.requireModule(`gist:abc123@${REVISION}/main.nim`);
+        assert.ok(store.records.has(`gist:abc123@${REVISION}/helpers.nim#${sri('proc help*() = discard')}`));
+        assert.strictEqual(store.records.get(`gist:abc123@${REVISION}/main.nim#latest`).integrity,
+            sri('let helpers = require("helpers.nim", state)'));
+
+        // Reopening the document
+        await loader.clearModuleCache();
+        requests.length = 0;
+        const runtime = fakeRuntime();
+        await loader.requireModule(`gist:abc123@${REVISION}/main.nim`);
+        assert.deepStrictEqual(requests, []);
+        assert.deepStrictEqual(runtime.required, ['helpers.nim', `gist:abc123@${REVISION}/main.nim`]);
+
+        await loader.clearModuleCache({ persistent: true });
+        assert.strictEqual(store.records.size, 0);
+    } finally {
+        loader.configureModuleLoader({ store: null });
+    }
+});
+
+test('locked modules load from the store; unlocked ones fall back to it offline', async () => {
+    const store = memoryStore();
+    loader.configureModuleLoader({ store });
+    try {
+        fakeRuntime();
+        await loader.requireModule('lib/utils.nim');
+
+        // Unlocked: fetched again while online...
+        await loader.clearModuleCache();
+        await loader.requireModule('lib/utils.nim');
+        assert.deepStrictEqual(requests, ['/stories/lib/utils.nim', '/stories/lib/utils.nim']);
+
+        // ...and read from the store when the network fails
+        loader.configureModuleLoader({ fetch: async () => { throw new Error('offline'); } });
+        await loader.clearModuleCache();
+        const runtime = fakeRuntime();
+        await loader.requireModule('lib/utils.nim');
+        assert.deepStrictEqual(runtime.loaded, { 'lib/utils.nim': 'proc utils*() = discard' });
+        await loader.clearModuleCache();
+        await assert.rejects(loader.requireModule('lib/never-fetched.nim'), /offline/);
+
+        // Locked: straight from the store
+        loader.configureModuleLoader({ fetch: null });
+        loader.setModuleLock({ 'lib/utils.nim': sri('proc utils*() = discard') });
+        await loader.clearModuleCache();
+        requests.length = 0;
+        await loader.requireModule('lib/utils.nim');
+        assert.deepStrictEqual(requests, []);
+    } finally {
+        loader.configureModuleLoader({ store: null, fetch: null });
+    }
+});
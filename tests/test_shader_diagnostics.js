@@ -0,0 +1,205 @@
+// Tests for web/tstorie-shader-diagnostics.js
+// Run with: node --test tests/test_shader_diagnostics.js
+//
+// Compile errors come back as lines of the source the GPU compiled; these
+// check they are mapped to the right line of the file the shader came from.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { TStorieShaderPackage } = require('../web/tstorie-shader-package.js');
+const {
+    TStorieShaderCompileError,
+    TStorieShaderDiagnostics,
+    failedShaderPass
+} = require('../web/tstorie-shader-diagnostics.js');
+
+const SHADER_DIR = path.join(__dirname, '..', 'docs', 'shaders');
+
+// shaderInfo the way shader_loader.js builds it, with its config parsed
+function loadShader(name, content, extra = {}) {
+    const shaderInfo = { name, content, source: 'local', ...extra };
+    TStorieShaderPackage.load(shaderInfo);
+    return shaderInfo;
+}
+
+// Compile error at `line` of one stage's source
+function compileError(name, stage, line, message = 'syntax error') {
+    return new TStorieShaderCompileError(name, stage, [
+        { stage, line, column: null, message, severity: 'error' }
+    ]);
+}
+
+const FENCED = [
+    '# Wobble',
+    '',
+    '```json',
+    '{ "name": "wobble", "uniforms": { "amount": 0.5 } }',
+    '```',
+    '',
+    '```glsl vertex',
+    'attribute vec2 position;',
+    'varying vec2 vUv;',
+    'void main() { vUv = position * 0.5 + 0.5; gl_Position = vec4(position, 0.0, 1.0); }',
+    '```',
+    '',
+    '```glsl fragment',
+    'precision mediump float;',
+    'uniform float amount;',
+    'void main() { gl_FragColor = vec4(amout); }',
+    '```',
+    ''
+].join('\n');
+
+test('parseGLSLLog reads ANGLE/Mesa logs', () => {
+    const log = "ERROR: 0:12: 'amout' : undeclared identifier\n" +
+        "WARNING: 0:3: 'x' : unused\n" +
+        'ERROR: 1 compilation errors.  No code generated.\n\0';
+    assert.deepStrictEqual(TStorieShaderDiagnostics.parseGLSLLog(log, 'fragment'), [
+        { stage: 'fragment', line: 12, column: null, message: "'amout' : undeclared identifier", severity: 'error' },
+        { stage: 'fragment', line: 3, column: null, message: "'x' : unused", severity: 'warning' }
+    ]);
+});
+
+test('parseGLSLLog reads NVIDIA logs and keeps unnumbered lines', () => {
+    const log = '0(7) : error C1008: undefined variable "amout"\nsomething else went wrong';
+    assert.deepStrictEqual(TStorieShaderDiagnostics.parseGLSLLog(log, 'vertex'), [
+        { stage: 'vertex', line: 7, column: null, message: 'undefined variable "amout"', severity: 'error' },
+        { stage: 'vertex', line: null, column: null, message: 'something else went wrong', severity: 'error' }
+    ]);
+});
+
+test('fromWGSLMessages splits the module back into vertex and fragment lines', () => {
+    const config = { vertexShader: 'a\nb\nc', fragmentShader: 'd\ne' };
+    const messages = TStorieShaderDiagnostics.fromWGSLMessages([
+        { lineNum: 2, linePos: 5, message: 'in vertex', type: 'error' },
+        { lineNum: 5, linePos: 1, message: 'in fragment', type: 'warning' },
+        { lineNum: 0, linePos: 0, message: 'no position', type: 'error' }
+    ], config);
+    assert.deepStrictEqual(messages.map(m => [m.stage, m.line, m.column, m.severity]), [
+        ['vertex', 2, 5, 'error'],
+        ['fragment', 2, 1, 'warning'],
+        ['vertex', null, null, 'error']
+    ]);
+});
+
+test('legacy shader files record where each source starts', () => {
+    const content = fs.readFileSync(path.join(SHADER_DIR, 'crt.js'), 'utf8');
+    const shaderInfo = loadShader('crt', content, { filename: 'crt.js' });
+    const fileLines = content.split('\n');
+    const { sourceLines, vertexShader, fragmentShader } = shaderInfo.config;
+
+    // Every source line sits at sourceLine + n - 1 in the file
+    const fragmentLine = fragmentShader.split('\n').findIndex(l => l.includes('void main')) + 1;
+    assert.ok(fileLines[sourceLines.fragmentShader + fragmentLine - 2].includes('void main'));
+    const vertexLine = vertexShader.split('\n').findIndex(l => l.includes('gl_Position')) + 1;
+    assert.ok(fileLines[sourceLines.vertexShader + vertexLine - 2].includes('gl_Position'));
+
+    const diagnostic = TStorieShaderDiagnostics.describe(shaderInfo, compileError('crt', 'fragment', fragmentLine));
+    const fileLine = sourceLines.fragmentShader + fragmentLine - 1;
+    assert.strictEqual(diagnostic.file, 'crt.js');
+    assert.strictEqual(diagnostic.messages[0].location, 'crt.js:' + fileLine);
+    assert.strictEqual(diagnostic.summary, `crt.js:${fileLine}: syntax error`);
+
+    const marked = diagnostic.messages[0].excerpt.find(e => e.marked);
+    assert.strictEqual(marked.line, fileLine);
+    assert.strictEqual(marked.text, fileLines[fileLine - 1].replace(/\s+$/, ''));
+});
+
+test('fenced packages map to the line inside the code block', () => {
+    const shaderInfo = loadShader('wobble', FENCED, { filename: 'wobble.shader.md' });
+    assert.deepStrictEqual(shaderInfo.config.sourceLines, { vertexShader: 8, fragmentShader: 14 });
+
+    const diagnostic = TStorieShaderDiagnostics.describe(shaderInfo, compileError('wobble', 'fragment', 3));
+    const message = diagnostic.messages[0];
+    assert.strictEqual(message.location, 'wobble.shader.md:16');
+    assert.deepStrictEqual(message.excerpt, [
+        { line: 15, text: 'uniform float amount;', marked: false },
+        { line: 16, text: 'void main() { gl_FragColor = vec4(amout); }', marked: true }
+    ]);
+});
+
+test('shaders embedded in a larger file are offset by their start line', () => {
+    const shaderInfo = loadShader('wobble', FENCED, { filename: 'story.md', line: 40 });
+    const diagnostic = TStorieShaderDiagnostics.describe(shaderInfo, compileError('wobble', 'vertex', 1));
+    assert.strictEqual(diagnostic.messages[0].location, 'story.md:47');
+});
+
+test('WGSL code blocks map module lines to the block', () => {
+    const wgsl = [
+        '```wgsl',
+        '@vertex fn vs() -> @builtin(position) vec4f { return vec4f(0.0); }',
+        '@fragment fn fs() -> @location(0) vec4f {',
+        '    return vec4f(missing);',
+        '}',
+        '```'
+    ].join('\n');
+    const shaderInfo = loadShader('solid', wgsl);
+    const config = shaderInfo.config;
+
+    // The backend compiles vertexShader + '\n' + fragmentShader
+    const messages = TStorieShaderDiagnostics.fromWGSLMessages(
+        [{ lineNum: 4, linePos: 18, message: "unresolved value 'missing'", type: 'error' }], config
+    );
+    const error = new TStorieShaderCompileError('solid', messages[0].stage, messages);
+    const diagnostic = TStorieShaderDiagnostics.describe(shaderInfo, error);
+    assert.strictEqual(diagnostic.messages[0].stage, 'fragment');
+    assert.strictEqual(diagnostic.messages[0].location, 'solid:4:18');
+    assert.strictEqual(diagnostic.messages[0].excerpt.find(e => e.marked).text, '    return vec4f(missing);');
+});
+
+test('JSON packages name the source line instead of a file line', () => {
+    const json = JSON.stringify({
+        format: 'tstorie-shader',
+        name: 'flat',
+        vertexShader: 'attribute vec2 position;\nvoid main() { gl_Position = vec4(position, 0.0, 1.0); }',
+        fragmentShader: 'precision mediump float;\nvoid main() { gl_FragColor = vec4(oops); }'
+    });
+    const shaderInfo = loadShader('flat', json, { filename: 'flat.shader.json' });
+    const diagnostic = TStorieShaderDiagnostics.describe(shaderInfo, compileError('flat', 'fragment', 2));
+    const message = diagnostic.messages[0];
+    assert.strictEqual(message.location, 'flat.shader.json (fragment source line 2)');
+    assert.deepStrictEqual(message.excerpt.map(e => [e.line, e.marked]), [[1, false], [2, true]]);
+});
+
+test('package errors point at the line of the file', () => {
+    const shaderInfo = { name: 'bad', content: 'function getShaderConfig() {\n  return window;\n}', filename: 'bad.js' };
+    let error;
+    try {
+        TStorieShaderPackage.load(shaderInfo);
+    } catch (e) {
+        error = e;
+    }
+    const pass = failedShaderPass(shaderInfo, error);
+    const message = pass.error.messages[0];
+    assert.strictEqual(message.stage, 'package');
+    assert.strictEqual(message.location, 'bad.js:2');
+    assert.strictEqual(message.excerpt.find(e => e.marked).text, '  return window;');
+});
+
+test('failed passes stay in the chain, bypassed, with their uniforms', () => {
+    const shaderInfo = loadShader('wobble', FENCED);
+    const pass = failedShaderPass(shaderInfo, compileError('wobble', 'fragment', 3));
+    assert.strictEqual(pass.name, 'wobble');
+    assert.strictEqual(pass.enabled, true);
+    assert.deepStrictEqual(pass.uniforms, { amount: 0.5 });
+    assert.deepStrictEqual(pass.programs, {});
+    assert.strictEqual(pass.error.shader, 'wobble');
+
+    const report = TStorieShaderDiagnostics.format(pass.error);
+    assert.match(report, /^Shader "wobble" failed:/);
+    assert.match(report, /> 16 \| void main\(\) \{ gl_FragColor = vec4\(amout\); \}/);
+});
+
+test('TStorieShaderCompileError names the shader, stage and first error', () => {
+    const error = new TStorieShaderCompileError('crt', 'link', [
+        { stage: 'link', line: null, column: null, message: 'just a warning', severity: 'warning' },
+        { stage: 'link', line: null, column: null, message: 'varying mismatch', severity: 'error' }
+    ]);
+    assert.strictEqual(error.message, 'Shader "crt" link compile failed: varying mismatch');
+
+    const diagnostic = TStorieShaderDiagnostics.describe({ name: 'crt' }, error);
+    assert.strictEqual(diagnostic.summary, 'crt: varying mismatch');
+});
@@ -0,0 +1,261 @@
+// Tests for web/tstorie-shader-package.js
+// Run with: node --test tests/test_shader_package.js
+//
+// Shaders are read as data, never executed: gist shaders must be JSON or
+// fenced packages, and legacy getShaderConfig() files (trusted local files
+// only) must be nothing but literals. These check both sides of that line.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TStorieShaderPackage, TStorieShaderPackageError } = require('../web/tstorie-shader-package.js');
+
+const VERTEX = 'attribute vec2 position; void main() { gl_Position = vec4(position, 0.0, 1.0); }';
+const FRAGMENT = 'precision mediump float; uniform float strength; void main() { gl_FragColor = vec4(strength); }';
+
+const LEGACY = `// Tint shader
+function getShaderConfig() {
+    return {
+        vertexShader: \`${VERTEX}\`,
+        fragmentShader: \`${FRAGMENT}\`,
+        uniforms: {
+            strength: 0.5,          // Tint amount (0.0-1.0)
+            tint: [1.0, 0.9, 0.8]   // Tint color
+        },
+        coordinateTransform: 'crt'
+    };
+}
+`;
+
+function legacy(uniforms) {
+    return `function getShaderConfig() {
+        return {
+            vertexShader: \`${VERTEX}\`,
+            fragmentShader: \`${FRAGMENT}\`,
+            uniforms: ${uniforms}
+        };
+    }`;
+}
+
+function parseError(text, options = { trusted: true }) {
+    try {
+        TStorieShaderPackage.parse(text, { name: 'bad', ...options });
+    } catch (error) {
+        assert.ok(error instanceof TStorieShaderPackageError, `unexpected ${error.name}: ${error.message}`);
+        return error;
+    }
+    assert.fail('expected a parse error');
+}
+
+// ------------------------------------------------------------
+// Packages
+// ------------------------------------------------------------
+
+test('JSON packages parse into a config', () => {
+    const config = TStorieShaderPackage.parse(JSON.stringify({
+        format: 'tstorie-shader',
+        version: 1,
+        name: 'tint',
+        vertexShader: VERTEX,
+        fragmentShader: FRAGMENT,
+        uniforms: { strength: { default: 0.5, min: 0, max: 1 }, tint: [1, 0.9, 0.8] }
+    }), { name: 'gist-id' });
+
+    assert.strictEqual(config.name, 'tint');
+    assert.strictEqual(config.language, 'glsl');
+    assert.strictEqual(config.uniforms.strength, 0.5);
+    assert.deepStrictEqual(config.uniforms.tint, [1, 0.9, 0.8]);
+    assert.strictEqual(config.schema.strength.max, 1);
+});
+
+test('JSON packages need the format marker and a known version', () => {
+    const data = { format: 'tstorie-shader', fragmentShader: FRAGMENT };
+    assert.match(parseError(JSON.stringify({ ...data, format: 'other' })).message, /"format" must be/);
+    assert.match(parseError(JSON.stringify({ ...data, version: 99 })).message, /unsupported package version/);
+    assert.match(parseError('{ "format": "tstorie-shader", ').message, /invalid JSON/);
+    assert.match(parseError(JSON.stringify({ format: 'tstorie-shader' })).message, /no shader source/);
+    assert.match(parseError(JSON.stringify({ ...data, uniforms: { 'a-b': 1 } })).message, /invalid uniform name/);
+    assert.match(parseError(JSON.stringify({ ...data, uniforms: { a: 'alert(1)' } })).message, /uniform "a"/);
+});
+
+test('fenced packages take a JSON manifest and the sources from code blocks', () => {
+    const text = [
+        '# Tint',
+        '```json',
+        '{ "name": "tint", "uniforms": { "strength": 0.25 } }',
+        '```',
+        '```glsl vertex',
+        VERTEX,
+        '```',
+        '```glsl fragment',
+        FRAGMENT,
+        '```'
+    ].join('\n');
+    const config = TStorieShaderPackage.parse(text);
+
+    assert.strictEqual(config.name, 'tint');
+    assert.strictEqual(config.language, 'glsl');
+    assert.strictEqual(config.vertexShader.trim(), VERTEX);
+    assert.strictEqual(config.fragmentShader.trim(), FRAGMENT);
+    assert.strictEqual(config.uniforms.strength, 0.25);
+
+    const wgsl = TStorieShaderPackage.parse('```wgsl\n@fragment fn fragmentMain() -> @location(0) vec4f { return vec4f(1.0); }\n```');
+    assert.strictEqual(wgsl.language, 'wgsl');
+    assert.match(parseError('```glsl\nvoid main() {}\n```').message, /marked vertex or fragment/);
+});
+
+// ------------------------------------------------------------
+// Legacy files
+// ------------------------------------------------------------
+
+test('trusted legacy files are read as literals', () => {
+    const config = TStorieShaderPackage.parse(LEGACY, { name: 'tint', trusted: true });
+
+    assert.strictEqual(config.vertexShader, VERTEX);
+    assert.strictEqual(config.fragmentShader, FRAGMENT);
+    assert.deepStrictEqual(config.uniforms, { strength: 0.5, tint: [1, 0.9, 0.8] });
+    assert.strictEqual(config.coordinateTransform, 'crt');
+    // Trailing comments: the range becomes min/max, the rest the description
+    assert.strictEqual(config.schema.strength.min, 0);
+    assert.strictEqual(config.schema.strength.max, 1);
+    assert.strictEqual(config.schema.strength.description, 'Tint amount');
+    assert.strictEqual(config.schema.tint.description, 'Tint color');
+});
+
+test('legacy files are refused unless trusted', () => {
+    assert.match(parseError(LEGACY, {}).message, /only tstorie-shader packages/);
+    assert.match(parseError(LEGACY, { trusted: false }).message, /only tstorie-shader packages/);
+
+    // Gist entries are untrusted, local ones trusted
+    assert.throws(() => TStorieShaderPackage.load({ name: 'tint', content: LEGACY, source: 'gist' }),
+        /only tstorie-shader packages/);
+    const local = { name: 'tint', content: LEGACY, source: 'local' };
+    assert.strictEqual(TStorieShaderPackage.load(local).uniforms.strength, 0.5);
+    assert.strictEqual(TStorieShaderPackage.load(local), local.config);
+});
+
+test('template substitutions are refused', () => {
+    const text = LEGACY.replace('uniform float strength;', 'uniform float ${fetch("/steal")};');
+    assert.match(parseError(text).message, /template substitutions are not allowed/);
+});
+
+test('identifiers, calls and expressions are refused', () => {
+    const refused = [
+        [legacy('{ strength: window }'), /"window" is not a literal/],
+        [legacy('{ strength: window.x }'), /unexpected "\."/],
+        [legacy('{ strength: alert(1) }'), /"alert" is not a literal/],
+        [legacy('{ strength: 1 + 2 }'), /unexpected "\+"/],
+        [legacy('{ strength: (1) }'), /unexpected "\("/],
+        [legacy('{ [name]: 1 }'), /expected a uniform name/],
+        [legacy('{ strength: () => 1 }'), /unexpected "="/],
+        [legacy('{ strength: 0.5 }') + '\nalert(1);', /unexpected code after getShaderConfig/],
+        ['fetch("/x");\n' + legacy('{}'), /expected "function"/],
+        ['function getShaderConfig() { alert(1); return {}; }', /expected "return"/],
+        ['function getShaderConfig() { return []; }', /must return an object/]
+    ];
+    for (const [text, message] of refused) {
+        assert.match(parseError(text).message, message, text);
+    }
+});
+
+test('a comment on the last uniform is still its description', () => {
+    const config = TStorieShaderPackage.parse(legacy(`{
+        strength: 0.5,  // Tint amount
+        tint: 1.0       // Tint strength (0-2)
+    }`), { trusted: true });
+
+    assert.strictEqual(config.schema.strength.description, 'Tint amount');
+    assert.strictEqual(config.schema.tint.description, 'Tint strength');
+    assert.strictEqual(config.schema.tint.max, 2);
+});
+
+// ------------------------------------------------------------
+// Gists
+// ------------------------------------------------------------
+
+test('pickGistFile prefers packages and refuses gists with only scripts', () => {
+    const file = (content) => ({ content });
+    const json = file('{}');
+    const md = file('```json\n{}\n```');
+
+    assert.strictEqual(TStorieShaderPackage.pickGistFile({ 'tint.shader.md': md, 'tint.shader.json': json }, 'g'), json);
+    assert.strictEqual(TStorieShaderPackage.pickGistFile({ 'README.md': file(''), 'tint.shader.md': md }, 'g'), md);
+    assert.strictEqual(TStorieShaderPackage.pickGistFile({ 'tint.js': file(LEGACY), 'tint.json': json }, 'g'), json);
+    assert.strictEqual(TStorieShaderPackage.pickGistFile({ 'notes.txt': file('') }, 'g'), null);
+    assert.strictEqual(TStorieShaderPackage.pickGistFile(null, 'g'), null);
+    assert.throws(() => TStorieShaderPackage.pickGistFile({ 'tint.js': file(LEGACY) }, 'g'),
+        /must be tstorie-shader packages/);
+});
+
+// ------------------------------------------------------------
+// Inputs
+// ------------------------------------------------------------
+
+function inputs(declared, uniforms = {}) {
+    return TStorieShaderPackage.parse(JSON.stringify({
+        format: 'tstorie-shader',
+        fragmentShader: FRAGMENT,
+        uniforms,
+        inputs: declared
+    })).inputs;
+}
+
+function inputError(declared, uniforms) {
+    try {
+        inputs(declared, uniforms);
+    } catch (error) {
+        assert.ok(error instanceof TStorieShaderPackageError, `unexpected ${error.name}: ${error.message}`);
+        return error.message;
+    }
+    assert.fail('expected an inputs error');
+}
+
+test('feedback, terminal and asset inputs', () => {
+    assert.deepStrictEqual(inputs({
+        previousFrame: 'feedback',
+        rawTerminal: 'terminal',
+        paper: { source: 'assets/textures/paper-1.png', filter: 'nearest', wrap: 'repeat' }
+    }), {
+        previousFrame: { kind: 'feedback', source: 'feedback', filter: 'linear', wrap: 'clamp' },
+        rawTerminal: { kind: 'terminal', source: 'terminal', filter: 'linear', wrap: 'clamp' },
+        paper: { kind: 'asset', source: 'assets/textures/paper-1.png', filter: 'nearest', wrap: 'repeat' }
+    });
+    for (const source of ['assets/a.jpg', 'assets/a.JPEG', 'assets/a.webp', 'assets/a.gif']) {
+        assert.strictEqual(inputs({ image: source }).image.kind, 'asset', source);
+    }
+});
+
+test('input sources outside docs/assets are refused', () => {
+    const refused = [
+        'assets/../x.png',
+        'assets/textures/../../secret.png',
+        '../assets/x.png',
+        '/assets/x.png',
+        './assets/x.png',
+        'https://example.com/x.png',
+        '//example.com/assets/x.png',
+        'assets/x.png?y=1',
+        'assets/x.svg',
+        'assets/x.png.js',
+        'assets\\x.png',
+        'data:image/png;base64,AAAA',
+        'javascript:alert(1)',
+        'images/x.png',
+        'Feedback'
+    ];
+    for (const source of refused) {
+        assert.match(inputError({ image: source }), /source must be "feedback", "terminal" or an image under assets/, source);
+    }
+    assert.match(inputError({ image: { source: 42 } }), /source must be/);
+    assert.match(inputError({ image: ['feedback'] }), /expected a source/);
+});
+
+test('input filter, wrap and names are checked', () => {
+    assert.match(inputError({ image: { source: 'assets/x.png', filter: 'cubic' } }), /filter must be "linear" or "nearest"/);
+    assert.match(inputError({ image: { source: 'assets/x.png', wrap: 'mirror' } }), /wrap must be "clamp" or "repeat"/);
+    assert.match(inputError({ contentTexture: 'feedback' }), /invalid input name "contentTexture"/);
+    assert.match(inputError({ strength: 'feedback' }, { strength: 0.5 }), /invalid input name "strength"/);
+    assert.match(inputError({ 'a-b': 'feedback' }), /invalid input name/);
+    assert.match(inputError({ a: 'feedback', b: 'feedback', c: 'feedback', d: 'feedback', e: 'feedback' }), /at most 4 inputs/);
+    assert.match(inputError(['feedback']), /inputs must be an object/);
+});
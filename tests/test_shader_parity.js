@@ -0,0 +1,268 @@
+// Tests for tools/shader_interpreter.js and tools/shader_parity.js
+// Run with: node --test tests/test_shader_parity.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    GLSLProgram, WGSLProgram, ShaderTexture, ShaderSampler, ShaderInterpreterError
+} = require('../tools/shader_interpreter.js');
+const ShaderParityChecker = require('../tools/shader_parity.js');
+const { terminalSnapshot, packUniformBuffer } = ShaderParityChecker;
+const GLSLtoWGSLConverter = require('../tools/glsl_to_wgsl.js');
+const { TStorieShaderPackage } = require('../web/tstorie-shader-package.js');
+
+const SHADER_DIR = path.join(__dirname, '..', 'docs', 'shaders');
+
+const GLSL_VERTEX = `
+    attribute vec2 position;
+    varying vec2 vUv;
+    void main() {
+        vUv = position * 0.5 + 0.5;
+        vUv.y = 1.0 - vUv.y;
+        gl_Position = vec4(position, 0.0, 1.0);
+    }
+`;
+
+const WGSL_VERTEX = `
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(@location(0) position: vec2f) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+`;
+
+const WGSL_HEADER = `
+@group(0) @binding(0) var contentTexture: texture_2d<f32>;
+@group(0) @binding(1) var contentTextureSampler: sampler;
+
+struct Uniforms {
+    time: f32,
+    _pad0: f32,
+    _pad1: f32,
+    _pad2: f32,
+    resolution: vec2f,
+    _pad3: f32,
+    _pad4: f32,
+}
+@group(0) @binding(2) var<uniform> uniforms: Uniforms;
+`;
+
+function glslFragment(body, declarations = '') {
+    return `
+        precision mediump float;
+        uniform sampler2D contentTexture;
+        uniform float time;
+        uniform vec2 resolution;
+        varying vec2 vUv;
+        ${declarations}
+        void main() {
+            ${body}
+        }
+    `;
+}
+
+function wgslFragment(body, declarations = '') {
+    return `${WGSL_HEADER}
+${declarations}
+@fragment
+fn fragmentMain(@location(0) vUv: vec2f) -> @location(0) vec4f {
+    ${body}
+}
+`;
+}
+
+// First pixel of a 1x1 render
+function glslPixel(body, declarations) {
+    return Array.from(new GLSLProgram(GLSL_VERTEX, glslFragment(body, declarations)).render({ width: 1, height: 1 }));
+}
+
+function wgslPixel(body, declarations) {
+    const program = new WGSLProgram(WGSL_VERTEX + wgslFragment(body, declarations));
+    return Array.from(program.render({ width: 1, height: 1, bindings: { 2: new ArrayBuffer(256) } }));
+}
+
+// A GLSL/WGSL shader pair in the parsed-config shape
+function shaderPair(glslBody, wgslBody, { uniforms = {}, schema = {}, wgslHeader = null } = {}) {
+    const glslUniforms = Object.keys(uniforms).map(name => `uniform float ${name};`).join('\n');
+    let wgsl = wgslFragment(wgslBody);
+    if (wgslHeader) wgsl = `${wgslHeader}\n@fragment\nfn fragmentMain(@location(0) vUv: vec2f) -> @location(0) vec4f {\n${wgslBody}\n}\n`;
+    return {
+        glsl: { vertexShader: GLSL_VERTEX, fragmentShader: glslFragment(glslBody, glslUniforms), uniforms, schema, inputs: {} },
+        wgsl: { vertexShader: WGSL_VERTEX, fragmentShader: wgsl, uniforms, schema, inputs: {} }
+    };
+}
+
+// ------------------------------------------------------------
+// Interpreter
+// ------------------------------------------------------------
+
+test('mod() floors in GLSL, % truncates in WGSL', () => {
+    assert.deepStrictEqual(glslPixel('gl_FragColor = vec4(mod(-1.0, 3.0), mod(7.5, 2.0), 0.0, 1.0);'), [2, 1.5, 0, 1]);
+    assert.deepStrictEqual(wgslPixel('return vec4f(-1.0 % 3.0, 7.5 % 2.0, 0.0, 1.0);'), [-1, 1.5, 0, 1]);
+});
+
+test('integer division truncates in both languages', () => {
+    assert.deepStrictEqual(glslPixel('int a = -7; gl_FragColor = vec4(float(a / 2), float(7 / 2), 0.0, 1.0);'), [-3, 3, 0, 1]);
+    assert.deepStrictEqual(wgslPixel('let a = -7; return vec4f(f32(a / 2), f32(7 / 2), 0.0, 1.0);'), [-3, 3, 0, 1]);
+});
+
+test('out parameters and pointers write back to the caller', () => {
+    const glsl = glslPixel('float x = 1.0; float y; bump(x, y); gl_FragColor = vec4(x, y, 0.0, 1.0);',
+        'void bump(inout float a, out float b) { a += 1.0; b = a * 2.0; }');
+    const wgsl = wgslPixel('var x = 1.0; var y: f32; bump(&x, &y); return vec4f(x, y, 0.0, 1.0);',
+        'fn bump(a: ptr<function, f32>, b: ptr<function, f32>) { *a += 1.0; *b = *a * 2.0; }');
+    assert.deepStrictEqual(glsl, [2, 4, 0, 1]);
+    assert.deepStrictEqual(wgsl, [2, 4, 0, 1]);
+});
+
+test('loops, break and continue', () => {
+    const glsl = glslPixel(`
+        float sum = 0.0;
+        for (int i = 0; i < 10; i++) {
+            if (i == 2) continue;
+            if (i == 5) break;
+            sum += float(i);
+        }
+        gl_FragColor = vec4(sum, 0.0, 0.0, 1.0);
+    `);
+    const wgsl = wgslPixel(`
+        var sum = 0.0;
+        var i = 0;
+        loop {
+            if i == 2 { continue; }
+            sum += f32(i);
+            continuing {
+                i++;
+                break if i == 5;
+            }
+        }
+        return vec4f(sum, 0.0, 0.0, 1.0);
+    `);
+    assert.deepStrictEqual(glsl, [8, 0, 0, 1]);
+    assert.deepStrictEqual(wgsl, [8, 0, 0, 1]);
+});
+
+test('vUv and the texture share the terminal orientation', () => {
+    const texture = new ShaderTexture(2, 2, new Float32Array([
+        1, 0, 0, 1, 0, 1, 0, 1,
+        0, 0, 1, 1, 1, 1, 1, 1
+    ]));
+    const sampler = new ShaderSampler({ filter: 'nearest' });
+    const glsl = new GLSLProgram(GLSL_VERTEX, glslFragment('gl_FragColor = texture2D(contentTexture, vUv);'))
+        .render({ width: 2, height: 2, samplers: { contentTexture: { texture, sampler } } });
+    const wgsl = new WGSLProgram(WGSL_VERTEX + wgslFragment('return textureSample(contentTexture, contentTextureSampler, vUv);'))
+        .render({ width: 2, height: 2, bindings: { 0: texture, 1: sampler, 2: new ArrayBuffer(256) } });
+    assert.deepStrictEqual(Array.from(glsl), Array.from(texture.data));
+    assert.deepStrictEqual(Array.from(wgsl), Array.from(texture.data));
+});
+
+test('gl_FragCoord counts from the bottom, @builtin(position) from the top', () => {
+    const glsl = new GLSLProgram(GLSL_VERTEX, glslFragment('gl_FragColor = vec4(gl_FragCoord.xy, 0.0, 1.0);'))
+        .render({ width: 1, height: 2 });
+    const wgsl = new WGSLProgram(WGSL_VERTEX + wgslFragment('return vec4f(0.0, 0.0, 0.0, 1.0);')
+        .replace('@location(0) vUv: vec2f', '@builtin(position) p: vec4f')
+        .replace('vec4f(0.0, 0.0', 'vec4f(p.x, p.y'))
+        .render({ width: 1, height: 2, bindings: { 2: new ArrayBuffer(256) } });
+    assert.deepStrictEqual(Array.from(glsl.slice(0, 2)), [0.5, 1.5]);
+    assert.deepStrictEqual(Array.from(wgsl.slice(0, 2)), [0.5, 0.5]);
+});
+
+test('errors name the line', () => {
+    assert.throws(() => wgslPixel('return vec4f(missing, 0.0, 0.0, 1.0);'),
+        (error) => error instanceof ShaderInterpreterError && /line \d+: unknown identifier "missing"/.test(error.message));
+});
+
+// ------------------------------------------------------------
+// Parity checker
+// ------------------------------------------------------------
+
+test('matching versions report no drift', () => {
+    const { glsl, wgsl } = shaderPair(
+        'vec4 c = texture2D(contentTexture, vUv); gl_FragColor = vec4(c.rgb * strength, 1.0);',
+        'let c = textureSample(contentTexture, contentTextureSampler, vUv); return vec4f(c.rgb * uniforms.strength, 1.0);',
+        {
+            uniforms: { strength: 0.8 },
+            wgslHeader: WGSL_HEADER.replace('_pad4: f32,', '_pad4: f32,\n    strength: f32,')
+        });
+    const result = new ShaderParityChecker({ width: 32, height: 32 }).compareConfigs(glsl, wgsl);
+    assert.strictEqual(result.status, 'ok');
+    assert.strictEqual(result.max, 0);
+});
+
+test('a changed WGSL copy drifts, with the size of the difference', () => {
+    const { glsl, wgsl } = shaderPair(
+        'gl_FragColor = texture2D(contentTexture, vUv);',
+        'let c = textureSample(contentTexture, contentTextureSampler, vUv); return vec4f(c.rgb * 0.9, 1.0);');
+    const result = new ShaderParityChecker({ width: 32, height: 32 }).compareConfigs(glsl, wgsl);
+    assert.strictEqual(result.status, 'drift');
+    assert.ok(result.max > 2 && result.max <= 26, `max ${result.max}`);
+    assert.ok(result.overPercent > 0);
+});
+
+test('a uniform struct that does not match the buffer drifts', () => {
+    // Missing the padding after time: resolution is read from the wrong offset
+    const unpadded = WGSL_HEADER.replace(/_pad0: f32,\s*_pad1: f32,\s*_pad2: f32,/, '');
+    const { glsl, wgsl } = shaderPair(
+        'gl_FragColor = vec4(resolution / 64.0, 0.0, 1.0);',
+        'return vec4f(uniforms.resolution / 64.0, 0.0, 1.0);',
+        { wgslHeader: unpadded });
+    const result = new ShaderParityChecker({ width: 32, height: 16 }).compareConfigs(glsl, wgsl);
+    assert.strictEqual(result.status, 'drift');
+    assert.strictEqual(result.overPercent, 100);
+});
+
+test('invalid WGSL is reported as an error', () => {
+    const { glsl, wgsl } = shaderPair('gl_FragColor = vec4(1.0);', 'f32 x = 1.0; return vec4f(x);');
+    const result = new ShaderParityChecker({ width: 8, height: 8 }).compareConfigs(glsl, wgsl);
+    assert.strictEqual(result.status, 'error');
+    assert.match(result.error, /^WGSL: line \d+:/);
+});
+
+test('the uniform buffer is packed like webgpu_shader_system.js', () => {
+    const values = { a: 1.5, count: 3, offset: [1, 2], tint: [0.1, 0.2, 0.3] };
+    const schema = { a: { type: 'f32' }, count: { type: 'int' }, offset: { type: 'vec2' }, tint: { type: 'color' } };
+    const buffer = packUniformBuffer({ schema }, values, { time: 2, width: 80, height: 40 });
+    const floats = new Float32Array(buffer);
+    assert.deepStrictEqual(Array.from(floats.slice(0, 9)), [2, 0, 0, 0, 80, 40, 0, 0, 1.5]);
+    assert.strictEqual(new Int32Array(buffer)[9], 3);
+    assert.deepStrictEqual(Array.from(floats.slice(10, 14)), [1, 2, 0, 0]);
+    assert.deepStrictEqual(Array.from(floats.slice(16, 20)), [0.1, 0.2, 0.3, 0].map(Math.fround));
+});
+
+test('the terminal snapshot is deterministic', () => {
+    const a = terminalSnapshot(64, 48);
+    const b = terminalSnapshot(64, 48);
+    assert.deepStrictEqual(a.data, b.data);
+    assert.notDeepStrictEqual(a.data, terminalSnapshot(64, 48, { seed: 1 }).data);
+});
+
+// ------------------------------------------------------------
+// Converter output renders like the GLSL
+// ------------------------------------------------------------
+
+test('every docs/shaders shader renders the same after tools/glsl_to_wgsl.js', async (t) => {
+    const checker = new ShaderParityChecker({ width: 48, height: 32 });
+    const converter = new GLSLtoWGSLConverter();
+    const files = fs.readdirSync(SHADER_DIR).filter(f => f.endsWith('.js')).sort();
+
+    for (const file of files) {
+        const name = file.replace(/\.js$/, '');
+        await t.test(name, () => {
+            const config = TStorieShaderPackage.parse(fs.readFileSync(path.join(SHADER_DIR, file), 'utf8'), { name, trusted: true });
+            const result = checker.compareConfigs(config, Object.assign({}, config, converter.convert(config)));
+            assert.strictEqual(result.error, null);
+            assert.strictEqual(result.status, 'ok', `max ${result.max}, ${result.overPercent.toFixed(2)}% of pixels`);
+        });
+    }
+});
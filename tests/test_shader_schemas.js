@@ -0,0 +1,68 @@
+// Tests for the uniform schemas of the shipped shaders
+// Run with: node --test tests/test_shader_schemas.js
+//
+// The tweak panel and setShaderUniform() build their controls and checks
+// from each uniform's schema, so every shader in docs/shaders (and its WGSL
+// port) writes out the type, range, step and label of its uniforms; f32
+// and vector uniforms have no range or step unless the file declares one.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { TStorieShaderPackage } = require('../web/tstorie-shader-package.js');
+
+const SHADER_DIR = path.join(__dirname, '..', 'docs', 'shaders');
+const WGSL_DIR = path.join(SHADER_DIR, 'wgsl');
+
+function shaderFiles() {
+    return [SHADER_DIR, WGSL_DIR].flatMap(dir =>
+        fs.readdirSync(dir).filter(f => f.endsWith('.js')).map(f => path.join(dir, f)));
+}
+
+function legacyUniforms(code) {
+    return TStorieShaderPackage.parse(code, { name: 'test', trusted: true });
+}
+
+test('every shipped uniform declares its range and step', () => {
+    for (const file of shaderFiles()) {
+        const name = path.relative(SHADER_DIR, file);
+        const config = legacyUniforms(fs.readFileSync(file, 'utf8'));
+
+        for (const [key, uniform] of Object.entries(config.schema)) {
+            const where = `${name}: ${key}`;
+            assert.ok(uniform.label, `${where} has no label`);
+            if (uniform.options) continue;
+            for (const field of ['min', 'max', 'step']) {
+                assert.strictEqual(typeof uniform[field], 'number', `${where} has no ${field}`);
+            }
+            assert.ok(uniform.min <= uniform.max, `${where} has min above max`);
+        }
+    }
+});
+
+test('schema entries in a legacy file keep their own fields', () => {
+    const config = legacyUniforms(`function getShaderConfig() {
+        return {
+            vertexShader: \`void main() {}\`,
+            fragmentShader: \`void main() {}\`,
+            uniforms: {
+                amount: { type: 'f32', default: 0.4, min: 0.0, max: 2.0, step: 0.1, label: 'Amount' },  // Strength (0-1)
+                mode: { type: 'int', default: 1, options: [0, 1], label: 'Mode', description: 'Blend' },  // ignored
+                tint: [1.0, 0.5, 0.0]  // Tint (0-1)
+            }
+        };
+    }`);
+
+    assert.deepStrictEqual(config.uniforms, { amount: 0.4, mode: 1, tint: [1, 0.5, 0] });
+    // The declared range wins over the one in the comment
+    assert.strictEqual(config.schema.amount.max, 2);
+    assert.strictEqual(config.schema.amount.step, 0.1);
+    assert.strictEqual(config.schema.amount.description, 'Strength');
+    assert.strictEqual(config.schema.mode.type, 'int');
+    assert.strictEqual(config.schema.mode.description, 'Blend');
+    // Bare defaults still read the range from the comment
+    assert.strictEqual(config.schema.tint.type, 'vec3');
+    assert.strictEqual(config.schema.tint.max, 1);
+});
@@ -0,0 +1,190 @@
+// Tests for web/tstorie-shader-transition.js
+// Run with: node --test tests/test_shader_transition.js
+//
+// Drives the transition state machine with a fake window, shader system and
+// clock: front matter settings, "none", reduced motion, and the frames
+// shaderTransitionFrame() hands the backend while a transition runs.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    SHADER_TRANSITION_EASINGS,
+    parseShaderTransitionDuration,
+    setShaderTransition,
+    getShaderTransition,
+    playShaderTransition,
+    shaderTransitionFrame,
+    shaderTransitionSource
+} = require('../web/tstorie-shader-transition.js');
+
+// performance.now() as the tests set it
+let now = 0;
+Object.defineProperty(globalThis, 'performance', { value: { now: () => now }, configurable: true });
+
+// A backend that records what it was asked to do. snapshots[i] is the
+// transition frame that was on screen when snapshot i was taken.
+function fakeSystem() {
+    const system = {
+        snapshots: [],
+        renders: 0,
+        captureTransitionSnapshot() {
+            system.snapshots.push(shaderTransitionFrame());
+        },
+        onTerminalRenderComplete() {
+            system.renders++;
+        }
+    };
+    return system;
+}
+
+// Install a window with a shader system and a reduced-motion preference,
+// and end whatever transition a previous test left running
+function setup(t, { reducedMotion = false } = {}) {
+    const system = fakeSystem();
+    global.window = {
+        shaderSystem: system,
+        matchMedia: (query) => ({ matches: reducedMotion && query === '(prefers-reduced-motion: reduce)' })
+    };
+    now += 1e6;
+    shaderTransitionFrame();
+    t.after(() => {
+        delete global.window;
+    });
+    return system;
+}
+
+// ------------------------------------------------------------
+// Settings
+// ------------------------------------------------------------
+
+test('settings fall back to none, 500 ms and easeInOutCubic', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.deepStrictEqual(setShaderTransition('', '', ''), { name: 'none', duration: 500, easing: 'easeInOutCubic' });
+    assert.deepStrictEqual(setShaderTransition('wipe', 250, 'easeOutQuad'), { name: 'wipe', duration: 250, easing: 'easeOutQuad' });
+    assert.deepStrictEqual(getShaderTransition(), { name: 'wipe', duration: 250, easing: 'easeOutQuad' });
+
+    // Unknown names and easings warn and keep the default
+    assert.deepStrictEqual(setShaderTransition('spin', 600, 'bounce'), { name: 'none', duration: 600, easing: 'easeInOutCubic' });
+    assert.match(warn.mock.calls[0].arguments[0], /Unknown transition "spin" \(crossfade, wipe, dissolve, crt, glitch\)/);
+    assert.match(warn.mock.calls[1].arguments[0], /Unknown transition easing "bounce"/);
+});
+
+test('durations are ms, with or without the unit', (t) => {
+    assert.strictEqual(parseShaderTransitionDuration(600), 600);
+    assert.strictEqual(parseShaderTransitionDuration('600'), 600);
+    assert.strictEqual(parseShaderTransitionDuration('600ms'), 600);
+    assert.strictEqual(parseShaderTransitionDuration(' 750 ms '), 750);
+    assert.strictEqual(parseShaderTransitionDuration('12.5'), 12.5);
+    for (const bad of ['', 'ms', 'fast', '1s', '-5', '0', '6e2', '0x10', 0, -1, NaN, Infinity]) {
+        assert.strictEqual(parseShaderTransitionDuration(bad), null, String(bad));
+    }
+
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.strictEqual(setShaderTransition('crt', '900ms', '').duration, 900);
+    assert.strictEqual(setShaderTransition('crt', '2s', '').duration, 500);
+    assert.match(warn.mock.calls[0].arguments[0], /Invalid transition duration "2s"/);
+    assert.strictEqual(warn.mock.calls.length, 1);
+});
+
+test('easings match lib/animation.nim at the ends and the midpoint', () => {
+    for (const [name, ease] of Object.entries(SHADER_TRANSITION_EASINGS)) {
+        assert.ok(Math.abs(ease(0)) < 1e-9, `${name}(0)`);
+        assert.ok(Math.abs(ease(1) - 1) < 1e-9, `${name}(1)`);
+    }
+    assert.strictEqual(SHADER_TRANSITION_EASINGS.easeInQuad(0.5), 0.25);
+    assert.strictEqual(SHADER_TRANSITION_EASINGS.easeOutCubic(0.5), 0.875);
+    assert.strictEqual(SHADER_TRANSITION_EASINGS.easeInOutCubic(0.25), 0.0625);
+    assert.strictEqual(SHADER_TRANSITION_EASINGS.easeInOutCubic(0.75), 0.9375);
+});
+
+// ------------------------------------------------------------
+// Playing
+// ------------------------------------------------------------
+
+test('a transition runs for its duration with eased progress', (t) => {
+    const system = setup(t);
+    setShaderTransition('wipe', 400, 'easeInQuad');
+
+    assert.strictEqual(playShaderTransition(), true);
+    assert.strictEqual(system.snapshots.length, 1);
+    assert.strictEqual(system.renders, 1);
+    assert.deepStrictEqual(shaderTransitionFrame(), { name: 'wipe', progress: 0 });
+
+    now += 200;
+    assert.deepStrictEqual(shaderTransitionFrame(), { name: 'wipe', progress: 0.25 });
+
+    // A section's own transition uses the document's duration and easing
+    now += 200;
+    assert.strictEqual(shaderTransitionFrame(), null);
+    assert.strictEqual(playShaderTransition('crt'), true);
+    now += 100;
+    assert.deepStrictEqual(shaderTransitionFrame(), { name: 'crt', progress: 0.0625 });
+});
+
+test('"none", unknown names and a missing chain play nothing', (t) => {
+    const system = setup(t);
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    setShaderTransition('none');
+    assert.strictEqual(playShaderTransition(), false);
+    setShaderTransition('crossfade');
+    assert.strictEqual(playShaderTransition('none'), false);
+    assert.strictEqual(playShaderTransition('spin'), false);
+    assert.match(warn.mock.calls[0].arguments[0], /Unknown transition "spin"/);
+
+    system.lost = true;
+    assert.strictEqual(playShaderTransition(), false);
+    window.shaderSystem = null;
+    assert.strictEqual(playShaderTransition(), false);
+
+    assert.strictEqual(system.snapshots.length, 0);
+    assert.strictEqual(shaderTransitionFrame(), null);
+});
+
+test('transitions are refused when the user prefers reduced motion', (t) => {
+    const system = setup(t, { reducedMotion: true });
+    setShaderTransition('glitch', 300);
+
+    assert.strictEqual(playShaderTransition(), false);
+    assert.strictEqual(playShaderTransition('crossfade'), false);
+    assert.strictEqual(system.snapshots.length, 0);
+    assert.strictEqual(shaderTransitionFrame(), null);
+});
+
+test('an interrupted transition continues from its current frame', (t) => {
+    const system = setup(t);
+    setShaderTransition('crossfade', 1000, 'linear');
+
+    playShaderTransition();
+    now += 600;
+    playShaderTransition('dissolve');
+
+    // The snapshot is taken before the new transition replaces the old
+    // one, so it holds the crossfade at 60% and the dissolve starts there
+    assert.deepStrictEqual(system.snapshots, [null, { name: 'crossfade', progress: 0.6 }]);
+    assert.deepStrictEqual(shaderTransitionFrame(), { name: 'dissolve', progress: 0 });
+
+    // ...and runs its full duration from the interruption
+    now += 999;
+    assert.strictEqual(shaderTransitionFrame().name, 'dissolve');
+    now += 1;
+    assert.strictEqual(shaderTransitionFrame(), null);
+});
+
+// ------------------------------------------------------------
+// Sources
+// ------------------------------------------------------------
+
+test('every transition has a GLSL and a WGSL source', () => {
+    for (const name of ['crossfade', 'wipe', 'dissolve', 'crt', 'glitch']) {
+        const glsl = shaderTransitionSource(name, 'glsl');
+        assert.match(glsl.vertexShader, /void main\(\)/, name);
+        assert.match(glsl.fragmentShader, /vec4 transition\(vec2 uv\)[\s\S]*gl_FragColor = transition\(vUv\)/, name);
+
+        const wgsl = shaderTransitionSource(name, 'wgsl');
+        assert.match(wgsl, /fn transition\(uv: vec2f, progress: f32, time: f32, resolution: vec2f\)/, name);
+        assert.match(wgsl, /fn fragmentMain/, name);
+    }
+});
@@ -0,0 +1,214 @@
+// Tests for theme format v2 in TStorieThemes (docs/theme-builder.js)
+// Run with: node --test tests/test_theme_builder.js
+//
+// v2 themes add named roles and the 16-color ANSI palette to the 7-color
+// URL format; these check the old strings still parse, the new strings
+// round-trip, terminal theme files import and export, and audit() /
+// fixContrast() agree with WCAG.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// theme-builder.js is a browser script that assigns window.TStorieThemes
+global.window = global.window || {};
+const TStorieThemes = require('../docs/theme-builder.js');
+
+const NEOTOPIA_V1 = '#001111#09343a#e0e0e0#909090#00d98e#ffff00#ff006e';
+
+// Campbell, the Windows Terminal default scheme
+const CAMPBELL = {
+    name: 'Campbell',
+    background: '#0C0C0C',
+    foreground: '#CCCCCC',
+    cursorColor: '#FFFFFF',
+    selectionBackground: '#FFFFFF',
+    black: '#0C0C0C', red: '#C50F1F', green: '#13A10E', yellow: '#C19C00',
+    blue: '#0037DA', purple: '#881798', cyan: '#3A96DD', white: '#CCCCCC',
+    brightBlack: '#767676', brightRed: '#E74856', brightGreen: '#16C60C', brightYellow: '#F9F1A5',
+    brightBlue: '#3B78FF', brightPurple: '#B4009E', brightCyan: '#61D6D6', brightWhite: '#F2F2F2'
+};
+
+test('7-color strings upgrade to v2 with the default ANSI palette', () => {
+    const theme = TStorieThemes.parseTheme(NEOTOPIA_V1);
+    assert.strictEqual(theme.version, 2);
+    assert.strictEqual(theme.roles.background, '001111');
+    assert.strictEqual(theme.roles.accent3, 'FF006E');
+    assert.strictEqual(theme.roles.cursor, 'E0E0E0');
+    assert.strictEqual(theme.roles.selection, '09343A');
+    assert.deepStrictEqual(theme.ansi, TStorieThemes.defaultAnsi);
+    assert.deepStrictEqual(TStorieThemes.toLegacyTheme(theme), TStorieThemes.parseCustomTheme(NEOTOPIA_V1));
+    // The runtime's + separator works too
+    assert.deepStrictEqual(TStorieThemes.parseTheme(NEOTOPIA_V1.slice(1).replace(/#/g, '+')), theme);
+});
+
+test('v2 strings round-trip and start with the 7-color string', () => {
+    const theme = TStorieThemes.importTheme(JSON.stringify(CAMPBELL));
+    const themeString = TStorieThemes.buildThemeString(theme);
+    assert.strictEqual(themeString.split('#').length - 1, 27);
+    assert.deepStrictEqual(TStorieThemes.parseTheme(themeString).ansi, theme.ansi);
+    assert.deepStrictEqual(TStorieThemes.parseTheme(themeString).roles, theme.roles);
+    assert.deepStrictEqual(
+        TStorieThemes.parseCustomTheme(themeString.split('#').slice(0, 8).join('#')),
+        TStorieThemes.toLegacyTheme(theme));
+
+    const dimmed = TStorieThemes.createTheme({ ...theme, dim: theme.ansi.slice(8) });
+    const dimString = TStorieThemes.buildThemeString(dimmed);
+    assert.strictEqual(dimString.split('#').length - 1, 35);
+    assert.deepStrictEqual(TStorieThemes.parseTheme(dimString).dim, dimmed.dim);
+});
+
+test('bad theme strings are rejected', () => {
+    assert.strictEqual(TStorieThemes.parseTheme(''), null);
+    assert.strictEqual(TStorieThemes.parseTheme('#001111#09343a'), null);
+    assert.strictEqual(TStorieThemes.parseTheme(NEOTOPIA_V1.replace('ff006e', 'zz006e')), null);
+    assert.strictEqual(TStorieThemes.createTheme({ roles: { background: '000000' } }), null);
+    assert.strictEqual(TStorieThemes.createTheme({ roles: { background: '000000', foreground: 'FFFFFF' }, ansi: ['000000'] }), null);
+});
+
+test('dim colors default to halfway to the background', () => {
+    const theme = TStorieThemes.parseTheme(NEOTOPIA_V1);
+    assert.strictEqual(TStorieThemes.ansiColor(theme, 1), 'CD3131');
+    assert.strictEqual(TStorieThemes.ansiColor(theme, 1, 'bright'), 'F14C4C');
+    // (205, 49, 49) halfway to (0, 17, 17)
+    assert.strictEqual(TStorieThemes.ansiColor(theme, 1, 'dim'), '672121');
+
+    const custom = TStorieThemes.createTheme({ ...theme, dim: Array(8).fill('123456') });
+    assert.strictEqual(TStorieThemes.ansiColor(custom, 1, 'dim'), '123456');
+});
+
+test('Windows Terminal schemes import and export', () => {
+    const theme = TStorieThemes.importTheme(JSON.stringify(CAMPBELL));
+    assert.strictEqual(theme.name, 'Campbell');
+    assert.strictEqual(theme.ansi[5], '881798');
+    assert.strictEqual(theme.roles.cursor, 'FFFFFF');
+    assert.deepStrictEqual(TStorieThemes.exportWindowsTerminal(theme), CAMPBELL);
+
+    // settings.json with several schemes
+    const settings = JSON.stringify({ schemes: [{ ...CAMPBELL, name: 'Other', red: '#FF0000' }, CAMPBELL] });
+    assert.strictEqual(TStorieThemes.importTheme(settings, null, { name: 'Campbell' }).ansi[1], 'C50F1F');
+    assert.strictEqual(TStorieThemes.importTheme(settings).ansi[1], 'FF0000');
+});
+
+test('iTerm2 .itermcolors import and export', () => {
+    const theme = TStorieThemes.importTheme(JSON.stringify(CAMPBELL));
+    const xml = TStorieThemes.exportTheme(theme, 'itermcolors');
+    assert.match(xml, /<key>Ansi 15 Color<\/key>/);
+    assert.strictEqual(TStorieThemes.detectThemeFormat(xml), 'itermcolors');
+
+    const imported = TStorieThemes.importTheme(xml);
+    assert.deepStrictEqual(imported.ansi, theme.ansi);
+    assert.strictEqual(imported.roles.background, '0C0C0C');
+    assert.strictEqual(imported.roles.cursorText, '0C0C0C');
+
+    // Files without all 16 ANSI colors aren't themes
+    assert.strictEqual(TStorieThemes.importTheme(xml.replace(/<key>Ansi 3 Color/, '<key>Bold Color')), null);
+});
+
+test('Base16 schemes import in both YAML layouts and export', () => {
+    const flat = [
+        'scheme: "Tomorrow Night"',
+        'author: "Chris Kempson"',
+        ...['1d1f21', '282a2e', '373b41', '969896', 'b4b7b4', 'c5c8c6', 'e0e0e0', 'ffffff',
+            'cc6666', 'de935f', 'f0c674', 'b5bd68', '8abeb7', '81a2be', 'b294bb', 'a3685a']
+            .map((hex, i) => `base0${i.toString(16).toUpperCase()}: "${hex}"`)
+    ].join('\n');
+    const theme = TStorieThemes.importTheme(flat);
+    assert.strictEqual(theme.name, 'Tomorrow Night');
+    assert.strictEqual(theme.roles.background, '1D1F21');
+    assert.strictEqual(theme.roles.selection, '373B41');
+    assert.strictEqual(theme.ansi[1], 'CC6666');
+    assert.strictEqual(theme.ansi[9], 'CC6666');
+    assert.strictEqual(theme.ansi[15], 'FFFFFF');
+
+    const palette = 'system: "base16"\nname: "Tomorrow Night"\npalette:\n' +
+        flat.split('\n').slice(2).map(line => '  ' + line.replace(/"/g, '"#').replace(/"#$/, '"')).join('\n');
+    assert.deepStrictEqual(TStorieThemes.importTheme(palette), theme);
+
+    const exported = TStorieThemes.exportTheme(theme, 'base16');
+    assert.match(exported, /^base00: "1d1f21"$/m);
+    assert.deepStrictEqual(TStorieThemes.importTheme(exported).ansi.slice(0, 8), theme.ansi.slice(0, 8));
+});
+
+test('TStorie theme JSON round-trips', () => {
+    const theme = TStorieThemes.importTheme(JSON.stringify(CAMPBELL));
+    const json = TStorieThemes.exportTheme(theme);
+    assert.strictEqual(JSON.parse(json).format, 'tstorie-theme');
+    assert.strictEqual(TStorieThemes.detectThemeFormat(json), 'tstorie');
+    assert.deepStrictEqual(TStorieThemes.importTheme(json), theme);
+    assert.strictEqual(TStorieThemes.importTheme('not a theme'), null);
+});
+
+test('contrast ratios follow WCAG', () => {
+    assert.strictEqual(TStorieThemes.contrastRatio('000000', 'FFFFFF'), 21);
+    assert.strictEqual(TStorieThemes.contrastRatio('FFFFFF', 'FFFFFF'), 1);
+    // #777 on white is the classic just-under-AA gray
+    assert.strictEqual(TStorieThemes.contrastRatio('777777', 'FFFFFF').toFixed(2), '4.48');
+    assert.strictEqual(TStorieThemes.contrastRatio('767676', 'FFFFFF').toFixed(2), '4.54');
+});
+
+test('audit reports every role pair and the ones that fail', () => {
+    const report = TStorieThemes.audit(NEOTOPIA_V1);
+    assert.strictEqual(report.level, 'AA');
+    assert.strictEqual(report.pairs.length, TStorieThemes.contrastPairs.length);
+    assert.strictEqual(report.pass, false);
+    assert.deepStrictEqual(report.failures.map(p => `${p.foreground}/${p.background}`),
+        ['muted/surface', 'accent3/surface']);
+    assert.deepStrictEqual(report.failures[0], {
+        foreground: 'muted', background: 'surface', ratio: 4.21, minimum: 4.5, pass: false
+    });
+
+    // The cursor block is held to 3:1 at every level
+    const aaa = TStorieThemes.audit(TStorieThemes.parseTheme(NEOTOPIA_V1), { level: 'AAA' });
+    assert.strictEqual(aaa.pairs.find(p => p.foreground === 'cursor').minimum, 3);
+    assert.ok(aaa.failures.length > report.failures.length);
+
+    // 7-color objects work too
+    assert.deepStrictEqual(TStorieThemes.audit(TStorieThemes.parseCustomTheme(NEOTOPIA_V1)), report);
+    assert.throws(() => TStorieThemes.audit(NEOTOPIA_V1, { level: 'A' }), /Unknown contrast level/);
+});
+
+test('color vision simulation', () => {
+    // Grays look the same; pure red loses most of its red with protanopia
+    for (const type of ['protanopia', 'deuteranopia', 'tritanopia']) {
+        const gray = TStorieThemes.hexToRgb(TStorieThemes.simulateColorVision('808080', type));
+        assert.ok(Math.abs(gray.r - 128) <= 1 && Math.abs(gray.g - 128) <= 1 && Math.abs(gray.b - 128) <= 1, type);
+    }
+    const red = TStorieThemes.hexToRgb(TStorieThemes.simulateColorVision('FF0000', 'protanopia'));
+    assert.ok(red.r < 128 && red.g > red.b);
+
+    const simulated = TStorieThemes.simulateTheme(NEOTOPIA_V1, 'deuteranopia');
+    assert.strictEqual(simulated.ansi.length, 16);
+    assert.strictEqual(simulated.roles.accent3, TStorieThemes.simulateColorVision('FF006E', 'deuteranopia'));
+
+    const report = TStorieThemes.audit(NEOTOPIA_V1, { colorVision: true });
+    assert.deepStrictEqual(Object.keys(report.colorVision), ['protanopia', 'deuteranopia', 'tritanopia']);
+    assert.ok(report.colorVision.protanopia.some(p => p.foreground === 'accent3'));
+    assert.throws(() => TStorieThemes.simulateColorVision('FF0000', 'achromatopsia'), /Unknown color vision deficiency/);
+});
+
+test('fixContrast nudges lightness until every pair passes', () => {
+    const { theme, changes, audit } = TStorieThemes.fixContrast(NEOTOPIA_V1);
+    assert.strictEqual(audit.pass, true);
+    assert.deepStrictEqual(changes.map(c => c.role), ['muted', 'accent3']);
+    // Lighter on the dark surface, same hue
+    const before = TStorieThemes.rgbToHsl(TStorieThemes.hexToRgb('FF006E'));
+    const after = TStorieThemes.rgbToHsl(TStorieThemes.hexToRgb(theme.roles.accent3));
+    assert.ok(after.l > before.l);
+    assert.ok(Math.abs(after.h - before.h) < 0.01);
+    // The other colors are left alone
+    assert.strictEqual(theme.roles.foreground, 'E0E0E0');
+    assert.deepStrictEqual(theme.ansi, TStorieThemes.defaultAnsi);
+
+    // Light themes get darker text
+    const light = TStorieThemes.fixContrast('#ffffff#eeeeee#333333#bbbbbb#ffff00#00ffff#ff00ff');
+    assert.strictEqual(light.audit.pass, true);
+    assert.ok(TStorieThemes.relativeLuminance(light.theme.roles.muted) < TStorieThemes.relativeLuminance('BBBBBB'));
+
+    // All mid-gray: text alone can't get to AAA, so backgrounds move too
+    const gray = TStorieThemes.fixContrast('#808080#777777#888888#999999#7f7f7f#818181#858585', { level: 'AAA' });
+    assert.strictEqual(gray.audit.pass, true);
+    assert.ok(gray.changes.some(c => c.role === 'background'));
+
+    // Passing themes come back unchanged
+    assert.deepStrictEqual(TStorieThemes.fixContrast(theme).changes, []);
+});
@@ -0,0 +1,80 @@
+## Theme Palette Test
+##
+## Tests theme format v2 in the engine (docs/theme-builder.js writes it):
+## 1. 27- and 35-color strings parse and round-trip through toHexString
+## 2. 7-color strings and built-in themes keep the default ANSI palette
+## 3. ANSI colors and dim (SGR 2) colors come from the applied theme
+
+import std/[unittest, options, strutils]
+import ../lib/storie_themes
+import ../lib/ansi_parser
+import ../src/types
+
+# Campbell (Windows Terminal): 11 roles, then ANSI 0-15
+const Campbell = "0C0C0C+1F1F1F+CCCCCC+999999+3A96DD+881798+C19C00+FFFFFF+0C0C0C+FFFFFF+0C0C0C+" &
+  "0C0C0C+C50F1F+13A10E+C19C00+0037DA+881798+3A96DD+CCCCCC+" &
+  "767676+E74856+16C60C+F9F1A5+3B78FF+B4009E+61D6D6+F2F2F2"
+const CampbellDim = Campbell & "+060606+631010+0A510A+614E00+001C6D+440C4C+1D4B6F+666666"
+
+proc sgr(params: seq[int], start = defaultStyle()): Style =
+  result = start
+  applySgrParams(params, result)
+
+suite "Theme Palette":
+
+  test "v2 strings round-trip":
+    let theme = parseCustomTheme(Campbell)
+    check theme.isSome
+    check theme.get.hasPalette
+    check not theme.get.hasDim
+    check theme.get.cursor == (r: 0xFF'u8, g: 0xFF'u8, b: 0xFF'u8)
+    check theme.get.ansi[1] == (r: 0xC5'u8, g: 0x0F'u8, b: 0x1F'u8)
+    check theme.get.toHexString() == Campbell
+
+    let dimmed = parseCustomTheme(CampbellDim)
+    check dimmed.isSome
+    check dimmed.get.hasDim
+    check dimmed.get.toHexString() == CampbellDim
+    # The # separator the web builder writes
+    check parseCustomTheme("#" & CampbellDim.replace("+", "#")).get.toHexString() == CampbellDim
+
+  test "7-color strings keep the default palette":
+    let theme = parseCustomTheme("001111+09343a+e0e0e0+909090+00d98e+ffff00+ff006e")
+    check theme.isSome
+    check not theme.get.hasPalette
+    check theme.get.ansiColors() == DefaultAnsiColors
+    check theme.get.toHexString() == "001111+09343A+E0E0E0+909090+00D98E+FFFF00+FF006E"
+    check getTheme("nord").ansiColors() == DefaultAnsiColors
+    # Strings that are neither 7, 27 nor 35 colors
+    check parseCustomTheme(Campbell & "+000000").isNone
+
+  test "ANSI colors follow the applied theme":
+    discard applyTheme(getTheme(Campbell))
+    check ansi8ToRgb(1) == rgb(0xC5, 0x0F, 0x1F)
+    check ansi8ToRgb(9) == rgb(0xE7, 0x48, 0x56)
+    check sgr(@[31]).fg == rgb(0xC5, 0x0F, 0x1F)
+    check sgr(@[48, 5, 4]).bg == rgb(0x00, 0x37, 0xDA)
+
+    discard applyTheme(getTheme("neotopia"))
+    check sgr(@[31]).fg == rgb(205, 49, 49)
+
+  test "dim colors replace faint palette colors":
+    discard applyTheme(getTheme(CampbellDim))
+    # Faint before or after the color, in one sequence or two
+    check sgr(@[2, 31]).fg == rgb(0x63, 0x10, 0x10)
+    check sgr(@[31, 2]).fg == rgb(0x63, 0x10, 0x10)
+    let faintRed = sgr(@[2], sgr(@[31]))
+    check faintRed.fg == rgb(0x63, 0x10, 0x10)
+    check faintRed.dim
+    # Normal intensity brings the normal color back
+    check sgr(@[22], faintRed).fg == rgb(0xC5, 0x0F, 0x1F)
+    # Bright and RGB colors aren't palette slots 0-7
+    check sgr(@[2, 91]).fg == rgb(0xE7, 0x48, 0x56)
+    check sgr(@[2, 38, 2, 10, 20, 30]).fg == rgb(10, 20, 30)
+
+    # Without dim colors, faint stays a style flag
+    discard applyTheme(getTheme(Campbell))
+    check sgr(@[2, 31]).fg == rgb(0xC5, 0x0F, 0x1F)
+    check sgr(@[2, 31]).dim
+
+    discard applyTheme(getTheme("neotopia"))
@@ -1,357 +1,2180 @@
 #!/usr/bin/env node
 /**
  * GLSL to WGSL Shader Converter for TStorie
- * 
- * Converts TStorie shader files from WebGL/GLSL to WebGPU/WGSL
- * Handles the specific shader format used in docs/shaders/*.js
+ *
+ * Converts TStorie shader files (docs/shaders/*.js, GLSL ES 1.0) into the
+ * WGSL the WebGPU chain runs (docs/shaders/wgsl/*.wgsl.js).
+ *
+ * The GLSL is tokenized, preprocessed (#define, #if/#ifdef) and parsed into
+ * a syntax tree, then written back out as WGSL with the type of every
+ * expression tracked, so int/float typing, swizzles, out/inout parameters,
+ * overloads and GLSL-only built-ins (mod, atan(y, x), ...) come out right
+ * instead of being pattern-replaced. The uniform struct is laid out from the
+ * shader's uniform manifest exactly as webgpu_shader_system.js writes the
+ * buffer, padding included.
+ *
+ * Golden tests: tests/test_glsl_to_wgsl.js
  */
 
 const fs = require('fs');
 const path = require('path');
+const { TStorieShaderPackage } = require('../web/tstorie-shader-package.js');
 
-class GLSLtoWGSLConverter {
-    constructor() {
-        this.uniformBindings = [];
-        this.bindingCounter = 0;
+class GLSLConversionError extends Error {
+    constructor(message, line) {
+        super(line ? `line ${line}: ${message}` : message);
+        this.name = 'GLSLConversionError';
+        this.line = line || null;
+    }
+}
+
+// ------------------------------------------------------------
+// Tokenizer
+// ------------------------------------------------------------
+
+const GLSL_PUNCTUATORS = [
+    '<<=', '>>=', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||', '^^',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=',
+    '+', '-', '*', '/', '%', '<', '>', '=', '!', '~', '&', '|', '^', '?', ':',
+    ';', ',', '.', '(', ')', '[', ']', '{', '}'
+];
+
+const GLSL_NUMBER = /^(?:0[xX][0-9a-fA-F]+[uU]?|(?:\d+\.\d*|\.\d+|\d+)(?:[eE][+-]?\d+)?[fFuU]?)/;
+
+/**
+ * Tokens: { type: 'ident'|'number'|'punct'|'comment'|'directive'|'eof',
+ * value, line }. Comments keep whether they share a line with the token
+ * before them (trailing comments stay trailing in the output).
+ */
+function tokenize(source, firstLine = 1) {
+    const tokens = [];
+    let line = firstLine;
+    let i = 0;
+    let lineStart = true;
+    let lastLine = 0;
+
+    while (i < source.length) {
+        const c = source[i];
+
+        if (c === '\n') {
+            line++;
+            lineStart = true;
+            i++;
+            continue;
+        }
+        if (c === ' ' || c === '\t' || c === '\r') {
+            i++;
+            continue;
+        }
+
+        if (source.startsWith('//', i)) {
+            const end = source.indexOf('\n', i);
+            const text = source.slice(i + 2, end < 0 ? source.length : end).trim();
+            tokens.push({ type: 'comment', value: text, line, sameLine: lastLine === line });
+            i = end < 0 ? source.length : end;
+            continue;
+        }
+        if (source.startsWith('/*', i)) {
+            const end = source.indexOf('*/', i + 2);
+            if (end < 0) throw new GLSLConversionError('unterminated comment', line);
+            const text = source.slice(i + 2, end);
+            const lines = text.split('\n').map(l => l.replace(/^\s*\*?\s?/, '').trim()).filter(Boolean);
+            tokens.push({ type: 'comment', value: lines.join('\n'), line, sameLine: lastLine === line });
+            line += text.split('\n').length - 1;
+            i = end + 2;
+            continue;
+        }
+
+        if (c === '#' && lineStart) {
+            // A directive runs to the end of the line (with \ continuations)
+            let text = '';
+            const directiveLine = line;
+            i++;
+            while (i < source.length && source[i] !== '\n') {
+                if (source[i] === '\\' && source[i + 1] === '\n') {
+                    i += 2;
+                    line++;
+                    continue;
+                }
+                text += source[i++];
+            }
+            tokens.push({ type: 'directive', value: text.trim(), line: directiveLine });
+            continue;
+        }
+        lineStart = false;
+        lastLine = line;
+
+        const rest = source.slice(i, i + 64);
+        const number = rest.match(GLSL_NUMBER);
+        if (number && !/[A-Za-z_]/.test(c)) {
+            tokens.push({ type: 'number', value: number[0], line });
+            i += number[0].length;
+            continue;
+        }
+        const ident = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (ident) {
+            let value = ident[0];
+            // Identifiers can be longer than the lookahead window
+            let j = i + value.length;
+            while (j < source.length && /[A-Za-z0-9_]/.test(source[j])) value += source[j++];
+            tokens.push({ type: 'ident', value, line });
+            i = j;
+            continue;
+        }
+        const punct = GLSL_PUNCTUATORS.find(p => source.startsWith(p, i));
+        if (punct) {
+            tokens.push({ type: 'punct', value: punct, line });
+            i += punct.length;
+            continue;
+        }
+        throw new GLSLConversionError(`unexpected character "${c}"`, line);
+    }
+
+    tokens.push({ type: 'eof', value: '', line });
+    return tokens;
+}
+
+// ------------------------------------------------------------
+// Preprocessor
+// ------------------------------------------------------------
+
+/**
+ * Apply #define/#undef/#if... to a token list. A macro defined once as a
+ * plain number becomes a WGSL `const` (listed in `constants`) instead of
+ * being pasted in; every other macro is expanded.
+ */
+function preprocess(tokens) {
+    const defines = new Map([['GL_ES', { params: null, body: [{ type: 'number', value: '1' }] }]]);
+    const constants = [];
+
+    // Number macros defined exactly once (and never #undef'd) can be consts
+    const defineCounts = new Map();
+    for (const token of tokens) {
+        if (token.type !== 'directive') continue;
+        const match = token.value.match(/^(define|undef)\s+([A-Za-z_]\w*)/);
+        if (match) defineCounts.set(match[2], (defineCounts.get(match[2]) || 0) + (match[1] === 'undef' ? 2 : 1));
+    }
+
+    const output = [];
+    let segment = [];
+    const conditions = [];   // { active, taken, outerActive }
+    const active = () => conditions.every(c => c.active);
+
+    const flush = () => {
+        output.push(...expandMacros(segment, defines, new Set()));
+        segment = [];
+    };
+
+    for (const token of tokens) {
+        if (token.type === 'eof') break;
+        if (token.type !== 'directive') {
+            if (active()) segment.push(token);
+            continue;
+        }
+
+        flush();
+        const match = token.value.match(/^(\w*)\s*([\s\S]*)$/);
+        const directive = match[1];
+        const rest = match[2];
+
+        if (directive === 'ifdef' || directive === 'ifndef') {
+            const name = rest.trim().split(/\s+/)[0];
+            const value = defines.has(name) === (directive === 'ifdef');
+            conditions.push({ active: value, taken: value });
+        } else if (directive === 'if') {
+            const value = active() && evaluateCondition(rest, defines, token.line);
+            conditions.push({ active: value, taken: value });
+        } else if (directive === 'elif' || directive === 'else') {
+            const condition = conditions[conditions.length - 1];
+            if (!condition) throw new GLSLConversionError(`#${directive} without #if`, token.line);
+            conditions.pop();
+            const outer = active();
+            conditions.push(condition);
+            const value = !condition.taken && outer &&
+                (directive === 'else' || evaluateCondition(rest, defines, token.line));
+            condition.active = value;
+            condition.taken = condition.taken || value;
+        } else if (directive === 'endif') {
+            if (!conditions.pop()) throw new GLSLConversionError('#endif without #if', token.line);
+        } else if (!active()) {
+            continue;
+        } else if (directive === 'define') {
+            const define = rest.match(/^([A-Za-z_]\w*)(\([^)]*\))?\s*([\s\S]*)$/);
+            if (!define) throw new GLSLConversionError('malformed #define', token.line);
+            const params = define[2] ? define[2].slice(1, -1).split(',').map(p => p.trim()).filter(Boolean) : null;
+            const body = tokenize(define[3], token.line).filter(t => t.type !== 'comment' && t.type !== 'eof');
+            const macro = { params, body };
+
+            const literal = body.length === 1 ? body[0] :
+                body.length === 2 && body[0].value === '-' ? body[1] : null;
+            if (!params && literal && literal.type === 'number' && defineCounts.get(define[1]) === 1) {
+                macro.constant = true;
+                constants.push({ name: define[1], value: body.map(t => t.value).join(''), line: token.line });
+            }
+            defines.set(define[1], macro);
+        } else if (directive === 'undef') {
+            defines.delete(rest.trim());
+        } else if (directive === 'error') {
+            throw new GLSLConversionError('#error ' + rest, token.line);
+        }
+        // #version, #extension, #pragma and #line have no WGSL meaning
+    }
+    flush();
+    if (conditions.length > 0) throw new GLSLConversionError('#if without #endif');
+
+    output.push(tokens[tokens.length - 1]);
+    return { tokens: output, constants, defines };
+}
+
+function expandMacros(tokens, defines, hidden, expandConstants = false) {
+    const result = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const macro = token.type === 'ident' && !hidden.has(token.value) ? defines.get(token.value) : null;
+        if (!macro || (macro.constant && !expandConstants)) {
+            result.push(token);
+            continue;
+        }
+
+        const inner = new Set(hidden).add(token.value);
+        const relocate = t => ({ ...t, line: token.line });
+        if (!macro.params) {
+            result.push(...expandMacros(macro.body.map(relocate), defines, inner, expandConstants));
+            continue;
+        }
+
+        // Function-like: only an invocation if a ( follows
+        let j = i + 1;
+        while (tokens[j] && tokens[j].type === 'comment') j++;
+        if (!tokens[j] || tokens[j].value !== '(') {
+            result.push(token);
+            continue;
+        }
+        const args = [[]];
+        let depth = 0;
+        for (j++; j < tokens.length; j++) {
+            const t = tokens[j];
+            if (t.type === 'comment') continue;
+            if (t.value === '(') depth++;
+            if (t.value === ')' && depth-- === 0) break;
+            if (t.value === ',' && depth === 0) args.push([]);
+            else args[args.length - 1].push(t);
+        }
+        if (j >= tokens.length) throw new GLSLConversionError(`unterminated ${token.value}(...)`, token.line);
+        if (macro.params.length === 0 && args.length === 1 && args[0].length === 0) args.length = 0;
+        if (args.length !== macro.params.length) {
+            throw new GLSLConversionError(`${token.value}() takes ${macro.params.length} argument(s)`, token.line);
+        }
+
+        const expandedArgs = args.map(arg => expandMacros(arg, defines, hidden, expandConstants));
+        const body = [];
+        for (const t of macro.body) {
+            const index = t.type === 'ident' ? macro.params.indexOf(t.value) : -1;
+            if (index >= 0) body.push(...expandedArgs[index]);
+            else body.push(relocate(t));
+        }
+        result.push(...expandMacros(body, defines, inner, expandConstants));
+        i = j;
+    }
+    return result;
+}
+
+function evaluateCondition(text, defines, line) {
+    const raw = tokenize(text, line).filter(t => t.type !== 'comment' && t.type !== 'eof');
+    const tokens = [];
+    for (let i = 0; i < raw.length; i++) {
+        if (raw[i].value !== 'defined') {
+            tokens.push(raw[i]);
+            continue;
+        }
+        const parens = raw[i + 1] && raw[i + 1].value === '(';
+        const name = raw[i + (parens ? 2 : 1)];
+        tokens.push({ type: 'number', value: name && defines.has(name.value) ? '1' : '0', line });
+        i += parens ? 3 : 1;
+    }
+    const expanded = expandMacros(tokens, defines, new Set(), true)
+        .map(t => t.type === 'ident' ? { type: 'number', value: '0', line } : t);
+    expanded.push({ type: 'eof', value: '', line });
+
+    const parser = new GLSLParser(expanded, {});
+    const value = evaluateConstant(parser.parseExpression(), line);
+    return value !== 0 && value !== false;
+}
+
+function evaluateConstant(node, line) {
+    switch (node.kind) {
+        case 'number': return parseGLSLNumber(node.text);
+        case 'bool': return node.value;
+        case 'unary': {
+            const v = evaluateConstant(node.operand, line);
+            return { '-': -v, '+': v, '!': !v ? 1 : 0, '~': ~v }[node.op];
+        }
+        case 'binary': {
+            const a = evaluateConstant(node.left, line);
+            const b = evaluateConstant(node.right, line);
+            const ops = {
+                '+': a + b, '-': a - b, '*': a * b, '/': Math.trunc(a / b), '%': a % b,
+                '<': a < b, '>': a > b, '<=': a <= b, '>=': a >= b, '==': a === b, '!=': a !== b,
+                '&&': a && b, '||': a || b, '&': a & b, '|': a | b, '^': a ^ b, '<<': a << b, '>>': a >> b
+            };
+            return Number(ops[node.op]);
+        }
+        case 'ternary':
+            return evaluateConstant(node.cond, line) ? evaluateConstant(node.then, line) : evaluateConstant(node.else, line);
+        default:
+            throw new GLSLConversionError('unsupported #if expression', line);
+    }
+}
+
+function parseGLSLNumber(text) {
+    const clean = text.replace(/[fFuU]$/, '');
+    if (/^0[xX]/.test(clean)) return parseInt(clean, 16);
+    if (/^0[0-7]+$/.test(clean)) return parseInt(clean, 8);
+    return Number(clean);
+}
+
+// ------------------------------------------------------------
+// Parser
+// ------------------------------------------------------------
+
+const GLSL_BUILTIN_TYPES = new Set([
+    'void', 'float', 'int', 'uint', 'bool',
+    'vec2', 'vec3', 'vec4', 'ivec2', 'ivec3', 'ivec4', 'uvec2', 'uvec3', 'uvec4', 'bvec2', 'bvec3', 'bvec4',
+    'mat2', 'mat3', 'mat4', 'mat2x2', 'mat2x3', 'mat2x4', 'mat3x2', 'mat3x3', 'mat3x4', 'mat4x2', 'mat4x3', 'mat4x4',
+    'sampler2D'
+]);
+
+const GLSL_QUALIFIERS = new Set([
+    'const', 'uniform', 'attribute', 'varying', 'in', 'out', 'inout',
+    'highp', 'mediump', 'lowp', 'invariant', 'flat', 'smooth', 'centroid'
+]);
+
+const GLSL_BINARY_PRECEDENCE = {
+    '||': 1, '^^': 2, '&&': 3, '|': 4, '^': 5, '&': 6,
+    '==': 7, '!=': 7, '<': 8, '>': 8, '<=': 8, '>=': 8,
+    '<<': 9, '>>': 9, '+': 10, '-': 10, '*': 11, '/': 11, '%': 11
+};
+
+const GLSL_ASSIGNMENT_OPS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+
+/**
+ * Recursive-descent parser for the GLSL ES subset TStorie shaders use.
+ * Comments are kept on the statement or declaration they precede.
+ */
+class GLSLParser {
+    constructor(tokens, constants) {
+        this.tokens = [];
+        let comments = [];
+        for (const token of tokens) {
+            if (token.type === 'comment') {
+                comments.push(token);
+            } else {
+                token.comments = comments;
+                comments = [];
+                this.tokens.push(token);
+            }
+        }
+        this.pos = 0;
+        this.constants = constants;   // macro consts, for array sizes
+        this.structs = new Set();
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        return this.tokens[Math.min(this.pos++, this.tokens.length - 1)];
+    }
+
+    check(value) {
+        const token = this.peek();
+        return token.type !== 'eof' && token.value === value;
+    }
+
+    accept(value) {
+        if (this.check(value)) return this.next();
+        return null;
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.value !== value || token.type === 'eof') {
+            throw new GLSLConversionError(`expected "${value}" but found "${token.value || 'end of shader'}"`, token.line);
+        }
+        return token;
+    }
+
+    expectIdent() {
+        const token = this.next();
+        if (token.type !== 'ident') {
+            throw new GLSLConversionError(`expected a name but found "${token.value || 'end of shader'}"`, token.line);
+        }
+        return token.value;
+    }
+
+    isTypeName(token) {
+        return token.type === 'ident' && (GLSL_BUILTIN_TYPES.has(token.value) || this.structs.has(token.value));
+    }
+
+    // Leading comments of the next token (taken once)
+    takeComments() {
+        const token = this.peek();
+        const comments = token.comments || [];
+        token.comments = [];
+        return comments;
+    }
+
+    parseTranslationUnit() {
+        const items = [];
+        while (this.peek().type !== 'eof') {
+            const comments = this.takeComments();
+            if (this.peek().type === 'eof') break;
+            if (this.accept(';')) continue;
+
+            let item;
+            if (this.check('precision')) {
+                while (!this.accept(';')) this.next();
+                item = { kind: 'precision' };
+            } else if (this.check('struct')) {
+                item = this.parseStruct();
+                this.expect(';');
+            } else {
+                item = this.parseExternalDeclaration();
+            }
+            item.comments = comments;
+            this.attachTrailing(item);
+            items.push(item);
+        }
+        return items;
+    }
+
+    // A comment on the same line as the end of `node` stays on that line
+    attachTrailing(node) {
+        const comments = this.peek().comments || [];
+        if (comments.length > 0 && comments[0].sameLine && comments[0].line === this.tokens[this.pos - 1].line) {
+            node.trailing = comments.shift().value;
+        }
+    }
+
+    parseStruct() {
+        const line = this.expect('struct').line;
+        const name = this.expectIdent();
+        this.structs.add(name);
+        this.expect('{');
+        const fields = [];
+        while (!this.accept('}')) {
+            const type = this.parseTypeSpecifier();
+            do {
+                const fieldName = this.expectIdent();
+                fields.push({ name: fieldName, type: this.parseArraySuffix(type) });
+            } while (this.accept(','));
+            this.expect(';');
+        }
+        return { kind: 'struct', name, fields, line };
+    }
+
+    parseQualifiers() {
+        const qualifiers = [];
+        while (this.peek().type === 'ident' && GLSL_QUALIFIERS.has(this.peek().value)) {
+            qualifiers.push(this.next().value);
+        }
+        return qualifiers;
+    }
+
+    parseTypeSpecifier() {
+        const token = this.next();
+        if (!this.isTypeName(token)) {
+            throw new GLSLConversionError(`unknown type "${token.value}"`, token.line);
+        }
+        return this.parseArraySuffix(token.value);
+    }
+
+    parseArraySuffix(type) {
+        if (!this.accept('[')) return type;
+        const token = this.next();
+        let size;
+        if (token.type === 'number') {
+            size = parseGLSLNumber(token.value);
+        } else if (token.type === 'ident' && this.constants[token.value] !== undefined) {
+            size = this.constants[token.value];
+        } else {
+            throw new GLSLConversionError('array sizes must be constant numbers', token.line);
+        }
+        this.expect(']');
+        return `${type}[${size}]`;
+    }
+
+    parseExternalDeclaration() {
+        const line = this.peek().line;
+        const qualifiers = this.parseQualifiers();
+        const type = this.parseTypeSpecifier();
+        const name = this.expectIdent();
+
+        if (this.check('(')) {
+            const params = this.parseParameters();
+            if (this.accept(';')) return { kind: 'prototype', name, line };
+            const body = this.parseBlock();
+            return { kind: 'function', returnType: type, name, params, body, line };
+        }
+
+        const declarators = this.parseDeclarators(type, name);
+        this.expect(';');
+        return { kind: 'global', qualifiers, type, declarators, line };
+    }
+
+    parseParameters() {
+        this.expect('(');
+        const params = [];
+        if (this.check('void') && this.peek(1).value === ')') this.next();
+        while (!this.accept(')')) {
+            const line = this.peek().line;
+            const qualifiers = this.parseQualifiers();
+            let type = this.parseTypeSpecifier();
+            let name = null;
+            if (this.peek().type === 'ident') {
+                name = this.next().value;
+                type = this.parseArraySuffix(type);
+            }
+            const qualifier = qualifiers.find(q => q === 'out' || q === 'inout') || 'in';
+            params.push({ name, type, qualifier, line });
+            if (!this.check(')')) this.expect(',');
+        }
+        return params;
+    }
+
+    parseDeclarators(type, firstName) {
+        const declarators = [];
+        let name = firstName;
+        for (;;) {
+            const declType = this.parseArraySuffix(type);
+            const init = this.accept('=') ? this.parseAssignment() : null;
+            declarators.push({ name, type: declType, init });
+            if (!this.accept(',')) break;
+            name = this.expectIdent();
+        }
+        return declarators;
+    }
+
+    parseBlock() {
+        this.expect('{');
+        const body = [];
+        while (!this.check('}')) {
+            if (this.peek().type === 'eof') throw new GLSLConversionError('missing "}"', this.peek().line);
+            body.push(this.parseStatement());
+        }
+        const endComments = this.takeComments();
+        this.expect('}');
+        return { kind: 'block', body, endComments };
+    }
+
+    parseStatement() {
+        const comments = this.takeComments();
+        const statement = this.parseStatementBody();
+        statement.comments = comments;
+        if (statement.kind !== 'block') this.attachTrailing(statement);
+        return statement;
+    }
+
+    parseStatementBody() {
+        const token = this.peek();
+        const line = token.line;
+
+        if (token.value === '{' && token.type === 'punct') return this.parseBlock();
+        if (token.type === 'ident') {
+            switch (token.value) {
+                case 'if': {
+                    this.next();
+                    this.expect('(');
+                    const cond = this.parseExpression();
+                    this.expect(')');
+                    const then = this.parseStatement();
+                    const otherwise = this.accept('else') ? this.parseStatement() : null;
+                    return { kind: 'if', cond, then, else: otherwise, line };
+                }
+                case 'for': {
+                    this.next();
+                    this.expect('(');
+                    const init = this.accept(';') ? null : this.parseSimpleStatement();
+                    const cond = this.check(';') ? null : this.parseExpression();
+                    this.expect(';');
+                    const update = this.check(')') ? null : this.parseExpression();
+                    this.expect(')');
+                    return { kind: 'for', init, cond, update, body: this.parseStatement(), line };
+                }
+                case 'while': {
+                    this.next();
+                    this.expect('(');
+                    const cond = this.parseExpression();
+                    this.expect(')');
+                    return { kind: 'while', cond, body: this.parseStatement(), line };
+                }
+                case 'do': {
+                    this.next();
+                    const body = this.parseStatement();
+                    this.expect('while');
+                    this.expect('(');
+                    const cond = this.parseExpression();
+                    this.expect(')');
+                    this.expect(';');
+                    return { kind: 'do', cond, body, line };
+                }
+                case 'return': {
+                    this.next();
+                    const value = this.check(';') ? null : this.parseExpression();
+                    this.expect(';');
+                    return { kind: 'return', value, line };
+                }
+                case 'break':
+                case 'continue':
+                case 'discard':
+                    this.next();
+                    this.expect(';');
+                    return { kind: token.value, line };
+                case 'precision':
+                    while (!this.accept(';')) this.next();
+                    return { kind: 'empty', line };
+                case 'switch':
+                    throw new GLSLConversionError('switch statements are not supported', line);
+            }
+        }
+        if (this.accept(';')) return { kind: 'empty', line };
+        return this.parseSimpleStatement();
+    }
+
+    // Declaration or expression statement, including the ;
+    parseSimpleStatement() {
+        const token = this.peek();
+        const line = token.line;
+        const isDeclaration = (token.type === 'ident' && GLSL_QUALIFIERS.has(token.value)) ||
+            (this.isTypeName(token) && (this.peek(1).type === 'ident' || this.peek(1).value === '['
+                && this.peek(4).type === 'ident'));
+
+        let statement;
+        if (isDeclaration) {
+            const qualifiers = this.parseQualifiers();
+            const type = this.parseTypeSpecifier();
+            const name = this.expectIdent();
+            statement = { kind: 'decl', constant: qualifiers.includes('const'), type,
+                          declarators: this.parseDeclarators(type, name), line };
+        } else {
+            statement = { kind: 'expr', expr: this.parseExpression(), line };
+        }
+        this.expect(';');
+        return statement;
+    }
+
+    parseExpression() {
+        const first = this.parseAssignment();
+        if (!this.check(',')) return first;
+        const exprs = [first];
+        while (this.accept(',')) exprs.push(this.parseAssignment());
+        return { kind: 'sequence', exprs, line: first.line };
+    }
+
+    parseAssignment() {
+        const target = this.parseTernary();
+        const token = this.peek();
+        if (token.type === 'punct' && GLSL_ASSIGNMENT_OPS.has(token.value)) {
+            this.next();
+            return { kind: 'assign', op: token.value, target, value: this.parseAssignment(), line: token.line };
+        }
+        return target;
+    }
+
+    parseTernary() {
+        const cond = this.parseBinary(1);
+        if (!this.accept('?')) return cond;
+        const then = this.parseAssignment();
+        this.expect(':');
+        return { kind: 'ternary', cond, then, else: this.parseAssignment(), line: cond.line };
+    }
+
+    parseBinary(minPrecedence) {
+        let left = this.parseUnary();
+        for (;;) {
+            const token = this.peek();
+            const precedence = token.type === 'punct' ? GLSL_BINARY_PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) return left;
+            this.next();
+            const right = this.parseBinary(precedence + 1);
+            left = { kind: 'binary', op: token.value, left, right, line: token.line };
+        }
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (token.type === 'punct' && ['+', '-', '!', '~', '++', '--'].includes(token.value)) {
+            this.next();
+            return { kind: 'unary', op: token.value, operand: this.parseUnary(), line: token.line };
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let expr = this.parsePrimary();
+        for (;;) {
+            const token = this.peek();
+            if (token.type !== 'punct') return expr;
+            if (token.value === '[') {
+                this.next();
+                const index = this.parseExpression();
+                this.expect(']');
+                expr = { kind: 'index', object: expr, index, line: token.line };
+            } else if (token.value === '.') {
+                this.next();
+                const name = this.expectIdent();
+                if (this.check('(')) {
+                    throw new GLSLConversionError(`.${name}() is not supported`, token.line);
+                }
+                expr = { kind: 'member', object: expr, name, line: token.line };
+            } else if (token.value === '++' || token.value === '--') {
+                this.next();
+                expr = { kind: 'postfix', op: token.value, operand: expr, line: token.line };
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.next();
+        const line = token.line;
+
+        if (token.type === 'number') return { kind: 'number', text: token.value, line };
+        if (token.type === 'punct' && token.value === '(') {
+            const expr = this.parseExpression();
+            this.expect(')');
+            return expr;
+        }
+        if (token.type === 'ident') {
+            if (token.value === 'true' || token.value === 'false') {
+                return { kind: 'bool', value: token.value === 'true', line };
+            }
+            // Array constructor: float[3](...)
+            let callee = token.value;
+            if (this.isTypeName(token) && this.check('[')) {
+                this.pos--;
+                callee = this.parseTypeSpecifier();
+            }
+            if (this.check('(')) {
+                this.next();
+                const args = [];
+                if (this.check('void') && this.peek(1).value === ')') this.next();
+                while (!this.accept(')')) {
+                    args.push(this.parseAssignment());
+                    if (!this.check(')')) this.expect(',');
+                }
+                return { kind: 'call', callee, args, line };
+            }
+            return { kind: 'ident', name: token.value, line };
+        }
+        throw new GLSLConversionError(`unexpected "${token.value || 'end of shader'}"`, line);
+    }
+}
+
+// ------------------------------------------------------------
+// Types
+// ------------------------------------------------------------
+
+const VECTOR_PREFIX = { float: 'vec', int: 'ivec', uint: 'uvec', bool: 'bvec' };
+const WGSL_SCALARS = { float: 'f32', int: 'i32', uint: 'u32', bool: 'bool' };
+
+function isArrayType(type) {
+    return type.endsWith(']');
+}
+
+function arrayElement(type) {
+    return type.slice(0, type.indexOf('['));
+}
+
+function arrayLength(type) {
+    return Number(type.slice(type.indexOf('[') + 1, -1));
+}
+
+// Components of a scalar (1) or vector (2-4); 0 for anything else
+function vectorSize(type) {
+    if (WGSL_SCALARS[type]) return 1;
+    const match = type.match(/^[iub]?vec([234])$/);
+    return match ? Number(match[1]) : 0;
+}
+
+function scalarType(type) {
+    if (WGSL_SCALARS[type]) return type;
+    if (/^vec|^mat/.test(type)) return 'float';
+    if (type.startsWith('ivec')) return 'int';
+    if (type.startsWith('uvec')) return 'uint';
+    if (type.startsWith('bvec')) return 'bool';
+    return null;
+}
+
+function vectorType(scalar, size) {
+    return size === 1 ? scalar : VECTOR_PREFIX[scalar] + size;
+}
+
+function matrixShape(type) {
+    const match = type.match(/^mat([234])(?:x([234]))?$/);
+    return match ? { columns: Number(match[1]), rows: Number(match[2] || match[1]) } : null;
+}
+
+function wgslType(type, structNames = {}) {
+    if (isArrayType(type)) return `array<${wgslType(arrayElement(type), structNames)}, ${arrayLength(type)}>`;
+    if (WGSL_SCALARS[type]) return WGSL_SCALARS[type];
+    const size = vectorSize(type);
+    if (size > 1) {
+        const scalar = scalarType(type);
+        return scalar === 'bool' ? `vec${size}<bool>` : `vec${size}${WGSL_SCALARS[scalar][0]}`;
+    }
+    const matrix = matrixShape(type);
+    if (matrix) return `mat${matrix.columns}x${matrix.rows}f`;
+    if (type === 'sampler2D') return 'texture_2d<f32>';
+    return structNames[type] || type;
+}
+
+// WGSL keywords and reserved words a GLSL name could collide with, plus
+// the names the converted shader itself declares
+const WGSL_RESERVED = new Set((
+    'alias break case const const_assert continue continuing default diagnostic discard else enable false fn ' +
+    'for if let loop override requires return struct switch true var while ' +
+    'NULL Self abstract active alignas alignof as asm asm_fragment async attribute auto await become ' +
+    'binding_array cast catch class co_await co_return co_yield coherent column_major common compile ' +
+    'compile_fragment concept const_cast consteval constexpr constinit crate debugger decltype delete demote ' +
+    'demote_to_helper do dynamic_cast enum explicit export extends extern external fallthrough filter final ' +
+    'finally friend from fxgroup get goto groupshared highp impl implements import inline instanceof ' +
+    'interface layout lowp macro macro_rules match mediump meta mod module move mut mutable namespace new nil ' +
+    'noexcept noinline nointerpolation noperspective null nullptr of operator package packoffset partition ' +
+    'pass patch pixelfragment precise precision premerge priv protected pub public readonly ref regardless ' +
+    'register reinterpret_cast require resource restrict self set shared sizeof smooth snorm static ' +
+    'static_assert static_cast std subroutine super target template this thread_local throw trait try type ' +
+    'typedef typeid typename typeof union unless unorm unsafe unsized use using varying virtual volatile wgsl ' +
+    'where with writeonly yield ' +
+    'f32 i32 u32 f16 bool vec2 vec3 vec4 mat2x2 mat3x3 mat4x4 array ptr sampler texture_2d atomic ' +
+    'uniforms output VertexOutput Uniforms vertexMain fragmentMain'
+).split(' '));
+
+// ------------------------------------------------------------
+// Uniform layout
+// ------------------------------------------------------------
+
+/**
+ * Fields of the Uniforms struct for a uniform schema, in the order and
+ * padding webgpu_shader_system.js writes them: time and resolution, then
+ * each uniform (vec2 on 8 bytes, vec3/vec4 on 16; a vec2 is followed by
+ * two pad floats and a vec3 by one), padded to a vec4 at the end.
+ * Returns [{ name, type (GLSL), offset (floats) }] with pads named _padN.
+ */
+function uniformLayout(schema) {
+    const fields = [];
+    let offset = 0;
+    let pads = 0;
+    const pad = () => fields.push({ name: `_pad${pads++}`, type: 'float', offset: offset++ });
+    const add = (name, type) => {
+        const size = vectorSize(type);
+        if (size > 1) {
+            while (offset % (size === 2 ? 2 : 4) !== 0) pad();
+        }
+        fields.push({ name, type, offset });
+        offset += size;
+        const trailing = { 2: 2, 3: 1 }[size] || 0;
+        for (let i = 0; i < trailing; i++) pad();
+    };
+
+    add('time', 'float');
+    while (offset < 4) pad();
+    add('resolution', 'vec2');
+    for (const name of Object.keys(schema)) {
+        add(name, uniformFieldType(schema[name].type));
+    }
+    while (offset % 4 !== 0) pad();
+    return fields;
+}
+
+// GLSL type of the struct field holding a uniform of a schema type
+function uniformFieldType(schemaType) {
+    return { f32: 'float', int: 'int', bool: 'int', vec2: 'vec2', vec3: 'vec3', color: 'vec3', vec4: 'vec4' }[schemaType] || 'float';
+}
+
+// ------------------------------------------------------------
+// WGSL writer
+// ------------------------------------------------------------
+
+// Output precedence of WGSL expressions
+const PREC = { primary: 100, unary: 90, multiplicative: 80, additive: 70, shift: 60, relational: 50, bitwise: 40, logical: 30 };
+
+const BINARY_CLASS = {
+    '*': 'multiplicative', '/': 'multiplicative', '%': 'multiplicative', '+': 'additive', '-': 'additive',
+    '<<': 'shift', '>>': 'shift', '<': 'relational', '>': 'relational', '<=': 'relational', '>=': 'relational',
+    '==': 'relational', '!=': 'relational', '&': 'bitwise', '|': 'bitwise', '^': 'bitwise',
+    '&&': 'logical', '||': 'logical'
+};
+
+// Built-ins that keep their name and return their (widest) argument type
+const SAME_NAME_BUILTINS = new Set([
+    'radians', 'degrees', 'sin', 'cos', 'tan', 'asin', 'acos', 'exp', 'log', 'exp2', 'log2', 'sqrt',
+    'abs', 'sign', 'floor', 'ceil', 'fract', 'normalize', 'fwidth', 'min', 'max', 'clamp', 'pow',
+    'step', 'smoothstep', 'reflect', 'refract', 'faceforward'
+]);
+
+const RENAMED_BUILTINS = { inversesqrt: 'inverseSqrt', dFdx: 'dpdx', dFdy: 'dpdy' };
+
+// WGSL wants every argument the same type where GLSL allows a scalar
+const SPLAT_BUILTINS = new Set(['min', 'max', 'clamp', 'pow', 'step', 'smoothstep', 'atan2', 'mod']);
+
+const COMPARISON_BUILTINS = {
+    lessThan: '<', lessThanEqual: '<=', greaterThan: '>', greaterThanEqual: '>=', equal: '==', notEqual: '!='
+};
+
+const SWIZZLE_SETS = ['xyzw', 'rgba', 'stpq'];
+
+/**
+ * Writes one shader (vertex + fragment stage) as WGSL. `config` is a
+ * parsed shader (TStorieShaderPackage): its schema decides the uniform
+ * struct and its inputs the extra texture bindings.
+ */
+class WGSLWriter {
+    constructor(config) {
+        this.config = config;
+        this.schema = config.schema || {};
+        this.inputs = config.inputs || {};
+        this.warnings = [];
+        this.helpers = new Map();      // generated helper functions (mod), by name
+        this.usedNames = new Set();    // every GLSL identifier, for unique()
+        this.structNames = {};         // GLSL struct -> WGSL name
+        this.structs = new Map();      // GLSL struct -> fields
+        this.functions = new Map();    // GLSL name -> [signature]
+        this.uniforms = new Map();     // GLSL uniform -> { type, code }
+        this.samplers = new Map();     // GLSL sampler uniform -> { texture, sampler }
+        this.globalScope = new Map();
+        this.scopes = [this.globalScope];
+        this.moduleItems = [];         // emitted module-scope code, in order
+        this.moduleNames = new Map();  // module-scope name -> code (dedupe across stages)
+    }
+
+    warn(message, line) {
+        this.warnings.push(line ? `line ${line}: ${message}` : message);
+    }
+
+    fail(message, line) {
+        throw new GLSLConversionError(message, line);
+    }
+
+    unique(base) {
+        let name = base;
+        for (let i = 1; this.usedNames.has(name) || WGSL_RESERVED.has(name); i++) name = base + i;
+        this.usedNames.add(name);
+        return name;
+    }
+
+    // WGSL spelling of a GLSL identifier
+    safeName(name) {
+        if (name.startsWith('gl_')) this.fail(`${name} is not supported`);
+        if (WGSL_RESERVED.has(name) || name.startsWith('__')) return name.replace(/^_+/, '') + '_';
+        return name;
+    }
+
+    parseStage(source, stage) {
+        const pre = preprocess(tokenize(source));
+        const constants = {};
+        for (const constant of pre.constants) constants[constant.name] = parseGLSLNumber(constant.value);
+        const parser = new GLSLParser(pre.tokens, constants);
+        for (const name of this.structNames ? Object.keys(this.structNames) : []) parser.structs.add(name);
+        const items = parser.parseTranslationUnit();
+        for (const token of pre.tokens) {
+            if (token.type === 'ident') this.usedNames.add(token.value);
+        }
+        return { stage, items, constants: pre.constants };
+    }
+
+    /**
+     * Convert both stages; returns { vertexShader, fragmentShader, warnings }
+     */
+    convert() {
+        const fragment = this.parseStage(this.config.fragmentShader, 'fragment');
+        const vertex = this.parseStage(this.config.vertexShader, 'vertex');
+
+        // Declarations first (both stages), so any function can call any other
+        const fragmentMain = this.declareStage(fragment);
+        const vertexMain = this.declareStage(vertex);
+        if (!fragmentMain) this.fail('fragment shader has no main()');
+        if (!vertexMain) this.fail('vertex shader has no main()');
+
+        this.varyings = vertex.items.filter(i => i.kind === 'global' && i.qualifiers.includes('varying'))
+            .flatMap(i => i.declarators.map(d => ({ name: d.name, type: d.type })));
+
+        const fragmentItems = this.writeStage(fragment);
+        const fragmentCode = this.writeFragmentMain(fragmentMain, fragment);
+        const vertexItems = this.writeStage(vertex);
+        const vertexCode = this.writeVertexMain(vertexMain, vertex);
+
+        const header = this.writeBindings();
+        const helpers = Array.from(this.helpers.values());
+        const fragmentShader = [header, ...fragmentItems, ...helpers, fragmentCode].filter(Boolean).join('\n\n') + '\n';
+        const vertexShader = [this.writeVertexOutput(), ...vertexItems, vertexCode].filter(Boolean).join('\n\n') + '\n';
+        return { vertexShader, fragmentShader, warnings: this.warnings };
+    }
+
+    // Record a stage's structs, functions, uniforms and globals; returns its main()
+    declareStage(unit) {
+        let main = null;
+        for (const item of unit.items) {
+            if (item.kind === 'struct') {
+                if (!this.structs.has(item.name)) {
+                    this.structs.set(item.name, item.fields);
+                    this.structNames[item.name] = this.safeName(item.name);
+                }
+            } else if (item.kind === 'function') {
+                if (item.name === 'main') {
+                    main = item;
+                    continue;
+                }
+                const overloads = this.functions.get(item.name) || [];
+                const key = item.params.map(p => p.type).join(',');
+                const existing = overloads.find(o => o.key === key);
+                if (existing) {
+                    item.signature = existing;
+                    existing.stages.add(unit.stage);
+                    continue;
+                }
+                const signature = { name: item.name, key, returnType: item.returnType, params: item.params,
+                                    stages: new Set([unit.stage]), item };
+                item.signature = signature;
+                overloads.push(signature);
+                this.functions.set(item.name, overloads);
+            } else if (item.kind === 'global' && item.qualifiers.includes('uniform')) {
+                for (const d of item.declarators) this.declareUniform(d.name, d.type, item.line);
+            }
+        }
+
+        // WGSL has no overloading: overloaded functions get type suffixes
+        for (const [name, overloads] of this.functions) {
+            for (const signature of overloads) {
+                signature.wgslName = overloads.length === 1 ? this.safeName(name) :
+                    this.safeName(`${name}_${signature.params.map(p => p.type.replace(/\[(\d+)\]/, '_$1')).join('_') || 'void'}`);
+            }
+        }
+        return main;
+    }
+
+    declareUniform(name, type, line) {
+        if (this.uniforms.has(name) || this.samplers.has(name)) return;
+        if (type === 'sampler2D') {
+            if (name === 'contentTexture') {
+                this.samplers.set(name, { binding: 0 });
+            } else {
+                const index = Object.keys(this.inputs).indexOf(name);
+                if (index < 0) this.fail(`sampler "${name}" must be listed in the shader's inputs`, line);
+                this.samplers.set(name, { binding: 3 + 2 * index });
+            }
+            return;
+        }
+
+        const header = { time: 'float', resolution: 'vec2' };
+        let fieldType = header[name];
+        let schemaType = null;
+        if (!fieldType && this.schema[name]) {
+            schemaType = this.schema[name].type;
+            fieldType = uniformFieldType(schemaType);
+        }
+        if (!fieldType) {
+            this.warn(`uniform "${name}" has no value in the shader's uniforms; it is always zero`, line);
+            fieldType = type === 'bool' ? 'int' : type;
+            this.extraUniforms = this.extraUniforms || {};
+            this.extraUniforms[name] = { type: { float: 'f32', int: 'int', bool: 'bool' }[type] || type };
+        }
+        if (vectorSize(fieldType) !== vectorSize(type)) {
+            this.fail(`uniform "${name}" is ${type} but its value is ${schemaType || fieldType}`, line);
+        }
+
+        // The buffer holds what the runtime writes; convert to the declared type
+        const field = `uniforms.${name}`;
+        let code = field;
+        if (type === 'bool') {
+            code = `(${field} != ${scalarType(fieldType) === 'float' ? '0.0' : '0'})`;
+        } else if (scalarType(type) !== scalarType(fieldType)) {
+            code = `${wgslType(type)}(${field})`;
+            this.warn(`uniform "${name}" is declared ${type} but written as ${schemaType}; converted on read`, line);
+        }
+        this.uniforms.set(name, { type, fieldType, code });
+    }
+
+    writeBindings() {
+        const lines = [];
+        const samplerNames = Object.keys(this.inputs);
+        lines.push('@group(0) @binding(0) var contentTexture: texture_2d<f32>;');
+        lines.push('@group(0) @binding(1) var contentTextureSampler: sampler;');
+
+        const schema = Object.assign({}, this.schema, this.extraUniforms || {});
+        if (this.uniforms.size > 0) {
+            lines.push('');
+            lines.push('struct Uniforms {');
+            for (const field of uniformLayout(schema)) {
+                lines.push(`    ${field.name}: ${wgslType(field.type)},`);
+            }
+            lines.push('}');
+            lines.push('@group(0) @binding(2) var<uniform> uniforms: Uniforms;');
+            const size = uniformLayout(schema).length * 4;
+            if (size > 256) this.warn(`uniforms need ${size} bytes; the runtime buffer holds 256`);
+        }
+
+        samplerNames.forEach((name, k) => {
+            if (!this.samplers.has(name)) return;
+            lines.push('');
+            lines.push(`@group(0) @binding(${3 + 2 * k}) var ${name}: texture_2d<f32>;`);
+            lines.push(`@group(0) @binding(${4 + 2 * k}) var ${name}Sampler: sampler;`);
+        });
+        return lines.join('\n');
+    }
+
+    writeVertexOutput() {
+        const lines = ['struct VertexOutput {', '    @builtin(position) position: vec4f,'];
+        this.varyings.forEach((v, i) => {
+            const flat = scalarType(v.type) !== 'float' ? '@interpolate(flat) ' : '';
+            lines.push(`    @location(${i}) ${flat}${this.safeName(v.name)}: ${wgslType(v.type)},`);
+        });
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    // Module-scope items of a stage (structs, consts, globals, functions)
+    writeStage(unit) {
+        const out = [];
+        const emit = (name, code, comments) => {
+            if (this.moduleNames.has(name)) {
+                if (this.moduleNames.get(name) !== code) this.fail(`"${name}" is declared differently in the two stages`);
+                return;
+            }
+            this.moduleNames.set(name, code);
+            out.push(this.commentLines(comments, '') + code);
+        };
+
+        const constants = [];
+        for (const constant of unit.constants) {
+            const value = this.numberLiteral(constant.value.replace(/^-/, ''));
+            const code = `const ${this.safeName(constant.name)} = ${constant.value.startsWith('-') ? '-' : ''}${value.code};`;
+            if (!this.moduleNames.has(constant.name)) {
+                this.moduleNames.set(constant.name, code);
+                constants.push(code);
+            } else if (this.moduleNames.get(constant.name) !== code) {
+                this.fail(`"${constant.name}" is defined differently in the two stages`, constant.line);
+            }
+            this.globalScope.set(constant.name, { type: value.type, code: this.safeName(constant.name), constant: true, abstract: true });
+        }
+        if (constants.length > 0) out.push(constants.join('\n'));
+
+        // Consecutive single-line declarations stay together
+        let group = null;
+        for (const item of unit.items) {
+            if (item.kind === 'struct') {
+                const name = this.structNames[item.name];
+                const fields = item.fields.map(f => `    ${this.safeName(f.name)}: ${wgslType(f.type, this.structNames)},`);
+                emit(item.name, `struct ${name} {\n${fields.join('\n')}\n}`, item.comments);
+                group = null;
+            } else if (item.kind === 'global') {
+                const code = this.writeGlobal(item, unit.stage);
+                if (!code) continue;
+                if (group && !item.comments.length) {
+                    out[out.length - 1] += '\n' + code;
+                } else {
+                    out.push(this.commentLines(item.comments, '') + code);
+                    group = item;
+                }
+                continue;
+            } else if (item.kind === 'function' && item.name !== 'main') {
+                if (item.signature.item !== item) {
+                    if (item.signature.stages.size > 1) {
+                        this.fail(`function "${item.name}" is defined in both stages`, item.line);
+                    }
+                    continue;
+                }
+                emit(item.signature.wgslName, this.writeFunction(item, unit.stage), item.comments);
+                group = null;
+            }
+        }
+        return out;
+    }
+
+    writeGlobal(item, stage) {
+        const q = item.qualifiers;
+        if (q.includes('uniform')) return null;
+        if (q.includes('attribute') || q.includes('varying') || q.includes('in') || q.includes('out')) {
+            for (const d of item.declarators) {
+                if (q.includes('attribute') || (q.includes('in') && stage === 'vertex')) {
+                    this.globalScope.set(d.name, { type: d.type, code: this.safeName(d.name), readonly: true });
+                } else if (q.includes('out') && stage === 'fragment') {
+                    this.fragmentOutput = d.name;
+                }
+            }
+            return null;
+        }
+
+        const lines = [];
+        for (const d of item.declarators) {
+            const name = this.safeName(d.name);
+            const type = wgslType(d.type, this.structNames);
+            const constant = q.includes('const');
+            const info = { type: d.type, code: name, constant };
+            if (constant) {
+                if (!d.init) this.fail(`const "${d.name}" needs a value`, item.line);
+                lines.push(`const ${name}: ${type} = ${this.coerce(this.expr(d.init), d.type).code};`);
+            } else {
+                const init = d.init ? ` = ${this.coerce(this.expr(d.init), d.type).code}` : '';
+                lines.push(`var<private> ${name}: ${type}${init};`);
+            }
+            this.globalScope.set(d.name, info);
+        }
+        return lines.join('\n') + (item.trailing ? ` // ${item.trailing}` : '');
     }
 
-    /**
-     * Convert GLSL type to WGSL type
-     */
-    convertType(glslType) {
-        const typeMap = {
-            'float': 'f32',
-            'vec2': 'vec2f',
-            'vec3': 'vec3f',
-            'vec4': 'vec4f',
-            'mat2': 'mat2x2f',
-            'mat3': 'mat3x3f',
-            'mat4': 'mat4x4f',
-            'int': 'i32',
-            'uint': 'u32',
-            'bool': 'bool',
-            'sampler2D': 'texture_2d<f32>'
+    commentLines(comments, indent) {
+        return comments.map(c => c.value.split('\n').map(l => `${indent}// ${l}`).join('\n') + '\n').join('');
+    }
+
+    // ---- Functions ----
+
+    beginFunction(kind, body, params = []) {
+        this.scopes = [this.globalScope, new Map()];
+        this.fn = {
+            kind,
+            mutated: collectMutations(body, this),
+            returns: containsReturn(body),
+            uniformFlow: kind === 'fragmentMain',
+            depth: 0,
+            returnType: null
         };
-        return typeMap[glslType] || glslType;
+        const prologue = [];
+        for (const p of params) {
+            if (!p.name) continue;
+            const name = this.safeName(p.name);
+            if (p.qualifier !== 'in') {
+                this.declare(p.name, { type: p.type, code: `(*${name})`, pointer: name });
+            } else if (p.type === 'sampler2D') {
+                this.declare(p.name, { type: p.type, code: name, texture: name, sampler: `${name}Sampler` });
+            } else if (this.fn.mutated.has(p.name)) {
+                // Parameters are immutable in WGSL: work on a copy
+                const param = this.unique(`${name}In`);
+                p.wgslParam = param;
+                prologue.push(`var ${name}: ${wgslType(p.type, this.structNames)} = ${param};`);
+                this.declare(p.name, { type: p.type, code: name });
+            } else {
+                this.declare(p.name, { type: p.type, code: name });
+            }
+        }
+        return prologue;
+    }
+
+    writeFunction(item, stage) {
+        this.stage = stage;
+        const prologue = this.beginFunction('helper', item.body, item.params);
+        this.fn.returnType = item.returnType;
+
+        const params = item.params.filter(p => p.name).map(p => {
+            const name = p.wgslParam || this.safeName(p.name);
+            if (p.qualifier !== 'in') return `${name}: ptr<function, ${wgslType(p.type, this.structNames)}>`;
+            if (p.type === 'sampler2D') return `${name}: texture_2d<f32>, ${name}Sampler: sampler`;
+            return `${name}: ${wgslType(p.type, this.structNames)}`;
+        });
+        const returns = item.returnType === 'void' ? '' : ` -> ${wgslType(item.returnType, this.structNames)}`;
+        const body = prologue.map(l => '    ' + l).concat(this.blockLines(item.body, 1));
+        return `fn ${item.signature.wgslName}(${params.join(', ')})${returns} {\n${body.join('\n')}\n}`;
+    }
+
+    writeFragmentMain(main, unit) {
+        this.stage = 'fragment';
+        this.beginFunction('fragmentMain', main.body);
+        const outputName = this.fragmentOutput || 'gl_FragColor';
+
+        // gl_FragColor set once at the very end becomes a plain return
+        const statements = main.body.body;
+        const last = statements[statements.length - 1];
+        const refs = countIdentifier(main.body, outputName);
+        const direct = last && last.kind === 'expr' && last.expr.kind === 'assign' && last.expr.op === '=' &&
+            last.expr.target.kind === 'ident' && last.expr.target.name === outputName && refs === 1 && !this.fn.returns;
+
+        const colorName = direct ? null : this.unique('fragColor');
+        this.fn.fragColor = colorName;
+        if (!direct) this.declare(outputName, { type: 'vec4', code: colorName });
+
+        const params = this.varyings.map((v, i) => ({ v, i }))
+            .filter(({ v }) => unit.items.some(item => item.kind === 'global' && item.declarators.some(d => d.name === v.name)))
+            .map(({ v, i }) => {
+                const flat = scalarType(v.type) !== 'float' ? '@interpolate(flat) ' : '';
+                this.declare(v.name, { type: v.type, code: this.safeName(v.name), readonly: true });
+                return `    @location(${i}) ${flat}${this.safeName(v.name)}: ${wgslType(v.type)}`;
+            });
+        for (const item of unit.items) {
+            if (item.kind !== 'global' || !item.qualifiers.includes('varying')) continue;
+            for (const d of item.declarators) {
+                if (!this.varyings.some(v => v.name === d.name)) this.fail(`varying "${d.name}" is not written by the vertex shader`, item.line);
+            }
+        }
+        if (countIdentifier(main.body, 'gl_FragCoord') > 0) {
+            this.fragCoord = this.unique('fragCoord');
+            params.push(`    @builtin(position) ${this.fragCoord}: vec4f`);
+            this.warn('gl_FragCoord: WGSL measures y from the top of the target, GLSL from the bottom');
+        }
+
+        const body = [];
+        if (!direct) body.push(`    var ${colorName}: vec4f;`);
+        const statementsToWrite = direct ? statements.slice(0, -1) : statements;
+        body.push(...this.statementsLines(statementsToWrite, 1));
+        if (direct) {
+            body.push(...this.commentLines(last.comments, '    ').split('\n').filter(Boolean));
+            const value = this.coerce(this.expr(last.expr.value), 'vec4');
+            body.push(`    return ${value.code};` + (last.trailing ? ` // ${last.trailing}` : ''));
+        } else if (!endsWithReturn(statements)) {
+            body.push(`    return ${colorName};`);
+        }
+        body.push(...this.endCommentLines(main.body, 1));
+
+        const paramList = params.length ? `\n${params.join(',\n')}\n` : '';
+        return `@fragment\nfn fragmentMain(${paramList}) -> @location(0) vec4f {\n${body.join('\n')}\n}`;
+    }
+
+    writeVertexMain(main, unit) {
+        this.stage = 'vertex';
+        this.beginFunction('vertexMain', main.body);
+
+        const attributes = [];
+        for (const item of unit.items) {
+            if (item.kind !== 'global') continue;
+            for (const d of item.declarators) {
+                if (item.qualifiers.includes('attribute') || item.qualifiers.includes('in')) {
+                    attributes.push(`    @location(${attributes.length}) ${this.safeName(d.name)}: ${wgslType(d.type)}`);
+                } else if (item.qualifiers.includes('varying') || item.qualifiers.includes('out')) {
+                    this.declare(d.name, { type: d.type, code: `output.${this.safeName(d.name)}` });
+                }
+            }
+        }
+        this.declare('gl_Position', { type: 'vec4', code: 'output.position' });
+
+        const body = ['    var output: VertexOutput;'];
+        body.push(...this.statementsLines(main.body.body, 1));
+        if (!endsWithReturn(main.body.body)) body.push('    return output;');
+        body.push(...this.endCommentLines(main.body, 1));
+
+        const paramList = attributes.length ? `\n${attributes.join(',\n')}\n` : '';
+        return `@vertex\nfn vertexMain(${paramList}) -> VertexOutput {\n${body.join('\n')}\n}`;
+    }
+
+    // ---- Scopes ----
+
+    declare(name, info) {
+        this.scopes[this.scopes.length - 1].set(name, info);
+    }
+
+    lookup(name, line) {
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+        }
+        if (this.uniforms.has(name)) {
+            const uniform = this.uniforms.get(name);
+            return { type: uniform.type, code: uniform.code, readonly: true, uniform: true };
+        }
+        if (this.samplers.has(name)) {
+            return { type: 'sampler2D', code: name, texture: name, sampler: `${name}Sampler` };
+        }
+        if (name === 'gl_FragCoord' && this.fragCoord) return { type: 'vec4', code: this.fragCoord, readonly: true };
+        return this.fail(`unknown identifier "${name}"`, line);
+    }
+
+    // ---- Statements ----
+
+    blockLines(block, depth) {
+        this.scopes.push(new Map());
+        const lines = this.statementsLines(block.body, depth);
+        lines.push(...this.endCommentLines(block, depth));
+        this.scopes.pop();
+        return lines;
+    }
+
+    endCommentLines(block, depth) {
+        return this.commentLines(block.endComments || [], '    '.repeat(depth)).split('\n').filter(Boolean);
+    }
+
+    statementsLines(statements, depth) {
+        const lines = [];
+        for (const statement of statements) {
+            const indent = '    '.repeat(depth);
+            lines.push(...this.commentLines(statement.comments || [], indent).split('\n').filter(Boolean));
+            const code = this.statementLines(statement, depth);
+            if (statement.trailing && code.length > 0) code[code.length - 1] += ` // ${statement.trailing}`;
+            lines.push(...code);
+        }
+        return lines;
+    }
+
+    // A statement used as an if/loop body, always braced
+    bodyLines(statement, depth) {
+        const block = statement.kind === 'block' ? statement : { kind: 'block', body: [statement], endComments: [] };
+        return this.withFlow(() => this.blockLines(block, depth));
+    }
+
+    // Code nested in a branch or loop no longer runs in uniform control flow
+    withFlow(write) {
+        const uniform = this.fn.uniformFlow;
+        this.fn.uniformFlow = false;
+        this.fn.depth++;
+        try {
+            return write();
+        } finally {
+            this.fn.depth--;
+            this.fn.uniformFlow = uniform;
+        }
+    }
+
+    statementLines(s, depth) {
+        const indent = '    '.repeat(depth);
+        switch (s.kind) {
+            case 'empty':
+                return [];
+            case 'block':
+                return [`${indent}{`, ...this.withFlow(() => this.blockLines(s, depth + 1)), `${indent}}`];
+            case 'decl':
+                return this.declarationLines(s).map(l => indent + l);
+            case 'expr':
+                return this.expressionStatement(s.expr).map(l => indent + l);
+            case 'if': {
+                const lines = [];
+                let current = s;
+                let prefix = 'if';
+                for (;;) {
+                    const cond = this.coerce(this.expr(current.cond), 'bool');
+                    lines.push(`${indent}${prefix} (${cond.code}) {`);
+                    lines.push(...this.bodyLines(current.then, depth + 1));
+                    if (current.else && current.else.kind === 'if' && !(current.else.comments || []).length) {
+                        current = current.else;
+                        prefix = '} else if';
+                        continue;
+                    }
+                    if (current.else) {
+                        lines.push(`${indent}} else {`);
+                        lines.push(...this.bodyLines(current.else, depth + 1));
+                    }
+                    lines.push(`${indent}}`);
+                    return lines;
+                }
+            }
+            case 'for': {
+                this.scopes.push(new Map());
+                try {
+                    let init = '';
+                    if (s.init) {
+                        if (s.init.kind === 'decl') {
+                            init = this.declarationLines(s.init, true).join(' ').replace(/;$/, '');
+                        } else {
+                            init = this.expressionStatement(s.init.expr).join(' ').replace(/;$/, '');
+                        }
+                    }
+                    const cond = s.cond ? this.coerce(this.expr(s.cond), 'bool').code : '';
+                    let update = '';
+                    if (s.update) {
+                        const updates = this.expressionStatement(s.update);
+                        if (updates.length !== 1) this.fail('for-loop update must be a single statement', s.line);
+                        update = updates[0].replace(/;$/, '');
+                    }
+                    return [
+                        `${indent}for (${init}; ${cond}; ${update}) {`,
+                        ...this.bodyLines(s.body, depth + 1),
+                        `${indent}}`
+                    ];
+                } finally {
+                    this.scopes.pop();
+                }
+            }
+            case 'while': {
+                const cond = this.coerce(this.expr(s.cond), 'bool');
+                return [`${indent}while (${cond.code}) {`, ...this.bodyLines(s.body, depth + 1), `${indent}}`];
+            }
+            case 'do': {
+                const body = this.bodyLines(s.body, depth + 1);
+                const cond = this.coerce(this.expr(s.cond), 'bool');
+                return [
+                    `${indent}loop {`, ...body,
+                    `${indent}    continuing {`, `${indent}        break if !(${cond.code});`, `${indent}    }`,
+                    `${indent}}`
+                ];
+            }
+            case 'return':
+                return [indent + this.returnStatement(s)];
+            case 'break':
+            case 'continue':
+            case 'discard':
+                return [`${indent}${s.kind};`];
+            default:
+                return this.fail(`unsupported statement "${s.kind}"`, s.line);
+        }
+    }
+
+    returnStatement(s) {
+        if (this.fn.depth > 0) this.fn.uniformFlow = false;
+        if (this.fn.kind === 'fragmentMain') {
+            if (s.value) this.fail('main() cannot return a value', s.line);
+            this.fn.returnedEarly = true;
+            return `return ${this.fn.fragColor};`;
+        }
+        if (this.fn.kind === 'vertexMain') return 'return output;';
+        if (!s.value) return 'return;';
+        return `return ${this.coerce(this.expr(s.value), this.fn.returnType).code};`;
+    }
+
+    declarationLines(s, forInit = false) {
+        const lines = [];
+        for (const d of s.declarators) {
+            const name = this.safeName(d.name);
+            const type = wgslType(d.type, this.structNames);
+            const init = d.init ? this.coerce(this.expr(d.init), d.type) : null;
+            let keyword;
+            if (s.constant && init) {
+                keyword = 'const';
+            } else if (forInit || !init || isArrayType(d.type) || this.fn.mutated.has(d.name)) {
+                keyword = 'var';
+            } else {
+                keyword = 'let';
+            }
+            this.declare(d.name, { type: d.type, code: name, constant: keyword === 'const' });
+            lines.push(`${keyword} ${name}: ${type}${init ? ' = ' + init.code : ''};`);
+        }
+        return lines;
+    }
+
+    // Assignments, increments and calls
+    expressionStatement(e) {
+        switch (e.kind) {
+            case 'assign':
+                return this.assignment(e);
+            case 'postfix':
+            case 'unary':
+                if (e.op === '++' || e.op === '--') {
+                    const target = this.lvalue(e.operand);
+                    if (scalarType(target.type) === 'float' || vectorSize(target.type) > 1) {
+                        const one = scalarType(target.type) === 'float' ? '1.0' : '1';
+                        return [`${target.code} ${e.op[0]}= ${one};`];
+                    }
+                    return [`${target.code}${e.op};`];
+                }
+                break;
+            case 'call': {
+                const call = this.expr(e);
+                return [call.type === 'void' || call.userCall ? `${call.code};` : `_ = ${call.code};`];
+            }
+            case 'sequence':
+                return e.exprs.flatMap(x => this.expressionStatement(x));
+        }
+        this.warn('expression statement has no effect', e.line);
+        return [];
+    }
+
+    assignment(e) {
+        if (e.op === '^^=') this.fail('^^= is not supported', e.line);
+
+        // a = b = x: assign b, then a from b
+        if (e.value.kind === 'assign') {
+            const inner = this.assignment(e.value);
+            return inner.concat(this.assignment({ ...e, value: e.value.target }));
+        }
+
+        // Multi-component swizzle targets are rebuilt as a whole vector
+        if (e.target.kind === 'member' && e.target.name.length > 1) {
+            const object = this.lvalue(e.target.object);
+            if (vectorSize(object.type) > 1) return this.swizzleAssignment(e, object);
+        }
+
+        const target = this.lvalue(e.target);
+        let value = this.expr(e.value);
+        if (e.op === '=') {
+            value = this.coerce(value, target.type);
+        } else {
+            const op = e.op.slice(0, -1);
+            if (scalarType(value.type) !== scalarType(target.type) && !value.abstract) {
+                value = this.coerce(value, vectorType(scalarType(target.type), vectorSize(value.type) || 1));
+            }
+            // WGSL has no matrix /= or vector *= matrix shorthand issues; spell them out
+            if (op === '*' && matrixShape(value.type) && !matrixShape(target.type)) {
+                return [`${target.code} = ${target.code} * ${value.code};`];
+            }
+        }
+        return [`${target.code} ${e.op} ${value.code};`];
+    }
+
+    swizzleAssignment(e, object) {
+        const size = vectorSize(object.type);
+        const components = this.swizzleIndices(e.target.name, size, e.line);
+        if (new Set(components).size !== components.length) this.fail(`cannot assign to .${e.target.name}`, e.line);
+        const scalar = scalarType(object.type);
+        const letters = e.target.name[0] && 'rgba'.includes(e.target.name[0]) ? 'rgba' : 'xyzw';
+        const partType = vectorType(scalar, components.length);
+
+        let value = this.expr(e.value);
+        if (e.op !== '=') {
+            const current = `${object.code}.${components.map(i => letters[i]).join('')}`;
+            const op = e.op.slice(0, -1);
+            const right = this.coerceScalar(value, scalar);
+            value = { code: `${current} ${op} ${paren(right, PREC[BINARY_CLASS[op]] + 1)}`, type: partType, prec: PREC[BINARY_CLASS[op]] };
+        }
+        value = this.coerce(value, partType);
+
+        const lines = [];
+        const inOrder = components.every((c, i) => i === 0 || c === components[i - 1] + 1);
+        const parts = [];
+        if (inOrder && components.length === size) {
+            return [`${object.code} = ${value.code};`];
+        }
+        if (inOrder) {
+            for (let i = 0; i < size; i++) {
+                if (i === components[0]) parts.push(value.code);
+                else if (!components.includes(i)) parts.push(`${object.code}.${letters[i]}`);
+            }
+        } else {
+            const temp = this.unique('swizzled');
+            lines.push(`let ${temp}: ${wgslType(partType)} = ${value.code};`);
+            for (let i = 0; i < size; i++) {
+                const j = components.indexOf(i);
+                parts.push(j >= 0 ? `${temp}.${letters[j]}` : `${object.code}.${letters[i]}`);
+            }
+        }
+        lines.push(`${object.code} = ${wgslType(object.type)}(${parts.join(', ')});`);
+        return lines;
+    }
+
+    lvalue(node) {
+        if (node.kind === 'ident') {
+            const info = this.lookup(node.name, node.line);
+            if (info.readonly || info.constant) this.fail(`cannot assign to "${node.name}"`, node.line);
+            return { code: info.code, type: info.type };
+        }
+        if (node.kind === 'member' || node.kind === 'index') return this.expr(node);
+        return this.fail('invalid assignment target', node.line);
     }
 
+    // ---- Expressions ----
+
     /**
-     * Convert GLSL built-in functions to WGSL
+     * WGSL for an expression: { code, type (GLSL), prec }. `abstract` marks
+     * untyped literals and macro consts, which WGSL converts by itself.
      */
-    convertFunctions(code) {
-        const functionMap = [
-            // Texture sampling
-            [/texture2D\s*\(\s*(\w+)\s*,\s*([^)]+)\)/g, 'textureSample($1, $1Sampler, $2)'],
-            
-            // Math functions (most are same, but some differ)
-            [/fract\s*\(/g, 'fract('],
-            [/mix\s*\(/g, 'mix('],
-            [/mod\s*\(/g, 'fract('],  // Note: mod(x,y) in GLSL ≈ x - y * floor(x/y), but fract for mod(x,1.0)
-            
-            // Type constructors - add 'f' suffix
-            [/\bvec2\s*\(/g, 'vec2f('],
-            [/\bvec3\s*\(/g, 'vec3f('],
-            [/\bvec4\s*\(/g, 'vec4f('],
-            [/\bmat2\s*\(/g, 'mat2x2f('],
-            [/\bmat3\s*\(/g, 'mat3x3f('],
-            [/\bmat4\s*\(/g, 'mat4x4f('],
-        ];
-
-        let result = code;
-        for (const [pattern, replacement] of functionMap) {
-            result = result.replace(pattern, replacement);
-        }
-        
-        // Fix float literals properly
-        // Step 1: Add .0 to integers used as floats (but not in array indices or loop counters)
-        result = result.replace(/\b(\d+)\b(?!\.)(?!\])/g, '$1.0');
-        
-        // Step 2: Fix double decimals like 0.5.0 -> 0.5
-        result = result.replace(/(\d+)\.(\d+)\.0/g, '$1.$2');
-        
-        // Step 3: Fix integer loop variables (restore them)
-        result = result.replace(/for\s*\(\s*(?:var\s+)?(\w+)\s*(?::\s*\w+\s*)?=\s*(-?\d+)\.0\s*;/g, 'for (var $1: i32 = $2;');
-        
+    expr(node) {
+        switch (node.kind) {
+            case 'number':
+                return this.numberLiteral(node.text, node.line);
+            case 'bool':
+                return { code: String(node.value), type: 'bool', prec: PREC.primary };
+            case 'ident': {
+                const info = this.lookup(node.name, node.line);
+                return { code: info.code, type: info.type, prec: PREC.primary, abstract: info.abstract, info };
+            }
+            case 'member':
+                return this.member(node);
+            case 'index': {
+                const object = this.expr(node.object);
+                const index = this.expr(node.index);
+                if (scalarType(index.type) !== 'int' && scalarType(index.type) !== 'uint') {
+                    this.fail('array index must be an int', node.line);
+                }
+                let type;
+                if (isArrayType(object.type)) type = arrayElement(object.type);
+                else if (matrixShape(object.type)) type = vectorType('float', matrixShape(object.type).rows);
+                else if (vectorSize(object.type) > 1) type = scalarType(object.type);
+                else this.fail(`cannot index a ${object.type}`, node.line);
+                return { code: `${paren(object, PREC.primary)}[${index.code}]`, type, prec: PREC.primary };
+            }
+            case 'call':
+                return this.call(node);
+            case 'unary':
+                return this.unary(node);
+            case 'postfix':
+                return this.fail(`${node.op} inside an expression is not supported; use a separate statement`, node.line);
+            case 'binary':
+                return this.binary(node);
+            case 'ternary': {
+                const cond = this.coerce(this.expr(node.cond), 'bool');
+                const [then, otherwise] = this.withFlow(() => this.unify(this.expr(node.then), this.expr(node.else)));
+                return { code: `select(${otherwise.code}, ${then.code}, ${cond.code})`, type: then.type, prec: PREC.primary };
+            }
+            case 'assign':
+                return this.fail('assignments inside expressions are not supported', node.line);
+            case 'sequence':
+                return this.fail('the comma operator is not supported here', node.line);
+        }
+        return this.fail(`unsupported expression "${node.kind}"`, node.line);
+    }
+
+    numberLiteral(text, line) {
+        const clean = text.replace(/[fF]$/, '');
+        if (/[uU]$/.test(clean)) return { code: clean.slice(0, -1) + 'u', type: 'uint', prec: PREC.primary };
+        if (/^0[xX]/.test(clean)) return { code: clean, type: 'int', prec: PREC.primary, literal: true };
+        if (/^\d+$/.test(clean)) {
+            // GLSL octal (010) has no WGSL spelling
+            const code = /^0\d/.test(clean) ? String(parseInt(clean, 8)) : clean;
+            return { code, type: 'int', prec: PREC.primary, literal: true };
+        }
+        if (!/^(?:\d+\.\d*|\.\d+|\d+)(?:[eE][+-]?\d+)?$/.test(clean)) this.fail(`bad number "${text}"`, line);
+        let code = clean;
+        if (code.startsWith('.')) code = '0' + code;
+        code = code.replace(/\.(?=[eE]|$)/, '.0');
+        return { code, type: 'float', prec: PREC.primary, literal: true };
+    }
+
+    swizzleIndices(name, size, line) {
+        const set = SWIZZLE_SETS.find(s => s.includes(name[0]));
+        const indices = set ? Array.from(name, c => set.indexOf(c)) : [-1];
+        if (name.length > 4 || indices.some(i => i < 0 || i >= size)) {
+            this.fail(`invalid swizzle .${name} on a ${size}-component vector`, line);
+        }
+        return indices;
+    }
+
+    member(node) {
+        const object = this.expr(node.object);
+        if (this.structs.has(object.type)) {
+            const field = this.structs.get(object.type).find(f => f.name === node.name);
+            if (!field) this.fail(`${object.type} has no field "${node.name}"`, node.line);
+            return { code: `${paren(object, PREC.primary)}.${this.safeName(node.name)}`, type: field.type, prec: PREC.primary };
+        }
+        const size = vectorSize(object.type);
+        if (size < 1) this.fail(`cannot read .${node.name} of a ${object.type}`, node.line);
+        const indices = this.swizzleIndices(node.name, Math.max(size, 1), node.line);
+        // stpq has no WGSL spelling
+        const letters = node.name[0] && 'stpq'.includes(node.name[0]) ? indices.map(i => 'xyzw'[i]).join('') : node.name;
+        const type = vectorType(scalarType(object.type), indices.length);
+        if (size === 1) {
+            // Swizzling a scalar (x.xxx) is a splat
+            return { code: indices.length === 1 ? object.code : `${wgslType(type)}(${object.code})`, type, prec: PREC.primary };
+        }
+        return { code: `${paren(object, PREC.primary)}.${letters}`, type, prec: PREC.primary };
+    }
+
+    unary(node) {
+        if (node.op === '++' || node.op === '--') {
+            this.fail(`${node.op} inside an expression is not supported; use a separate statement`, node.line);
+        }
+        const operand = this.expr(node.operand);
+        if (node.op === '+') return operand;
+        if (node.op === '!' && vectorSize(operand.type) !== 1) this.fail('! needs a bool', node.line);
+        const result = { code: `${node.op}${paren(operand, PREC.unary)}`, type: operand.type, prec: PREC.unary };
+        if (operand.literal && node.op === '-') {
+            result.literal = true;
+            result.prec = PREC.primary;
+        }
+        result.abstract = operand.abstract;
         return result;
     }
-    
-    /**
-     * Extract helper functions from GLSL code
-     */
-    extractHelperFunctions(glsl) {
-        const helpers = [];
-        // Match function definitions (not main)
-        const functionRegex = /((?:float|vec2|vec3|vec4|int|bool|mat2|mat3|mat4)\s+(\w+)\s*\([^)]*\)\s*{(?:[^{}]|{[^{}]*})*})/g;
-        
-        let match;
-        while ((match = functionRegex.exec(glsl)) !== null) {
-            const funcName = match[2];
-            if (funcName !== 'main') {
-                const funcCode = match[1];
-                helpers.push({ name: funcName, code: funcCode });
-            }
-        }
-        
-        return helpers;
-    }
-    
-    /**
-     * Convert a helper function from GLSL to WGSL
-     */
-    convertHelperFunction(glslFunc) {
-        let wgsl = glslFunc;
-        
-        // Convert return type
-        wgsl = wgsl.replace(/^(float|vec2|vec3|vec4|int|bool|mat2|mat3|mat4)/, (match) => {
-            return this.convertType(match);
-        });
-        
-        // Convert parameter types
-        wgsl = wgsl.replace(/\(([^)]+)\)/, (match, params) => {
-            const convertedParams = params.split(',').map(param => {
-                param = param.trim();
-                const parts = param.match(/(\w+)\s+(\w+)/);
-                if (parts) {
-                    const type = this.convertType(parts[1]);
-                    const name = parts[2];
-                    return `${name}: ${type}`;
+
+    binary(node) {
+        let left = this.expr(node.left);
+        let right;
+        if (node.op === '&&' || node.op === '||') {
+            // The right side may not run: not uniform control flow
+            right = this.withFlow(() => this.expr(node.right));
+        } else {
+            right = this.expr(node.right);
+        }
+        const op = node.op === '^^' ? '!=' : node.op;
+        const cls = BINARY_CLASS[op];
+        const prec = PREC[cls];
+
+        if (cls === 'logical' || node.op === '^^') {
+            left = this.coerce(left, 'bool');
+            right = this.coerce(right, 'bool');
+            // WGSL needs parentheses to mix && and ||
+            const side = e => (e.prec === PREC.logical ? e.op !== op : e.prec < PREC.relational) ? `(${e.code})` : e.code;
+            return { code: `${side(left)} ${op} ${side(right)}`, type: 'bool', prec, op };
+        }
+
+        [left, right] = this.unifyScalars(left, right);
+
+        if (cls === 'relational') {
+            const code = `${paren(left, PREC.shift)} ${op} ${paren(right, PREC.shift)}`;
+            if ((op === '==' || op === '!=') && (vectorSize(left.type) > 1 || vectorSize(right.type) > 1)) {
+                return { code: `${op === '==' ? 'all' : 'any'}(${code})`, type: 'bool', prec: PREC.primary };
+            }
+            if (!vectorSize(left.type) || isArrayType(left.type)) this.fail(`cannot compare ${left.type} values`, node.line);
+            return { code, type: 'bool', prec, op };
+        }
+        if (cls === 'bitwise' || cls === 'shift') {
+            const code = `${paren(left, PREC.shift + 1)} ${op} ${paren(right, PREC.shift + 1)}`;
+            return { code, type: left.type, prec, op };
+        }
+
+        // Arithmetic
+        let type;
+        const lm = matrixShape(left.type);
+        const rm = matrixShape(right.type);
+        if (op === '*' && lm && rm) type = `mat${rm.columns}x${lm.rows}`.replace(/^mat(\d)x\1$/, 'mat$1');
+        else if (op === '*' && lm && vectorSize(right.type) > 1) type = vectorType('float', lm.rows);
+        else if (op === '*' && rm && vectorSize(left.type) > 1) type = vectorType('float', rm.columns);
+        else if (lm) type = left.type;
+        else if (rm) type = right.type;
+        else type = vectorSize(left.type) >= vectorSize(right.type) ? left.type : right.type;
+
+        const code = `${paren(left, prec)} ${op} ${paren(right, prec + 1)}`;
+        return { code, type, prec, op, abstract: left.abstract && right.abstract };
+    }
+
+    // int and float operands meet as floats (GLSL ES 3 promotes)
+    unifyScalars(left, right) {
+        const ls = scalarType(left.type);
+        const rs = scalarType(right.type);
+        if (ls === rs || !ls || !rs) return [left, right];
+        if (ls === 'float' && (rs === 'int' || rs === 'uint')) return [left, this.coerceScalar(right, 'float')];
+        if (rs === 'float' && (ls === 'int' || ls === 'uint')) return [this.coerceScalar(left, 'float'), right];
+        return [left, right];
+    }
+
+    unify(a, b) {
+        [a, b] = this.unifyScalars(a, b);
+        const size = Math.max(vectorSize(a.type), vectorSize(b.type));
+        if (vectorSize(a.type) === size) return [a, this.coerce(b, a.type)];
+        return [this.coerce(a, b.type), b];
+    }
+
+    coerceScalar(e, scalar) {
+        if (scalarType(e.type) === scalar || e.abstract) return e;
+        return this.coerce(e, vectorType(scalar, vectorSize(e.type) || 1));
+    }
+
+    // Convert to a GLSL type where WGSL needs it explicitly
+    coerce(e, type) {
+        if (e.type === type || e.abstract || !type) return e;
+        const from = scalarType(e.type);
+        const to = scalarType(type);
+        const fromSize = vectorSize(e.type);
+        const toSize = vectorSize(type);
+        if (!from || !to || fromSize !== toSize) {
+            if (fromSize === 1 && toSize > 1 && from === to) {
+                return { code: `${wgslType(type)}(${e.code})`, type, prec: PREC.primary };
+            }
+            return e;   // mismatches GLSL would reject are left for the WGSL compiler
+        }
+        if (e.literal && from === 'int' && to === 'float') {
+            return { code: /^-?0[xX]/.test(e.code) ? `f32(${e.code})` : e.code + '.0', type, prec: PREC.primary, literal: true };
+        }
+        return { code: `${wgslType(type)}(${e.code})`, type, prec: PREC.primary };
+    }
+
+    // ---- Calls ----
+
+    call(node) {
+        const callee = node.callee;
+        if (isArrayType(callee)) {
+            const element = arrayElement(callee);
+            const args = node.args.map(a => this.coerce(this.expr(a), element).code);
+            return { code: `${wgslType(callee, this.structNames)}(${args.join(', ')})`, type: callee, prec: PREC.primary };
+        }
+        if (this.structs.has(callee)) {
+            const fields = this.structs.get(callee);
+            const args = node.args.map((a, i) => this.coerce(this.expr(a), fields[i] && fields[i].type).code);
+            return { code: `${this.structNames[callee]}(${args.join(', ')})`, type: callee, prec: PREC.primary };
+        }
+        if (GLSL_BUILTIN_TYPES.has(callee)) return this.constructor_(callee, node);
+        if (this.functions.has(callee)) return this.userCall(callee, node);
+        return this.builtin(callee, node);
+    }
+
+    constructor_(type, node) {
+        const args = node.args.map(a => this.expr(a));
+        const target = wgslType(type);
+        const scalar = scalarType(type);
+        const size = vectorSize(type);
+        const matrix = matrixShape(type);
+
+        if (size === 1) {
+            if (args.length !== 1) this.fail(`${type}() takes one argument`, node.line);
+            let arg = args[0];
+            if (vectorSize(arg.type) > 1) arg = { code: `${paren(arg, PREC.primary)}.x`, type: scalarType(arg.type), prec: PREC.primary };
+            if (arg.type === type) return arg;
+            if (arg.literal && scalar === 'float') return this.coerce(arg, 'float');
+            return { code: `${target}(${arg.code})`, type, prec: PREC.primary };
+        }
+        if (size > 1) {
+            if (args.length === 1 && vectorSize(args[0].type) > size) {
+                // vec3(v4) keeps the first components
+                const arg = args[0];
+                const swizzled = { code: `${paren(arg, PREC.primary)}.${'xyzw'.slice(0, size)}`, type: vectorType(scalarType(arg.type), size), prec: PREC.primary };
+                return this.coerce(swizzled, type);
+            }
+            const converted = args.map(a => this.coerceScalar(a, scalar).code);
+            return { code: `${target}(${converted.join(', ')})`, type, prec: PREC.primary };
+        }
+        if (matrix) {
+            if (args.length === 1 && vectorSize(args[0].type) === 1) {
+                // mat3(s) is s on the diagonal
+                const s = this.coerce(args[0], 'float').code;
+                const values = [];
+                for (let c = 0; c < matrix.columns; c++) {
+                    for (let r = 0; r < matrix.rows; r++) values.push(c === r ? s : '0.0');
                 }
-                return param;
-            }).join(', ');
-            return `(${convertedParams})`;
-        });
-        
-        // Convert types in function body
-        wgsl = this.convertFunctions(wgsl);
-        
-        // Convert type declarations inside function
-        wgsl = wgsl.replace(/\b(float|vec2|vec3|vec4|int|bool)\s+(\w+)/g, (match, type, name) => {
-            return `var ${name}: ${this.convertType(type)}`;
+                return { code: `${target}(${values.join(', ')})`, type, prec: PREC.primary };
+            }
+            if (args.length === 1 && matrixShape(args[0].type)) {
+                this.fail('matrix resizing constructors are not supported', node.line);
+            }
+            const converted = args.map(a => this.coerceScalar(a, 'float').code);
+            return { code: `${target}(${converted.join(', ')})`, type, prec: PREC.primary };
+        }
+        return this.fail(`cannot construct a ${type}`, node.line);
+    }
+
+    userCall(name, node) {
+        const args = node.args.map(a => this.expr(a));
+        const overloads = this.functions.get(name);
+        const exact = overloads.find(o => o.params.length === args.length &&
+            o.params.every((p, i) => p.type === args[i].type));
+        const loose = overloads.filter(o => o.params.length === args.length &&
+            o.params.every((p, i) => vectorSize(p.type) === vectorSize(args[i].type) || p.type === args[i].type));
+        const signature = exact || (loose.length === 1 ? loose[0] : null);
+        if (!signature) this.fail(`no ${name}() takes (${args.map(a => a.type).join(', ')})`, node.line);
+
+        const code = [];
+        signature.params.forEach((p, i) => {
+            const arg = args[i];
+            if (p.qualifier !== 'in') {
+                const info = arg.info;
+                if (info && info.pointer) code.push(info.pointer);
+                else if (node.args[i].kind === 'member' && vectorSize(this.expr(node.args[i].object).type) > 1) {
+                    this.fail(`a vector component cannot be passed as ${p.qualifier}`, node.line);
+                } else code.push(`&${arg.code}`);
+            } else if (p.type === 'sampler2D') {
+                if (!arg.info || !arg.info.texture) this.fail('sampler arguments must be sampler names', node.line);
+                code.push(arg.info.texture, arg.info.sampler);
+            } else {
+                code.push(this.coerce(arg, p.type).code);
+            }
         });
-        
-        return wgsl;
+        return { code: `${signature.wgslName}(${code.join(', ')})`, type: signature.returnType, prec: PREC.primary, userCall: true };
+    }
+
+    builtin(name, node) {
+        const line = node.line;
+        if (name === 'texture2D' || name === 'texture' || name === 'texture2DLod' || name === 'textureLod') {
+            return this.textureCall(name, node);
+        }
+
+        const args = node.args.map(a => this.expr(a));
+        const widest = (list) => list.reduce((best, a) => vectorSize(a.type) > vectorSize(best.type) ? a : best, list[0]);
+        const floatArgs = () => args.map(a => this.coerceScalar(a, 'float'));
+
+        if (COMPARISON_BUILTINS[name]) {
+            const [a, b] = this.unifyScalars(args[0], args[1]);
+            const type = vectorType('bool', vectorSize(a.type));
+            return { code: `(${a.code} ${COMPARISON_BUILTINS[name]} ${b.code})`, type, prec: PREC.primary };
+        }
+        if (name === 'not') return { code: `!${paren(args[0], PREC.unary)}`, type: args[0].type, prec: PREC.unary };
+        if (name === 'any' || name === 'all') return { code: `${name}(${args[0].code})`, type: 'bool', prec: PREC.primary };
+        if (name === 'length' || name === 'distance' || name === 'dot') {
+            return { code: `${name}(${floatArgs().map(a => a.code).join(', ')})`, type: 'float', prec: PREC.primary };
+        }
+        if (name === 'cross') return { code: `cross(${args.map(a => a.code).join(', ')})`, type: 'vec3', prec: PREC.primary };
+        if (name === 'atan' && args.length === 2) name = 'atan2';
+        else if (name === 'atan') name = 'atan';
+
+        if (name === 'mix') {
+            const last = args[2];
+            if (last && scalarType(last.type) === 'bool') {
+                const [a, b] = this.unify(args[0], args[1]);
+                return { code: `select(${a.code}, ${b.code}, ${last.code})`, type: a.type, prec: PREC.primary };
+            }
+            const type = widest(args.slice(0, 2).concat(vectorSize(last.type) > 1 ? [last] : [])).type;
+            const size = vectorSize(type);
+            const splat = a => this.splat(this.coerceScalar(a, 'float'), size).code;
+            const t = vectorSize(last.type) === 1 ? this.coerceScalar(last, 'float').code : splat(last);
+            return { code: `mix(${splat(args[0])}, ${splat(args[1])}, ${t})`, type: vectorType('float', size), prec: PREC.primary };
+        }
+
+        if (name === 'mod') {
+            const type = widest(args).type;
+            const x = this.splat(this.coerceScalar(args[0], 'float'), vectorSize(type));
+            const y = this.splat(this.coerceScalar(args[1], 'float'), vectorSize(type));
+            const helper = this.modHelper(vectorType('float', vectorSize(type)));
+            return { code: `${helper}(${x.code}, ${y.code})`, type: x.type, prec: PREC.primary };
+        }
+
+        const wgslName = RENAMED_BUILTINS[name] || name;
+        if (SAME_NAME_BUILTINS.has(name) || RENAMED_BUILTINS[name] || name === 'atan' || name === 'atan2') {
+            if (args.length === 0) this.fail(`${name}() needs arguments`, line);
+            let converted = args;
+            let type = widest(args).type;
+            const integer = args.every(a => scalarType(a.type) === 'int' || a.abstract) &&
+                ['abs', 'sign', 'min', 'max', 'clamp'].includes(name) && args.some(a => !a.abstract);
+            if (!integer) {
+                converted = floatArgs();
+                type = vectorType('float', vectorSize(type) || 1);
+            }
+            if (SPLAT_BUILTINS.has(name)) {
+                converted = converted.map(a => this.splat(a, vectorSize(type)));
+            } else if (name === 'reflect' || name === 'refract' || name === 'faceforward') {
+                type = args[0].type;
+            }
+            if (name === 'refract') type = args[0].type;
+            return { code: `${wgslName}(${converted.map(a => a.code).join(', ')})`, type, prec: PREC.primary };
+        }
+
+        if (name === 'matrixCompMult') this.fail('matrixCompMult is not supported', line);
+        return this.fail(`unknown function "${name}"`, line);
+    }
+
+    splat(e, size) {
+        if (vectorSize(e.type) === size || size <= 1 || vectorSize(e.type) !== 1) return e;
+        const type = vectorType(scalarType(e.type), size);
+        return { code: `${wgslType(type)}(${e.code})`, type, prec: PREC.primary };
+    }
+
+    // mod(x, y) = x - y * floor(x / y); WGSL's % truncates instead
+    modHelper(type) {
+        const wgsl = wgslType(type);
+        const name = `mod_${wgsl}`;
+        if (!this.helpers.has(name)) {
+            this.usedNames.add(name);
+            this.helpers.set(name, `// GLSL mod(): the result takes the sign of y\nfn ${name}(x: ${wgsl}, y: ${wgsl}) -> ${wgsl} {\n    return x - y * floor(x / y);\n}`);
+        }
+        return name;
+    }
+
+    textureCall(name, node) {
+        const [sampler, ...rest] = node.args;
+        const target = this.expr(sampler);
+        if (!target.info || !target.info.texture) this.fail(`${name}() needs a sampler2D`, node.line);
+        const uv = this.coerce(this.expr(rest[0]), 'vec2');
+        const textures = `${target.info.texture}, ${target.info.sampler}`;
+
+        // Implicit-derivative sampling is only valid in uniform control
+        // flow of the fragment stage; elsewhere read mip level 0 (every
+        // chain texture has just that one)
+        if (name === 'texture2DLod' || name === 'textureLod') {
+            const lod = this.coerce(this.expr(rest[1]), 'float');
+            return { code: `textureSampleLevel(${textures}, ${uv.code}, ${lod.code})`, type: 'vec4', prec: PREC.primary };
+        }
+        const uniform = this.stage === 'fragment' && this.fn.kind === 'fragmentMain' && this.fn.uniformFlow;
+        if (!uniform) {
+            return { code: `textureSampleLevel(${textures}, ${uv.code}, 0.0)`, type: 'vec4', prec: PREC.primary };
+        }
+        if (rest.length > 1) {
+            const bias = this.coerce(this.expr(rest[1]), 'float');
+            return { code: `textureSampleBias(${textures}, ${uv.code}, ${bias.code})`, type: 'vec4', prec: PREC.primary };
+        }
+        return { code: `textureSample(${textures}, ${uv.code})`, type: 'vec4', prec: PREC.primary };
+    }
+}
+
+function paren(e, minPrec) {
+    return e.prec < minPrec ? `(${e.code})` : e.code;
+}
+
+// ------------------------------------------------------------
+// Tree walks
+// ------------------------------------------------------------
+
+function walk(node, visit) {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+        node.forEach(n => walk(n, visit));
+        return;
+    }
+    if (node.kind) visit(node);
+    for (const key of Object.keys(node)) {
+        if (key === 'comments' || key === 'endComments' || key === 'signature') continue;
+        const value = node[key];
+        if (value && typeof value === 'object') walk(value, visit);
+    }
+}
+
+function rootName(node) {
+    while (node && (node.kind === 'member' || node.kind === 'index')) node = node.object;
+    return node && node.kind === 'ident' ? node.name : null;
+}
+
+// Names a function body assigns, increments or passes as out/inout
+function collectMutations(body, writer) {
+    const mutated = new Set();
+    walk(body, node => {
+        if (node.kind === 'assign') mutated.add(rootName(node.target));
+        if ((node.kind === 'unary' || node.kind === 'postfix') && (node.op === '++' || node.op === '--')) {
+            mutated.add(rootName(node.operand));
+        }
+        if (node.kind === 'call' && writer.functions.has(node.callee)) {
+            for (const signature of writer.functions.get(node.callee)) {
+                signature.params.forEach((p, i) => {
+                    if (p.qualifier !== 'in' && node.args[i]) mutated.add(rootName(node.args[i]));
+                });
+            }
+        }
+        // Arrays indexed by a variable are kept in a var
+        if (node.kind === 'index' && node.index.kind !== 'number') mutated.add(rootName(node.object));
+    });
+    mutated.delete(null);
+    return mutated;
+}
+
+function containsReturn(body) {
+    let found = false;
+    walk(body, node => {
+        if (node.kind === 'return') found = true;
+    });
+    return found;
+}
+
+function countIdentifier(body, name) {
+    let count = 0;
+    walk(body, node => {
+        if (node.kind === 'ident' && node.name === name) count++;
+    });
+    return count;
+}
+
+function endsWithReturn(statements) {
+    const last = statements[statements.length - 1];
+    return !!last && last.kind === 'return';
+}
+
+// ------------------------------------------------------------
+// Files
+// ------------------------------------------------------------
+
+class GLSLtoWGSLConverter {
+    constructor() {
+        this.warnings = [];
     }
 
     /**
-     * Convert vertex shader from GLSL to WGSL
+     * Convert a parsed GLSL shader config (TStorieShaderPackage) to
+     * { vertexShader, fragmentShader, warnings }
      */
-    convertVertexShader(glsl) {
-        let wgsl = '';
-        
-        // Parse attributes and varyings
-        const attributeRegex = /attribute\s+(\w+)\s+(\w+);/g;
-        const varyingRegex = /varying\s+(\w+)\s+(\w+);/g;
-        
-        const attributes = [];
-        const varyings = [];
-        
-        let match;
-        while ((match = attributeRegex.exec(glsl)) !== null) {
-            attributes.push({ type: match[1], name: match[2] });
-        }
-        
-        while ((match = varyingRegex.exec(glsl)) !== null) {
-            varyings.push({ type: match[1], name: match[2] });
-        }
-        
-        // Create VertexOutput struct
-        if (varyings.length > 0) {
-            wgsl += 'struct VertexOutput {\n';
-            wgsl += '    @builtin(position) position: vec4f,\n';
-            varyings.forEach((varying, i) => {
-                const wgslType = this.convertType(varying.type);
-                wgsl += `    @location(${i}) ${varying.name}: ${wgslType},\n`;
-            });
-            wgsl += '}\n\n';
-        }
-        
-        // Start vertex function
-        wgsl += '@vertex\n';
-        wgsl += 'fn vertexMain(\n';
-        
-        // Add attributes as parameters
-        attributes.forEach((attr, i) => {
-            const wgslType = this.convertType(attr.type);
-            wgsl += `    @location(${i}) ${attr.name}: ${wgslType}`;
-            if (i < attributes.length - 1) wgsl += ',';
-            wgsl += '\n';
-        });
-        
-        wgsl += ') -> VertexOutput {\n';
-        wgsl += '    var output: VertexOutput;\n';
-        
-        // Extract main function body
-        const mainMatch = glsl.match(/void\s+main\s*\(\s*\)\s*{([\s\S]*?)}/);
-        if (mainMatch) {
-            let body = mainMatch[1];
-            
-            // Replace varying assignments with output struct assignments
-            varyings.forEach(varying => {
-                body = body.replace(
-                    new RegExp(`\\b${varying.name}\\b`, 'g'),
-                    `output.${varying.name}`
-                );
-            });
-            
-            // Replace gl_Position with output.position
-            body = body.replace(/gl_Position/g, 'output.position');
-            
-            // Convert functions
-            body = this.convertFunctions(body);
-            
-            wgsl += body;
-        }
-        
-        wgsl += '    return output;\n';
-        wgsl += '}\n';
-        
-        return wgsl;
+    convert(config) {
+        if (config.language === 'wgsl') throw new GLSLConversionError('shader is already WGSL');
+        const result = new WGSLWriter(config).convert();
+        this.warnings = result.warnings;
+        return result;
     }
 
     /**
-     * Convert fragment shader from GLSL to WGSL
+     * Convert the GLSL in a shader file's source (legacy getShaderConfig()
+     * script or package)
      */
-    convertFragmentShader(glsl) {
-        let wgsl = '';
-        this.uniformBindings = [];
-        this.bindingCounter = 0;
-        
-        // Extract helper functions first
-        const helperFunctions = this.extractHelperFunctions(glsl);
-        
-        // Parse uniforms
-        const uniformRegex = /uniform\s+(\w+)\s+(\w+);/g;
-        const varyingRegex = /varying\s+(\w+)\s+(\w+);/g;
-        
-        const uniforms = [];
-        const varyings = [];
-        
-        let match;
-        while ((match = uniformRegex.exec(glsl)) !== null) {
-            uniforms.push({ type: match[1], name: match[2] });
-        }
-        
-        while ((match = varyingRegex.exec(glsl)) !== null) {
-            varyings.push({ type: match[1], name: match[2] });
-        }
-        
-        // Create uniform bindings
-        const textureUniforms = uniforms.filter(u => u.type === 'sampler2D');
-        const dataUniforms = uniforms.filter(u => u.type !== 'sampler2D');
-        
-        // Textures and samplers
-        textureUniforms.forEach(texture => {
-            wgsl += `@group(0) @binding(${this.bindingCounter++}) var ${texture.name}: texture_2d<f32>;\n`;
-            wgsl += `@group(0) @binding(${this.bindingCounter++}) var ${texture.name}Sampler: sampler;\n`;
-            this.uniformBindings.push(texture.name);
-        });
-        
-        // Data uniforms in a struct
-        if (dataUniforms.length > 0) {
-            wgsl += '\nstruct Uniforms {\n';
-            dataUniforms.forEach(uniform => {
-                const wgslType = this.convertType(uniform.type);
-                wgsl += `    ${uniform.name}: ${wgslType},\n`;
-            });
-            wgsl += '}\n';
-            wgsl += `@group(0) @binding(${this.bindingCounter++}) var<uniform> uniforms: Uniforms;\n\n`;
-        }
-        
-        // Add converted helper functions BEFORE the main fragment function
-        if (helperFunctions.length > 0) {
-            helperFunctions.forEach(helper => {
-                const convertedHelper = this.convertHelperFunction(helper.code);
-                wgsl += convertedHelper + '\n\n';
-            });
-        }
-        
-        // Fragment function
-        wgsl += '@fragment\n';
-        wgsl += 'fn fragmentMain(\n';
-        
-        // Add varyings as input
-        if (varyings.length > 0) {
-            varyings.forEach((varying, i) => {
-                const wgslType = this.convertType(varying.type);
-                wgsl += `    @location(${i}) ${varying.name}: ${wgslType}`;
-                if (i < varyings.length - 1) wgsl += ',';
-                wgsl += '\n';
-            });
-        }
-        
-        wgsl += ') -> @location(0) vec4f {\n';
-        
-        // Extract main function body
-        const mainMatch = glsl.match(/void\s+main\s*\(\s*\)\s*{([\s\S]*?)}\s*$/m);
-        if (mainMatch) {
-            let body = mainMatch[1];
-            
-            // Replace gl_FragColor with return statement
-            body = body.replace(/gl_FragColor\s*=\s*([^;]+);/g, 'return $1;');
-            
-            // Replace uniform references with uniforms struct
-            dataUniforms.forEach(uniform => {
-                const regex = new RegExp(`\\b${uniform.name}\\b`, 'g');
-                body = body.replace(regex, `uniforms.${uniform.name}`);
-            });
-            
-            // Convert variable declarations
-            body = body.replace(/\b(float|vec2|vec3|vec4|int|bool)\s+(\w+)/g, (match, type, name) => {
-                return `var ${name}: ${this.convertType(type)}`;
-            });
-            
-            // Convert functions
-            body = this.convertFunctions(body);
-            
-            wgsl += body;
-        }
-        
-        wgsl += '}\n';
-        
-        return wgsl;
+    convertSource(content, name) {
+        const config = TStorieShaderPackage.parse(content, { name, trusted: true });
+        return this.convert(config);
     }
 
     /**
-     * Convert a complete shader file
+     * Convert a legacy shader file, keeping everything but the two shader
+     * sources (uniform comments, coordinateTransform, ...)
      */
     convertShaderFile(inputPath, outputPath) {
         console.log(`Converting: ${inputPath}`);
-        
+
         const content = fs.readFileSync(inputPath, 'utf8');
-        
-        // Extract shader config
-        const vertexMatch = content.match(/vertexShader:\s*`([\s\S]*?)`/);
-        const fragmentMatch = content.match(/fragmentShader:\s*`([\s\S]*?)`/);
-        
-        if (!vertexMatch || !fragmentMatch) {
-            console.error(`  ✗ Could not parse shader config from ${inputPath}`);
-            return false;
-        }
-        
-        const vertexGLSL = vertexMatch[1];
-        const fragmentGLSL = fragmentMatch[1];
-        
         try {
-            // Convert shaders
-            const vertexWGSL = this.convertVertexShader(vertexGLSL);
-            const fragmentWGSL = this.convertFragmentShader(fragmentGLSL);
-            
-            // Create new file content
+            const result = this.convertSource(content, path.basename(inputPath).replace(/\.js$/, ''));
+            const escape = code => code.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+
             const newContent = content
-                .replace(/vertexShader:\s*`[\s\S]*?`/, `vertexShader: \`${vertexWGSL}\``)
-                .replace(/fragmentShader:\s*`[\s\S]*?`/, `fragmentShader: \`${fragmentWGSL}\``);
-            
-            // Add API version marker
-            const finalContent = newContent.replace(
-                /function getShaderConfig\(\)/,
-                `function getShaderConfig() {\n    // WGSL shader (WebGPU) - Auto-converted from GLSL`
-            );
-            
-            fs.writeFileSync(outputPath, finalContent);
+                .replace(/vertexShader:\s*`[\s\S]*?`/, () => `vertexShader: \`${escape(result.vertexShader)}\``)
+                .replace(/fragmentShader:\s*`[\s\S]*?`/, () => `fragmentShader: \`${escape(result.fragmentShader)}\``)
+                .replace(/function getShaderConfig\(\)\s*\{/, 'function getShaderConfig() {\n    // WGSL shader (WebGPU) - converted from GLSL by tools/glsl_to_wgsl.js');
+
+            fs.writeFileSync(outputPath, newContent);
+            for (const warning of result.warnings) console.log(`  ⚠ ${warning}`);
             console.log(`  ✓ Converted successfully`);
-            console.log(`    Bindings used: ${this.bindingCounter}`);
             return true;
-            
         } catch (error) {
             console.error(`  ✗ Conversion failed: ${error.message}`);
             return false;
@@ -365,56 +2188,55 @@ class GLSLtoWGSLConverter {
         if (!fs.existsSync(outputDir)) {
             fs.mkdirSync(outputDir, { recursive: true });
         }
-        
-        const files = fs.readdirSync(inputDir);
-        const shaderFiles = files.filter(f => f.endsWith('.js'));
-        
+
+        const shaderFiles = fs.readdirSync(inputDir).filter(f => f.endsWith('.js')).sort();
         console.log(`Found ${shaderFiles.length} shader files\n`);
-        
-        let successCount = 0;
+
         let failCount = 0;
-        
-        shaderFiles.forEach(file => {
-            const inputPath = path.join(inputDir, file);
-            const outputPath = path.join(outputDir, file.replace('.js', '.wgsl.js'));
-            
-            if (this.convertShaderFile(inputPath, outputPath)) {
-                successCount++;
-            } else {
-                failCount++;
-            }
-        });
-        
+        for (const file of shaderFiles) {
+            const outputPath = path.join(outputDir, file.replace(/\.js$/, '.wgsl.js'));
+            if (!this.convertShaderFile(path.join(inputDir, file), outputPath)) failCount++;
+        }
+
         console.log(`\n=== Conversion Summary ===`);
-        console.log(`✓ Success: ${successCount}`);
+        console.log(`✓ Success: ${shaderFiles.length - failCount}`);
         console.log(`✗ Failed:  ${failCount}`);
-        console.log(`\nNote: Manual review recommended for:
-- Helper functions
-- Complex math operations
-- Custom texture sampling
-- Integer/float type conversions`);
+        return failCount;
     }
 }
 
 // CLI usage
 if (require.main === module) {
     const args = process.argv.slice(2);
-    
+
     if (args.length < 2) {
         console.log(`Usage: node glsl_to_wgsl.js <input-dir> <output-dir>`);
+        console.log(`       node glsl_to_wgsl.js <input.js> <output.wgsl.js>`);
         console.log(`Example: node glsl_to_wgsl.js docs/shaders docs/shaders/wgsl`);
         process.exit(1);
     }
-    
-    const [inputDir, outputDir] = args;
-    
-    if (!fs.existsSync(inputDir)) {
-        console.error(`Input directory not found: ${inputDir}`);
+
+    const [input, output] = args;
+
+    if (!fs.existsSync(input)) {
+        console.error(`Input not found: ${input}`);
         process.exit(1);
     }
-    
+
     const converter = new GLSLtoWGSLConverter();
-    converter.convertDirectory(inputDir, outputDir);
+    if (fs.statSync(input).isDirectory()) {
+        process.exit(converter.convertDirectory(input, output) > 0 ? 1 : 0);
+    } else {
+        process.exit(converter.convertShaderFile(input, output) ? 0 : 1);
+    }
 }
 
 module.exports = GLSLtoWGSLConverter;
+module.exports.GLSLtoWGSLConverter = GLSLtoWGSLConverter;
+module.exports.GLSLConversionError = GLSLConversionError;
+module.exports.uniformLayout = uniformLayout;
+module.exports.tokenize = tokenize;
+module.exports.preprocess = preprocess;
+module.exports.GLSLParser = GLSLParser;
+module.exports.parseGLSLNumber = parseGLSLNumber;
+module.exports.glslTypes = { vectorSize, scalarType, vectorType, matrixShape, isArrayType, arrayElement, arrayLength };
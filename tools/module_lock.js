@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Module Lock Generator for TStorie
+ *
+ * Fetches the modules a document requires (require("...") in its code
+ * blocks, and the modules those require) and writes the ```lock block that
+ * pins them to their current integrity hashes. The web module loader
+ * (web/module_loader.js) refuses locked modules whose code no longer
+ * matches.
+ *
+ * Relative module paths are read from disk, next to the document.
+ */
+
+const fs = require('fs');
+const { pathToFileURL, fileURLToPath } = require('url');
+const {
+    configureModuleLoader,
+    registerModuleResolver,
+    findModuleRefs,
+    generateModuleLock
+} = require('../web/module_loader.js');
+
+// Modules required by modules on disk resolve to file: URLs
+registerModuleResolver({
+    name: 'file',
+    matches: moduleRef => moduleRef.startsWith('file:'),
+    resolve: moduleRef => ({ url: moduleRef })
+});
+
+/**
+ * fetch() that also reads file: URLs
+ */
+async function fetchWithFiles(url) {
+    if (!url.startsWith('file:')) {
+        return fetch(url);
+    }
+    try {
+        return new Response(fs.readFileSync(fileURLToPath(url), 'utf8'));
+    } catch (error) {
+        return new Response(error.message, { status: 404, statusText: 'Not Found' });
+    }
+}
+
+/**
+ * The document with its ```lock block replaced (or added at the end)
+ */
+function replaceLockBlock(markdown, lockBlock) {
+    const existing = /^```lock[ \t]*\n[\s\S]*?^```[ \t]*$/m;
+    if (existing.test(markdown)) {
+        return markdown.replace(existing, () => lockBlock);
+    }
+    return markdown.replace(/\n*$/, '\n\n') + lockBlock + '\n';
+}
+
+async function lockDocument(docPath, { write = false, registry = null } = {}) {
+    const markdown = fs.readFileSync(docPath, 'utf8');
+    configureModuleLoader({
+        baseUrl: pathToFileURL(docPath).href,
+        fetch: fetchWithFiles,
+        ...(registry ? { registry } : {})
+    });
+
+    const refs = findModuleRefs(markdown);
+    for (const ref of refs) {
+        if (/^gist:[^@/]+\//.test(ref)) {
+            console.warn(`  ! ${ref} follows the latest gist revision; pin it (gist:ID@REVISION/file) so the lock can hold`);
+        }
+    }
+
+    const lockBlock = await generateModuleLock(refs);
+    if (write) {
+        fs.writeFileSync(docPath, replaceLockBlock(markdown, lockBlock));
+        console.log(`Locked ${refs.length} module(s) in ${docPath}`);
+    } else {
+        console.log(lockBlock);
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const write = args.includes('--write');
+    const registryIndex = args.indexOf('--registry');
+    const registry = registryIndex >= 0 ? args[registryIndex + 1] : null;
+    const inputs = args.filter((arg, i) => arg !== '--write' && (registryIndex < 0 || (i !== registryIndex && i !== registryIndex + 1)));
+
+    if (inputs.length !== 1) {
+        console.log(`Usage: node module_lock.js <document.md> [--write] [--registry <url>]`);
+        console.log(`Example: node module_lock.js docs/demos/story.md --write`);
+        process.exit(1);
+    }
+
+    lockDocument(inputs[0], { write, registry }).catch(error => {
+        console.error(`  ✗ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { lockDocument, replaceLockBlock };
@@ -0,0 +1,2217 @@
+/**
+ * Shader Interpreter for TStorie
+ *
+ * Runs GLSL (ES 1.0) and WGSL shaders on the CPU, so shader output can be
+ * checked without a GPU (tools/shader_parity.js). Both languages are parsed
+ * into the same syntax tree shape (GLSL with the parser from
+ * tools/glsl_to_wgsl.js), compiled to JavaScript closures, and drawn as the
+ * fullscreen quad both shader chains use.
+ *
+ * Values: float/int/uint are numbers, bool is a boolean, vectors are arrays,
+ * matrices arrays of columns, arrays arrays and structs plain objects. Every
+ * store copies, so a variable always owns its value.
+ */
+
+const {
+    tokenize, preprocess, GLSLParser, parseGLSLNumber, glslTypes
+} = require('./glsl_to_wgsl.js');
+const { vectorSize, scalarType, vectorType, matrixShape, isArrayType, arrayElement, arrayLength } = glslTypes;
+
+class ShaderInterpreterError extends Error {
+    constructor(message, line) {
+        super(line ? `line ${line}: ${message}` : message);
+        this.name = 'ShaderInterpreterError';
+        this.line = line || null;
+    }
+}
+
+// Guard against shaders that never leave a loop
+const MAX_LOOP_ITERATIONS = 100000;
+
+// Statement results
+const NEXT = 0;
+const BREAK = 1;
+const CONTINUE = 2;
+const RETURN = 3;
+const DISCARD = 4;
+
+// ------------------------------------------------------------
+// WGSL front end
+// ------------------------------------------------------------
+
+const WGSL_PUNCTUATORS = [
+    '->', '<<=', '>>=', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=',
+    '+', '-', '*', '/', '%', '<', '>', '=', '!', '~', '&', '|', '^', ':', ';', ',', '.',
+    '(', ')', '[', ']', '{', '}', '@'
+];
+
+const WGSL_NUMBER = /^(?:0[xX][0-9a-fA-F]+[iu]?|(?:\d+\.\d*|\.\d+|\d+)(?:[eE][+-]?\d+)?[fhiu]?)/;
+
+function tokenizeWGSL(source) {
+    const tokens = [];
+    let line = 1;
+    let i = 0;
+
+    while (i < source.length) {
+        const c = source[i];
+        if (c === '\n') {
+            line++;
+            i++;
+            continue;
+        }
+        if (/\s/.test(c)) {
+            i++;
+            continue;
+        }
+        if (source.startsWith('//', i)) {
+            while (i < source.length && source[i] !== '\n') i++;
+            continue;
+        }
+        if (source.startsWith('/*', i)) {
+            // Block comments nest in WGSL
+            let depth = 0;
+            do {
+                if (source.startsWith('/*', i)) {
+                    depth++;
+                    i += 2;
+                } else if (source.startsWith('*/', i)) {
+                    depth--;
+                    i += 2;
+                } else {
+                    if (source[i] === '\n') line++;
+                    i++;
+                }
+            } while (depth > 0 && i < source.length);
+            continue;
+        }
+
+        const rest = source.slice(i, i + 64);
+        const number = /[0-9.]/.test(c) ? rest.match(WGSL_NUMBER) : null;
+        if (number) {
+            tokens.push({ type: 'number', value: number[0], line });
+            i += number[0].length;
+            continue;
+        }
+        const ident = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (ident) {
+            tokens.push({ type: 'ident', value: ident[0], line });
+            i += ident[0].length;
+            continue;
+        }
+        const punct = WGSL_PUNCTUATORS.find(p => source.startsWith(p, i));
+        if (punct) {
+            tokens.push({ type: 'punct', value: punct, line });
+            i += punct.length;
+            continue;
+        }
+        throw new ShaderInterpreterError(`unexpected character "${c}"`, line);
+    }
+
+    tokens.push({ type: 'eof', value: '', line });
+    return tokens;
+}
+
+// Names that take a <template> in expressions and types
+const WGSL_TEMPLATED = /^(vec[234]|mat[234]x[234]|array|ptr|bitcast|texture_2d|atomic)$/;
+
+const WGSL_SCALAR_TYPES = { f32: 'float', f16: 'float', i32: 'int', u32: 'uint', bool: 'bool' };
+
+/**
+ * WGSL type -> the GLSL-style type name the compiler works with
+ * (vec3f -> vec3, array<f32, 4> -> float[4], ptr<function, f32> -> ptr<float>)
+ */
+function normalizeWGSLType(name, params = [], line) {
+    if (WGSL_SCALAR_TYPES[name]) return WGSL_SCALAR_TYPES[name];
+    if (name === 'sampler' || name === 'sampler_comparison') return 'sampler';
+    if (name === 'texture_2d') return 'texture';
+
+    const short = name.match(/^vec([234])([fhiu])$/);
+    if (short) return { f: '', h: '', i: 'i', u: 'u' }[short[2]] + 'vec' + short[1];
+    const vector = name.match(/^vec([234])$/);
+    if (vector && params.length === 1) {
+        return { float: '', int: 'i', uint: 'u', bool: 'b' }[params[0]] + 'vec' + vector[1];
+    }
+    const matrix = name.match(/^mat([234])x([234])([fh]?)$/);
+    if (matrix && (matrix[3] || params.length === 1)) {
+        return matrix[1] === matrix[2] ? `mat${matrix[1]}` : `mat${matrix[1]}x${matrix[2]}`;
+    }
+    if (name === 'array' && params.length === 2) return `${params[0]}[${params[1]}]`;
+    if (name === 'ptr' && params.length >= 2) return `ptr<${params[1]}>`;
+    if (/^(vec[234]|mat[234]x[234]|array|ptr|atomic)$/.test(name) || name.startsWith('texture_')) {
+        throw new ShaderInterpreterError(`type ${name} is not supported`, line);
+    }
+    return name;
+}
+
+/**
+ * Parses WGSL into the tree shape GLSLParser produces, plus 'loop'
+ * statements, '&'/'*' pointer operators and declarations with
+ * `keyword` (let/var/const) and possibly no type
+ */
+class WGSLParser {
+    constructor(source) {
+        this.tokens = tokenizeWGSL(source);
+        this.pos = 0;
+        this.aliases = {};
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        return this.tokens[Math.min(this.pos++, this.tokens.length - 1)];
+    }
+
+    check(value) {
+        const token = this.peek();
+        return token.type !== 'eof' && token.value === value;
+    }
+
+    accept(value) {
+        return this.check(value) ? this.next() : null;
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.value !== value || token.type === 'eof') {
+            throw new ShaderInterpreterError(`expected "${value}" but found "${token.value || 'end of shader'}"`, token.line);
+        }
+        return token;
+    }
+
+    expectIdent() {
+        const token = this.next();
+        if (token.type !== 'ident') {
+            throw new ShaderInterpreterError(`expected a name but found "${token.value || 'end of shader'}"`, token.line);
+        }
+        return token.value;
+    }
+
+    // Consume one > of a template, splitting >> and >=
+    closeTemplate() {
+        const token = this.peek();
+        if (token.value === '>') this.next();
+        else if (token.value === '>>') token.value = '>';
+        else if (token.value === '>=') token.value = '=';
+        else if (token.value === '>>=') token.value = '>=';
+        else throw new ShaderInterpreterError(`expected ">" but found "${token.value}"`, token.line);
+    }
+
+    parseType() {
+        const line = this.peek().line;
+        const name = this.expectIdent();
+        const params = [];
+        if (this.accept('<')) {
+            do {
+                const token = this.peek();
+                if (token.type === 'number') {
+                    params.push(parseGLSLNumber(this.next().value.replace(/[iu]$/, '')));
+                } else if (/^(function|private|workgroup|uniform|storage|read|write|read_write)$/.test(token.value)) {
+                    params.push(this.next().value);
+                } else {
+                    params.push(this.parseType());
+                }
+            } while (this.accept(','));
+            this.closeTemplate();
+        }
+        if (this.aliases[name]) return this.aliases[name];
+        return normalizeWGSLType(name, params, line);
+    }
+
+    parseAttributes() {
+        const attrs = {};
+        while (this.accept('@')) {
+            const name = this.expectIdent();
+            const args = [];
+            if (this.accept('(')) {
+                while (!this.accept(')')) {
+                    const token = this.next();
+                    args.push(token.type === 'number' ? parseGLSLNumber(token.value.replace(/[iu]$/, '')) : token.value);
+                    this.accept(',');
+                }
+            }
+            attrs[name] = args.length === 0 ? true : args.length === 1 ? args[0] : args;
+        }
+        return attrs;
+    }
+
+    parseModule() {
+        const module = { structs: new Map(), globals: [], functions: [] };
+        while (this.peek().type !== 'eof') {
+            const attrs = this.parseAttributes();
+            const token = this.peek();
+            const line = token.line;
+            if (this.accept(';')) continue;
+
+            switch (token.value) {
+                case 'struct': {
+                    this.next();
+                    const name = this.expectIdent();
+                    this.expect('{');
+                    const fields = [];
+                    while (!this.accept('}')) {
+                        const fieldAttrs = this.parseAttributes();
+                        const fieldName = this.expectIdent();
+                        this.expect(':');
+                        fields.push({ name: fieldName, type: this.parseType(), attrs: fieldAttrs });
+                        if (!this.check('}')) this.expect(',');
+                    }
+                    module.structs.set(name, fields);
+                    break;
+                }
+                case 'fn':
+                    module.functions.push(this.parseFunction(attrs));
+                    break;
+                case 'var': {
+                    this.next();
+                    let space = 'handle';
+                    if (this.accept('<')) {
+                        space = this.expectIdent();
+                        if (this.accept(',')) this.expectIdent();
+                        this.closeTemplate();
+                    }
+                    const name = this.expectIdent();
+                    const type = this.accept(':') ? this.parseType() : null;
+                    const init = this.accept('=') ? this.parseExpression() : null;
+                    this.expect(';');
+                    module.globals.push({ name, type, init, space, attrs, line });
+                    break;
+                }
+                case 'const':
+                case 'override':
+                case 'let': {
+                    this.next();
+                    const name = this.expectIdent();
+                    const type = this.accept(':') ? this.parseType() : null;
+                    const init = this.accept('=') ? this.parseExpression() : null;
+                    this.expect(';');
+                    if (!init) throw new ShaderInterpreterError(`${token.value} "${name}" needs a value`, line);
+                    module.globals.push({ name, type, init, space: 'const', attrs, line });
+                    break;
+                }
+                case 'alias': {
+                    this.next();
+                    const name = this.expectIdent();
+                    this.expect('=');
+                    this.aliases[name] = this.parseType();
+                    this.expect(';');
+                    break;
+                }
+                case 'enable':
+                case 'requires':
+                case 'diagnostic':
+                case 'const_assert':
+                    while (!this.accept(';')) this.next();
+                    break;
+                default:
+                    throw new ShaderInterpreterError(`unexpected "${token.value || 'end of shader'}"`, line);
+            }
+        }
+        return module;
+    }
+
+    parseFunction(attrs) {
+        const line = this.expect('fn').line;
+        const name = this.expectIdent();
+        this.expect('(');
+        const params = [];
+        while (!this.accept(')')) {
+            const paramAttrs = this.parseAttributes();
+            const paramName = this.expectIdent();
+            this.expect(':');
+            params.push({ name: paramName, type: this.parseType(), attrs: paramAttrs, qualifier: 'in' });
+            if (!this.check(')')) this.expect(',');
+        }
+        let returnType = 'void';
+        let returnAttrs = {};
+        if (this.accept('->')) {
+            returnAttrs = this.parseAttributes();
+            returnType = this.parseType();
+        }
+        const body = this.parseBlock();
+        return { name, params, returnType, returnAttrs, body, attrs, line };
+    }
+
+    parseBlock() {
+        this.expect('{');
+        const body = [];
+        while (!this.accept('}')) {
+            if (this.peek().type === 'eof') throw new ShaderInterpreterError('missing "}"', this.peek().line);
+            body.push(this.parseStatement());
+        }
+        return { kind: 'block', body };
+    }
+
+    parseStatement() {
+        const token = this.peek();
+        const line = token.line;
+        if (token.type === 'punct') {
+            if (token.value === '{') return this.parseBlock();
+            if (token.value === ';') {
+                this.next();
+                return { kind: 'empty', line };
+            }
+        }
+
+        switch (token.value) {
+            case 'let':
+            case 'var':
+            case 'const': {
+                const statement = this.parseDeclaration();
+                this.expect(';');
+                return statement;
+            }
+            case 'if':
+                return this.parseIf();
+            case 'for': {
+                this.next();
+                this.expect('(');
+                const init = this.check(';') ? null : this.parseForInit();
+                this.expect(';');
+                const cond = this.check(';') ? null : this.parseExpression();
+                this.expect(';');
+                const update = this.check(')') ? null : this.parseSimple();
+                this.expect(')');
+                return { kind: 'for', init, cond, update: update && update.expr, body: this.parseBlock(), line };
+            }
+            case 'while': {
+                this.next();
+                const cond = this.parseExpression();
+                return { kind: 'while', cond, body: this.parseBlock(), line };
+            }
+            case 'loop':
+                return this.parseLoop();
+            case 'return': {
+                this.next();
+                const value = this.check(';') ? null : this.parseExpression();
+                this.expect(';');
+                return { kind: 'return', value, line };
+            }
+            case 'break':
+            case 'continue':
+            case 'discard':
+                this.next();
+                this.expect(';');
+                return { kind: token.value, line };
+            case 'const_assert':
+                while (!this.accept(';')) this.next();
+                return { kind: 'empty', line };
+            case 'switch':
+                throw new ShaderInterpreterError('switch statements are not supported', line);
+        }
+
+        const statement = this.parseSimple();
+        this.expect(';');
+        return statement;
+    }
+
+    parseForInit() {
+        const token = this.peek();
+        if (token.value === 'let' || token.value === 'var' || token.value === 'const') return this.parseDeclaration();
+        return this.parseSimple();
+    }
+
+    parseDeclaration() {
+        const token = this.next();
+        const line = token.line;
+        if (token.value === 'var' && this.accept('<')) {
+            this.expectIdent();
+            this.closeTemplate();
+        }
+        const name = this.expectIdent();
+        const type = this.accept(':') ? this.parseType() : null;
+        const init = this.accept('=') ? this.parseExpression() : null;
+        return { kind: 'decl', keyword: token.value, constant: token.value === 'const', type,
+                 declarators: [{ name, type, init }], line };
+    }
+
+    parseIf() {
+        const line = this.expect('if').line;
+        const cond = this.parseExpression();
+        const then = this.parseBlock();
+        let otherwise = null;
+        if (this.accept('else')) otherwise = this.check('if') ? this.parseIf() : this.parseBlock();
+        return { kind: 'if', cond, then, else: otherwise, line };
+    }
+
+    parseLoop() {
+        const line = this.expect('loop').line;
+        this.expect('{');
+        const body = [];
+        let continuing = null;
+        let breakIf = null;
+        while (!this.accept('}')) {
+            if (this.accept('continuing')) {
+                this.expect('{');
+                continuing = [];
+                while (!this.accept('}')) {
+                    if (this.check('break') && this.peek(1).value === 'if') {
+                        this.next();
+                        this.next();
+                        breakIf = this.parseExpression();
+                        this.expect(';');
+                    } else {
+                        continuing.push(this.parseStatement());
+                    }
+                }
+            } else {
+                body.push(this.parseStatement());
+            }
+        }
+        return { kind: 'loop', body, continuing: continuing || [], breakIf, line };
+    }
+
+    // Assignment, increment, call or `_ = expr`
+    parseSimple() {
+        const line = this.peek().line;
+        if (this.check('_') && this.peek(1).value === '=') {
+            this.next();
+            this.next();
+            return { kind: 'expr', expr: this.parseExpression(), line };
+        }
+        const target = this.parseUnary();
+        const token = this.peek();
+        if (token.value === '++' || token.value === '--') {
+            this.next();
+            return { kind: 'expr', expr: { kind: 'postfix', op: token.value, operand: target, line }, line };
+        }
+        if (token.type === 'punct' && /^([-+*/%&|^]|<<|>>)?=$/.test(token.value)) {
+            this.next();
+            return { kind: 'expr', expr: { kind: 'assign', op: token.value, target, value: this.parseExpression(), line }, line };
+        }
+        return { kind: 'expr', expr: target, line };
+    }
+
+    parseExpression() {
+        return this.parseBinary(1);
+    }
+
+    parseBinary(minPrecedence) {
+        const PRECEDENCE = {
+            '||': 1, '&&': 3, '|': 4, '^': 5, '&': 6, '==': 7, '!=': 7, '<': 8, '>': 8, '<=': 8, '>=': 8,
+            '<<': 9, '>>': 9, '+': 10, '-': 10, '*': 11, '/': 11, '%': 11
+        };
+        let left = this.parseUnary();
+        for (;;) {
+            const token = this.peek();
+            const precedence = token.type === 'punct' ? PRECEDENCE[token.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) return left;
+            this.next();
+            const right = this.parseBinary(precedence + 1);
+            left = { kind: 'binary', op: token.value, left, right, line: token.line };
+        }
+    }
+
+    parseUnary() {
+        const token = this.peek();
+        if (token.type === 'punct' && ['-', '!', '~', '&', '*'].includes(token.value)) {
+            this.next();
+            return { kind: 'unary', op: token.value, operand: this.parseUnary(), line: token.line };
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let expr = this.parsePrimary();
+        for (;;) {
+            const token = this.peek();
+            if (token.value === '[' && token.type === 'punct') {
+                this.next();
+                const index = this.parseExpression();
+                this.expect(']');
+                expr = { kind: 'index', object: expr, index, line: token.line };
+            } else if (token.value === '.' && token.type === 'punct') {
+                this.next();
+                expr = { kind: 'member', object: expr, name: this.expectIdent(), line: token.line };
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    parseArguments() {
+        this.expect('(');
+        const args = [];
+        while (!this.accept(')')) {
+            args.push(this.parseExpression());
+            if (!this.check(')')) this.expect(',');
+        }
+        return args;
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        const line = token.line;
+        if (token.type === 'number') {
+            this.next();
+            return { kind: 'number', text: token.value, line };
+        }
+        if (token.type === 'punct' && token.value === '(') {
+            this.next();
+            const expr = this.parseExpression();
+            this.expect(')');
+            return expr;
+        }
+        if (token.type !== 'ident') {
+            throw new ShaderInterpreterError(`unexpected "${token.value || 'end of shader'}"`, line);
+        }
+        if (token.value === 'true' || token.value === 'false') {
+            this.next();
+            return { kind: 'bool', value: token.value === 'true', line };
+        }
+
+        if (token.value === 'bitcast') {
+            this.next();
+            this.expect('<');
+            const targetType = this.parseType();
+            this.closeTemplate();
+            return { kind: 'call', callee: 'bitcast', targetType, args: this.parseArguments(), line };
+        }
+        if (WGSL_TEMPLATED.test(token.value) && this.peek(1).value === '<') {
+            const type = this.parseType();
+            return { kind: 'call', callee: type, args: this.parseArguments(), line };
+        }
+
+        this.next();
+        if (this.check('(')) {
+            let callee = token.value;
+            if (this.aliases[callee]) callee = this.aliases[callee];
+            else if (WGSL_SCALAR_TYPES[callee] || /^(vec[234][fhiu]|mat[234]x[234][fh])$/.test(callee)) callee = normalizeWGSLType(callee, [], line);
+            else if (/^(vec[234]|mat[234]x[234]|array)$/.test(callee)) callee = { inferred: callee };
+            return { kind: 'call', callee, args: this.parseArguments(), line };
+        }
+        return { kind: 'ident', name: token.value, line };
+    }
+}
+
+// ------------------------------------------------------------
+// Values
+// ------------------------------------------------------------
+
+function clone(value) {
+    if (typeof value !== 'object' || value === null) return value;
+    if (Array.isArray(value)) {
+        return typeof value[0] === 'object' ? value.map(clone) : value.slice();
+    }
+    if (value.constructor !== Object) return value;   // textures, samplers, pointers
+    const copy = {};
+    for (const key of Object.keys(value)) copy[key] = clone(value[key]);
+    return copy;
+}
+
+function zeroValue(type, structs) {
+    if (isArrayType(type)) {
+        return Array.from({ length: arrayLength(type) }, () => zeroValue(arrayElement(type), structs));
+    }
+    const matrix = matrixShape(type);
+    if (matrix) return Array.from({ length: matrix.columns }, () => new Array(matrix.rows).fill(0));
+    const size = vectorSize(type);
+    const zero = scalarType(type) === 'bool' ? false : 0;
+    if (size === 1) return zero;
+    if (size > 1) return new Array(size).fill(zero);
+    if (structs.has(type)) {
+        const value = {};
+        for (const field of structs.get(type)) value[field.name] = zeroValue(field.type, structs);
+        return value;
+    }
+    return null;
+}
+
+function deepEqual(a, b) {
+    if (Array.isArray(a)) return a.every((x, i) => deepEqual(x, b[i]));
+    return a === b;
+}
+
+// Apply a scalar function per component, broadcasting scalars
+function map1(fn) {
+    const apply = a => Array.isArray(a) ? a.map(apply) : fn(a);
+    return apply;
+}
+
+function map2(fn) {
+    const apply = (a, b) => {
+        if (Array.isArray(a)) {
+            return Array.isArray(b) ? a.map((x, i) => apply(x, b[i])) : a.map(x => apply(x, b));
+        }
+        return Array.isArray(b) ? b.map(y => apply(a, y)) : fn(a, b);
+    };
+    return apply;
+}
+
+function map3(fn) {
+    const apply = (a, b, c) => {
+        const n = Array.isArray(a) ? a.length : Array.isArray(b) ? b.length : Array.isArray(c) ? c.length : 0;
+        if (n === 0) return fn(a, b, c);
+        const out = new Array(n);
+        for (let i = 0; i < n; i++) {
+            out[i] = apply(Array.isArray(a) ? a[i] : a, Array.isArray(b) ? b[i] : b, Array.isArray(c) ? c[i] : c);
+        }
+        return out;
+    };
+    return apply;
+}
+
+function roundEven(x) {
+    const r = Math.round(x);
+    return Math.abs(x % 1) === 0.5 && r % 2 !== 0 ? r - 1 : r;
+}
+
+const ARITHMETIC = {
+    float: {
+        '+': (x, y) => x + y, '-': (x, y) => x - y, '*': (x, y) => x * y,
+        '/': (x, y) => x / y, '%': (x, y) => x % y
+    },
+    int: {
+        '+': (x, y) => (x + y) | 0, '-': (x, y) => (x - y) | 0, '*': (x, y) => Math.imul(x, y),
+        '/': (x, y) => y === 0 ? x : (x / y) | 0, '%': (x, y) => y === 0 ? 0 : (x % y) | 0,
+        '&': (x, y) => x & y, '|': (x, y) => x | y, '^': (x, y) => x ^ y,
+        '<<': (x, y) => x << y, '>>': (x, y) => x >> y
+    },
+    uint: {
+        '+': (x, y) => (x + y) >>> 0, '-': (x, y) => (x - y) >>> 0, '*': (x, y) => Math.imul(x, y) >>> 0,
+        '/': (x, y) => y === 0 ? x : Math.floor(x / y) >>> 0, '%': (x, y) => y === 0 ? 0 : (x % y) >>> 0,
+        '&': (x, y) => (x & y) >>> 0, '|': (x, y) => (x | y) >>> 0, '^': (x, y) => (x ^ y) >>> 0,
+        '<<': (x, y) => (x << y) >>> 0, '>>': (x, y) => x >>> y
+    }
+};
+
+const COMPARE = {
+    '<': (x, y) => x < y, '>': (x, y) => x > y, '<=': (x, y) => x <= y, '>=': (x, y) => x >= y,
+    '==': (x, y) => x === y, '!=': (x, y) => x !== y
+};
+
+function matrixTimesVector(m, v) {
+    const rows = m[0].length;
+    const out = new Array(rows).fill(0);
+    for (let c = 0; c < m.length; c++) {
+        for (let r = 0; r < rows; r++) out[r] += m[c][r] * v[c];
+    }
+    return out;
+}
+
+function vectorTimesMatrix(v, m) {
+    return m.map(column => column.reduce((sum, x, r) => sum + x * v[r], 0));
+}
+
+function matrixTimesMatrix(a, b) {
+    return b.map(column => matrixTimesVector(a, column));
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function length(v) {
+    return Array.isArray(v) ? Math.sqrt(dot(v, v)) : Math.abs(v);
+}
+
+function normalize(v) {
+    if (!Array.isArray(v)) return v === 0 ? NaN : Math.sign(v);
+    const l = length(v);
+    return v.map(x => x / l);
+}
+
+// ------------------------------------------------------------
+// Textures
+// ------------------------------------------------------------
+
+/**
+ * An RGBA float image; row 0 is the top, as both chains upload the
+ * terminal canvas
+ */
+class ShaderTexture {
+    constructor(width, height, data) {
+        this.width = width;
+        this.height = height;
+        this.data = data || new Float32Array(width * height * 4);
+    }
+
+    texel(x, y) {
+        const i = (y * this.width + x) * 4;
+        return [this.data[i], this.data[i + 1], this.data[i + 2], this.data[i + 3]];
+    }
+}
+
+class ShaderSampler {
+    constructor({ filter = 'linear', wrap = 'clamp' } = {}) {
+        this.filter = filter;
+        this.wrap = wrap;
+    }
+}
+
+function wrapIndex(i, size, wrap) {
+    if (wrap === 'repeat') return ((i % size) + size) % size;
+    return i < 0 ? 0 : i >= size ? size - 1 : i;
+}
+
+function sampleTexture(texture, sampler, uv) {
+    if (!texture) return [0, 0, 0, 0];
+    const { width, height, data } = texture;
+    const wrap = sampler ? sampler.wrap : 'clamp';
+    const x = uv[0] * width - 0.5;
+    const y = uv[1] * height - 0.5;
+
+    if (sampler && sampler.filter === 'nearest') {
+        return texture.texel(wrapIndex(Math.floor(x + 0.5), width, wrap), wrapIndex(Math.floor(y + 0.5), height, wrap));
+    }
+
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const fx = x - x0;
+    const fy = y - y0;
+    const xa = wrapIndex(x0, width, wrap);
+    const xb = wrapIndex(x0 + 1, width, wrap);
+    const ya = wrapIndex(y0, height, wrap);
+    const yb = wrapIndex(y0 + 1, height, wrap);
+    const out = [0, 0, 0, 0];
+    for (let c = 0; c < 4; c++) {
+        const top = data[(ya * width + xa) * 4 + c] * (1 - fx) + data[(ya * width + xb) * 4 + c] * fx;
+        const bottom = data[(yb * width + xa) * 4 + c] * (1 - fx) + data[(yb * width + xb) * 4 + c] * fx;
+        out[c] = top * (1 - fy) + bottom * fy;
+    }
+    return out;
+}
+
+// ------------------------------------------------------------
+// Compiler
+// ------------------------------------------------------------
+
+const SWIZZLES = ['xyzw', 'rgba', 'stpq'];
+
+/**
+ * Compiles one module (a GLSL stage, or a whole WGSL module) to closures.
+ * `module`: { language, structs: Map, globals: [...], functions: [...] }
+ */
+class ShaderCompiler {
+    constructor(module) {
+        this.language = module.language;
+        this.structs = module.structs;
+        this.globals = [];                // runtime values, by slot
+        this.globalScope = new Map();     // name -> { slot, type, global }
+        this.functions = new Map();       // name -> [record]
+        this.resetters = [];              // re-run private initializers per invocation
+
+        for (const fn of module.functions) {
+            const record = {
+                name: fn.name, params: fn.params, returnType: fn.returnType, item: fn,
+                run: null, frameSize: 0
+            };
+            const overloads = this.functions.get(fn.name) || [];
+            overloads.push(record);
+            this.functions.set(fn.name, overloads);
+        }
+        for (const global of module.globals) this.declareGlobal(global);
+        for (const overloads of this.functions.values()) {
+            for (const record of overloads) this.compileFunction(record);
+        }
+    }
+
+    fail(message, line) {
+        throw new ShaderInterpreterError(message, line);
+    }
+
+    declareGlobal(global) {
+        const slot = this.globals.length;
+        this.globals.push(null);
+        let type = global.type;
+        const ctx = this.functionContext(null);
+
+        if (global.init) {
+            const init = this.expr(global.init, ctx);
+            type = type || init.t;
+            const run = init.fn;
+            const frame = [];
+            if (global.space === 'const') {
+                this.globals[slot] = clone(run(frame));
+            } else {
+                this.resetters.push(() => {
+                    this.globals[slot] = clone(run(frame));
+                });
+            }
+        } else if (global.space === 'private' || global.space === 'function') {
+            const zero = zeroValue(type, this.structs);
+            this.resetters.push(() => {
+                this.globals[slot] = clone(zero);
+            });
+        }
+        this.globalScope.set(global.name, { slot, type, global: true, abstract: global.abstract });
+        global.slot = slot;
+        return slot;
+    }
+
+    functionContext(record) {
+        return { record, scopes: [new Map()], slots: 1, loops: 0 };
+    }
+
+    reset() {
+        for (const reset of this.resetters) reset();
+    }
+
+    // ---- Functions ----
+
+    compileFunction(record) {
+        const fn = record.item;
+        const ctx = this.functionContext(record);
+        const paramSlots = [];
+        for (const param of fn.params) {
+            const slot = ctx.slots++;
+            if (!param.name) {
+                paramSlots.push({ slot, copy: true });
+                continue;
+            }
+            const pointer = param.qualifier === 'out' || param.qualifier === 'inout';
+            const type = pointer ? `ptr<${param.type}>` : param.type;
+            ctx.scopes[0].set(param.name, { slot, type });
+            paramSlots.push({ slot, copy: !pointer });
+        }
+        const body = this.block(fn.body.body, ctx, false);
+        const returnsValue = fn.returnType !== 'void';
+        const returnZero = returnsValue ? zeroValue(fn.returnType, this.structs) : undefined;
+
+        record.frameSize = ctx.slots;
+        record.discarded = false;
+        record.run = (args) => {
+            const frame = new Array(record.frameSize);
+            for (let i = 0; i < paramSlots.length; i++) {
+                frame[paramSlots[i].slot] = paramSlots[i].copy ? clone(args[i]) : args[i];
+            }
+            const code = body(frame);
+            if (code === DISCARD) throw DISCARD;
+            return code === RETURN ? frame[0] : clone(returnZero);
+        };
+    }
+
+    // ---- Scopes ----
+
+    lookup(name, ctx, line) {
+        for (let i = ctx.scopes.length - 1; i >= 0; i--) {
+            const found = ctx.scopes[i].get(name);
+            if (found) return found;
+        }
+        const global = this.globalScope.get(name);
+        if (global) return global;
+        return this.fail(`unknown identifier "${name}"`, line);
+    }
+
+    declareLocal(name, type, ctx) {
+        const slot = ctx.slots++;
+        ctx.scopes[ctx.scopes.length - 1].set(name, { slot, type });
+        return slot;
+    }
+
+    // ---- Statements ----
+
+    block(statements, ctx, scoped = true) {
+        if (scoped) ctx.scopes.push(new Map());
+        const compiled = statements.map(s => this.statement(s, ctx)).filter(Boolean);
+        if (scoped) ctx.scopes.pop();
+
+        if (compiled.length === 1) return compiled[0];
+        return (f) => {
+            for (let i = 0; i < compiled.length; i++) {
+                const code = compiled[i](f);
+                if (code !== NEXT) return code;
+            }
+            return NEXT;
+        };
+    }
+
+    statement(s, ctx) {
+        switch (s.kind) {
+            case 'empty':
+                return null;
+            case 'block':
+                return this.block(s.body, ctx);
+            case 'decl':
+                return this.declaration(s, ctx);
+            case 'expr': {
+                const effect = this.effect(s.expr, ctx);
+                return (f) => {
+                    effect(f);
+                    return NEXT;
+                };
+            }
+            case 'if': {
+                const cond = this.expr(s.cond, ctx).fn;
+                const then = this.branch(s.then, ctx);
+                const otherwise = s.else ? this.branch(s.else, ctx) : null;
+                if (!otherwise) return (f) => cond(f) ? then(f) : NEXT;
+                return (f) => cond(f) ? then(f) : otherwise(f);
+            }
+            case 'for':
+                return this.forLoop(s, ctx);
+            case 'while': {
+                const cond = this.expr(s.cond, ctx).fn;
+                const body = this.branch(s.body, ctx);
+                return this.loop(null, cond, body, null, null, s.line);
+            }
+            case 'do': {
+                const body = this.branch(s.body, ctx);
+                const cond = this.expr(s.cond, ctx).fn;
+                return this.loop(null, null, body, null, (f) => !cond(f), s.line);
+            }
+            case 'loop': {
+                ctx.scopes.push(new Map());
+                const body = this.block(s.body, ctx, false);
+                const continuing = this.block(s.continuing, ctx, false);
+                const breakIf = s.breakIf ? this.expr(s.breakIf, ctx).fn : null;
+                ctx.scopes.pop();
+                return this.loop(null, null, body, continuing, breakIf, s.line);
+            }
+            case 'return': {
+                if (!s.value) return () => RETURN;
+                const value = this.expr(s.value, ctx).fn;
+                return (f) => {
+                    f[0] = value(f);
+                    return RETURN;
+                };
+            }
+            case 'break':
+                return () => BREAK;
+            case 'continue':
+                return () => CONTINUE;
+            case 'discard':
+                return () => DISCARD;
+        }
+        return this.fail(`unsupported statement "${s.kind}"`, s.line);
+    }
+
+    branch(statement, ctx) {
+        return statement.kind === 'block' ? this.block(statement.body, ctx) : this.block([statement], ctx);
+    }
+
+    forLoop(s, ctx) {
+        ctx.scopes.push(new Map());
+        let init = null;
+        if (s.init) init = this.statement(s.init, ctx);
+        const cond = s.cond ? this.expr(s.cond, ctx).fn : null;
+        const effect = s.update ? this.effect(s.update, ctx) : null;
+        const update = effect && ((f) => {
+            effect(f);
+            return NEXT;
+        });
+        const body = this.branch(s.body, ctx);
+        ctx.scopes.pop();
+        return this.loop(init, cond, body, update, null, s.line);
+    }
+
+    loop(init, cond, body, continuing, breakIf, line) {
+        return (f) => {
+            if (init) init(f);
+            for (let n = 0; ; n++) {
+                if (n > MAX_LOOP_ITERATIONS) this.fail(`loop ran more than ${MAX_LOOP_ITERATIONS} times`, line);
+                if (cond && !cond(f)) return NEXT;
+                const code = body(f);
+                if (code === BREAK) return NEXT;
+                if (code !== NEXT && code !== CONTINUE) return code;
+                if (continuing) {
+                    const after = continuing(f);
+                    if (after === BREAK) return NEXT;
+                    if (after !== NEXT && after !== CONTINUE) return after;
+                }
+                if (breakIf && breakIf(f)) return NEXT;
+            }
+        };
+    }
+
+    declaration(s, ctx) {
+        const steps = [];
+        for (const d of s.declarators) {
+            const init = d.init ? this.expr(d.init, ctx) : null;
+            const type = d.type || s.type || (init && init.t);
+            if (!type) this.fail(`cannot tell the type of "${d.name}"`, s.line);
+            // The initializer is compiled before the name is in scope
+            const slot = this.declareLocal(d.name, type, ctx);
+            if (init) {
+                const run = this.convert(init, type).fn;
+                steps.push((f) => {
+                    f[slot] = clone(run(f));
+                });
+            } else {
+                const zero = zeroValue(type, this.structs);
+                steps.push((f) => {
+                    f[slot] = clone(zero);
+                });
+            }
+        }
+        if (steps.length === 1) {
+            const step = steps[0];
+            return (f) => {
+                step(f);
+                return NEXT;
+            };
+        }
+        return (f) => {
+            for (const step of steps) step(f);
+            return NEXT;
+        };
+    }
+
+    // Expression run for its side effects (assignments, increments, calls)
+    effect(node, ctx) {
+        if (node.kind === 'sequence') {
+            const parts = node.exprs.map(e => this.effect(e, ctx));
+            return (f) => {
+                for (const part of parts) part(f);
+            };
+        }
+        return this.expr(node, ctx).fn;
+    }
+
+    // ---- Lvalues ----
+
+    lvalue(node, ctx) {
+        switch (node.kind) {
+            case 'ident': {
+                const info = this.lookup(node.name, ctx, node.line);
+                const slot = info.slot;
+                if (info.type.startsWith('ptr<')) {
+                    return {
+                        type: info.type.slice(4, -1),
+                        get: (f) => f[slot].get(),
+                        set: (f, v) => f[slot].set(v)
+                    };
+                }
+                if (info.global) {
+                    const globals = this.globals;
+                    return { type: info.type, get: () => globals[slot], set: (f, v) => { globals[slot] = clone(v); } };
+                }
+                return { type: info.type, get: (f) => f[slot], set: (f, v) => { f[slot] = clone(v); } };
+            }
+            case 'member': {
+                const base = this.lvalue(node.object, ctx);
+                if (this.structs.has(base.type)) {
+                    const field = this.field(base.type, node.name, node.line);
+                    const name = node.name;
+                    return {
+                        type: field.type,
+                        get: (f) => base.get(f)[name],
+                        set: (f, v) => { base.get(f)[name] = clone(v); }
+                    };
+                }
+                const indices = this.swizzle(node.name, vectorSize(base.type), node.line);
+                const type = vectorType(scalarType(base.type), indices.length);
+                if (indices.length === 1) {
+                    const i = indices[0];
+                    return { type, get: (f) => base.get(f)[i], set: (f, v) => { base.get(f)[i] = v; } };
+                }
+                return {
+                    type,
+                    get: (f) => {
+                        const v = base.get(f);
+                        return indices.map(i => v[i]);
+                    },
+                    set: (f, value) => {
+                        const v = base.get(f);
+                        indices.forEach((i, k) => { v[i] = value[k]; });
+                    }
+                };
+            }
+            case 'index': {
+                const base = this.lvalue(node.object, ctx);
+                const index = this.expr(node.index, ctx).fn;
+                const type = this.elementType(base.type, node.line);
+                const limit = this.indexLimit(base.type);
+                const at = (f) => {
+                    const i = index(f);
+                    return i < 0 ? 0 : i >= limit ? limit - 1 : i;
+                };
+                return {
+                    type,
+                    get: (f) => base.get(f)[at(f)],
+                    set: (f, v) => { base.get(f)[at(f)] = clone(v); }
+                };
+            }
+            case 'unary':
+                if (node.op === '*') {
+                    const pointer = this.expr(node.operand, ctx);
+                    const run = pointer.fn;
+                    return { type: pointer.t.slice(4, -1), get: (f) => run(f).get(), set: (f, v) => run(f).set(v) };
+                }
+                break;
+        }
+        return this.fail('invalid assignment target', node.line);
+    }
+
+    pointerTo(node, ctx) {
+        const target = this.lvalue(node, ctx);
+        return {
+            t: `ptr<${target.type}>`,
+            fn: (f) => ({ get: () => target.get(f), set: (v) => target.set(f, v) })
+        };
+    }
+
+    field(structName, name, line) {
+        const field = this.structs.get(structName).find(x => x.name === name);
+        if (!field) this.fail(`${structName} has no field "${name}"`, line);
+        return field;
+    }
+
+    swizzle(name, size, line) {
+        const set = SWIZZLES.find(s => s.includes(name[0]));
+        const indices = set ? Array.from(name, c => set.indexOf(c)) : [-1];
+        if (name.length > 4 || indices.some(i => i < 0 || i >= Math.max(size, 1))) {
+            this.fail(`invalid swizzle .${name}`, line);
+        }
+        return indices;
+    }
+
+    elementType(type, line) {
+        if (isArrayType(type)) return arrayElement(type);
+        const matrix = matrixShape(type);
+        if (matrix) return vectorType('float', matrix.rows);
+        if (vectorSize(type) > 1) return scalarType(type);
+        return this.fail(`cannot index a ${type}`, line);
+    }
+
+    indexLimit(type) {
+        if (isArrayType(type)) return arrayLength(type);
+        const matrix = matrixShape(type);
+        return matrix ? matrix.columns : vectorSize(type);
+    }
+
+    // ---- Expressions ----
+
+    /**
+     * { t: type, fn: frame => value, abstract } for an expression
+     */
+    expr(node, ctx) {
+        switch (node.kind) {
+            case 'number':
+                return this.number(node);
+            case 'bool': {
+                const value = node.value;
+                return { t: 'bool', fn: () => value };
+            }
+            case 'ident': {
+                const info = this.lookup(node.name, ctx, node.line);
+                const slot = info.slot;
+                if (info.global) {
+                    const globals = this.globals;
+                    return { t: info.type, fn: () => globals[slot], abstract: info.abstract };
+                }
+                if (info.type.startsWith('ptr<') && this.language === 'glsl') {
+                    // GLSL out/inout parameters read through
+                    return { t: info.type.slice(4, -1), fn: (f) => f[slot].get() };
+                }
+                return { t: info.type, fn: (f) => f[slot] };
+            }
+            case 'member':
+                return this.member(node, ctx);
+            case 'index': {
+                let object = this.expr(node.object, ctx);
+                object = this.deref(object);
+                const index = this.expr(node.index, ctx).fn;
+                const run = object.fn;
+                const limit = this.indexLimit(object.t);
+                return {
+                    t: this.elementType(object.t, node.line),
+                    fn: (f) => {
+                        const i = index(f);
+                        return run(f)[i < 0 ? 0 : i >= limit ? limit - 1 : i];
+                    }
+                };
+            }
+            case 'call':
+                return this.call(node, ctx);
+            case 'unary':
+                return this.unary(node, ctx);
+            case 'binary':
+                return this.binary(node, ctx);
+            case 'ternary': {
+                const cond = this.expr(node.cond, ctx).fn;
+                const then = this.expr(node.then, ctx);
+                const otherwise = this.expr(node.else, ctx);
+                const a = then.fn;
+                const b = otherwise.fn;
+                return { t: widerType(then, otherwise), fn: (f) => cond(f) ? a(f) : b(f) };
+            }
+            case 'assign':
+                return this.assign(node, ctx);
+            case 'postfix': {
+                const target = this.lvalue(node.operand, ctx);
+                const step = node.op === '++' ? 1 : -1;
+                const add = map1(x => x + step);
+                return {
+                    t: target.type,
+                    fn: (f) => {
+                        const old = clone(target.get(f));
+                        target.set(f, add(old));
+                        return old;
+                    }
+                };
+            }
+            case 'sequence': {
+                const parts = node.exprs.map(e => this.expr(e, ctx));
+                const runs = parts.map(p => p.fn);
+                return {
+                    t: parts[parts.length - 1].t,
+                    fn: (f) => {
+                        let value;
+                        for (const run of runs) value = run(f);
+                        return value;
+                    }
+                };
+            }
+        }
+        return this.fail(`unsupported expression "${node.kind}"`, node.line);
+    }
+
+    number(node) {
+        const text = node.text;
+        let value;
+        let type;
+        let abstract = false;
+        if (this.language === 'wgsl') {
+            const hex = /^0[xX]/.test(text);
+            const suffix = (hex ? /[iu]$/ : /[fhiu]$/).test(text) ? text[text.length - 1] : '';
+            const body = suffix ? text.slice(0, -1) : text;
+            const isFloat = suffix === 'f' || suffix === 'h' || (!suffix && !hex && /[.eE]/.test(body));
+            value = hex ? parseInt(body, 16) : Number(body);
+            type = isFloat ? 'float' : suffix === 'u' ? 'uint' : 'int';
+            abstract = !suffix;
+        } else {
+            value = parseGLSLNumber(text);
+            type = /[uU]$/.test(text) ? 'uint' : /^(0[xX][0-9a-fA-F]+|\d+)$/.test(text) ? 'int' : 'float';
+        }
+        return { t: type, fn: () => value, abstract };
+    }
+
+    deref(e) {
+        if (!e.t.startsWith('ptr<')) return e;
+        const run = e.fn;
+        return { t: e.t.slice(4, -1), fn: (f) => run(f).get() };
+    }
+
+    member(node, ctx) {
+        const object = this.deref(this.expr(node.object, ctx));
+        const run = object.fn;
+        if (this.structs.has(object.t)) {
+            const field = this.field(object.t, node.name, node.line);
+            const name = node.name;
+            return { t: field.type, fn: (f) => run(f)[name] };
+        }
+        const size = vectorSize(object.t);
+        if (size < 1) this.fail(`cannot read .${node.name} of a ${object.t}`, node.line);
+        const indices = this.swizzle(node.name, size, node.line);
+        const t = vectorType(scalarType(object.t), indices.length);
+        if (size === 1) {
+            const n = indices.length;
+            return { t, fn: n === 1 ? run : (f) => new Array(n).fill(run(f)) };
+        }
+        if (indices.length === 1) {
+            const i = indices[0];
+            return { t, fn: (f) => run(f)[i] };
+        }
+        const [i0, i1, i2, i3] = indices;
+        if (indices.length === 2) return { t, fn: (f) => { const v = run(f); return [v[i0], v[i1]]; } };
+        if (indices.length === 3) return { t, fn: (f) => { const v = run(f); return [v[i0], v[i1], v[i2]]; } };
+        return { t, fn: (f) => { const v = run(f); return [v[i0], v[i1], v[i2], v[i3]]; } };
+    }
+
+    unary(node, ctx) {
+        if (node.op === '&') return this.pointerTo(node.operand, ctx);
+        if (node.op === '*') return this.deref(this.expr(node.operand, ctx));
+        if (node.op === '++' || node.op === '--') {
+            const target = this.lvalue(node.operand, ctx);
+            const add = map1(x => x + (node.op === '++' ? 1 : -1));
+            return {
+                t: target.type,
+                fn: (f) => {
+                    const value = add(target.get(f));
+                    target.set(f, value);
+                    return value;
+                }
+            };
+        }
+
+        const operand = this.expr(node.operand, ctx);
+        const run = operand.fn;
+        const kind = scalarType(operand.t);
+        let op;
+        switch (node.op) {
+            case '+': return operand;
+            case '-': op = kind === 'int' ? x => (-x) | 0 : kind === 'uint' ? x => (-x) >>> 0 : x => -x; break;
+            case '!': op = x => !x; break;
+            case '~': op = kind === 'uint' ? x => (~x) >>> 0 : x => ~x; break;
+            default: this.fail(`unsupported operator ${node.op}`, node.line);
+        }
+        const apply = vectorSize(operand.t) === 1 ? op : map1(op);
+        return { t: operand.t, fn: (f) => apply(run(f)), abstract: operand.abstract };
+    }
+
+    binary(node, ctx) {
+        return this.binaryOp(node.op, this.expr(node.left, ctx), this.expr(node.right, ctx), node.line);
+    }
+
+    binaryOp(operator, left, right, line) {
+        const a = left.fn;
+        const b = right.fn;
+        const op = operator === '^^' ? '!=' : operator;
+
+        if (op === '&&') return { t: 'bool', fn: (f) => a(f) && b(f) };
+        if (op === '||') return { t: 'bool', fn: (f) => a(f) || b(f) };
+
+        const scalars = vectorSize(left.t) === 1 && vectorSize(right.t) === 1;
+        if (COMPARE[op]) {
+            const compare = COMPARE[op];
+            if (scalars) return { t: 'bool', fn: (f) => compare(a(f), b(f)) };
+            if (this.language === 'glsl' && (op === '==' || op === '!=')) {
+                const equal = op === '==';
+                return { t: 'bool', fn: (f) => deepEqual(a(f), b(f)) === equal };
+            }
+            const size = Math.max(vectorSize(left.t), vectorSize(right.t));
+            const apply = map2(compare);
+            return { t: vectorType('bool', size), fn: (f) => apply(a(f), b(f)) };
+        }
+
+        // Bool & | ^ (WGSL, no short circuit)
+        if (scalarType(left.t) === 'bool') {
+            const logic = { '&': (x, y) => x && y, '|': (x, y) => x || y, '^': (x, y) => x !== y }[op];
+            if (!logic) this.fail(`${op} needs numbers`, line);
+            const apply = scalars ? logic : map2(logic);
+            return { t: widerType(left, right), fn: (f) => apply(a(f), b(f)) };
+        }
+
+        // Matrix products
+        const lm = matrixShape(left.t);
+        const rm = matrixShape(right.t);
+        if (op === '*' && (lm || rm) && !(lm && vectorSize(right.t) === 1) && !(rm && vectorSize(left.t) === 1)) {
+            if (lm && rm) {
+                const t = rm.columns === lm.rows ? left.t : `mat${rm.columns}x${lm.rows}`;
+                return { t, fn: (f) => matrixTimesMatrix(a(f), b(f)) };
+            }
+            if (lm) return { t: vectorType('float', lm.rows), fn: (f) => matrixTimesVector(a(f), b(f)) };
+            return { t: vectorType('float', rm.columns), fn: (f) => vectorTimesMatrix(a(f), b(f)) };
+        }
+
+        const kind = arithmeticKind(left, right);
+        const table = ARITHMETIC[kind === 'bool' ? 'int' : kind] || ARITHMETIC.float;
+        const scalarOp = table[op];
+        if (!scalarOp) this.fail(`${op} is not supported on ${kind} values`, line);
+        const t = lm ? left.t : rm ? right.t : vectorType(kind, Math.max(vectorSize(left.t), vectorSize(right.t)));
+        const abstract = left.abstract && right.abstract;
+        if (scalars) return { t, fn: (f) => scalarOp(a(f), b(f)), abstract };
+        const apply = map2(scalarOp);
+        return { t, fn: (f) => apply(a(f), b(f)), abstract };
+    }
+
+    assign(node, ctx) {
+        const target = this.lvalue(node.target, ctx);
+        const value = this.expr(node.value, ctx);
+        const run = value.fn;
+        if (node.op === '=') {
+            return {
+                t: target.type,
+                fn: (f) => {
+                    const v = run(f);
+                    target.set(f, v);
+                    return v;
+                }
+            };
+        }
+        const combined = this.binaryOp(node.op.slice(0, -1), { t: target.type, fn: target.get }, value, node.line).fn;
+        return {
+            t: target.type,
+            fn: (f) => {
+                const v = combined(f);
+                target.set(f, v);
+                return v;
+            }
+        };
+    }
+
+    convert(e, type) {
+        // Abstract literals and ints used as floats need no runtime change:
+        // both are numbers. Only unsigned values wrap.
+        if (scalarType(type) === 'uint' && scalarType(e.t) !== 'uint') {
+            const run = e.fn;
+            const apply = map1(x => x >>> 0);
+            return { t: type, fn: (f) => apply(run(f)) };
+        }
+        return e;
+    }
+
+    // ---- Calls ----
+
+    call(node, ctx) {
+        const callee = node.callee;
+        if (typeof callee === 'object') return this.inferredConstructor(callee.inferred, node, ctx);
+        if (isArrayType(callee)) {
+            const args = node.args.map(a => this.expr(a, ctx).fn);
+            return { t: callee, fn: (f) => args.map(arg => clone(arg(f))) };
+        }
+        if (this.structs.has(callee)) {
+            const fields = this.structs.get(callee);
+            const args = node.args.map(a => this.expr(a, ctx).fn);
+            return {
+                t: callee,
+                fn: (f) => {
+                    const value = {};
+                    fields.forEach((field, i) => { value[field.name] = clone(args[i](f)); });
+                    return value;
+                }
+            };
+        }
+        if (vectorSize(callee) > 0 || matrixShape(callee)) return this.construct(callee, node, ctx);
+        if (this.functions.has(callee)) return this.userCall(callee, node, ctx);
+        return this.builtin(callee, node, ctx);
+    }
+
+    inferredConstructor(name, node, ctx) {
+        const args = node.args.map(a => this.expr(a, ctx));
+        if (name === 'array') {
+            const type = `${args[0].t}[${args.length}]`;
+            const runs = args.map(a => a.fn);
+            return { t: type, fn: (f) => runs.map(run => clone(run(f))) };
+        }
+        const scalar = args.length ? args.reduce((k, a) => arithmeticKind({ t: k, abstract: false }, a),
+            scalarType(args[0].t)) : 'float';
+        const vector = name.match(/^vec([234])$/);
+        if (vector) return this.construct(vectorType(scalar, Number(vector[1])), node, ctx);
+        const matrix = name.match(/^mat([234])x([234])$/);
+        return this.construct(matrix[1] === matrix[2] ? `mat${matrix[1]}` : name, node, ctx);
+    }
+
+    construct(type, node, ctx) {
+        const args = node.args.map(a => this.expr(a, ctx));
+        const runs = args.map(a => a.fn);
+        const size = vectorSize(type);
+        const scalar = scalarType(type);
+        const toScalar = {
+            float: x => typeof x === 'boolean' ? (x ? 1 : 0) : x,
+            int: x => typeof x === 'boolean' ? (x ? 1 : 0) : Math.trunc(x) | 0,
+            uint: x => typeof x === 'boolean' ? (x ? 1 : 0) : Math.trunc(x) >>> 0,
+            bool: x => !!x
+        }[scalar];
+
+        if (size === 1) {
+            const run = runs[0];
+            if (!run) return { t: type, fn: () => toScalar(0) };
+            const first = vectorSize(args[0].t) > 1 ? (v => v[0]) : (v => v);
+            return { t: type, fn: (f) => toScalar(first(run(f))) };
+        }
+
+        if (size > 1) {
+            if (runs.length === 0) {
+                const zero = zeroValue(type, this.structs);
+                return { t: type, fn: () => clone(zero) };
+            }
+            if (runs.length === 1 && vectorSize(args[0].t) === 1) {
+                const run = runs[0];
+                return { t: type, fn: (f) => new Array(size).fill(toScalar(run(f))) };
+            }
+            return {
+                t: type,
+                fn: (f) => {
+                    const out = [];
+                    for (const run of runs) {
+                        const v = run(f);
+                        if (Array.isArray(v)) {
+                            for (const x of v) out.push(toScalar(x));
+                        } else {
+                            out.push(toScalar(v));
+                        }
+                    }
+                    out.length = size;
+                    return out;
+                }
+            };
+        }
+
+        const matrix = matrixShape(type);
+        const { columns, rows } = matrix;
+        if (runs.length === 1 && vectorSize(args[0].t) === 1) {
+            // mat3(s): s on the diagonal
+            const run = runs[0];
+            return {
+                t: type,
+                fn: (f) => {
+                    const s = run(f);
+                    return Array.from({ length: columns }, (_, c) => Array.from({ length: rows }, (_, r) => c === r ? s : 0));
+                }
+            };
+        }
+        if (runs.length === 1 && matrixShape(args[0].t)) {
+            const run = runs[0];
+            return {
+                t: type,
+                fn: (f) => {
+                    const m = run(f);
+                    return Array.from({ length: columns }, (_, c) => Array.from({ length: rows }, (_, r) =>
+                        m[c] && m[c][r] !== undefined ? m[c][r] : (c === r ? 1 : 0)));
+                }
+            };
+        }
+        return {
+            t: type,
+            fn: (f) => {
+                const flat = [];
+                for (const run of runs) {
+                    const v = run(f);
+                    if (Array.isArray(v)) flat.push(...v);
+                    else flat.push(v);
+                }
+                return Array.from({ length: columns }, (_, c) => flat.slice(c * rows, c * rows + rows));
+            }
+        };
+    }
+
+    userCall(name, node, ctx) {
+        const overloads = this.functions.get(name);
+        const args = node.args.map((a, i) => {
+            // out/inout arguments pass a pointer to the variable
+            const param = overloads.length === 1 ? overloads[0].params[i] : null;
+            if (param && (param.qualifier === 'out' || param.qualifier === 'inout')) return this.pointerTo(a, ctx);
+            return this.expr(a, ctx);
+        });
+        const record = overloads.length === 1 ? overloads[0] : this.resolveOverload(overloads, node, args);
+        if (record !== overloads[0] || overloads.length > 1) {
+            record.params.forEach((p, i) => {
+                if (p.qualifier === 'out' || p.qualifier === 'inout') args[i] = this.pointerTo(node.args[i], ctx);
+            });
+        }
+        if (record.params.filter(p => p.name || p.type).length !== args.length) {
+            this.fail(`${name}() takes ${record.params.length} argument(s)`, node.line);
+        }
+        const runs = args.map(a => a.fn);
+        const n = runs.length;
+        return {
+            t: record.returnType,
+            fn: (f) => {
+                const values = new Array(n);
+                for (let i = 0; i < n; i++) values[i] = runs[i](f);
+                return record.run(values);
+            }
+        };
+    }
+
+    resolveOverload(overloads, node, args) {
+        const types = args.map(a => a.t.startsWith('ptr<') ? a.t.slice(4, -1) : a.t);
+        const candidates = overloads.filter(o => o.params.length === args.length);
+        const exact = candidates.find(o => o.params.every((p, i) => p.type === types[i]));
+        if (exact) return exact;
+        const loose = candidates.filter(o => o.params.every((p, i) => vectorSize(p.type) === vectorSize(types[i])));
+        if (loose.length === 1) return loose[0];
+        return this.fail(`no ${node.callee}() takes (${types.join(', ')})`, node.line);
+    }
+
+    builtin(name, node, ctx) {
+        const line = node.line;
+        if (/^(texture2D|texture|texture2DLod|textureLod|textureSample|textureSampleLevel|textureSampleBias)$/.test(name)) {
+            return this.textureCall(name, node, ctx);
+        }
+        if (name === 'textureDimensions') {
+            const texture = this.expr(node.args[0], ctx).fn;
+            return { t: 'uvec2', fn: (f) => { const t = texture(f); return [t.width, t.height]; } };
+        }
+
+        const args = node.args.map(a => this.expr(a, ctx));
+        const runs = args.map(a => a.fn);
+        const [a, b, c] = runs;
+        const widest = args.reduce((best, x) => vectorSize(x.t) > vectorSize(best.t) ? x : best, args[0] || { t: 'float' });
+        const floatType = vectorType('float', Math.max(vectorSize(widest.t), 1));
+        const kind = args.length ? args.reduce((k, x) => arithmeticKind({ t: k }, x), scalarType(args[0].t)) : 'float';
+        const resultType = vectorType(kind, Math.max(vectorSize(widest.t), 1));
+
+        const unaryMath = {
+            radians: x => x * Math.PI / 180, degrees: x => x * 180 / Math.PI,
+            sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos,
+            sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh, asinh: Math.asinh, acosh: Math.acosh, atanh: Math.atanh,
+            exp: Math.exp, log: Math.log, exp2: x => Math.pow(2, x), log2: Math.log2, sqrt: Math.sqrt,
+            inversesqrt: x => 1 / Math.sqrt(x), inverseSqrt: x => 1 / Math.sqrt(x),
+            floor: Math.floor, ceil: Math.ceil, fract: x => x - Math.floor(x), trunc: Math.trunc,
+            round: roundEven, roundEven, saturate: x => Math.min(Math.max(x, 0), 1)
+        };
+        if (name === 'atan' && args.length === 1) unaryMath.atan = Math.atan;
+        if (unaryMath[name]) {
+            const apply = map1(unaryMath[name]);
+            return { t: floatType, fn: (f) => apply(a(f)) };
+        }
+
+        const sameKind = {
+            abs: Math.abs, sign: Math.sign
+        };
+        if (sameKind[name]) {
+            const apply = map1(sameKind[name]);
+            return { t: resultType, fn: (f) => apply(a(f)) };
+        }
+
+        switch (name) {
+            case 'atan':
+            case 'atan2': {
+                const apply = map2(Math.atan2);
+                return { t: floatType, fn: (f) => apply(a(f), b(f)) };
+            }
+            case 'pow': {
+                const apply = map2(Math.pow);
+                return { t: floatType, fn: (f) => apply(a(f), b(f)) };
+            }
+            case 'mod': {
+                const apply = map2((x, y) => x - y * Math.floor(x / y));
+                return { t: floatType, fn: (f) => apply(a(f), b(f)) };
+            }
+            case 'min':
+            case 'max': {
+                const apply = map2(name === 'min' ? Math.min : Math.max);
+                return { t: resultType, fn: (f) => apply(a(f), b(f)) };
+            }
+            case 'clamp': {
+                const apply = map3((x, lo, hi) => Math.min(Math.max(x, lo), hi));
+                return { t: resultType, fn: (f) => apply(a(f), b(f), c(f)) };
+            }
+            case 'mix': {
+                if (scalarType(args[2].t) === 'bool') {
+                    const apply = map3((x, y, t) => t ? y : x);
+                    return { t: widerType(args[0], args[1]), fn: (f) => apply(a(f), b(f), c(f)) };
+                }
+                const apply = map3((x, y, t) => x * (1 - t) + y * t);
+                return { t: floatType, fn: (f) => apply(a(f), b(f), c(f)) };
+            }
+            case 'step': {
+                const apply = map2((edge, x) => x < edge ? 0 : 1);
+                return { t: floatType, fn: (f) => apply(a(f), b(f)) };
+            }
+            case 'smoothstep': {
+                const apply = map3((e0, e1, x) => {
+                    const t = Math.min(Math.max((x - e0) / (e1 - e0), 0), 1);
+                    return t * t * (3 - 2 * t);
+                });
+                return { t: floatType, fn: (f) => apply(a(f), b(f), c(f)) };
+            }
+            case 'fma': {
+                const apply = map3((x, y, z) => x * y + z);
+                return { t: floatType, fn: (f) => apply(a(f), b(f), c(f)) };
+            }
+            case 'length':
+                return { t: 'float', fn: (f) => length(a(f)) };
+            case 'distance': {
+                const sub = map2((x, y) => x - y);
+                return { t: 'float', fn: (f) => length(sub(a(f), b(f))) };
+            }
+            case 'dot':
+                return { t: vectorType(kind, 1), fn: (f) => dot(a(f), b(f)) };
+            case 'cross':
+                return {
+                    t: 'vec3',
+                    fn: (f) => {
+                        const x = a(f);
+                        const y = b(f);
+                        return [x[1] * y[2] - x[2] * y[1], x[2] * y[0] - x[0] * y[2], x[0] * y[1] - x[1] * y[0]];
+                    }
+                };
+            case 'normalize':
+                return { t: floatType, fn: (f) => normalize(a(f)) };
+            case 'reflect':
+                return {
+                    t: args[0].t,
+                    fn: (f) => {
+                        const i = a(f);
+                        const n = b(f);
+                        const d = 2 * dot(i, n);
+                        return i.map((x, k) => x - d * n[k]);
+                    }
+                };
+            case 'refract':
+                return {
+                    t: args[0].t,
+                    fn: (f) => {
+                        const i = a(f);
+                        const n = b(f);
+                        const eta = c(f);
+                        const d = dot(n, i);
+                        const k = 1 - eta * eta * (1 - d * d);
+                        if (k < 0) return i.map(() => 0);
+                        return i.map((x, j) => eta * x - (eta * d + Math.sqrt(k)) * n[j]);
+                    }
+                };
+            case 'faceforward':
+                return {
+                    t: args[0].t,
+                    fn: (f) => {
+                        const n = a(f);
+                        return dot(c(f), b(f)) < 0 ? n : n.map(x => -x);
+                    }
+                };
+            case 'select': {
+                const apply = map3((x, y, cond) => cond ? y : x);
+                if (vectorSize(args[2].t) === 1) {
+                    return { t: widerType(args[0], args[1]), fn: (f) => c(f) ? b(f) : a(f) };
+                }
+                return { t: widerType(args[0], args[1]), fn: (f) => apply(a(f), b(f), c(f)) };
+            }
+            case 'all':
+                return { t: 'bool', fn: (f) => { const v = a(f); return Array.isArray(v) ? v.every(Boolean) : !!v; } };
+            case 'any':
+                return { t: 'bool', fn: (f) => { const v = a(f); return Array.isArray(v) ? v.some(Boolean) : !!v; } };
+            case 'not': {
+                const apply = map1(x => !x);
+                return { t: args[0].t, fn: (f) => apply(a(f)) };
+            }
+            case 'lessThan':
+            case 'lessThanEqual':
+            case 'greaterThan':
+            case 'greaterThanEqual':
+            case 'equal':
+            case 'notEqual': {
+                const op = { lessThan: '<', lessThanEqual: '<=', greaterThan: '>', greaterThanEqual: '>=', equal: '==', notEqual: '!=' }[name];
+                const apply = map2(COMPARE[op]);
+                return { t: vectorType('bool', vectorSize(args[0].t)), fn: (f) => apply(a(f), b(f)) };
+            }
+            case 'matrixCompMult': {
+                const apply = map2((x, y) => x * y);
+                return { t: args[0].t, fn: (f) => apply(a(f), b(f)) };
+            }
+            case 'transpose': {
+                const m = matrixShape(args[0].t);
+                return {
+                    t: m.columns === m.rows ? args[0].t : `mat${m.rows}x${m.columns}`,
+                    fn: (f) => {
+                        const v = a(f);
+                        return v[0].map((_, r) => v.map(column => column[r]));
+                    }
+                };
+            }
+            case 'determinant':
+                return { t: 'float', fn: (f) => determinant(a(f)) };
+            case 'dFdx':
+            case 'dFdy':
+            case 'fwidth':
+            case 'dpdx':
+            case 'dpdy':
+            case 'dpdxFine':
+            case 'dpdyFine':
+            case 'dpdxCoarse':
+            case 'dpdyCoarse':
+            case 'fwidthFine':
+            case 'fwidthCoarse':
+                return this.fail(`${name}() (screen-space derivatives) is not supported by the interpreter`, line);
+            case 'bitcast':
+                return this.fail('bitcast is not supported by the interpreter', line);
+        }
+        return this.fail(`unknown function "${name}"`, line);
+    }
+
+    textureCall(name, node, ctx) {
+        const args = node.args.map(a => this.expr(a, ctx));
+        const runs = args.map(a => a.fn);
+        // GLSL: (sampler2D, uv, ...); WGSL: (texture, sampler, uv, ...)
+        if (this.language === 'glsl') {
+            const [combined, uv] = runs;
+            return { t: 'vec4', fn: (f) => { const s = combined(f); return sampleTexture(s.texture, s.sampler, uv(f)); } };
+        }
+        const [texture, sampler, uv] = runs;
+        if (!uv) this.fail(`${name}() needs a texture, a sampler and coordinates`, node.line);
+        return { t: 'vec4', fn: (f) => sampleTexture(texture(f), sampler(f), uv(f)) };
+    }
+}
+
+function determinant(m) {
+    if (m.length === 2) return m[0][0] * m[1][1] - m[1][0] * m[0][1];
+    if (m.length === 3) {
+        return m[0][0] * (m[1][1] * m[2][2] - m[2][1] * m[1][2]) -
+            m[1][0] * (m[0][1] * m[2][2] - m[2][1] * m[0][2]) +
+            m[2][0] * (m[0][1] * m[1][2] - m[1][1] * m[0][2]);
+    }
+    let det = 0;
+    for (let c = 0; c < 4; c++) {
+        const minor = m.filter((_, i) => i !== c).map(column => column.slice(1));
+        det += (c % 2 === 0 ? 1 : -1) * m[c][0] * determinant(minor);
+    }
+    return det;
+}
+
+// Scalar kind of arithmetic between two operands; abstract numbers adapt
+function arithmeticKind(a, b) {
+    const ka = scalarType(a.t) || 'float';
+    const kb = scalarType(b.t) || 'float';
+    if (a.abstract && !b.abstract) return kb === 'bool' ? ka : kb;
+    if (b.abstract && !a.abstract) return ka === 'bool' ? kb : ka;
+    if (ka === 'float' || kb === 'float') return 'float';
+    if (ka === 'uint' || kb === 'uint') return 'uint';
+    if (ka === 'bool' && kb === 'bool') return 'bool';
+    return 'int';
+}
+
+function widerType(a, b) {
+    if (a.abstract && !b.abstract) return b.t;
+    return vectorSize(b.t) > vectorSize(a.t) ? b.t : a.t;
+}
+
+// ------------------------------------------------------------
+// WGSL uniform buffers
+// ------------------------------------------------------------
+
+/**
+ * Alignment and size in bytes of a type in the uniform address space
+ */
+function uniformTypeLayout(type, structs) {
+    const size = vectorSize(type);
+    if (size === 1) return { align: 4, size: 4 };
+    if (size > 1) return { align: size === 2 ? 8 : 16, size: size * 4 };
+    const matrix = matrixShape(type);
+    if (matrix) {
+        const column = uniformTypeLayout(vectorType('float', matrix.rows), structs);
+        return { align: column.align, size: matrix.columns * roundUp(column.align, column.size), stride: roundUp(column.align, column.size) };
+    }
+    if (isArrayType(type)) {
+        const element = uniformTypeLayout(arrayElement(type), structs);
+        const stride = roundUp(16, roundUp(element.align, element.size));
+        return { align: Math.max(16, element.align), size: stride * arrayLength(type), stride };
+    }
+    if (structs.has(type)) {
+        let offset = 0;
+        let align = 0;
+        const offsets = [];
+        for (const field of structs.get(type)) {
+            const layout = uniformTypeLayout(field.type, structs);
+            const fieldAlign = field.attrs && field.attrs.align ? field.attrs.align : layout.align;
+            const fieldSize = field.attrs && field.attrs.size ? field.attrs.size : layout.size;
+            offset = roundUp(fieldAlign, offset);
+            offsets.push(offset);
+            offset += fieldSize;
+            align = Math.max(align, fieldAlign);
+        }
+        align = roundUp(16, align);
+        return { align, size: roundUp(align, offset), offsets };
+    }
+    throw new ShaderInterpreterError(`type ${type} cannot be in a uniform buffer`);
+}
+
+function roundUp(k, n) {
+    return Math.ceil(n / k) * k;
+}
+
+function readUniform(buffer, offset, type, structs) {
+    if (offset + uniformTypeLayout(type, structs).size > buffer.byteLength) {
+        throw new ShaderInterpreterError(`uniforms need more than the ${buffer.byteLength}-byte buffer`);
+    }
+    const view = new DataView(buffer);
+    const scalar = (at, kind) => kind === 'int' ? view.getInt32(at, true) :
+        kind === 'uint' ? view.getUint32(at, true) : view.getFloat32(at, true);
+
+    const size = vectorSize(type);
+    if (size === 1) return scalar(offset, scalarType(type));
+    if (size > 1) return Array.from({ length: size }, (_, i) => scalar(offset + i * 4, scalarType(type)));
+    const layout = uniformTypeLayout(type, structs);
+    const matrix = matrixShape(type);
+    if (matrix) {
+        return Array.from({ length: matrix.columns }, (_, c) =>
+            readUniform(buffer, offset + c * layout.stride, vectorType('float', matrix.rows), structs));
+    }
+    if (isArrayType(type)) {
+        return Array.from({ length: arrayLength(type) }, (_, i) =>
+            readUniform(buffer, offset + i * layout.stride, arrayElement(type), structs));
+    }
+    const value = {};
+    structs.get(type).forEach((field, i) => {
+        value[field.name] = readUniform(buffer, offset + layout.offsets[i], field.type, structs);
+    });
+    return value;
+}
+
+// ------------------------------------------------------------
+// Programs
+// ------------------------------------------------------------
+
+// The fullscreen quad both chains draw (two triangles)
+const QUAD = [[-1, -1], [1, -1], [-1, 1], [-1, 1], [1, -1], [1, 1]];
+
+/**
+ * Rasterize the quad: `vertex(position)` -> { position: vec4, varyings },
+ * `fragment(varyings, fragCoord)` -> [r, g, b, a] or null when discarded.
+ * Returns RGBA floats, row 0 at the top of the image.
+ */
+function rasterizeQuad(width, height, vertex, fragment) {
+    const vertices = QUAD.map(p => vertex(p));
+    const output = new Float32Array(width * height * 4);
+    const triangles = [[0, 1, 2], [3, 4, 5]].map(([i, j, k]) => {
+        const v = [vertices[i], vertices[j], vertices[k]];
+        const screen = v.map(({ position }) => [position[0] / position[3], position[1] / position[3], position[2] / position[3], 1 / position[3]]);
+        const [p0, p1, p2] = screen;
+        const area = (p1[0] - p0[0]) * (p2[1] - p0[1]) - (p2[0] - p0[0]) * (p1[1] - p0[1]);
+        return { v, screen, area };
+    });
+
+    for (let py = 0; py < height; py++) {
+        // Pixel centers; NDC y points up, image rows go down
+        const y = 1 - (py + 0.5) * 2 / height;
+        for (let px = 0; px < width; px++) {
+            const x = (px + 0.5) * 2 / width - 1;
+            for (const triangle of triangles) {
+                if (triangle.area === 0) continue;
+                const [p0, p1, p2] = triangle.screen;
+                const w1 = ((x - p0[0]) * (p2[1] - p0[1]) - (p2[0] - p0[0]) * (y - p0[1])) / triangle.area;
+                const w2 = ((p1[0] - p0[0]) * (y - p0[1]) - (x - p0[0]) * (p1[1] - p0[1])) / triangle.area;
+                const w0 = 1 - w1 - w2;
+                const epsilon = -1e-9;
+                if (w0 < epsilon || w1 < epsilon || w2 < epsilon) continue;
+
+                // Perspective-correct weights
+                const q0 = w0 * p0[3];
+                const q1 = w1 * p1[3];
+                const q2 = w2 * p2[3];
+                const sum = q0 + q1 + q2;
+                const weights = [q0 / sum, q1 / sum, q2 / sum];
+                const varyings = interpolateVaryings(triangle.v, weights);
+                const z = w0 * p0[2] + w1 * p1[2] + w2 * p2[2];
+                const color = fragment(varyings, [px + 0.5, py + 0.5, z, w0 * p0[3] + w1 * p1[3] + w2 * p2[3]]);
+                if (color) output.set(color.slice(0, 4), (py * width + px) * 4);
+                break;
+            }
+        }
+    }
+    return output;
+}
+
+function interpolateVaryings(vertices, weights) {
+    const result = new Map();
+    for (const [key, first] of vertices[0].varyings) {
+        if (first.flat) {
+            result.set(key, first.value);
+            continue;
+        }
+        const values = vertices.map(v => v.varyings.get(key).value);
+        const mix = (a, b, c) => Array.isArray(a) ?
+            a.map((_, i) => mix(a[i], b[i], c[i])) :
+            a * weights[0] + b * weights[1] + c * weights[2];
+        result.set(key, mix(values[0], values[1], values[2]));
+    }
+    return result;
+}
+
+function runEntry(record, args) {
+    try {
+        return record.run(args);
+    } catch (error) {
+        if (error === DISCARD) return DISCARD;
+        throw error;
+    }
+}
+
+/**
+ * A GLSL ES 1.0 vertex + fragment shader pair
+ */
+class GLSLProgram {
+    constructor(vertexSource, fragmentSource) {
+        this.vertex = GLSLProgram.compileStage(vertexSource, 'vertex');
+        this.fragment = GLSLProgram.compileStage(fragmentSource, 'fragment');
+    }
+
+    static compileStage(source, stage) {
+        const pre = preprocess(tokenize(source));
+        const constants = {};
+        for (const constant of pre.constants) constants[constant.name] = parseGLSLNumber(constant.value);
+        const items = new GLSLParser(pre.tokens, constants).parseTranslationUnit();
+
+        const module = { language: 'glsl', structs: new Map(), globals: [], functions: [] };
+        for (const constant of pre.constants) {
+            module.globals.push({
+                name: constant.name, type: null, space: 'const', abstract: true,
+                init: { kind: 'number', text: constant.value.replace(/^-/, ''), line: constant.line },
+                negative: constant.value.startsWith('-')
+            });
+        }
+        const builtins = stage === 'vertex' ? [['gl_Position', 'vec4'], ['gl_PointSize', 'float']] :
+            [['gl_FragColor', 'vec4'], ['gl_FragCoord', 'vec4'], ['gl_FrontFacing', 'bool']];
+        for (const [name, type] of builtins) module.globals.push({ name, type, space: 'private' });
+
+        const uniforms = [];
+        const varyings = [];
+        const attributes = [];
+        for (const item of items) {
+            if (item.kind === 'struct') {
+                module.structs.set(item.name, item.fields);
+            } else if (item.kind === 'function') {
+                module.functions.push(item);
+            } else if (item.kind === 'global') {
+                const q = item.qualifiers;
+                for (const d of item.declarators) {
+                    let space = 'private';
+                    if (q.includes('const')) space = 'const';
+                    else if (q.includes('uniform')) space = 'uniform';
+                    else if (q.includes('attribute')) space = 'attribute';
+                    else if (q.includes('varying')) space = 'varying';
+                    const global = { name: d.name, type: d.type, init: d.init, space, line: item.line };
+                    module.globals.push(global);
+                    if (space === 'uniform') uniforms.push(global);
+                    if (space === 'varying') varyings.push(global);
+                    if (space === 'attribute') attributes.push(global);
+                }
+            }
+        }
+
+        const compiler = new ShaderCompiler(module);
+        // #define -N
+        for (const global of module.globals) {
+            if (global.negative) compiler.globals[global.slot] = -compiler.globals[global.slot];
+        }
+        const main = (compiler.functions.get('main') || [])[0];
+        if (!main) throw new ShaderInterpreterError(`${stage} shader has no main()`);
+        const slot = name => compiler.globalScope.get(name).slot;
+        return { compiler, main, uniforms, varyings, attributes, slot };
+    }
+
+    /**
+     * Draw the quad. `uniforms`: values by name; `samplers`: sampler2D
+     * uniforms by name as { texture, sampler }.
+     */
+    render({ width, height, uniforms = {}, samplers = {} }) {
+        for (const stage of [this.vertex, this.fragment]) {
+            for (const uniform of stage.uniforms) {
+                let value;
+                if (uniform.type === 'sampler2D') {
+                    value = samplers[uniform.name] || { texture: null, sampler: null };
+                } else if (uniforms[uniform.name] !== undefined) {
+                    // Uniforms are stored as 32-bit floats, as on the GPU
+                    const kind = scalarType(uniform.type);
+                    const store = kind === 'bool' ? Boolean : kind === 'float' ? Math.fround : (x => x);
+                    value = map1(store)(clone(uniforms[uniform.name]));
+                } else {
+                    value = zeroValue(uniform.type, stage.compiler.structs);
+                }
+                stage.compiler.globals[uniform.slot] = value;
+            }
+        }
+
+        const vs = this.vertex;
+        const fs = this.fragment;
+        const vertex = (position) => {
+            vs.compiler.reset();
+            for (const attribute of vs.attributes) {
+                vs.compiler.globals[attribute.slot] = attribute.name === 'position' ?
+                    position.slice(0, Math.max(vectorSize(attribute.type), 1)) : zeroValue(attribute.type, vs.compiler.structs);
+            }
+            runEntry(vs.main, []);
+            const varyings = new Map();
+            for (const varying of vs.varyings) {
+                varyings.set(varying.name, { value: clone(vs.compiler.globals[varying.slot]) });
+            }
+            return { position: vs.compiler.globals[vs.slot('gl_Position')], varyings };
+        };
+
+        const colorSlot = fs.slot('gl_FragColor');
+        const coordSlot = fs.slot('gl_FragCoord');
+        const frontSlot = fs.slot('gl_FrontFacing');
+        const fragment = (varyings, fragCoord) => {
+            fs.compiler.reset();
+            for (const varying of fs.varyings) {
+                if (varyings.has(varying.name)) fs.compiler.globals[varying.slot] = clone(varyings.get(varying.name));
+            }
+            // GLSL counts gl_FragCoord.y from the bottom
+            fs.compiler.globals[coordSlot] = [fragCoord[0], height - fragCoord[1], fragCoord[2], fragCoord[3]];
+            fs.compiler.globals[frontSlot] = true;
+            if (runEntry(fs.main, []) === DISCARD) return null;
+            return fs.compiler.globals[colorSlot];
+        };
+
+        return rasterizeQuad(width, height, vertex, fragment);
+    }
+}
+
+/**
+ * A WGSL module with a @vertex and a @fragment entry point
+ */
+class WGSLProgram {
+    constructor(source) {
+        const module = new WGSLParser(source).parseModule();
+        module.language = 'wgsl';
+        this.module = module;
+        this.compiler = new ShaderCompiler(module);
+
+        const entry = stage => {
+            const fn = module.functions.find(f => f.attrs[stage]);
+            if (!fn) throw new ShaderInterpreterError(`no @${stage} function`);
+            return { fn, record: this.compiler.functions.get(fn.name)[0] };
+        };
+        this.vertexEntry = entry('vertex');
+        this.fragmentEntry = entry('fragment');
+    }
+
+    /**
+     * Draw the quad. `bindings`: by @binding number, a ShaderTexture, a
+     * ShaderSampler or an ArrayBuffer (uniform buffer).
+     */
+    render({ width, height, bindings = {} }) {
+        const compiler = this.compiler;
+        for (const global of this.module.globals) {
+            if (global.attrs.binding === undefined) continue;
+            const bound = bindings[global.attrs.binding];
+            let value = bound === undefined ? null : bound;
+            if (global.space === 'uniform') {
+                if (!(bound instanceof ArrayBuffer)) throw new ShaderInterpreterError(`no uniform buffer at @binding(${global.attrs.binding})`);
+                value = readUniform(bound, 0, global.type, compiler.structs);
+            }
+            compiler.globals[global.slot] = value;
+        }
+
+        const structs = compiler.structs;
+        // Inputs/outputs of an entry point: plain params or struct fields
+        const ioFields = (type, attrs, name) => structs.has(type) ?
+            structs.get(type).map(field => ({ name: field.name, type: field.type, attrs: field.attrs || {} })) :
+            [{ name, type, attrs }];
+        const buildArg = (param, value) => {
+            if (!structs.has(param.type)) return value(param.attrs, param.type);
+            const arg = {};
+            for (const field of structs.get(param.type)) arg[field.name] = value(field.attrs || {}, field.type);
+            return arg;
+        };
+
+        const vertexFn = this.vertexEntry.fn;
+        const vertex = (position) => {
+            compiler.reset();
+            const args = vertexFn.params.map(param => buildArg(param, (attrs, type) => {
+                if (attrs.location === 0) return position.slice(0, Math.max(vectorSize(type), 1));
+                if (attrs.builtin === 'vertex_index') return QUAD.findIndex(p => p === position);
+                return zeroValue(type, structs);
+            }));
+            const result = runEntry(this.vertexEntry.record, args);
+            const varyings = new Map();
+            let clip = null;
+            for (const field of ioFields(vertexFn.returnType, vertexFn.returnAttrs, null)) {
+                const value = field.name === null ? result : result[field.name];
+                if (field.attrs.builtin === 'position') clip = value;
+                else if (field.attrs.location !== undefined) {
+                    varyings.set(field.attrs.location, { value: clone(value), flat: field.attrs.interpolate === 'flat' });
+                }
+            }
+            if (!clip) throw new ShaderInterpreterError('the vertex entry point has no @builtin(position) output');
+            return { position: clip, varyings };
+        };
+
+        const fragmentFn = this.fragmentEntry.fn;
+        const fragment = (varyings, fragCoord) => {
+            compiler.reset();
+            const args = fragmentFn.params.map(param => buildArg(param, (attrs, type) => {
+                if (attrs.location !== undefined) {
+                    return varyings.has(attrs.location) ? clone(varyings.get(attrs.location)) : zeroValue(type, structs);
+                }
+                if (attrs.builtin === 'position') return fragCoord.slice();
+                if (attrs.builtin === 'front_facing') return true;
+                return zeroValue(type, structs);
+            }));
+            const result = runEntry(this.fragmentEntry.record, args);
+            if (result === DISCARD) return null;
+            if (!structs.has(fragmentFn.returnType)) return result;
+            const field = structs.get(fragmentFn.returnType).find(x => x.attrs && x.attrs.location === 0);
+            return field ? result[field.name] : null;
+        };
+
+        return rasterizeQuad(width, height, vertex, fragment);
+    }
+}
+
+module.exports = {
+    GLSLProgram,
+    WGSLProgram,
+    ShaderTexture,
+    ShaderSampler,
+    ShaderInterpreterError,
+    WGSLParser,
+    sampleTexture,
+    uniformTypeLayout
+};
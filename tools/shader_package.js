@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Shader Package Converter for TStorie
+ *
+ * Converts legacy shader files (docs/shaders/*.js, getShaderConfig()) into
+ * data-only tstorie-shader packages (.shader.json). Packages are what
+ * gist-hosted shaders must use; local files keep working as they are.
+ *
+ * The legacy files are read as literals, never executed
+ * (web/tstorie-shader-package.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TStorieShaderPackage } = require('../web/tstorie-shader-package.js');
+
+/**
+ * Shader name for a legacy file: crt.js -> crt, crt.wgsl.js -> crt
+ */
+function shaderName(file) {
+    return path.basename(file).replace(/(\.wgsl)?\.js$/, '');
+}
+
+function packageFile(inputPath) {
+    const content = fs.readFileSync(inputPath, 'utf8');
+    const config = TStorieShaderPackage.parse(content, { name: shaderName(inputPath), trusted: true });
+    return TStorieShaderPackage.toPackage(config);
+}
+
+/**
+ * Convert legacy files to <outputDir>/<name>[.wgsl].shader.json
+ */
+function convertFiles(files, outputDir) {
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+    
+    let failCount = 0;
+    for (const inputPath of files) {
+        try {
+            const pkg = packageFile(inputPath);
+            const suffix = pkg.language === 'wgsl' ? '.wgsl.shader.json' : '.shader.json';
+            const outputPath = path.join(outputDir, shaderName(inputPath) + suffix);
+            fs.writeFileSync(outputPath, JSON.stringify(pkg, null, 2) + '\n');
+            console.log(`  ✓ ${inputPath} -> ${outputPath}`);
+        } catch (error) {
+            console.error(`  ✗ ${inputPath}: ${error.message}`);
+            failCount++;
+        }
+    }
+    return failCount;
+}
+
+/**
+ * Parse every file without writing anything (legacy or package)
+ */
+function checkFiles(files) {
+    let failCount = 0;
+    for (const inputPath of files) {
+        try {
+            const content = fs.readFileSync(inputPath, 'utf8');
+            const config = TStorieShaderPackage.parse(content, { name: shaderName(inputPath), trusted: true });
+            console.log(`  ✓ ${inputPath} (${config.language}, ${Object.keys(config.schema).length} uniforms)`);
+        } catch (error) {
+            console.error(`  ✗ ${inputPath}: ${error.message}`);
+            failCount++;
+        }
+    }
+    return failCount;
+}
+
+/**
+ * Shader files named on the command line; directories expand to their
+ * .js and .shader.json files
+ */
+function collectFiles(args) {
+    const files = [];
+    for (const arg of args) {
+        if (fs.statSync(arg).isDirectory()) {
+            for (const file of fs.readdirSync(arg).sort()) {
+                if (file.endsWith('.js') || file.endsWith('.shader.json')) {
+                    files.push(path.join(arg, file));
+                }
+            }
+        } else {
+            files.push(arg);
+        }
+    }
+    return files;
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const check = args[0] === '--check';
+    const outIndex = args.indexOf('--out');
+    const outputDir = outIndex >= 0 ? args[outIndex + 1] : null;
+    const inputs = args.filter((arg, i) => arg !== '--check' && (outIndex < 0 || (i !== outIndex && i !== outIndex + 1)));
+    
+    if (inputs.length === 0 || (!check && !outputDir)) {
+        console.log(`Usage: node shader_package.js <file-or-dir>... --out <output-dir>`);
+        console.log(`       node shader_package.js --check <file-or-dir>...`);
+        console.log(`Example: node shader_package.js docs/shaders/crt.js --out my-gist`);
+        process.exit(1);
+    }
+    
+    const files = collectFiles(inputs);
+    const failCount = check ? checkFiles(files) : convertFiles(files, outputDir);
+    
+    console.log(`\n${files.length - failCount}/${files.length} shader(s) OK`);
+    process.exit(failCount > 0 ? 1 : 0);
+}
+
+module.exports = { packageFile, shaderName };
@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+/**
+ * GLSL vs WGSL Shader Parity Check for TStorie
+ *
+ * Every shader in docs/shaders has a hand-kept WGSL copy in
+ * docs/shaders/wgsl. This renders a fixed terminal snapshot through both
+ * versions on the CPU (tools/shader_interpreter.js, no GPU needed) and
+ * compares the images, reporting which shaders drift and by how much.
+ *
+ * Both sides get what their runtime would give them: the GLSL uniforms by
+ * name as index.html sets them, the WGSL a uniform buffer packed the way
+ * webgpu_shader_system.js packs it, so a struct that does not match the
+ * buffer layout shows up as drift too.
+ *
+ * Tests: tests/test_shader_parity.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { TStorieShaderPackage } = require('../web/tstorie-shader-package.js');
+const GLSLtoWGSLConverter = require('./glsl_to_wgsl.js');
+const {
+    GLSLProgram, WGSLProgram, ShaderTexture, ShaderSampler
+} = require('./shader_interpreter.js');
+
+const DEFAULTS = {
+    width: 160,
+    height: 96,
+    time: 1.25,
+    tolerance: 2,        // per channel, out of 255
+    maxPixels: 0.5,      // percent of pixels allowed over the tolerance
+    cellSize: [8, 16]
+};
+
+// Snapshot colors (0-255): background, foreground palette, status bar
+const BACKGROUND = [24, 26, 33];
+const PALETTE = [
+    [220, 223, 228], [97, 175, 239], [152, 195, 121], [229, 192, 123],
+    [224, 108, 117], [198, 120, 221], [86, 182, 194]
+];
+const STATUS_BAR = [61, 68, 84];
+
+// Small deterministic hash (no Math.random: runs must repeat exactly)
+function hash(...values) {
+    let h = 2166136261;
+    for (const value of values) {
+        h = Math.imul(h ^ (value & 0xffff), 16777619);
+        h = Math.imul(h ^ (value >>> 16), 16777619);
+    }
+    h ^= h >>> 13;
+    h = Math.imul(h, 0x5bd1e995);
+    return (h ^ (h >>> 15)) >>> 0;
+}
+
+/**
+ * A synthetic terminal frame: text-like glyph blocks on a dark background,
+ * a status bar on the last row and a cursor. `seed` varies the text (used
+ * for the previous frame of feedback shaders).
+ */
+function terminalSnapshot(width, height, { cellSize = DEFAULTS.cellSize, seed = 0 } = {}) {
+    const [cellWidth, cellHeight] = cellSize;
+    const cols = Math.floor(width / cellWidth);
+    const rows = Math.floor(height / cellHeight);
+    const texture = new ShaderTexture(width, height);
+    const cursor = [hash(seed, 7) % Math.max(cols, 1), Math.max(rows - 2, 0)];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const col = Math.floor(x / cellWidth);
+            const row = Math.floor(y / cellHeight);
+            let color = BACKGROUND;
+
+            if (row === rows - 1) {
+                color = STATUS_BAR;
+            }
+            // Lines of "text" with ragged ends
+            const lineLength = hash(seed, row, 1) % (cols + 1);
+            const cellHash = hash(seed, col, row);
+            if (col < cols && row < rows && col < lineLength && cellHash % 6 !== 0) {
+                // A 5x7 glyph-ish bitmap inside the cell's margins
+                const gx = x - col * cellWidth - Math.floor((cellWidth - 5) / 2);
+                const gy = y - row * cellHeight - Math.floor((cellHeight - 7) / 2);
+                if (gx >= 0 && gx < 5 && gy >= 0 && gy < 7 && (hash(cellHash, gx, gy) & 3) !== 0) {
+                    color = row === rows - 1 ? BACKGROUND : PALETTE[cellHash % PALETTE.length];
+                }
+            }
+            if (col === cursor[0] && row === cursor[1]) {
+                color = PALETTE[0];
+            }
+
+            const i = (y * width + x) * 4;
+            texture.data[i] = color[0] / 255;
+            texture.data[i + 1] = color[1] / 255;
+            texture.data[i + 2] = color[2] / 255;
+            texture.data[i + 3] = 1;
+        }
+    }
+    return texture;
+}
+
+// An image input stand-in: an 8px two-tone checkerboard
+function checkerTexture(size = 64) {
+    const texture = new ShaderTexture(size, size);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const on = (Math.floor(x / 8) + Math.floor(y / 8)) % 2 === 0;
+            texture.data.set(on ? [0.9, 0.6, 0.2, 1] : [0.1, 0.2, 0.4, 1], (y * size + x) * 4);
+        }
+    }
+    return texture;
+}
+
+/**
+ * Uniform values as the runtimes resolve them: live cellSize and
+ * 'theme' backgrounds, everything else from the shader's config
+ */
+function resolveUniforms(config, options) {
+    const values = {};
+    for (const [name, value] of Object.entries(config.uniforms || {})) {
+        if (name === 'cellSize') {
+            values[name] = options.cellSize.slice();
+        } else if (name === 'backgroundColor' && (value === 'theme' || value === null)) {
+            values[name] = BACKGROUND.map(c => c / 255);
+        } else {
+            values[name] = value;
+        }
+    }
+    return values;
+}
+
+/**
+ * Pack a WGSL uniform buffer the way webgpu_shader_system.js does: time,
+ * resolution, then the uniforms in config order, vec2 aligned to 2 floats
+ * and vec3/vec4 to 4, int/bool written as i32
+ */
+function packUniformBuffer(config, values, options) {
+    const array = [options.time, 0, 0, 0, options.width, options.height, 0, 0];
+    const integerSlots = [];
+
+    for (const name of Object.keys(values)) {
+        const value = values[name];
+        const type = config.schema && config.schema[name] ? config.schema[name].type : 'f32';
+        if (type === 'int' || type === 'bool') {
+            integerSlots.push(array.length);
+            array.push(Number(value));
+        } else if (typeof value === 'number') {
+            array.push(value);
+        } else if (Array.isArray(value)) {
+            while (array.length % (value.length === 2 ? 2 : 4) !== 0) array.push(0);
+            if (value.length === 2) array.push(value[0], value[1], 0, 0);
+            else if (value.length === 3) array.push(value[0], value[1], value[2], 0);
+            else if (value.length === 4) array.push(value[0], value[1], value[2], value[3]);
+        }
+    }
+    while (array.length % 4 !== 0) array.push(0);
+
+    // The runtime's buffer is 256 bytes; writing more fails there too
+    const buffer = new ArrayBuffer(256);
+    if (array.length * 4 > buffer.byteLength) {
+        throw new Error(`${array.length * 4} bytes of uniforms do not fit the 256-byte buffer`);
+    }
+    const floats = new Float32Array(buffer);
+    const ints = new Int32Array(buffer);
+    array.forEach((value, i) => { floats[i] = value; });
+    for (const slot of integerSlots) ints[slot] = array[slot];
+    return buffer;
+}
+
+/**
+ * Textures for a shader: contentTexture plus its extra inputs, in
+ * manifest order, each with the sampler its runtime would use
+ */
+function shaderInputs(config, snapshot, options) {
+    const inputs = [{ name: 'contentTexture', texture: snapshot, sampler: new ShaderSampler() }];
+    for (const [name, input] of Object.entries(config.inputs || {})) {
+        let texture = snapshot;
+        if (input.kind === 'feedback') {
+            texture = terminalSnapshot(options.width, options.height, { cellSize: options.cellSize, seed: 1 });
+        } else if (input.kind === 'asset') {
+            texture = checkerTexture();
+        }
+        const sampler = input.kind === 'asset' ? new ShaderSampler({ filter: input.filter, wrap: input.wrap }) : new ShaderSampler();
+        inputs.push({ name, texture, sampler });
+    }
+    return inputs;
+}
+
+function renderGLSL(config, inputs, options) {
+    const program = new GLSLProgram(config.vertexShader, config.fragmentShader);
+    const samplers = {};
+    for (const input of inputs) samplers[input.name] = { texture: input.texture, sampler: input.sampler };
+    return program.render({
+        width: options.width,
+        height: options.height,
+        uniforms: Object.assign(resolveUniforms(config, options), {
+            time: options.time,
+            resolution: [options.width, options.height]
+        }),
+        samplers
+    });
+}
+
+function renderWGSL(config, inputs, options) {
+    const program = new WGSLProgram(config.vertexShader + '\n' + config.fragmentShader);
+    const bindings = { 2: packUniformBuffer(config, resolveUniforms(config, options), options) };
+    inputs.forEach((input, k) => {
+        // contentTexture at 0/1, input k at 3 + 2k / 4 + 2k
+        const binding = k === 0 ? 0 : 1 + 2 * k;
+        bindings[binding] = input.texture;
+        bindings[binding + 1] = input.sampler;
+    });
+    return program.render({ width: options.width, height: options.height, bindings });
+}
+
+// Float RGBA -> 8-bit, as the canvas stores it
+function quantize(image) {
+    const bytes = new Uint8Array(image.length);
+    for (let i = 0; i < image.length; i++) {
+        const value = Number.isNaN(image[i]) ? 0 : image[i];
+        bytes[i] = Math.round(Math.min(Math.max(value, 0), 1) * 255);
+    }
+    return bytes;
+}
+
+/**
+ * Compare two 8-bit RGBA images: largest and mean channel difference and
+ * the percentage of pixels with any channel over `tolerance`
+ */
+function compareImages(a, b, tolerance) {
+    let max = 0;
+    let total = 0;
+    let over = 0;
+    const diff = new Uint8Array(a.length);
+    for (let i = 0; i < a.length; i += 4) {
+        let pixelMax = 0;
+        for (let c = 0; c < 4; c++) {
+            const d = Math.abs(a[i + c] - b[i + c]);
+            total += d;
+            if (d > pixelMax) pixelMax = d;
+        }
+        if (pixelMax > max) max = pixelMax;
+        if (pixelMax > tolerance) over++;
+        // Diff image: red where the versions differ, scaled up to be visible
+        diff[i] = Math.min(255, pixelMax * 8);
+        diff[i + 1] = diff[i + 2] = Math.min(255, (a[i] + a[i + 1] + a[i + 2]) / 12);
+        diff[i + 3] = 255;
+    }
+    const pixels = a.length / 4;
+    return { max, mean: total / a.length, overPercent: over * 100 / pixels, diff };
+}
+
+/**
+ * Minimal PNG encoder for the --out images
+ */
+function encodePNG(width, height, rgba) {
+    const crcTable = [];
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+    }
+    const crc = (bytes) => {
+        let c = 0xffffffff;
+        for (const byte of bytes) c = crcTable[(c ^ byte) & 0xff] ^ (c >>> 8);
+        return (c ^ 0xffffffff) >>> 0;
+    };
+    const chunk = (type, data) => {
+        const out = Buffer.alloc(12 + data.length);
+        out.writeUInt32BE(data.length, 0);
+        out.write(type, 4, 'ascii');
+        data.copy(out, 8);
+        out.writeUInt32BE(crc(out.subarray(4, 8 + data.length)), 8 + data.length);
+        return out;
+    };
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;      // bit depth
+    header[9] = 6;      // RGBA
+    const raw = Buffer.alloc((width * 4 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw[y * (width * 4 + 1)] = 0;
+        Buffer.from(rgba.buffer, rgba.byteOffset + y * width * 4, width * 4).copy(raw, y * (width * 4 + 1) + 1);
+    }
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+class ShaderParityChecker {
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULTS, options);
+    }
+
+    /**
+     * Render one GLSL config and one WGSL config and compare them.
+     * Returns { status: 'ok' | 'drift' | 'error', max, mean, overPercent, error, images }
+     */
+    compareConfigs(glslConfig, wgslConfig) {
+        const options = this.options;
+        const snapshot = terminalSnapshot(options.width, options.height, { cellSize: options.cellSize });
+        const result = { status: 'ok', max: 0, mean: 0, overPercent: 0, error: null, images: {} };
+
+        for (const [side, config, render] of [['glsl', glslConfig, renderGLSL], ['wgsl', wgslConfig, renderWGSL]]) {
+            try {
+                result.images[side] = quantize(render(config, shaderInputs(config, snapshot, options), options));
+            } catch (error) {
+                result.status = 'error';
+                result.error = `${side.toUpperCase()}: ${error.message}`;
+                return result;
+            }
+        }
+
+        const comparison = compareImages(result.images.glsl, result.images.wgsl, options.tolerance);
+        Object.assign(result, { max: comparison.max, mean: comparison.mean, overPercent: comparison.overPercent });
+        result.images.diff = comparison.diff;
+        if (comparison.overPercent > options.maxPixels) result.status = 'drift';
+        return result;
+    }
+
+    /**
+     * Check every shader in `glslDir` against its copy in `wgslDir` (or
+     * against tools/glsl_to_wgsl.js output when `converted` is set)
+     */
+    checkDirectory(glslDir, wgslDir, { only = null, converted = false, outDir = null } = {}) {
+        const names = fs.readdirSync(glslDir)
+            .filter(f => f.endsWith('.js'))
+            .map(f => f.replace(/\.js$/, ''))
+            .filter(name => !only || only.includes(name))
+            .sort();
+        const converter = new GLSLtoWGSLConverter();
+        const results = [];
+
+        for (const name of names) {
+            const entry = { name, status: 'missing', max: 0, mean: 0, overPercent: 0, error: null };
+            results.push(entry);
+            let glslConfig;
+            let wgslConfig;
+            try {
+                const source = fs.readFileSync(path.join(glslDir, `${name}.js`), 'utf8');
+                glslConfig = TStorieShaderPackage.parse(source, { name, trusted: true });
+                if (converted) {
+                    wgslConfig = Object.assign({}, glslConfig, converter.convert(glslConfig));
+                } else {
+                    const wgslPath = path.join(wgslDir, `${name}.wgsl.js`);
+                    if (!fs.existsSync(wgslPath)) continue;
+                    wgslConfig = TStorieShaderPackage.parse(fs.readFileSync(wgslPath, 'utf8'), { name, trusted: true });
+                }
+            } catch (error) {
+                Object.assign(entry, { status: 'error', error: error.message });
+                continue;
+            }
+
+            const result = this.compareConfigs(glslConfig, wgslConfig);
+            Object.assign(entry, {
+                status: result.status, max: result.max, mean: result.mean,
+                overPercent: result.overPercent, error: result.error
+            });
+            if (outDir) this.writeImages(outDir, name, result.images);
+        }
+        return results;
+    }
+
+    writeImages(outDir, name, images) {
+        fs.mkdirSync(outDir, { recursive: true });
+        for (const [kind, image] of Object.entries(images)) {
+            fs.writeFileSync(path.join(outDir, `${name}.${kind}.png`), encodePNG(this.options.width, this.options.height, image));
+        }
+    }
+
+    /**
+     * Print a results table; returns the number of drifting or failed shaders
+     */
+    static report(results) {
+        const width = Math.max(6, ...results.map(r => r.name.length));
+        console.log(`${'Shader'.padEnd(width)}  Status   Max  Mean   Over%`);
+        let failures = 0;
+        for (const r of results) {
+            const status = { ok: '✓ ok', drift: '✗ DRIFT', error: '✗ ERROR', missing: '- missing' }[r.status];
+            const numbers = r.status === 'ok' || r.status === 'drift' ?
+                `${String(r.max).padStart(4)} ${r.mean.toFixed(2).padStart(5)} ${r.overPercent.toFixed(2).padStart(7)}` : '';
+            console.log(`${r.name.padEnd(width)}  ${status.padEnd(9)}${numbers}${r.error ? '  ' + r.error : ''}`);
+            if (r.status === 'drift' || r.status === 'error') failures++;
+        }
+        const count = status => results.filter(r => r.status === status).length;
+        console.log(`\n=== Parity Summary ===`);
+        console.log(`✓ Match:   ${count('ok')}`);
+        console.log(`✗ Drift:   ${count('drift')}`);
+        console.log(`✗ Error:   ${count('error')}`);
+        console.log(`- No WGSL: ${count('missing')}`);
+        return failures;
+    }
+}
+
+// CLI usage
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+    const dirs = [];
+    let only = null;
+    let converted = false;
+    let outDir = null;
+    let json = false;
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--size') {
+            const [width, height] = args[++i].split('x').map(Number);
+            Object.assign(options, { width, height });
+        } else if (arg === '--time') {
+            options.time = Number(args[++i]);
+        } else if (arg === '--tolerance') {
+            options.tolerance = Number(args[++i]);
+        } else if (arg === '--max-pixels') {
+            options.maxPixels = Number(args[++i]);
+        } else if (arg === '--only') {
+            only = args[++i].split(',');
+        } else if (arg === '--out') {
+            outDir = args[++i];
+        } else if (arg === '--converted') {
+            converted = true;
+        } else if (arg === '--json') {
+            json = true;
+        } else if (arg.startsWith('--')) {
+            console.log(`Usage: node shader_parity.js [glsl-dir] [wgsl-dir] [options]`);
+            console.log(`  --size WxH        render size (default ${DEFAULTS.width}x${DEFAULTS.height})`);
+            console.log(`  --time T          value of the time uniform (default ${DEFAULTS.time})`);
+            console.log(`  --tolerance N     per-channel difference allowed, 0-255 (default ${DEFAULTS.tolerance})`);
+            console.log(`  --max-pixels P    percent of pixels allowed over it (default ${DEFAULTS.maxPixels})`);
+            console.log(`  --only a,b        check only these shaders`);
+            console.log(`  --converted       compare with tools/glsl_to_wgsl.js output instead of wgsl-dir`);
+            console.log(`  --out DIR         write <name>.glsl.png, .wgsl.png and .diff.png`);
+            console.log(`  --json            print results as JSON`);
+            console.log(`Example: node tools/shader_parity.js docs/shaders docs/shaders/wgsl --only crt,bloom`);
+            process.exit(arg === '--help' ? 0 : 1);
+        } else {
+            dirs.push(arg);
+        }
+    }
+
+    const root = path.join(__dirname, '..');
+    const glslDir = dirs[0] || path.join(root, 'docs', 'shaders');
+    const wgslDir = dirs[1] || path.join(glslDir, 'wgsl');
+    const checker = new ShaderParityChecker(options);
+    const results = checker.checkDirectory(glslDir, wgslDir, { only, converted, outDir });
+
+    if (json) {
+        console.log(JSON.stringify(results, null, 2));
+        process.exit(results.some(r => r.status === 'drift' || r.status === 'error') ? 1 : 0);
+    }
+    process.exit(ShaderParityChecker.report(results) > 0 ? 1 : 0);
+}
+
+module.exports = ShaderParityChecker;
+module.exports.ShaderParityChecker = ShaderParityChecker;
+module.exports.terminalSnapshot = terminalSnapshot;
+module.exports.packUniformBuffer = packUniformBuffer;
+module.exports.compareImages = compareImages;
+module.exports.encodePNG = encodePNG;
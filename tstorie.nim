@@ -1,5 +1,6 @@
 import strutils, times, parseopt, os, tables, math, random, sequtils, strtabs, algorithm
 import macros
+from std/json import escapeJson  # Document shader blocks sent to the web chain
 import nimini
 import nimini/auto_pointer  # For initPlugins()
 import src/params
@@ -77,6 +78,7 @@ when not defined(emscripten):
   import src/platform/terminal
   when not defined(noGistLoading):
     import std/httpclient
+    from std/json import JsonNode, parseJson, `{}`, getStr, getBool  # Pinned gist revisions
   import src/export_command  # Export command support
 
 const version = "0.1.0"
@@ -162,7 +164,8 @@ var globalModuleCache* = ModuleCacheImpl(
 
 proc fetchGistFile*(gistId: string, filename: string): string =
   ## Fetch a file from a GitHub gist
-  ## Format: gistId is the raw gist ID, filename is the file within the gist
+  ## Format: gistId is the raw gist ID, optionally pinned to a revision
+  ## ("abc123@<commit hash>"), filename is the file within the gist
   when defined(emscripten):
     # In WASM, this will be populated by JavaScript via emLoadGistCode
     # Return empty string to signal that async fetch is needed
@@ -171,17 +174,48 @@ proc fetchGistFile*(gistId: string, filename: string): string =
     raise newException(IOError, "Gist loading disabled (compiled with -d:noGistLoading)")
   else:
     let client = newHttpClient()
-    # Use raw githubusercontent URL for direct file access
-    let url = "https://gist.githubusercontent.com/raw/" & gistId & "/" & filename
+    let at = gistId.find('@')
+    if at < 0:
+      # Use raw githubusercontent URL for direct file access
+      let url = "https://gist.githubusercontent.com/raw/" & gistId & "/" & filename
+      try:
+        return client.getContent(url)
+      except:
+        raise newException(IOError, "Failed to fetch gist: " & gistId & "/" & filename)
+    
+    # Pinned revisions come from the gist API (like web/module_loader.js)
+    let url = "https://api.github.com/gists/" & gistId[0..<at] & "/" & gistId[at+1..^1]
+    var file: JsonNode
     try:
-      return client.getContent(url)
+      file = parseJson(client.getContent(url)){"files", filename}
     except:
       raise newException(IOError, "Failed to fetch gist: " & gistId & "/" & filename)
+    if file.isNil:
+      raise newException(IOError, filename & " not found in gist " & gistId)
+    # The API truncates large files; the raw URL has all of it
+    if file{"truncated"}.getBool():
+      return client.getContent(file{"raw_url"}.getStr())
+    return file{"content"}.getStr()
+
+proc fetchModuleUrl*(url: string): string =
+  ## Fetch a module from an http(s) URL
+  when defined(emscripten):
+    # Fetched by JavaScript, like gists
+    return ""
+  elif defined(noGistLoading):
+    raise newException(IOError, "Remote modules disabled (compiled with -d:noGistLoading)")
+  else:
+    let client = newHttpClient()
+    try:
+      return client.getContent(url)
+    except:
+      raise newException(IOError, "Failed to fetch module: " & url)
 
 proc parseGistReference*(moduleRef: string): tuple[gistId: string, filename: string, isGist: bool] =
   ## Parse a module reference into its components
   ## Formats:
   ##   "gist:abc123/canvas.nim" -> (abc123, canvas.nim, true)
+  ##   "gist:abc123@f00d/canvas.nim" -> (abc123@f00d, canvas.nim, true)
   ##   "lib/utils.nim" -> ("", lib/utils.nim, false)
   if moduleRef.startsWith("gist:"):
     let parts = moduleRef[5..^1].split('/', maxsplit=1)
@@ -326,6 +360,8 @@ proc requireModule*(moduleRef: string, env: ref Env = nil): ref Env =
   ## 
   ## Format examples:
   ##   requireModule("gist:abc123def456/canvas.nim")
+  ##   requireModule("gist:abc123def456@3f2c9a1/canvas.nim")  # pinned revision
+  ##   requireModule("https://example.com/modules/canvas.nim")
   ##   requireModule("lib/utils.nim")
   
   # Check cache first
@@ -335,24 +371,28 @@ proc requireModule*(moduleRef: string, env: ref Env = nil): ref Env =
   var sourceCode: string
   let (gistId, filename, isGist) = parseGistReference(moduleRef)
   
-  if isGist:
-    # Fetch from gist
-    sourceCode = fetchGistFile(gistId, filename)
-    
-    when defined(emscripten):
-      # In WASM, empty string means we need JS to fetch it
-      if sourceCode == "":
-        # Check if code was loaded by JS
-        if globalModuleCache.sourceCode.hasKey(moduleRef):
-          sourceCode = globalModuleCache.sourceCode[moduleRef]
-        else:
-          # Signal that async fetch is needed
-          raise newException(IOError, "Module not yet loaded: " & moduleRef)
+  when defined(emscripten):
+    # In WASM, web/module_loader.js fetches gists, URLs, registry and
+    # document-relative modules and passes the code in via emLoadGistCode
+    if globalModuleCache.sourceCode.hasKey(moduleRef):
+      sourceCode = globalModuleCache.sourceCode[moduleRef]
+    elif not isGist and fileExists(filename):
+      sourceCode = readFile(filename)
+    else:
+      # Signal that async fetch is needed
+      raise newException(IOError, "Module not yet loaded: " & moduleRef)
   else:
-    # Load from local file
-    if not fileExists(filename):
-      raise newException(IOError, "Module file not found: " & filename)
-    sourceCode = readFile(filename)
+    if isGist:
+      sourceCode = fetchGistFile(gistId, filename)
+    elif moduleRef.startsWith("https://") or moduleRef.startsWith("http://"):
+      sourceCode = fetchModuleUrl(moduleRef)
+    elif moduleRef.startsWith("pkg:"):
+      raise newException(IOError, "Registry modules are only resolved by the web module loader: " & moduleRef)
+    else:
+      # Load from local file
+      if not fileExists(filename):
+        raise newException(IOError, "Module file not found: " & filename)
+      sourceCode = readFile(filename)
   
   # Compile using nimini
   try:
@@ -428,6 +468,7 @@ type
     sectionMgr: SectionManager   # Section manager handles all section state
     # Embedded content (figlet fonts, data files, ANSI art, etc.)
     embeddedContent*: seq[EmbeddedContent]  # For getContent() access
+    shaderBlocks*: seq[ShaderBlock]  # ```shader blocks (applyDocumentShaders)
     # Global event handlers
     globalRenderHandlers*: seq[GlobalHandler]
     globalUpdateHandlers*: seq[GlobalHandler]
@@ -925,6 +966,11 @@ when defined(emscripten):
     testStyle.bold = true
     globalState.currentBuffer.writeCellText(1, 0, "emUpdate running!", testStyle)
     
+    # The focused text field (if any) sets the text cursor again while
+    # this frame updates and renders
+    globalState.textCursorX = -1
+    globalState.textCursorY = -1
+    
     # Check if dimensions meet requirements and render warning if not
     if not checkAndRenderDimensionWarning():
       # Dimensions insufficient, warning already rendered
@@ -1071,6 +1117,96 @@ when defined(emscripten):
         return getCharDisplayWidth(ch)
     return 1
   
+  proc emGetTextCursorX(): int {.exportc.} =
+    ## Column of the focused text field's cursor, -1 if none
+    ## Used by the web host to place IME composition (preedit) text
+    return globalState.textCursorX
+  
+  proc emGetTextCursorY(): int {.exportc.} =
+    ## Row of the focused text field's cursor, -1 if none
+    return globalState.textCursorY
+
+  # ================================================================
+  # PACKED CELL BUFFER
+  # ================================================================
+  # Renderers read the whole screen through one call instead of ~12 calls
+  # per cell. Layout (uint32 words, mirrored in web/tstorie-cell-buffer.js):
+  #   header: [width, height, dirtyRowCount, reserved]
+  #   per cell (row-major, CELL_PACK_STRIDE words):
+  #     [0] codepoint of the first rune (0 = empty cell)
+  #     [1] foreground 0x00RRGGBB
+  #     [2] background 0x00RRGGBB
+  #     [3] flags: bit0 underline, bit1 bold, bit2 italic, bit3 dim,
+  #                bit4 complex (more than one rune - read via emGetCell),
+  #                bits 8-15 display width
+  #   per row: 1 if any cell differs from the previous emPackCells call
+  #
+  # Layers are recomposited every frame, so dirtiness is found by diffing
+  # against the last packed frame rather than by tracking writes.
+  const
+    CELL_PACK_HEADER = 4
+    CELL_PACK_STRIDE = 4
+    CELL_FLAG_COMPLEX = 16'u32
+
+  var cellPackBuffer {.threadvar.}: seq[uint32]
+
+  proc packColor(c: Color): uint32 {.inline.} =
+    (c.r.uint32 shl 16) or (c.g.uint32 shl 8) or c.b.uint32
+
+  proc emPackCells(): pointer {.exportc.} =
+    ## Pack the current buffer into cellPackBuffer and return its address.
+    ## The pointer is only valid until the next call (the seq may reallocate).
+    let buf = addr globalState.currentBuffer
+    let cellCount = buf.width * buf.height
+    let dirtyBase = CELL_PACK_HEADER + cellCount * CELL_PACK_STRIDE
+    let needed = dirtyBase + buf.height
+
+    # A new size means nothing from the previous frame can be reused
+    let fullRepaint = cellPackBuffer.len != needed or
+                      cellPackBuffer[0] != buf.width.uint32
+    if cellPackBuffer.len != needed:
+      cellPackBuffer.setLen(needed)
+
+    cellPackBuffer[0] = buf.width.uint32
+    cellPackBuffer[1] = buf.height.uint32
+
+    var dirtyRows = 0'u32
+    var o = CELL_PACK_HEADER
+    for y in 0 ..< buf.height:
+      var rowDirty = fullRepaint
+      for x in 0 ..< buf.width:
+        let cell = addr buf.cells[y * buf.width + x]
+        let (cp, size) = decodeFirstRune(cell.ch)
+        var flags = 0'u32
+        if cell.style.underline: flags = flags or 1
+        if cell.style.bold: flags = flags or 2
+        if cell.style.italic: flags = flags or 4
+        if cell.style.dim: flags = flags or 8
+        if size > 0 and size < cell.ch.len: flags = flags or CELL_FLAG_COMPLEX
+        let width = if cell.ch.len > 0: getCharDisplayWidth(cell.ch) else: 1
+        flags = flags or (width.uint32 shl 8)
+        let fg = packColor(cell.style.fg)
+        let bg = packColor(cell.style.bg)
+
+        # Complex clusters can change beyond their first rune, so always repaint them
+        if not rowDirty and
+           (cellPackBuffer[o] != cp.uint32 or cellPackBuffer[o + 1] != fg or
+            cellPackBuffer[o + 2] != bg or cellPackBuffer[o + 3] != flags or
+            (flags and CELL_FLAG_COMPLEX) != 0):
+          rowDirty = true
+
+        cellPackBuffer[o] = cp.uint32
+        cellPackBuffer[o + 1] = fg
+        cellPackBuffer[o + 2] = bg
+        cellPackBuffer[o + 3] = flags
+        o += CELL_PACK_STRIDE
+
+      cellPackBuffer[dirtyBase + y] = if rowDirty: 1'u32 else: 0'u32
+      if rowDirty: inc dirtyRows
+
+    cellPackBuffer[2] = dirtyRows
+    return addr cellPackBuffer[0]
+
   proc normalizeJSKeyCode(jsKeyCode: int): int =
     ## Convert JavaScript keyCode to unified tStorie keyCode
     ## 
@@ -1124,6 +1260,22 @@ when defined(emscripten):
     # Call inputHandler directly
     discard inputHandler(globalState, event)
   
+  proc emHandleKeyEvent(keyCode, scanCode, mods, action: int) {.exportc.} =
+    ## Full keyboard protocol entry point used by the terminal host
+    ## keyCode is already a unified tStorie code (KEY_*, or the character
+    ## code for printable keys), scanCode an SC_* value (0 if unknown),
+    ## mods a KeyMod bitmask and action 0 = press, 1 = release, 2 = repeat.
+    ## Printable keys also arrive separately through emHandleTextInput.
+    let keyAction = case action
+      of 1: Release
+      of 2: Repeat
+      else: Press
+    
+    let event = InputEvent(kind: KeyEvent, keyCode: keyCode, keyMods: modsFromBits(mods),
+                           keyAction: keyAction, keyScanCode: scanCode)
+    # Call inputHandler directly
+    discard inputHandler(globalState, event)
+  
   proc emHandleTextInput(text: cstring) {.exportc.} =
     let event = InputEvent(kind: TextEvent, text: $text)
     # Call inputHandler directly
@@ -1268,6 +1420,7 @@ when defined(emscripten):
         storieCtx.frontMatter = doc.frontMatter
         storieCtx.styleSheet = doc.styleSheet
         storieCtx.embeddedContent = doc.embeddedContent
+        storieCtx.shaderBlocks = doc.shaderBlocks
 
         # Parse minWidth and minHeight from front matter (WASM fix)
         storieCtx.minWidth = 0
@@ -1347,6 +1500,18 @@ when defined(emscripten):
         if storieCtx.frontMatter.hasKey("title"):
           setDocumentTitle(storieCtx.frontMatter["title"])
         
+        # Screen-reader mirror requested by the document
+        applyAccessibilityFrontMatter()
+        
+        # Tuned shader uniform values (applied once the chain is built)
+        applyShaderUniformsFrontMatter()
+        
+        # Screen transitions between sections
+        applyShaderTransitionFrontMatter()
+        
+        # ```shader blocks, found by name when `shaders:` is loaded below
+        applyDocumentShaders()
+        
         # Apply front matter settings for font, fontsize, and shaders
         when defined(emscripten):
           # Load custom font if specified (only if not overridden by URL param)
@@ -1369,6 +1534,9 @@ when defined(emscripten):
             let shadersStr = storieCtx.frontMatter["shaders"]
             if shadersStr.len > 0:
               loadShadersFromFrontMatter(shadersStr)
+          elif not hasParamDirect("shader") and documentUsesShaderTransitions():
+            # Transitions run in the shader chain: start an empty one
+            startShaderTransitionChain()
         
         # Clear all layer buffers with theme background
         for layer in globalState.layers:
@@ -1409,6 +1577,27 @@ when defined(emscripten):
     except:
       return 0
   
+  proc emCheckTextSelection(): int {.exportc: "emCheckTextSelection", cdecl, used.} =
+    ## Check whether the web host may select text on modifier-drag
+    ## Returns 0 if the current section or the front matter says
+    ## `selection: false` (the app wants raw mouse input), 1 otherwise
+    try:
+      if storieCtx.isNil:
+        return 1
+      
+      const optOut = ["false", "no", "0", "off"]
+      
+      let section = storieCtx.sectionMgr.getCurrentSection()
+      if section.metadata.hasKey("selection"):
+        return if section.metadata["selection"].toLowerAscii() in optOut: 0 else: 1
+      
+      if storieCtx.frontMatter.hasKey("selection"):
+        return if storieCtx.frontMatter["selection"].toLowerAscii() in optOut: 0 else: 1
+      
+      return 1
+    except:
+      return 1
+  
   proc emHandleDroppedFile(filename: cstring, data: cstring, length: int) {.exportc: "emHandleDroppedFile", cdecl, used.} =
     ## Handle a dropped file - store data and trigger ondrop lifecycle
     try:
@@ -1861,6 +2050,7 @@ when defined(emscripten) and defined(sdl3Backend):
         storieCtx.frontMatter = doc.frontMatter
         storieCtx.styleSheet = doc.styleSheet
         storieCtx.embeddedContent = doc.embeddedContent
+        storieCtx.shaderBlocks = doc.shaderBlocks
         
         # Register WGSL shaders for nimini access
         echo "[setMarkdownContent] About to register ", doc.wgslShaders.len, " WGSL shaders"
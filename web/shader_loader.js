@@ -8,12 +8,34 @@
  * - Auto-detects active backend (WebGPU vs WebGL)
  * - Falls back to GLSL if WGSL not available
  * - Supports format override via ?format=wgsl or ?format=glsl
- * - Loads from local files or Gist (same as existing system)
+ * - Loads from local files or Gist (same as existing system); gist
+ *   shaders must be tstorie-shader packages
+ * - Shaders defined in the document (```shader blocks) win over files
  */
 
 (function() {
   'use strict';
 
+  /**
+   * Response-like wrapper around a gist's shader package. Gists are
+   * untrusted, so only data-only packages are accepted, never .js files
+   * (see tstorie-shader-package.js).
+   */
+  function gistShaderResponse(gist, shaderName, backend) {
+    const file = TStorieShaderPackage.pickGistFile(gist.files, shaderName);
+    if (!file) {
+      throw new Error('No shader package (.shader.json) in gist: ' + shaderName);
+    }
+    return {
+      text: function() { 
+        return Promise.resolve(file.content); 
+      },
+      ok: true,
+      _backend: backend,
+      _source: 'gist'
+    };
+  }
+
   /**
    * Load a single shader with WebGPU/WebGL awareness
    * @param {string} shaderName - Name of shader (without extension)
@@ -21,6 +43,14 @@
    */
   function loadSingleShaderWebGPU(shaderName) {
     return new Promise(function(resolve, reject) {
+      // ```shader blocks of the document come first (tstorie-shader-chain.js)
+      const documentShader = typeof window.documentShaderInfo === 'function' ?
+        window.documentShaderInfo(shaderName) : null;
+      if (documentShader) {
+        resolve(documentShader);
+        return;
+      }
+      
       // Detect active backend
       const useWebGPU = window.usePhase6Renderer && 
                         navigator.gpu !== undefined &&
@@ -71,19 +101,7 @@
                         return gistResponse.json();
                       })
                       .then(function(gist) {
-                        for (const filename in gist.files) {
-                          if (filename.endsWith('.js')) {
-                            return {
-                              text: function() { 
-                                return Promise.resolve(gist.files[filename].content); 
-                              },
-                              ok: true,
-                              _backend: 'webgl',
-                              _source: 'gist'
-                            };
-                          }
-                        }
-                        throw new Error('No .js file in gist: ' + shaderName);
+                        return gistShaderResponse(gist, shaderName, 'webgl');
                       });
                   }
                   return Object.assign(fallbackResponse, { 
@@ -102,19 +120,7 @@
                   return gistResponse.json();
                 })
                 .then(function(gist) {
-                  for (const filename in gist.files) {
-                    if (filename.endsWith('.js')) {
-                      return {
-                        text: function() { 
-                          return Promise.resolve(gist.files[filename].content); 
-                        },
-                        ok: true,
-                        _backend: backend,
-                        _source: 'gist'
-                      };
-                    }
-                  }
-                  throw new Error('No .js file in gist: ' + shaderName);
+                  return gistShaderResponse(gist, shaderName, backend);
                 });
             }
           }
@@ -0,0 +1,387 @@
+// TStorie Shader Transitions
+// Animated transitions between sections, drawn by the shader chain at its
+// head: each frame blends a snapshot of the previous screen (taken when
+// the section changes) with the live terminal texture, and the chain's
+// post-processing passes run on the result.
+//
+// Front matter:  transition: crossfade | wipe | dissolve | crt | glitch | none
+//                transitionDuration: 600        (ms)
+//                transitionEasing: easeInOutCubic
+// Per section:   # Title {"transition": "crt"}   (or "none")
+// JavaScript:    playShaderTransition('wipe')
+// Nimini:        shaderTransition("wipe")
+//
+// The backend provides captureTransitionSnapshot() and, while
+// shaderTransitionFrame() returns a frame, draws the named transition
+// (shaderTransitionSource) into the texture its first pass reads.
+
+// Shared by every transition: the snapshot is `from`, the live terminal is
+// `to`. Bodies define transition(uv) from getFromColor/getToColor,
+// progress (0-1, eased), time (s) and resolution (terminal pixels).
+const SHADER_TRANSITION_GLSL_VERTEX = `
+attribute vec2 position;
+varying vec2 vUv;
+void main() {
+    vUv = position * 0.5 + 0.5;
+    gl_Position = vec4(position, 0.0, 1.0);
+}`;
+
+// The snapshot is a framebuffer; the terminal texture is upside down
+const SHADER_TRANSITION_GLSL_HEADER = `
+precision mediump float;
+varying vec2 vUv;
+uniform sampler2D fromTexture;
+uniform sampler2D toTexture;
+uniform float progress;
+uniform float time;
+uniform vec2 resolution;
+vec4 getFromColor(vec2 uv) { return texture2D(fromTexture, uv); }
+vec4 getToColor(vec2 uv) { return texture2D(toTexture, vec2(uv.x, 1.0 - uv.y)); }
+float transitionNoise(vec2 p) { return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453); }
+`;
+
+// textureSampleLevel: transitions sample inside non-uniform branches
+const SHADER_TRANSITION_WGSL_HEADER = `
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(@location(0) position: vec2f) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var fromTexture: texture_2d<f32>;
+@group(0) @binding(1) var toTexture: texture_2d<f32>;
+@group(0) @binding(2) var transitionSampler: sampler;
+@group(0) @binding(3) var<uniform> params: vec4f;   // progress, time, resolution
+
+fn getFromColor(uv: vec2f) -> vec4f { return textureSampleLevel(fromTexture, transitionSampler, uv, 0.0); }
+fn getToColor(uv: vec2f) -> vec4f { return textureSampleLevel(toTexture, transitionSampler, uv, 0.0); }
+fn transitionNoise(p: vec2f) -> f32 { return fract(sin(dot(p, vec2f(12.9898, 78.233))) * 43758.5453); }
+
+@fragment
+fn fragmentMain(@location(0) vUv: vec2f) -> @location(0) vec4f {
+    return transition(vUv, params.x, params.y, params.zw);
+}
+`;
+
+const SHADER_TRANSITIONS = {
+    crossfade: {
+        glsl: `
+vec4 transition(vec2 uv) {
+    return mix(getFromColor(uv), getToColor(uv), progress);
+}`,
+        wgsl: `
+fn transition(uv: vec2f, progress: f32, time: f32, resolution: vec2f) -> vec4f {
+    return mix(getFromColor(uv), getToColor(uv), progress);
+}`
+    },
+    
+    // Left to right with a soft edge
+    wipe: {
+        glsl: `
+vec4 transition(vec2 uv) {
+    float edge = 0.05;
+    float position = progress * (1.0 + 2.0 * edge) - edge;
+    float amount = 1.0 - smoothstep(position - edge, position + edge, uv.x);
+    return mix(getFromColor(uv), getToColor(uv), amount);
+}`,
+        wgsl: `
+fn transition(uv: vec2f, progress: f32, time: f32, resolution: vec2f) -> vec4f {
+    let edge = 0.05;
+    let position = progress * (1.0 + 2.0 * edge) - edge;
+    let amount = 1.0 - smoothstep(position - edge, position + edge, uv.x);
+    return mix(getFromColor(uv), getToColor(uv), amount);
+}`
+    },
+    
+    // Blocks of noise (4px) switch over one by one
+    dissolve: {
+        glsl: `
+vec4 transition(vec2 uv) {
+    float threshold = transitionNoise(floor(uv * resolution / 4.0));
+    float amount = smoothstep(threshold - 0.1, threshold, progress * 1.2 - 0.1);
+    return mix(getFromColor(uv), getToColor(uv), amount);
+}`,
+        wgsl: `
+fn transition(uv: vec2f, progress: f32, time: f32, resolution: vec2f) -> vec4f {
+    let threshold = transitionNoise(floor(uv * resolution / 4.0));
+    let amount = smoothstep(threshold - 0.1, threshold, progress * 1.2 - 0.1);
+    return mix(getFromColor(uv), getToColor(uv), amount);
+}`
+    },
+    
+    // The old screen collapses to a line, then a dot (power off); the new
+    // one opens the same way in reverse (power on)
+    crt: {
+        glsl: `
+vec4 transition(vec2 uv) {
+    float closed = progress < 0.5 ? progress * 2.0 : (1.0 - progress) * 2.0;
+    float scaleY = mix(1.0, 0.004, smoothstep(0.0, 0.6, closed));
+    float scaleX = max(mix(1.0, 0.0, smoothstep(0.6, 1.0, closed)), 0.001);
+    vec2 p = (uv - 0.5) / vec2(scaleX, scaleY) + 0.5;
+    if (p.x < 0.0 || p.x > 1.0 || p.y < 0.0 || p.y > 1.0) {
+        return vec4(0.0, 0.0, 0.0, 1.0);
+    }
+    vec4 color = progress < 0.5 ? getFromColor(p) : getToColor(p);
+    return vec4(color.rgb + closed * 0.8, 1.0);
+}`,
+        wgsl: `
+fn transition(uv: vec2f, progress: f32, time: f32, resolution: vec2f) -> vec4f {
+    let closed = select((1.0 - progress) * 2.0, progress * 2.0, progress < 0.5);
+    let scaleY = mix(1.0, 0.004, smoothstep(0.0, 0.6, closed));
+    let scaleX = max(mix(1.0, 0.0, smoothstep(0.6, 1.0, closed)), 0.001);
+    let p = (uv - 0.5) / vec2f(scaleX, scaleY) + 0.5;
+    if (p.x < 0.0 || p.x > 1.0 || p.y < 0.0 || p.y > 1.0) {
+        return vec4f(0.0, 0.0, 0.0, 1.0);
+    }
+    var color = getToColor(p);
+    if (progress < 0.5) {
+        color = getFromColor(p);
+    }
+    return vec4f(color.rgb + closed * 0.8, 1.0);
+}`
+    },
+    
+    // Horizontal bands jump sideways with split colour channels and
+    // switch to the new screen at random moments
+    glitch: {
+        glsl: `
+vec4 transition(vec2 uv) {
+    float strength = sin(progress * 3.14159265);
+    float band = floor(uv.y * 24.0);
+    float jitter = transitionNoise(vec2(band, floor(time * 30.0)));
+    float shift = (jitter - 0.5) * 0.2 * strength * step(0.5, jitter);
+    vec2 p = vec2(fract(uv.x + shift), uv.y);
+    vec2 split = vec2(0.01 * strength, 0.0);
+    vec3 fromColor = vec3(getFromColor(p + split).r, getFromColor(p).g, getFromColor(p - split).b);
+    vec3 toColor = vec3(getToColor(p + split).r, getToColor(p).g, getToColor(p - split).b);
+    float switched = step(transitionNoise(vec2(band, 7.0)), progress);
+    return vec4(mix(fromColor, toColor, switched), 1.0);
+}`,
+        wgsl: `
+fn transition(uv: vec2f, progress: f32, time: f32, resolution: vec2f) -> vec4f {
+    let strength = sin(progress * 3.14159265);
+    let band = floor(uv.y * 24.0);
+    let jitter = transitionNoise(vec2f(band, floor(time * 30.0)));
+    let shift = (jitter - 0.5) * 0.2 * strength * step(0.5, jitter);
+    let p = vec2f(fract(uv.x + shift), uv.y);
+    let split = vec2f(0.01 * strength, 0.0);
+    let fromColor = vec3f(getFromColor(p + split).r, getFromColor(p).g, getFromColor(p - split).b);
+    let toColor = vec3f(getToColor(p + split).r, getToColor(p).g, getToColor(p - split).b);
+    let switched = step(transitionNoise(vec2f(band, 7.0)), progress);
+    return vec4f(mix(fromColor, toColor, switched), 1.0);
+}`
+    }
+};
+
+// Same names and curves as lib/animation.nim
+const SHADER_TRANSITION_EASINGS = {
+    linear: t => t,
+    easeLinear: t => t,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => (t - 1) * (t - 1) * (t - 1) + 1,
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : ((2 * t - 2) ** 3 + 2) / 2,
+    easeInSine: t => 1 - Math.cos(t * Math.PI / 2),
+    easeOutSine: t => Math.sin(t * Math.PI / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+const SHADER_TRANSITION_DEFAULTS = {
+    name: 'none',
+    duration: 500,
+    easing: 'easeInOutCubic'
+};
+
+// Document defaults (front matter), replaced whenever a document loads
+let shaderTransitionSettings = { ...SHADER_TRANSITION_DEFAULTS };
+
+// The transition being drawn: { name, start, duration, ease }
+let activeShaderTransition = null;
+
+function warnShaderTransition(message) {
+    if (typeof warnShaderChain === 'function') {
+        warnShaderChain(message);
+    } else {
+        console.warn('[Shader] ' + message);
+    }
+}
+
+/**
+ * Duration in ms from a number or front matter text ("600", "600ms"),
+ * or null unless it is a positive number
+ */
+function parseShaderTransitionDuration(value) {
+    if (typeof value === 'string') {
+        const text = value.trim().replace(/ms$/, '').trim();
+        if (!/^\d+(\.\d+)?$/.test(text)) return null;
+        value = Number(text);
+    }
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Set the transition played when a section changes. The duration is in
+ * ms (a number or "600ms"). Empty or invalid values fall back to the
+ * defaults (none, 500 ms, easeInOutCubic).
+ */
+function setShaderTransition(name, duration, easing) {
+    const settings = { ...SHADER_TRANSITION_DEFAULTS };
+    
+    if (name && name !== 'none') {
+        if (SHADER_TRANSITIONS[name]) {
+            settings.name = name;
+        } else {
+            warnShaderTransition(`Unknown transition "${name}" (${listShaderTransitions().join(', ')})`);
+        }
+    }
+    if (duration !== undefined && duration !== null && duration !== '') {
+        const ms = parseShaderTransitionDuration(duration);
+        if (ms !== null) {
+            settings.duration = ms;
+        } else {
+            warnShaderTransition(`Invalid transition duration "${duration}" (ms)`);
+        }
+    }
+    if (easing) {
+        if (SHADER_TRANSITION_EASINGS[easing]) {
+            settings.easing = easing;
+        } else {
+            warnShaderTransition(`Unknown transition easing "${easing}"`);
+        }
+    }
+    
+    shaderTransitionSettings = settings;
+    return settings;
+}
+
+function getShaderTransition() {
+    return { ...shaderTransitionSettings };
+}
+
+function listShaderTransitions() {
+    return Object.keys(SHADER_TRANSITIONS);
+}
+
+function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' &&
+        window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Start a transition from what is on screen now to whatever the terminal
+ * draws next. `name` defaults to the document's transition. Returns false
+ * (and does nothing) for "none", without a shader chain, or when the user
+ * prefers reduced motion.
+ */
+function playShaderTransition(name) {
+    const transitionName = name || shaderTransitionSettings.name;
+    if (transitionName === 'none') return false;
+    if (!SHADER_TRANSITIONS[transitionName]) {
+        warnShaderTransition(`Unknown transition "${transitionName}" (${listShaderTransitions().join(', ')})`);
+        return false;
+    }
+    
+    const system = window.shaderSystem;
+    if (!system || system.lost || typeof system.captureTransitionSnapshot !== 'function') return false;
+    if (prefersReducedMotion()) return false;
+    
+    // Snapshot first: an interrupted transition continues from its current frame
+    system.captureTransitionSnapshot();
+    activeShaderTransition = {
+        name: transitionName,
+        start: performance.now(),
+        duration: shaderTransitionSettings.duration,
+        ease: SHADER_TRANSITION_EASINGS[shaderTransitionSettings.easing]
+    };
+    
+    if (system.onTerminalRenderComplete) system.onTerminalRenderComplete(false);
+    return true;
+}
+
+/**
+ * The transition frame to draw now, { name, progress } with eased
+ * progress, or null when no transition is running
+ */
+function shaderTransitionFrame() {
+    if (!activeShaderTransition) return null;
+    
+    const t = (performance.now() - activeShaderTransition.start) / activeShaderTransition.duration;
+    if (t >= 1) {
+        activeShaderTransition = null;
+        return null;
+    }
+    return {
+        name: activeShaderTransition.name,
+        progress: activeShaderTransition.ease(Math.max(t, 0))
+    };
+}
+
+/**
+ * Shader source for a transition: { vertexShader, fragmentShader } for
+ * GLSL, or one WGSL module (vertexMain/fragmentMain)
+ */
+function shaderTransitionSource(name, language) {
+    const transition = SHADER_TRANSITIONS[name];
+    if (language === 'wgsl') {
+        return SHADER_TRANSITION_WGSL_HEADER + transition.wgsl;
+    }
+    return {
+        vertexShader: SHADER_TRANSITION_GLSL_VERTEX,
+        fragmentShader: SHADER_TRANSITION_GLSL_HEADER + transition.glsl + `
+void main() {
+    gl_FragColor = transition(vUv);
+}`
+    };
+}
+
+/**
+ * Transitions need a shader chain to run in. Documents without shaders
+ * get an empty one (just the terminal, drawn as is) unless the URL is
+ * about to load shaders itself.
+ */
+function startShaderTransitionChain() {
+    if (window.shaderSystem || (window.shaderCodes && window.shaderCodes.length > 0)) return;
+    
+    const urlParams = new URLSearchParams(window.location.search);
+    if (urlParams.get('shaders') || urlParams.get('shader')) return;
+    
+    if (typeof window.initShaderSystem === 'function') {
+        window.shaderCodes = [];
+        window.initShaderSystem({ allowEmpty: true });
+    }
+}
+
+// Export for use in TStorie
+if (typeof window !== 'undefined') {
+    window.setShaderTransition = setShaderTransition;
+    window.getShaderTransition = getShaderTransition;
+    window.listShaderTransitions = listShaderTransitions;
+    window.playShaderTransition = playShaderTransition;
+    window.shaderTransitionFrame = shaderTransitionFrame;
+    window.shaderTransitionSource = shaderTransitionSource;
+    window.startShaderTransitionChain = startShaderTransitionChain;
+}
+
+// Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SHADER_TRANSITION_EASINGS,
+        parseShaderTransitionDuration,
+        setShaderTransition,
+        getShaderTransition,
+        listShaderTransitions,
+        playShaderTransition,
+        shaderTransitionFrame,
+        shaderTransitionSource
+    };
+}
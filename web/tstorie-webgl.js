@@ -1,37 +1,21 @@
 // TStorie WebGL Renderer
 // High-performance terminal rendering with full Unicode support via dynamic glyph cache
+// The draw backend plugs into TStorieTerminalHost (tstorie-terminal-host.js),
+// which owns input, sizing and font metrics.
 
-class TStorieTerminal {
-    constructor(canvasElement, fontFamily = null, fontSize = null) {
-        this.canvas = canvasElement;
-        
-        // Initialize WebGL2 context
-        this.gl = canvasElement.getContext('webgl2', {
-            alpha: false,
-            desynchronized: true,
-            powerPreference: 'high-performance',
-            preserveDrawingBuffer: true  // For PNG export
-        });
-        
-        if (!this.gl) {
-            throw new Error('WebGL2 not supported. Please use a modern browser (Chrome 56+, Firefox 51+, Safari 15+, Edge 79+).');
-        }
-        
-        // Terminal dimensions in characters
-        this.cols = 80;
-        this.rows = 24;
-        
-        // Character dimensions in pixels
-        this.charWidth = 10;
-        this.charHeight = 20;
-        
-        // Font settings
-        this.fontSize = fontSize || 16;
-        this.fontFamily = fontFamily || "'3270-regular', 'Consolas', 'Monaco', monospace";
-        
-        // Performance
-        this.lastFrameTime = 0;
-        this.frameInterval = 1000 / 60; // 60 FPS
+class TStorieWebGLBackend {
+    constructor() {
+        this.name = 'webgl';
+        this.ready = false;
+        this.host = null;
+        this.gl = null;
+        this.canvas = null;
+        this.contextLostListener = null;
+        this.contextRestoredListener = null;
+        
+        // Set by the host; called when the GL context goes away / comes back
+        this.onLost = null;
+        this.onRestored = null;
         
         // Dynamic glyph cache
         this.glyphCache = new Map();  // char → {u, v, w, h, width, pixelWidth}
@@ -52,29 +36,62 @@ class TStorieTerminal {
         this.atlasTexture = null;
         this.cellBuffer = null;
         this.cellData = null;
+    }
+    
+    init(host) {
+        this.host = host;
+        
+        // Initialize WebGL2 context
+        this.gl = host.canvas.getContext('webgl2', {
+            alpha: false,
+            desynchronized: true,
+            powerPreference: 'high-performance',
+            preserveDrawingBuffer: true  // For PNG export
+        });
         
-        // Input state
-        this.mouseX = 0;
-        this.mouseY = 0;
+        if (!this.gl) {
+            throw new Error('WebGL2 not supported. Please use a modern browser (Chrome 56+, Firefox 51+, Safari 15+, Edge 79+).');
+        }
+        
+        // Handle context lost / restored
+        this.canvas = host.canvas;
+        this.contextLostListener = (e) => {
+            // Without preventDefault the browser never restores the context
+            e.preventDefault();
+            console.error('[WebGL] Context lost');
+            this.ready = false;
+            if (this.onLost) this.onLost('context lost');
+        };
+        this.contextRestoredListener = () => this.restore();
+        this.canvas.addEventListener('webglcontextlost', this.contextLostListener);
+        this.canvas.addEventListener('webglcontextrestored', this.contextRestoredListener);
         
-        // Initialize
-        this.initFont();
         this.initWebGL();
-        this.setupCanvas();
-        this.setupInputHandlers();
         
         // Pre-cache ASCII for fast startup
         this.cacheCharRange(32, 127);
+        
+        this.ready = true;
+        return true;
     }
     
-    initFont() {
-        // Measure character dimensions
-        this.atlasCtx.font = `${this.fontSize}px ${this.fontFamily}`;
-        this.atlasCtx.textBaseline = 'top';
-        
-        const metrics = this.atlasCtx.measureText('M');
-        this.charWidth = Math.ceil(metrics.width);
-        this.charHeight = this.fontSize;
+    /**
+     * Rebuild GL resources after webglcontextrestored. Program, buffers and
+     * textures died with the old context; the glyph atlas is a 2D canvas
+     * and is re-uploaded as is. The host then resizes us (attribute setup,
+     * cell storage) and repaints every row from WASM.
+     */
+    restore() {
+        console.log('[WebGL] Context restored, rebuilding resources...');
+        try {
+            this.initWebGL();
+        } catch (error) {
+            console.error('[WebGL] Failed to rebuild after context restore:', error);
+            return;
+        }
+        
+        this.ready = true;
+        if (this.onRestored) this.onRestored();
     }
     
     initWebGL() {
@@ -251,6 +268,11 @@ class TStorieTerminal {
         return shader;
     }
     
+    cacheChar(char) {
+        // The atlas is uploaded on the next render
+        return this.getGlyphUV(char);
+    }
+    
     cacheCharRange(start, end) {
         // Pre-cache a range of characters
         for (let i = start; i <= end; i++) {
@@ -271,7 +293,7 @@ class TStorieTerminal {
         
         // Empty string = no glyph
         if (!char || char === '') {
-            return { u: 0, v: 0, w: 0, h: 0, width: 1, pixelWidth: this.charWidth };
+            return { u: 0, v: 0, w: 0, h: 0, width: 1, pixelWidth: this.host.charWidth };
         }
         
         // Add to atlas
@@ -282,14 +304,14 @@ class TStorieTerminal {
         const ctx = this.atlasCtx;
         
         // Measure glyph
-        ctx.font = `${this.fontSize}px ${this.fontFamily}`;
+        ctx.font = `${this.host.fontSize}px ${this.host.fontFamily}`;
         ctx.textBaseline = 'top';
         const metrics = ctx.measureText(char);
         const pixelWidth = Math.ceil(metrics.width);
-        const pixelHeight = this.charHeight;
+        const pixelHeight = this.host.charHeight;
         
         // Determine character width in cells (1 for ASCII, 2 for CJK)
-        const cellWidth = pixelWidth > this.charWidth * 1.5 ? 2 : 1;
+        const cellWidth = pixelWidth > this.host.charWidth * 1.5 ? 2 : 1;
         
         // Add padding to prevent bleeding
         const padding = 2;
@@ -354,14 +376,7 @@ class TStorieTerminal {
         this.atlasNeedsUpload = false;
     }
     
-    setFontSize(newSize) {
-        if (newSize < 8 || newSize > 72) {
-            console.warn('Font size out of range (8-72):', newSize);
-            return;
-        }
-        
-        this.fontSize = newSize;
-        
+    fontChanged(host) {
         // Clear glyph cache and regenerate
         this.glyphCache.clear();
         this.atlasX = 0;
@@ -369,68 +384,23 @@ class TStorieTerminal {
         this.atlasRowHeight = 0;
         this.atlasCtx.clearRect(0, 0, this.atlasCanvas.width, this.atlasCanvas.height);
         
-        // Reinitialize font metrics
-        this.initFont();
-        
         // Pre-cache ASCII again
         this.cacheCharRange(32, 127);
-        
-        // Trigger resize to recalculate terminal dimensions
-        this.resize();
-    }
-    
-    getCharPixelWidth() {
-        return this.charWidth;
-    }
-    
-    getCharPixelHeight() {
-        return this.charHeight;
-    }
-    
-    getViewportPixelWidth() {
-        return window.innerWidth;
-    }
-    
-    getViewportPixelHeight() {
-        return window.innerHeight;
-    }
-    
-    setFontScale(scale) {
-        const newSize = Math.round(this.fontSize * scale);
-        this.setFontSize(newSize);
     }
     
-    setupCanvas() {
-        this.resize();
-        window.addEventListener('resize', () => this.resize());
-    }
-    
-    resize() {
+    resize(host, dpr) {
         const gl = this.gl;
-        const availWidth = window.innerWidth;
-        const availHeight = window.innerHeight;
-        
-        // Calculate terminal dimensions
-        this.cols = Math.max(20, Math.floor(availWidth / this.charWidth));
-        this.rows = Math.max(10, Math.floor(availHeight / this.charHeight));
-        
-        // Set canvas size with device pixel ratio
-        const dpr = window.devicePixelRatio || 1;
-        this.canvas.width = this.cols * this.charWidth * dpr;
-        this.canvas.height = this.rows * this.charHeight * dpr;
-        this.canvas.style.width = (this.cols * this.charWidth) + 'px';
-        this.canvas.style.height = (this.rows * this.charHeight) + 'px';
         
         // Update WebGL viewport
-        gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+        gl.viewport(0, 0, host.canvas.width, host.canvas.height);
         
         // Update uniforms
         gl.useProgram(this.program);
-        gl.uniform2f(this.uniformLocs.resolution, this.canvas.width, this.canvas.height);
-        gl.uniform2f(this.uniformLocs.charSize, this.charWidth * dpr, this.charHeight * dpr);
+        gl.uniform2f(this.uniformLocs.resolution, host.canvas.width, host.canvas.height);
+        gl.uniform2f(this.uniformLocs.charSize, host.charWidth * dpr, host.charHeight * dpr);
         
-        // Reallocate cell data buffer
-        const cellCount = this.cols * this.rows;
+        // Reallocate cell data buffer (the host marks every row dirty)
+        const cellCount = host.cols * host.rows;
         // Each cell: cellPos(2) + fgColor(4) + bgColor(4) + glyphUV(4) + style(1) + charWidth(1) = 16 floats
         this.cellData = new Float32Array(cellCount * 16);
         
@@ -468,293 +438,34 @@ class TStorieTerminal {
         gl.enableVertexAttribArray(this.attribLocs.charWidth);
         gl.vertexAttribPointer(this.attribLocs.charWidth, 1, gl.FLOAT, false, stride, 60);
         gl.vertexAttribDivisor(this.attribLocs.charWidth, 1);
-        
-        // Notify WASM module
-        if (typeof Module !== 'undefined' && Module._emResize) {
-            Module._emResize(this.cols, this.rows);
-        }
-    }
-    
-    setupInputHandlers() {
-        // Keyboard input
-        this.canvas.addEventListener('keydown', (e) => {
-            e.preventDefault();
-            this.handleKeyDown(e);
-        });
-        
-        this.canvas.addEventListener('keypress', (e) => {
-            e.preventDefault();
-        });
-        
-        // Mouse input
-        this.canvas.addEventListener('mousedown', (e) => {
-            e.preventDefault();
-            this.handleMouseClick(e);
-        });
-        
-        this.canvas.addEventListener('mouseup', (e) => {
-            e.preventDefault();
-            this.handleMouseRelease(e);
-        });
-        
-        this.canvas.addEventListener('mousemove', (e) => {
-            this.handleMouseMove(e);
-        });
-        
-        // Mouse wheel scrolling
-        this.canvas.addEventListener('wheel', (e) => {
-            e.preventDefault();
-            this.handleMouseWheel(e);
-        });
-        
-        // Prevent context menu
-        this.canvas.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-        });
-        
-        // Focus management
-        this.canvas.focus();
-        this.canvas.addEventListener('blur', (e) => {
-            setTimeout(() => {
-                const activeElement = document.activeElement;
-                const settingsPanel = document.getElementById('settings-panel');
-                const settingsToggle = document.getElementById('settings-toggle');
-                
-                if (activeElement && 
-                    (activeElement === settingsPanel || 
-                     activeElement === settingsToggle ||
-                     settingsPanel?.contains(activeElement))) {
-                    return;
-                }
-                
-                this.canvas.focus();
-            }, 0);
-        });
     }
     
-    handleKeyDown(e) {
-        if (!Module._emHandleKeyPress) {
-            console.warn('Module._emHandleKeyPress not available');
-            return;
-        }
-        
-        const shift = e.shiftKey ? 1 : 0;
-        const alt = e.altKey ? 1 : 0;
-        const ctrl = e.ctrlKey ? 1 : 0;
-        
-        let keyCode = 0;
-        
-        // Map special keys
-        switch(e.key) {
-            case 'Escape': keyCode = 27; break;
-            case 'Backspace': keyCode = 127; break;
-            case ' ': keyCode = 32; break;
-            case 'Tab': keyCode = 9; break;
-            case 'Enter': keyCode = 13; break;
-            case 'Delete': keyCode = 46; break;
-            
-            case 'ArrowUp': keyCode = 1000; break;
-            case 'ArrowDown': keyCode = 1001; break;
-            case 'ArrowLeft': keyCode = 1002; break;
-            case 'ArrowRight': keyCode = 1003; break;
-            
-            case 'Home': keyCode = 1004; break;
-            case 'End': keyCode = 1005; break;
-            case 'PageUp': keyCode = 1006; break;
-            case 'PageDown': keyCode = 1007; break;
-            case 'Insert': keyCode = 1008; break;
-            
-            case 'F1': keyCode = 1100; break;
-            case 'F2': keyCode = 1101; break;
-            case 'F3': keyCode = 1102; break;
-            case 'F4': keyCode = 1103; break;
-            case 'F5': keyCode = 1104; break;
-            case 'F6': keyCode = 1105; break;
-            case 'F7': keyCode = 1106; break;
-            case 'F8': keyCode = 1107; break;
-            case 'F9': keyCode = 1108; break;
-            case 'F10': keyCode = 1109; break;
-            case 'F11': keyCode = 1110; break;
-            case 'F12': keyCode = 1111; break;
-            
-            default:
-                if (e.key.length === 1) {
-                    keyCode = e.key.charCodeAt(0);
-                    
-                    if (ctrl && keyCode >= 65 && keyCode <= 90) {
-                        keyCode = keyCode - 64;
-                    } else if (ctrl && keyCode >= 97 && keyCode <= 122) {
-                        keyCode = keyCode - 96;
-                    }
-                }
-                break;
-        }
+    /**
+     * Draw the current frame.
+     * Only rows the engine reported dirty are rebuilt and uploaded; each cell
+     * owns a fixed instance slot (y * cols + x) so untouched rows stay valid
+     * in the GPU buffer (preserveDrawingBuffer keeps idle frames on screen).
+     */
+    render(host) {
+        const cells = host.cells;
+        const cols = host.cols;
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.cellBuffer);
         
-        if (keyCode > 0) {
-            // For printable characters, only send TextEvent to avoid duplicates
-            // For special keys, send KeyEvent
-            const isPrintableChar = e.key.length === 1 && !ctrl && !alt && keyCode >= 32 && keyCode < 127;
-            
-            if (isPrintableChar) {
-                // Send text input event only
-                const textPtr = Module.allocateUTF8(e.key);
-                Module._emHandleTextInput(textPtr);
-                Module._free(textPtr);
-            } else {
-                // Send key press event for special keys
-                Module._emHandleKeyPress(keyCode, shift, alt, ctrl);
+        // Rebuild dirty rows, uploading each contiguous run in one call
+        let runStart = -1;
+        for (let y = 0; y <= host.rows; y++) {
+            if (y < host.rows && cells.isRowDirty(y)) {
+                if (runStart < 0) runStart = y;
+                this.buildRow(y);
+                continue;
             }
-        }
-    }
-    
-    handleMouseClick(e) {
-        if (!Module._emHandleMouseClick) return;
-        
-        const rect = this.canvas.getBoundingClientRect();
-        // Use CSS pixel dimensions (style.width/height) not canvas dimensions
-        // since getBoundingClientRect returns CSS pixels
-        const cssCharWidth = rect.width / this.cols;
-        const cssCharHeight = rect.height / this.rows;
-        const x = Math.floor((e.clientX - rect.left) / cssCharWidth);
-        const y = Math.floor((e.clientY - rect.top) / cssCharHeight);
-        
-        const shift = e.shiftKey ? 1 : 0;
-        const alt = e.altKey ? 1 : 0;
-        const ctrl = e.ctrlKey ? 1 : 0;
-        Module._emHandleMouseClick(x, y, e.button, shift, alt, ctrl);
-    }
-    
-    handleMouseRelease(e) {
-        if (!Module._emHandleMouseRelease) return;
-        
-        const rect = this.canvas.getBoundingClientRect();
-        // Use CSS pixel dimensions (style.width/height) not canvas dimensions
-        // since getBoundingClientRect returns CSS pixels
-        const cssCharWidth = rect.width / this.cols;
-        const cssCharHeight = rect.height / this.rows;
-        const x = Math.floor((e.clientX - rect.left) / cssCharWidth);
-        const y = Math.floor((e.clientY - rect.top) / cssCharHeight);
-        
-        const shift = e.shiftKey ? 1 : 0;
-        const alt = e.altKey ? 1 : 0;
-        const ctrl = e.ctrlKey ? 1 : 0;
-        
-        Module._emHandleMouseRelease(x, y, e.button, shift, alt, ctrl);
-    }
-    
-    handleMouseMove(e) {
-        if (!Module._emHandleMouseMove) return;
-        
-        const rect = this.canvas.getBoundingClientRect();
-        // Use CSS pixel dimensions (style.width/height) not canvas dimensions
-        // since getBoundingClientRect returns CSS pixels
-        const cssCharWidth = rect.width / this.cols;
-        const cssCharHeight = rect.height / this.rows;
-        const x = Math.floor((e.clientX - rect.left) / cssCharWidth);
-        const y = Math.floor((e.clientY - rect.top) / cssCharHeight);
-        
-        if (x !== this.mouseX || y !== this.mouseY) {
-            this.mouseX = x;
-            this.mouseY = y;
-            Module._emHandleMouseMove(x, y);
-        }
-    }
-    
-    handleMouseWheel(e) {
-        if (!Module._emHandleMouseWheel) {
-            console.warn('Module._emHandleMouseWheel not available');
-            return;
-        }
-        
-        const rect = this.canvas.getBoundingClientRect();
-        // Use CSS pixel dimensions (style.width/height) not canvas dimensions
-        // since getBoundingClientRect returns CSS pixels
-        const cssCharWidth = rect.width / this.cols;
-        const cssCharHeight = rect.height / this.rows;
-        const x = Math.floor((e.clientX - rect.left) / cssCharWidth);
-        const y = Math.floor((e.clientY - rect.top) / cssCharHeight);
-        
-        const shift = e.shiftKey ? 1 : 0;
-        const alt = e.altKey ? 1 : 0;
-        const ctrl = e.ctrlKey ? 1 : 0;
-        
-        Module._emHandleMouseWheel(x, y, e.deltaY, shift, alt, ctrl);
-    }
-    
-    render() {
-        if (!Module._emGetCell) {
-            console.warn('Module._emGetCell not available');
-            return;
-        }
-        
-        const gl = this.gl;
-        let dataIndex = 0;
-        let instanceCount = 0;
-        
-        // Build cell data array
-        for (let y = 0; y < this.rows; y++) {
-            for (let x = 0; x < this.cols; x++) {
-                // Check if this is the second half of a double-width character
-                if (x > 0) {
-                    const prevCh = Module.UTF8ToString(Module._emGetCell(x - 1, y));
-                    if (prevCh && prevCh !== '') {
-                        const prevWidth = Module._emGetCellWidth ? Module._emGetCellWidth(x - 1, y) : 1;
-                        if (prevWidth === 2) {
-                            // Skip this cell entirely
-                            continue;
-                        }
-                    }
-                }
-                
-                // Get cell data
-                let ch = Module.UTF8ToString(Module._emGetCell(x, y));
-                
-                // Filter middle dot workaround (same as Canvas2D version)
-                if (ch === '・' && x > 0) {
-                    const prevCh = Module.UTF8ToString(Module._emGetCell(x - 1, y));
-                    if (prevCh === '>' || prevCh === '<' || prevCh === '^' || prevCh === 'v') {
-                        ch = '';
-                    }
-                }
-                
-                const fgR = Module._emGetCellFgR(x, y) / 255;
-                const fgG = Module._emGetCellFgG(x, y) / 255;
-                const fgB = Module._emGetCellFgB(x, y) / 255;
-                
-                const bgR = Module._emGetCellBgR(x, y) / 255;
-                const bgG = Module._emGetCellBgG(x, y) / 255;
-                const bgB = Module._emGetCellBgB(x, y) / 255;
-                
-                const bold = Module._emGetCellBold(x, y);
-                const italic = Module._emGetCellItalic(x, y);
-                const underline = Module._emGetCellUnderline(x, y);
-                const charWidth = Module._emGetCellWidth ? Module._emGetCellWidth(x, y) : 1;
-                
-                // Get or cache glyph
-                const uv = this.getGlyphUV(ch);
-                
-                // Pack style flags
-                const style = (underline ? 1 : 0) + (bold ? 2 : 0) + (italic ? 4 : 0);
-                
-                // Write to cell data buffer
-                this.cellData[dataIndex++] = x;        // cellPos.x
-                this.cellData[dataIndex++] = y;        // cellPos.y
-                this.cellData[dataIndex++] = fgR;      // fgColor.r
-                this.cellData[dataIndex++] = fgG;      // fgColor.g
-                this.cellData[dataIndex++] = fgB;      // fgColor.b
-                this.cellData[dataIndex++] = 1.0;      // fgColor.a
-                this.cellData[dataIndex++] = bgR;      // bgColor.r
-                this.cellData[dataIndex++] = bgG;      // bgColor.g
-                this.cellData[dataIndex++] = bgB;      // bgColor.b
-                this.cellData[dataIndex++] = 1.0;      // bgColor.a
-                this.cellData[dataIndex++] = uv.u;     // glyphUV.u
-                this.cellData[dataIndex++] = uv.v;     // glyphUV.v
-                this.cellData[dataIndex++] = uv.w;     // glyphUV.w
-                this.cellData[dataIndex++] = uv.h;     // glyphUV.h
-                this.cellData[dataIndex++] = style;    // style
-                this.cellData[dataIndex++] = charWidth; // charWidth
-                
-                instanceCount++;
+            
+            if (runStart >= 0) {
+                const start = runStart * cols * 16;
+                const length = (y - runStart) * cols * 16;
+                gl.bufferSubData(gl.ARRAY_BUFFER, start * 4, this.cellData, start, length);
+                runStart = -1;
             }
         }
         
@@ -763,39 +474,85 @@ class TStorieTerminal {
             this.uploadAtlasToGPU();
         }
         
-        // Upload cell data to GPU
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.cellBuffer);
-        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.cellData);
-        
         // Draw all cells in one instanced call
         gl.clear(gl.COLOR_BUFFER_BIT);
-        gl.drawArraysInstanced(gl.TRIANGLES, 0, 6, instanceCount);
+        gl.drawArraysInstanced(gl.TRIANGLES, 0, 6, cols * host.rows);
     }
     
-    startAnimationLoop() {
-        const animate = (currentTime) => {
-            const elapsed = currentTime - this.lastFrameTime;
+    /**
+     * Write one row of instance data into cellData
+     */
+    buildRow(y) {
+        const host = this.host;
+        const cells = host.cells;
+        const cellData = this.cellData;
+        let dataIndex = y * host.cols * 16;
+        
+        for (let x = 0; x < host.cols; x++) {
+            // The second half of a double-width character gets an empty
+            // zero-width quad so it keeps its slot without drawing
+            const continuation = cells.isContinuation(x, y);
             
-            if (elapsed >= this.frameInterval) {
-                this.lastFrameTime = currentTime;
-                
-                if (Module._emUpdate) {
-                    Module._emUpdate(elapsed);
-                }
-                
-                this.render();
-                
-                // Notify shader system that terminal render is complete
-                // This ensures shader system samples a fully rendered frame
-                if (window.shaderSystem && window.shaderSystem.onTerminalRenderComplete) {
-                    window.shaderSystem.onTerminalRenderComplete();
-                }
-            }
+            // Get cell data (middle dot workaround filtered by the cell buffer)
+            const ch = continuation ? '' : cells.getDisplayChar(x, y);
+            const fg = cells.getFg(x, y);
+            const bg = cells.getBg(x, y);
+            const style = cells.getStyle(x, y);
+            const charWidth = continuation ? 0 : cells.getWidth(x, y);
             
-            requestAnimationFrame(animate);
-        };
+            // Get or cache glyph
+            const uv = this.getGlyphUV(ch);
+            
+            // Write to cell data buffer
+            cellData[dataIndex++] = x;        // cellPos.x
+            cellData[dataIndex++] = y;        // cellPos.y
+            cellData[dataIndex++] = ((fg >> 16) & 0xFF) / 255;  // fgColor.r
+            cellData[dataIndex++] = ((fg >> 8) & 0xFF) / 255;   // fgColor.g
+            cellData[dataIndex++] = (fg & 0xFF) / 255;          // fgColor.b
+            cellData[dataIndex++] = 1.0;      // fgColor.a
+            cellData[dataIndex++] = ((bg >> 16) & 0xFF) / 255;  // bgColor.r
+            cellData[dataIndex++] = ((bg >> 8) & 0xFF) / 255;   // bgColor.g
+            cellData[dataIndex++] = (bg & 0xFF) / 255;          // bgColor.b
+            cellData[dataIndex++] = 1.0;      // bgColor.a
+            cellData[dataIndex++] = uv.u;     // glyphUV.u
+            cellData[dataIndex++] = uv.v;     // glyphUV.v
+            cellData[dataIndex++] = uv.w;     // glyphUV.w
+            cellData[dataIndex++] = uv.h;     // glyphUV.h
+            cellData[dataIndex++] = style;    // style
+            cellData[dataIndex++] = charWidth; // charWidth
+        }
+    }
+    
+    destroy() {
+        const gl = this.gl;
+        if (gl) {
+            if (this.cellBuffer) gl.deleteBuffer(this.cellBuffer);
+            if (this.atlasTexture) gl.deleteTexture(this.atlasTexture);
+            if (this.program) gl.deleteProgram(this.program);
+        }
+        if (this.canvas && this.contextLostListener) {
+            this.canvas.removeEventListener('webglcontextlost', this.contextLostListener);
+            this.canvas.removeEventListener('webglcontextrestored', this.contextRestoredListener);
+        }
+        this.canvas = null;
+        this.contextLostListener = null;
+        this.contextRestoredListener = null;
+        this.cellBuffer = null;
+        this.atlasTexture = null;
+        this.program = null;
+        this.ready = false;
+    }
+}
+
+// WebGL terminal: the shared host with the WebGL draw backend.
+// Throws if WebGL2 is unavailable.
+class TStorieTerminal extends TStorieTerminalHost {
+    constructor(canvasElement, fontFamily = null, fontSize = null) {
+        super(canvasElement, fontFamily, fontSize);
         
-        requestAnimationFrame(animate);
+        const backend = new TStorieWebGLBackend();
+        backend.init(this);
+        this.attachDrawBackend(backend);
     }
 }
 
@@ -880,34 +637,7 @@ async function inittstorie() {
 
 // Export for use in HTML
 if (typeof window !== 'undefined') {
+    window.TStorieWebGLBackend = TStorieWebGLBackend;
+    window.TStorieTerminal = TStorieTerminal;
     window.inittstorie = inittstorie;
-    
-    // Export API functions
-    window.getCharPixelWidth = function() {
-        return terminal ? terminal.getCharPixelWidth() : 10;
-    };
-    
-    window.getCharPixelHeight = function() {
-        return terminal ? terminal.getCharPixelHeight() : 20;
-    };
-    
-    window.getViewportPixelWidth = function() {
-        return terminal ? terminal.getViewportPixelWidth() : window.innerWidth;
-    };
-    
-    window.getViewportPixelHeight = function() {
-        return terminal ? terminal.getViewportPixelHeight() : window.innerHeight;
-    };
-    
-    window.setFontSize = function(size) {
-        if (terminal) {
-            terminal.setFontSize(size);
-        }
-    };
-    
-    window.setFontScale = function(scale) {
-        if (terminal) {
-            terminal.setFontScale(scale);
-        }
-    };
 }
@@ -1,30 +1,25 @@
 // TStorie WebGPU Render Pipeline
 // High-performance terminal rendering with WebGPU render pipeline
 // Unified GPU context with compute shaders
+// The draw backend plugs into TStorieTerminalHost (tstorie-terminal-host.js),
+// which owns input, sizing and font metrics.
 
-class TStorieWebGPURender {
-    constructor(canvasElement, webgpuDevice = null, fontFamily = null, fontSize = null) {
-        this.canvas = canvasElement;
+class TStorieWebGPUBackend {
+    constructor(webgpuDevice = null) {
+        this.name = 'webgpu';
+        this.ready = false;
+        this.host = null;
         this.device = webgpuDevice;  // Shared device (can be null, will create)
+        this.sharedDevice = webgpuDevice !== null;
+        this.presentationFormat = null;
+        this.destroyed = false;
         this.context = null;
         this.pipeline = null;
         this.renderPassDescriptor = null;
         
-        // Terminal dimensions in characters
-        this.cols = 80;
-        this.rows = 24;
-        
-        // Character dimensions in pixels
-        this.charWidth = 10;
-        this.charHeight = 20;
-        
-        // Font settings
-        this.fontSize = fontSize || 16;
-        this.fontFamily = fontFamily || "'3270-Regular', 'Consolas', 'Monaco', monospace";
-        
-        // Performance
-        this.lastFrameTime = 0;
-        this.frameInterval = 1000 / 60; // 60 FPS
+        // Set by the host; called when the device is lost / rebuilt
+        this.onLost = null;
+        this.onRestored = null;
         
         // Dynamic glyph cache (same as WebGL version)
         this.glyphCache = new Map();  // char → {u, v, w, h, width, pixelWidth}
@@ -47,21 +42,14 @@ class TStorieWebGPURender {
         this.cellBuffer = null;
         this.cellData = null;
         this.bindGroup = null;
-        
-        // Input state
-        this.mouseX = 0;
-        this.mouseY = 0;
-        
-        // Initialize flag
-        this.initialized = false;
     }
     
     /**
-     * Async initialization - must be called before use
+     * Async initialization - called by TStorieTerminalHost.setDrawBackend()
      * Can accept shared WebGPU device for unified compute+render
      */
-    async init() {
-        if (this.initialized) return true;
+    async init(host) {
+        this.host = host;
         
         console.log('[WebGPU Render] Initializing...');
         
@@ -71,81 +59,127 @@ class TStorieWebGPURender {
             return false;
         }
         
-        try {
-            // Get or create device
-            if (!this.device) {
-                const adapter = await navigator.gpu.requestAdapter({
-                    powerPreference: 'high-performance'
-                });
-                
-                if (!adapter) {
-                    console.error('[WebGPU Render] Failed to get GPU adapter');
-                    return false;
-                }
-                
-                this.device = await adapter.requestDevice({
-                    requiredFeatures: [],
-                    requiredLimits: {}
-                });
-                
-                console.log('[WebGPU Render] Created new device');
-            } else {
-                console.log('[WebGPU Render] Using shared device');
-            }
-            
-            // Handle device lost
-            this.device.lost.then((info) => {
-                console.error('[WebGPU Render] Device lost:', info.message);
-                this.initialized = false;
-            });
-            
-            // Configure canvas context
-            this.context = this.canvas.getContext('webgpu');
-            if (!this.context) {
-                console.error('[WebGPU Render] Failed to get WebGPU canvas context');
-                return false;
+        // Get or create device
+        if (!this.device) {
+            this.device = await this.requestDevice();
+            if (!this.device) return false;
+        } else {
+            console.log('[WebGPU Render] Using shared device');
+        }
+        
+        this.watchDevice(this.device);
+        
+        // Configure canvas context
+        this.context = host.canvas.getContext('webgpu');
+        if (!this.context) {
+            console.error('[WebGPU Render] Failed to get WebGPU canvas context');
+            return false;
+        }
+        
+        const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
+        this.presentationFormat = presentationFormat;
+        this.context.configure({
+            device: this.device,
+            format: presentationFormat,
+            alphaMode: 'opaque'
+        });
+        
+        // Set font on the atlas and create WebGPU resources
+        this.atlasCtx.font = `${host.fontSize}px ${host.fontFamily}`;
+        this.atlasCtx.textBaseline = 'top';
+        await this.initWebGPU(presentationFormat);
+        
+        // Pre-cache ASCII for fast startup
+        this.cacheCharRange(32, 127);
+        
+        this.ready = true;
+        console.log('[WebGPU Render] Initialized successfully');
+        return true;
+    }
+    
+    /**
+     * New adapter + device. A device that came from the WebGPU bridge is
+     * replaced through the bridge so compute and render keep sharing it.
+     */
+    async requestDevice() {
+        if (this.sharedDevice && window.webgpuBridge) {
+            if (await window.webgpuBridge.init()) {
+                console.log('[WebGPU Render] Using new shared device from bridge');
+                return window.webgpuBridge.getDevice();
             }
+            return null;
+        }
+        
+        const adapter = await navigator.gpu.requestAdapter({
+            powerPreference: 'high-performance'
+        });
+        
+        if (!adapter) {
+            console.error('[WebGPU Render] Failed to get GPU adapter');
+            return null;
+        }
+        
+        const device = await adapter.requestDevice({
+            requiredFeatures: [],
+            requiredLimits: {}
+        });
+        
+        console.log('[WebGPU Render] Created new device');
+        return device;
+    }
+    
+    watchDevice(device) {
+        // Handle device lost
+        device.lost.then((info) => {
+            // A device we already replaced, or a backend that was swapped out
+            if (device !== this.device || this.destroyed) return;
             
-            const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
-            this.context.configure({
-                device: this.device,
-                format: presentationFormat,
-                alphaMode: 'opaque'
-            });
+            console.error('[WebGPU Render] Device lost:', info.message);
+            this.ready = false;
+            if (this.onLost) this.onLost(info.reason || info.message);
             
-            // Wait for fonts to load before measuring
-            if (document.fonts && document.fonts.ready) {
-                await document.fonts.ready;
-                console.log('[WebGPU Render] Fonts loaded');
+            // 'destroyed' means someone called device.destroy() on purpose
+            if (info.reason !== 'destroyed') {
+                this.recover();
             }
-            
-            // Initialize font and WebGPU resources
-            this.initFont();
-            await this.initWebGPU(presentationFormat);
-            this.setupCanvas();
-            this.setupInputHandlers();
-            
-            // Pre-cache ASCII for fast startup
-            this.cacheCharRange(32, 127);
-            
-            this.initialized = true;
-            console.log('[WebGPU Render] Initialized successfully');
-            return true;
-            
+        });
+    }
+    
+    /**
+     * Rebuild everything that lived on the lost device. The glyph atlas is
+     * a 2D canvas and survives, so it is simply uploaded again by
+     * initWebGPU(); the host then resizes us to recreate the cell buffer
+     * and repaints every row from WASM.
+     */
+    async recover() {
+        console.log('[WebGPU Render] Recovering from device loss...');
+        
+        let device = null;
+        try {
+            device = await this.requestDevice();
         } catch (error) {
-            console.error('[WebGPU Render] Initialization failed:', error);
+            console.error('[WebGPU Render] Failed to get a new device:', error);
+        }
+        if (!device || this.destroyed) {
+            console.error('[WebGPU Render] Recovery failed');
             return false;
         }
-    }
-    
-    initFont() {
-        // Measure character dimensions (same as WebGL)
-        this.atlasCtx.font = `${this.fontSize}px ${this.fontFamily}`;
-        this.atlasCtx.textBaseline = 'top';
         
-        const metrics = this.atlasCtx.measureText('M');
-        this.charWidth = Math.ceil(metrics.width);
-        this.charHeight = this.fontSize;
+        this.device = device;
+        this.cellBuffer = null;
+        this.watchDevice(device);
+        
+        this.context.configure({
+            device,
+            format: this.presentationFormat,
+            alphaMode: 'opaque'
+        });
+        await this.initWebGPU(this.presentationFormat);
+        
+        this.ready = true;
+        console.log('[WebGPU Render] Recovered');
+        if (this.onRestored) this.onRestored();
+        return true;
     }
     
     async initWebGPU(presentationFormat) {
@@ -391,253 +425,9 @@ class TStorieWebGPURender {
         };
     }
     
-    setupCanvas() {
-        // Calculate terminal dimensions based on window size
-        const availWidth = window.innerWidth;
-        const availHeight = window.innerHeight;
-        
-        this.cols = Math.max(20, Math.floor(availWidth / this.charWidth));
-        this.rows = Math.max(10, Math.floor(availHeight / this.charHeight));
-        
-        // Set canvas size with device pixel ratio
-        const dpr = window.devicePixelRatio || 1;
-        this.canvas.width = this.cols * this.charWidth * dpr;
-        this.canvas.height = this.rows * this.charHeight * dpr;
-        this.canvas.style.width = (this.cols * this.charWidth) + 'px';
-        this.canvas.style.height = (this.rows * this.charHeight) + 'px';
-        
-        // Allocate cell buffer
-        const maxCells = this.cols * this.rows;
-        const floatsPerCell = 16;
-        this.cellData = new Float32Array(maxCells * floatsPerCell);
-        
-        const bufferSize = this.cellData.byteLength;
-        this.cellBuffer = this.device.createBuffer({
-            size: bufferSize,
-            usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
-            label: 'Cell Instance Buffer'
-        });
-        
-        // Update uniforms with DPR
-        const uniformData = new Float32Array([
-            this.canvas.width, this.canvas.height,
-            this.charWidth * dpr, this.charHeight * dpr
-        ]);
-        this.device.queue.writeBuffer(this.uniformBuffer, 0, uniformData);
-    }
-    
-    setupInputHandlers() {
-        // Keyboard input
-        this.canvas.addEventListener('keydown', (e) => {
-            e.preventDefault();
-            this.handleKeyDown(e);
-        });
-        
-        this.canvas.addEventListener('keypress', (e) => {
-            e.preventDefault();
-        });
-        
-        // Mouse input
-        this.canvas.addEventListener('mousedown', (e) => {
-            e.preventDefault();
-            this.handleMouseClick(e);
-        });
-        
-        this.canvas.addEventListener('mouseup', (e) => {
-            e.preventDefault();
-            this.handleMouseRelease(e);
-        });
-        
-        this.canvas.addEventListener('mousemove', (e) => {
-            this.handleMouseMove(e);
-        });
-        
-        // Mouse wheel scrolling
-        this.canvas.addEventListener('wheel', (e) => {
-            e.preventDefault();
-            this.handleMouseWheel(e);
-        });
-        
-        // Prevent context menu
-        this.canvas.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-        });
-        
-        // Focus management
-        this.canvas.focus();
-        this.canvas.addEventListener('blur', (e) => {
-            setTimeout(() => {
-                const activeElement = document.activeElement;
-                const settingsPanel = document.getElementById('settings-panel');
-                const settingsToggle = document.getElementById('settings-toggle');
-                
-                if (activeElement && 
-                    (activeElement === settingsPanel || 
-                     activeElement === settingsToggle ||
-                     settingsPanel?.contains(activeElement))) {
-                    return;
-                }
-                
-                this.canvas.focus();
-            }, 0);
-        });
-        
-        // Handle window resize
-        window.addEventListener('resize', () => this.resize());
-    }
-    
-    handleKeyDown(e) {
-        if (!Module._emHandleKeyPress) {
-            console.warn('Module._emHandleKeyPress not available');
-            return;
-        }
-        
-        const shift = e.shiftKey ? 1 : 0;
-        const alt = e.altKey ? 1 : 0;
-        const ctrl = e.ctrlKey ? 1 : 0;
-        
-        let keyCode = 0;
-        
-        // Map special keys
-        switch(e.key) {
-            case 'Escape': keyCode = 27; break;
-            case 'Backspace': keyCode = 127; break;
-            case ' ': keyCode = 32; break;
-            case 'Tab': keyCode = 9; break;
-            case 'Enter': keyCode = 13; break;
-            case 'Delete': keyCode = 46; break;
-            
-            case 'ArrowUp': keyCode = 1000; break;
-            case 'ArrowDown': keyCode = 1001; break;
-            case 'ArrowLeft': keyCode = 1002; break;
-            case 'ArrowRight': keyCode = 1003; break;
-            
-            case 'Home': keyCode = 1004; break;
-            case 'End': keyCode = 1005; break;
-            case 'PageUp': keyCode = 1006; break;
-            case 'PageDown': keyCode = 1007; break;
-            case 'Insert': keyCode = 1008; break;
-            
-            case 'F1': keyCode = 1100; break;
-            case 'F2': keyCode = 1101; break;
-            case 'F3': keyCode = 1102; break;
-            case 'F4': keyCode = 1103; break;
-            case 'F5': keyCode = 1104; break;
-            case 'F6': keyCode = 1105; break;
-            case 'F7': keyCode = 1106; break;
-            case 'F8': keyCode = 1107; break;
-            case 'F9': keyCode = 1108; break;
-            case 'F10': keyCode = 1109; break;
-            case 'F11': keyCode = 1110; break;
-            case 'F12': keyCode = 1111; break;
-            
-            default:
-                if (e.key.length === 1) {
-                    keyCode = e.key.charCodeAt(0);
-                    
-                    if (ctrl && keyCode >= 65 && keyCode <= 90) {
-                        keyCode = keyCode - 64;
-                    } else if (ctrl && keyCode >= 97 && keyCode <= 122) {
-                        keyCode = keyCode - 96;
-                    }
-                }
-                break;
-        }
-        
-        if (keyCode > 0) {
-            // For printable characters, only send TextEvent to avoid duplicates
-            // For special keys, send KeyEvent
-            const isPrintableChar = e.key.length === 1 && !ctrl && !alt && keyCode >= 32 && keyCode < 127;
-            
-            if (isPrintableChar) {
-                // Send text input event only
-                const textPtr = Module.allocateUTF8(e.key);
-                Module._emHandleTextInput(textPtr);
-                Module._free(textPtr);
-            } else {
-                // Send key press event for special keys
-                Module._emHandleKeyPress(keyCode, shift, alt, ctrl);
-            }
-        }
-    }
-    
-    handleMouseClick(e) {
-        if (!Module._emHandleMouseClick) return;
-        
-        const rect = this.canvas.getBoundingClientRect();
-        const x = Math.floor((e.clientX - rect.left) / this.charWidth);
-        const y = Math.floor((e.clientY - rect.top) / this.charHeight);
-        
-        const shift = e.shiftKey ? 1 : 0;
-        const alt = e.altKey ? 1 : 0;
-        const ctrl = e.ctrlKey ? 1 : 0;
-        Module._emHandleMouseClick(x, y, e.button, shift, alt, ctrl);
-    }
-    
-    handleMouseRelease(e) {
-        if (!Module._emHandleMouseRelease) return;
-        
-        const rect = this.canvas.getBoundingClientRect();
-        const x = Math.floor((e.clientX - rect.left) / this.charWidth);
-        const y = Math.floor((e.clientY - rect.top) / this.charHeight);
-        
-        const shift = e.shiftKey ? 1 : 0;
-        const alt = e.altKey ? 1 : 0;
-        const ctrl = e.ctrlKey ? 1 : 0;
-        
-        Module._emHandleMouseRelease(x, y, e.button, shift, alt, ctrl);
-    }
-    
-    handleMouseMove(e) {
-        if (!Module._emHandleMouseMove) return;
-        
-        const rect = this.canvas.getBoundingClientRect();
-        const x = Math.floor((e.clientX - rect.left) / this.charWidth);
-        const y = Math.floor((e.clientY - rect.top) / this.charHeight);
-        
-        if (x !== this.mouseX || y !== this.mouseY) {
-            this.mouseX = x;
-            this.mouseY = y;
-            Module._emHandleMouseMove(x, y);
-        }
-    }
-    
-    handleMouseWheel(e) {
-        if (!Module._emHandleMouseWheel) {
-            console.warn('Module._emHandleMouseWheel not available');
-            return;
-        }
-        
-        const rect = this.canvas.getBoundingClientRect();
-        const x = Math.floor((e.clientX - rect.left) / this.charWidth);
-        const y = Math.floor((e.clientY - rect.top) / this.charHeight);
-        
-        const shift = e.shiftKey ? 1 : 0;
-        const alt = e.altKey ? 1 : 0;
-        const ctrl = e.ctrlKey ? 1 : 0;
-        
-        Module._emHandleMouseWheel(x, y, e.deltaY, shift, alt, ctrl);
-    }
-    
-    resize() {
-        if (!this.initialized) return;
-        
-        // Recalculate based on window size and current font
-        const availWidth = window.innerWidth;
-        const availHeight = window.innerHeight;
-        
-        this.cols = Math.max(20, Math.floor(availWidth / this.charWidth));
-        this.rows = Math.max(10, Math.floor(availHeight / this.charHeight));
-        
-        // Set canvas size with device pixel ratio
-        const dpr = window.devicePixelRatio || 1;
-        this.canvas.width = this.cols * this.charWidth * dpr;
-        this.canvas.height = this.rows * this.charHeight * dpr;
-        this.canvas.style.width = (this.cols * this.charWidth) + 'px';
-        this.canvas.style.height = (this.rows * this.charHeight) + 'px';
-        
-        // Reallocate cell buffer
-        const maxCells = this.cols * this.rows;
+    resize(host, dpr) {
+        // Reallocate cell buffer (the host marks every row dirty)
+        const maxCells = host.cols * host.rows;
         const floatsPerCell = 16;
         this.cellData = new Float32Array(maxCells * floatsPerCell);
         
@@ -651,26 +441,13 @@ class TStorieWebGPURender {
         
         // Update uniforms with DPR
         const uniformData = new Float32Array([
-            this.canvas.width, this.canvas.height,
-            this.charWidth * dpr, this.charHeight * dpr
+            host.canvas.width, host.canvas.height,
+            host.charWidth * dpr, host.charHeight * dpr
         ]);
         this.device.queue.writeBuffer(this.uniformBuffer, 0, uniformData);
-        
-        // Notify WASM module of new dimensions
-        if (typeof Module !== 'undefined' && Module._emResize) {
-            Module._emResize(this.cols, this.rows);
-        }
     }
     
-    setFontSize(newSize) {
-        // Validate font size
-        if (newSize < 8 || newSize > 72) {
-            console.warn('[WebGPU Render] Font size out of range (8-72):', newSize);
-            return;
-        }
-        
-        this.fontSize = newSize;
-        
+    fontChanged(host) {
         // Clear glyph cache and atlas
         this.glyphCache.clear();
         this.atlasX = 0;
@@ -678,38 +455,14 @@ class TStorieWebGPURender {
         this.atlasRowHeight = 0;
         this.atlasCtx.clearRect(0, 0, this.atlasCanvas.width, this.atlasCanvas.height);
         
-        // Reinitialize font metrics
-        this.initFont();
+        // Reinitialize atlas font
+        this.atlasCtx.font = `${host.fontSize}px ${host.fontFamily}`;
+        this.atlasCtx.textBaseline = 'top';
         
         // Pre-cache ASCII again
         this.cacheCharRange(32, 127);
         
-        // Trigger resize to recalculate terminal dimensions
-        this.resize();
-        
-        console.log('[WebGPU Render] Font size changed to:', newSize, 'px');
-    }
-    
-    setFontScale(scale) {
-        // Scale the current font size
-        const newSize = Math.round(this.fontSize * scale);
-        this.setFontSize(newSize);
-    }
-    
-    getCharPixelWidth() {
-        return this.charWidth;
-    }
-    
-    getCharPixelHeight() {
-        return this.charHeight;
-    }
-    
-    getViewportPixelWidth() {
-        return window.innerWidth;
-    }
-    
-    getViewportPixelHeight() {
-        return window.innerHeight;
+        console.log('[WebGPU Render] Font size changed to:', host.fontSize, 'px');
     }
     
     // Glyph caching methods (identical to WebGL version)
@@ -721,7 +474,7 @@ class TStorieWebGPURender {
         // Measure character
         const metrics = this.atlasCtx.measureText(char);
         const pixelWidth = Math.ceil(metrics.width);
-        const width = Math.max(1, Math.ceil(pixelWidth / this.charWidth));
+        const width = Math.max(1, Math.ceil(pixelWidth / this.host.charWidth));
         
         // Check if we need a new row
         if (this.atlasX + pixelWidth > this.atlasCanvas.width) {
@@ -731,13 +484,16 @@ class TStorieWebGPURender {
         }
         
         // Check if we ran out of space
-        if (this.atlasY + this.charHeight > this.atlasCanvas.height) {
+        if (this.atlasY + this.host.charHeight > this.atlasCanvas.height) {
             console.warn('Font atlas full, clearing cache');
             this.glyphCache.clear();
             this.atlasCtx.clearRect(0, 0, this.atlasCanvas.width, this.atlasCanvas.height);
             this.atlasX = 0;
             this.atlasY = 0;
             this.atlasRowHeight = 0;
+            
+            // Glyphs already on screen just lost their UVs
+            this.host.cells.invalidate();
         }
         
         // Draw character to atlas
@@ -748,14 +504,14 @@ class TStorieWebGPURender {
         const u = this.atlasX / this.atlasCanvas.width;
         const v = this.atlasY / this.atlasCanvas.height;
         const w = pixelWidth / this.atlasCanvas.width;
-        const h = this.charHeight / this.atlasCanvas.height;
+        const h = this.host.charHeight / this.atlasCanvas.height;
         
         const glyphData = { u, v, w, h, width, pixelWidth };
         this.glyphCache.set(char, glyphData);
         
         // Update position
         this.atlasX += pixelWidth;
-        this.atlasRowHeight = Math.max(this.atlasRowHeight, this.charHeight);
+        this.atlasRowHeight = Math.max(this.atlasRowHeight, this.host.charHeight);
         this.atlasNeedsUpload = true;
         
         return glyphData;
@@ -784,100 +540,36 @@ class TStorieWebGPURender {
     }
     
     // Main render method
-    render(cells) {
-        if (!this.initialized) {
-            console.warn('[WebGPU Render] Not initialized, cannot render');
-            return;
-        }
+    // Only dirty rows are rebuilt and written; every cell keeps a fixed
+    // instance slot (y * cols + x). Idle frames never reach here, so the
+    // canvas keeps showing the last presented frame.
+    render(host) {
+        const cells = host.cells;
+        const cols = host.cols;
+        const data = this.cellData;
         
-        // Check if Module is available
-        if (typeof Module === 'undefined' || !Module._emGetCell) {
-            console.warn('[WebGPU Render] Module not ready');
-            return;
+        // Rebuild dirty rows, writing each contiguous run in one call
+        let runStart = -1;
+        for (let y = 0; y <= host.rows; y++) {
+            if (y < host.rows && cells.isRowDirty(y)) {
+                if (runStart < 0) runStart = y;
+                this.buildRow(y);
+                continue;
+            }
+            
+            if (runStart >= 0) {
+                const start = runStart * cols * 16;
+                const length = (y - runStart) * cols * 16;
+                this.device.queue.writeBuffer(this.cellBuffer, start * 4, data, start, length);
+                runStart = -1;
+            }
         }
         
-        // Upload atlas if needed
+        // Upload atlas if glyphs were added this frame
         if (this.atlasNeedsUpload) {
             this.uploadAtlasToGPU();
         }
         
-        // Build instance data from Module (like WebGL version)
-        let instanceCount = 0;
-        const data = this.cellData;
-        
-        for (let y = 0; y < this.rows; y++) {
-            for (let x = 0; x < this.cols; x++) {
-                // Check if this is the second half of a double-width character
-                if (x > 0) {
-                    const prevCh = Module.UTF8ToString(Module._emGetCell(x - 1, y));
-                    if (prevCh && prevCh !== '') {
-                        const prevWidth = Module._emGetCellWidth ? Module._emGetCellWidth(x - 1, y) : 1;
-                        if (prevWidth === 2) {
-                            // Skip this cell entirely
-                            continue;
-                        }
-                    }
-                }
-                
-                // Get cell data - properly decode UTF-8 string from WASM memory
-                let ch = Module.UTF8ToString(Module._emGetCell(x, y));
-                
-                // Filter middle dot workaround (same as WebGL version)
-                if (ch === '・' && x > 0) {
-                    const prevCh = Module.UTF8ToString(Module._emGetCell(x - 1, y));
-                    if (prevCh === '>' || prevCh === '<' || prevCh === '^' || prevCh === 'v') {
-                        ch = '';
-                    }
-                }
-                
-                // Get cell colors (including backgrounds for empty cells)
-                const fgR = Module._emGetCellFgR(x, y) / 255;
-                const fgG = Module._emGetCellFgG(x, y) / 255;
-                const fgB = Module._emGetCellFgB(x, y) / 255;
-                const bgR = Module._emGetCellBgR(x, y) / 255;
-                const bgG = Module._emGetCellBgG(x, y) / 255;
-                const bgB = Module._emGetCellBgB(x, y) / 255;
-                
-                // Get cell style
-                const bold = Module._emGetCellBold(x, y);
-                const italic = Module._emGetCellItalic(x, y);
-                const underline = Module._emGetCellUnderline(x, y);
-                const charWidth = Module._emGetCellWidth ? Module._emGetCellWidth(x, y) : 1;
-                
-                // Cache glyph
-                const glyph = this.cacheChar(ch);
-                
-                // Pack style bits
-                const style = (underline ? 1 : 0) + (bold ? 2 : 0) + (italic ? 4 : 0);
-                
-                // Write instance data
-                const offset = instanceCount * 16;
-                data[offset + 0] = x;
-                data[offset + 1] = y;
-                data[offset + 2] = fgR;
-                data[offset + 3] = fgG;
-                data[offset + 4] = fgB;
-                data[offset + 5] = 1.0;
-                data[offset + 6] = bgR;
-                data[offset + 7] = bgG;
-                data[offset + 8] = bgB;
-                data[offset + 9] = 1.0;
-                data[offset + 10] = glyph.u;
-                data[offset + 11] = glyph.v;
-                data[offset + 12] = glyph.w;
-                data[offset + 13] = glyph.h;
-                data[offset + 14] = style;
-                data[offset + 15] = glyph.width;
-                
-                instanceCount++;
-            }
-        }
-        
-        if (instanceCount === 0) return;
-        
-        // Upload instance data
-        this.device.queue.writeBuffer(this.cellBuffer, 0, data, 0, instanceCount * 16);
-        
         // Get current texture
         const textureView = this.context.getCurrentTexture().createView();
         this.renderPassDescriptor.colorAttachments[0].view = textureView;
@@ -890,13 +582,54 @@ class TStorieWebGPURender {
         passEncoder.setPipeline(this.pipeline);
         passEncoder.setBindGroup(0, this.bindGroup);
         passEncoder.setVertexBuffer(0, this.cellBuffer);
-        passEncoder.draw(6, instanceCount, 0, 0); // 6 vertices per quad
+        passEncoder.draw(6, cols * host.rows, 0, 0); // 6 vertices per quad
         passEncoder.end();
         
         // Submit
         this.device.queue.submit([commandEncoder.finish()]);
     }
     
+    // Write one row of instance data into cellData
+    buildRow(y) {
+        const host = this.host;
+        const cells = host.cells;
+        const data = this.cellData;
+        
+        for (let x = 0; x < host.cols; x++) {
+            // The second half of a double-width character gets an empty
+            // zero-width quad so it keeps its slot without drawing
+            const continuation = cells.isContinuation(x, y);
+            
+            // Get cell data (middle dot workaround filtered by the cell buffer)
+            const ch = continuation ? '' : cells.getDisplayChar(x, y);
+            const fg = cells.getFg(x, y);
+            const bg = cells.getBg(x, y);
+            const style = cells.getStyle(x, y);
+            
+            // Cache glyph
+            const glyph = this.cacheChar(ch);
+            
+            // Write instance data
+            const offset = (y * host.cols + x) * 16;
+            data[offset + 0] = x;
+            data[offset + 1] = y;
+            data[offset + 2] = ((fg >> 16) & 0xFF) / 255;
+            data[offset + 3] = ((fg >> 8) & 0xFF) / 255;
+            data[offset + 4] = (fg & 0xFF) / 255;
+            data[offset + 5] = 1.0;
+            data[offset + 6] = ((bg >> 16) & 0xFF) / 255;
+            data[offset + 7] = ((bg >> 8) & 0xFF) / 255;
+            data[offset + 8] = (bg & 0xFF) / 255;
+            data[offset + 9] = 1.0;
+            data[offset + 10] = glyph.u;
+            data[offset + 11] = glyph.v;
+            data[offset + 12] = glyph.w;
+            data[offset + 13] = glyph.h;
+            data[offset + 14] = style;
+            data[offset + 15] = continuation ? 0 : glyph.width;
+        }
+    }
+    
     parseColor(color) {
         // Parse hex color #RRGGBB or #RRGGBBAA to [r, g, b, a] floats
         if (color.startsWith('#')) {
@@ -915,38 +648,48 @@ class TStorieWebGPURender {
         if (this.cellBuffer) this.cellBuffer.destroy();
         if (this.uniformBuffer) this.uniformBuffer.destroy();
         if (this.atlasTexture) this.atlasTexture.destroy();
+        if (this.context) this.context.unconfigure();
+        this.cellBuffer = null;
+        this.uniformBuffer = null;
+        this.atlasTexture = null;
+        this.ready = false;
+        this.destroyed = true;
+    }
+}
+
+// WebGPU terminal: the shared host with the WebGPU draw backend.
+// Call init() before use.
+class TStorieWebGPURender extends TStorieTerminalHost {
+    constructor(canvasElement, webgpuDevice = null, fontFamily = null, fontSize = null) {
+        super(canvasElement, fontFamily, fontSize);
+        this.webgpuDevice = webgpuDevice;
         this.initialized = false;
     }
     
-    // Start animation loop
-    startAnimationLoop() {
-        const animate = (currentTime) => {
-            const elapsed = currentTime - this.lastFrameTime;
-            
-            if (elapsed >= this.frameInterval) {
-                this.lastFrameTime = currentTime;
-                
-                if (typeof Module !== 'undefined' && Module._emUpdate) {
-                    Module._emUpdate(elapsed);
-                }
-                
-                this.render();
-                
-                // Notify shader system that terminal render is complete
-                // This ensures shader system samples a fully rendered frame
-                if (window.shaderSystem && window.shaderSystem.onTerminalRenderComplete) {
-                    window.shaderSystem.onTerminalRenderComplete();
-                }
-            }
-            
-            requestAnimationFrame(animate);
-        };
+    /**
+     * Async initialization - must be called before use
+     */
+    async init() {
+        if (this.initialized) return true;
+        
+        // Wait for fonts to load before measuring
+        if (document.fonts && document.fonts.ready) {
+            await document.fonts.ready;
+            console.log('[WebGPU Render] Fonts loaded');
+        }
+        this.initFont();
         
-        requestAnimationFrame(animate);
+        this.initialized = await this.setDrawBackend(new TStorieWebGPUBackend(this.webgpuDevice));
+        return this.initialized;
+    }
+    
+    get device() {
+        return this.drawBackend ? this.drawBackend.device : this.webgpuDevice;
     }
 }
 
 // Export for use in TStorie
 if (typeof window !== 'undefined') {
+    window.TStorieWebGPUBackend = TStorieWebGPUBackend;
     window.TStorieWebGPURender = TStorieWebGPURender;
 }
@@ -167,11 +167,421 @@ function computeLikelyBackgroundRgb01FromImageData(imageData) {
   }
 }
 
+// Blends a pass's output with its input (wet/dry mix, setShaderMix); with
+// amount 0 it copies the terminal when every pass is bypassed
+const WEBGPU_MIX_SHADER = `struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) vUv: vec2f,
+}
+
+@vertex
+fn vertexMain(@location(0) position: vec2f) -> VertexOutput {
+    var output: VertexOutput;
+    output.vUv = position * 0.5 + 0.5;
+    output.vUv.y = 1.0 - output.vUv.y;
+    output.position = vec4f(position, 0.0, 1.0);
+    return output;
+}
+
+@group(0) @binding(0) var dryTexture: texture_2d<f32>;
+@group(0) @binding(1) var wetTexture: texture_2d<f32>;
+@group(0) @binding(2) var mixSampler: sampler;
+@group(0) @binding(3) var<uniform> amount: vec4f;
+
+@fragment
+fn fragmentMain(@location(0) vUv: vec2f) -> @location(0) vec4f {
+    let dry = textureSample(dryTexture, mixSampler, vUv);
+    let wet = textureSample(wetTexture, mixSampler, vUv);
+    return mix(dry, wet, amount.x);
+}
+`;
+
+// Intermediate textures: passes ping-pong between 0 and 1 (the last drawn
+// pass renders to the canvas), 2 holds a partly mixed pass's output, 3 a
+// section transition's frame and 4 the screen it transitions from
+const WEBGPU_MIX_TEXTURE = 2;
+const WEBGPU_TRANSITION_TEXTURE = 3;
+const WEBGPU_SNAPSHOT_TEXTURE = 4;
+
+function createWebGPUFullscreenPipeline(device, format, label, shaderModule) {
+  return device.createRenderPipeline({
+    label: label + '_pipeline',
+    layout: 'auto',
+    vertex: {
+      module: shaderModule,
+      entryPoint: 'vertexMain',
+      buffers: [{
+        arrayStride: 8, // 2 floats * 4 bytes
+        attributes: [{
+          shaderLocation: 0,
+          offset: 0,
+          format: 'float32x2'
+        }]
+      }]
+    },
+    fragment: {
+      module: shaderModule,
+      entryPoint: 'fragmentMain',
+      targets: [{
+        format: format
+      }]
+    },
+    primitive: {
+      topology: 'triangle-list'
+    }
+  });
+}
+
+/**
+ * Compile one chain pass. Used for the initial chain and by insertShader
+ * (tstorie-shader-chain.js), so the other passes are never recompiled.
+ */
+async function createWebGPUShaderPass(device, format, shader) {
+  // Parsed as data, never executed (tstorie-shader-package.js)
+  const shaderConfig = TStorieShaderPackage.load(shader);
+  if (shaderConfig.language !== 'wgsl') {
+    throw new Error('Shader "' + shader.name + '" is GLSL; the WebGPU chain needs WGSL');
+  }
+  
+  // Create WGSL shader module
+  const fullShaderCode = shaderConfig.vertexShader + '\n' + shaderConfig.fragmentShader;
+  const shaderModule = device.createShaderModule({
+    label: shader.name,
+    code: fullShaderCode
+  });
+  
+  // Check if shader has @group(0) bindings by looking for @group in the shader code
+  const hasBindings = fullShaderCode.includes('@group(0)');
+  
+  // Check if shader uses binding(2) for uniforms
+  const usesUniformsBuffer = /\@binding\(2\)/.test(fullShaderCode);
+  
+  // Extra inputs bind after the uniforms (webgpuInputEntries); unused ones
+  // are dropped from the 'auto' layout, so only bind what the code declares
+  const usedBindings = new Set(
+    Array.from(fullShaderCode.matchAll(/@binding\((\d+)\)/g), m => Number(m[1]))
+  );
+  
+  // Check for compilation errors, mapped back to the vertex/fragment
+  // source they came from (tstorie-shader-diagnostics.js)
+  const info = await shaderModule.getCompilationInfo();
+  if (info.messages.some(m => m.type === 'error')) {
+    const messages = TStorieShaderDiagnostics.fromWGSLMessages(
+      info.messages.filter(m => m.type !== 'info'), shaderConfig
+    );
+    const first = messages.find(m => m.severity === 'error');
+    throw new TStorieShaderCompileError(shader.name, first.stage, messages);
+  }
+  
+  return {
+    name: shader.name,
+    shaderInfo: shader,                      // kept to rebuild after a device loss
+    pipeline: createWebGPUFullscreenPipeline(device, format, shader.name, shaderModule),
+    module: shaderModule,
+    uniforms: shaderConfig.uniforms || {},   // current values (setShaderUniform)
+    schema: shaderConfig.schema,             // types and ranges
+    inputs: shaderConfig.inputs || {},       // extra samplers (webgpuInputEntries)
+    history: null,                           // [read, write] textures for feedback
+    enabled: true,                           // false = bypassed (setShaderEnabled)
+    mix: 1,                                  // wet/dry factor (setShaderMix)
+    error: null,                             // diagnostic if it failed (failedShaderPass)
+    hasBindings: hasBindings,
+    usesUniformsBuffer: usesUniformsBuffer,
+    usedBindings: usedBindings,
+    // Per-shader uniform buffer: time, resolution, and custom shader uniforms
+    uniformBuffer: usesUniformsBuffer ? device.createBuffer({
+      label: `uniforms_${shader.name}`,
+      size: 256,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    }) : null,
+    mixBuffer: null,                         // created the first time the pass is mixed
+    // Optional coordinate mapping used for pointer correction.
+    // Defaults CRT shader to 'crt' so curved monitor effects remain interactive.
+    coordinateTransform: shaderConfig.coordinateTransform || (shader.name === 'crt' ? 'crt' : null)
+  };
+}
+
+function destroyWebGPUShaderPass(pass) {
+  if (pass.uniformBuffer) pass.uniformBuffer.destroy();
+  if (pass.mixBuffer) pass.mixBuffer.destroy();
+  if (pass.history) pass.history.forEach(texture => texture.destroy());
+  pass.uniformBuffer = null;
+  pass.mixBuffer = null;
+  pass.history = null;
+}
+
+/**
+ * createWebGPUShaderPass, or a failed pass (skipped by the chain, shown by
+ * the error overlay) if the shader doesn't load or compile
+ */
+async function createWebGPUShaderPassOrFailed(device, format, shader) {
+  try {
+    return await createWebGPUShaderPass(device, format, shader);
+  } catch (error) {
+    return failedShaderPass(shader, error);
+  }
+}
+
+/**
+ * Compile the shader chain and create every GPU resource it renders with.
+ * Everything here belongs to `device`, so it is also what gets rebuilt
+ * after a device loss (see recoverWebGPUShaderSystem).
+ */
+async function createWebGPUShaderResources(device, format, shaderCodes, webgpuCanvas, terminalCanvas) {
+  // Compile shader pipelines
+  const shaderPipelines = [];
+  
+  for (let i = 0; i < shaderCodes.length; i++) {
+    const shader = shaderCodes[i];
+    console.log('[WebGPU Shaders] Compiling', (i + 1), '/', shaderCodes.length, ':', shader.name);
+    
+    const pass = await createWebGPUShaderPassOrFailed(device, format, shader);
+    shaderPipelines.push(pass);
+    if (pass.error) {
+      console.error('[WebGPU Shaders] Failed to compile', shader.name + ' (bypassed):', pass.error.summary);
+    } else {
+      console.log('[WebGPU Shaders] ✓ Compiled:', shader.name);
+    }
+  }
+  
+  const failed = shaderPipelines.filter(pass => pass.error).length;
+  console.log('[WebGPU Shaders] Successfully compiled', shaderPipelines.length - failed, 'pipeline(s)' +
+              (failed ? ', ' + failed + ' failed (bypassed)' : ''));
+  
+  // Create fullscreen quad vertex buffer
+  const vertices = new Float32Array([
+    -1, -1,  1, -1,  -1, 1,
+    -1, 1,   1, -1,   1, 1
+  ]);
+  
+  const vertexBuffer = device.createBuffer({
+    label: 'fullscreen_quad',
+    size: vertices.byteLength,
+    usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
+  });
+  device.queue.writeBuffer(vertexBuffer, 0, vertices);
+  
+  // Create sampler
+  const sampler = device.createSampler({
+    magFilter: 'linear',
+    minFilter: 'linear',
+    addressModeU: 'clamp-to-edge',
+    addressModeV: 'clamp-to-edge',
+  });
+  
+  // Wet/dry mix pipeline, plus the amount-0 buffer for copying the terminal
+  const mixPipeline = createWebGPUFullscreenPipeline(
+    device, format, 'mix', device.createShaderModule({ label: 'mix', code: WEBGPU_MIX_SHADER })
+  );
+  const passthroughBuffer = device.createBuffer({
+    label: 'mix_passthrough',
+    size: 16,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+  });
+  
+  // Section transition parameters: progress, time, resolution
+  const transitionBuffer = device.createBuffer({
+    label: 'transition_params',
+    size: 16,
+    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+  });
+  
+  // Create persistent terminal texture for canvas copy
+  const terminalTexture = device.createTexture({
+    label: 'terminal_input',
+    size: [terminalCanvas.width, terminalCanvas.height],
+    format: 'rgba8unorm', // Use rgba8unorm for ImageBitmap compatibility
+    usage: GPUTextureUsage.TEXTURE_BINDING | 
+           GPUTextureUsage.COPY_DST | 
+           GPUTextureUsage.RENDER_ATTACHMENT
+  });
+  
+  console.log('[WebGPU Shaders] Created terminal texture:', terminalCanvas.width + 'x' + terminalCanvas.height);
+  
+  return {
+    pipelines: shaderPipelines,
+    vertexBuffer: vertexBuffer,
+    intermediateTextures: [],   // created on demand (webgpuIntermediateTexture)
+    sampler: sampler,
+    mixPipeline: mixPipeline,
+    passthroughBuffer: passthroughBuffer,
+    transitionPipelines: {},    // compiled the first time each plays (webgpuTransitionPipeline)
+    transitionBuffer: transitionBuffer,
+    assetTextures: {},          // image inputs by path (webgpuAssetTexture)
+    inputSamplers: {},          // image input samplers by filter and wrap
+    terminalTexture: terminalTexture
+  };
+}
+
+function webgpuIntermediateTexture(system, index) {
+  if (!system.intermediateTextures[index]) {
+    system.intermediateTextures[index] = system.device.createTexture({
+      label: `intermediate_${index}`,
+      size: [system.canvas.width, system.canvas.height],
+      format: system.format,
+      usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+    });
+  }
+  return system.intermediateTextures[index];
+}
+
+/**
+ * Texture for an "assets/..." input: transparent until the image has
+ * loaded, then replaced by the image
+ */
+function webgpuAssetTexture(system, source) {
+  if (!system.assetTextures[source]) {
+    const device = system.device;
+    const placeholder = device.createTexture({
+      label: 'input_' + source,
+      size: [1, 1],
+      format: 'rgba8unorm',
+      usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+    });
+    system.assetTextures[source] = placeholder;
+    
+    loadShaderAsset(source).then(image => {
+      // The device may have been lost (and the cache rebuilt) meanwhile
+      if (!image || system.device !== device || system.assetTextures[source] !== placeholder) return;
+      
+      // Same upload path as the terminal (copyExternalImageToTexture crashes some drivers)
+      const ctx2d = document.createElement('canvas').getContext('2d');
+      ctx2d.canvas.width = image.width;
+      ctx2d.canvas.height = image.height;
+      ctx2d.drawImage(image, 0, 0);
+      const imageData = ctx2d.getImageData(0, 0, image.width, image.height);
+      
+      const texture = device.createTexture({
+        label: 'input_' + source,
+        size: [image.width, image.height],
+        format: 'rgba8unorm',
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+      });
+      device.queue.writeTexture(
+        { texture: texture },
+        imageData.data,
+        { offset: 0, bytesPerRow: image.width * 4, rowsPerImage: image.height },
+        { width: image.width, height: image.height, depthOrArrayLayers: 1 }
+      );
+      system.assetTextures[source] = texture;
+      placeholder.destroy();
+    });
+  }
+  return system.assetTextures[source];
+}
+
+function webgpuInputSampler(system, input) {
+  const key = input.filter + '|' + input.wrap;
+  if (!system.inputSamplers[key]) {
+    const addressMode = input.wrap === 'repeat' ? 'repeat' : 'clamp-to-edge';
+    system.inputSamplers[key] = system.device.createSampler({
+      magFilter: input.filter,
+      minFilter: input.filter,
+      addressModeU: addressMode,
+      addressModeV: addressMode,
+    });
+  }
+  return system.inputSamplers[key];
+}
+
+/**
+ * A feedback pass's two textures: it reads last frame's output and
+ * writes this frame's, swapping every frame (recreated on resize)
+ */
+function webgpuPassHistory(system, pass) {
+  const width = system.canvas.width;
+  const height = system.canvas.height;
+  if (!pass.history || pass.history[0].width !== width || pass.history[0].height !== height) {
+    if (pass.history) pass.history.forEach(texture => texture.destroy());
+    pass.history = [0, 1].map(i => system.device.createTexture({
+      label: `history_${pass.name}_${i}`,
+      size: [width, height],
+      format: system.format,
+      usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
+    }));
+  }
+  pass.history.reverse();
+  return { read: pass.history[1], write: pass.history[0] };
+}
+
+/**
+ * Bind group entries for a pass's extra inputs: input k (in manifest
+ * order) is a texture at @binding(3 + 2k) and its sampler at @binding(4 + 2k)
+ */
+function webgpuInputEntries(system, pass, history) {
+  const entries = [];
+  Object.keys(pass.inputs).forEach((name, k) => {
+    const input = pass.inputs[name];
+    const textureBinding = 3 + 2 * k;
+    const samplerBinding = 4 + 2 * k;
+    
+    // All textures share one orientation here, so the terminal binds as is
+    let texture;
+    if (input.kind === 'feedback') {
+      texture = history.read;
+    } else if (input.kind === 'terminal') {
+      texture = system.terminalTexture;
+    } else {
+      texture = webgpuAssetTexture(system, input.source);
+    }
+    
+    if (pass.usedBindings.has(textureBinding)) {
+      entries.push({ binding: textureBinding, resource: texture.createView() });
+    }
+    if (pass.usedBindings.has(samplerBinding)) {
+      entries.push({
+        binding: samplerBinding,
+        resource: input.kind === 'asset' ? webgpuInputSampler(system, input) : system.sampler
+      });
+    }
+  });
+  return entries;
+}
+
+/**
+ * Pipeline for a section transition (tstorie-shader-transition.js);
+ * false if it failed to build
+ */
+function webgpuTransitionPipeline(system, name) {
+  if (system.transitionPipelines[name] === undefined) {
+    try {
+      const shaderModule = system.device.createShaderModule({
+        label: 'transition_' + name,
+        code: shaderTransitionSource(name, 'wgsl')
+      });
+      system.transitionPipelines[name] = createWebGPUFullscreenPipeline(
+        system.device, system.format, 'transition_' + name, shaderModule
+      );
+    } catch (error) {
+      console.error('[WebGPU Shaders] Transition', name, 'failed to build:', error);
+      system.transitionPipelines[name] = false;
+    }
+  }
+  return system.transitionPipelines[name];
+}
+
+/**
+ * Keep what is on screen now to transition from: the texture the first
+ * pass read last frame (an interrupted transition continues from its
+ * current frame)
+ */
+function captureWebGPUTransitionSnapshot() {
+  const system = window.shaderSystem;
+  if (!system || system.backend !== 'webgpu' || system.lost) return;
+  
+  const source = system.chainInput || system.terminalTexture;
+  const encoder = system.device.createCommandEncoder();
+  encodeWebGPUMix(system, encoder, source, source, system.passthroughBuffer,
+                  webgpuIntermediateTexture(system, WEBGPU_SNAPSHOT_TEXTURE));
+  system.device.queue.submit([encoder.finish()]);
+}
+
 async function initWebGPUShaderSystem(shaderCodes) {
   console.log('[WebGPU Shaders] Initializing shader chain system');
   
   // Get terminal canvas and create WebGPU canvas
-  const terminalCanvas = window.canvas || document.getElementById('terminal');
+  // (reassigned if the renderer switches backends - see below)
+  let terminalCanvas = window.canvas || document.getElementById('terminal');
   if (!terminalCanvas) {
     console.error('[WebGPU Shaders] Terminal canvas not found');
     throw new Error('Terminal canvas not found');
@@ -361,7 +771,9 @@ async function initWebGPUShaderSystem(shaderCodes) {
       const chain = [];
       for (let i = system.pipelines.length - 1; i >= 0; i--) {
         const p = system.pipelines[i];
-        if (p && p.coordinateTransform) chain.push(p);
+        // Bypassed passes don't move anything; a partly mixed one counts
+        // once its effect dominates
+        if (p && p.coordinateTransform && shaderPassActive(p) && !(p.mix < 0.5)) chain.push(p);
       }
       return chain.length ? chain : null;
     }
@@ -397,6 +809,54 @@ async function initWebGPUShaderSystem(shaderCodes) {
       return new MouseEvent(originalEvent.type, common);
     }
 
+    // Map a point on the shader canvas back through the coordinate transforms
+    // to the terminal canvas
+    function mapClientPoint(chain, clientX, clientY) {
+      let uv = clientToUv(clientX, clientY, webgpuCanvas);
+      let inside = true;
+
+      for (const p of chain) {
+        const mapped = applyCoordinateTransform(
+          p.coordinateTransform,
+          uv,
+          p.uniforms,
+          { x: terminalCanvas.width, y: terminalCanvas.height }
+        );
+        uv = mapped.uv;
+        inside = inside && mapped.inside;
+      }
+
+      return { ...uvToClient(uv, terminalCanvas), inside };
+    }
+
+    // Touch events carry a list of points; each one is mapped like a mouse position
+    function buildForwardedTouchEvent(originalEvent, chain) {
+      const mapTouches = (list) => Array.from(list, (t) => {
+        const client = chain ? mapClientPoint(chain, t.clientX, t.clientY) : t;
+        return new Touch({
+          identifier: t.identifier,
+          target: terminalCanvas,
+          clientX: client.clientX,
+          clientY: client.clientY,
+          screenX: t.screenX,
+          screenY: t.screenY
+        });
+      });
+
+      return new TouchEvent(originalEvent.type, {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        touches: mapTouches(originalEvent.touches),
+        targetTouches: mapTouches(originalEvent.targetTouches),
+        changedTouches: mapTouches(originalEvent.changedTouches),
+        ctrlKey: originalEvent.ctrlKey,
+        shiftKey: originalEvent.shiftKey,
+        altKey: originalEvent.altKey,
+        metaKey: originalEvent.metaKey
+      });
+    }
+
     function forwardEventToTerminal(e) {
       // Keep a pointer state for uniforms/debug
       if (e.type === 'mousemove' || e.type === 'mousedown' || e.type === 'mouseup' || e.type === 'click') {
@@ -407,6 +867,13 @@ async function initWebGPUShaderSystem(shaderCodes) {
         e.preventDefault();
       }
 
+      // Keep the page from scrolling/zooming; the terminal handles gestures
+      if (e.type.startsWith('touch')) {
+        e.preventDefault();
+        terminalCanvas.dispatchEvent(buildForwardedTouchEvent(e, getPointerTransformChain()));
+        return;
+      }
+
       // Keyboard events can be forwarded verbatim
       if (e.type === 'keydown' || e.type === 'keyup' || e.type === 'keypress') {
         terminalCanvas.dispatchEvent(new e.constructor(e.type, e));
@@ -419,30 +886,19 @@ async function initWebGPUShaderSystem(shaderCodes) {
         return;
       }
 
-      let uv = clientToUv(e.clientX, e.clientY, webgpuCanvas);
-      let inside = true;
-
-      for (const p of chain) {
-        const mapped = applyCoordinateTransform(
-          p.coordinateTransform,
-          uv,
-          p.uniforms,
-          { x: terminalCanvas.width, y: terminalCanvas.height }
-        );
-        uv = mapped.uv;
-        inside = inside && mapped.inside;
-      }
+      const client = mapClientPoint(chain, e.clientX, e.clientY);
 
       // If click happens outside any mapped content region, swallow it to avoid mis-clicks
-      if (!inside && e.type !== 'mousemove' && e.type !== 'wheel') return;
+      if (!client.inside && e.type !== 'mousemove' && e.type !== 'wheel') return;
 
-      const client = uvToClient(uv, terminalCanvas);
       terminalCanvas.dispatchEvent(buildForwardedEvent(e, client.clientX, client.clientY));
     }
 
-    ['keydown', 'keyup', 'keypress', 'mousedown', 'mouseup', 'mousemove', 'click', 'wheel', 'contextmenu'].forEach(eventType => {
-      webgpuCanvas.addEventListener(eventType, forwardEventToTerminal);
+    ['keydown', 'keyup', 'keypress', 'mousedown', 'mouseup', 'mousemove', 'click', 'wheel', 'contextmenu',
+     'touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(eventType => {
+      webgpuCanvas.addEventListener(eventType, forwardEventToTerminal, { passive: false });
     });
+    webgpuCanvas.style.touchAction = 'none';
     
     // Get WebGPU context
     const context = webgpuCanvas.getContext('webgpu');
@@ -460,154 +916,8 @@ async function initWebGPUShaderSystem(shaderCodes) {
     
     console.log('[WebGPU Shaders] Canvas format:', format);
     
-    // Compile shader pipelines
-    const shaderPipelines = [];
-    
-    for (let i = 0; i < shaderCodes.length; i++) {
-      const shader = shaderCodes[i];
-      console.log('[WebGPU Shaders] Compiling', (i + 1), '/', shaderCodes.length, ':', shader.name);
-      
-      try {
-        // Eval shader code to get config
-        const getShaderConfig = (function() {
-          eval(shader.content);
-          if (typeof getShaderConfig !== 'function') {
-            throw new Error('Shader must export getShaderConfig()');
-          }
-          return getShaderConfig();
-        })();
-        
-        // Create WGSL shader module
-        const shaderModule = device.createShaderModule({
-          label: shader.name,
-          code: getShaderConfig.vertexShader + '\n' + getShaderConfig.fragmentShader
-        });
-        
-        // Check if shader has @group(0) bindings by looking for @group in the shader code
-        const fullShaderCode = getShaderConfig.vertexShader + '\n' + getShaderConfig.fragmentShader;
-        const hasBindings = fullShaderCode.includes('@group(0)');
-        
-        // Check if shader uses binding(2) for uniforms
-        const usesUniformsBuffer = /\@binding\(2\)/.test(fullShaderCode);
-        
-        // Check for compilation errors
-        const info = await shaderModule.getCompilationInfo();
-        const errors = info.messages.filter(m => m.type === 'error');
-        if (errors.length > 0) {
-          console.error('[WebGPU Shaders] Compilation errors in', shader.name + ':', errors);
-          throw new Error('Shader compilation failed: ' + shader.name);
-        }
-        
-        // Create render pipeline
-        const pipeline = device.createRenderPipeline({
-          label: shader.name + '_pipeline',
-          layout: 'auto',
-          vertex: {
-            module: shaderModule,
-            entryPoint: 'vertexMain',
-            buffers: [{
-              arrayStride: 8, // 2 floats * 4 bytes
-              attributes: [{
-                shaderLocation: 0,
-                offset: 0,
-                format: 'float32x2'
-              }]
-            }]
-          },
-          fragment: {
-            module: shaderModule,
-            entryPoint: 'fragmentMain',
-            targets: [{
-              format: format
-            }]
-          },
-          primitive: {
-            topology: 'triangle-list'
-          }
-        });
-        
-        shaderPipelines.push({
-          name: shader.name,
-          pipeline: pipeline,
-          module: shaderModule,
-          uniforms: getShaderConfig.uniforms || {},
-          hasBindings: hasBindings,
-          usesUniformsBuffer: usesUniformsBuffer,
-          // Optional coordinate mapping used for pointer correction.
-          // Defaults CRT shader to 'crt' so curved monitor effects remain interactive.
-          coordinateTransform: getShaderConfig.coordinateTransform || (shader.name === 'crt' ? 'crt' : null)
-        });
-        
-        console.log('[WebGPU Shaders] ✓ Compiled:', shader.name);
-        
-      } catch (error) {
-        console.error('[WebGPU Shaders] Failed to compile', shader.name + ':', error);
-        throw error;
-      }
-    }
-    
-    console.log('[WebGPU Shaders] Successfully compiled', shaderPipelines.length, 'pipeline(s)');
-    
-    // Create fullscreen quad vertex buffer
-    const vertices = new Float32Array([
-      -1, -1,  1, -1,  -1, 1,
-      -1, 1,   1, -1,   1, 1
-    ]);
-    
-    const vertexBuffer = device.createBuffer({
-      label: 'fullscreen_quad',
-      size: vertices.byteLength,
-      usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
-    });
-    device.queue.writeBuffer(vertexBuffer, 0, vertices);
-    
-    // Create textures for intermediate passes
-    const intermediateTextures = [];
-    for (let i = 0; i < shaderPipelines.length - 1; i++) {
-      const texture = device.createTexture({
-        label: `intermediate_${i}`,
-        size: [webgpuCanvas.width, webgpuCanvas.height],
-        format: format,
-        usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING
-      });
-      intermediateTextures.push(texture);
-    }
-    
-    // Create sampler
-    const sampler = device.createSampler({
-      magFilter: 'linear',
-      minFilter: 'linear',
-      addressModeU: 'clamp-to-edge',
-      addressModeV: 'clamp-to-edge',
-    });
-    
-    // Create per-shader uniform buffers (each shader gets its own buffer)
-    const shaderUniformBuffers = [];
-    for (let i = 0; i < shaderPipelines.length; i++) {
-      const shader = shaderPipelines[i];
-      if (shader.usesUniformsBuffer) {
-        const buffer = device.createBuffer({
-          label: `uniforms_${shader.name}`,
-          size: 256, // Enough for time, resolution, and custom shader uniforms
-          usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-        });
-        shaderUniformBuffers.push(buffer);
-      } else {
-        shaderUniformBuffers.push(null); // No buffer for shaders without uniforms
-      }
-    }
-    
-    // Create persistent terminal texture for canvas copy
-    const terminalTexture = device.createTexture({
-      label: 'terminal_input',
-      size: [terminalCanvas.width, terminalCanvas.height],
-      format: 'rgba8unorm', // Use rgba8unorm for ImageBitmap compatibility
-      usage: GPUTextureUsage.TEXTURE_BINDING | 
-             GPUTextureUsage.COPY_DST | 
-             GPUTextureUsage.RENDER_ATTACHMENT
-    });
-    
-    console.log('[WebGPU Shaders] Created terminal texture:', terminalCanvas.width + 'x' + terminalCanvas.height);
+    // Compile shader pipelines and create GPU resources
+    const resources = await createWebGPUShaderResources(device, format, shaderCodes, webgpuCanvas, terminalCanvas);
     
     // Store shader system globally
     window.shaderSystem = {
@@ -616,28 +926,60 @@ async function initWebGPUShaderSystem(shaderCodes) {
       context: context,
       canvas: webgpuCanvas,
       terminalCanvas: terminalCanvas,
-      terminalTexture: terminalTexture,
-      pipelines: shaderPipelines,
-      vertexBuffer: vertexBuffer,
-      intermediateTextures: intermediateTextures,
-      sampler: sampler,
-      shaderUniformBuffers: shaderUniformBuffers, // Per-shader uniform buffers
+      terminalTexture: resources.terminalTexture,
+      pipelines: resources.pipelines,
+      vertexBuffer: resources.vertexBuffer,
+      intermediateTextures: resources.intermediateTextures,
+      sampler: resources.sampler,
+      mixPipeline: resources.mixPipeline,
+      passthroughBuffer: resources.passthroughBuffer,
+      transitionPipelines: resources.transitionPipelines,
+      transitionBuffer: resources.transitionBuffer,
+      assetTextures: resources.assetTextures,
+      inputSamplers: resources.inputSamplers,
+      chainInput: null, // Texture the first pass read last frame (null = terminalTexture)
+      lost: false, // Device lost, waiting for recoverWebGPUShaderSystem
       format: format,
       startTime: performance.now(),
       frameCount: 0,
-      render: renderWebGPUShaderChain
+      terminalDirty: true, // Terminal canvas has a frame not yet copied to terminalTexture
+      render: renderWebGPUShaderChain,
+      
+      // Runtime chain edits (tstorie-shader-chain.js)
+      createPass: (shaderInfo) => createWebGPUShaderPassOrFailed(window.shaderSystem.device, format, shaderInfo),
+      destroyPass: destroyWebGPUShaderPass,
+      
+      // Section transitions (tstorie-shader-transition.js)
+      captureTransitionSnapshot: captureWebGPUTransitionSnapshot
     };
     
     window.terminalCanvas = terminalCanvas;
     
+    // Switching render backends replaces the terminal canvas;
+    // keep sampling (and forwarding input to) the live one
+    window.addEventListener('tstorie-canvas-replaced', (e) => {
+      if (e.detail.previous !== terminalCanvas) return;
+      terminalCanvas = e.detail.canvas;
+      window.shaderSystem.terminalCanvas = terminalCanvas;
+      window.terminalCanvas = terminalCanvas;
+      window.shaderSystem.terminalDirty = true;
+    });
+    
+    watchWebGPUShaderDevice(device);
+    if (typeof shaderChainChanged === 'function') shaderChainChanged();
+    
     console.log('[WebGPU Shaders] Shader chain initialized:', 
-                shaderPipelines.map(p => p.name).join(' → '));
+                resources.pipelines.map(p => p.name).join(' → '));
     
     // Instead of independent render loop, hook into terminal's render cycle
     // This eliminates flickering by ensuring shader system only samples fully rendered frames
+    // changed=false means the terminal canvas still holds the last frame
     let renderRequested = false;
     
-    window.shaderSystem.onTerminalRenderComplete = function() {
+    window.shaderSystem.onTerminalRenderComplete = function(changed) {
+      if (changed !== false) {
+        window.shaderSystem.terminalDirty = true;
+      }
       if (!renderRequested) {
         renderRequested = true;
         // Use setImmediate-like behavior via Promise microtask
@@ -660,11 +1002,126 @@ async function initWebGPUShaderSystem(shaderCodes) {
   }
 }
 
+function watchWebGPUShaderDevice(device) {
+  device.lost.then((info) => {
+    const system = window.shaderSystem;
+    if (!system || system.device !== device) return;
+    
+    console.error('[WebGPU Shaders] Device lost:', info.message);
+    system.lost = true;
+    
+    // 'destroyed' means someone called device.destroy() on purpose
+    if (info.reason !== 'destroyed') {
+      recoverWebGPUShaderSystem();
+    }
+  });
+}
+
+/**
+ * Rebuild the shader chain on a new device after a device loss.
+ * The output canvas, input forwarding and shader sources are kept; only
+ * the pipelines, buffers and textures are recreated.
+ */
+async function recoverWebGPUShaderSystem() {
+  const system = window.shaderSystem;
+  if (!system || system.backend !== 'webgpu') return false;
+  
+  console.log('[WebGPU Shaders] Recovering from device loss...');
+  
+  try {
+    // The bridge drops its lost device, so init() requests a new one
+    if (!await window.webgpuBridge.init()) {
+      throw new Error('No WebGPU device');
+    }
+    const device = window.webgpuBridge.getDevice();
+    
+    system.context.configure({
+      device,
+      format: system.format,
+      alphaMode: 'premultiplied',
+    });
+    
+    // Rebuild the chain as it is now (passes may have been inserted,
+    // removed or reordered since it was first built)
+    const previousPasses = system.pipelines.slice();
+    const resources = await createWebGPUShaderResources(
+      device, system.format, previousPasses.map(p => p.shaderInfo), system.canvas, system.terminalCanvas
+    );
+    
+    // A newer shader system may have replaced this one meanwhile
+    if (window.shaderSystem !== system) return false;
+    
+    // Keep uniform values, bypass and mix that were changed at runtime
+    resources.pipelines.forEach((pipeline, i) => {
+      const previous = previousPasses[i];
+      pipeline.uniforms = previous.uniforms;
+      pipeline.enabled = previous.enabled;
+      pipeline.mix = previous.mix;
+    });
+    
+    Object.assign(system, resources);
+    system.device = device;
+    system.chainInput = null;
+    system.terminalDirty = true;
+    system.lost = false;
+    watchWebGPUShaderDevice(device);
+    if (typeof shaderChainChanged === 'function') shaderChainChanged();
+    
+    console.log('[WebGPU Shaders] Recovered shader chain:', 
+                resources.pipelines.map(p => p.name).join(' → '));
+    return true;
+  } catch (error) {
+    console.error('[WebGPU Shaders] Recovery failed:', error);
+    return false;
+  }
+}
+
+/**
+ * Record one fullscreen draw into `outputTexture`; `entries` is the
+ * group(0) bind group, or null for shaders without bindings
+ */
+function encodeWebGPUPass(system, encoder, pipeline, entries, outputTexture) {
+  const renderPass = encoder.beginRenderPass({
+    colorAttachments: [{
+      view: outputTexture.createView(),
+      loadOp: 'clear',
+      storeOp: 'store',
+      clearValue: { r: 0, g: 0, b: 0, a: 1 },
+    }],
+  });
+  
+  try {
+    renderPass.setPipeline(pipeline);
+    renderPass.setVertexBuffer(0, system.vertexBuffer);
+    if (entries) {
+      renderPass.setBindGroup(0, system.device.createBindGroup({
+        layout: pipeline.getBindGroupLayout(0),
+        entries: entries
+      }));
+    }
+    renderPass.draw(6, 1, 0, 0);
+  } finally {
+    renderPass.end();
+  }
+}
+
+/**
+ * Blend `wetTexture` over `dryTexture` by the amount in `amountBuffer`
+ */
+function encodeWebGPUMix(system, encoder, dryTexture, wetTexture, amountBuffer, outputTexture) {
+  encodeWebGPUPass(system, encoder, system.mixPipeline, [
+    { binding: 0, resource: dryTexture.createView() },
+    { binding: 1, resource: wetTexture.createView() },
+    { binding: 2, resource: system.sampler },
+    { binding: 3, resource: { buffer: amountBuffer } }
+  ], outputTexture);
+}
+
 function renderWebGPUShaderChain() {
   return (async function() {
     try {
     const system = window.shaderSystem;
-    if (!system || system.backend !== 'webgpu') return;
+    if (!system || system.backend !== 'webgpu' || system.lost) return;
     
     try {
       const device = system.device;
@@ -688,6 +1145,7 @@ function renderWebGPUShaderChain() {
                  GPUTextureUsage.COPY_DST | 
                  GPUTextureUsage.RENDER_ATTACHMENT
         });
+        system.terminalDirty = true;
       }
     
     // Only log first frame to avoid spam
@@ -708,10 +1166,15 @@ function renderWebGPUShaderChain() {
       return; // Skip this frame, render loop will retry
     }
     
-    // Copy terminal canvas to texture (only needed for shaders with bindings)
-    const needsTerminalInput = system.pipelines.some(p => p.hasBindings);
+    // Copy terminal canvas to texture (only needed for shaders with bindings,
+    // and only when the terminal drew something new since the last copy)
+    // Bypassed passes (setShaderEnabled/setShaderMix) are skipped entirely
+    const passes = system.pipelines.filter(shaderPassActive);
+    const transition = typeof shaderTransitionFrame === 'function' ? shaderTransitionFrame() : null;
+    const needsTerminalInput = transition !== null || passes.length === 0 ||
+      passes.some(p => p.hasBindings || p.mix < 1);
     
-    if (needsTerminalInput) {
+    if (needsTerminalInput && system.terminalDirty) {
       if (system.frameCount === 0) {
         console.log('[WebGPU Shaders] Copying terminal canvas (shader chain uses bindings)...');
       }
@@ -761,6 +1224,8 @@ function renderWebGPUShaderChain() {
           }
         );
         
+        system.terminalDirty = false;
+        
         if (system.frameCount === 0) {
           console.log('[WebGPU Shaders] ✓ Terminal canvas copied successfully via writeTexture');
         }
@@ -768,7 +1233,7 @@ function renderWebGPUShaderChain() {
         console.error('[WebGPU Shaders] Failed to copy terminal canvas:', e);
         return;
       }
-    } else {
+    } else if (!needsTerminalInput) {
       if (system.frameCount === 0) {
         console.log('[WebGPU Shaders] Skipping canvas copy (no shaders use bindings)');
       }
@@ -787,9 +1252,8 @@ function renderWebGPUShaderChain() {
     // Update uniforms for each shader that needs them
     const currentTime = (performance.now() - system.startTime) / 1000.0;
     
-    for (let i = 0; i < system.pipelines.length; i++) {
-      const shader = system.pipelines[i];
-      const uniformBuffer = system.shaderUniformBuffers[i];
+    for (const shader of passes) {
+      const uniformBuffer = shader.uniformBuffer;
       
       if (!uniformBuffer) continue; // Skip shaders without uniforms
       
@@ -806,6 +1270,9 @@ function renderWebGPUShaderChain() {
       // JavaScript object iteration order is insertion order (ES2015+)
       const uniformNames = Object.keys(shader.uniforms);
       
+      // int/bool uniforms are written as i32 bits (declare them i32/u32 in WGSL)
+      const integerSlots = [];
+      
       for (const name of uniformNames) {
         let value = shader.uniforms[name];
         
@@ -839,10 +1306,18 @@ function renderWebGPUShaderChain() {
           console.log(`[WebGPU Shaders] ${shader.name} uniform ${name}:`, value);
         }
         
-        if (typeof value === 'number') {
+        const type = shader.schema[name] ? shader.schema[name].type : 'f32';
+        if (type === 'int' || type === 'bool') {
+          integerSlots.push(uniformArray.length);
+          uniformArray.push(Number(value));
+        } else if (typeof value === 'number') {
           uniformArray.push(value);
           // Don't pad individual numbers - let them pack naturally
         } else if (Array.isArray(value)) {
+          // WGSL aligns vec2 to 8 bytes and vec3/vec4 to 16
+          while (uniformArray.length % (value.length === 2 ? 2 : 4) !== 0) {
+            uniformArray.push(0);
+          }
           if (value.length === 2) {
             uniformArray.push(value[0], value[1]);
             // vec2 - add 2 padding floats to reach vec4 alignment
@@ -857,6 +1332,9 @@ function renderWebGPUShaderChain() {
         } else if (typeof value === 'string') {
           // Support simple keyword uniforms (currently only backgroundColor: 'theme')
           if (name === 'backgroundColor' && value === 'theme') {
+            while (uniformArray.length % 4 !== 0) {
+              uniformArray.push(0);
+            }
             const rgb = getLiveThemeBackgroundRgb01(system);
             uniformArray.push(rgb[0], rgb[1], rgb[2]);
             uniformArray.push(0);
@@ -870,6 +1348,10 @@ function renderWebGPUShaderChain() {
       }
       
       const uniformData = new Float32Array(uniformArray);
+      const integerData = new Int32Array(uniformData.buffer);
+      for (const slot of integerSlots) {
+        integerData[slot] = uniformArray[slot];
+      }
       
       if (system.frameCount === 0) {
         console.log(`[WebGPU Shaders] ${shader.name} uniform buffer (${uniformData.length} floats):`, Array.from(uniformData));
@@ -880,122 +1362,84 @@ function renderWebGPUShaderChain() {
     
     // Render shader chain
     let inputTexture = terminalTexture;
+    const canvasTexture = context.getCurrentTexture();
     
     if (system.frameCount === 0) {
-      console.log('[WebGPU Shaders] Starting shader chain with', system.pipelines.length, 'shader(s)');
+      console.log('[WebGPU Shaders] Starting shader chain with', passes.length, 'shader(s)');
+    }
+    
+    // A running section transition replaces the terminal as the chain's input
+    const transitionPipeline = transition && webgpuTransitionPipeline(system, transition.name);
+    if (transitionPipeline) {
+      const transitionTexture = webgpuIntermediateTexture(system, WEBGPU_TRANSITION_TEXTURE);
+      device.queue.writeBuffer(system.transitionBuffer, 0, new Float32Array([
+        transition.progress, currentTime, terminalCanvas.width, terminalCanvas.height
+      ]));
+      encodeWebGPUPass(system, encoder, transitionPipeline, [
+        { binding: 0, resource: webgpuIntermediateTexture(system, WEBGPU_SNAPSHOT_TEXTURE).createView() },
+        { binding: 1, resource: terminalTexture.createView() },
+        { binding: 2, resource: system.sampler },
+        { binding: 3, resource: { buffer: system.transitionBuffer } }
+      ], transitionTexture);
+      inputTexture = transitionTexture;
     }
+    system.chainInput = transitionPipeline ? inputTexture : null;
     
-    for (let i = 0; i < system.pipelines.length; i++) {
-      const shader = system.pipelines[i];
-      const isLastShader = i === system.pipelines.length - 1;
+    if (passes.length === 0) {
+      // Everything bypassed (or an empty chain): show the input as is
+      encodeWebGPUMix(system, encoder, inputTexture, inputTexture, system.passthroughBuffer, canvasTexture);
+    }
+    
+    for (let i = 0; i < passes.length; i++) {
+      const shader = passes[i];
+      const isLastShader = i === passes.length - 1;
       
-      if (system.frameCount === 0) {
-        console.log('[WebGPU Shaders] Rendering shader', i, ':', shader.name);
-        console.log('[WebGPU Shaders] Is last shader?', isLastShader);
+      const outputTexture = isLastShader ? canvasTexture : webgpuIntermediateTexture(system, i % 2);
+      const history = shaderPassUsesFeedback(shader) ? webgpuPassHistory(system, shader) : null;
+      
+      // A partly mixed pass renders aside first, then blends with its input;
+      // a feedback pass renders into its history, which it reads back next frame
+      const mixed = shader.mix < 1;
+      const targetTexture = history ? history.write :
+        mixed ? webgpuIntermediateTexture(system, WEBGPU_MIX_TEXTURE) : outputTexture;
+      
+      // Only bind a group if the shader actually has bindings
+      let entries = null;
+      if (shader.hasBindings) {
+        entries = [
+          { binding: 0, resource: inputTexture.createView() },
+          { binding: 1, resource: system.sampler }
+        ];
+        if (shader.usesUniformsBuffer) {
+          entries.push({ binding: 2, resource: { buffer: shader.uniformBuffer } });
+        }
+        entries.push(...webgpuInputEntries(system, shader, history));
       }
       
-      let outputTexture;
-      let renderPass;
       try {
-        outputTexture = isLastShader ? 
-          context.getCurrentTexture() : 
-          system.intermediateTextures[i];
-        
-        if (system.frameCount === 0) {
-          console.log('[WebGPU Shaders] Creating render pass...');
-        }
-        
-        renderPass = encoder.beginRenderPass({
-          colorAttachments: [{
-            view: outputTexture.createView(),
-            loadOp: 'clear',
-            storeOp: 'store',
-            clearValue: { r: 0, g: 0, b: 0, a: 1 },
-          }],
-        });
-        
-        if (system.frameCount === 0) {
-          console.log('[WebGPU Shaders] Setting pipeline...');
-        }
-        renderPass.setPipeline(shader.pipeline);
-        
-        if (system.frameCount === 0) {
-          console.log('[WebGPU Shaders] Setting vertex buffer...');
-        }
-        renderPass.setVertexBuffer(0, system.vertexBuffer);
-        
-        if (system.frameCount === 0) {
-          console.log('[WebGPU Shaders] Checking for bindings...');
-        }
-        
-        // Only create and set bind group if shader actually has bindings
-        if (shader.hasBindings) {
-          try {
-            const bindGroupLayout = shader.pipeline.getBindGroupLayout(0);
-            
-            if (system.frameCount === 0) {
-              console.log('[WebGPU Shaders] Creating bind group for', shader.name);
-            }
-            
-            // Create bind group with correct number of bindings
-            let entries;
-            if (shader.usesUniformsBuffer) {
-              // Shader needs all 3 bindings - use per-shader uniform buffer
-              const uniformBuffer = system.shaderUniformBuffers[i];
-              entries = [
-                { binding: 0, resource: inputTexture.createView() },
-                { binding: 1, resource: system.sampler },
-                { binding: 2, resource: { buffer: uniformBuffer } }
-              ];
-            } else {
-              // Shader only needs texture and sampler
-              entries = [
-                { binding: 0, resource: inputTexture.createView() },
-                { binding: 1, resource: system.sampler }
-              ];
-            }
-            
-            const bindGroup = device.createBindGroup({
-              layout: bindGroupLayout,
-              entries: entries
-            });
-            
-            if (system.frameCount === 0) {
-              console.log('[WebGPU Shaders] Bind group created with', entries.length, 'bindings');
-            }
-            
-            renderPass.setBindGroup(0, bindGroup);
-          } catch (e) {
-            console.error('[WebGPU Shaders] Failed to create bind group:', e);
-          }
-        } else {
-          if (system.frameCount === 0) {
-            console.log('[WebGPU Shaders] Shader', shader.name, 'has no bindings');
-          }
-        }
-        
-        if (system.frameCount === 0) {
-          console.log('[WebGPU Shaders] Issuing draw call...');
-        }
-        renderPass.draw(6, 1, 0, 0);
-        
-        if (system.frameCount === 0) {
-          console.log('[WebGPU Shaders] Draw call completed');
-        }
+        encodeWebGPUPass(system, encoder, shader.pipeline, entries, targetTexture);
       } catch (e) {
         console.error('[WebGPU Shaders] Render pass failed for', shader.name + ':', e);
         throw e;
-      } finally {
-        if (renderPass) {
-          if (system.frameCount === 0) {
-            console.log('[WebGPU Shaders] Ending render pass...');
-          }
-          renderPass.end();
+      }
+      
+      if (mixed) {
+        if (!shader.mixBuffer) {
+          shader.mixBuffer = device.createBuffer({
+            label: `mix_${shader.name}`,
+            size: 16,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+          });
         }
+        device.queue.writeBuffer(shader.mixBuffer, 0, new Float32Array([shader.mix, 0, 0, 0]));
+        encodeWebGPUMix(system, encoder, inputTexture, targetTexture, shader.mixBuffer, outputTexture);
+      } else if (history && isLastShader) {
+        encodeWebGPUMix(system, encoder, targetTexture, targetTexture, system.passthroughBuffer, outputTexture);
       }
       
-      // Output becomes input for next shader
-      inputTexture = outputTexture;
+      // Output becomes input for next shader (an unmixed feedback pass's
+      // history texture is its output)
+      inputTexture = history && !mixed ? targetTexture : outputTexture;
     }
     
     device.queue.submit([encoder.finish()]);
@@ -1015,3 +1459,4 @@ function renderWebGPUShaderChain() {
 // Export for use in HTML
 window.initWebGPUShaderSystem = initWebGPUShaderSystem;
 window.renderWebGPUShaderChain = renderWebGPUShaderChain;
+window.recoverWebGPUShaderSystem = recoverWebGPUShaderSystem;